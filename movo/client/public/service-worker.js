@@ -389,16 +389,72 @@ self.addEventListener('sync', event => {
   }
 });
 
+// Watchlist changes queued by the page while offline (see src/services/collectionService.js)
+function openSyncDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open('movo-sync', 1);
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore('watchlist-changes', { keyPath: 'id', autoIncrement: true });
+    };
+  });
+}
+
+function readQueuedWatchlistChanges(db) {
+  return new Promise((resolve, reject) => {
+    const request = db.transaction('watchlist-changes', 'readonly').objectStore('watchlist-changes').getAll();
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function deleteQueuedWatchlistChanges(db, changes) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('watchlist-changes', 'readwrite');
+    changes.forEach(change => tx.objectStore('watchlist-changes').delete(change.id));
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
 // Sync watchlist changes
 function syncWatchlist() {
-  return fetch('/api/sync/watchlist')
-    .then(response => {
-      if (!response.ok) {
-        throw new Error('Watchlist sync failed');
+  return openSyncDatabase()
+    .then(db => readQueuedWatchlistChanges(db).then(changes => {
+      if (changes.length === 0) {
+        return null;
       }
-      return response.json();
-    })
+
+      // The most recent change carries the freshest token
+      const latest = changes[changes.length - 1];
+      return fetch(`${latest.apiUrl}/api/sync/watchlist`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${latest.token}`
+        },
+        body: JSON.stringify({
+          changes: changes.map(({ mediaId, action, timestamp }) => ({ mediaId, action, timestamp }))
+        })
+      })
+        .then(response => {
+          // An expired token cannot be refreshed here; the page sends the queue when it next opens
+          if (response.status === 401) {
+            console.log('[Service Worker] Watchlist sync needs a fresh sign-in; leaving changes queued');
+            return null;
+          }
+          if (!response.ok) {
+            throw new Error('Watchlist sync failed');
+          }
+          return response.json()
+            .then(data => deleteQueuedWatchlistChanges(db, changes).then(() => data));
+        });
+    }))
     .then(data => {
+      if (!data) {
+        return null;
+      }
       console.log('[Service Worker] Watchlist synced successfully:', data);
       
       // Notify the user
@@ -410,6 +466,8 @@ function syncWatchlist() {
     })
     .catch(error => {
       console.error('[Service Worker] Watchlist sync error:', error);
+      // Rejecting makes the browser retry the sync later
+      throw error;
     });
 }
 
@@ -114,18 +114,16 @@ const App = () => {
   }, []);
 
   // Handle profile selection
+  // UserProfiles has already switched the session to the profile on the server
   const handleSelectProfile = (profile) => {
     setCurrentProfile(profile);
     setShowProfiles(false);
-
-    // Store the selected profile in localStorage
-    localStorage.setItem('currentProfile', JSON.stringify(profile));
   };
 
-  // Load the default or last selected profile
+  // Resume the profile selected in an earlier session, or ask who's watching
   useEffect(() => {
     if (user) {
-      // Check if there's a stored profile
+      // authService keeps the selected profile alongside the tokens scoped to it
       const storedProfile = localStorage.getItem('currentProfile');
       if (storedProfile) {
         try {
@@ -136,26 +134,7 @@ const App = () => {
           setShowProfiles(true);
         }
       } else {
-        // Try to load the default profile
-        const storedProfiles = localStorage.getItem('userProfiles');
-        if (storedProfiles) {
-          try {
-            const profiles = JSON.parse(storedProfiles);
-            const defaultProfile = profiles.find(p => p.isDefault);
-            if (defaultProfile) {
-              setCurrentProfile(defaultProfile);
-              setShowProfiles(false);
-              localStorage.setItem('currentProfile', JSON.stringify(defaultProfile));
-            } else {
-              setShowProfiles(true);
-            }
-          } catch (error) {
-            console.error('Error parsing stored profiles:', error);
-            setShowProfiles(true);
-          }
-        } else {
-          setShowProfiles(true);
-        }
+        setShowProfiles(true);
       }
     }
   }, [user]);
@@ -254,6 +233,8 @@ const App = () => {
             <Routes>
               <Route path='/signin' element={<Register setUser={setUser} />} />
               <Route path='/login' element={<Login setUser={setUser} />} />
+              {/* Shared collections are read-only and open without signing in */}
+              <Route path='/collections/shared/:token' element={<Collections />} />
               {user ? (
                 <>
                   {/*
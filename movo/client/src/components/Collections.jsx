@@ -1,222 +1,155 @@
 import React, { useState, useEffect } from 'react';
-import { Link } from 'react-router-dom';
+import { Link, useParams } from 'react-router-dom';
 import MovieCard from './MovieCard';
+import authService from '../services/authService';
+import collectionService from '../services/collectionService';
 import '../App.css';
 
+const getErrorMessage = (error, fallback) => {
+  return (error.response && error.response.data && error.response.data.error && error.response.data.error.message) || fallback;
+};
+
 const Collections = () => {
+  // Set when the page is opened through a share link
+  const { token } = useParams();
+  const isShared = Boolean(token);
+
   const [collections, setCollections] = useState([]);
   const [activeCollection, setActiveCollection] = useState(null);
   const [showCreateForm, setShowCreateForm] = useState(false);
+  const [showAddMovies, setShowAddMovies] = useState(false);
   const [newCollectionName, setNewCollectionName] = useState('');
   const [newCollectionDescription, setNewCollectionDescription] = useState('');
   const [availableMovies, setAvailableMovies] = useState([]);
   const [selectedMovies, setSelectedMovies] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
 
-  // Load collections from localStorage
+  // Load collections and the library they are built from
   useEffect(() => {
-    const loadCollections = () => {
+    const loadCollections = async () => {
       try {
-        const savedCollections = localStorage.getItem('movieCollections');
-        if (savedCollections) {
-          setCollections(JSON.parse(savedCollections));
-        } else {
-          // Create default collections if none exist
-          const defaultCollections = [
-            {
-              id: 'favorites',
-              name: 'Favorites',
-              description: 'Your favorite movies',
-              movies: [],
-              createdAt: new Date().toISOString(),
-              updatedAt: new Date().toISOString()
-            },
-            {
-              id: 'watchlist',
-              name: 'Watch Later',
-              description: 'Movies you want to watch',
-              movies: [],
-              createdAt: new Date().toISOString(),
-              updatedAt: new Date().toISOString()
-            }
-          ];
-          setCollections(defaultCollections);
-          localStorage.setItem('movieCollections', JSON.stringify(defaultCollections));
+        if (isShared) {
+          setActiveCollection(await collectionService.getSharedCollection(token));
+          return;
         }
-        
-        // Load available movies (from local library)
-        const loadAvailableMovies = () => {
-          // In a real implementation, this would be an API call
-          // For now, use mock data
-          const mockMovies = [
-            {
-              id: 1,
-              title: "The Avengers",
-              year: "2012",
-              category: "Action",
-              posterUrl: "https://m.media-amazon.com/images/M/MV5BNDYxNjQyMjAtNTdiOS00NGYwLWFmNTAtNThmYjU5ZGI2YTI1XkEyXkFqcGdeQXVyMTMxODk2OTU@._V1_SX300.jpg",
-              introStart: 0,
-              introEnd: 120, // 2 minutes intro
-              outroStart: 7200, // 2 hours into the movie
-              downloaded: true
-            },
-            {
-              id: 2,
-              title: "Inception",
-              year: "2010",
-              category: "Sci-Fi",
-              posterUrl: "https://m.media-amazon.com/images/M/MV5BMjAxMzY3NjcxNF5BMl5BanBnXkFtZTcwNTI5OTM0Mw@@._V1_SX300.jpg",
-              introStart: 0,
-              introEnd: 90, // 1.5 minutes intro
-              outroStart: 8400, // 2 hours 20 minutes into the movie
-              downloaded: true
-            },
-            {
-              id: 3,
-              title: "The Dark Knight",
-              year: "2008",
-              category: "Action",
-              posterUrl: "https://m.media-amazon.com/images/M/MV5BMTMxNTMwODM0NF5BMl5BanBnXkFtZTcwODAyMTk2Mw@@._V1_SX300.jpg",
-              introStart: 0,
-              introEnd: 60, // 1 minute intro
-              outroStart: 7800, // 2 hours 10 minutes into the movie
-              downloaded: true
-            },
-            {
-              id: 4,
-              title: "Toy Story",
-              year: "1995",
-              category: "Animation",
-              posterUrl: "https://m.media-amazon.com/images/M/MV5BMDU2ZWJlMjktMTRhMy00ZTA5LWEzNDgtYmNmZTEwZTViZWJkXkEyXkFqcGdeQXVyNDQ2OTk4MzI@._V1_SX300.jpg",
-              introStart: 0,
-              introEnd: 30, // 30 seconds intro
-              outroStart: 4800, // 1 hour 20 minutes into the movie
-              downloaded: true
-            },
-            {
-              id: 5,
-              title: "The Shawshank Redemption",
-              year: "1994",
-              category: "Drama",
-              posterUrl: "https://m.media-amazon.com/images/M/MV5BMDFkYTc0MGEtZmNhMC00ZDIzLWFmNTEtODM1ZmRlYWMwMWFmXkEyXkFqcGdeQXVyMTMxODk2OTU@._V1_SX300.jpg",
-              introStart: 0,
-              introEnd: 150, // 2.5 minutes intro
-              outroStart: 8100, // 2 hours 15 minutes into the movie
-              downloaded: true
-            }
-          ];
-          
-          setAvailableMovies(mockMovies);
-        };
-        
-        loadAvailableMovies();
-        setLoading(false);
-      } catch (error) {
-        console.error('Error loading collections:', error);
+
+        // Send watchlist changes made while offline first
+        await collectionService.flushWatchlistQueue();
+
+        const [userCollections, libraryResponse] = await Promise.all([
+          collectionService.getCollections(),
+          authService.getApiClient().get('/api/local-movies')
+        ]);
+        setCollections(userCollections);
+        setAvailableMovies(libraryResponse.data.movies || []);
+      } catch (err) {
+        console.error('Error loading collections:', err);
+        setError(getErrorMessage(err, isShared ? 'This collection is no longer shared' : 'Failed to load collections'));
+      } finally {
         setLoading(false);
       }
     };
-    
+
     loadCollections();
-  }, []);
+  }, [isShared, token]);
 
-  // Save collections to localStorage
-  const saveCollections = (updatedCollections) => {
-    setCollections(updatedCollections);
-    localStorage.setItem('movieCollections', JSON.stringify(updatedCollections));
+  // Keep the sidebar's counts in step with the open collection
+  const showCollection = (collection) => {
+    setActiveCollection(collection);
+    setCollections(current => current.map(c => (
+      c.id === collection.id ? { ...c, ...collection, itemCount: collection.items.length } : c
+    )));
+  };
+
+  const runAction = async (action, fallbackMessage) => {
+    try {
+      setError(null);
+      await action();
+    } catch (err) {
+      console.error(fallbackMessage, err);
+      setError(getErrorMessage(err, fallbackMessage));
+    }
   };
 
+  // Open a collection
+  const selectCollection = (collection) => runAction(async () => {
+    setShowAddMovies(false);
+    showCollection(await collectionService.getCollection(collection.id));
+  }, 'Failed to load collection');
+
   // Create a new collection
   const createCollection = (e) => {
     e.preventDefault();
-    
+
     if (!newCollectionName.trim()) {
       alert('Please enter a collection name');
       return;
     }
-    
-    const newCollection = {
-      id: `collection-${Date.now()}`,
-      name: newCollectionName,
-      description: newCollectionDescription,
-      movies: selectedMovies,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
-    
-    const updatedCollections = [...collections, newCollection];
-    saveCollections(updatedCollections);
-    
-    // Reset form
-    setNewCollectionName('');
-    setNewCollectionDescription('');
-    setSelectedMovies([]);
-    setShowCreateForm(false);
-    
-    // Set the new collection as active
-    setActiveCollection(newCollection);
+
+    runAction(async () => {
+      const newCollection = await collectionService.createCollection({
+        name: newCollectionName,
+        description: newCollectionDescription,
+        movieIds: selectedMovies.map(movie => movie.id)
+      });
+      setCollections(current => [...current, { ...newCollection, itemCount: newCollection.items.length }]);
+
+      // Reset form
+      setNewCollectionName('');
+      setNewCollectionDescription('');
+      setSelectedMovies([]);
+      setShowCreateForm(false);
+
+      // Set the new collection as active
+      setActiveCollection(newCollection);
+    }, 'Failed to create collection');
   };
 
   // Delete a collection
   const deleteCollection = (collectionId) => {
-    if (window.confirm('Are you sure you want to delete this collection?')) {
-      const updatedCollections = collections.filter(c => c.id !== collectionId);
-      saveCollections(updatedCollections);
-      
+    if (!window.confirm('Are you sure you want to delete this collection?')) {
+      return;
+    }
+
+    runAction(async () => {
+      await collectionService.deleteCollection(collectionId);
+      setCollections(current => current.filter(c => c.id !== collectionId));
+
       if (activeCollection && activeCollection.id === collectionId) {
         setActiveCollection(null);
       }
-    }
+    }, 'Failed to delete collection');
   };
 
-  // Add a movie to a collection
-  const addMovieToCollection = (collectionId, movie) => {
-    const updatedCollections = collections.map(collection => {
-      if (collection.id === collectionId) {
-        // Check if movie is already in the collection
-        if (collection.movies.some(m => m.id === movie.id)) {
-          return collection;
-        }
-        
-        return {
-          ...collection,
-          movies: [...collection.movies, movie],
-          updatedAt: new Date().toISOString()
-        };
-      }
-      return collection;
-    });
-    
-    saveCollections(updatedCollections);
-    
-    // Update active collection if needed
-    if (activeCollection && activeCollection.id === collectionId) {
-      const updatedCollection = updatedCollections.find(c => c.id === collectionId);
-      setActiveCollection(updatedCollection);
-    }
-  };
+  // Add a movie to the open collection
+  const addMovieToCollection = (movie) => runAction(async () => {
+    showCollection(await collectionService.addItem(activeCollection.id, movie.id));
+  }, 'Failed to add movie');
 
-  // Remove a movie from a collection
-  const removeMovieFromCollection = (collectionId, movieId) => {
-    const updatedCollections = collections.map(collection => {
-      if (collection.id === collectionId) {
-        return {
-          ...collection,
-          movies: collection.movies.filter(movie => movie.id !== movieId),
-          updatedAt: new Date().toISOString()
-        };
-      }
-      return collection;
-    });
-    
-    saveCollections(updatedCollections);
-    
-    // Update active collection if needed
-    if (activeCollection && activeCollection.id === collectionId) {
-      const updatedCollection = updatedCollections.find(c => c.id === collectionId);
-      setActiveCollection(updatedCollection);
+  // Remove a movie from the open collection
+  const removeMovieFromCollection = (movieId) => runAction(async () => {
+    showCollection(await collectionService.removeItem(activeCollection.id, movieId));
+  }, 'Failed to remove movie');
+
+  // Move a movie one place earlier (-1) or later (1)
+  const moveMovie = (index, direction) => runAction(async () => {
+    const movieIds = activeCollection.items.map(movie => movie.id);
+    const target = index + direction;
+    [movieIds[index], movieIds[target]] = [movieIds[target], movieIds[index]];
+    showCollection(await collectionService.reorderItems(activeCollection.id, movieIds));
+  }, 'Failed to reorder collection');
+
+  // Create or revoke the read-only share link
+  const toggleSharing = () => runAction(async () => {
+    if (activeCollection.shareToken) {
+      await collectionService.unshareCollection(activeCollection.id);
+      showCollection({ ...activeCollection, shareToken: null });
+    } else {
+      await collectionService.shareCollection(activeCollection.id);
+      showCollection(await collectionService.getCollection(activeCollection.id));
     }
-  };
+  }, 'Failed to update sharing');
 
   // Toggle movie selection for new collection
   const toggleMovieSelection = (movie) => {
@@ -243,12 +176,133 @@ const Collections = () => {
     );
   }
 
+  const renderMovieGrid = (movies, onSelect, isSelected) => (
+    <div className="movie-selection-grid">
+      {movies.map(movie => (
+        <div
+          key={movie.id}
+          className={`movie-selection-item ${isSelected(movie) ? 'selected' : ''}`}
+          onClick={() => onSelect(movie)}
+        >
+          <img src={movie.posterUrl} alt={movie.title} />
+          <div className="movie-selection-overlay">
+            <span className="movie-selection-title">{movie.title}</span>
+            {isSelected(movie) && (
+              <span className="movie-selected-icon">✓</span>
+            )}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+
+  const renderCollection = () => {
+    const items = activeCollection.items || [];
+    const shareUrl = collectionService.getShareUrl(activeCollection.shareToken);
+    const moviesToAdd = availableMovies.filter(movie => !items.some(item => item.id === movie.id));
+
+    return (
+      <>
+        <div className="collection-header">
+          <div className="collection-info">
+            <h2>{activeCollection.name}</h2>
+            {activeCollection.description && (
+              <p className="collection-description">{activeCollection.description}</p>
+            )}
+            <div className="collection-meta">
+              {isShared && <span>Shared by {activeCollection.owner}</span>}
+              <span>Created: {formatDate(activeCollection.createdAt)}</span>
+              <span>Updated: {formatDate(activeCollection.updatedAt)}</span>
+              <span>{items.length} movies</span>
+            </div>
+            {shareUrl && (
+              <p className="collection-share-link">
+                Share link: <a href={shareUrl}>{shareUrl}</a>
+              </p>
+            )}
+          </div>
+
+          {!isShared && (
+            <div className="collection-actions">
+              <button className="add-to-collection-btn" onClick={() => setShowAddMovies(!showAddMovies)}>
+                {showAddMovies ? 'Done' : 'Add Movies'}
+              </button>
+              <button className="add-to-collection-btn" onClick={toggleSharing}>
+                {activeCollection.shareToken ? 'Stop Sharing' : 'Share'}
+              </button>
+            </div>
+          )}
+        </div>
+
+        {showAddMovies && (
+          moviesToAdd.length === 0
+            ? <p className="collection-description">Every movie in your library is already in this collection</p>
+            : renderMovieGrid(moviesToAdd, addMovieToCollection, () => false)
+        )}
+
+        {items.length === 0 ? (
+          <div className="empty-collection">
+            <p>This collection is empty</p>
+            {!isShared && !showAddMovies && (
+              <button className="add-movies-btn" onClick={() => setShowAddMovies(true)}>
+                Add Movies
+              </button>
+            )}
+          </div>
+        ) : (
+          <div className="collection-movies">
+            <div className="movies-grid">
+              {items.map((movie, index) => (
+                <div key={movie.id} className="movie-with-actions">
+                  <MovieCard movie={movie} isLocal={true} />
+                  {!isShared && (
+                    <>
+                      <button
+                        className="remove-from-collection-btn"
+                        onClick={() => removeMovieFromCollection(movie.id)}
+                      >
+                        Remove
+                      </button>
+                      <div className="collection-order-actions">
+                        <button disabled={index === 0} onClick={() => moveMovie(index, -1)} aria-label="Move earlier">
+                          ←
+                        </button>
+                        <button disabled={index === items.length - 1} onClick={() => moveMovie(index, 1)} aria-label="Move later">
+                          →
+                        </button>
+                      </div>
+                    </>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </>
+    );
+  };
+
+  if (isShared) {
+    return (
+      <div className="content-container collections-container">
+        {error || !activeCollection ? (
+          <div className="no-collection-selected">
+            <h2>Collection unavailable</h2>
+            <p>{error}</p>
+          </div>
+        ) : (
+          <div className="collection-content">{renderCollection()}</div>
+        )}
+      </div>
+    );
+  }
+
   return (
     <div className="content-container collections-container">
       <div className="content-header">
         <h1>My Collections</h1>
         <div className="header-actions">
-          <button 
+          <button
             className="create-collection-btn"
             onClick={() => setShowCreateForm(!showCreateForm)}
           >
@@ -257,55 +311,46 @@ const Collections = () => {
           <Link to="/local" className="back-btn">← Back to Library</Link>
         </div>
       </div>
-      
+
+      {error && <div className="error-message">{error}</div>}
+
       {showCreateForm && (
         <div className="create-collection-form">
           <h2>Create New Collection</h2>
           <form onSubmit={createCollection}>
             <div className="form-group">
               <label htmlFor="collectionName">Collection Name</label>
-              <input 
-                type="text" 
-                id="collectionName" 
-                value={newCollectionName} 
-                onChange={(e) => setNewCollectionName(e.target.value)} 
+              <input
+                type="text"
+                id="collectionName"
+                value={newCollectionName}
+                onChange={(e) => setNewCollectionName(e.target.value)}
                 placeholder="Enter collection name"
+                maxLength={100}
                 required
               />
             </div>
-            
+
             <div className="form-group">
               <label htmlFor="collectionDescription">Description (optional)</label>
-              <textarea 
-                id="collectionDescription" 
-                value={newCollectionDescription} 
-                onChange={(e) => setNewCollectionDescription(e.target.value)} 
+              <textarea
+                id="collectionDescription"
+                value={newCollectionDescription}
+                onChange={(e) => setNewCollectionDescription(e.target.value)}
                 placeholder="Enter collection description"
                 rows="3"
               />
             </div>
-            
+
             <div className="form-group">
               <label>Select Movies</label>
-              <div className="movie-selection-grid">
-                {availableMovies.map(movie => (
-                  <div 
-                    key={movie.id} 
-                    className={`movie-selection-item ${selectedMovies.some(m => m.id === movie.id) ? 'selected' : ''}`}
-                    onClick={() => toggleMovieSelection(movie)}
-                  >
-                    <img src={movie.posterUrl} alt={movie.title} />
-                    <div className="movie-selection-overlay">
-                      <span className="movie-selection-title">{movie.title}</span>
-                      {selectedMovies.some(m => m.id === movie.id) && (
-                        <span className="movie-selected-icon">✓</span>
-                      )}
-                    </div>
-                  </div>
-                ))}
-              </div>
+              {renderMovieGrid(
+                availableMovies,
+                toggleMovieSelection,
+                movie => selectedMovies.some(m => m.id === movie.id)
+              )}
             </div>
-            
+
             <div className="form-actions">
               <button type="button" className="cancel-btn" onClick={() => setShowCreateForm(false)}>
                 Cancel
@@ -317,23 +362,23 @@ const Collections = () => {
           </form>
         </div>
       )}
-      
+
       <div className="collections-layout">
         <div className="collections-sidebar">
           <h2>My Collections</h2>
           <ul className="collections-list">
             {collections.map(collection => (
-              <li 
-                key={collection.id} 
+              <li
+                key={collection.id}
                 className={`collection-item ${activeCollection && activeCollection.id === collection.id ? 'active' : ''}`}
-                onClick={() => setActiveCollection(collection)}
+                onClick={() => selectCollection(collection)}
               >
                 <div className="collection-item-info">
                   <h3>{collection.name}</h3>
-                  <span className="movie-count">{collection.movies.length} movies</span>
+                  <span className="movie-count">{collection.itemCount} movies</span>
                 </div>
-                {collection.id !== 'favorites' && collection.id !== 'watchlist' && (
-                  <button 
+                {collection.type === 'custom' && (
+                  <button
                     className="delete-collection-btn"
                     onClick={(e) => {
                       e.stopPropagation();
@@ -347,62 +392,9 @@ const Collections = () => {
             ))}
           </ul>
         </div>
-        
+
         <div className="collection-content">
-          {activeCollection ? (
-            <>
-              <div className="collection-header">
-                <div className="collection-info">
-                  <h2>{activeCollection.name}</h2>
-                  {activeCollection.description && (
-                    <p className="collection-description">{activeCollection.description}</p>
-                  )}
-                  <div className="collection-meta">
-                    <span>Created: {formatDate(activeCollection.createdAt)}</span>
-                    <span>Updated: {formatDate(activeCollection.updatedAt)}</span>
-                    <span>{activeCollection.movies.length} movies</span>
-                  </div>
-                </div>
-                
-                <div className="collection-actions">
-                  <button className="add-to-collection-btn" onClick={() => {
-                    // Show a modal or dropdown to select movies to add
-                    alert('This feature would show a modal to add more movies to the collection');
-                  }}>
-                    Add Movies
-                  </button>
-                </div>
-              </div>
-              
-              {activeCollection.movies.length === 0 ? (
-                <div className="empty-collection">
-                  <p>This collection is empty</p>
-                  <button className="add-movies-btn" onClick={() => {
-                    // Show a modal or dropdown to select movies to add
-                    alert('This feature would show a modal to add movies to the collection');
-                  }}>
-                    Add Movies
-                  </button>
-                </div>
-              ) : (
-                <div className="collection-movies">
-                  <div className="movies-grid">
-                    {activeCollection.movies.map(movie => (
-                      <div key={movie.id} className="movie-with-actions">
-                        <MovieCard movie={movie} isLocal={true} />
-                        <button 
-                          className="remove-from-collection-btn"
-                          onClick={() => removeMovieFromCollection(activeCollection.id, movie.id)}
-                        >
-                          Remove
-                        </button>
-                      </div>
-                    ))}
-                  </div>
-                </div>
-              )}
-            </>
-          ) : (
+          {activeCollection ? renderCollection() : (
             <div className="no-collection-selected">
               <h2>Select a collection</h2>
               <p>Choose a collection from the sidebar or create a new one</p>
@@ -1,15 +1,23 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { Link } from 'react-router-dom';
 import DownloadSettings from './DownloadSettings';
+import container from '../core/infrastructure/di/Container';
 import '../App.css';
 
+const downloadRepository = container.get('DownloadRepository');
+
+// Statuses shown in each tab
+const ACTIVE_STATUSES = ['downloading', 'paused', 'failed'];
+
+// Smoothing for the transfer speed shown on each download
+const SPEED_SMOOTHING = 0.3;
+
 const DownloadManager = () => {
-  const [activeDownloads, setActiveDownloads] = useState([]);
-  const [completedDownloads, setCompletedDownloads] = useState([]);
-  const [queuedDownloads, setQueuedDownloads] = useState([]);
+  const [downloads, setDownloads] = useState([]);
+  const [speeds, setSpeeds] = useState({}); // bytes/s by download ID
   const [downloadHistory, setDownloadHistory] = useState([]);
   const [activeTab, setActiveTab] = useState('active');
-  const [totalStorage, setTotalStorage] = useState({ used: 0, total: 50 }); // GB
+  const [totalStorage, setTotalStorage] = useState({ used: 0, total: 0 }); // bytes
   const [isOnline, setIsOnline] = useState(navigator.onLine);
   const [downloadSettings, setDownloadSettings] = useState({
     maxConcurrent: 2,
@@ -31,23 +39,11 @@ const DownloadManager = () => {
     }
   });
   const [showSettings, setShowSettings] = useState(false);
+  const speedSamples = useRef(new Map());
 
-  // Get the next scheduled time for downloads
-  const getNextScheduledTime = (startTime) => {
-    const now = new Date();
-    const [hours, minutes] = startTime.split(':').map(Number);
-
-    // Create a date object for the scheduled time today
-    const scheduledTime = new Date(now);
-    scheduledTime.setHours(hours, minutes, 0, 0);
-
-    // If the scheduled time is already past for today, set it for tomorrow
-    if (scheduledTime <= now) {
-      scheduledTime.setDate(scheduledTime.getDate() + 1);
-    }
-
-    return scheduledTime.toISOString();
-  };
+  const activeDownloads = downloads.filter(download => ACTIVE_STATUSES.includes(download.status));
+  const queuedDownloads = downloads.filter(download => download.status === 'queued');
+  const completedDownloads = downloads.filter(download => download.status === 'completed');
 
   // Save download settings
   const saveSettings = (newSettings) => {
@@ -72,377 +68,183 @@ const DownloadManager = () => {
     };
   }, []);
 
-  // Load downloads from localStorage
+  // Load settings and history from localStorage
   useEffect(() => {
-    const loadDownloads = () => {
-      try {
-        // Load active downloads
-        const savedActive = localStorage.getItem('activeDownloads');
-        if (savedActive) {
-          setActiveDownloads(JSON.parse(savedActive));
-        }
-
-        // Load completed downloads
-        const savedCompleted = localStorage.getItem('completedDownloads');
-        if (savedCompleted) {
-          setCompletedDownloads(JSON.parse(savedCompleted));
-        }
-
-        // Load queued downloads
-        const savedQueued = localStorage.getItem('queuedDownloads');
-        if (savedQueued) {
-          setQueuedDownloads(JSON.parse(savedQueued));
-        }
-
-        // Load download history
-        const savedHistory = localStorage.getItem('downloadHistory');
-        if (savedHistory) {
-          setDownloadHistory(JSON.parse(savedHistory));
-        }
-
-        // Load download settings
-        const savedSettings = localStorage.getItem('downloadSettings');
-        if (savedSettings) {
-          setDownloadSettings(JSON.parse(savedSettings));
-        }
-
-        // Calculate storage usage
-        calculateStorageUsage();
-      } catch (error) {
-        console.error('Error loading downloads:', error);
+    try {
+      // Load download history
+      const savedHistory = localStorage.getItem('downloadHistory');
+      if (savedHistory) {
+        setDownloadHistory(JSON.parse(savedHistory));
       }
-    };
-
-    loadDownloads();
-
-    // Simulate download progress for active downloads
-    const progressInterval = setInterval(() => {
-      updateDownloadProgress();
-    }, 1000);
 
-    return () => {
-      clearInterval(progressInterval);
-    };
+      // Load download settings
+      const savedSettings = localStorage.getItem('downloadSettings');
+      if (savedSettings) {
+        const settings = JSON.parse(savedSettings);
+        setDownloadSettings(settings);
+        downloadRepository.setMaxConcurrent(settings.maxConcurrent);
+      }
+    } catch (error) {
+      console.error('Error loading download settings:', error);
+    }
   }, []);
 
-  // Calculate storage usage
-  const calculateStorageUsage = () => {
-    // In a real implementation, this would query the actual storage usage
-    // For now, we'll use mock data
-    const mockUsed = completedDownloads.reduce((total, download) => {
-      return total + download.size;
-    }, 0);
-
-    setTotalStorage({
-      used: mockUsed,
-      total: 50 // 50 GB total storage
+  // Follow the repository's downloads; transfers report progress as each chunk is stored
+  useEffect(() => {
+    const unsubscribe = downloadRepository.subscribe((latest) => {
+      setDownloads(latest);
+      updateSpeeds(latest);
     });
-  };
-
-  // Update download progress for active downloads
-  const updateDownloadProgress = () => {
-    if (activeDownloads.length === 0) return;
-
-    const updatedDownloads = activeDownloads.map(download => {
-      // Simulate progress increase
-      let newProgress = download.progress + (Math.random() * 5);
-
-      // If download is complete, move it to completed downloads
-      if (newProgress >= 100) {
-        newProgress = 100;
-
-        // Add to completed downloads
-        const completedDownload = {
-          ...download,
-          progress: 100,
-          status: 'completed',
-          completedAt: new Date().toISOString()
-        };
-
-        setCompletedDownloads(prev => [completedDownload, ...prev]);
-
-        // Add to history
-        const historyEntry = {
-          id: download.id,
-          title: download.title,
-          posterUrl: download.posterUrl,
-          size: download.size,
-          downloadedAt: new Date().toISOString(),
-          status: 'completed'
-        };
-
-        setDownloadHistory(prev => [historyEntry, ...prev]);
-
-        // Start next download from queue if available
-        if (queuedDownloads.length > 0) {
-          const nextDownload = queuedDownloads[0];
-          const updatedNextDownload = {
-            ...nextDownload,
-            status: 'downloading',
-            progress: 0,
-            startedAt: new Date().toISOString()
-          };
-
-          setActiveDownloads(prev => [...prev.filter(d => d.id !== download.id), updatedNextDownload]);
-          setQueuedDownloads(prev => prev.slice(1));
-        } else {
-          setActiveDownloads(prev => prev.filter(d => d.id !== download.id));
-        }
-
-        // Update storage usage
-        calculateStorageUsage();
-
-        return null;
-      }
-
-      return {
-        ...download,
-        progress: newProgress,
-        downloadedSize: (newProgress / 100) * download.size
-      };
-    }).filter(Boolean);
 
-    setActiveDownloads(updatedDownloads);
+    downloadRepository.getAllDownloads()
+      .catch(error => console.error('Error loading downloads:', error))
+      .finally(() => calculateStorageUsage());
 
-    // Save to localStorage
-    localStorage.setItem('activeDownloads', JSON.stringify(updatedDownloads));
-    localStorage.setItem('completedDownloads', JSON.stringify(completedDownloads));
-    localStorage.setItem('queuedDownloads', JSON.stringify(queuedDownloads));
-    localStorage.setItem('downloadHistory', JSON.stringify(downloadHistory));
-  };
+    return unsubscribe;
+  }, []);
 
-  // Add a new download
-  const addDownload = (movie) => {
-    const newDownload = {
-      id: movie.id || movie.imdbID,
-      title: movie.title || movie.Title,
-      posterUrl: movie.posterUrl || movie.Poster,
-      size: Math.random() * 4 + 1, // Random size between 1-5 GB
-      progress: 0,
-      downloadedSize: 0,
-      status: 'queued',
-      quality: downloadSettings.downloadQuality,
-      addedAt: new Date().toISOString(),
-      priority: 'normal', // 'low', 'normal', 'high'
-      bandwidth: downloadSettings.bandwidthLimit.enabled ? downloadSettings.bandwidthLimit.limit : 0, // 0 means unlimited
-      resumable: true,
-      metadata: {
-        genres: movie.genres || [],
-        year: movie.year || movie.Year,
-        director: movie.director,
-        actors: movie.actors || []
-      }
-    };
+  // Storage used on this device, recalculated as downloads complete
+  useEffect(() => {
+    calculateStorageUsage();
+  }, [completedDownloads.length]);
 
-    // Check if download should be scheduled for off-peak hours
-    if (downloadSettings.downloadSchedule.enabled) {
-      const now = new Date();
-      const currentHour = now.getHours();
-      const currentMinutes = now.getMinutes();
-      const currentTime = `${currentHour.toString().padStart(2, '0')}:${currentMinutes.toString().padStart(2, '0')}`;
-
-      const startTime = downloadSettings.downloadSchedule.startTime;
-      const endTime = downloadSettings.downloadSchedule.endTime;
-
-      // Check if current time is within the scheduled download window
-      if (currentTime >= startTime && currentTime <= endTime) {
-        // Start download now if within window
-        if (activeDownloads.length < downloadSettings.maxConcurrent && isOnline) {
-          newDownload.status = 'downloading';
-          newDownload.startedAt = new Date().toISOString();
-          setActiveDownloads(prev => [...prev, newDownload]);
-        } else {
-          // Add to queue
-          setQueuedDownloads(prev => [...prev, newDownload]);
-        }
-      } else {
-        // Schedule for later
-        newDownload.status = 'scheduled';
-        newDownload.scheduledFor = getNextScheduledTime(startTime);
-        setQueuedDownloads(prev => [...prev, newDownload]);
-      }
-    } else {
-      // Normal download logic (not scheduled)
-      // Check if we can start the download immediately
-      if (activeDownloads.length < downloadSettings.maxConcurrent && isOnline) {
-        newDownload.status = 'downloading';
-        newDownload.startedAt = new Date().toISOString();
-        setActiveDownloads(prev => [...prev, newDownload]);
-      } else {
-        // Add to queue
-        setQueuedDownloads(prev => [...prev, newDownload]);
-      }
+  // Calculate storage usage
+  const calculateStorageUsage = async () => {
+    if (!navigator.storage || !navigator.storage.estimate) {
+      return;
     }
 
-    // Check storage limits
-    if (downloadSettings.storageLimit.enabled) {
-      const totalDownloadSize = [...activeDownloads, ...completedDownloads, ...queuedDownloads, newDownload]
-        .reduce((total, download) => total + download.size, 0);
-
-      if (totalDownloadSize > downloadSettings.storageLimit.limit) {
-        // Show warning
-        alert(`Warning: Adding this download will exceed your storage limit of ${downloadSettings.storageLimit.limit} GB.`);
-      }
+    try {
+      const { usage, quota } = await navigator.storage.estimate();
+      setTotalStorage({ used: usage || 0, total: quota || 0 });
+    } catch (error) {
+      console.error('Error estimating storage:', error);
     }
-
-    // Add to history
-    const historyEntry = {
-      id: newDownload.id,
-      title: newDownload.title,
-      posterUrl: newDownload.posterUrl,
-      size: newDownload.size,
-      addedAt: new Date().toISOString(),
-      status: newDownload.status
-    };
-
-    setDownloadHistory(prev => [historyEntry, ...prev]);
-
-    // Save to localStorage
-    localStorage.setItem('activeDownloads', JSON.stringify(activeDownloads));
-    localStorage.setItem('queuedDownloads', JSON.stringify(queuedDownloads));
-    localStorage.setItem('downloadHistory', JSON.stringify([historyEntry, ...downloadHistory]));
   };
 
-  // Pause a download
-  const pauseDownload = (downloadId) => {
-    const updatedDownloads = activeDownloads.map(download => {
-      if (download.id === downloadId) {
-        return {
-          ...download,
-          status: 'paused'
-        };
+  // Transfer speed from the bytes stored since the last update
+  const updateSpeeds = (latest) => {
+    const now = Date.now();
+    const nextSpeeds = {};
+
+    latest.forEach(download => {
+      const sample = speedSamples.current.get(download.id);
+      if (download.status !== 'downloading') {
+        speedSamples.current.delete(download.id);
+        return;
+      }
+      if (!sample || download.bytesReceived < sample.bytes) {
+        speedSamples.current.set(download.id, { bytes: download.bytesReceived, time: now, speed: 0 });
+        return;
+      }
+      if (download.bytesReceived > sample.bytes && now > sample.time) {
+        const current = (download.bytesReceived - sample.bytes) / ((now - sample.time) / 1000);
+        sample.speed = sample.speed ? sample.speed + (current - sample.speed) * SPEED_SMOOTHING : current;
+        sample.bytes = download.bytesReceived;
+        sample.time = now;
       }
-      return download;
+      nextSpeeds[download.id] = sample.speed;
     });
 
-    setActiveDownloads(updatedDownloads);
-
-    // Update history
-    const historyEntry = {
-      id: downloadId,
-      title: activeDownloads.find(d => d.id === downloadId).title,
-      posterUrl: activeDownloads.find(d => d.id === downloadId).posterUrl,
-      pausedAt: new Date().toISOString(),
-      status: 'paused'
-    };
-
-    setDownloadHistory(prev => [historyEntry, ...prev]);
-
-    // Save to localStorage
-    localStorage.setItem('activeDownloads', JSON.stringify(updatedDownloads));
-    localStorage.setItem('downloadHistory', JSON.stringify([historyEntry, ...downloadHistory]));
+    setSpeeds(nextSpeeds);
   };
 
-  // Resume a download
-  const resumeDownload = (downloadId) => {
-    const updatedDownloads = activeDownloads.map(download => {
-      if (download.id === downloadId) {
-        return {
-          ...download,
-          status: 'downloading'
-        };
-      }
-      return download;
+  // Add an entry to the download history kept on this device
+  const addHistoryEntry = (download, entry) => {
+    setDownloadHistory(prev => {
+      const updated = [{
+        id: download.id,
+        title: download.title,
+        posterUrl: download.posterUrl,
+        size: download.size,
+        ...entry
+      }, ...prev].slice(0, 100);
+      localStorage.setItem('downloadHistory', JSON.stringify(updated));
+      return updated;
     });
+  };
 
-    setActiveDownloads(updatedDownloads);
+  // Record completions in the history as transfers finish
+  const completedIds = useRef(null);
+  useEffect(() => {
+    const ids = new Set(completedDownloads.map(download => download.id));
+    if (completedIds.current) {
+      completedDownloads
+        .filter(download => !completedIds.current.has(download.id) && download.stored)
+        .forEach(download => addHistoryEntry(download, {
+          completedAt: download.completedAt || new Date().toISOString(),
+          status: 'completed'
+        }));
+    }
+    completedIds.current = ids;
+  }, [completedDownloads.map(download => download.id).join()]);
 
-    // Update history
-    const historyEntry = {
-      id: downloadId,
-      title: activeDownloads.find(d => d.id === downloadId).title,
-      posterUrl: activeDownloads.find(d => d.id === downloadId).posterUrl,
-      resumedAt: new Date().toISOString(),
-      status: 'downloading'
-    };
+  // Pause a download
+  const pauseDownload = async (downloadId) => {
+    const download = downloads.find(d => d.id === downloadId);
+
+    try {
+      await downloadRepository.pauseDownload(downloadId);
+      addHistoryEntry(download, { pausedAt: new Date().toISOString(), status: 'paused' });
+    } catch (error) {
+      alert(`Could not pause the download: ${error.message}`);
+    }
+  };
 
-    setDownloadHistory(prev => [historyEntry, ...prev]);
+  // Resume a download, retry a failed one, or fetch one from another device
+  const resumeDownload = async (downloadId) => {
+    const download = downloads.find(d => d.id === downloadId);
 
-    // Save to localStorage
-    localStorage.setItem('activeDownloads', JSON.stringify(updatedDownloads));
-    localStorage.setItem('downloadHistory', JSON.stringify([historyEntry, ...downloadHistory]));
+    try {
+      await downloadRepository.resumeDownload(downloadId);
+      addHistoryEntry(download, { resumedAt: new Date().toISOString(), status: 'downloading' });
+    } catch (error) {
+      alert(`Could not resume the download: ${error.message}`);
+    }
   };
 
   // Cancel a download
-  const cancelDownload = (downloadId, type) => {
-    if (type === 'active') {
-      setActiveDownloads(prev => prev.filter(d => d.id !== downloadId));
-
-      // Start next download from queue if available
-      if (queuedDownloads.length > 0) {
-        const nextDownload = queuedDownloads[0];
-        const updatedNextDownload = {
-          ...nextDownload,
-          status: 'downloading',
-          progress: 0,
-          startedAt: new Date().toISOString()
-        };
-
-        setActiveDownloads(prev => [...prev, updatedNextDownload]);
-        setQueuedDownloads(prev => prev.slice(1));
-      }
-    } else if (type === 'queued') {
-      setQueuedDownloads(prev => prev.filter(d => d.id !== downloadId));
+  const cancelDownload = async (downloadId) => {
+    const download = downloads.find(d => d.id === downloadId);
+
+    try {
+      await downloadRepository.cancelDownload(downloadId);
+      addHistoryEntry(download, { cancelledAt: new Date().toISOString(), status: 'cancelled' });
+      calculateStorageUsage();
+    } catch (error) {
+      alert(`Could not cancel the download: ${error.message}`);
     }
-
-    // Update history
-    const download = type === 'active'
-      ? activeDownloads.find(d => d.id === downloadId)
-      : queuedDownloads.find(d => d.id === downloadId);
-
-    const historyEntry = {
-      id: downloadId,
-      title: download.title,
-      posterUrl: download.posterUrl,
-      cancelledAt: new Date().toISOString(),
-      status: 'cancelled'
-    };
-
-    setDownloadHistory(prev => [historyEntry, ...prev]);
-
-    // Save to localStorage
-    localStorage.setItem('activeDownloads', JSON.stringify(activeDownloads));
-    localStorage.setItem('queuedDownloads', JSON.stringify(queuedDownloads));
-    localStorage.setItem('downloadHistory', JSON.stringify([historyEntry, ...downloadHistory]));
   };
 
   // Delete a completed download
-  const deleteDownload = (downloadId) => {
-    setCompletedDownloads(prev => prev.filter(d => d.id !== downloadId));
-
-    // Update history
-    const download = completedDownloads.find(d => d.id === downloadId);
-
-    const historyEntry = {
-      id: downloadId,
-      title: download.title,
-      posterUrl: download.posterUrl,
-      deletedAt: new Date().toISOString(),
-      status: 'deleted'
-    };
-
-    setDownloadHistory(prev => [historyEntry, ...prev]);
-
-    // Update storage usage
-    calculateStorageUsage();
-
-    // Save to localStorage
-    localStorage.setItem('completedDownloads', JSON.stringify(completedDownloads.filter(d => d.id !== downloadId)));
-    localStorage.setItem('downloadHistory', JSON.stringify([historyEntry, ...downloadHistory]));
+  const deleteDownload = async (downloadId) => {
+    const download = downloads.find(d => d.id === downloadId);
+
+    try {
+      await downloadRepository.cancelDownload(downloadId);
+      addHistoryEntry(download, { deletedAt: new Date().toISOString(), status: 'deleted' });
+      calculateStorageUsage();
+    } catch (error) {
+      alert(`Could not delete the download: ${error.message}`);
+    }
   };
 
   // Update download settings
   const updateSettings = (newSettings) => {
     setDownloadSettings(newSettings);
     localStorage.setItem('downloadSettings', JSON.stringify(newSettings));
+    downloadRepository.setMaxConcurrent(newSettings.maxConcurrent);
   };
 
   // Format file size
-  const formatFileSize = (sizeInGB) => {
-    if (sizeInGB < 0.1) {
-      return `${Math.round(sizeInGB * 1000)} MB`;
+  const formatFileSize = (bytes) => {
+    if (!bytes) {
+      return '0 MB';
+    }
+    if (bytes < 100 * 1024 * 1024) {
+      return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
     }
-    return `${sizeInGB.toFixed(1)} GB`;
+    return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
   };
 
   // Format date
@@ -451,11 +253,21 @@ const DownloadManager = () => {
     return date.toLocaleDateString() + ' ' + date.toLocaleTimeString();
   };
 
-  // Calculate time remaining
+  // Format transfer speed
+  const formatSpeed = (bytesPerSecond) => {
+    if (!bytesPerSecond) {
+      return '—';
+    }
+    return `${(bytesPerSecond / (1024 * 1024)).toFixed(1)} MB/s`;
+  };
+
+  // Calculate time remaining at the current speed
   const calculateTimeRemaining = (download) => {
-    const downloadSpeed = 2 + Math.random() * 3; // Random speed between 2-5 MB/s
-    const remainingSize = download.size - download.downloadedSize;
-    const remainingSeconds = (remainingSize * 1024) / downloadSpeed;
+    const speed = speeds[download.id];
+    if (!speed) {
+      return 'Calculating…';
+    }
+    const remainingSeconds = (download.size - download.bytesReceived) / speed;
 
     if (remainingSeconds < 60) {
       return 'Less than a minute';
@@ -468,6 +280,17 @@ const DownloadManager = () => {
     }
   };
 
+  // What an active download is doing
+  const describeStatus = (download) => {
+    if (download.status === 'failed') {
+      return download.error || 'Failed';
+    }
+    if (download.status === 'paused') {
+      return 'Paused';
+    }
+    return calculateTimeRemaining(download);
+  };
+
   return (
     <div className="content-container download-manager-container">
       <div className="content-header">
@@ -485,7 +308,7 @@ const DownloadManager = () => {
           <div className="storage-bar">
             <div
               className="storage-used"
-              style={{ width: `${(totalStorage.used / totalStorage.total) * 100}%` }}
+              style={{ width: `${totalStorage.total ? (totalStorage.used / totalStorage.total) * 100 : 0}%` }}
             ></div>
           </div>
           <div className="storage-text">
@@ -626,15 +449,15 @@ const DownloadManager = () => {
                       ></div>
                     </div>
                     <div className="download-progress-text">
-                      {download.progress.toFixed(0)}% • {formatFileSize(download.downloadedSize)} of {formatFileSize(download.size)}
+                      {download.progress.toFixed(0)}% • {formatFileSize(download.bytesReceived)} of {formatFileSize(download.size)}
                     </div>
                   </div>
 
                   <div className="download-status-info">
-                    <span className="download-speed">2.5 MB/s</span>
-                    <span className="download-time-remaining">
-                      {download.status === 'downloading' ? calculateTimeRemaining(download) : 'Paused'}
+                    <span className="download-speed">
+                      {download.status === 'downloading' ? formatSpeed(speeds[download.id]) : '—'}
                     </span>
+                    <span className="download-time-remaining">{describeStatus(download)}</span>
                   </div>
                 </div>
 
@@ -652,13 +475,13 @@ const DownloadManager = () => {
                       onClick={() => resumeDownload(download.id)}
                       disabled={!isOnline}
                     >
-                      Resume
+                      {download.status === 'failed' ? 'Retry' : 'Resume'}
                     </button>
                   )}
 
                   <button
                     className="download-action-btn cancel-btn"
-                    onClick={() => cancelDownload(download.id, 'active')}
+                    onClick={() => cancelDownload(download.id)}
                   >
                     Cancel
                   </button>
@@ -688,19 +511,18 @@ const DownloadManager = () => {
                   <h3>{download.title}</h3>
                   <div className="download-meta">
                     <span className="download-quality">{download.quality}</span>
-                    <span className="download-size">{formatFileSize(download.size)}</span>
                   </div>
 
                   <div className="download-status-info">
-                    <span className="download-status">Queued</span>
-                    <span className="download-added-at">Added: {formatDate(download.addedAt)}</span>
+                    <span className="download-status">Preparing offline copy</span>
+                    <span className="download-added-at">Added: {formatDate(download.createdAt)}</span>
                   </div>
                 </div>
 
                 <div className="download-actions">
                   <button
                     className="download-action-btn cancel-btn"
-                    onClick={() => cancelDownload(download.id, 'queued')}
+                    onClick={() => cancelDownload(download.id)}
                   >
                     Remove
                   </button>
@@ -733,20 +555,36 @@ const DownloadManager = () => {
                   </div>
 
                   <div className="download-status-info">
-                    <span className="download-status">Completed</span>
-                    <span className="download-completed-at">
-                      Completed: {formatDate(download.completedAt)}
-                    </span>
+                    {download.bytesReceived === download.size ? (
+                      <>
+                        <span className="download-status">Completed</span>
+                        <span className="download-completed-at">
+                          Completed: {download.completedAt ? formatDate(download.completedAt) : '-'}
+                        </span>
+                      </>
+                    ) : (
+                      <span className="download-status">Not stored on this device</span>
+                    )}
                   </div>
                 </div>
 
                 <div className="download-actions">
-                  <Link
-                    to={`/play/${download.id}`}
-                    className="download-action-btn play-btn"
-                  >
-                    Play
-                  </Link>
+                  {download.bytesReceived === download.size ? (
+                    <Link
+                      to={`/play/${download.mediaId}`}
+                      className="download-action-btn play-btn"
+                    >
+                      Play
+                    </Link>
+                  ) : (
+                    <button
+                      className="download-action-btn resume-btn"
+                      onClick={() => resumeDownload(download.id)}
+                      disabled={!isOnline}
+                    >
+                      Download here
+                    </button>
+                  )}
 
                   <button
                     className="download-action-btn delete-btn"
@@ -3,8 +3,13 @@ import { useParams, Link } from 'react-router-dom';
 import SubtitleManager from './SubtitleManager';
 import TimestampEditor from './TimestampEditor';
 import p2pService from '../services/p2pService';
+import authService from '../services/authService';
+import markerService from '../services/markerService';
+import streamingService from '../services/streamingService';
 import '../App.css';
 
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+
 const MoviePlayer = () => {
   const { id } = useParams();
   const [movie, setMovie] = useState(null);
@@ -83,31 +88,38 @@ const MoviePlayer = () => {
   useEffect(() => {
     const fetchMovie = async () => {
       try {
-        // In a real implementation, this would be an API call
-        // const response = await fetch(`http://localhost:5000/api/local-movies/${id}`);
-        // const data = await response.json();
-
-        // For now, use mock data
-        const mockMovie = {
-          id: parseInt(id),
-          title: ["The Avengers", "Inception", "The Dark Knight", "Toy Story", "The Shawshank Redemption"][parseInt(id) - 1],
-          year: ["2012", "2010", "2008", "1995", "1994"][parseInt(id) - 1],
-          category: ["Action", "Sci-Fi", "Action", "Animation", "Drama"][parseInt(id) - 1],
-          posterUrl: [
-            "https://m.media-amazon.com/images/M/MV5BNDYxNjQyMjAtNTdiOS00NGYwLWFmNTAtNThmYjU5ZGI2YTI1XkEyXkFqcGdeQXVyMTMxODk2OTU@._V1_SX300.jpg",
-            "https://m.media-amazon.com/images/M/MV5BMjAxMzY3NjcxNF5BMl5BanBnXkFtZTcwNTI5OTM0Mw@@._V1_SX300.jpg",
-            "https://m.media-amazon.com/images/M/MV5BMTMxNTMwODM0NF5BMl5BanBnXkFtZTcwODAyMTk2Mw@@._V1_SX300.jpg",
-            "https://m.media-amazon.com/images/M/MV5BMDU2ZWJlMjktMTRhMy00ZTA5LWEzNDgtYmNmZTEwZTViZWJkXkEyXkFqcGdeQXVyNDQ2OTk4MzI@._V1_SX300.jpg",
-            "https://m.media-amazon.com/images/M/MV5BMDFkYTc0MGEtZmNhMC00ZDIzLWFmNTEtODM1ZmRlYWMwMWFmXkEyXkFqcGdeQXVyMTMxODk2OTU@._V1_SX300.jpg"
-          ][parseInt(id) - 1],
-          videoUrl: "https://commondatastorage.googleapis.com/gtv-videos-bucket/sample/BigBuckBunny.mp4", // Sample video
-          introStart: 0,
-          introEnd: [120, 90, 60, 30, 150][parseInt(id) - 1], // Intro end times in seconds
-          outroStart: [7200, 8400, 7800, 4800, 8100][parseInt(id) - 1], // Outro start times in seconds
-          downloaded: true
-        };
-
-        setMovie(mockMovie);
+        const response = await fetch(`${API_BASE_URL}/api/local-movies/${id}`);
+        const data = await response.json();
+
+        if (!response.ok || !data.success) {
+          throw new Error(data.message || 'Failed to load movie');
+        }
+
+        let timestamps = {};
+        let videoUrl = null;
+        if (authService.isAuthenticated()) {
+          // The server only streams to signed-in users, through a signed URL
+          try {
+            const streamingUrl = await streamingService.getStreamingUrl(id);
+            videoUrl = streamingUrl.url;
+          } catch (error) {
+            console.error('Error fetching stream URL:', error);
+          }
+
+          // Apply the user's own marker corrections over the consensus
+          try {
+            const markers = await markerService.getMarkers(id);
+            timestamps = markerService.toTimestamps(markers.effective);
+          } catch (error) {
+            console.error('Error fetching markers:', error);
+          }
+        }
+
+        setMovie({
+          ...data.movie,
+          ...timestamps,
+          videoUrl
+        });
         setLoading(false);
       } catch (error) {
         console.error("Error fetching movie:", error);
@@ -139,7 +151,13 @@ const MoviePlayer = () => {
       setCurrentTime(currentTime);
 
       // Auto-skip intro if enabled in preferences
-      if (preferences.autoSkipIntro && currentTime >= movie.introStart && currentTime < movie.introEnd) {
+      // Timestamps are null until the file has been analyzed
+      if (
+        preferences.autoSkipIntro &&
+        movie.introEnd != null &&
+        currentTime >= (movie.introStart || 0) &&
+        currentTime < movie.introEnd
+      ) {
         videoRef.current.currentTime = movie.introEnd;
 
         // Show notification
@@ -154,7 +172,12 @@ const MoviePlayer = () => {
       }
 
       // Auto-skip outro if enabled in preferences
-      if (preferences.autoSkipOutro && currentTime >= movie.outroStart && currentTime < duration) {
+      if (
+        preferences.autoSkipOutro &&
+        movie.outroStart != null &&
+        currentTime >= movie.outroStart &&
+        currentTime < duration
+      ) {
         videoRef.current.currentTime = duration;
 
         // Show notification
@@ -269,7 +292,7 @@ const MoviePlayer = () => {
   };
 
   // Handle timestamp updates
-  const handleTimestampUpdate = (timestamps) => {
+  const handleTimestampUpdate = async (timestamps) => {
     // Update movie object with new timestamps
     setMovie(prev => ({
       ...prev,
@@ -278,11 +301,17 @@ const MoviePlayer = () => {
       outroStart: timestamps.outroStart
     }));
 
-    // In a real implementation, this would save to the database
-    // For now, just show a success notification
+    let message = 'Timestamps updated successfully';
+    try {
+      await markerService.saveTimestamps(movie.id, timestamps);
+    } catch (error) {
+      console.error('Error saving timestamps:', error);
+      message = 'Timestamps applied locally but could not be saved';
+    }
+
     const notification = document.createElement('div');
     notification.className = 'success-notification';
-    notification.textContent = 'Timestamps updated successfully';
+    notification.textContent = message;
     document.querySelector('.video-container').appendChild(notification);
 
     setTimeout(() => {
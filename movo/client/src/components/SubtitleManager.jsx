@@ -1,11 +1,24 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import subtitleService from '../services/subtitleService';
+import { findActiveCues, parseCueMarkup } from '../utils/subtitleCues';
 import '../App.css';
 
+// Sync moves in half-second steps and is saved once the user stops adjusting
+const OFFSET_STEP_MS = 500;
+const MAX_OFFSET_MS = 10 * 60 * 1000;
+const OFFSET_SAVE_DELAY_MS = 800;
+
+const formatOffset = (offsetMs) => `${offsetMs > 0 ? '+' : ''}${(offsetMs / 1000).toFixed(1)}s`;
+
 const SubtitleManager = ({ videoRef, movieId, preferences }) => {
   const [subtitles, setSubtitles] = useState([]);
   const [selectedSubtitle, setSelectedSubtitle] = useState(null);
-  const [subtitleText, setSubtitleText] = useState('');
+  const [cueIndex, setCueIndex] = useState(null);
+  const [activeCues, setActiveCues] = useState([]);
+  const [offsetMs, setOffsetMs] = useState(0);
   const [showSettings, setShowSettings] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState('');
   const [subtitleStyle, setSubtitleStyle] = useState({
     fontSize: '16px',
     color: '#ffffff',
@@ -13,85 +26,173 @@ const SubtitleManager = ({ videoRef, movieId, preferences }) => {
     fontFamily: 'Arial',
     textShadow: '1px 1px 1px #000'
   });
+  const fileInputRef = useRef(null);
+  const saveOffsetTimer = useRef(null);
 
-  // Available subtitle languages (mock data)
-  const availableSubtitles = [
-    { id: 1, language: 'English', code: 'en', url: '/subtitles/movie1_en.vtt' },
-    { id: 2, language: 'Spanish', code: 'es', url: '/subtitles/movie1_es.vtt' },
-    { id: 3, language: 'French', code: 'fr', url: '/subtitles/movie1_fr.vtt' },
-    { id: 4, language: 'German', code: 'de', url: '/subtitles/movie1_de.vtt' },
-    { id: 5, language: 'Chinese', code: 'zh', url: '/subtitles/movie1_zh.vtt' }
-  ];
-
-  // Mock subtitle data (in a real app, this would be loaded from a VTT file)
-  const mockSubtitles = [
-    { start: 5, end: 8, text: 'Hello, welcome to our movie.' },
-    { start: 10, end: 15, text: 'This is a sample subtitle text.' },
-    { start: 18, end: 22, text: 'Subtitles can be in multiple languages.' },
-    { start: 25, end: 30, text: 'You can customize the appearance of subtitles.' },
-    { start: 35, end: 40, text: 'Subtitles help make content accessible to everyone.' },
-    { start: 45, end: 50, text: 'Thanks for watching our demo!' }
-  ];
-
-  // Load available subtitles for the movie
-  useEffect(() => {
-    // In a real implementation, this would fetch from an API
-    // For now, we'll use the mock data
-    setSubtitles(availableSubtitles);
-    
-    // Auto-select subtitle based on preferences
-    if (preferences && preferences.subtitlesEnabled) {
-      const preferredLanguage = preferences.subtitleLanguage || 'en';
-      const defaultSubtitle = availableSubtitles.find(sub => sub.code === preferredLanguage);
-      if (defaultSubtitle) {
-        setSelectedSubtitle(defaultSubtitle);
-      }
-    }
-  }, [movieId, preferences]);
+  const subtitlesEnabled = Boolean(preferences && preferences.subtitlesEnabled);
+  const preferredLanguage = (preferences && (preferences.subtitlesLanguage || preferences.subtitleLanguage)) || 'en';
 
-  // Handle subtitle display based on video time
+  // Load the title's tracks and pick one in the preferred language
   useEffect(() => {
-    if (!videoRef.current || !selectedSubtitle) return;
-    
-    const handleTimeUpdate = () => {
-      const currentTime = videoRef.current.currentTime;
-      
-      // In a real implementation, this would parse the VTT file
-      // For now, we'll use the mock data
-      const currentSubtitle = mockSubtitles.find(
-        sub => currentTime >= sub.start && currentTime <= sub.end
-      );
-      
-      setSubtitleText(currentSubtitle ? currentSubtitle.text : '');
+    if (!movieId) return;
+    let cancelled = false;
+
+    subtitleService.listSubtitles(movieId)
+      .then((tracks) => {
+        if (cancelled) return;
+        setSubtitles(tracks);
+
+        // Forced tracks only cover foreign dialogue, so a full track is preferred
+        const inLanguage = tracks.filter(track => track.language === preferredLanguage);
+        setSelectedSubtitle(subtitlesEnabled ? inLanguage.find(track => !track.isForced) || inLanguage[0] || null : null);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message || 'Failed to load subtitles');
+      });
+
+    return () => {
+      cancelled = true;
     };
-    
-    videoRef.current.addEventListener('timeupdate', handleTimeUpdate);
-    
+  }, [movieId, subtitlesEnabled, preferredLanguage]);
+
+  // Load the selected track's cues
+  useEffect(() => {
+    setCueIndex(null);
+    setActiveCues([]);
+    if (!selectedSubtitle) return;
+
+    let cancelled = false;
+    setOffsetMs(selectedSubtitle.offsetMs || 0);
+
+    subtitleService.loadCues(selectedSubtitle)
+      .then((index) => {
+        if (!cancelled) setCueIndex(index);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message || 'Failed to load subtitles');
+      });
+
     return () => {
-      if (videoRef.current) {
-        videoRef.current.removeEventListener('timeupdate', handleTimeUpdate);
+      cancelled = true;
+    };
+  }, [selectedSubtitle]);
+
+  // Show the cues for the video's current time
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video || !cueIndex) return;
+
+    let frame = null;
+    let shown = [];
+
+    // Only re-render when the set of cues changes
+    const update = () => {
+      const cues = findActiveCues(cueIndex, video.currentTime, offsetMs);
+      if (cues.length !== shown.length || cues.some((cue, i) => cue !== shown[i])) {
+        shown = cues;
+        setActiveCues(cues);
       }
     };
-  }, [videoRef, selectedSubtitle]);
 
-  // Change subtitle language
+    // timeupdate only fires a few times a second, so follow frames while playing
+    const tick = () => {
+      update();
+      frame = requestAnimationFrame(tick);
+    };
+    const start = () => {
+      if (frame === null) tick();
+    };
+    const stop = () => {
+      cancelAnimationFrame(frame);
+      frame = null;
+      update();
+    };
+
+    video.addEventListener('play', start);
+    video.addEventListener('pause', stop);
+    video.addEventListener('ended', stop);
+    video.addEventListener('seeked', update);
+    video.addEventListener('timeupdate', update);
+    if (video.paused) {
+      update();
+    } else {
+      start();
+    }
+
+    return () => {
+      cancelAnimationFrame(frame);
+      video.removeEventListener('play', start);
+      video.removeEventListener('pause', stop);
+      video.removeEventListener('ended', stop);
+      video.removeEventListener('seeked', update);
+      video.removeEventListener('timeupdate', update);
+    };
+  }, [videoRef, cueIndex, offsetMs]);
+
+  useEffect(() => () => clearTimeout(saveOffsetTimer.current), []);
+
+  // Change subtitle track
   const changeSubtitle = (subtitle) => {
+    setError('');
     setSelectedSubtitle(subtitle);
-    
-    // In a real implementation, this would load the VTT file
-    // For now, we'll just update the selected subtitle
-    
-    // Close the settings panel
     setShowSettings(false);
   };
 
   // Turn off subtitles
   const turnOffSubtitles = () => {
     setSelectedSubtitle(null);
-    setSubtitleText('');
     setShowSettings(false);
   };
 
+  // Shift the track's timing for this account; null resets it
+  const adjustOffset = (deltaMs) => {
+    const track = selectedSubtitle;
+    const next = deltaMs === null ? 0 : Math.max(-MAX_OFFSET_MS, Math.min(MAX_OFFSET_MS, offsetMs + deltaMs));
+    setOffsetMs(next);
+
+    clearTimeout(saveOffsetTimer.current);
+    saveOffsetTimer.current = setTimeout(() => {
+      subtitleService.setOffset(movieId, track.id, next)
+        .then((saved) => {
+          setSubtitles(tracks => tracks.map(item => (item.id === saved.id ? { ...item, offsetMs: saved.offsetMs } : item)));
+        })
+        .catch((err) => setError(err.message || 'Failed to save subtitle timing'));
+    }, OFFSET_SAVE_DELAY_MS);
+  };
+
+  // Upload a subtitle file and switch to it
+  const uploadSubtitle = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (!file) return;
+
+    setUploading(true);
+    setError('');
+    try {
+      const track = await subtitleService.uploadSubtitle(movieId, file);
+      setSubtitles(tracks => [...tracks, track]);
+      setSelectedSubtitle(track);
+    } catch (err) {
+      setError(err.message || 'Failed to upload subtitles');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  // Delete one of the user's uploads
+  const deleteSubtitle = async (subtitle) => {
+    setError('');
+    try {
+      await subtitleService.deleteSubtitle(movieId, subtitle.id);
+      setSubtitles(tracks => tracks.filter(track => track.id !== subtitle.id));
+      if (selectedSubtitle && selectedSubtitle.id === subtitle.id) {
+        setSelectedSubtitle(null);
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to delete subtitles');
+    }
+  };
+
   // Update subtitle style
   const updateStyle = (property, value) => {
     setSubtitleStyle(prev => ({
@@ -103,8 +204,8 @@ const SubtitleManager = ({ videoRef, movieId, preferences }) => {
   return (
     <>
       {/* Subtitle display */}
-      {selectedSubtitle && subtitleText && (
-        <div 
+      {selectedSubtitle && activeCues.length > 0 && (
+        <div
           className="subtitle-container"
           style={{
             fontSize: subtitleStyle.fontSize,
@@ -114,50 +215,115 @@ const SubtitleManager = ({ videoRef, movieId, preferences }) => {
             textShadow: subtitleStyle.textShadow
           }}
         >
-          {subtitleText}
+          {activeCues.map(cue => (
+            <div key={`${cue.start}-${cue.end}-${cue.text}`} className="subtitle-cue">
+              {parseCueMarkup(cue.text).map((runs, lineIndex) => (
+                <React.Fragment key={lineIndex}>
+                  {lineIndex > 0 && <br />}
+                  {runs.map((run, runIndex) => (
+                    <span
+                      key={runIndex}
+                      style={{
+                        fontStyle: run.italic ? 'italic' : undefined,
+                        fontWeight: run.bold ? 'bold' : undefined,
+                        textDecoration: run.underline ? 'underline' : undefined
+                      }}
+                    >
+                      {run.text}
+                    </span>
+                  ))}
+                </React.Fragment>
+              ))}
+            </div>
+          ))}
         </div>
       )}
-      
+
       {/* Subtitle button */}
-      <button 
+      <button
         className="subtitle-btn"
         onClick={() => setShowSettings(!showSettings)}
-        title={selectedSubtitle ? `Subtitles: ${selectedSubtitle.language}` : 'Subtitles Off'}
+        title={selectedSubtitle ? `Subtitles: ${selectedSubtitle.label}` : 'Subtitles Off'}
       >
-        {selectedSubtitle ? 'CC' : 'CC'}
+        CC
       </button>
-      
+
       {/* Subtitle settings panel */}
       {showSettings && (
         <div className="subtitle-settings">
           <h3>Subtitles</h3>
-          
+
           <div className="subtitle-languages">
-            <button 
+            <button
               className={`subtitle-language-btn ${!selectedSubtitle ? 'active' : ''}`}
               onClick={turnOffSubtitles}
             >
               Off
             </button>
-            
+
             {subtitles.map(subtitle => (
-              <button 
-                key={subtitle.id}
-                className={`subtitle-language-btn ${selectedSubtitle && selectedSubtitle.id === subtitle.id ? 'active' : ''}`}
-                onClick={() => changeSubtitle(subtitle)}
-              >
-                {subtitle.language}
-              </button>
+              <span key={subtitle.id} className="subtitle-track">
+                <button
+                  className={`subtitle-language-btn ${selectedSubtitle && selectedSubtitle.id === subtitle.id ? 'active' : ''}`}
+                  onClick={() => changeSubtitle(subtitle)}
+                  title={subtitle.fileName}
+                >
+                  {subtitle.label}
+                </button>
+                {subtitle.isOwn && (
+                  <button
+                    className="subtitle-delete-btn"
+                    onClick={() => deleteSubtitle(subtitle)}
+                    title="Delete your upload"
+                  >
+                    ×
+                  </button>
+                )}
+              </span>
             ))}
           </div>
-          
+
+          <div className="subtitle-upload">
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".srt,.vtt,.ass,.ssa"
+              onChange={uploadSubtitle}
+              hidden
+            />
+            <button
+              className="subtitle-language-btn"
+              onClick={() => fileInputRef.current.click()}
+              disabled={uploading || !movieId}
+            >
+              {uploading ? 'Uploading...' : 'Upload a subtitle file'}
+            </button>
+          </div>
+
+          {error && <div className="subtitle-error">{error}</div>}
+
           {selectedSubtitle && (
             <div className="subtitle-customization">
               <h4>Customize</h4>
-              
+
+              <div className="subtitle-option">
+                <label>Sync ({formatOffset(offsetMs)})</label>
+                <div className="subtitle-offset">
+                  <button onClick={() => adjustOffset(-OFFSET_STEP_MS)} title="Show subtitles earlier">
+                    -0.5s
+                  </button>
+                  <button onClick={() => adjustOffset(null)} disabled={offsetMs === 0}>
+                    Reset
+                  </button>
+                  <button onClick={() => adjustOffset(OFFSET_STEP_MS)} title="Show subtitles later">
+                    +0.5s
+                  </button>
+                </div>
+              </div>
+
               <div className="subtitle-option">
                 <label>Font Size</label>
-                <select 
+                <select
                   value={subtitleStyle.fontSize}
                   onChange={(e) => updateStyle('fontSize', e.target.value)}
                 >
@@ -167,10 +333,10 @@ const SubtitleManager = ({ videoRef, movieId, preferences }) => {
                   <option value="24px">Extra Large</option>
                 </select>
               </div>
-              
+
               <div className="subtitle-option">
                 <label>Font Color</label>
-                <select 
+                <select
                   value={subtitleStyle.color}
                   onChange={(e) => updateStyle('color', e.target.value)}
                 >
@@ -180,10 +346,10 @@ const SubtitleManager = ({ videoRef, movieId, preferences }) => {
                   <option value="#ff0000">Red</option>
                 </select>
               </div>
-              
+
               <div className="subtitle-option">
                 <label>Background</label>
-                <select 
+                <select
                   value={subtitleStyle.backgroundColor}
                   onChange={(e) => updateStyle('backgroundColor', e.target.value)}
                 >
@@ -1,168 +1,239 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { Link } from 'react-router-dom';
+import profileService, { MAX_RATINGS } from '../services/profileService';
 import '../App.css';
 
+const MAX_PROFILES = 5;
+
+// Genres as typed in the edit form, one list for the server
+const parseGenres = (text) => [...new Set(text.split(',').map(genre => genre.trim()).filter(Boolean))];
+
+const isRestricted = (profile) => Boolean(
+  profile && (profile.type === 'child' || profile.parentalControls.maxRating || profile.parentalControls.restrictedGenres.length > 0)
+);
+
 const UserProfiles = ({ onSelectProfile }) => {
   const [profiles, setProfiles] = useState([]);
+  const [currentProfileId, setCurrentProfileId] = useState(null);
+  const [loading, setLoading] = useState(true);
   const [showAddProfile, setShowAddProfile] = useState(false);
   const [newProfileName, setNewProfileName] = useState('');
   const [newProfileType, setNewProfileType] = useState('adult');
+  const [newProfilePin, setNewProfilePin] = useState('');
   const [editingProfile, setEditingProfile] = useState(null);
+  const [pinProfile, setPinProfile] = useState(null);
+  const [pin, setPin] = useState('');
   const [error, setError] = useState('');
 
   // Avatar options
   const avatarOptions = [
-    '👨‍💼', '👩‍💼', '👦', '👧', '👨‍🦰', '👩‍🦰', '👨‍🦱', '👩‍🦱', 
+    '👨‍💼', '👩‍💼', '👦', '👧', '👨‍🦰', '👩‍🦰', '👨‍🦱', '👩‍🦱',
     '👨‍🦲', '👩‍🦲', '👱‍♂️', '👱‍♀️', '🧔', '🧓', '👴', '👵'
   ];
 
-  useEffect(() => {
-    // Load profiles from localStorage
-    const loadProfiles = () => {
-      try {
-        const savedProfiles = localStorage.getItem('userProfiles');
-        if (savedProfiles) {
-          setProfiles(JSON.parse(savedProfiles));
-        } else {
-          // Create default profile if none exist
-          const defaultProfile = {
-            id: 1,
-            name: 'Main Profile',
-            type: 'adult',
-            avatar: '👨‍💼',
-            createdAt: new Date().toISOString(),
-            isDefault: true,
-            parentalControls: {
-              maxRating: 'PG-13',
-              restrictedGenres: []
-            }
-          };
-          setProfiles([defaultProfile]);
-          localStorage.setItem('userProfiles', JSON.stringify([defaultProfile]));
-        }
-      } catch (error) {
-        console.error('Error loading profiles:', error);
-        setError('Failed to load profiles');
-      }
-    };
+  // Load profiles from the account
+  const loadProfiles = useCallback(async () => {
+    try {
+      const data = await profileService.getProfiles();
+      setProfiles(data.profiles);
+      setCurrentProfileId(data.currentProfileId);
+    } catch (error) {
+      console.error('Error loading profiles:', error);
+      setError(error.message || 'Failed to load profiles');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
 
+  useEffect(() => {
     loadProfiles();
-  }, []);
+  }, [loadProfiles]);
+
+  // Restricted profiles can only pick a profile, not change them (the server enforces this too)
+  const currentProfile = profiles.find(profile => profile.id === currentProfileId);
+  const canManage = Boolean(currentProfile) && !isRestricted(currentProfile);
 
-  // Save profiles to localStorage
-  const saveProfiles = (updatedProfiles) => {
+  // Run a change against the server and reload the list
+  const saveChange = async (change, fallbackMessage) => {
     try {
-      localStorage.setItem('userProfiles', JSON.stringify(updatedProfiles));
-      setProfiles(updatedProfiles);
+      await change();
+      setError('');
+      await loadProfiles();
+      return true;
     } catch (error) {
-      console.error('Error saving profiles:', error);
-      setError('Failed to save profile changes');
+      console.error(fallbackMessage, error);
+      setError(error.message || fallbackMessage);
+      return false;
     }
   };
 
   // Add new profile
-  const handleAddProfile = () => {
+  const handleAddProfile = async () => {
     if (!newProfileName.trim()) {
       setError('Profile name cannot be empty');
       return;
     }
 
-    if (profiles.length >= 5) {
-      setError('Maximum of 5 profiles allowed');
-      return;
-    }
-
-    if (profiles.some(profile => profile.name.toLowerCase() === newProfileName.toLowerCase())) {
-      setError('Profile name already exists');
+    if (newProfilePin && !/^\d{4,8}$/.test(newProfilePin)) {
+      setError('PIN must be 4 to 8 digits');
       return;
     }
 
-    const newProfile = {
-      id: Date.now(),
-      name: newProfileName,
-      type: newProfileType,
-      avatar: avatarOptions[Math.floor(Math.random() * avatarOptions.length)],
-      createdAt: new Date().toISOString(),
-      isDefault: false,
-      parentalControls: {
-        maxRating: newProfileType === 'child' ? 'G' : 'PG-13',
-        restrictedGenres: newProfileType === 'child' ? ['Horror', 'Thriller'] : []
-      }
-    };
+    // Child profiles get child-safe parental controls from the server
+    const saved = await saveChange(
+      () => profileService.createProfile({
+        name: newProfileName.trim(),
+        type: newProfileType,
+        avatar: avatarOptions[Math.floor(Math.random() * avatarOptions.length)],
+        ...(newProfilePin ? { pin: newProfilePin } : {})
+      }),
+      'Failed to create profile'
+    );
 
-    const updatedProfiles = [...profiles, newProfile];
-    saveProfiles(updatedProfiles);
-    setNewProfileName('');
-    setNewProfileType('adult');
-    setShowAddProfile(false);
-    setError('');
+    if (saved) {
+      setNewProfileName('');
+      setNewProfileType('adult');
+      setNewProfilePin('');
+      setShowAddProfile(false);
+    }
   };
 
   // Edit profile
   const handleEditProfile = (profile) => {
-    setEditingProfile({ ...profile });
+    setEditingProfile({
+      ...profile,
+      maxRating: profile.parentalControls.maxRating || '',
+      restrictedGenres: profile.parentalControls.restrictedGenres.join(', '),
+      pin: '',
+      removePin: false
+    });
   };
 
   // Save edited profile
-  const handleSaveEdit = () => {
+  const handleSaveEdit = async () => {
     if (!editingProfile.name.trim()) {
       setError('Profile name cannot be empty');
       return;
     }
 
-    if (profiles.some(p => p.id !== editingProfile.id && p.name.toLowerCase() === editingProfile.name.toLowerCase())) {
-      setError('Profile name already exists');
+    if (editingProfile.pin && !/^\d{4,8}$/.test(editingProfile.pin)) {
+      setError('PIN must be 4 to 8 digits');
       return;
     }
 
-    const updatedProfiles = profiles.map(profile => 
-      profile.id === editingProfile.id ? editingProfile : profile
+    const changes = {
+      name: editingProfile.name.trim(),
+      avatar: editingProfile.avatar,
+      type: editingProfile.type,
+      parentalControls: {
+        maxRating: editingProfile.maxRating || null,
+        restrictedGenres: parseGenres(editingProfile.restrictedGenres)
+      }
+    };
+    if (editingProfile.removePin) {
+      changes.pin = null;
+    } else if (editingProfile.pin) {
+      changes.pin = editingProfile.pin;
+    }
+
+    const saved = await saveChange(
+      () => profileService.updateProfile(editingProfile.id, changes),
+      'Failed to save profile changes'
     );
-    
-    saveProfiles(updatedProfiles);
-    setEditingProfile(null);
-    setError('');
+    if (saved) {
+      setEditingProfile(null);
+    }
   };
 
   // Delete profile
-  const handleDeleteProfile = (profileId) => {
-    if (profiles.length <= 1) {
-      setError('Cannot delete the only profile');
+  const handleDeleteProfile = (profile) => {
+    if (profile.isDefault) {
+      setError('Cannot delete the default profile');
       return;
     }
 
-    if (profiles.find(p => p.id === profileId).isDefault) {
-      setError('Cannot delete the default profile');
+    if (!window.confirm(`Delete ${profile.name}? Their watch history and settings will be removed.`)) {
       return;
     }
 
-    const updatedProfiles = profiles.filter(profile => profile.id !== profileId);
-    saveProfiles(updatedProfiles);
+    saveChange(() => profileService.deleteProfile(profile.id), 'Failed to delete profile');
   };
 
   // Set as default profile
   const handleSetDefault = (profileId) => {
-    const updatedProfiles = profiles.map(profile => ({
-      ...profile,
-      isDefault: profile.id === profileId
-    }));
-    
-    saveProfiles(updatedProfiles);
+    saveChange(() => profileService.updateProfile(profileId, { isDefault: true }), 'Failed to set default profile');
+  };
+
+  // Switch to a profile, asking for its PIN first when it has one
+  const switchToProfile = async (profile, profilePin) => {
+    try {
+      const selected = await profileService.selectProfile(profile.id, profilePin);
+      setPinProfile(null);
+      setPin('');
+      setError('');
+      if (onSelectProfile) {
+        onSelectProfile(selected);
+      }
+    } catch (error) {
+      console.error('Error selecting profile:', error);
+      setError(error.message || 'Failed to switch profile');
+    }
   };
 
   // Select profile and continue
   const handleSelectProfile = (profile) => {
-    if (onSelectProfile) {
-      onSelectProfile(profile);
+    if (profile.hasPin) {
+      setPinProfile(profile);
+      setPin('');
+      setError('');
+      return;
     }
+    switchToProfile(profile);
   };
 
+  const handleSubmitPin = (e) => {
+    e.preventDefault();
+    switchToProfile(pinProfile, pin);
+  };
+
+  if (loading) {
+    return (
+      <div className="profiles-container">
+        <h1 className="profiles-title">Who's Watching?</h1>
+      </div>
+    );
+  }
+
   return (
     <div className="profiles-container">
       <h1 className="profiles-title">Who's Watching?</h1>
-      
+
       {error && <div className="profiles-error">{error}</div>}
-      
+
+      {/* PIN prompt */}
+      {pinProfile && (
+        <form className="add-profile-form" onSubmit={handleSubmitPin}>
+          <h2>Enter the PIN for {pinProfile.name}</h2>
+
+          <input
+            type="password"
+            inputMode="numeric"
+            autoComplete="off"
+            maxLength={8}
+            value={pin}
+            onChange={(e) => setPin(e.target.value.replace(/\D/g, ''))}
+            placeholder="PIN"
+            className="profile-input"
+            autoFocus
+          />
+
+          <div className="profile-form-actions">
+            <button type="submit" className="profile-save-btn" disabled={pin.length < 4}>Continue</button>
+            <button type="button" onClick={() => setPinProfile(null)} className="profile-cancel-btn">Cancel</button>
+          </div>
+        </form>
+      )}
+
       <div className="profiles-grid">
         {profiles.map(profile => (
           <div key={profile.id} className="profile-item">
@@ -173,7 +244,7 @@ const UserProfiles = ({ onSelectProfile }) => {
                   <span className="current-avatar">{editingProfile.avatar}</span>
                   <div className="avatar-options">
                     {avatarOptions.map((avatar, index) => (
-                      <button 
+                      <button
                         key={index}
                         className="avatar-option"
                         onClick={() => setEditingProfile({...editingProfile, avatar})}
@@ -183,7 +254,7 @@ const UserProfiles = ({ onSelectProfile }) => {
                     ))}
                   </div>
                 </div>
-                
+
                 <input
                   type="text"
                   value={editingProfile.name}
@@ -191,24 +262,63 @@ const UserProfiles = ({ onSelectProfile }) => {
                   placeholder="Profile Name"
                   className="profile-input"
                 />
-                
-                <select 
+
+                <select
                   value={editingProfile.type}
                   onChange={(e) => setEditingProfile({
-                    ...editingProfile, 
+                    ...editingProfile,
                     type: e.target.value,
-                    parentalControls: {
-                      ...editingProfile.parentalControls,
-                      maxRating: e.target.value === 'child' ? 'G' : 'PG-13',
-                      restrictedGenres: e.target.value === 'child' ? ['Horror', 'Thriller'] : []
-                    }
+                    ...(e.target.value === 'child' ? { maxRating: 'G', restrictedGenres: 'Horror, Thriller' } : {})
                   })}
                   className="profile-select"
                 >
                   <option value="adult">Adult</option>
                   <option value="child">Child</option>
                 </select>
-                
+
+                {/* Parental controls */}
+                <select
+                  value={editingProfile.maxRating}
+                  onChange={(e) => setEditingProfile({...editingProfile, maxRating: e.target.value})}
+                  className="profile-select"
+                >
+                  <option value="">Any rating</option>
+                  {MAX_RATINGS.map(rating => (
+                    <option key={rating} value={rating}>Up to {rating}</option>
+                  ))}
+                </select>
+
+                <input
+                  type="text"
+                  value={editingProfile.restrictedGenres}
+                  onChange={(e) => setEditingProfile({...editingProfile, restrictedGenres: e.target.value})}
+                  placeholder="Blocked genres, e.g. Horror, Thriller"
+                  className="profile-input"
+                />
+
+                <input
+                  type="password"
+                  inputMode="numeric"
+                  autoComplete="new-password"
+                  maxLength={8}
+                  value={editingProfile.pin}
+                  disabled={editingProfile.removePin}
+                  onChange={(e) => setEditingProfile({...editingProfile, pin: e.target.value.replace(/\D/g, '')})}
+                  placeholder={profile.hasPin ? 'New PIN' : 'PIN (optional)'}
+                  className="profile-input"
+                />
+
+                {profile.hasPin && (
+                  <label className="profile-remove-pin">
+                    <input
+                      type="checkbox"
+                      checked={editingProfile.removePin}
+                      onChange={(e) => setEditingProfile({...editingProfile, removePin: e.target.checked, pin: ''})}
+                    />
+                    Remove PIN
+                  </label>
+                )}
+
                 <div className="profile-actions">
                   <button onClick={handleSaveEdit} className="profile-save-btn">Save</button>
                   <button onClick={() => setEditingProfile(null)} className="profile-cancel-btn">Cancel</button>
@@ -217,35 +327,38 @@ const UserProfiles = ({ onSelectProfile }) => {
             ) : (
               // View mode
               <>
-                <button 
+                <button
                   className="profile-avatar"
                   onClick={() => handleSelectProfile(profile)}
                 >
-                  {profile.avatar}
+                  {profile.avatar || '👤'}
                   {profile.isDefault && <span className="default-badge">✓</span>}
                   {profile.type === 'child' && <span className="child-badge">👶</span>}
+                  {profile.hasPin && <span className="pin-badge">🔒</span>}
                 </button>
-                
+
                 <div className="profile-name">{profile.name}</div>
-                
-                <div className="profile-actions">
-                  <button onClick={() => handleEditProfile(profile)} className="profile-edit-btn">Edit</button>
-                  {!profile.isDefault && (
-                    <>
-                      <button onClick={() => handleSetDefault(profile.id)} className="profile-default-btn">Set Default</button>
-                      <button onClick={() => handleDeleteProfile(profile.id)} className="profile-delete-btn">Delete</button>
-                    </>
-                  )}
-                </div>
+
+                {canManage && (
+                  <div className="profile-actions">
+                    <button onClick={() => handleEditProfile(profile)} className="profile-edit-btn">Edit</button>
+                    {!profile.isDefault && (
+                      <>
+                        <button onClick={() => handleSetDefault(profile.id)} className="profile-default-btn">Set Default</button>
+                        <button onClick={() => handleDeleteProfile(profile)} className="profile-delete-btn">Delete</button>
+                      </>
+                    )}
+                  </div>
+                )}
               </>
             )}
           </div>
         ))}
-        
+
         {/* Add profile button */}
-        {!showAddProfile && profiles.length < 5 && (
+        {canManage && !showAddProfile && profiles.length < MAX_PROFILES && (
           <div className="profile-item add-profile">
-            <button 
+            <button
               className="add-profile-btn"
               onClick={() => setShowAddProfile(true)}
             >
@@ -255,12 +368,12 @@ const UserProfiles = ({ onSelectProfile }) => {
           </div>
         )}
       </div>
-      
+
       {/* Add profile form */}
       {showAddProfile && (
         <div className="add-profile-form">
           <h2>Create Profile</h2>
-          
+
           <input
             type="text"
             value={newProfileName}
@@ -268,8 +381,8 @@ const UserProfiles = ({ onSelectProfile }) => {
             placeholder="Profile Name"
             className="profile-input"
           />
-          
-          <select 
+
+          <select
             value={newProfileType}
             onChange={(e) => setNewProfileType(e.target.value)}
             className="profile-select"
@@ -277,14 +390,25 @@ const UserProfiles = ({ onSelectProfile }) => {
             <option value="adult">Adult</option>
             <option value="child">Child</option>
           </select>
-          
+
+          <input
+            type="password"
+            inputMode="numeric"
+            autoComplete="new-password"
+            maxLength={8}
+            value={newProfilePin}
+            onChange={(e) => setNewProfilePin(e.target.value.replace(/\D/g, ''))}
+            placeholder="PIN (optional)"
+            className="profile-input"
+          />
+
           <div className="profile-form-actions">
             <button onClick={handleAddProfile} className="profile-save-btn">Create Profile</button>
             <button onClick={() => setShowAddProfile(false)} className="profile-cancel-btn">Cancel</button>
           </div>
         </div>
       )}
-      
+
       <div className="profiles-footer">
         <Link to="/preferences" className="profiles-settings-link">Manage Profiles</Link>
       </div>
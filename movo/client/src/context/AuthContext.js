@@ -8,6 +8,7 @@
 
 import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import authService, { AUTH_EVENTS } from '../services/authService';
+import preferencesService from '../services/preferencesService';
 
 // Create context
 const AuthContext = createContext(null);
@@ -33,6 +34,9 @@ export const AuthProvider = ({ children }) => {
           setUser(authService.getCurrentUser());
           setIsAuthenticated(true);
           
+          // Settings saved with the account replace this device's copy
+          preferencesService.load();
+          
           // Fetch fresh user info from server
           try {
             const freshUser = await authService.getUserInfo();
@@ -141,6 +145,52 @@ export const AuthProvider = ({ children }) => {
     }
   }, []);
 
+  // Password reset and email verification
+  const requestPasswordReset = useCallback(async (email) => {
+    try {
+      setError(null);
+      return await authService.requestPasswordReset(email);
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, []);
+
+  const resetPassword = useCallback(async (token, password, confirmPassword) => {
+    try {
+      setError(null);
+      return await authService.resetPassword(token, password, confirmPassword);
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, []);
+
+  const verifyEmail = useCallback(async (token) => {
+    try {
+      setError(null);
+      const verified = await authService.verifyEmail(token);
+      const current = authService.getCurrentUser();
+      if (current) {
+        setUser(current);
+      }
+      return verified;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, []);
+
+  const resendVerification = useCallback(async (email) => {
+    try {
+      setError(null);
+      return await authService.resendVerification(email);
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, []);
+
   // Update profile function
   const updateProfile = useCallback(async (profileData) => {
     try {
@@ -184,6 +234,10 @@ export const AuthProvider = ({ children }) => {
     register,
     logout,
     changePassword,
+    requestPasswordReset,
+    resetPassword,
+    verifyEmail,
+    resendVerification,
     updateProfile,
     refreshUser,
     clearError,
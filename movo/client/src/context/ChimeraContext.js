@@ -1,6 +1,8 @@
-import React, { createContext, useContext, useCallback } from 'react';
+import React, { createContext, useContext, useCallback, useEffect, useRef } from 'react';
 import PropTypes from 'prop-types';
 import useLocalStorage from '../hooks/useLocalStorage';
+import authService from '../services/authService';
+import preferencesService from '../services/preferencesService';
 
 /**
  * Context for managing Chimera mode (switching between streaming and local content)
@@ -14,28 +16,48 @@ const ChimeraContext = createContext();
  * Provider component for Chimera mode context
  */
 export const ChimeraProvider = ({ children }) => {
-  // Use localStorage to persist Chimera mode state
+  // Use localStorage to persist Chimera mode state; signed-in users take
+  // the mode saved with their account
   const [isStreamingMode, setIsStreamingMode] = useLocalStorage('chimeraMode', true);
   const [autoSwitch, setAutoSwitch] = useLocalStorage('chimeraAutoSwitch', true);
   const [lastSwitch, setLastSwitch] = useLocalStorage('chimeraLastSwitch', null);
 
-  /**
-   * Toggle between streaming and local mode
-   */
-  const toggleMode = useCallback(() => {
-    setIsStreamingMode(prevMode => !prevMode);
-    setLastSwitch(new Date().toISOString());
-  }, [setIsStreamingMode, setLastSwitch]);
+  // useLocalStorage hands out a new setter on every render
+  const setIsStreamingModeRef = useRef(setIsStreamingMode);
+  setIsStreamingModeRef.current = setIsStreamingMode;
+
+  useEffect(() => {
+    const handlePreferences = ({ preferences }) => {
+      setIsStreamingModeRef.current(preferences.chimeraMode);
+    };
+
+    preferencesService.addListener(handlePreferences);
+    if (authService.isAuthenticated()) {
+      preferencesService.load();
+    }
+
+    return () => {
+      preferencesService.removeListener(handlePreferences);
+    };
+  }, []);
 
   /**
-   * Set specific mode
+   * Set specific mode and save it to the account
    * @param {boolean} isStreaming - Whether to use streaming mode
    */
   const setMode = useCallback((isStreaming) => {
     setIsStreamingMode(isStreaming);
     setLastSwitch(new Date().toISOString());
+    preferencesService.pushPreferences({ chimeraMode: isStreaming });
   }, [setIsStreamingMode, setLastSwitch]);
 
+  /**
+   * Toggle between streaming and local mode
+   */
+  const toggleMode = useCallback(() => {
+    setMode(!isStreamingMode);
+  }, [isStreamingMode, setMode]);
+
   /**
    * Toggle auto-switch setting
    */
@@ -45,6 +67,7 @@ export const ChimeraProvider = ({ children }) => {
 
   /**
    * Auto-switch to local mode based on network conditions
+   * Only this device is switched; the account keeps the chosen mode.
    * @param {Object} networkInfo - Network information
    */
   const autoSwitchBasedOnNetwork = useCallback((networkInfo) => {
@@ -386,7 +386,7 @@ export class WatchProgress {
    */
   static fromApiResponse(data) {
     return new WatchProgress(
-      data.media_id,
+      data.media_id || data.movieId,
       data.position,
       data.duration,
       data.timestamp,
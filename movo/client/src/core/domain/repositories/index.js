@@ -299,7 +299,7 @@ export class StreamingRepository {
    * Get streaming URL
    * @param {string} mediaId - Media ID
    * @param {string} quality - Streaming quality
-   * @returns {Promise<string>} Streaming URL
+   * @returns {Promise<{url: string, token: string, expiresAt: string, quality: string, hlsUrl: string|null, availableQualities: string[]}>} Signed streaming URL
    */
   async getStreamingUrl(mediaId, quality) {
     throw new Error('Method not implemented');
@@ -366,6 +366,60 @@ export class DownloadRepository {
   }
 }
 
+/**
+ * Review repository interface
+ */
+export class ReviewRepository {
+  /**
+   * Get a page of reviews for media
+   * @param {string} mediaId - Media ID
+   * @param {number} page - Page number (1-based)
+   * @param {number} limit - Reviews per page
+   * @param {string} sort - 'recent', 'top' or 'helpful'
+   * @returns {Promise<{reviews: Object[], totalCount: number, hasMore: boolean}>} Reviews page
+   */
+  async getReviewsByMedia(mediaId, page, limit, sort) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Add a review
+   * @param {Object} review - { mediaId, rating, content, isSpoiler }
+   * @returns {Promise<Object>} Created review
+   */
+  async addReview(review) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Update a review
+   * @param {string} reviewId - Review ID
+   * @param {Object} changes - Fields to update
+   * @returns {Promise<Object>} Updated review
+   */
+  async updateReview(reviewId, changes) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Delete a review
+   * @param {string} reviewId - Review ID
+   * @returns {Promise<boolean>} Whether deletion was successful
+   */
+  async deleteReview(reviewId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Like or unlike a review
+   * @param {Object} like - { reviewId, isLiked }
+   * @returns {Promise<Object>} Updated review
+   */
+  async likeReview(like) {
+    throw new Error('Method not implemented');
+  }
+}
+
 /**
  * Analytics repository interface
  */
@@ -431,6 +485,8 @@ export class RepositoryFactory {
         return new StreamingRepository();
       case 'DownloadRepository':
         return new DownloadRepository();
+      case 'ReviewRepository':
+        return new ReviewRepository();
       case 'AnalyticsRepository':
         return new AnalyticsRepository();
       default:
@@ -0,0 +1,36 @@
+/**
+ * Authenticated requests to the Movo server
+ * Shared by the repositories that talk to the server's /api endpoints
+ *
+ * @author zophlic
+ */
+
+import { ApiError } from '../errors/ErrorHandlingService';
+import authService from '../../../services/authService';
+
+/**
+ * Send a request with the signed-in user's credentials
+ * Failures are rethrown as ApiError carrying the server's message.
+ * @param {Function} send - Receives the API client and returns its request
+ * @returns {Promise<any>} The response's data
+ */
+export const authenticatedRequest = async (send) => {
+  try {
+    const response = await send(authService.getApiClient());
+    return response.data.data;
+  } catch (error) {
+    if (!error.response) {
+      throw error;
+    }
+    const { status, statusText, data } = error.response;
+    throw new ApiError(data?.error?.message || `API error: ${status} ${statusText}`, {
+      status,
+      statusText,
+      code: data?.error?.code,
+      response: data,
+      cause: error
+    });
+  }
+};
+
+export default authenticatedRequest;
@@ -5,6 +5,9 @@
  * @author zophlic
  */
 
+import reviewRepository from '../repositories/ReviewRepositoryImpl';
+import downloadRepository from '../repositories/DownloadRepositoryImpl';
+
 /**
  * Dependency injection container class
  */
@@ -116,4 +119,8 @@ export class Container {
 // Create singleton instance
 const container = new Container();
 
+// Repositories backed by the Movo server
+container.register('ReviewRepository', reviewRepository);
+container.register('DownloadRepository', downloadRepository);
+
 export default container;
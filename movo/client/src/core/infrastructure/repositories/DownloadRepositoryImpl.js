@@ -0,0 +1,622 @@
+/**
+ * Download Repository Implementation for Movo
+ * Implements the DownloadRepository interface against the server's
+ * /api/downloads endpoints. The server prepares each download as a bundle of
+ * files (video, subtitles, poster, metadata); this device fetches them in
+ * ranged chunks, stores the chunks in IndexedDB and reports how many bytes it
+ * holds. A transfer that stops, because it was paused, the page closed or the
+ * connection dropped, carries on from the last stored chunk.
+ *
+ * @author zophlic
+ */
+
+import { DownloadRepository } from '../../domain/repositories';
+import { authenticatedRequest } from '../api/authenticatedRequest';
+import authService from '../../../services/authService';
+import loggingService from '../logging/LoggingService';
+
+const OFFLINE_DB_NAME = 'movo-offline';
+const DOWNLOADS_STORE = 'downloads';
+const CHUNKS_STORE = 'chunks';
+
+// How often to ask whether the server has finished preparing a bundle
+const PREPARE_POLL_MS = 5000;
+
+let databasePromise = null;
+
+const openOfflineDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(OFFLINE_DB_NAME, 1);
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve(request.result);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(DOWNLOADS_STORE, { keyPath: 'id' });
+        // One Blob per chunk, keyed [downloadId, fileId, index]
+        request.result.createObjectStore(CHUNKS_STORE, { keyPath: ['downloadId', 'fileId', 'index'] });
+      };
+    });
+    databasePromise.catch(() => {
+      databasePromise = null;
+    });
+  }
+  return databasePromise;
+};
+
+const runTransaction = async (storeName, mode, action) => {
+  const db = await openOfflineDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = action(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+// Arrays sort after numbers, so [id, []] bounds every key that starts with id
+const downloadChunks = (downloadId) => IDBKeyRange.bound([downloadId], [downloadId, []]);
+const fileChunks = (downloadId, fileId) => IDBKeyRange.bound([downloadId, fileId], [downloadId, fileId, []]);
+
+// The HTTP status of a failed request; 0 or undefined when the server wasn't reached
+const statusOf = (error) => error.status || error.statusCode;
+
+/**
+ * Convert a server download, and what this device has stored of it, to the
+ * shape the download components use
+ * @param {Object} download - Download from the API
+ * @param {Object|null} record - This device's record of it
+ * @returns {Object} Download
+ */
+const toDownload = (download, record) => {
+  const size = download.size || 0;
+  const bytesReceived = record ? record.bytesReceived : 0;
+  return {
+    id: download.id,
+    mediaId: String(download.movieId),
+    title: download.title,
+    posterUrl: download.posterUrl,
+    quality: download.quality,
+    status: record && record.error ? 'failed' : download.status,
+    ready: download.ready,
+    size,
+    bytesReceived,
+    progress: size > 0 ? Math.min(100, (bytesReceived / size) * 100) : 0,
+    error: (record && record.error) || download.error,
+    // Whether this device holds any of it; downloads belong to the account
+    stored: Boolean(record),
+    files: download.files || [],
+    createdAt: download.createdAt,
+    completedAt: record ? record.completedAt : null
+  };
+};
+
+/**
+ * Download repository implementation class
+ */
+export class DownloadRepositoryImpl extends DownloadRepository {
+  constructor() {
+    super();
+    this.maxConcurrent = 2;
+    // Download ID -> download, as last reported to listeners
+    this.downloads = new Map();
+    // Download ID -> AbortController of its running transfer
+    this.transfers = new Map();
+    this.waiting = [];
+    this.listeners = new Set();
+    this.pollTimer = null;
+
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', () => {
+        this.getAllDownloads().catch(() => {});
+      });
+    }
+  }
+
+  /**
+   * Listen for changes to any download, including transfer progress
+   * @param {Function} listener - Receives every download
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Limit how many downloads transfer at once
+   * @param {number} maxConcurrent - Simultaneous transfers
+   */
+  setMaxConcurrent(maxConcurrent) {
+    this.maxConcurrent = Math.max(1, maxConcurrent);
+    this._drain();
+  }
+
+  /**
+   * Start download
+   * The server prepares the bundle first; the transfer starts once it is ready.
+   * @param {string} mediaId - Media ID
+   * @param {string} quality - 'SD', 'HD' or '4K', or a stream quality; the
+   *   profile's download quality when omitted
+   * @returns {Promise<{downloadId: string, progress: number}>} Download info
+   */
+  async startDownload(mediaId, quality) {
+    try {
+      const download = await authenticatedRequest((client) => client.post('/api/downloads', {
+        movieId: Number(mediaId),
+        ...(quality ? { quality } : {})
+      }));
+
+      // Ask the browser not to evict stored chunks when space runs low
+      if (navigator.storage && navigator.storage.persist) {
+        navigator.storage.persist().catch(() => {});
+      }
+
+      const record = await this._ensureRecord(download);
+      this._update(download, record);
+      this._scheduleIfReady(download);
+
+      return {
+        downloadId: download.id,
+        progress: this.downloads.get(download.id).progress
+      };
+    } catch (error) {
+      loggingService.error(`Failed to start download for media: ${mediaId}`, { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Pause a download; its stored chunks are kept
+   * @param {string} downloadId - Download ID
+   * @returns {Promise<Object>} Download
+   */
+  async pauseDownload(downloadId) {
+    try {
+      this._stopTransfer(downloadId);
+      const download = await authenticatedRequest((client) => client.post(`/api/downloads/${downloadId}/pause`));
+      return this._update(download, await this._getRecord(downloadId));
+    } catch (error) {
+      loggingService.error(`Failed to pause download: ${downloadId}`, { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Resume a paused or failed download, or fetch one started on another device
+   * @param {string} downloadId - Download ID
+   * @returns {Promise<Object>} Download
+   */
+  async resumeDownload(downloadId) {
+    try {
+      let download = await authenticatedRequest((client) => client.get(`/api/downloads/${downloadId}`));
+      if (download.status === 'paused' || download.status === 'failed') {
+        download = await authenticatedRequest((client) => client.post(`/api/downloads/${downloadId}/resume`));
+      }
+
+      const record = await this._ensureRecord(download);
+      if (record.error) {
+        record.error = null;
+        await this._putRecord(record);
+      }
+      this._scheduleIfReady(download);
+      return this._update(download, record);
+    } catch (error) {
+      loggingService.error(`Failed to resume download: ${downloadId}`, { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel download
+   * The download is deleted on the server and its chunks on this device.
+   * @param {string} downloadId - Download ID
+   * @returns {Promise<boolean>} Whether cancellation was successful
+   */
+  async cancelDownload(downloadId) {
+    try {
+      this._stopTransfer(downloadId);
+      try {
+        await authenticatedRequest((client) => client.delete(`/api/downloads/${downloadId}`));
+      } catch (error) {
+        // Already deleted, from another device
+        if (statusOf(error) !== 404) {
+          throw error;
+        }
+      }
+      await this._deleteLocal(downloadId);
+      return true;
+    } catch (error) {
+      loggingService.error(`Failed to cancel download: ${downloadId}`, { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Get download progress
+   * Progress is what this device has stored. While offline, the last known
+   * status is returned.
+   * @param {string} downloadId - Download ID
+   * @returns {Promise<{progress: number, status: string}>} Download progress
+   */
+  async getDownloadProgress(downloadId) {
+    try {
+      let download;
+      try {
+        const serverDownload = await authenticatedRequest((client) => client.get(`/api/downloads/${downloadId}`));
+        download = this._update(serverDownload, await this._getRecord(downloadId));
+      } catch (error) {
+        const record = await this._getRecord(downloadId);
+        if (statusOf(error) || !record) {
+          throw error;
+        }
+        download = toDownload(record.download, record);
+      }
+
+      return {
+        progress: download.progress,
+        status: download.status
+      };
+    } catch (error) {
+      loggingService.error(`Failed to get download progress: ${downloadId}`, { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Get all downloads
+   * Transfers that stopped are carried on. While offline, the downloads
+   * stored on this device are returned.
+   * @returns {Promise<Array<{id: string, mediaId: string, progress: number, status: string}>>} Downloads
+   */
+  async getAllDownloads() {
+    try {
+      const records = await runTransaction(DOWNLOADS_STORE, 'readonly', (store) => store.getAll());
+      const recordsById = new Map(records.map((record) => [record.id, record]));
+
+      let serverDownloads;
+      try {
+        ({ downloads: serverDownloads } = await authenticatedRequest((client) => client.get('/api/downloads')));
+      } catch (error) {
+        if (statusOf(error)) {
+          throw error;
+        }
+        const downloads = records.map((record) => toDownload(record.download, record));
+        this.downloads = new Map(downloads.map((download) => [download.id, download]));
+        this._notify();
+        return downloads;
+      }
+
+      // Deleted from another device
+      const listed = new Set(serverDownloads.map((download) => download.id));
+      for (const record of records) {
+        if (!listed.has(record.id)) {
+          this._stopTransfer(record.id);
+          await this._deleteLocal(record.id, false);
+        }
+      }
+
+      const previous = this.downloads;
+      this.downloads = new Map();
+      for (const download of serverDownloads) {
+        // Running transfers keep their own record up to date
+        if (this.transfers.has(download.id) && previous.has(download.id)) {
+          this.downloads.set(download.id, previous.get(download.id));
+          continue;
+        }
+
+        const record = recordsById.get(download.id) || null;
+        if (record) {
+          record.download = download;
+          await this._putRecord(record);
+        }
+        this.downloads.set(download.id, toDownload(download, record));
+        if (record && !record.error && download.status === 'downloading') {
+          this._scheduleIfReady(download);
+        }
+      }
+      this._notify();
+      this._pollPreparing();
+
+      return Array.from(this.downloads.values());
+    } catch (error) {
+      loggingService.error('Failed to get downloads', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete downloaded media
+   * Every download of the media is cancelled and its chunks deleted.
+   * @param {string} mediaId - Media ID
+   * @returns {Promise<boolean>} Whether deletion was successful
+   */
+  async deleteDownloadedMedia(mediaId) {
+    try {
+      const downloads = await this.getAllDownloads();
+      for (const download of downloads.filter((candidate) => candidate.mediaId === String(mediaId))) {
+        await this.cancelDownload(download.id);
+      }
+      return true;
+    } catch (error) {
+      loggingService.error(`Failed to delete downloaded media: ${mediaId}`, { error });
+      throw error;
+    }
+  }
+
+  /**
+   * A stored file of a completed download, for playing offline
+   * @param {string} downloadId - Download ID
+   * @param {number} fileId - File ID from the download's files
+   * @returns {Promise<Blob|null>} The file, or null when it isn't fully stored
+   */
+  async getOfflineFile(downloadId, fileId) {
+    const record = await this._getRecord(downloadId);
+    const file = record && record.download.files.find((candidate) => candidate.id === fileId);
+    if (!file) {
+      return null;
+    }
+
+    const chunks = await runTransaction(CHUNKS_STORE, 'readonly', (store) => store.getAll(fileChunks(downloadId, fileId)));
+    if (chunks.length !== Math.ceil(file.size / record.chunkSize)) {
+      return null;
+    }
+    return new Blob(chunks.map((chunk) => chunk.blob), { type: file.contentType });
+  }
+
+  /**
+   * @private
+   */
+  async _getRecord(downloadId) {
+    return (await runTransaction(DOWNLOADS_STORE, 'readonly', (store) => store.get(downloadId))) || null;
+  }
+
+  /**
+   * @private
+   */
+  async _putRecord(record) {
+    await runTransaction(DOWNLOADS_STORE, 'readwrite', (store) => store.put(record));
+  }
+
+  /**
+   * This device's record of a download, created when it starts fetching it
+   * The chunk size is fixed then, so stored chunks stay valid.
+   * @private
+   */
+  async _ensureRecord(download) {
+    const record = await this._getRecord(download.id);
+    if (record) {
+      record.download = download;
+      await this._putRecord(record);
+      return record;
+    }
+
+    const created = {
+      id: download.id,
+      download,
+      chunkSize: download.chunkSize,
+      bytesReceived: 0,
+      error: null,
+      completedAt: null
+    };
+    await this._putRecord(created);
+    return created;
+  }
+
+  /**
+   * @private
+   */
+  async _deleteLocal(downloadId, notify = true) {
+    await runTransaction(CHUNKS_STORE, 'readwrite', (store) => store.delete(downloadChunks(downloadId)));
+    await runTransaction(DOWNLOADS_STORE, 'readwrite', (store) => store.delete(downloadId));
+    this.downloads.delete(downloadId);
+    if (notify) {
+      this._notify();
+    }
+  }
+
+  /**
+   * Record a download's new state and tell listeners
+   * @private
+   */
+  _update(download, record) {
+    const updated = toDownload(download, record);
+    this.downloads.set(download.id, updated);
+    this._notify();
+    this._pollPreparing();
+    return updated;
+  }
+
+  /**
+   * @private
+   */
+  _notify() {
+    const downloads = Array.from(this.downloads.values());
+    this.listeners.forEach((listener) => listener(downloads));
+  }
+
+  /**
+   * Check again for bundles the server is still preparing
+   * @private
+   */
+  _pollPreparing() {
+    const preparing = Array.from(this.downloads.values()).some((download) => download.stored && !download.ready &&
+      download.status === 'queued');
+    if (!preparing || this.pollTimer) {
+      return;
+    }
+    this.pollTimer = setTimeout(() => {
+      this.pollTimer = null;
+      this.getAllDownloads().catch(() => {});
+    }, PREPARE_POLL_MS);
+  }
+
+  /**
+   * Transfer a download once its bundle is ready, when a slot is free
+   * Bundles still being prepared are picked up by _pollPreparing.
+   * @private
+   */
+  _scheduleIfReady({ id: downloadId, ready, status }) {
+    if (!ready || !['downloading', 'completed'].includes(status)) {
+      return;
+    }
+    if (this.transfers.has(downloadId) || this.waiting.includes(downloadId)) {
+      return;
+    }
+    this.waiting.push(downloadId);
+    this._drain();
+  }
+
+  /**
+   * @private
+   */
+  _drain() {
+    while (this.transfers.size < this.maxConcurrent && this.waiting.length > 0) {
+      const downloadId = this.waiting.shift();
+      const controller = new AbortController();
+      this.transfers.set(downloadId, controller);
+
+      this._transfer(downloadId, controller.signal)
+        .catch((error) => this._handleTransferError(downloadId, error, controller.signal))
+        .finally(() => {
+          this.transfers.delete(downloadId);
+          this._drain();
+        });
+    }
+  }
+
+  /**
+   * @private
+   */
+  _stopTransfer(downloadId) {
+    this.waiting = this.waiting.filter((id) => id !== downloadId);
+    const controller = this.transfers.get(downloadId);
+    if (controller) {
+      controller.abort();
+    }
+  }
+
+  /**
+   * Fetch the chunks of a download this device doesn't have yet
+   * @private
+   */
+  async _transfer(downloadId, signal) {
+    let download = await authenticatedRequest((client) => client.get(`/api/downloads/${downloadId}`));
+    // Paused from another device while it waited for a slot
+    if (signal.aborted || !download.ready || !['downloading', 'completed'].includes(download.status)) {
+      this._update(download, await this._getRecord(downloadId));
+      return;
+    }
+
+    const record = await this._ensureRecord(download);
+    const { chunkSize } = record;
+    const keys = await runTransaction(CHUNKS_STORE, 'readonly', (store) => store.getAllKeys(downloadChunks(downloadId)));
+    const stored = new Set(keys.map(([, fileId, index]) => `${fileId}:${index}`));
+    const chunkBytes = (file, index) => Math.min(chunkSize, file.size - index * chunkSize);
+    record.bytesReceived = keys.reduce((total, [, fileId, index]) => {
+      const file = download.files.find((candidate) => candidate.id === fileId);
+      return total + (file ? chunkBytes(file, index) : 0);
+    }, 0);
+
+    // The server may have missed the last report
+    if (download.bytesReceived !== record.bytesReceived) {
+      download = await this._reportProgress(downloadId, record.bytesReceived);
+    }
+    this._update(download, record);
+
+    for (const file of download.files) {
+      const count = Math.ceil(file.size / chunkSize);
+      for (let index = 0; index < count; index += 1) {
+        if (stored.has(`${file.id}:${index}`)) {
+          continue;
+        }
+        if (signal.aborted) {
+          return;
+        }
+
+        const start = index * chunkSize;
+        const end = start + chunkBytes(file, index) - 1;
+        const response = await authService.getApiClient().get(file.url, {
+          headers: { Range: `bytes=${start}-${end}` },
+          responseType: 'blob',
+          // Chunks can take a while on slow connections
+          timeout: 0,
+          signal
+        });
+        // A server that ignores Range sends the whole file
+        const blob = response.status === 206 ? response.data : response.data.slice(start, end + 1);
+        if (blob.size !== end - start + 1) {
+          throw new Error(`Received ${blob.size} bytes of ${file.name} instead of ${end - start + 1}`);
+        }
+
+        await runTransaction(CHUNKS_STORE, 'readwrite', (store) => store.put({
+          downloadId,
+          fileId: file.id,
+          index,
+          blob
+        }));
+        record.bytesReceived += blob.size;
+        if (record.bytesReceived === download.size) {
+          record.completedAt = new Date().toISOString();
+        }
+        await this._putRecord(record);
+
+        download = await this._reportProgress(downloadId, record.bytesReceived);
+        record.download = download;
+        this._update(download, record);
+
+        // Paused from another device
+        if (download.status === 'paused') {
+          return;
+        }
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _reportProgress(downloadId, bytesReceived) {
+    return authenticatedRequest((client) => client.put(`/api/downloads/${downloadId}/progress`, { bytesReceived }));
+  }
+
+  /**
+   * A transfer that lost its connection is carried on when the browser is
+   * back online; other failures are shown on the download
+   * @private
+   */
+  async _handleTransferError(downloadId, error, signal) {
+    if (signal.aborted) {
+      return;
+    }
+
+    const status = statusOf(error);
+    try {
+      if (status === 404) {
+        await this._deleteLocal(downloadId);
+        return;
+      }
+
+      const record = await this._getRecord(downloadId);
+      if (!record) {
+        return;
+      }
+      if (!status) {
+        loggingService.warn(`Download ${downloadId} stopped; it will carry on when the connection returns`, { error });
+        return;
+      }
+
+      loggingService.error(`Failed to transfer download: ${downloadId}`, { error });
+      record.error = error.message;
+      await this._putRecord(record);
+      this._update(record.download, record);
+    } catch (storageError) {
+      loggingService.error(`Failed to record download failure: ${downloadId}`, { error: storageError });
+    }
+  }
+}
+
+// Create singleton instance
+const downloadRepository = new DownloadRepositoryImpl();
+
+export default downloadRepository;
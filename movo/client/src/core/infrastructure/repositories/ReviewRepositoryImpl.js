@@ -0,0 +1,137 @@
+/**
+ * Review Repository Implementation for Movo
+ * Implements the ReviewRepository interface against the server's
+ * /api/movies/:id/reviews and /api/reviews endpoints
+ *
+ * @author zophlic
+ */
+
+import { ReviewRepository } from '../../domain/repositories';
+import { authenticatedRequest } from '../api/authenticatedRequest';
+import loggingService from '../logging/LoggingService';
+
+// Sort options offered by the server
+const SORTS = ['recent', 'top', 'helpful'];
+
+/**
+ * Convert a server review to the shape the review components use
+ * @param {Object} review - Review from the API
+ * @returns {Object} Review
+ */
+const toReview = (review) => ({
+  ...review,
+  id: String(review.id),
+  movieId: String(review.movieId),
+  userId: String(review.userId)
+});
+
+/**
+ * Review repository implementation class
+ */
+export class ReviewRepositoryImpl extends ReviewRepository {
+  /**
+   * Get a page of reviews for media
+   * @param {string} mediaId - Media ID
+   * @param {number} page - Page number (1-based)
+   * @param {number} limit - Reviews per page
+   * @param {string} sort - 'recent', 'top' or 'helpful'
+   * @returns {Promise<{reviews: Object[], totalCount: number, hasMore: boolean, averageRating: number|null, myReviewId: string|null}>} Reviews page
+   */
+  async getReviewsByMedia(mediaId, page = 1, limit = 10, sort = 'recent') {
+    try {
+      const data = await authenticatedRequest((client) => client.get(`/api/movies/${mediaId}/reviews`, {
+        params: {
+          page,
+          limit,
+          sort: SORTS.includes(sort) ? sort : 'recent'
+        }
+      }));
+
+      return {
+        reviews: data.reviews.map(toReview),
+        totalCount: data.pagination.total,
+        hasMore: data.pagination.page < data.pagination.totalPages,
+        averageRating: data.summary.averageRating,
+        myReviewId: data.summary.myReviewId ? String(data.summary.myReviewId) : null
+      };
+    } catch (error) {
+      loggingService.error(`Failed to get reviews for media: ${mediaId}`, { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Add a review; each account can review a title once
+   * @param {Object} review - { mediaId, rating (1-5), content, isSpoiler }
+   * @returns {Promise<Object>} Created review
+   */
+  async addReview({ mediaId, rating, content, isSpoiler = false }) {
+    try {
+      const review = await authenticatedRequest((client) => client.post(`/api/movies/${mediaId}/reviews`, {
+        rating,
+        content,
+        isSpoiler
+      }));
+
+      return toReview(review);
+    } catch (error) {
+      loggingService.error(`Failed to add review for media: ${mediaId}`, { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Edit one of the user's reviews
+   * @param {string} reviewId - Review ID
+   * @param {Object} changes - Any of rating, content, isSpoiler
+   * @returns {Promise<Object>} Updated review
+   */
+  async updateReview(reviewId, changes) {
+    try {
+      const review = await authenticatedRequest((client) => client.patch(`/api/reviews/${reviewId}`, changes));
+
+      return toReview(review);
+    } catch (error) {
+      loggingService.error(`Failed to update review: ${reviewId}`, { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a review
+   * @param {string} reviewId - Review ID
+   * @returns {Promise<boolean>} Whether deletion was successful
+   */
+  async deleteReview(reviewId) {
+    try {
+      await authenticatedRequest((client) => client.delete(`/api/reviews/${reviewId}`));
+      return true;
+    } catch (error) {
+      loggingService.error(`Failed to delete review: ${reviewId}`, { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Like or unlike a review
+   * @param {Object} like - { reviewId, isLiked } where isLiked is the new state
+   * @returns {Promise<Object>} Updated review
+   */
+  async likeReview({ reviewId, isLiked }) {
+    try {
+      const review = await authenticatedRequest((client) => (isLiked
+        ? client.put(`/api/reviews/${reviewId}/like`)
+        : client.delete(`/api/reviews/${reviewId}/like`)));
+
+      return toReview(review);
+    } catch (error) {
+      loggingService.error(`Failed to ${isLiked ? 'like' : 'unlike'} review: ${reviewId}`, { error });
+      throw error;
+    }
+  }
+}
+
+// Create singleton instance
+const reviewRepository = new ReviewRepositoryImpl();
+
+export default reviewRepository;
@@ -139,6 +139,15 @@ const CharacterCount = styled.div`
   margin-top: 0.25rem;
 `;
 
+const SpoilerLabel = styled.label`
+  display: flex;
+  align-items: center;
+  gap: 0.5rem;
+  font-size: ${props => props.theme.fontSizeSmall};
+  color: ${props => props.theme.text};
+  cursor: pointer;
+`;
+
 /**
  * Review form component
  * @param {Object} props - Component props
@@ -148,6 +157,7 @@ const ReviewForm = ({ onSubmit, isLoading }) => {
   const [content, setContent] = useState('');
   const [rating, setRating] = useState(0);
   const [hoverRating, setHoverRating] = useState(0);
+  const [isSpoiler, setIsSpoiler] = useState(false);
   const user = useUser();
   
   // Maximum character count
@@ -180,6 +190,7 @@ const ReviewForm = ({ onSubmit, isLoading }) => {
   const handleReset = () => {
     setContent('');
     setRating(0);
+    setIsSpoiler(false);
   };
   
   // Handle form submit
@@ -193,6 +204,7 @@ const ReviewForm = ({ onSubmit, isLoading }) => {
     onSubmit({
       content,
       rating,
+      isSpoiler,
       userId: user.id,
       username: user.username
     });
@@ -241,6 +253,16 @@ const ReviewForm = ({ onSubmit, isLoading }) => {
           </CharacterCount>
         </div>
         
+        <SpoilerLabel>
+          <input
+            type="checkbox"
+            checked={isSpoiler}
+            onChange={(e) => setIsSpoiler(e.target.checked)}
+            disabled={isLoading}
+          />
+          Contains spoilers
+        </SpoilerLabel>
+        
         <ButtonContainer>
           <CancelButton 
             type="button" 
@@ -75,6 +75,25 @@ const Content = styled.div`
   white-space: pre-wrap;
 `;
 
+const SpoilerNotice = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 1rem;
+  color: ${props => props.theme.textSecondary};
+  font-style: italic;
+  margin-bottom: 1rem;
+`;
+
+const RevealButton = styled.button`
+  background: none;
+  border: 1px solid ${props => props.theme.border};
+  border-radius: ${props => props.theme.borderRadiusSmall};
+  color: ${props => props.theme.text};
+  padding: 0.25rem 0.75rem;
+  font-size: ${props => props.theme.fontSizeSmall};
+  cursor: pointer;
+`;
+
 const Actions = styled.div`
   display: flex;
   align-items: center;
@@ -178,13 +197,14 @@ const ActionContainer = styled.div`
  */
 const ReviewItem = ({ review, onDelete, onLike }) => {
   const [showConfirmDelete, setShowConfirmDelete] = useState(false);
+  const [showSpoiler, setShowSpoiler] = useState(false);
   const currentUser = useUser();
   
   // Check if current user is the author
-  const isAuthor = currentUser && currentUser.id === review.userId;
+  const isAuthor = currentUser && String(currentUser.id) === review.userId;
   
   // Check if current user has liked the review
-  const isLiked = review.likes && review.likes.includes(currentUser?.id);
+  const isLiked = Boolean(review.likedByMe);
   
   // Format date
   const formattedDate = formatDistanceToNow(new Date(review.createdAt), { addSuffix: true });
@@ -225,12 +245,20 @@ const ReviewItem = ({ review, onDelete, onLike }) => {
         </Rating>
       </Header>
       
-      <Content>{review.content}</Content>
+      {review.isSpoiler && !showSpoiler && !isAuthor ? (
+        <SpoilerNotice>
+          This review contains spoilers.
+          <RevealButton onClick={() => setShowSpoiler(true)}>Show review</RevealButton>
+        </SpoilerNotice>
+      ) : (
+        <Content>{review.content}</Content>
+      )}
       
       <Actions>
         <ActionButton 
           onClick={handleLike}
           active={isLiked}
+          disabled={isAuthor}
         >
           <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
             <path d="M14 9V5a3 3 0 0 0-3-3l-4 9v11h11.28a2 2 0 0 0 2-1.7l1.38-9a2 2 0 0 0-2-2.3zM7 22H4a2 2 0 0 1-2-2v-7a2 2 0 0 1 2-2h3"></path>
@@ -278,8 +306,9 @@ ReviewItem.propTypes = {
     content: PropTypes.string.isRequired,
     rating: PropTypes.number.isRequired,
     createdAt: PropTypes.string.isRequired,
+    isSpoiler: PropTypes.bool,
     likeCount: PropTypes.number,
-    likes: PropTypes.arrayOf(PropTypes.string)
+    likedByMe: PropTypes.bool
   }).isRequired,
   onDelete: PropTypes.func.isRequired,
   onLike: PropTypes.func.isRequired
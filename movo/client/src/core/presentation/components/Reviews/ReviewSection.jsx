@@ -106,6 +106,7 @@ const SortButton = styled.button`
 const ReviewSection = ({ mediaId, mediaTitle }) => {
   const [page, setPage] = useState(1);
   const [sortBy, setSortBy] = useState('recent');
+  const [loadedReviews, setLoadedReviews] = useState([]);
   const isAuthenticated = useIsAuthenticated();
   const toast = useToast();
   
@@ -119,6 +120,24 @@ const ReviewSection = ({ mediaId, mediaTitle }) => {
     refetch 
   } = reviewRepo.useQuery('getReviewsByMedia', [mediaId, page, 10, sortBy]);
   
+  // Later pages are appended; a refetched page replaces the reviews it contains
+  useEffect(() => {
+    if (!reviewsData) {
+      return;
+    }
+    
+    setLoadedReviews(prevReviews => {
+      if (page === 1) {
+        return reviewsData.reviews;
+      }
+      
+      const fetched = new Map(reviewsData.reviews.map(review => [review.id, review]));
+      const merged = prevReviews.map(review => fetched.get(review.id) || review);
+      const known = new Set(prevReviews.map(review => review.id));
+      return [...merged, ...reviewsData.reviews.filter(review => !known.has(review.id))];
+    });
+  }, [reviewsData, page]);
+  
   // Add review mutation
   const { 
     mutate: addReview, 
@@ -126,6 +145,7 @@ const ReviewSection = ({ mediaId, mediaTitle }) => {
   } = reviewRepo.useMutation('addReview', {
     onSuccess: () => {
       toast.success('Review Added', 'Your review has been added successfully');
+      setPage(1);
       refetch();
       
       // Track event
@@ -146,6 +166,7 @@ const ReviewSection = ({ mediaId, mediaTitle }) => {
   } = reviewRepo.useMutation('deleteReview', {
     onSuccess: () => {
       toast.success('Review Deleted', 'Your review has been deleted');
+      setPage(1);
       refetch();
       
       // Track event
@@ -209,7 +230,7 @@ const ReviewSection = ({ mediaId, mediaTitle }) => {
   };
   
   // Reviews data
-  const reviews = reviewsData?.reviews || [];
+  const reviews = loadedReviews;
   const totalReviews = reviewsData?.totalCount || 0;
   const hasMoreReviews = reviewsData?.hasMore || false;
   
@@ -239,16 +260,16 @@ const ReviewSection = ({ mediaId, mediaTitle }) => {
           Most Recent
         </SortButton>
         <SortButton 
-          active={sortBy === 'rating'} 
-          onClick={() => handleSortChange('rating')}
+          active={sortBy === 'top'} 
+          onClick={() => handleSortChange('top')}
         >
           Highest Rated
         </SortButton>
         <SortButton 
-          active={sortBy === 'likes'} 
-          onClick={() => handleSortChange('likes')}
+          active={sortBy === 'helpful'} 
+          onClick={() => handleSortChange('helpful')}
         >
-          Most Liked
+          Most Helpful
         </SortButton>
       </SortOptions>
       
@@ -10,6 +10,7 @@ import PropTypes from 'prop-types';
 import styled from 'styled-components';
 import { formatDistanceToNow } from 'date-fns';
 import { useUser } from '../../stores/userStore';
+import playerStore, { useParty } from '../../stores/playerStore';
 import telemetryService from '../../../infrastructure/telemetry/TelemetryService';
 
 // Styled components
@@ -212,14 +213,20 @@ const EmojiOption = styled.button`
 
 /**
  * Watch party chat component
+ * Without messages and onSendMessage it shows the chat of the party the
+ * player has joined and sends through its connection.
  * @param {Object} props - Component props
  * @returns {JSX.Element} Watch party chat component
  */
-const WatchPartyChat = ({ partyId, onSendMessage, messages = [] }) => {
+const WatchPartyChat = ({ partyId, onSendMessage, messages }) => {
   const [message, setMessage] = useState('');
   const [showEmojiPicker, setShowEmojiPicker] = useState(false);
   const chatBodyRef = useRef(null);
   const user = useUser();
+  const party = useParty();
+  const sendPartyMessage = playerStore.useStore(state => state.sendPartyMessage);
+  const chatMessages = messages || party?.messages || [];
+  const isMuted = !onSendMessage && !!party?.isMuted;
   
   // Emojis
   const emojis = ['😀', '😂', '😍', '🤔', '😮', '😭', '👍', '👎', '🔥', '❤️', '🎉', '🍿', '🎬', '🎵', '👀', '💯', '🙌', '🤣', '😱', '🤩', '🥳'];
@@ -229,7 +236,7 @@ const WatchPartyChat = ({ partyId, onSendMessage, messages = [] }) => {
     if (chatBodyRef.current) {
       chatBodyRef.current.scrollTop = chatBodyRef.current.scrollHeight;
     }
-  }, [messages]);
+  }, [chatMessages]);
   
   // Handle message submit
   const handleSubmit = (e) => {
@@ -240,18 +247,22 @@ const WatchPartyChat = ({ partyId, onSendMessage, messages = [] }) => {
     }
     
     // Send message
-    onSendMessage({
-      id: Date.now().toString(),
-      senderId: user.id,
-      senderName: user.username,
-      content: message.trim(),
-      timestamp: new Date().toISOString(),
-      partyId
-    });
+    if (onSendMessage) {
+      onSendMessage({
+        id: Date.now().toString(),
+        senderId: user.id,
+        senderName: user.username,
+        content: message.trim(),
+        timestamp: new Date().toISOString(),
+        partyId
+      });
+    } else {
+      sendPartyMessage(message.trim());
+    }
     
     // Track event
     telemetryService.trackEvent('social', 'send_chat_message', {
-      partyId
+      partyId: partyId || party?.partyId
     });
     
     // Clear input
@@ -276,12 +287,12 @@ const WatchPartyChat = ({ partyId, onSendMessage, messages = [] }) => {
       </ChatHeader>
       
       <ChatBody ref={chatBodyRef}>
-        {messages.length === 0 ? (
+        {chatMessages.length === 0 ? (
           <EmptyState>
             <p>No messages yet. Start the conversation!</p>
           </EmptyState>
         ) : (
-          messages.map(msg => {
+          chatMessages.map(msg => {
             // System message
             if (msg.type === 'system') {
               return (
@@ -292,7 +303,7 @@ const WatchPartyChat = ({ partyId, onSendMessage, messages = [] }) => {
             }
             
             // User message
-            const isCurrentUser = msg.senderId === user?.id;
+            const isCurrentUser = msg.senderId === String(user?.id);
             
             return (
               <Message 
@@ -318,10 +329,11 @@ const WatchPartyChat = ({ partyId, onSendMessage, messages = [] }) => {
         <ChatForm onSubmit={handleSubmit}>
           <ChatInput
             type="text"
-            placeholder="Type a message..."
+            placeholder={isMuted ? 'The host has muted you' : 'Type a message...'}
             value={message}
             onChange={(e) => setMessage(e.target.value)}
             maxLength={500}
+            disabled={isMuted}
           />
           
           <div style={{ position: 'relative' }}>
@@ -351,7 +363,7 @@ const WatchPartyChat = ({ partyId, onSendMessage, messages = [] }) => {
             )}
           </div>
           
-          <SendButton type="submit" disabled={!message.trim()}>
+          <SendButton type="submit" disabled={!message.trim() || isMuted}>
             <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
               <line x1="22" y1="2" x2="11" y2="13"></line>
               <polygon points="22 2 15 22 11 13 2 9 22 2"></polygon>
@@ -364,8 +376,8 @@ const WatchPartyChat = ({ partyId, onSendMessage, messages = [] }) => {
 };
 
 WatchPartyChat.propTypes = {
-  partyId: PropTypes.string.isRequired,
-  onSendMessage: PropTypes.func.isRequired,
+  partyId: PropTypes.string,
+  onSendMessage: PropTypes.func,
   messages: PropTypes.arrayOf(
     PropTypes.shape({
       id: PropTypes.string.isRequired,
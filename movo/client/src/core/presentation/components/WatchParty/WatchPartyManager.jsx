@@ -5,7 +5,7 @@
  * @author zophlic
  */
 
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState } from 'react';
 import PropTypes from 'prop-types';
 import styled from 'styled-components';
 import { useNavigate } from 'react-router-dom';
@@ -14,8 +14,7 @@ import { useUser } from '../../stores/userStore';
 import WatchPartyInvite from './WatchPartyInvite';
 import WatchPartyChat from './WatchPartyChat';
 import WatchPartyParticipants from './WatchPartyParticipants';
-import telemetryService from '../../../infrastructure/telemetry/TelemetryService';
-import { v4 as uuidv4 } from 'uuid';
+import playerStore from '../../stores/playerStore';
 
 // Styled components
 const Container = styled.div`
@@ -213,23 +212,20 @@ const WatchPartyManager = ({ mediaId, mediaTitle, onJoinParty }) => {
   const user = useUser();
   const toast = useToast();
   const navigate = useNavigate();
-  
-  // Generate party code
-  const generatePartyCode = useCallback(() => {
-    return uuidv4().substring(0, 8).toUpperCase();
-  }, []);
+  const createWatchParty = playerStore.useStore(state => state.createWatchParty);
+  const joinWatchParty = playerStore.useStore(state => state.joinWatchParty);
   
   // Open modal
   const openModal = () => {
     setIsModalOpen(true);
     setActiveTab('create');
-    setPartyCode(generatePartyCode());
   };
   
   // Close modal
   const closeModal = () => {
     setIsModalOpen(false);
     setPartyData(null);
+    setPartyCode('');
   };
   
   // Handle tab change
@@ -247,53 +243,27 @@ const WatchPartyManager = ({ mediaId, mediaTitle, onJoinParty }) => {
     setIsCreatingParty(true);
     
     try {
-      // Create party data
-      const newPartyData = {
-        id: partyCode,
-        hostId: user.id,
-        hostName: user.username,
-        mediaId,
-        mediaTitle,
-        participants: [
-          {
-            id: user.id,
-            name: user.username,
-            isHost: true,
-            joinedAt: new Date().toISOString()
-          }
-        ],
-        createdAt: new Date().toISOString(),
-        status: 'waiting'
-      };
-      
-      // In a real implementation, this would be saved to a database
-      // and managed through a real-time service like WebSockets
-      
-      // For now, we'll just simulate it
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
-      setPartyData(newPartyData);
-      
-      // Track event
-      telemetryService.trackEvent('social', 'create_watch_party', {
-        mediaId,
-        mediaTitle,
-        partyCode
-      });
+      // The server issues the invite code and we join the party's room as host
+      const party = await createWatchParty(mediaId);
       
-      toast.success('Watch Party Created', 'Your watch party has been created');
+      setPartyData(party);
+      setPartyCode(party.code);
       
-      // Navigate to watch page with party code
-      onJoinParty(partyCode);
-      closeModal();
+      toast.success('Watch Party Created', 'Share the code, then start watching');
     } catch (error) {
       console.error('Failed to create watch party:', error);
-      toast.error('Error', 'Failed to create watch party');
+      toast.error('Error', error.message || 'Failed to create watch party');
     } finally {
       setIsCreatingParty(false);
     }
   };
   
+  // Handle start watching once the party exists
+  const handleStartWatching = () => {
+    onJoinParty(partyCode);
+    closeModal();
+  };
+  
   // Handle join party
   const handleJoinParty = async () => {
     if (!inviteCode) {
@@ -309,14 +279,7 @@ const WatchPartyManager = ({ mediaId, mediaTitle, onJoinParty }) => {
     setIsJoiningParty(true);
     
     try {
-      // In a real implementation, this would validate the code against a database
-      // For now, we'll just simulate it
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
-      // Track event
-      telemetryService.trackEvent('social', 'join_watch_party', {
-        partyCode: inviteCode
-      });
+      await joinWatchParty(inviteCode);
       
       toast.success('Joined Watch Party', 'You have joined the watch party');
       
@@ -325,7 +288,7 @@ const WatchPartyManager = ({ mediaId, mediaTitle, onJoinParty }) => {
       closeModal();
     } catch (error) {
       console.error('Failed to join watch party:', error);
-      toast.error('Error', 'Failed to join watch party. The code may be invalid or expired.');
+      toast.error('Error', error.message || 'Failed to join watch party. The code may be invalid or expired.');
     } finally {
       setIsJoiningParty(false);
     }
@@ -394,8 +357,8 @@ const WatchPartyManager = ({ mediaId, mediaTitle, onJoinParty }) => {
                   <p>Invite friends to watch together with synchronized playback and chat.</p>
                   
                   <PartyCode>
-                    <PartyCodeText>{partyCode}</PartyCodeText>
-                    <CopyButton onClick={handleCopyCode}>
+                    <PartyCodeText>{partyCode || '--------'}</PartyCodeText>
+                    <CopyButton onClick={handleCopyCode} disabled={!partyCode}>
                       <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
                         <rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect>
                         <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path>
@@ -404,10 +367,12 @@ const WatchPartyManager = ({ mediaId, mediaTitle, onJoinParty }) => {
                     </CopyButton>
                   </PartyCode>
                   
-                  <WatchPartyInvite 
-                    partyCode={partyCode} 
-                    mediaTitle={mediaTitle} 
-                  />
+                  {partyData && (
+                    <WatchPartyInvite 
+                      partyCode={partyCode} 
+                      mediaTitle={mediaTitle} 
+                    />
+                  )}
                 </>
               ) : (
                 <WatchPartyInvite 
@@ -425,10 +390,10 @@ const WatchPartyManager = ({ mediaId, mediaTitle, onJoinParty }) => {
               {activeTab === 'create' ? (
                 <ActionButton 
                   primary 
-                  onClick={handleCreateParty}
+                  onClick={partyData ? handleStartWatching : handleCreateParty}
                   disabled={isCreatingParty}
                 >
-                  {isCreatingParty ? 'Creating...' : 'Create & Start Watching'}
+                  {partyData ? 'Start Watching' : isCreatingParty ? 'Creating...' : 'Create Party'}
                 </ActionButton>
               ) : (
                 <ActionButton 
@@ -10,6 +10,7 @@ import PropTypes from 'prop-types';
 import styled from 'styled-components';
 import { formatDistanceToNow } from 'date-fns';
 import { useUser } from '../../stores/userStore';
+import playerStore, { useParty } from '../../stores/playerStore';
 
 // Styled components
 const Container = styled.div`
@@ -150,18 +151,29 @@ const EmptyState = styled.div`
 
 /**
  * Watch party participants component
+ * Without participants it lists the members of the party the player has
+ * joined, and the host can mute or remove them.
  * @param {Object} props - Component props
  * @returns {JSX.Element} Watch party participants component
  */
 const WatchPartyParticipants = ({ 
-  participants = [], 
-  hostId,
-  onKickParticipant
+  participants: participantsProp, 
+  hostId: hostIdProp,
+  onKickParticipant,
+  onMuteParticipant
 }) => {
   const currentUser = useUser();
+  const party = useParty();
+  const removeParticipant = playerStore.useStore(state => state.removeParticipant);
+  const muteParticipant = playerStore.useStore(state => state.muteParticipant);
+  const connected = !participantsProp;
+  const participants = participantsProp || party?.participants || [];
+  const hostId = hostIdProp || party?.hostId;
+  const kick = onKickParticipant || (connected ? removeParticipant : null);
+  const mute = onMuteParticipant || (connected ? muteParticipant : null);
   
   // Check if current user is host
-  const isHost = currentUser && currentUser.id === hostId;
+  const isHost = currentUser && String(currentUser.id) === hostId;
   
   // Get user initials
   const getInitials = (name) => {
@@ -180,8 +192,19 @@ const WatchPartyParticipants = ({
   
   // Handle kick participant
   const handleKickParticipant = (participantId) => {
-    if (isHost && onKickParticipant) {
-      onKickParticipant(participantId);
+    if (isHost && kick) {
+      Promise.resolve(kick(participantId)).catch(error => {
+        console.error('Failed to remove participant:', error);
+      });
+    }
+  };
+  
+  // Handle mute participant
+  const handleMuteParticipant = (participant) => {
+    if (isHost && mute) {
+      Promise.resolve(mute(participant.id, !participant.isMuted)).catch(error => {
+        console.error('Failed to mute participant:', error);
+      });
     }
   };
   
@@ -199,7 +222,7 @@ const WatchPartyParticipants = ({
           <EmptyState>No participants yet</EmptyState>
         ) : (
           participants.map(participant => {
-            const isCurrentUser = participant.id === currentUser?.id;
+            const isCurrentUser = participant.id === String(currentUser?.id);
             const isParticipantHost = participant.id === hostId;
             
             return (
@@ -228,6 +251,18 @@ const WatchPartyParticipants = ({
                   </ParticipantStatus>
                 </ParticipantInfo>
                 
+                {isHost && !isCurrentUser && !isParticipantHost && mute && (
+                  <ActionButton 
+                    onClick={() => handleMuteParticipant(participant)}
+                    title={participant.isMuted ? 'Unmute in chat' : 'Mute in chat'}
+                  >
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                      <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"></path>
+                      {participant.isMuted && <line x1="3" y1="3" x2="21" y2="21"></line>}
+                    </svg>
+                  </ActionButton>
+                )}
+                
                 {isHost && !isCurrentUser && !isParticipantHost && (
                   <ActionButton 
                     onClick={() => handleKickParticipant(participant.id)}
@@ -255,11 +290,13 @@ WatchPartyParticipants.propTypes = {
       id: PropTypes.string.isRequired,
       name: PropTypes.string.isRequired,
       isActive: PropTypes.bool,
+      isMuted: PropTypes.bool,
       joinedAt: PropTypes.string.isRequired
     })
   ),
-  hostId: PropTypes.string.isRequired,
-  onKickParticipant: PropTypes.func
+  hostId: PropTypes.string,
+  onKickParticipant: PropTypes.func,
+  onMuteParticipant: PropTypes.func
 };
 
 export default WatchPartyParticipants;
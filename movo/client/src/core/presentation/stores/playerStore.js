@@ -11,6 +11,8 @@ import container from '../../infrastructure/di/Container';
 import loggingService from '../../infrastructure/logging/LoggingService';
 import telemetryService from '../../infrastructure/telemetry/TelemetryService';
 import { userStore } from './userStore';
+import watchPartyService from '../../../services/watchPartyService';
+import subtitleService from '../../../services/subtitleService';
 
 // Player states
 export const PLAYER_STATE = {
@@ -23,6 +25,39 @@ export const PLAYER_STATE = {
   ERROR: 'error'
 };
 
+// Watch party sync: how often the host reports its position, how far a
+// member may drift before catching up by playing slightly faster or slower,
+// and how far before jumping straight to the host's position (seconds)
+const PARTY_HEARTBEAT_MS = 2000;
+const DRIFT_TOLERANCE = 0.15;
+const DRIFT_SEEK_THRESHOLD = 1;
+// Catch up over about this many seconds, never changing speed by more than MAX_RATE_ADJUSTMENT
+const DRIFT_CATCH_UP_SECONDS = 2;
+const MAX_RATE_ADJUSTMENT = 0.1;
+
+// Party chat in the shape WatchPartyChat renders
+const toChatMessage = (message) => ({
+  id: String(message.id),
+  type: message.type,
+  senderId: message.userId ? String(message.userId) : null,
+  senderName: message.username,
+  content: message.content,
+  timestamp: message.createdAt
+});
+
+// Party members in the shape WatchPartyParticipants renders
+const toParticipant = (member) => ({
+  id: String(member.userId),
+  name: member.username,
+  isActive: member.isOnline,
+  isMuted: member.isMuted,
+  joinedAt: member.joinedAt
+});
+
+// Listeners for the party room; removed on leaving
+let partySubscriptions = [];
+let lastPartyHeartbeat = 0;
+
 // Create player store
 const playerStore = createStoreWithSelectors(
   (set, get) => ({
@@ -43,6 +78,8 @@ const playerStore = createStoreWithSelectors(
     fullscreen: false,
     pip: false,
     error: null,
+    // { code, partyId, hostId, isHost, isMuted, movie, participants, messages, playback, connected }
+    party: null,
     
     // Actions
     startPlayback: async (mediaId, quality = 'auto') => {
@@ -91,7 +128,8 @@ const playerStore = createStoreWithSelectors(
           subtitles,
           state: PLAYER_STATE.PLAYING,
           quality,
-          availableQualities: ['auto', '240p', '360p', '480p', '720p', '1080p'], // TODO: Get from API
+          // Renditions the server can package for this source
+          availableQualities: streamingUrl.availableQualities || ['auto'],
           currentTime: 0,
           duration: 0
         });
@@ -177,6 +215,7 @@ const playerStore = createStoreWithSelectors(
     
     play: () => {
       set({ state: PLAYER_STATE.PLAYING });
+      get().broadcastPlayback('play');
       
       // Track event
       telemetryService.trackEvent('playback', 'play', {
@@ -187,6 +226,7 @@ const playerStore = createStoreWithSelectors(
     
     pause: () => {
       set({ state: PLAYER_STATE.PAUSED });
+      get().broadcastPlayback('pause');
       
       // Track event
       telemetryService.trackEvent('playback', 'pause', {
@@ -200,6 +240,7 @@ const playerStore = createStoreWithSelectors(
     
     seekTo: (time) => {
       set({ currentTime: time });
+      get().broadcastPlayback('seek');
       
       // Track event if seek delta is significant
       const currentTime = get().currentTime;
@@ -222,6 +263,7 @@ const playerStore = createStoreWithSelectors(
     
     setPlaybackRate: (rate) => {
       set({ playbackRate: rate });
+      get().broadcastPlayback('seek');
       
       // Track event
       telemetryService.trackEvent('playback', 'rate_change', {
@@ -286,6 +328,14 @@ const playerStore = createStoreWithSelectors(
     updateProgress: (currentTime, duration, buffered) => {
       set({ currentTime, duration, buffered });
       
+      // Keep the party in step: the host reports its position, members correct drift
+      const { party } = get();
+      if (party?.isHost && get().state === PLAYER_STATE.PLAYING && Date.now() - lastPartyHeartbeat >= PARTY_HEARTBEAT_MS) {
+        get().broadcastPlayback('heartbeat');
+      } else if (party && !party.isHost && party.playback) {
+        get().correctDrift();
+      }
+      
       // Update watch progress periodically (every 10 seconds)
       if (currentTime % 10 < 1 && currentTime > 0) {
         get().updateWatchProgress();
@@ -317,14 +367,202 @@ const playerStore = createStoreWithSelectors(
     
     loadSubtitles: async (mediaId) => {
       try {
-        // TODO: Implement subtitle loading
-        return [];
+        return await subtitleService.listSubtitles(mediaId);
       } catch (error) {
         loggingService.error('Failed to load subtitles', { error, mediaId });
         return [];
       }
     },
     
+    createWatchParty: async (mediaId) => {
+      const party = await watchPartyService.createParty(mediaId);
+      await get().joinWatchParty(party.code);
+      
+      telemetryService.trackEvent('social', 'create_watch_party', {
+        mediaId,
+        partyCode: party.code
+      });
+      
+      return party;
+    },
+    
+    joinWatchParty: async (code) => {
+      get().leaveWatchParty();
+      
+      // Checks the code (and refreshes an expired token) before opening the socket
+      await watchPartyService.getParty(code);
+      
+      const update = (changes) => {
+        const { party } = get();
+        if (party) {
+          set({ party: { ...party, ...changes } });
+        }
+      };
+      
+      partySubscriptions = [
+        watchPartyService.on('welcome', (message) => {
+          const isHost = message.you.isHost;
+          set({
+            party: {
+              code: message.party.code,
+              partyId: String(message.party.id),
+              hostId: String(message.party.hostId),
+              isHost,
+              isMuted: message.you.isMuted,
+              movie: message.party.movie,
+              participants: message.members.map(toParticipant),
+              messages: message.messages.map(toChatMessage),
+              playback: isHost ? null : message.playback,
+              connected: true
+            }
+          });
+          if (!isHost) {
+            get().applyRemotePlayback(message.playback, 'seek');
+          }
+        }),
+        watchPartyService.on('presence', (message) => {
+          update({ participants: message.members.map(toParticipant) });
+        }),
+        watchPartyService.on('chat', (message) => {
+          const { party } = get();
+          if (party) {
+            update({ messages: [...party.messages, toChatMessage(message.message)] });
+          }
+        }),
+        watchPartyService.on('playback', (message) => {
+          if (!get().party?.isHost) {
+            get().applyRemotePlayback(message.playback, message.action);
+          }
+        }),
+        watchPartyService.on('member', (message) => {
+          const { party } = get();
+          if (!party) {
+            return;
+          }
+          const userId = String(message.userId);
+          update({
+            isMuted: userId === String(userStore.useStore.getState().user?.id) ? message.isMuted : party.isMuted,
+            participants: party.participants.map((participant) => (
+              participant.id === userId ? { ...participant, isMuted: message.isMuted } : participant
+            ))
+          });
+        }),
+        watchPartyService.on('reconnecting', () => update({ connected: false })),
+        watchPartyService.on('closed', (message) => {
+          loggingService.info('Left watch party', { code: message.code, reason: message.reason });
+          get().leaveWatchParty();
+        })
+      ];
+      
+      try {
+        await watchPartyService.connect(code);
+      } catch (error) {
+        get().leaveWatchParty();
+        throw error;
+      }
+      
+      telemetryService.trackEvent('social', 'join_watch_party', { partyCode: code });
+      return get().party;
+    },
+    
+    leaveWatchParty: () => {
+      partySubscriptions.forEach((unsubscribe) => unsubscribe());
+      partySubscriptions = [];
+      watchPartyService.disconnect();
+      
+      const { party, playbackRate } = get();
+      if (party) {
+        // Drop any catch-up speed change
+        set({ party: null, playbackRate: party.playback ? party.playback.playbackRate : playbackRate });
+      }
+    },
+    
+    endWatchParty: async () => {
+      const { party } = get();
+      if (party?.isHost) {
+        await watchPartyService.endParty(party.code);
+      }
+      get().leaveWatchParty();
+    },
+    
+    sendPartyMessage: (content) => {
+      if (get().party) {
+        watchPartyService.sendChat(content);
+      }
+    },
+    
+    muteParticipant: (userId, muted) => {
+      const { party } = get();
+      return party ? watchPartyService.muteMember(party.code, userId, muted) : Promise.resolve();
+    },
+    
+    removeParticipant: (userId) => {
+      const { party } = get();
+      return party ? watchPartyService.removeMember(party.code, userId) : Promise.resolve();
+    },
+    
+    // Host only: send the local playback state to the party
+    broadcastPlayback: (action) => {
+      const { party, currentTime, state, playbackRate } = get();
+      if (!party?.isHost) {
+        return;
+      }
+      
+      lastPartyHeartbeat = Date.now();
+      watchPartyService.sendSync(action, {
+        position: currentTime,
+        isPlaying: state === PLAYER_STATE.PLAYING,
+        playbackRate
+      });
+    },
+    
+    // Members follow the host: play/pause/seek are applied as sent, heartbeats only correct drift
+    applyRemotePlayback: (playback, action) => {
+      const { party } = get();
+      if (!party || party.isHost) {
+        return;
+      }
+      
+      set({
+        party: { ...party, playback },
+        state: playback.isPlaying ? PLAYER_STATE.PLAYING : PLAYER_STATE.PAUSED
+      });
+      
+      if (action === 'heartbeat') {
+        get().correctDrift();
+      } else {
+        set({
+          currentTime: watchPartyService.expectedPosition(playback),
+          playbackRate: playback.playbackRate
+        });
+      }
+    },
+    
+    correctDrift: () => {
+      const { party, currentTime } = get();
+      const playback = party?.playback;
+      if (!playback) {
+        return;
+      }
+      
+      const expected = watchPartyService.expectedPosition(playback);
+      const drift = expected - currentTime;
+      
+      if (!playback.isPlaying || Math.abs(drift) >= DRIFT_SEEK_THRESHOLD) {
+        // Too far behind or ahead to catch up smoothly
+        if (Math.abs(drift) > DRIFT_TOLERANCE) {
+          set({ currentTime: expected });
+        }
+        set({ playbackRate: playback.playbackRate });
+      } else if (Math.abs(drift) > DRIFT_TOLERANCE) {
+        // Positive drift means we're behind: play a little faster until caught up
+        const adjustment = Math.max(-MAX_RATE_ADJUSTMENT, Math.min(MAX_RATE_ADJUSTMENT, drift / DRIFT_CATCH_UP_SECONDS));
+        set({ playbackRate: playback.playbackRate * (1 + adjustment) });
+      } else {
+        set({ playbackRate: playback.playbackRate });
+      }
+    },
+    
     clearError: () => {
       set({ error: null });
     }
@@ -347,6 +585,7 @@ const playerStore = createStoreWithSelectors(
     fullscreen: (state) => state.fullscreen,
     pip: (state) => state.pip,
     error: (state) => state.error,
+    party: (state) => state.party,
     progress: (state) => state.duration ? state.currentTime / state.duration : 0,
     isPlaying: (state) => state.state === PLAYER_STATE.PLAYING,
     isBuffering: (state) => state.state === PLAYER_STATE.BUFFERING,
@@ -378,6 +617,7 @@ export const {
   useFullscreen,
   usePip,
   useError,
+  useParty,
   useProgress,
   useIsPlaying,
   useIsBuffering,
@@ -9,6 +9,7 @@ import { createStoreWithSelectors } from '../hooks/useStore';
 import configService from '../../infrastructure/config/ConfigService';
 import loggingService from '../../infrastructure/logging/LoggingService';
 import telemetryService from '../../infrastructure/telemetry/TelemetryService';
+import preferencesService from '../../../services/preferencesService';
 
 // Theme options
 export const THEME = {
@@ -37,6 +38,29 @@ export const QUALITY = {
   ULTRA: '4k'
 };
 
+// Apply a theme to the document
+const applyTheme = (theme) => {
+  document.documentElement.classList.remove(...Object.values(THEME));
+
+  if (theme === THEME.SYSTEM) {
+    const systemTheme = window.matchMedia('(prefers-color-scheme: dark)').matches ? 
+      THEME.DARK : THEME.LIGHT;
+    document.documentElement.classList.add(systemTheme);
+  } else {
+    document.documentElement.classList.add(theme);
+  }
+};
+
+// Settings stored with the account and their config keys
+const SERVER_SETTINGS = {
+  theme: 'ui.theme',
+  language: 'ui.language',
+  chimeraMode: 'features.chimeraMode',
+  autoplay: 'player.autoplay',
+  subtitlesEnabled: 'player.subtitles',
+  subtitlesLanguage: 'player.subtitlesLanguage'
+};
+
 // Create settings store
 const settingsStore = createStoreWithSelectors(
   (set, get) => ({
@@ -56,16 +80,11 @@ const settingsStore = createStoreWithSelectors(
     setTheme: (theme) => {
       set({ theme });
       configService.set('ui.theme', theme);
+      applyTheme(theme);
       
-      // Apply theme to document
-      document.documentElement.classList.remove(...Object.values(THEME));
-      
-      if (theme === THEME.SYSTEM) {
-        const systemTheme = window.matchMedia('(prefers-color-scheme: dark)').matches ? 
-          THEME.DARK : THEME.LIGHT;
-        document.documentElement.classList.add(systemTheme);
-      } else {
-        document.documentElement.classList.add(theme);
+      // The account only knows dark or light
+      if (theme !== THEME.SYSTEM) {
+        preferencesService.pushPreferences({ darkMode: theme === THEME.DARK });
       }
       
       // Track event
@@ -75,6 +94,7 @@ const settingsStore = createStoreWithSelectors(
     setLanguage: (language) => {
       set({ language });
       configService.set('ui.language', language);
+      preferencesService.pushPreferences({ language });
       
       // Track event
       telemetryService.trackEvent('settings', 'change_language', { language });
@@ -84,6 +104,7 @@ const settingsStore = createStoreWithSelectors(
       const chimeraMode = !get().chimeraMode;
       set({ chimeraMode });
       configService.set('features.chimeraMode', chimeraMode);
+      preferencesService.pushPreferences({ chimeraMode });
       
       // Track event
       telemetryService.trackEvent('settings', 'toggle_chimera_mode', { enabled: chimeraMode });
@@ -92,6 +113,7 @@ const settingsStore = createStoreWithSelectors(
     setAutoplay: (autoplay) => {
       set({ autoplay });
       configService.set('player.autoplay', autoplay);
+      preferencesService.pushPreferences({ autoplayEnabled: autoplay });
       
       // Track event
       telemetryService.trackEvent('settings', 'change_autoplay', { enabled: autoplay });
@@ -109,6 +131,7 @@ const settingsStore = createStoreWithSelectors(
       const subtitlesEnabled = !get().subtitlesEnabled;
       set({ subtitlesEnabled });
       configService.set('player.subtitles', subtitlesEnabled);
+      preferencesService.pushPreferences({ subtitlesEnabled });
       
       // Track event
       telemetryService.trackEvent('settings', 'toggle_subtitles', { enabled: subtitlesEnabled });
@@ -117,6 +140,7 @@ const settingsStore = createStoreWithSelectors(
     setSubtitlesLanguage: (language) => {
       set({ subtitlesLanguage: language });
       configService.set('player.subtitlesLanguage', language);
+      preferencesService.pushPreferences({ subtitlesLanguage: language });
       
       // Track event
       telemetryService.trackEvent('settings', 'change_subtitles_language', { language });
@@ -216,8 +240,40 @@ const settingsStore = createStoreWithSelectors(
         THEME.DARK : THEME.LIGHT;
       document.documentElement.classList.add(systemTheme);
       
+      preferencesService.pushPreferences({
+        language: defaults.language,
+        chimeraMode: defaults.chimeraMode,
+        autoplayEnabled: defaults.autoplay,
+        subtitlesEnabled: defaults.subtitlesEnabled,
+        subtitlesLanguage: defaults.subtitlesLanguage
+      });
+      
       // Track event
       telemetryService.trackEvent('settings', 'reset_settings');
+    },
+    
+    // Settings saved with the account win over this device's copy. A system
+    // theme is left alone because it follows the device, not the account.
+    applyServerPreferences: (preferences) => {
+      const changes = {
+        language: preferences.language,
+        chimeraMode: preferences.chimeraMode,
+        autoplay: preferences.autoplayEnabled,
+        subtitlesEnabled: preferences.subtitlesEnabled,
+        subtitlesLanguage: preferences.subtitlesLanguage
+      };
+      
+      if (get().theme !== THEME.SYSTEM) {
+        changes.theme = preferences.darkMode ? THEME.DARK : THEME.LIGHT;
+      }
+      
+      set(changes);
+      
+      for (const [key, value] of Object.entries(changes)) {
+        configService.set(SERVER_SETTINGS[key], value);
+      }
+      
+      applyTheme(get().theme);
     }
   }),
   
@@ -250,18 +306,10 @@ const settingsStore = createStoreWithSelectors(
 );
 
 // Initialize theme on load
-const { theme, reducedMotion } = settingsStore.getState();
+const { theme, reducedMotion } = settingsStore.useStore.getState();
 
 // Apply theme to document
-document.documentElement.classList.remove(...Object.values(THEME));
-
-if (theme === THEME.SYSTEM) {
-  const systemTheme = window.matchMedia('(prefers-color-scheme: dark)').matches ? 
-    THEME.DARK : THEME.LIGHT;
-  document.documentElement.classList.add(systemTheme);
-} else {
-  document.documentElement.classList.add(theme);
-}
+applyTheme(theme);
 
 // Apply reduced motion
 if (reducedMotion) {
@@ -276,6 +324,11 @@ if (theme === THEME.SYSTEM) {
   });
 }
 
+// Follow the account's settings whenever they are loaded
+preferencesService.addListener(({ preferences }) => {
+  settingsStore.useStore.getState().applyServerPreferences(preferences);
+});
+
 export const {
   useStore,
   useTheme,
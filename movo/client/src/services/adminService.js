@@ -0,0 +1,110 @@
+/**
+ * Admin Service for Movo
+ * Account management, library scans, metadata fixes and the audit log.
+ * Every call needs an admin account; others get a 403.
+ */
+
+import authService from './authService';
+
+/**
+ * Admin service class
+ */
+class AdminService {
+  /**
+   * List accounts, newest first
+   * @param {Object} filters - { page, limit, search, role, status ('active', 'disabled' or 'all') }
+   * @returns {Promise<Object>} { users, pagination }
+   */
+  async getUsers(filters = {}) {
+    const response = await authService.getApiClient().get('/api/admin/users', { params: filters });
+    return response.data.data;
+  }
+
+  /**
+   * @param {number} id - User ID
+   * @returns {Promise<Object>} The user with their number of active sessions
+   */
+  async getUser(id) {
+    const response = await authService.getApiClient().get(`/api/admin/users/${id}`);
+    return response.data.data;
+  }
+
+  /**
+   * Change an account's role or enable/disable it; either signs it out everywhere
+   * @param {number} id - User ID
+   * @param {Object} changes - { role, isActive }
+   * @returns {Promise<Object>} The updated user
+   */
+  async updateUser(id, changes) {
+    const response = await authService.getApiClient().patch(`/api/admin/users/${id}`, changes);
+    return response.data.data;
+  }
+
+  /**
+   * Sign an account out and mail it a password reset link
+   * @param {number} id - User ID
+   */
+  async resetUserPassword(id) {
+    await authService.getApiClient().post(`/api/admin/users/${id}/reset-password`);
+  }
+
+  /**
+   * Start a library scan in the background
+   * @param {Array<string>} directories - Directories on the server
+   * @param {string} mode - 'incremental' (default) or 'full'
+   * @returns {Promise<Object>} The running scan; poll getScan for its result
+   */
+  async startScan(directories, mode = 'incremental') {
+    const response = await authService.getApiClient().post('/api/admin/scans', { directories, mode });
+    return response.data.data;
+  }
+
+  /**
+   * @returns {Promise<Object>} { scans, watcher }
+   */
+  async getScans(limit) {
+    const response = await authService.getApiClient().get('/api/admin/scans', { params: { limit } });
+    return response.data.data;
+  }
+
+  async getScan(id) {
+    const response = await authService.getApiClient().get(`/api/admin/scans/${id}`);
+    return response.data.data;
+  }
+
+  /**
+   * Correct a movie's metadata by hand
+   * @param {number} id - Movie ID
+   * @param {Object} changes - e.g. { title, overview, releaseDate, genres }
+   * @returns {Promise<Object>} The updated movie
+   */
+  async updateMovieMetadata(id, changes) {
+    const response = await authService.getApiClient().patch(`/api/admin/movies/${id}`, changes);
+    return response.data.data;
+  }
+
+  /**
+   * Look a movie's metadata up again
+   * @param {number} id - Movie ID
+   * @param {Object} ids - Optional { tmdbId, imdbId } to pin the match
+   * @returns {Promise<Object>} The updated movie
+   */
+  async rematchMovie(id, ids = {}) {
+    const response = await authService.getApiClient().post(`/api/admin/movies/${id}/match`, ids);
+    return response.data.data;
+  }
+
+  /**
+   * @param {Object} filters - { page, limit, action, adminId, targetType, targetId }
+   * @returns {Promise<Object>} { entries, pagination }
+   */
+  async getAuditLog(filters = {}) {
+    const response = await authService.getApiClient().get('/api/admin/audit-log', { params: filters });
+    return response.data.data;
+  }
+}
+
+// Create singleton instance
+const adminService = new AdminService();
+
+export default adminService;
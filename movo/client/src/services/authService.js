@@ -13,6 +13,7 @@ const ACCESS_TOKEN_KEY = 'movo_access_token';
 const REFRESH_TOKEN_KEY = 'movo_refresh_token';
 const USER_KEY = 'movo_user';
 const TOKEN_EXPIRY_KEY = 'movo_token_expiry';
+const PROFILE_KEY = 'currentProfile';
 
 // API configuration
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
@@ -24,6 +25,7 @@ const AUTH_EVENTS = {
   TOKEN_REFRESH: 'token_refresh',
   SESSION_EXPIRED: 'session_expired',
   PROFILE_UPDATE: 'profile_update',
+  PROFILE_SWITCH: 'profile_switch',
   ERROR: 'error'
 };
 
@@ -46,6 +48,7 @@ class ApiError extends Error {
 class AuthService {
   constructor() {
     this.currentUser = null;
+    this.currentProfile = null;
     this.accessToken = null;
     this.refreshToken = null;
     this.tokenExpiry = null;
@@ -182,10 +185,14 @@ class AuthService {
       this.refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
       this.tokenExpiry = localStorage.getItem(TOKEN_EXPIRY_KEY);
       const userJson = localStorage.getItem(USER_KEY);
+      const profileJson = localStorage.getItem(PROFILE_KEY);
       
       if (userJson) {
         this.currentUser = JSON.parse(userJson);
       }
+      if (profileJson) {
+        this.currentProfile = JSON.parse(profileJson);
+      }
       
       // Check if token is expired or about to expire (within 5 minutes)
       if (this.accessToken && this.tokenExpiry) {
@@ -297,10 +304,15 @@ class AuthService {
       
       const { data } = response.data;
       
-      if (!data || !data.accessToken || !data.user) {
+      if (!data || !data.user) {
         throw new ApiError('Invalid response from server', 500, 'INVALID_RESPONSE');
       }
       
+      // Servers that require email verification sign the user in only once it's done
+      if (!data.accessToken) {
+        return data.user;
+      }
+      
       // Store auth data
       this.currentUser = data.user;
       this.accessToken = data.accessToken;
@@ -433,6 +445,52 @@ class AuthService {
     return true;
   }
   
+  /**
+   * Switch the session to one of the account's profiles
+   * The server checks the PIN and hands out tokens scoped to the profile;
+   * its parental controls then apply to everything this session fetches.
+   * @param {number} profileId - Profile ID
+   * @param {string} [pin] - The profile's PIN, if it has one
+   * @returns {Promise<Object>} The selected profile
+   */
+  async selectProfile(profileId, pin) {
+    try {
+      const response = await this.apiClient.post(`/api/profiles/${profileId}/select`, {
+        pin,
+        refreshToken: this.refreshToken
+      });
+      
+      const { data } = response.data;
+      
+      if (!data || !data.accessToken || !data.profile) {
+        throw new ApiError('Invalid response from server', 500, 'INVALID_RESPONSE');
+      }
+      
+      this.accessToken = data.accessToken;
+      this.refreshToken = data.refreshToken || this.refreshToken;
+      this.currentProfile = data.profile;
+      
+      const expiresIn = data.expiresIn || '15m';
+      const expiryMs = this._parseExpiryTime(expiresIn);
+      this.tokenExpiry = new Date(Date.now() + expiryMs).toISOString();
+      
+      this._saveAuthData();
+      
+      this._notifyListeners(AUTH_EVENTS.PROFILE_SWITCH, {
+        user: this.currentUser,
+        profile: this.currentProfile
+      });
+      
+      return this.currentProfile;
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      
+      throw this._transformError(error);
+    }
+  }
+  
   /**
    * Get current user info from server
    * @returns {Promise<Object>} User data
@@ -486,6 +544,93 @@ class AuthService {
     }
   }
   
+  /**
+   * Ask for a password reset link by email
+   * The server answers the same way whether or not the address has an account.
+   * @param {string} email - Account email
+   * @returns {Promise<boolean>} Whether the request was accepted
+   */
+  async requestPasswordReset(email) {
+    try {
+      await this.apiClient.post('/forgot-password', { email });
+      return true;
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw this._transformError(error);
+    }
+  }
+  
+  /**
+   * Choose a new password with the token from a reset link
+   * Every device is signed out afterwards, this one included.
+   * @param {string} token - Token from the reset link
+   * @param {string} password - New password
+   * @param {string} confirmPassword - New password again
+   * @returns {Promise<boolean>} Whether the password was reset
+   */
+  async resetPassword(token, password, confirmPassword) {
+    try {
+      await this.apiClient.post('/reset-password', { token, password, confirmPassword });
+      
+      if (this.isAuthenticated()) {
+        this._clearAuthData();
+        this._notifyListeners(AUTH_EVENTS.LOGOUT, {});
+      }
+      
+      return true;
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw this._transformError(error);
+    }
+  }
+  
+  /**
+   * Confirm the account's email address with the token from a verification link
+   * @param {string} token - Token from the verification link
+   * @returns {Promise<boolean>} Whether the address was verified
+   */
+  async verifyEmail(token) {
+    try {
+      await this.apiClient.post('/verify-email', { token });
+      
+      if (this.currentUser) {
+        this.currentUser = { ...this.currentUser, emailVerified: true };
+        localStorage.setItem(USER_KEY, JSON.stringify(this.currentUser));
+        this._notifyListeners(AUTH_EVENTS.PROFILE_UPDATE, {
+          user: this.currentUser
+        });
+      }
+      
+      return true;
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw this._transformError(error);
+    }
+  }
+  
+  /**
+   * Send a new verification link
+   * @param {string} email - Account email
+   * @returns {Promise<boolean>} Whether the request was accepted
+   */
+  async resendVerification(email) {
+    try {
+      await this.apiClient.post('/resend-verification', { email });
+      return true;
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw this._transformError(error);
+    }
+  }
+  
   /**
    * Update user profile
    * @param {Object} profileData - Profile data to update
@@ -567,6 +712,14 @@ class AuthService {
     return this.currentUser;
   }
   
+  /**
+   * Get the profile this session acts as
+   * @returns {Object|null} Profile, or null until one is selected
+   */
+  getCurrentProfile() {
+    return this.currentProfile;
+  }
+  
   /**
    * Get axios API client instance
    * @returns {AxiosInstance} Axios instance with auth headers
@@ -645,6 +798,9 @@ class AuthService {
     if (this.currentUser) {
       localStorage.setItem(USER_KEY, JSON.stringify(this.currentUser));
     }
+    if (this.currentProfile) {
+      localStorage.setItem(PROFILE_KEY, JSON.stringify(this.currentProfile));
+    }
   }
   
   /**
@@ -653,10 +809,12 @@ class AuthService {
    */
   _clearAuthData() {
     this.currentUser = null;
+    this.currentProfile = null;
     this.accessToken = null;
     this.refreshToken = null;
     this.tokenExpiry = null;
     
+    localStorage.removeItem(PROFILE_KEY);
     localStorage.removeItem(ACCESS_TOKEN_KEY);
     localStorage.removeItem(REFRESH_TOKEN_KEY);
     localStorage.removeItem(USER_KEY);
@@ -0,0 +1,248 @@
+/**
+ * Collection Service for Movo
+ * Watchlist, favorites and custom collections stored on the server.
+ * Watchlist changes made while offline are queued in IndexedDB and sent to
+ * /api/sync/watchlist when the connection returns, by the page or by the
+ * service worker's `sync-watchlist` background sync.
+ */
+
+import authService from './authService';
+
+// Shared with public/service-worker.js
+const SYNC_DB_NAME = 'movo-sync';
+const WATCHLIST_STORE = 'watchlist-changes';
+const WATCHLIST_SYNC_TAG = 'sync-watchlist';
+
+const openSyncDatabase = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(SYNC_DB_NAME, 1);
+  request.onerror = () => reject(request.error);
+  request.onsuccess = () => resolve(request.result);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(WATCHLIST_STORE, { keyPath: 'id', autoIncrement: true });
+  };
+});
+
+const runTransaction = async (mode, action) => {
+  const db = await openSyncDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(WATCHLIST_STORE, mode);
+    const request = action(tx.objectStore(WATCHLIST_STORE));
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error);
+  });
+};
+
+/**
+ * Collection service class
+ */
+class CollectionService {
+  constructor() {
+    this.flushWatchlistQueue = this.flushWatchlistQueue.bind(this);
+
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', this.flushWatchlistQueue);
+    }
+  }
+
+  /**
+   * Get the current user's collections (watchlist and favorites first)
+   * @returns {Promise<Array>} Collections without their items
+   */
+  async getCollections() {
+    const response = await authService.getApiClient().get('/api/collections');
+    return response.data.data;
+  }
+
+  /**
+   * Get a collection with its movies in order
+   * @param {number|string} id - Collection ID, or 'watchlist' / 'favorites'
+   * @returns {Promise<Object>} Collection with `items`
+   */
+  async getCollection(id) {
+    const response = await authService.getApiClient().get(`/api/collections/${id}`);
+    return response.data.data;
+  }
+
+  /**
+   * Create a custom collection
+   * @param {Object} collection - { name, description, movieIds }
+   * @returns {Promise<Object>} Created collection with `items`
+   */
+  async createCollection({ name, description, movieIds = [] }) {
+    const response = await authService.getApiClient().post('/api/collections', { name, description, movieIds });
+    return response.data.data;
+  }
+
+  /**
+   * Rename or describe a collection
+   * @param {number|string} id - Collection ID
+   * @param {Object} changes - { name, description }
+   * @returns {Promise<Object>} Updated collection with `items`
+   */
+  async updateCollection(id, changes) {
+    const response = await authService.getApiClient().patch(`/api/collections/${id}`, changes);
+    return response.data.data;
+  }
+
+  /**
+   * Delete a custom collection
+   * @param {number|string} id - Collection ID
+   */
+  async deleteCollection(id) {
+    await authService.getApiClient().delete(`/api/collections/${id}`);
+  }
+
+  /**
+   * Add a movie to the end of a collection
+   * @param {number|string} id - Collection ID
+   * @param {number} movieId - Movie ID
+   * @returns {Promise<Object>} Updated collection with `items`
+   */
+  async addItem(id, movieId) {
+    const response = await authService.getApiClient().post(`/api/collections/${id}/items`, { movieId });
+    return response.data.data;
+  }
+
+  /**
+   * Remove a movie from a collection
+   * @param {number|string} id - Collection ID
+   * @param {number} movieId - Movie ID
+   * @returns {Promise<Object>} Updated collection with `items`
+   */
+  async removeItem(id, movieId) {
+    const response = await authService.getApiClient().delete(`/api/collections/${id}/items/${movieId}`);
+    return response.data.data;
+  }
+
+  /**
+   * Reorder a collection
+   * @param {number|string} id - Collection ID
+   * @param {number[]} movieIds - Every movie in the collection, in the new order
+   * @returns {Promise<Object>} Updated collection with `items`
+   */
+  async reorderItems(id, movieIds) {
+    const response = await authService.getApiClient().put(`/api/collections/${id}/order`, { movieIds });
+    return response.data.data;
+  }
+
+  /**
+   * Create a read-only share link
+   * @param {number|string} id - Collection ID
+   * @returns {Promise<string>} Link to the shared collection page
+   */
+  async shareCollection(id) {
+    const response = await authService.getApiClient().post(`/api/collections/${id}/share`);
+    return this.getShareUrl(response.data.data.shareToken);
+  }
+
+  /**
+   * Stop sharing a collection; existing links stop working
+   * @param {number|string} id - Collection ID
+   */
+  async unshareCollection(id) {
+    await authService.getApiClient().delete(`/api/collections/${id}/share`);
+  }
+
+  /**
+   * Get a collection through its share link
+   * @param {string} token - Share token
+   * @returns {Promise<Object>} Collection with `items` and `owner`
+   */
+  async getSharedCollection(token) {
+    const response = await authService.getApiClient().get(`/api/collections/shared/${token}`);
+    return response.data.data;
+  }
+
+  /**
+   * Link to the shared collection page
+   * @param {string} token - Share token
+   * @returns {string|null} URL, or null when the collection is not shared
+   */
+  getShareUrl(token) {
+    return token ? `${window.location.origin}/collections/shared/${token}` : null;
+  }
+
+  /**
+   * Add to or remove from the watchlist, queueing the change when offline
+   * @param {number} movieId - Movie ID
+   * @param {boolean} inWatchlist - Whether the movie should be on the watchlist
+   * @returns {Promise<boolean>} false when the change was queued for later
+   */
+  async setInWatchlist(movieId, inWatchlist) {
+    if (navigator.onLine) {
+      try {
+        if (inWatchlist) {
+          await this.addItem('watchlist', movieId);
+        } else {
+          await this.removeItem('watchlist', movieId);
+        }
+        return true;
+      } catch (error) {
+        // Only network failures are retried later
+        if (error.response) {
+          throw error;
+        }
+      }
+    }
+
+    await this._queueWatchlistChange(movieId, inWatchlist ? 'add' : 'remove');
+    return false;
+  }
+
+  /**
+   * Send queued watchlist changes
+   * @returns {Promise<Array|null>} The server's watchlist, or null when nothing was sent
+   */
+  async flushWatchlistQueue() {
+    if (!authService.isAuthenticated() || !window.indexedDB) {
+      return null;
+    }
+
+    try {
+      const queued = await runTransaction('readonly', (store) => store.getAll());
+      if (!queued || queued.length === 0) {
+        return null;
+      }
+
+      const response = await authService.getApiClient().post('/api/sync/watchlist', {
+        changes: queued.map(({ mediaId, action, timestamp }) => ({ mediaId, action, timestamp }))
+      });
+      await runTransaction('readwrite', (store) => {
+        queued.forEach((change) => store.delete(change.id));
+      });
+      return response.data.data.items;
+    } catch (error) {
+      console.error('Failed to sync watchlist changes', error);
+      return null;
+    }
+  }
+
+  /**
+   * Store a watchlist change and ask the service worker to send it
+   * The token and API URL are stored with it because the worker has neither.
+   * @private
+   */
+  async _queueWatchlistChange(mediaId, action) {
+    await runTransaction('readwrite', (store) => store.add({
+      mediaId,
+      action,
+      timestamp: new Date().toISOString(),
+      token: authService.accessToken,
+      apiUrl: authService.getApiClient().defaults.baseURL
+    }));
+
+    if ('serviceWorker' in navigator && 'SyncManager' in window) {
+      try {
+        const registration = await navigator.serviceWorker.ready;
+        await registration.sync.register(WATCHLIST_SYNC_TAG);
+      } catch (error) {
+        console.warn('Background sync unavailable; watchlist changes will sync when back online', error);
+      }
+    }
+  }
+}
+
+// Create singleton instance
+const collectionService = new CollectionService();
+
+export default collectionService;
@@ -0,0 +1,49 @@
+/**
+ * Device Session Service for Movo
+ * The devices signed in to the account. Each sign-in is a session that lasts
+ * through token refreshes until it is revoked or left unused for a week.
+ * (Playback sessions and local watch progress live in sessionService.)
+ */
+
+import authService from './authService';
+
+/**
+ * Device session service class
+ */
+class DeviceSessionService {
+  /**
+   * Get the account's active sessions, most recently used first
+   * @returns {Promise<Array>} Sessions ({ id, deviceName, userAgent, ipAddress,
+   *   signedInAt, lastUsedAt, expiresAt, current })
+   */
+  async getSessions() {
+    const response = await authService.getApiClient().get('/api/sessions');
+    return response.data.data.sessions;
+  }
+
+  /**
+   * Sign out one session; revoking the current one signs this device out
+   * @param {string} id - Session ID
+   */
+  async revokeSession(id) {
+    const response = await authService.getApiClient().delete(`/api/sessions/${id}`);
+
+    if (response.data.data.current) {
+      await authService.logout();
+    }
+  }
+
+  /**
+   * Sign out every session but this one
+   * @returns {Promise<number>} How many sessions were signed out
+   */
+  async revokeOtherSessions() {
+    const response = await authService.getApiClient().post('/api/sessions/revoke-others');
+    return response.data.data.revoked;
+  }
+}
+
+// Create singleton instance
+const deviceSessionService = new DeviceSessionService();
+
+export default deviceSessionService;
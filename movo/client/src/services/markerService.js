@@ -0,0 +1,81 @@
+/**
+ * Marker Service for Movo
+ * Loads and saves intro/recap/credits markers used by auto-skip
+ */
+
+import authService from './authService';
+
+/**
+ * Marker service class
+ */
+class MarkerService {
+  /**
+   * Get markers for a movie
+   * Signed-in users get their own corrections applied in `effective`
+   * @param {number|string} movieId - Movie ID
+   * @returns {Promise<{consensus: Array, userMarkers: Array, effective: Array}>}
+   */
+  async getMarkers(movieId) {
+    const response = await authService.getApiClient().get(`/api/movies/${movieId}/markers`);
+    return response.data.data;
+  }
+
+  /**
+   * Save marker corrections for the current user
+   * @param {number|string} movieId - Movie ID
+   * @param {Array<{type: string, start: number, end: number|null}>} markers - Markers to save
+   * @returns {Promise<Object>} Updated markers
+   */
+  async saveMarkers(movieId, markers) {
+    const response = await authService.getApiClient().put(`/api/movies/${movieId}/markers`, { markers });
+    return response.data.data;
+  }
+
+  /**
+   * Remove the current user's correction for one segment
+   * @param {number|string} movieId - Movie ID
+   * @param {string} type - Marker type
+   * @returns {Promise<Object>} Updated markers
+   */
+  async deleteMarker(movieId, type) {
+    const response = await authService.getApiClient().delete(`/api/movies/${movieId}/markers/${type}`);
+    return response.data.data;
+  }
+
+  /**
+   * Save timestamps from the timestamp editor
+   * @param {number|string} movieId - Movie ID
+   * @param {Object} timestamps - { introStart, introEnd, outroStart }
+   * @returns {Promise<Object>} Updated markers
+   */
+  saveTimestamps(movieId, { introStart, introEnd, outroStart }) {
+    const markers = [];
+    if (introEnd != null) {
+      markers.push({ type: 'intro', start: introStart || 0, end: introEnd });
+    }
+    if (outroStart != null) {
+      markers.push({ type: 'credits', start: outroStart, end: null });
+    }
+    return this.saveMarkers(movieId, markers);
+  }
+
+  /**
+   * Map markers onto the movie fields read by the player
+   * @param {Array} markers - Marker list
+   * @returns {Object} { introStart, introEnd, outroStart }
+   */
+  toTimestamps(markers) {
+    const intro = markers.find(marker => marker.type === 'intro');
+    const credits = markers.find(marker => marker.type === 'credits');
+    return {
+      introStart: intro ? intro.start : null,
+      introEnd: intro ? intro.end : null,
+      outroStart: credits ? credits.start : null
+    };
+  }
+}
+
+// Create singleton instance
+const markerService = new MarkerService();
+
+export default markerService;
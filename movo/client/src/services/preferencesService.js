@@ -0,0 +1,115 @@
+/**
+ * Preferences Service for Movo
+ * Reads and saves the current profile's preferences on the server so they
+ * follow it across devices. Stores keep a local copy for offline use.
+ */
+
+import authService, { AUTH_EVENTS } from './authService';
+
+/**
+ * Preferences service class
+ */
+class PreferencesService {
+  constructor() {
+    this.listeners = new Set();
+    this.pendingLoad = null;
+    this.load = this.load.bind(this);
+
+    authService.addEventListener(AUTH_EVENTS.LOGIN, this.load);
+    authService.addEventListener(AUTH_EVENTS.PROFILE_SWITCH, this.load);
+  }
+
+  /**
+   * Get the current user's preferences
+   * @returns {Promise<{preferences: Object, p2pSettings: Object}>}
+   */
+  async getPreferences() {
+    const response = await authService.getApiClient().get('/api/preferences');
+    return response.data.data;
+  }
+
+  /**
+   * Save some preferences; the rest keep their values
+   * @param {Object} changes - e.g. { chimeraMode: false, language: 'fr' }
+   * @returns {Promise<{preferences: Object, p2pSettings: Object}>}
+   */
+  async updatePreferences(changes) {
+    const response = await authService.getApiClient().patch('/api/preferences', changes);
+    return response.data.data;
+  }
+
+  /**
+   * Save some P2P settings
+   * @param {Object} changes - { enabled, uploadLimit, downloadLimit, maxConnections }
+   * @returns {Promise<{preferences: Object, p2pSettings: Object}>}
+   */
+  async updateP2PSettings(changes) {
+    const response = await authService.getApiClient().patch('/api/preferences/p2p', changes);
+    return response.data.data;
+  }
+
+  /**
+   * Fetch the profile's preferences and pass them to every listener
+   * Concurrent calls share one request.
+   * @returns {Promise<Object|null>} null when signed out or the request failed
+   */
+  load() {
+    if (!authService.isAuthenticated()) {
+      return Promise.resolve(null);
+    }
+
+    if (!this.pendingLoad) {
+      this.pendingLoad = this.getPreferences()
+        .then((data) => {
+          this.listeners.forEach((listener) => listener(data));
+          return data;
+        })
+        .catch((error) => {
+          console.error('Failed to load preferences', error);
+          return null;
+        })
+        .finally(() => {
+          this.pendingLoad = null;
+        });
+    }
+
+    return this.pendingLoad;
+  }
+
+  /**
+   * Be told whenever the profile's preferences are loaded
+   * @param {Function} listener - Called with { preferences, p2pSettings }
+   */
+  addListener(listener) {
+    this.listeners.add(listener);
+  }
+
+  /**
+   * Stop being told about loaded preferences
+   * @param {Function} listener - Listener passed to addListener
+   */
+  removeListener(listener) {
+    this.listeners.delete(listener);
+  }
+
+  /**
+   * Save preferences when signed in; failures are logged and the local value kept
+   * @param {Object} changes - Preferences to save
+   */
+  async pushPreferences(changes) {
+    if (!authService.isAuthenticated()) {
+      return;
+    }
+
+    try {
+      await this.updatePreferences(changes);
+    } catch (error) {
+      console.error('Failed to save preferences', error);
+    }
+  }
+}
+
+// Create singleton instance
+const preferencesService = new PreferencesService();
+
+export default preferencesService;
@@ -0,0 +1,77 @@
+/**
+ * Profile Service for Movo
+ * Viewing profiles under the signed-in account. Profiles and their parental
+ * controls live on the server, which applies the controls of the selected
+ * profile to every listing, search and stream it hands out.
+ */
+
+import authService from './authService';
+
+// Highest certification a profile can be limited to, youngest audience first
+export const MAX_RATINGS = ['G', 'PG', 'PG-13', 'R', 'NC-17'];
+
+/**
+ * Profile service class
+ */
+class ProfileService {
+  /**
+   * Get the account's profiles, default first
+   * @returns {Promise<{profiles: Array, currentProfileId: number}>}
+   */
+  async getProfiles() {
+    const response = await authService.getApiClient().get('/api/profiles');
+    return response.data.data;
+  }
+
+  /**
+   * Add a profile; child profiles get child-safe controls unless others are given
+   * @param {Object} profile - { name, avatar, type, pin, parentalControls }
+   * @returns {Promise<Object>} Created profile
+   */
+  async createProfile(profile) {
+    const response = await authService.getApiClient().post('/api/profiles', profile);
+    return response.data.data;
+  }
+
+  /**
+   * Change a profile
+   * @param {number} id - Profile ID
+   * @param {Object} changes - { name, avatar, type, pin (null removes it), isDefault, parentalControls }
+   * @returns {Promise<Object>} Updated profile
+   */
+  async updateProfile(id, changes) {
+    const response = await authService.getApiClient().patch(`/api/profiles/${id}`, changes);
+    return response.data.data;
+  }
+
+  /**
+   * Delete a profile with its history and preferences
+   * @param {number} id - Profile ID
+   */
+  async deleteProfile(id) {
+    await authService.getApiClient().delete(`/api/profiles/${id}`);
+  }
+
+  /**
+   * Make a profile the one this session watches as
+   * @param {number} id - Profile ID
+   * @param {string} [pin] - Required when the profile has a PIN
+   * @returns {Promise<Object>} The selected profile
+   */
+  selectProfile(id, pin) {
+    return authService.selectProfile(id, pin);
+  }
+
+  /**
+   * The profile this session watches as
+   * @returns {Object|null}
+   */
+  getCurrentProfile() {
+    return authService.getCurrentProfile();
+  }
+}
+
+// Create singleton instance
+const profileService = new ProfileService();
+
+export default profileService;
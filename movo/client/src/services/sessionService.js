@@ -8,6 +8,7 @@
 import { fetchWithErrorHandling } from '../utils/errorHandling';
 import analyticsService, { EVENT_CATEGORIES } from './analyticsService';
 import cryptoUtils from '../utils/cryptoUtils';
+import authService from './authService';
 
 // Constants
 const SESSION_STORAGE_KEY = 'movo_session';
@@ -64,8 +65,9 @@ class SessionService {
       window.addEventListener('beforeunload', () => {
         this._saveWatchProgressToStorage();
         
-        // Attempt a final sync if there are pending items
-        if (this.pendingSyncItems.size > 0 && navigator.sendBeacon) {
+        // Attempt a final sync if there are pending items; keepalive lets the
+        // request outlive the page and, unlike sendBeacon, carry the token
+        if (this.pendingSyncItems.size > 0 && authService.isAuthenticated()) {
           const syncData = {
             items: Array.from(this.pendingSyncItems).map(mediaId => ({
               mediaId,
@@ -73,7 +75,15 @@ class SessionService {
             }))
           };
           
-          navigator.sendBeacon('/api/sync/watch-progress', JSON.stringify(syncData));
+          fetch(`${authService.getApiClient().defaults.baseURL}/api/sync/watch-progress`, {
+            method: 'POST',
+            keepalive: true,
+            headers: {
+              'Content-Type': 'application/json',
+              Authorization: `Bearer ${authService.accessToken}`
+            },
+            body: JSON.stringify(syncData)
+          }).catch(() => {});
         }
       });
       
@@ -302,31 +312,54 @@ class SessionService {
   
   /**
    * Sync watch progress with server
+   * The server keeps whichever report is newest, so progress another device
+   * saved since is adopted locally.
    * @returns {Promise<boolean>} Whether sync was successful
    */
   async syncWatchProgress() {
     try {
-      // Skip if no pending items or no session
-      if (this.pendingSyncItems.size === 0 || !this.isSessionValid()) {
+      // Progress is stored per account, so skip when signed out
+      if (this.pendingSyncItems.size === 0 || !authService.isAuthenticated()) {
         return false;
       }
       
       // Prepare sync data
+      const syncedIds = Array.from(this.pendingSyncItems);
       const syncData = {
-        items: Array.from(this.pendingSyncItems).map(mediaId => ({
+        items: syncedIds.map(mediaId => ({
           mediaId,
           progress: this.watchProgress.get(mediaId)
         }))
       };
       
       // Call sync API
-      const response = await fetchWithErrorHandling('/api/sync/watch-progress', {
-        method: 'POST',
-        body: JSON.stringify(syncData)
+      const response = await authService.getApiClient().post('/api/sync/watch-progress', syncData);
+      
+      // Clear the items that were sent; newer local progress stays pending
+      syncedIds.forEach(mediaId => this.pendingSyncItems.delete(mediaId));
+      
+      // Adopt progress the server has from other devices
+      let changed = false;
+      response.data.data.items.forEach(item => {
+        const mediaId = String(item.movieId);
+        const local = this.watchProgress.get(mediaId);
+        const serverTime = new Date(item.timestamp).getTime();
+        
+        if (local && !this.pendingSyncItems.has(mediaId) && serverTime > (local.updatedAt || 0)) {
+          this.watchProgress.set(mediaId, {
+            ...local,
+            position: item.position,
+            duration: item.duration,
+            completed: item.completed,
+            updatedAt: serverTime
+          });
+          changed = true;
+        }
       });
       
-      // Clear pending items
-      this.pendingSyncItems.clear();
+      if (changed) {
+        await this._saveWatchProgressToStorage();
+      }
       
       // Update last sync time
       this.lastSyncTime = Date.now();
@@ -359,12 +392,9 @@ class SessionService {
       await this._saveWatchProgressToStorage();
       
       // Sync with server
-      if (this.isSessionValid()) {
-        await fetchWithErrorHandling('/api/sync/clear-progress', {
-          method: 'POST',
-          body: JSON.stringify({
-            mediaId: mediaId || 'all'
-          })
+      if (authService.isAuthenticated()) {
+        await authService.getApiClient().post('/api/sync/clear-progress', {
+          mediaId: mediaId || 'all'
         });
       }
       
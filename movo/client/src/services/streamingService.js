@@ -8,6 +8,7 @@
 
 import { fetchWithErrorHandling, ApiError } from '../utils/errorHandling';
 import analyticsService, { EVENT_CATEGORIES } from './analyticsService';
+import authService from './authService';
 
 // Constants
 const STREAM_QUALITY_LEVELS = {
@@ -337,6 +338,19 @@ class StreamingService {
     }
   }
 
+  /**
+   * Get a short-lived signed URL for a library movie
+   * @param {string} mediaId - Media ID
+   * @param {string} quality - Requested quality level
+   * @returns {Promise<Object>} Signed URL: { url, token, expiresAt, quality, hlsUrl, availableQualities }
+   */
+  async getStreamingUrl(mediaId, quality = STREAM_QUALITY_LEVELS.AUTO) {
+    const response = await authService.getApiClient().get(`/api/stream/${mediaId}/url`, {
+      params: { quality },
+    });
+    return response.data.data;
+  }
+
   /**
    * Initialize a stream
    * @private
@@ -345,11 +359,10 @@ class StreamingService {
    * @returns {Promise<Object>} Stream information
    */
   async _initializeStream(mediaId, options) {
-    // In a real implementation, this would initialize the appropriate stream type
-    // For now, we'll simulate different stream types
-
-    // Simulate API call to get stream information
-    await new Promise(resolve => setTimeout(resolve, 500));
+    // Peer and local streams are still simulated
+    if (options.streamType !== STREAM_TYPES.CENTRALIZED) {
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
 
     // Create stream info based on type
     let streamInfo;
@@ -380,17 +393,22 @@ class StreamingService {
         break;
 
       case STREAM_TYPES.CENTRALIZED:
-      default:
+      default: {
+        const streamingUrl = await this.getStreamingUrl(mediaId, options.quality);
         streamInfo = {
           mediaId,
           streamType: STREAM_TYPES.CENTRALIZED,
           quality: options.quality,
-          url: `https://stream.example.com/${mediaId}?quality=${options.quality}`,
-          cdnProvider: 'ExampleCDN',
+          url: streamingUrl.url,
+          hlsUrl: streamingUrl.hlsUrl,
+          availableQualities: streamingUrl.availableQualities,
+          token: streamingUrl.token,
+          expiresAt: new Date(streamingUrl.expiresAt),
           startTime: Date.now(),
           metadata: options.metadata,
         };
         break;
+      }
     }
 
     return streamInfo;
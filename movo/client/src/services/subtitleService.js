@@ -0,0 +1,93 @@
+/**
+ * Subtitle Service for Movo
+ * Lists a title's subtitle tracks, loads their cues for the player's
+ * renderer, uploads the user's own files and saves per-track sync offsets.
+ * The server converts every track to WebVTT, whatever the original format.
+ */
+
+import authService from './authService';
+import { parseWebVtt, indexCues } from '../utils/subtitleCues';
+
+/**
+ * Subtitle service class
+ */
+class SubtitleService {
+  constructor() {
+    // Parsed cues by track ID; tracks don't change once loaded
+    this.cueCache = new Map();
+  }
+
+  /**
+   * Subtitle tracks for a title: files from the library plus the user's uploads
+   * @param {number|string} movieId - Movie ID
+   * @param {string} language - Only this ISO 639-1 language, when given
+   * @returns {Promise<Array>} Tracks, each with the user's offsetMs
+   */
+  async listSubtitles(movieId, language) {
+    const response = await authService.getApiClient().get(`/api/movies/${movieId}/subtitles`, {
+      params: { language }
+    });
+    return response.data.data.subtitles;
+  }
+
+  /**
+   * Load a track's cues, indexed for lookups by time
+   * @param {Object} track - Track from listSubtitles()
+   * @returns {Promise<{cues: Array, longest: number}>}
+   */
+  async loadCues(track) {
+    if (this.cueCache.has(track.id)) {
+      return this.cueCache.get(track.id);
+    }
+
+    const response = await authService.getApiClient().get(track.url, { responseType: 'text' });
+    const index = indexCues(parseWebVtt(response.data));
+    this.cueCache.set(track.id, index);
+    return index;
+  }
+
+  /**
+   * Upload a subtitle file for a title; only the current user sees it
+   * @param {number|string} movieId - Movie ID
+   * @param {File} file - .srt, .vtt, .ass or .ssa file
+   * @param {Object} options - { language, label }; worked out from the file name when left out
+   * @returns {Promise<Object>} The new track
+   */
+  async uploadSubtitle(movieId, file, { language, label } = {}) {
+    const response = await authService.getApiClient().post(`/api/movies/${movieId}/subtitles`, file, {
+      params: { fileName: file.name, language, label },
+      // The file is the body as it is
+      headers: { 'Content-Type': 'application/octet-stream' }
+    });
+    return response.data.data;
+  }
+
+  /**
+   * Delete one of the current user's uploads
+   * @param {number|string} movieId - Movie ID
+   * @param {number} subtitleId - Track ID
+   */
+  async deleteSubtitle(movieId, subtitleId) {
+    await authService.getApiClient().delete(`/api/movies/${movieId}/subtitles/${subtitleId}`);
+    this.cueCache.delete(subtitleId);
+  }
+
+  /**
+   * Save the current user's timing offset for a track
+   * @param {number|string} movieId - Movie ID
+   * @param {number} subtitleId - Track ID
+   * @param {number} offsetMs - Positive values show cues later
+   * @returns {Promise<Object>} The track with its new offset
+   */
+  async setOffset(movieId, subtitleId, offsetMs) {
+    const response = await authService.getApiClient().put(`/api/movies/${movieId}/subtitles/${subtitleId}/offset`, {
+      offsetMs: Math.round(offsetMs)
+    });
+    return response.data.data;
+  }
+}
+
+// Create singleton instance
+const subtitleService = new SubtitleService();
+
+export default subtitleService;
@@ -0,0 +1,350 @@
+/**
+ * Watch Party Service for Movo
+ * Creates and moderates watch parties over the REST API and keeps the
+ * WebSocket connection to a party's room: presence, chat and the host's
+ * playback state. Positions from the host are stamped in server time, so
+ * the service keeps an estimate of the offset between this device's clock
+ * and the server's (from ping round trips) to work out where the host is now.
+ */
+
+import authService from './authService';
+
+// Clock samples taken right after joining, then one every CLOCK_SYNC_INTERVAL_MS
+const CLOCK_SAMPLES = 5;
+const CLOCK_SAMPLE_SPACING_MS = 250;
+const CLOCK_SYNC_INTERVAL_MS = 30000;
+// Reconnect after a dropped connection, backing off up to the last delay
+const RECONNECT_DELAYS_MS = [1000, 2000, 5000, 10000];
+
+// Close codes the server uses when rejoining would not help
+const CLOSE_CODES = {
+  ENDED: 4000,
+  UNAUTHENTICATED: 4401,
+  REMOVED: 4403,
+  NOT_FOUND: 4404
+};
+
+/**
+ * Watch party service class
+ */
+class WatchPartyService {
+  constructor() {
+    this.socket = null;
+    this.code = null;
+    this.listeners = new Map();
+    this.clockOffset = 0;
+    this.clockSamples = [];
+    this.clockTimers = [];
+    this.reconnectTimer = null;
+    this.reconnectAttempt = 0;
+  }
+
+  /**
+   * Start a party for a title; the current user hosts it
+   * @param {number|string} movieId - Movie ID
+   * @returns {Promise<Object>} Party, including its invite code
+   */
+  async createParty(movieId) {
+    const response = await authService.getApiClient().post('/api/watch-parties', { movieId: Number(movieId) });
+    return response.data.data;
+  }
+
+  /**
+   * Look up a party by invite code
+   * Fails for unknown or ended parties and for users the host removed.
+   * @param {string} code - Invite code
+   * @returns {Promise<Object>} Party with its members
+   */
+  async getParty(code) {
+    const response = await authService.getApiClient().get(`/api/watch-parties/${encodeURIComponent(code)}`);
+    return response.data.data;
+  }
+
+  /**
+   * Chat history before a message, oldest first
+   * @param {string} code - Invite code
+   * @param {Object} options - { before: message ID, limit }
+   * @returns {Promise<Array>} Messages
+   */
+  async getMessages(code, { before, limit = 50 } = {}) {
+    const response = await authService.getApiClient().get(`/api/watch-parties/${encodeURIComponent(code)}/messages`, {
+      params: { before, limit }
+    });
+    return response.data.data.messages;
+  }
+
+  /**
+   * End the party for everyone (host only)
+   * @param {string} code - Invite code
+   */
+  async endParty(code) {
+    await authService.getApiClient().delete(`/api/watch-parties/${encodeURIComponent(code)}`);
+  }
+
+  /**
+   * Mute or unmute a member in chat (host only)
+   * @param {string} code - Invite code
+   * @param {number|string} userId - Member's user ID
+   * @param {boolean} muted - New state
+   * @returns {Promise<Object>} Member
+   */
+  async muteMember(code, userId, muted) {
+    const response = await authService.getApiClient().put(
+      `/api/watch-parties/${encodeURIComponent(code)}/members/${userId}/mute`,
+      { muted }
+    );
+    return response.data.data;
+  }
+
+  /**
+   * Remove a member, who can't rejoin with the code (host only)
+   * @param {string} code - Invite code
+   * @param {number|string} userId - Member's user ID
+   */
+  async removeMember(code, userId) {
+    await authService.getApiClient().delete(`/api/watch-parties/${encodeURIComponent(code)}/members/${userId}`);
+  }
+
+  /**
+   * Join a party's room
+   * Resolves with the server's welcome: { party, members, messages, playback, you }.
+   * Dropped connections are reopened until disconnect() is called; listen for
+   * 'reconnecting' and a fresh 'welcome'.
+   * @param {string} code - Invite code
+   * @returns {Promise<Object>} Welcome message
+   */
+  connect(code) {
+    this.disconnect();
+    this.code = code.toUpperCase();
+    this.reconnectAttempt = 0;
+    return this._open();
+  }
+
+  /**
+   * Leave the party's room
+   */
+  disconnect() {
+    this.code = null;
+    clearTimeout(this.reconnectTimer);
+    this._stopClockSync();
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      socket.close(1000, 'Left the party');
+    }
+  }
+
+  /**
+   * Whether the room's connection is open
+   * @returns {boolean}
+   */
+  isConnected() {
+    return !!this.socket && this.socket.readyState === WebSocket.OPEN;
+  }
+
+  /**
+   * Send a chat message
+   * @param {string} content - Message text
+   */
+  sendChat(content) {
+    this._send({ type: 'chat', content });
+  }
+
+  /**
+   * Send the host's playback state to the party
+   * @param {string} action - 'play', 'pause', 'seek' or 'heartbeat'
+   * @param {Object} state - { position (seconds), isPlaying, playbackRate }
+   */
+  sendSync(action, { position, isPlaying, playbackRate = 1 }) {
+    this._send({ type: 'sync', action, position, isPlaying, playbackRate, at: this.serverNow() });
+  }
+
+  /**
+   * The server's clock, as estimated from this device's
+   * @returns {number} Milliseconds since the epoch
+   */
+  serverNow() {
+    return Date.now() + this.clockOffset;
+  }
+
+  /**
+   * Where the host's playback is now
+   * @param {Object} playback - { position, isPlaying, playbackRate, updatedAt } from the server
+   * @returns {number} Position in seconds
+   */
+  expectedPosition(playback) {
+    if (!playback.isPlaying) {
+      return playback.position;
+    }
+    return playback.position + ((this.serverNow() - playback.updatedAt) / 1000) * playback.playbackRate;
+  }
+
+  /**
+   * Listen for room events: 'welcome', 'presence', 'chat', 'playback',
+   * 'member', 'kicked', 'ended', 'error', 'reconnecting' and 'closed'
+   * @param {string} event - Event name
+   * @param {Function} listener - Called with the event's message
+   * @returns {Function} Removes the listener
+   */
+  on(event, listener) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(listener);
+    return () => this.listeners.get(event)?.delete(listener);
+  }
+
+  /**
+   * WebSocket URL of the room, on the API's host
+   * @returns {string}
+   * @private
+   */
+  _socketUrl() {
+    const url = new URL('/api/watch-party', authService.getApiClient().defaults.baseURL || window.location.origin);
+    url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+    url.searchParams.set('code', this.code);
+    return url.toString();
+  }
+
+  _open() {
+    return new Promise((resolve, reject) => {
+      const socket = new WebSocket(this._socketUrl());
+      let welcomed = false;
+      this.socket = socket;
+
+      socket.onopen = () => {
+        // The token goes in the first message rather than the URL, which proxies log
+        socket.send(JSON.stringify({ type: 'auth', token: authService.getAccessToken() }));
+      };
+
+      socket.onmessage = (event) => {
+        let message;
+        try {
+          message = JSON.parse(event.data);
+        } catch (error) {
+          return;
+        }
+
+        if (message.type === 'pong') {
+          this._addClockSample(message);
+          return;
+        }
+        if (message.type === 'welcome') {
+          welcomed = true;
+          this.reconnectAttempt = 0;
+          this._setClockOffset(message.serverTime, 0);
+          this._startClockSync();
+          resolve(message);
+        }
+        this._emit(message.type, message);
+      };
+
+      socket.onclose = (event) => {
+        const current = this.socket === socket;
+        if (current) {
+          this.socket = null;
+          this._stopClockSync();
+        }
+        if (!welcomed) {
+          const error = new Error(event.reason || 'Could not join the watch party');
+          error.code = event.code;
+          reject(error);
+          return;
+        }
+        if (!current) {
+          return;
+        }
+        if (Object.values(CLOSE_CODES).includes(event.code) || !this.code) {
+          this.code = null;
+          this._emit('closed', { code: event.code, reason: event.reason });
+          return;
+        }
+        this._scheduleReconnect();
+      };
+    });
+  }
+
+  _scheduleReconnect() {
+    const delay = RECONNECT_DELAYS_MS[Math.min(this.reconnectAttempt, RECONNECT_DELAYS_MS.length - 1)];
+    this.reconnectAttempt += 1;
+    this._emit('reconnecting', { attempt: this.reconnectAttempt, delay });
+
+    this.reconnectTimer = setTimeout(() => {
+      if (!this.code) {
+        return;
+      }
+      // Checking the code over REST first refreshes an expired access token
+      this.getParty(this.code)
+        .catch((error) => {
+          if (error.statusCode === 404 || error.statusCode === 403) {
+            error.code = error.statusCode === 404 ? CLOSE_CODES.NOT_FOUND : CLOSE_CODES.REMOVED;
+          }
+          throw error;
+        })
+        .then(() => this._open())
+        .catch((error) => {
+          if (!this.code) {
+            return;
+          }
+          if (Object.values(CLOSE_CODES).includes(error.code)) {
+            this.code = null;
+            this._emit('closed', { code: error.code, reason: error.message });
+          } else {
+            this._scheduleReconnect();
+          }
+        });
+    }, delay);
+  }
+
+  _send(message) {
+    if (this.isConnected()) {
+      this.socket.send(JSON.stringify(message));
+    }
+  }
+
+  _emit(event, message) {
+    (this.listeners.get(event) || []).forEach((listener) => listener(message));
+  }
+
+  _startClockSync() {
+    this._stopClockSync();
+    this.clockSamples = [];
+    for (let i = 0; i < CLOCK_SAMPLES; i++) {
+      this.clockTimers.push(setTimeout(() => this._ping(), i * CLOCK_SAMPLE_SPACING_MS));
+    }
+    this.clockTimers.push(setInterval(() => this._ping(), CLOCK_SYNC_INTERVAL_MS));
+  }
+
+  _stopClockSync() {
+    // clearTimeout clears intervals too
+    this.clockTimers.forEach((timer) => clearTimeout(timer));
+    this.clockTimers = [];
+  }
+
+  _ping() {
+    this._send({ type: 'ping', clientTime: Date.now() });
+  }
+
+  /**
+   * Keep the recent samples and use the one with the shortest round trip,
+   * which is the least affected by queueing on the network
+   * @private
+   */
+  _addClockSample({ clientTime, serverTime }) {
+    const roundTrip = Date.now() - clientTime;
+    this.clockSamples = [...this.clockSamples, { serverTime, clientTime, roundTrip }].slice(-CLOCK_SAMPLES);
+    const best = this.clockSamples.reduce((a, b) => (b.roundTrip < a.roundTrip ? b : a));
+    this._setClockOffset(best.serverTime, best.roundTrip, best.clientTime);
+  }
+
+  _setClockOffset(serverTime, roundTrip, sentAt = Date.now()) {
+    // The server read its clock about halfway through the round trip
+    this.clockOffset = serverTime - (sentAt + roundTrip / 2);
+  }
+}
+
+// Create singleton instance
+const watchPartyService = new WatchPartyService();
+
+export { CLOSE_CODES };
+export default watchPartyService;
@@ -0,0 +1,128 @@
+/**
+ * WebVTT cue parsing for the player's subtitle renderer
+ * The server hands out every track as WebVTT, but the parser also accepts
+ * SubRip-style comma timestamps so a stray .srt still renders.
+ */
+
+// "01:02:03.456", "02:03.456" or "01:02:03,456" to seconds
+const parseTimestamp = (value) => {
+  const match = value.trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2})[.,](\d{1,3})$/);
+  if (!match) {
+    return null;
+  }
+  const [, hours = '0', minutes, seconds, fraction] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(fraction.padEnd(3, '0')) / 1000;
+};
+
+/**
+ * Parse a WebVTT file into cues, sorted by start time
+ * Cue settings, NOTE, STYLE and REGION blocks are ignored.
+ * @param {string} text - File contents
+ * @returns {Array<{start: number, end: number, text: string}>} Times in seconds;
+ *   text may contain <i>, <b> and <u> and escaped entities
+ */
+export const parseWebVtt = (text) => {
+  const cues = [];
+
+  text
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n\s*\n/)
+    .forEach((block) => {
+      const lines = block.split('\n');
+      const timingIndex = lines.findIndex((line) => line.includes('-->'));
+      // The WEBVTT header is skipped unless a cue follows it without a blank line
+      if (timingIndex === -1 || /^(NOTE|STYLE|REGION)\b/.test(lines[0])) {
+        return;
+      }
+
+      const [startText, rest = ''] = lines[timingIndex].split('-->');
+      const start = parseTimestamp(startText);
+      const end = parseTimestamp(rest.trim().split(/\s+/)[0] || '');
+      const body = lines.slice(timingIndex + 1).join('\n').trim();
+      if (start !== null && end !== null && end > start && body) {
+        cues.push({ start, end, text: body });
+      }
+    });
+
+  return cues.sort((a, b) => a.start - b.start || a.end - b.end);
+};
+
+/**
+ * Prepare cues for lookups by time
+ * @param {Array} cues - Cues sorted by start time
+ * @returns {{cues: Array, longest: number}} The longest cue bounds how far back
+ *   a lookup has to look for overlapping cues
+ */
+export const indexCues = (cues) => ({
+  cues,
+  longest: cues.reduce((longest, cue) => Math.max(longest, cue.end - cue.start), 0)
+});
+
+/**
+ * Cues showing at a point in the video
+ * @param {Object} index - From indexCues()
+ * @param {number} time - Video time in seconds
+ * @param {number} offsetMs - The user's sync offset; positive values show cues later
+ * @returns {Array} Active cues, in start order
+ */
+export const findActiveCues = ({ cues, longest }, time, offsetMs = 0) => {
+  const cueTime = time - offsetMs / 1000;
+
+  // Last cue starting at or before cueTime
+  let low = 0;
+  let high = cues.length - 1;
+  let last = -1;
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    if (cues[middle].start <= cueTime) {
+      last = middle;
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+
+  const active = [];
+  for (let i = last; i >= 0 && cueTime - cues[i].start <= longest; i--) {
+    if (cueTime < cues[i].end) {
+      active.unshift(cues[i]);
+    }
+  }
+  return active;
+};
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&nbsp;': ' ', '&lrm;': '\u200E', '&rlm;': '\u200F' };
+
+/**
+ * Split cue text into styled runs for rendering
+ * Only italics, bold and underline are kept; other tags are dropped.
+ * @param {string} text - Cue text
+ * @returns {Array<Array<{text: string, italic: boolean, bold: boolean, underline: boolean}>>} Runs, per line
+ */
+export const parseCueMarkup = (text) => {
+  const open = { i: 0, b: 0, u: 0 };
+
+  return text.split('\n').map((line) => {
+    const runs = [];
+    line.split(/(<\/?[a-z][^>]*>)/i).forEach((part) => {
+      const tag = part.match(/^<(\/?)([a-z]+)[^>]*>$/i);
+      if (tag) {
+        const name = tag[2].toLowerCase();
+        if (name in open) {
+          open[name] = Math.max(0, open[name] + (tag[1] ? -1 : 1));
+        }
+        return;
+      }
+      if (part) {
+        runs.push({
+          text: part.replace(/&(amp|lt|gt|nbsp|lrm|rlm);/g, (entity) => ENTITIES[entity]),
+          italic: open.i > 0,
+          bold: open.b > 0,
+          underline: open.u > 0
+        });
+      }
+    });
+    return runs;
+  });
+};
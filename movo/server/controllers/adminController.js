@@ -0,0 +1,246 @@
+const adminUsers = require('../services/adminUsers');
+const { recordAdminAction, listAuditLog } = require('../services/auditLog');
+const { updateMetadata, matchMovie } = require('../services/metadata');
+const { LOCAL_MOVIE_COLUMNS, LOCAL_MOVIE_JOINS, formatMovie } = require('./movieController');
+const { query } = require('../database/query');
+const { NotFoundError, DatabaseError, logger } = require('../middleware/errorHandler');
+
+// Users
+
+exports.listUsers = async (req, res, next) => {
+  const db = req.app.locals.db;
+
+  try {
+    res.json({
+      success: true,
+      data: await adminUsers.listUsers(db, req.query)
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error listing users:', error);
+    next(new DatabaseError('Failed to retrieve users'));
+  }
+};
+
+exports.getUser = async (req, res, next) => {
+  const db = req.app.locals.db;
+
+  try {
+    res.json({
+      success: true,
+      data: await adminUsers.getUser(db, req.params.id)
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error fetching user:', error);
+    next(new DatabaseError('Failed to retrieve user'));
+  }
+};
+
+// Disable, enable, promote or demote an account
+exports.updateUser = async (req, res, next) => {
+  const db = req.app.locals.db;
+
+  try {
+    const user = await adminUsers.updateUser(db, req.user.userId, req.params.id, req.body);
+    await recordAdminAction(db, req, 'user.update', { type: 'user', id: user.id }, req.body);
+    logger.info(`Admin ${req.user.userId} updated user ${user.id}: ${JSON.stringify(req.body)}`);
+
+    res.json({
+      success: true,
+      message: 'User updated',
+      data: user
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error updating user:', error);
+    next(new DatabaseError('Failed to update user'));
+  }
+};
+
+// Sign the account out everywhere and mail it a reset link
+exports.resetUserPassword = async (req, res, next) => {
+  const db = req.app.locals.db;
+
+  try {
+    const user = await adminUsers.resetUserPassword(db, req.params.id);
+    await recordAdminAction(db, req, 'user.reset_password', { type: 'user', id: user.id });
+
+    res.json({
+      success: true,
+      message: `Password reset link sent to ${user.email}`
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Error resetting user password:', error);
+    next(new DatabaseError('Failed to reset password'));
+  }
+};
+
+// Library scans
+
+exports.startScan = async (req, res, next) => {
+  const db = req.app.locals.db;
+  const { directories, mode } = req.body;
+
+  try {
+    const scan = await req.app.locals.scanJobs.start({ directories, mode, userId: req.user.userId });
+    await recordAdminAction(db, req, 'scan.start', { type: 'scan', id: scan.id }, { directories, mode });
+
+    res.status(202).json({
+      success: true,
+      message: 'Scan started',
+      data: scan
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error starting scan:', error);
+    next(new DatabaseError('Failed to start scan'));
+  }
+};
+
+// Recent scans and, when watch mode is on, what the library watcher is doing
+exports.listScans = async (req, res, next) => {
+  const { scanJobs, libraryWatcher } = req.app.locals;
+
+  try {
+    res.json({
+      success: true,
+      data: {
+        scans: await scanJobs.list(req.query.limit),
+        watcher: libraryWatcher ? libraryWatcher.getStatus() : null
+      }
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error listing scans:', error);
+    next(new DatabaseError('Failed to retrieve scans'));
+  }
+};
+
+exports.getScan = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: await req.app.locals.scanJobs.get(req.params.id)
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error fetching scan:', error);
+    next(new DatabaseError('Failed to retrieve scan'));
+  }
+};
+
+// Movie metadata
+
+const loadMovie = async (db, movieId) => {
+  const [row] = await query(
+    db,
+    `SELECT ${LOCAL_MOVIE_COLUMNS}
+     FROM movies m
+     ${LOCAL_MOVIE_JOINS}
+     WHERE m.id = ?`,
+    [movieId]
+  );
+  if (!row) {
+    throw new NotFoundError('Movie not found');
+  }
+  return formatMovie(row);
+};
+
+// Correct a movie's metadata by hand
+exports.updateMovieMetadata = async (req, res, next) => {
+  const db = req.app.locals.db;
+
+  try {
+    if (!(await updateMetadata(db, req.params.id, req.body))) {
+      throw new NotFoundError('Movie not found');
+    }
+    await recordAdminAction(db, req, 'movie.update_metadata', { type: 'movie', id: req.params.id }, req.body);
+
+    res.json({
+      success: true,
+      message: 'Metadata updated',
+      data: await loadMovie(db, req.params.id)
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error updating metadata:', error);
+    next(new DatabaseError('Failed to update metadata'));
+  }
+};
+
+// Look a movie up again, optionally pinned to a TMDB or IMDb ID
+exports.rematchMovie = async (req, res, next) => {
+  const db = req.app.locals.db;
+  const { tmdbId, imdbId } = req.body;
+
+  try {
+    const [movie] = await query(
+      db,
+      `SELECT id, title, release_year, file_path, file_name, media_type, season_number, episode_number
+       FROM movies WHERE id = ?`,
+      [req.params.id]
+    );
+    if (!movie) {
+      throw new NotFoundError('Movie not found');
+    }
+
+    const match = await matchMovie(db, movie, { tmdbId, imdbId });
+    if (!match) {
+      throw new NotFoundError('No metadata match found');
+    }
+    await recordAdminAction(db, req, 'movie.rematch', { type: 'movie', id: movie.id }, {
+      tmdbId,
+      imdbId,
+      providers: match.metadata.providers
+    });
+
+    res.json({
+      success: true,
+      message: 'Metadata matched',
+      data: await loadMovie(db, movie.id)
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Error matching metadata:', error);
+    next(new DatabaseError('Failed to match metadata'));
+  }
+};
+
+// Audit log
+
+exports.getAuditLog = async (req, res, next) => {
+  const db = req.app.locals.db;
+
+  try {
+    res.json({
+      success: true,
+      data: await listAuditLog(db, req.query)
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error fetching audit log:', error);
+    next(new DatabaseError('Failed to retrieve audit log'));
+  }
+};
@@ -0,0 +1,247 @@
+const collections = require('../services/collections');
+const { formatMovie } = require('./movieController');
+const { DatabaseError, logger } = require('../middleware/errorHandler');
+
+const formatItem = (row) => ({
+  ...formatMovie(row),
+  position: row.position,
+  addedAt: row.added_at
+});
+
+const loadCollection = async (db, row, profile = null) => {
+  const items = await collections.getItems(db, row.id, profile);
+  return {
+    ...collections.formatCollection(row),
+    itemCount: items.length,
+    items: items.map(formatItem)
+  };
+};
+
+// The user's collections, built-in ones first
+exports.listCollections = async (req, res, next) => {
+  const db = req.app.locals.db;
+
+  try {
+    const rows = await collections.listCollections(db, req.user.userId);
+
+    res.json({
+      success: true,
+      data: rows.map(collections.formatCollection)
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error fetching collections:', error);
+    next(new DatabaseError('Failed to retrieve collections'));
+  }
+};
+
+exports.createCollection = async (req, res, next) => {
+  const db = req.app.locals.db;
+
+  try {
+    const row = await collections.createCollection(db, req.user.userId, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Collection created',
+      data: await loadCollection(db, row, req.profile)
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error creating collection:', error);
+    next(new DatabaseError('Failed to create collection'));
+  }
+};
+
+// A collection with its titles in order
+exports.getCollection = async (req, res, next) => {
+  const db = req.app.locals.db;
+
+  try {
+    const row = await collections.getCollection(db, req.user.userId, req.params.id);
+
+    res.json({
+      success: true,
+      data: await loadCollection(db, row, req.profile)
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error fetching collection:', error);
+    next(new DatabaseError('Failed to retrieve collection'));
+  }
+};
+
+exports.updateCollection = async (req, res, next) => {
+  const db = req.app.locals.db;
+
+  try {
+    const row = await collections.getCollection(db, req.user.userId, req.params.id);
+    const updated = await collections.updateCollection(db, row, req.body);
+
+    res.json({
+      success: true,
+      message: 'Collection updated',
+      data: await loadCollection(db, updated, req.profile)
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error updating collection:', error);
+    next(new DatabaseError('Failed to update collection'));
+  }
+};
+
+exports.deleteCollection = async (req, res, next) => {
+  const db = req.app.locals.db;
+
+  try {
+    const row = await collections.getCollection(db, req.user.userId, req.params.id);
+    await collections.deleteCollection(db, row);
+
+    res.json({
+      success: true,
+      message: 'Collection deleted'
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error deleting collection:', error);
+    next(new DatabaseError('Failed to delete collection'));
+  }
+};
+
+exports.addItem = async (req, res, next) => {
+  const db = req.app.locals.db;
+
+  try {
+    const row = await collections.getCollection(db, req.user.userId, req.params.id);
+    const added = await collections.addItem(db, row, req.body.movieId);
+
+    res.status(added ? 201 : 200).json({
+      success: true,
+      message: added ? 'Added to collection' : 'Already in collection',
+      data: await loadCollection(db, row, req.profile)
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error updating collection:', error);
+    next(new DatabaseError('Failed to update collection'));
+  }
+};
+
+exports.removeItem = async (req, res, next) => {
+  const db = req.app.locals.db;
+
+  try {
+    const row = await collections.getCollection(db, req.user.userId, req.params.id);
+    const removed = await collections.removeItem(db, row, req.params.movieId);
+
+    res.json({
+      success: true,
+      message: removed ? 'Removed from collection' : 'Title was not in collection',
+      data: await loadCollection(db, row, req.profile)
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error updating collection:', error);
+    next(new DatabaseError('Failed to update collection'));
+  }
+};
+
+exports.reorderItems = async (req, res, next) => {
+  const db = req.app.locals.db;
+
+  try {
+    const row = await collections.getCollection(db, req.user.userId, req.params.id);
+    await collections.reorderItems(db, row, req.body.movieIds);
+
+    res.json({
+      success: true,
+      message: 'Collection reordered',
+      data: await loadCollection(db, row, req.profile)
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error reordering collection:', error);
+    next(new DatabaseError('Failed to reorder collection'));
+  }
+};
+
+// Create (or return the existing) read-only share link token
+exports.shareCollection = async (req, res, next) => {
+  const db = req.app.locals.db;
+
+  try {
+    const row = await collections.getCollection(db, req.user.userId, req.params.id);
+    const shared = await collections.shareCollection(db, row);
+
+    res.json({
+      success: true,
+      message: 'Collection shared',
+      data: await loadCollection(db, shared, req.profile)
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error sharing collection:', error);
+    next(new DatabaseError('Failed to share collection'));
+  }
+};
+
+// Existing share links stop working
+exports.unshareCollection = async (req, res, next) => {
+  const db = req.app.locals.db;
+
+  try {
+    const row = await collections.getCollection(db, req.user.userId, req.params.id);
+    await collections.unshareCollection(db, row);
+
+    res.json({
+      success: true,
+      message: 'Collection is no longer shared'
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error unsharing collection:', error);
+    next(new DatabaseError('Failed to unshare collection'));
+  }
+};
+
+// Read-only view through a share link; no sign-in needed
+exports.getSharedCollection = async (req, res, next) => {
+  const db = req.app.locals.db;
+
+  try {
+    const row = await collections.getSharedCollection(db, req.params.token);
+    const collection = await loadCollection(db, row);
+    delete collection.shareToken;
+
+    res.json({
+      success: true,
+      data: { ...collection, owner: row.owner }
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error fetching collection:', error);
+    next(new DatabaseError('Failed to retrieve collection'));
+  }
+};
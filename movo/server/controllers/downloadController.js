@@ -0,0 +1,199 @@
+const { NotFoundError, DatabaseError, logger } = require('../middleware/errorHandler');
+
+// The caller's downloads, newest first
+exports.listDownloads = async (req, res, next) => {
+  try {
+    const downloads = await req.app.locals.downloadQueue.list(req.user.userId, req.profile);
+
+    res.json({
+      success: true,
+      data: { downloads }
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error fetching downloads:', error);
+    next(new DatabaseError('Failed to retrieve downloads'));
+  }
+};
+
+// Queue an offline bundle of a title; its parts can be fetched once it is ready
+exports.createDownload = async (req, res, next) => {
+  try {
+    const download = await req.app.locals.downloadQueue.create(req.user.userId, req.body.movieId, {
+      quality: req.body.quality,
+      profile: req.profile
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Download queued',
+      data: download
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error starting download:', error);
+    next(new DatabaseError('Failed to start download'));
+  }
+};
+
+exports.getDownload = async (req, res, next) => {
+  try {
+    const download = await req.app.locals.downloadQueue.get(req.user.userId, req.params.id, req.profile);
+
+    res.json({
+      success: true,
+      data: download
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error fetching download:', error);
+    next(new DatabaseError('Failed to retrieve download'));
+  }
+};
+
+// How many bytes of the bundle the client has stored
+exports.reportProgress = async (req, res, next) => {
+  try {
+    const download = await req.app.locals.downloadQueue.reportProgress(
+      req.user.userId,
+      req.params.id,
+      req.body.bytesReceived,
+      req.profile
+    );
+
+    res.json({
+      success: true,
+      data: download
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error updating download progress:', error);
+    next(new DatabaseError('Failed to update download progress'));
+  }
+};
+
+exports.pauseDownload = async (req, res, next) => {
+  try {
+    const download = await req.app.locals.downloadQueue.pause(req.user.userId, req.params.id, req.profile);
+
+    res.json({
+      success: true,
+      message: 'Download paused',
+      data: download
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error pausing download:', error);
+    next(new DatabaseError('Failed to pause download'));
+  }
+};
+
+// Carry on a paused download, or prepare a failed one again
+exports.resumeDownload = async (req, res, next) => {
+  try {
+    const download = await req.app.locals.downloadQueue.resume(req.user.userId, req.params.id, req.profile);
+
+    res.json({
+      success: true,
+      message: 'Download resumed',
+      data: download
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error resuming download:', error);
+    next(new DatabaseError('Failed to resume download'));
+  }
+};
+
+// Cancel a download and delete its bundle
+exports.deleteDownload = async (req, res, next) => {
+  try {
+    await req.app.locals.downloadQueue.remove(req.user.userId, req.params.id, req.profile);
+
+    res.json({
+      success: true,
+      message: 'Download deleted'
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error deleting download:', error);
+    next(new DatabaseError('Failed to delete download'));
+  }
+};
+
+// One part of a prepared bundle
+// Parts are fetched in ranges of the download's chunkSize; a transfer that
+// stopped carries on from the last chunk the client stored.
+exports.downloadFile = async (req, res, next) => {
+  let file;
+  try {
+    file = await req.app.locals.downloadQueue.getFile(
+      req.user.userId,
+      req.params.id,
+      req.params.fileId,
+      req.profile
+    );
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error looking up download file:', error);
+    return next(new DatabaseError('Failed to retrieve download file'));
+  }
+
+  res.type(file.contentType);
+  res.set('Cache-Control', 'private, no-transform');
+
+  if (file.filePath) {
+    return res.sendFile(
+      file.filePath,
+      { acceptRanges: true, etag: true, lastModified: true, dotfiles: 'allow' },
+      (error) => {
+        if (!error || error.code === 'ECONNABORTED' || error.code === 'ECONNRESET' || res.headersSent) {
+          return;
+        }
+        if (error.code === 'ENOENT') {
+          return next(new NotFoundError('The file is no longer available'));
+        }
+        if (error.status === 416 || error.statusCode === 416) {
+          res.set('Content-Range', `bytes */${file.size}`);
+          return res.status(416).end();
+        }
+        logger.error(`Error sending download file ${file.id}:`, error);
+        next(error);
+      }
+    );
+  }
+
+  // Subtitles and metadata are stored in the database
+  const body = Buffer.from(file.content, 'utf8');
+  res.set('Accept-Ranges', 'bytes');
+
+  const ranges = req.headers.range ? req.range(body.length) : undefined;
+  if (ranges === -1) {
+    res.set('Content-Range', `bytes */${body.length}`);
+    return res.status(416).end();
+  }
+  // Several ranges, or a header that can't be read, get the whole file
+  if (ranges && ranges !== -2 && ranges.length === 1) {
+    const { start, end } = ranges[0];
+    res.status(206);
+    res.set('Content-Range', `bytes ${start}-${end}/${body.length}`);
+    return res.send(body.subarray(start, end + 1));
+  }
+  res.send(body);
+};
@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const { runHealthChecks } = require('../services/healthChecks');
+const { register } = require('../services/metrics');
+const { AuthenticationError, logger } = require('../middleware/errorHandler');
+
+const describeServer = () => ({
+  timestamp: new Date().toISOString(),
+  version: process.env.npm_package_version || '1.0.0',
+  environment: process.env.NODE_ENV
+});
+
+// Every check with its details; 503 while a check is down
+exports.getHealth = async (req, res) => {
+  const { status, checks } = await runHealthChecks(req.app.locals);
+
+  res.status(status === 'unhealthy' ? 503 : 200).json({
+    success: status !== 'unhealthy',
+    data: {
+      status,
+      ...describeServer(),
+      uptime: Math.round(process.uptime()),
+      checks
+    }
+  });
+};
+
+// The process is up and the event loop is turning; nothing else is touched
+exports.getLiveness = (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      status: 'alive',
+      ...describeServer()
+    }
+  });
+};
+
+// Whether the server can take traffic
+exports.getReadiness = async (req, res) => {
+  const { status, checks } = await runHealthChecks(req.app.locals);
+  const ready = status !== 'unhealthy';
+
+  if (!ready) {
+    const failing = Object.keys(checks).filter((name) => checks[name].status === 'down');
+    logger.warn(`Readiness check failed: ${failing.join(', ')}`);
+  }
+
+  res.status(ready ? 200 : 503).json({
+    success: ready,
+    data: {
+      status: ready ? 'ready' : 'not_ready',
+      timestamp: new Date().toISOString(),
+      checks: Object.fromEntries(Object.entries(checks).map(([name, check]) => [name, check.status]))
+    }
+  });
+};
+
+// With METRICS_TOKEN set, scrapers must send it as a Bearer token
+exports.authenticateMetrics = (req, res, next) => {
+  const expected = process.env.METRICS_TOKEN;
+  if (!expected) {
+    return next();
+  }
+
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+  const matches = token.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expected));
+
+  if (!matches) {
+    return next(new AuthenticationError('Invalid metrics token'));
+  }
+  next();
+};
+
+// Prometheus text exposition format
+exports.getMetrics = async (req, res, next) => {
+  try {
+    res.set('Content-Type', register.contentType);
+    res.send(await register.metrics());
+  } catch (error) {
+    logger.error('Error collecting metrics:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,124 @@
+const { DatabaseError, logger } = require('../middleware/errorHandler');
+
+const formatHistoryMovie = (row) => ({
+  id: row.movie_id,
+  title: row.title,
+  year: row.release_year ? String(row.release_year) : null,
+  posterUrl: row.poster_path,
+  backdropUrl: row.backdrop_path,
+  runtime: row.runtime,
+  mediaType: row.media_type,
+  season: row.season_number,
+  episode: row.episode_number,
+  episodeTitle: row.episode_title
+});
+
+// The profile's watch history, most recently watched first
+exports.getHistory = async (req, res, next) => {
+  const tracker = req.app.locals.progressTracker;
+  const { page, limit, status } = req.query;
+
+  try {
+    const { rows, total } = await tracker.listHistory(req.profile, { page, limit, status });
+
+    res.json({
+      success: true,
+      data: {
+        items: rows.map(({ row, progress }) => ({ movie: formatHistoryMovie(row), progress })),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error fetching watch history:', error);
+    next(new DatabaseError('Failed to retrieve watch history'));
+  }
+};
+
+// Where to resume a title; data is null when it has not been started
+exports.getProgress = async (req, res, next) => {
+  const tracker = req.app.locals.progressTracker;
+
+  try {
+    const progress = await tracker.getProgress(req.profile, req.params.movieId);
+
+    res.json({
+      success: true,
+      data: progress
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error fetching watch progress:', error);
+    next(new DatabaseError('Failed to retrieve watch progress'));
+  }
+};
+
+// Player heartbeat; saved with the next batch
+exports.saveProgress = async (req, res, next) => {
+  const tracker = req.app.locals.progressTracker;
+
+  try {
+    const progress = await tracker.record(req.profile, { ...req.body, movieId: req.params.movieId });
+
+    res.json({
+      success: true,
+      data: progress
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Error recording watch progress:', error);
+    next(new DatabaseError('Failed to save watch progress'));
+  }
+};
+
+// Mark a title watched (or, with completed: false, unwatched)
+exports.markCompleted = async (req, res, next) => {
+  const tracker = req.app.locals.progressTracker;
+
+  try {
+    const progress = await tracker.setCompleted(req.profile, req.params.movieId, req.body.completed);
+
+    res.json({
+      success: true,
+      message: progress.completed ? 'Marked as watched' : 'Marked as unwatched',
+      data: progress
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error marking title watched:', error);
+    next(new DatabaseError('Failed to update watch history'));
+  }
+};
+
+// Remove a title from the history
+exports.deleteProgress = async (req, res, next) => {
+  const tracker = req.app.locals.progressTracker;
+
+  try {
+    const removed = await tracker.remove(req.profile, req.params.movieId);
+
+    res.json({
+      success: true,
+      message: removed ? 'Removed from watch history' : 'Title was not in watch history'
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error removing watch history:', error);
+    next(new DatabaseError('Failed to update watch history'));
+  }
+};
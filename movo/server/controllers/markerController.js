@@ -0,0 +1,148 @@
+const { query } = require('../database/query');
+const { recomputeConsensus } = require('../services/markerConsensus');
+const { restrictionCondition } = require('../services/profiles');
+const { NotFoundError, DatabaseError, logger } = require('../middleware/errorHandler');
+
+const toSeconds = (value) => (value === null || value === undefined ? null : Number(value));
+
+const formatMarker = (row) => ({
+  type: row.marker_type,
+  start: toSeconds(row.start_time),
+  end: toSeconds(row.end_time)
+});
+
+// A title the profile may not see is reported as missing
+const ensureMovieExists = async (db, movieId, profile = null) => {
+  const restriction = restrictionCondition(profile);
+  const [movie] = await query(
+    db,
+    `SELECT m.id FROM movies m WHERE m.id = ? ${restriction ? `AND ${restriction.sql}` : ''}`,
+    [movieId, ...(restriction ? restriction.params : [])]
+  );
+  if (!movie) {
+    throw new NotFoundError('Movie not found');
+  }
+};
+
+// Consensus markers, plus the user's own overrides when signed in
+const loadMarkers = async (db, movieId, userId) => {
+  const consensusRows = await query(
+    db,
+    `SELECT marker_type, start_time, end_time, source, vote_count
+     FROM marker_consensus WHERE movie_id = ?`,
+    [movieId]
+  );
+  const consensus = consensusRows.map((row) => ({
+    ...formatMarker(row),
+    source: row.source,
+    votes: row.vote_count
+  }));
+
+  if (!userId) {
+    return { consensus, userMarkers: [], effective: consensus };
+  }
+
+  const userRows = await query(
+    db,
+    'SELECT marker_type, start_time, end_time FROM media_markers WHERE movie_id = ? AND user_id = ?',
+    [movieId, userId]
+  );
+  const userMarkers = userRows.map((row) => ({ ...formatMarker(row), source: 'user' }));
+
+  // The user's own correction wins over the consensus for their playback
+  const effective = new Map(consensus.map((marker) => [marker.type, marker]));
+  userMarkers.forEach((marker) => effective.set(marker.type, marker));
+
+  return { consensus, userMarkers, effective: [...effective.values()] };
+};
+
+// Get markers for a movie
+exports.getMarkers = async (req, res, next) => {
+  const db = req.app.locals.db;
+  const { movieId } = req.params;
+
+  try {
+    await ensureMovieExists(db, movieId, req.profile);
+    const markers = await loadMarkers(db, movieId, req.user ? req.user.userId : null);
+
+    res.json({
+      success: true,
+      data: markers
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error fetching markers:', error);
+    next(new DatabaseError('Failed to retrieve markers'));
+  }
+};
+
+// Save the current user's marker corrections
+exports.saveMarkers = async (req, res, next) => {
+  const db = req.app.locals.db;
+  const { movieId } = req.params;
+  const userId = req.user.userId;
+  const { markers } = req.body;
+
+  try {
+    await ensureMovieExists(db, movieId, req.profile);
+
+    for (const marker of markers) {
+      await query(
+        db,
+        `INSERT INTO media_markers (movie_id, user_id, marker_type, start_time, end_time)
+         VALUES (?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE start_time = VALUES(start_time), end_time = VALUES(end_time)`,
+        [movieId, userId, marker.type, marker.start, marker.end]
+      );
+    }
+
+    await recomputeConsensus(db, movieId, [...new Set(markers.map((marker) => marker.type))]);
+    const updated = await loadMarkers(db, movieId, userId);
+
+    logger.info(`Markers updated for movie ${movieId} by user ID: ${userId}`);
+
+    res.json({
+      success: true,
+      message: 'Markers saved successfully',
+      data: updated
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error saving markers:', error);
+    next(new DatabaseError('Failed to save markers'));
+  }
+};
+
+// Remove the current user's correction for one segment
+exports.deleteMarker = async (req, res, next) => {
+  const db = req.app.locals.db;
+  const { movieId, type } = req.params;
+  const userId = req.user.userId;
+
+  try {
+    const result = await query(
+      db,
+      'DELETE FROM media_markers WHERE movie_id = ? AND user_id = ? AND marker_type = ?',
+      [movieId, userId, type]
+    );
+
+    if (result.affectedRows === 0) {
+      return next(new NotFoundError('Marker not found'));
+    }
+
+    await recomputeConsensus(db, movieId, [type]);
+
+    res.json({
+      success: true,
+      message: 'Marker removed successfully',
+      data: await loadMarkers(db, movieId, userId)
+    });
+  } catch (error) {
+    logger.error('Database error deleting marker:', error);
+    next(new DatabaseError('Failed to delete marker'));
+  }
+};
@@ -1,87 +1,172 @@
-const mysql = require("mysql");
-
-// Create MySQL connection
-const db = mysql.createConnection({
-  host: "localhost",
-  user: "",
-  password: "",
-  database: "happyteens",
-});
+const { logger } = require("../middleware/errorHandler");
+const { query } = require("../database/query");
+const { fetchMetadata, matchMovie } = require("../services/metadata");
+const { isRestricted, restrictionCondition } = require("../services/profiles");
+
+// DECIMAL columns come back as strings
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+const LOCAL_MOVIE_COLUMNS = `m.id, m.title, m.release_year, m.poster_path, m.file_name, m.file_size,
+  m.tmdb_id, m.imdb_id, m.original_title, m.overview, m.backdrop_path, m.release_date, m.runtime,
+  m.vote_average, m.genres, m.content_rating,
+  m.resolution, m.source, m.edition, m.media_type, m.season_number, m.episode_number, m.episode_title,
+  va.duration, va.intro_confidence, va.outro_confidence,
+  mi.start_time AS intro_start, mi.end_time AS intro_end, mc.start_time AS outro_start`;
+
+// Skip markers come from the consensus, which includes the detected values
+const LOCAL_MOVIE_JOINS = `LEFT JOIN video_analysis va ON va.movie_id = m.id
+     LEFT JOIN marker_consensus mi ON mi.movie_id = m.id AND mi.marker_type = 'intro'
+     LEFT JOIN marker_consensus mc ON mc.movie_id = m.id AND mc.marker_type = 'credits'`;
+
+// JSON columns come back as strings too
+const parseJsonColumn = (value, fallback) => {
+  if (value === null || value === undefined) {
+    return fallback;
+  }
+  try {
+    return typeof value === "string" ? JSON.parse(value) : value;
+  } catch (error) {
+    return fallback;
+  }
+};
+
+// Shape a movies row for the client
+const formatMovie = (row) => {
+  const genres = parseJsonColumn(row.genres, []);
+
+  return {
+    id: row.id,
+    title: row.title,
+    year: row.release_year ? String(row.release_year) : null,
+    category: genres.length > 0 ? genres[0] : null,
+    genres,
+    tmdbId: row.tmdb_id,
+    imdbId: row.imdb_id,
+    originalTitle: row.original_title,
+    overview: row.overview,
+    releaseDate: row.release_date,
+    runtime: row.runtime,
+    rating: toNumber(row.vote_average),
+    contentRating: row.content_rating,
+    posterUrl: row.poster_path,
+    backdropUrl: row.backdrop_path,
+    fileName: row.file_name,
+    fileSize: row.file_size,
+    resolution: row.resolution,
+    source: row.source,
+    edition: row.edition,
+    mediaType: row.media_type,
+    season: row.season_number,
+    episode: row.episode_number,
+    episodeTitle: row.episode_title,
+    duration: toNumber(row.duration),
+    introStart: toNumber(row.intro_start),
+    introEnd: toNumber(row.intro_end),
+    outroStart: toNumber(row.outro_start),
+    introConfidence: toNumber(row.intro_confidence),
+    outroConfidence: toNumber(row.outro_confidence),
+    downloaded: true
+  };
+};
+
+// Parental controls of the requesting profile, as SQL to append to a WHERE clause
+const profileRestriction = (req) => {
+  const restriction = restrictionCondition(req.profile);
+  return restriction ? { sql: ` AND ${restriction.sql}`, params: restriction.params } : { sql: "", params: [] };
+};
 
 // Get all local movies
-const getLocalMovies = (req, res) => {
-  // In a real implementation, this would query the database
-  // For now, we'll return a success message with mock data
-  
-  const mockMovies = [
-    {
-      id: 1,
-      title: "The Avengers",
-      year: "2012",
-      category: "Action",
-      posterUrl: "https://m.media-amazon.com/images/M/MV5BNDYxNjQyMjAtNTdiOS00NGYwLWFmNTAtNThmYjU5ZGI2YTI1XkEyXkFqcGdeQXVyMTMxODk2OTU@._V1_SX300.jpg",
-      introStart: 0,
-      introEnd: 120, // 2 minutes intro
-      outroStart: 7200, // 2 hours into the movie
-      downloaded: true
-    },
-    {
-      id: 2,
-      title: "Inception",
-      year: "2010",
-      category: "Sci-Fi",
-      posterUrl: "https://m.media-amazon.com/images/M/MV5BMjAxMzY3NjcxNF5BMl5BanBnXkFtZTcwNTI5OTM0Mw@@._V1_SX300.jpg",
-      introStart: 0,
-      introEnd: 90, // 1.5 minutes intro
-      outroStart: 8400, // 2 hours 20 minutes into the movie
-      downloaded: true
-    },
-    {
-      id: 3,
-      title: "The Dark Knight",
-      year: "2008",
-      category: "Action",
-      posterUrl: "https://m.media-amazon.com/images/M/MV5BMTMxNTMwODM0NF5BMl5BanBnXkFtZTcwODAyMTk2Mw@@._V1_SX300.jpg",
-      introStart: 0,
-      introEnd: 60, // 1 minute intro
-      outroStart: 7800, // 2 hours 10 minutes into the movie
-      downloaded: true
-    },
-    {
-      id: 4,
-      title: "Toy Story",
-      year: "1995",
-      category: "Animation",
-      posterUrl: "https://m.media-amazon.com/images/M/MV5BMDU2ZWJlMjktMTRhMy00ZTA5LWEzNDgtYmNmZTEwZTViZWJkXkEyXkFqcGdeQXVyNDQ2OTk4MzI@._V1_SX300.jpg",
-      introStart: 0,
-      introEnd: 30, // 30 seconds intro
-      outroStart: 4800, // 1 hour 20 minutes into the movie
-      downloaded: true
-    },
-    {
-      id: 5,
-      title: "The Shawshank Redemption",
-      year: "1994",
-      category: "Drama",
-      posterUrl: "https://m.media-amazon.com/images/M/MV5BMDFkYTc0MGEtZmNhMC00ZDIzLWFmNTEtODM1ZmRlYWMwMWFmXkEyXkFqcGdeQXVyMTMxODk2OTU@._V1_SX300.jpg",
-      introStart: 0,
-      introEnd: 150, // 2.5 minutes intro
-      outroStart: 8100, // 2 hours 15 minutes into the movie
-      downloaded: true
+const getLocalMovies = async (req, res) => {
+  const db = req.app.locals.db;
+  const restriction = profileRestriction(req);
+
+  try {
+    const results = await query(
+      db,
+      `SELECT ${LOCAL_MOVIE_COLUMNS}
+       FROM movies m
+       ${LOCAL_MOVIE_JOINS}
+       WHERE m.file_path IS NOT NULL AND m.is_available = TRUE${restriction.sql}
+       ORDER BY m.title, m.season_number, m.episode_number`,
+      restriction.params
+    );
+
+    res.status(200).json({
+      success: true,
+      movies: results.map(formatMovie)
+    });
+  } catch (err) {
+    logger.error("Database error fetching local movies:", err);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching local movies"
+    });
+  }
+};
+
+// Get a single local movie; titles the profile may not see are not found
+const getLocalMovie = async (req, res) => {
+  const db = req.app.locals.db;
+  const restriction = profileRestriction(req);
+
+  try {
+    const results = await query(
+      db,
+      `SELECT ${LOCAL_MOVIE_COLUMNS}
+       FROM movies m
+       ${LOCAL_MOVIE_JOINS}
+       WHERE m.id = ? AND m.file_path IS NOT NULL${restriction.sql}`,
+      [req.params.id, ...restriction.params]
+    );
+
+    if (results.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Movie not found"
+      });
     }
-  ];
-  
-  res.status(200).json({
-    success: true,
-    movies: mockMovies
-  });
+
+    res.status(200).json({
+      success: true,
+      movie: formatMovie(results[0])
+    });
+  } catch (err) {
+    logger.error("Database error fetching local movie:", err);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching local movie"
+    });
+  }
 };
 
+// Provider metadata for a title that is not in the library (nothing is saved)
+const formatMetadata = (metadata) => ({
+  id: null,
+  title: metadata.title,
+  year: metadata.year ? String(metadata.year) : null,
+  category: metadata.genres && metadata.genres.length > 0 ? metadata.genres[0] : null,
+  genres: metadata.genres || [],
+  tmdbId: metadata.tmdbId || null,
+  imdbId: metadata.imdbId || null,
+  originalTitle: metadata.originalTitle || null,
+  overview: metadata.overview || null,
+  releaseDate: metadata.releaseDate || null,
+  runtime: metadata.runtime || null,
+  rating: metadata.voteAverage !== undefined ? metadata.voteAverage : null,
+  posterUrl: metadata.poster ? metadata.poster.url || null : null,
+  backdropUrl: metadata.backdrop ? metadata.backdrop.url || null : null,
+  downloaded: false
+});
+
 // Download movie information
+// Library movies are matched and saved; other titles are only looked up by IMDb ID.
+// Titles the profile may not see are not found, and a restricted profile gets
+// no provider lookups, whose ratings can't be checked against its controls.
 const downloadMovieInfo = async (req, res) => {
-  const { imdbID } = req.body;
+  const { movieId, imdbID } = req.body;
+  const restriction = profileRestriction(req);
   
-  if (!imdbID) {
+  if (!movieId && !imdbID) {
     return res.status(400).json({
       success: false,
       message: "Movie ID is required"
@@ -89,21 +174,66 @@ const downloadMovieInfo = async (req, res) => {
   }
   
   try {
-    // In a real implementation, this would:
-    // 1. Fetch movie details from an API
-    // 2. Download and store the poster image
-    // 3. Save the movie metadata to the database
-    // 4. Analyze the video file to detect intro/outro timestamps
+    const db = req.app.locals.db;
+    
+    const [libraryMovie] = await query(
+      db,
+      `SELECT m.id, m.title, m.release_year, m.file_path, m.file_name, m.media_type, m.season_number,
+         m.episode_number
+       FROM movies m
+       WHERE ${movieId ? "m.id = ?" : "m.imdb_id = ?"} AND m.file_path IS NOT NULL${restriction.sql}
+       LIMIT 1`,
+      [movieId || imdbID, ...restriction.params]
+    );
+    
+    if (!libraryMovie) {
+      if (movieId || (req.profile && isRestricted(req.profile))) {
+        return res.status(404).json({
+          success: false,
+          message: "Movie not found"
+        });
+      }
+      
+      const metadata = await fetchMetadata({ title: "", media_type: "movie" }, { imdbId: imdbID });
+      if (!metadata) {
+        return res.status(404).json({
+          success: false,
+          message: `No information found for ${imdbID}`
+        });
+      }
+      
+      return res.status(200).json({
+        success: true,
+        message: `Movie information for ${imdbID} downloaded successfully`,
+        movie: formatMetadata(metadata),
+        introEnd: null,
+        outroStart: null
+      });
+    }
+    
+    const match = await matchMovie(db, libraryMovie, { imdbId: imdbID });
+    const [row] = await query(
+      db,
+      `SELECT ${LOCAL_MOVIE_COLUMNS}
+       FROM movies m
+       ${LOCAL_MOVIE_JOINS}
+       WHERE m.id = ?`,
+      [libraryMovie.id]
+    );
+    const movie = formatMovie(row);
     
-    // For now, we'll just return a success message
     res.status(200).json({
       success: true,
-      message: `Movie information for ${imdbID} downloaded successfully`,
-      introEnd: 120, // Mock intro end time (2 minutes)
-      outroStart: 7200 // Mock outro start time (2 hours)
+      message: match
+        ? `Movie information for "${movie.title}" downloaded successfully`
+        : "No metadata match found; returning library information",
+      matched: Boolean(match),
+      movie,
+      introEnd: movie.introEnd,
+      outroStart: movie.outroStart
     });
   } catch (error) {
-    console.error("Error downloading movie information:", error);
+    logger.error("Error downloading movie information:", error);
     res.status(500).json({
       success: false,
       message: "Error downloading movie information"
@@ -112,6 +242,10 @@ const downloadMovieInfo = async (req, res) => {
 };
 
 module.exports = {
+  LOCAL_MOVIE_COLUMNS,
+  LOCAL_MOVIE_JOINS,
+  formatMovie,
   getLocalMovies,
+  getLocalMovie,
   downloadMovieInfo
 };
@@ -0,0 +1,57 @@
+const { getPreferences, updatePreferences, updateP2PSettings } = require('../services/preferences');
+const { DatabaseError, logger } = require('../middleware/errorHandler');
+
+// The current profile's preferences and P2P settings
+exports.getPreferences = async (req, res, next) => {
+  const db = req.app.locals.db;
+
+  try {
+    res.json({
+      success: true,
+      data: await getPreferences(db, req.profile)
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error fetching preferences:', error);
+    next(new DatabaseError('Failed to retrieve preferences'));
+  }
+};
+
+// Change some preferences; fields left out keep their values
+exports.updatePreferences = async (req, res, next) => {
+  const db = req.app.locals.db;
+
+  try {
+    res.json({
+      success: true,
+      message: 'Preferences updated',
+      data: await updatePreferences(db, req.profile, req.body)
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error updating preferences:', error);
+    next(new DatabaseError('Failed to update preferences'));
+  }
+};
+
+exports.updateP2PSettings = async (req, res, next) => {
+  const db = req.app.locals.db;
+
+  try {
+    res.json({
+      success: true,
+      message: 'P2P settings updated',
+      data: await updateP2PSettings(db, req.profile, req.body)
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error updating P2P settings:', error);
+    next(new DatabaseError('Failed to update P2P settings'));
+  }
+};
@@ -0,0 +1,142 @@
+const profiles = require('../services/profiles');
+const { continueSession } = require('../services/sessions');
+const { issueTokens, revokeRefreshToken } = require('../services/authTokens');
+const { DatabaseError, logger } = require('../middleware/errorHandler');
+
+// Attach the profile the request acts as (req.profile); anonymous requests get none
+exports.loadProfile = async (req, res, next) => {
+  if (!req.user) {
+    return next();
+  }
+
+  try {
+    req.profile = await profiles.resolveProfile(req.app.locals.db, req.user.userId, req.user.profileId);
+    next();
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error loading profile:', error);
+    next(new DatabaseError('Failed to load profile'));
+  }
+};
+
+// The account's profiles and the one this session uses
+exports.listProfiles = async (req, res, next) => {
+  const db = req.app.locals.db;
+
+  try {
+    res.json({
+      success: true,
+      data: {
+        profiles: await profiles.listProfiles(db, req.user.userId),
+        currentProfileId: req.profile.id
+      }
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error fetching profiles:', error);
+    next(new DatabaseError('Failed to retrieve profiles'));
+  }
+};
+
+exports.createProfile = async (req, res, next) => {
+  const db = req.app.locals.db;
+
+  try {
+    profiles.assertCanManageProfiles(req.profile);
+
+    res.status(201).json({
+      success: true,
+      message: 'Profile created',
+      data: await profiles.createProfile(db, req.user.userId, req.body)
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error creating profile:', error);
+    next(new DatabaseError('Failed to create profile'));
+  }
+};
+
+exports.updateProfile = async (req, res, next) => {
+  const db = req.app.locals.db;
+
+  try {
+    profiles.assertCanManageProfiles(req.profile);
+
+    res.json({
+      success: true,
+      message: 'Profile updated',
+      data: await profiles.updateProfile(db, req.user.userId, req.params.id, req.body)
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error updating profile:', error);
+    next(new DatabaseError('Failed to update profile'));
+  }
+};
+
+exports.deleteProfile = async (req, res, next) => {
+  const db = req.app.locals.db;
+
+  try {
+    profiles.assertCanManageProfiles(req.profile);
+    await profiles.deleteProfile(db, req.user.userId, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Profile deleted'
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error deleting profile:', error);
+    next(new DatabaseError('Failed to delete profile'));
+  }
+};
+
+// Switch to a profile, checking its PIN, and get tokens scoped to it
+// The tokens stay in the current session; the refresh token being replaced
+// can be sent along to revoke it.
+exports.selectProfile = async (req, res, next) => {
+  const db = req.app.locals.db;
+  const { pin, refreshToken } = req.body;
+
+  try {
+    const profile = await profiles.verifyProfilePin(db, req.user.userId, req.params.id, pin);
+    const tokens = await issueTokens(
+      db,
+      { id: req.user.userId, username: req.user.username },
+      profile.id,
+      await continueSession(db, req)
+    );
+
+    if (refreshToken) {
+      await revokeRefreshToken(db, refreshToken);
+    }
+
+    logger.info(`User ${req.user.userId} switched to profile ${profile.id}`);
+
+    res.json({
+      success: true,
+      message: 'Profile selected',
+      data: {
+        profile,
+        ...tokens
+      }
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error selecting profile:', error);
+    next(new DatabaseError('Failed to select profile'));
+  }
+};
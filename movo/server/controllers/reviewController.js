@@ -0,0 +1,140 @@
+const reviews = require('../services/reviews');
+const { recordAdminAction } = require('../services/auditLog');
+const { DatabaseError, logger } = require('../middleware/errorHandler');
+
+// A page of a title's reviews, with the caller's likes marked
+exports.listReviews = async (req, res, next) => {
+  const db = req.app.locals.db;
+  const { sort, page, limit } = req.query;
+
+  try {
+    const { reviews: items, summary, total } = await reviews.listReviews(db, req.params.movieId, {
+      sort,
+      page,
+      limit,
+      viewerId: req.user.userId,
+      profile: req.profile
+    });
+
+    res.json({
+      success: true,
+      data: {
+        reviews: items,
+        summary,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error fetching reviews:', error);
+    next(new DatabaseError('Failed to retrieve reviews'));
+  }
+};
+
+// Review a title; one review per account
+exports.createReview = async (req, res, next) => {
+  const db = req.app.locals.db;
+
+  try {
+    const review = await reviews.createReview(db, req.user.userId, req.params.movieId, req.body, req.profile);
+
+    res.status(201).json({
+      success: true,
+      message: 'Review added',
+      data: review
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error adding review:', error);
+    next(new DatabaseError('Failed to add review'));
+  }
+};
+
+exports.updateReview = async (req, res, next) => {
+  const db = req.app.locals.db;
+
+  try {
+    const review = await reviews.updateReview(db, req.user.userId, req.params.id, req.body);
+
+    res.json({
+      success: true,
+      message: 'Review updated',
+      data: review
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error updating review:', error);
+    next(new DatabaseError('Failed to update review'));
+  }
+};
+
+// Authors delete their own reviews; admins can remove anyone's
+exports.deleteReview = async (req, res, next) => {
+  const db = req.app.locals.db;
+
+  try {
+    const { review, moderated } = await reviews.deleteReview(db, req.user.userId, req.params.id);
+    if (moderated) {
+      await recordAdminAction(db, req, 'review.delete', { type: 'review', id: review.id }, {
+        movieId: review.movieId,
+        userId: review.userId
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Review deleted'
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error deleting review:', error);
+    next(new DatabaseError('Failed to delete review'));
+  }
+};
+
+exports.likeReview = async (req, res, next) => {
+  const db = req.app.locals.db;
+
+  try {
+    res.json({
+      success: true,
+      data: await reviews.setReviewLike(db, req.user.userId, req.params.id, true)
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error liking review:', error);
+    next(new DatabaseError('Failed to like review'));
+  }
+};
+
+exports.unlikeReview = async (req, res, next) => {
+  const db = req.app.locals.db;
+
+  try {
+    res.json({
+      success: true,
+      data: await reviews.setReviewLike(db, req.user.userId, req.params.id, false)
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error unliking review:', error);
+    next(new DatabaseError('Failed to unlike review'));
+  }
+};
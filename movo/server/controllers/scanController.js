@@ -1,15 +1,9 @@
-const fs = require('fs');
-const path = require('path');
-const axios = require('axios');
-const mysql = require('mysql');
-
-// Create MySQL connection
-const db = mysql.createConnection({
-  host: "localhost",
-  user: "",
-  password: "",
-  database: "happyteens",
-});
+const { scanLibrary, saveScanResults } = require('../services/libraryScanner');
+const { rescanLibrary } = require('../services/libraryIndex');
+const { analyzeMovie, saveAnalysis } = require('../services/introDetector');
+const { recomputeConsensus } = require('../services/markerConsensus');
+const { matchMovie } = require('../services/metadata');
+const { query } = require('../database/query');
 
 // Scan local directories for movie files
 const scanDirectories = async (req, res) => {
@@ -23,50 +17,15 @@ const scanDirectories = async (req, res) => {
   }
   
   try {
-    const foundMovies = [];
-    
-    // In a real implementation, this would scan the provided directories
-    // for video files and extract information from filenames
-    
-    // For now, we'll just return a success message with mock data
-    const mockFoundMovies = [
-      {
-        fileName: "The_Avengers_2012.mp4",
-        filePath: "C:/Movies/The_Avengers_2012.mp4",
-        fileSize: 1572864000, // 1.5 GB
-        title: "The Avengers",
-        year: "2012",
-        possibleMatches: [
-          { imdbID: "tt0848228", title: "The Avengers", year: "2012" },
-          { imdbID: "tt0118661", title: "The Avengers", year: "1998" }
-        ]
-      },
-      {
-        fileName: "Inception.2010.1080p.mp4",
-        filePath: "C:/Movies/Inception.2010.1080p.mp4",
-        fileSize: 2097152000, // 2 GB
-        title: "Inception",
-        year: "2010",
-        possibleMatches: [
-          { imdbID: "tt1375666", title: "Inception", year: "2010" }
-        ]
-      },
-      {
-        fileName: "The.Dark.Knight.2008.BluRay.mp4",
-        filePath: "C:/Movies/The.Dark.Knight.2008.BluRay.mp4",
-        fileSize: 2516582400, // 2.4 GB
-        title: "The Dark Knight",
-        year: "2008",
-        possibleMatches: [
-          { imdbID: "tt0468569", title: "The Dark Knight", year: "2008" }
-        ]
-      }
-    ];
+    const db = req.app.locals.db;
+    const { files, errors } = await scanLibrary(directories);
+    const foundMovies = await saveScanResults(db, files);
     
     res.status(200).json({
       success: true,
       message: "Scan completed successfully",
-      foundMovies: mockFoundMovies
+      foundMovies,
+      errors
     });
   } catch (error) {
     console.error("Error scanning directories:", error);
@@ -77,33 +36,182 @@ const scanDirectories = async (req, res) => {
   }
 };
 
+// Incrementally rescan directories against the file index
+const rescanDirectories = async (req, res) => {
+  const { directories } = req.body;
+  
+  if (!directories || !Array.isArray(directories) || directories.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: "Please provide at least one directory to rescan"
+    });
+  }
+  
+  try {
+    const db = req.app.locals.db;
+    const { errors, ...changes } = await rescanLibrary(db, directories);
+    
+    res.status(200).json({
+      success: true,
+      message: "Rescan completed successfully",
+      changes,
+      errors
+    });
+  } catch (error) {
+    console.error("Error rescanning directories:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error rescanning directories"
+    });
+  }
+};
+
+// Respond with 503 when watch mode is disabled
+const getWatcher = (req, res) => {
+  const watcher = req.app.locals.libraryWatcher;
+  if (!watcher) {
+    res.status(503).json({
+      success: false,
+      message: "Library watch mode is disabled"
+    });
+  }
+  return watcher;
+};
+
+// List watched library roots
+const listWatchedRoots = (req, res) => {
+  const watcher = getWatcher(req, res);
+  if (!watcher) return;
+  
+  res.status(200).json({
+    success: true,
+    roots: watcher.listRoots()
+  });
+};
+
+// Register a library root to watch
+const addWatchedRoot = async (req, res) => {
+  const watcher = getWatcher(req, res);
+  if (!watcher) return;
+  
+  const { path: rootPath } = req.body;
+  
+  if (!rootPath || typeof rootPath !== "string") {
+    return res.status(400).json({
+      success: false,
+      message: "Directory path is required"
+    });
+  }
+  
+  try {
+    const root = await watcher.addRoot(rootPath);
+    
+    res.status(201).json({
+      success: true,
+      message: "Library root added, initial scan queued",
+      root
+    });
+  } catch (error) {
+    if (error.code === "ER_DUP_ENTRY") {
+      return res.status(409).json({
+        success: false,
+        message: "Directory is already being watched"
+      });
+    }
+    if (error.code === "ENOENT" || error.code === "EACCES" || error.code === "ENOTDIR") {
+      return res.status(400).json({
+        success: false,
+        message: `Directory is not accessible: ${rootPath}`
+      });
+    }
+    console.error("Error adding library root:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error adding library root"
+    });
+  }
+};
+
+// Stop watching a library root
+const removeWatchedRoot = async (req, res) => {
+  const watcher = getWatcher(req, res);
+  if (!watcher) return;
+  
+  const rootId = parseInt(req.params.id, 10);
+  
+  try {
+    const removed = await watcher.removeRoot(rootId);
+    
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: "Library root not found"
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: "Library root removed"
+    });
+  } catch (error) {
+    console.error("Error removing library root:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error removing library root"
+    });
+  }
+};
+
+// Watcher status: last event and pending ingest queue
+const getWatchStatus = (req, res) => {
+  const watcher = getWatcher(req, res);
+  if (!watcher) return;
+  
+  res.status(200).json({
+    success: true,
+    status: watcher.getStatus()
+  });
+};
+
 // Analyze video file for intro/outro detection
 const analyzeVideo = async (req, res) => {
-  const { filePath } = req.body;
+  const { movieId, filePath } = req.body;
   
-  if (!filePath) {
+  if (!movieId && !filePath) {
     return res.status(400).json({
       success: false,
-      message: "File path is required"
+      message: "Movie ID or file path is required"
     });
   }
   
   try {
-    // In a real implementation, this would analyze the video file
-    // to detect intro and outro sequences
+    const db = req.app.locals.db;
+    
+    // Only files the scanner knows about can be analyzed
+    const [movie] = await query(
+      db,
+      `SELECT id, title, file_path, media_type, season_number, episode_number
+       FROM movies
+       WHERE ${movieId ? "id = ?" : "file_path = ?"} AND file_path IS NOT NULL`,
+      [movieId || filePath]
+    );
+    
+    if (!movie) {
+      return res.status(404).json({
+        success: false,
+        message: "File is not part of the library"
+      });
+    }
     
-    // For now, we'll just return mock data
-    const mockAnalysisResults = {
-      introStart: 0,
-      introEnd: Math.floor(Math.random() * 120) + 30, // 30-150 seconds
-      outroStart: Math.floor(Math.random() * 1800) + 5400, // 1.5-2 hours
-      duration: Math.floor(Math.random() * 1800) + 5400 + 300 // Add 5 minutes to outroStart
-    };
+    const analysisResults = await analyzeMovie(db, movie);
+    await saveAnalysis(db, movie.id, analysisResults);
+    await recomputeConsensus(db, movie.id, ["intro", "credits"]);
     
     res.status(200).json({
       success: true,
       message: "Video analysis completed",
-      results: mockAnalysisResults
+      movieId: movie.id,
+      results: analysisResults
     });
   } catch (error) {
     console.error("Error analyzing video:", error);
@@ -114,30 +222,53 @@ const analyzeVideo = async (req, res) => {
   }
 };
 
-// Download movie poster and metadata
+// Match a library file against the metadata providers and store its poster and metadata
 const downloadMovieAssets = async (req, res) => {
-  const { imdbID, localFilePath } = req.body;
+  const { movieId, localFilePath, imdbID, tmdbId } = req.body;
   
-  if (!imdbID) {
+  if (!movieId && !localFilePath) {
     return res.status(400).json({
       success: false,
-      message: "Movie ID is required"
+      message: "Movie ID or local file path is required"
     });
   }
   
   try {
-    // In a real implementation, this would:
-    // 1. Fetch movie details from an API
-    // 2. Download and store the poster image
-    // 3. Save the movie metadata to the database
-    // 4. Link the metadata to the local file path
+    const db = req.app.locals.db;
+    
+    const [movie] = await query(
+      db,
+      `SELECT id, title, release_year, file_path, file_name, media_type, season_number, episode_number
+       FROM movies
+       WHERE ${movieId ? "id = ?" : "file_path = ?"} AND file_path IS NOT NULL`,
+      [movieId || localFilePath]
+    );
+    
+    if (!movie) {
+      return res.status(404).json({
+        success: false,
+        message: "File is not part of the library"
+      });
+    }
+    
+    const match = await matchMovie(db, movie, { imdbId: imdbID, tmdbId });
+    
+    if (!match) {
+      return res.status(404).json({
+        success: false,
+        message: "No metadata match found",
+        movieId: movie.id
+      });
+    }
     
-    // For now, we'll just return a success message
     res.status(200).json({
       success: true,
-      message: `Movie assets for ${imdbID} downloaded successfully`,
-      posterPath: `/static/posters/${imdbID}.jpg`,
-      metadataPath: `/static/metadata/${imdbID}.json`
+      message: `Movie assets for "${match.metadata.title || movie.title}" downloaded successfully`,
+      movieId: movie.id,
+      providers: match.metadata.providers,
+      score: match.metadata.score,
+      posterPath: match.posterPath,
+      backdropPath: match.backdropPath
     });
   } catch (error) {
     console.error("Error downloading movie assets:", error);
@@ -150,6 +281,11 @@ const downloadMovieAssets = async (req, res) => {
 
 module.exports = {
   scanDirectories,
+  rescanDirectories,
+  listWatchedRoots,
+  addWatchedRoot,
+  removeWatchedRoot,
+  getWatchStatus,
   analyzeVideo,
   downloadMovieAssets
 };
@@ -0,0 +1,86 @@
+const { query } = require('../database/query');
+const { LOCAL_MOVIE_COLUMNS, LOCAL_MOVIE_JOINS, formatMovie } = require('./movieController');
+const { buildConnection } = require('../src/graphql/dataSources/helpers');
+const { DatabaseError, logger } = require('../middleware/errorHandler');
+
+const FILTERS = ['genres', 'yearFrom', 'yearTo', 'ratingMin', 'ratingMax', 'runtimeMin', 'runtimeMax', 'type'];
+
+// Search the library; one page of results in the GraphQL MediaConnection shape, plus facets
+exports.search = async (req, res, next) => {
+  const db = req.app.locals.db;
+  const { query: text, sort, page, limit } = req.query;
+  const filters = {};
+  FILTERS.filter((name) => req.query[name] !== undefined).forEach((name) => {
+    filters[name] = req.query[name];
+  });
+
+  try {
+    const offset = (page - 1) * limit;
+    const { hits, total, facets } = await req.app.locals.searchIndex.search(text, {
+      filters,
+      sort,
+      offset,
+      limit,
+      profile: req.profile
+    });
+
+    const rows = hits.length > 0
+      ? await query(
+        db,
+        `SELECT ${LOCAL_MOVIE_COLUMNS}
+         FROM movies m
+         ${LOCAL_MOVIE_JOINS}
+         WHERE m.id IN (?)`,
+        [hits.map((hit) => hit.id)]
+      )
+      : [];
+    const rowsById = new Map(rows.map((row) => [row.id, row]));
+
+    // A title deleted since the index was built is left out
+    const found = hits.filter((hit) => rowsById.has(hit.id));
+    const connection = buildConnection(found.map((hit) => formatMovie(rowsById.get(hit.id))), total, {
+      page,
+      limit,
+      offset
+    });
+    connection.edges.forEach((edge, index) => {
+      edge.score = found[index].score;
+      edge.highlights = found[index].highlights;
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...connection,
+        facets
+      }
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error searching the library:', error);
+    next(new DatabaseError('Failed to search the library'));
+  }
+};
+
+// Titles matching what the user has typed so far
+exports.suggest = async (req, res, next) => {
+  try {
+    const suggestions = await req.app.locals.searchIndex.suggest(req.query.query, {
+      limit: req.query.limit,
+      profile: req.profile
+    });
+
+    res.json({
+      success: true,
+      data: { suggestions }
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error fetching search suggestions:', error);
+    next(new DatabaseError('Failed to retrieve search suggestions'));
+  }
+};
@@ -0,0 +1,74 @@
+const sessions = require('../services/sessions');
+const { ValidationError, DatabaseError, logger } = require('../middleware/errorHandler');
+
+// Access tokens issued before sessions were tracked don't name theirs
+const currentSessionId = (req) => {
+  if (!req.user.sid) {
+    throw new ValidationError('This sign-in predates session tracking; please sign in again');
+  }
+  return req.user.sid;
+};
+
+// The account's signed-in devices, the requesting one flagged as current
+exports.listSessions = async (req, res, next) => {
+  const db = req.app.locals.db;
+
+  try {
+    res.json({
+      success: true,
+      data: {
+        sessions: await sessions.listSessions(db, req.user.userId, req.user.sid || null)
+      }
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error fetching sessions:', error);
+    next(new DatabaseError('Failed to retrieve sessions'));
+  }
+};
+
+// Sign out one device; revoking the current session signs this device out
+exports.revokeSession = async (req, res, next) => {
+  const db = req.app.locals.db;
+
+  try {
+    await sessions.revokeSession(db, req.user.userId, req.params.id);
+    logger.info(`User ${req.user.userId} revoked session ${req.params.id}`);
+
+    res.json({
+      success: true,
+      message: 'Session revoked',
+      data: { current: req.params.id === req.user.sid }
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error revoking session:', error);
+    next(new DatabaseError('Failed to revoke session'));
+  }
+};
+
+// Sign out every device but this one
+exports.revokeOtherSessions = async (req, res, next) => {
+  const db = req.app.locals.db;
+
+  try {
+    const revoked = await sessions.revokeOtherSessions(db, req.user.userId, currentSessionId(req));
+    logger.info(`User ${req.user.userId} revoked ${revoked} other sessions`);
+
+    res.json({
+      success: true,
+      message: 'Other sessions revoked',
+      data: { revoked }
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error revoking sessions:', error);
+    next(new DatabaseError('Failed to revoke sessions'));
+  }
+};
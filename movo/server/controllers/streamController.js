@@ -0,0 +1,364 @@
+const fs = require('fs');
+const path = require('path');
+const { query } = require('../database/query');
+const { createStreamToken, verifyStreamToken } = require('../services/streamTokens');
+const { restrictionCondition, isRestricted } = require('../services/profiles');
+const { trackTransfer } = require('../services/metrics');
+const { authenticate } = require('./userController');
+const { loadProfile } = require('./profileController');
+const {
+  AppError,
+  AuthenticationError,
+  NotFoundError,
+  DatabaseError,
+  logger
+} = require('../middleware/errorHandler');
+
+// Containers the scanner picks up; browsers only play some of them natively
+const VIDEO_MIME_TYPES = {
+  '.mp4': 'video/mp4',
+  '.m4v': 'video/mp4',
+  '.mkv': 'video/x-matroska',
+  '.webm': 'video/webm',
+  '.mov': 'video/quicktime',
+  '.avi': 'video/x-msvideo',
+  '.wmv': 'video/x-ms-wmv',
+  '.flv': 'video/x-flv',
+  '.mpg': 'video/mpeg',
+  '.mpeg': 'video/mpeg',
+  '.ts': 'video/mp2t',
+  '.m2ts': 'video/mp2t',
+  '.ogv': 'video/ogg',
+  '.3gp': 'video/3gpp'
+};
+
+// A restricted profile gets the same 404 as for a title that does not exist
+const getStreamableMovie = async (db, movieId, profile = null) => {
+  const restriction = restrictionCondition(profile);
+  const [movie] = await query(
+    db,
+    `SELECT m.id, m.file_path, m.runtime, va.duration
+     FROM movies m
+     LEFT JOIN video_analysis va ON va.movie_id = m.id
+     WHERE m.id = ? AND m.file_path IS NOT NULL AND m.is_available = TRUE
+       ${restriction ? `AND ${restriction.sql}` : ''}`,
+    [movieId, ...(restriction ? restriction.params : [])]
+  );
+  if (!movie) {
+    throw new NotFoundError('Movie not found');
+  }
+  return movie;
+};
+
+// Base URL for links handed to clients; PUBLIC_URL when behind a proxy
+exports.publicBaseUrl = (req) => {
+  return (process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+};
+
+// Qualities a player can offer: "auto" plus every HLS rendition for the source
+const listAvailableQualities = async (packager, movie) => {
+  if (!packager) {
+    return ['auto'];
+  }
+  try {
+    const renditions = await packager.getRenditions(movie);
+    return ['auto', ...renditions.map((rendition) => rendition.quality)];
+  } catch (error) {
+    logger.warn(`Could not list renditions for movie ${movie.id}: ${error.message}`);
+    return ['auto'];
+  }
+};
+
+/**
+ * Build a signed streaming URL in the GraphQL StreamingUrl shape
+ * `url` is the original file; `hlsUrl` the adaptive master playlist.
+ * The profile's parental controls are checked here, as the signed URL itself is not.
+ * @returns {Promise<{url, token, expiresAt, quality, hlsUrl, availableQualities}>}
+ */
+exports.createStreamingUrl = async (db, { movieId, userId, profile = null, quality = 'auto', baseUrl, packager }) => {
+  const movie = await getStreamableMovie(db, movieId, profile);
+  const duration = movie.duration ? Number(movie.duration) : (movie.runtime || 0) * 60;
+  const { token, expiresAt } = createStreamToken({ userId, movieId: movie.id, quality }, duration);
+  const availableQualities = await listAvailableQualities(packager, movie);
+  const tokenQuery = `?token=${encodeURIComponent(token)}`;
+
+  return {
+    url: `${baseUrl}/api/stream/${movie.id}${tokenQuery}`,
+    token,
+    expiresAt: expiresAt.toISOString(),
+    quality,
+    hlsUrl: availableQualities.length > 1 ? `${baseUrl}/api/stream/${movie.id}/hls/master.m3u8${tokenQuery}` : null,
+    availableQualities
+  };
+};
+
+// Access tokens act as a profile, which may not be allowed the title
+const checkProfileAccess = (req, res, next) => {
+  if (!req.profile || !isRestricted(req.profile)) {
+    return next();
+  }
+  getStreamableMovie(req.app.locals.db, req.params.movieId, req.profile)
+    .then(() => next())
+    .catch((error) => {
+      if (error.isOperational) {
+        return next(error);
+      }
+      logger.error('Database error checking stream access:', error);
+      next(new DatabaseError('Failed to start stream'));
+    });
+};
+
+// Accept either a signed ?token= (for <video> elements) or a Bearer access token
+exports.authenticateStream = (req, res, next) => {
+  const { token } = req.query;
+
+  if (!token) {
+    return authenticate(req, res, (authError) => {
+      if (authError) {
+        return next(authError);
+      }
+      loadProfile(req, res, (profileError) => {
+        if (profileError) {
+          return next(profileError);
+        }
+        checkProfileAccess(req, res, next);
+      });
+    });
+  }
+
+  try {
+    const decoded = verifyStreamToken(token, req.params.movieId);
+    req.user = { userId: decoded.userId };
+    req.streamQuality = decoded.quality;
+    next();
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return next(new AuthenticationError('Stream URL has expired'));
+    }
+    next(new AuthenticationError('Invalid stream token'));
+  }
+};
+
+// Get a short-lived signed URL for a movie
+exports.getStreamUrl = async (req, res, next) => {
+  try {
+    const streamingUrl = await exports.createStreamingUrl(req.app.locals.db, {
+      movieId: req.params.movieId,
+      userId: req.user.userId,
+      profile: req.profile,
+      quality: req.query.quality || 'auto',
+      baseUrl: exports.publicBaseUrl(req),
+      packager: req.app.locals.hlsPackager
+    });
+
+    res.json({
+      success: true,
+      data: streamingUrl
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error creating stream URL:', error);
+    next(new DatabaseError('Failed to create stream URL'));
+  }
+};
+
+// Stream the library file
+// Range requests (206), If-Range, ETag/Last-Modified revalidation (304) and
+// HEAD are handled by res.sendFile.
+exports.streamMovie = async (req, res, next) => {
+  let movie;
+  try {
+    movie = await getStreamableMovie(req.app.locals.db, req.params.movieId);
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error looking up stream:', error);
+    return next(new DatabaseError('Failed to start stream'));
+  }
+
+  const mimeType = VIDEO_MIME_TYPES[path.extname(movie.file_path).toLowerCase()];
+  if (mimeType) {
+    res.type(mimeType);
+  }
+
+  trackTransfer(req, res, 'file');
+  res.sendFile(
+    movie.file_path,
+    {
+      acceptRanges: true,
+      etag: true,
+      lastModified: true,
+      dotfiles: 'allow',
+      headers: {
+        // Signed URLs are per user; keep them out of shared caches
+        'Cache-Control': 'private, max-age=3600',
+        // The client app is served from another origin
+        'Cross-Origin-Resource-Policy': 'cross-origin'
+      }
+    },
+    (error) => {
+      if (!error) {
+        return;
+      }
+      // Client went away mid-transfer, which seeking does constantly
+      if (error.code === 'ECONNABORTED' || error.code === 'ECONNRESET' || res.headersSent) {
+        return;
+      }
+      if (error.code === 'ENOENT') {
+        logger.warn(`Library file missing for movie ${movie.id}: ${movie.file_path}`);
+        return next(new NotFoundError('Video file is not available'));
+      }
+      if (error.status === 416 || error.statusCode === 416) {
+        fs.stat(movie.file_path, (statError, stats) => {
+          if (!statError) {
+            res.set('Content-Range', `bytes */${stats.size}`);
+          }
+          res.status(416).end();
+        });
+        return;
+      }
+      logger.error(`Error streaming movie ${movie.id}:`, error);
+      next(error);
+    }
+  );
+};
+
+const getPackager = (req) => {
+  const packager = req.app.locals.hlsPackager;
+  if (!packager) {
+    throw new AppError('HLS packaging is disabled', 503, 'SERVICE_UNAVAILABLE');
+  }
+  return packager;
+};
+
+// Carry a signed token over to the URIs inside a playlist
+const tokenSuffix = (req) => (req.query.token ? `?token=${encodeURIComponent(req.query.token)}` : '');
+
+const sendPlaylist = (res, playlist) => {
+  res.set({
+    'Content-Type': 'application/vnd.apple.mpegurl',
+    // Playlists grow while a rendition is being packaged
+    'Cache-Control': 'no-cache',
+    'Cross-Origin-Resource-Policy': 'cross-origin'
+  });
+  res.send(playlist);
+};
+
+const handlePackagingError = (error, next, action) => {
+  if (error.isOperational) {
+    return next(error);
+  }
+  if (error.code === 'RENDITION_UNAVAILABLE') {
+    return next(new NotFoundError(error.message));
+  }
+  if (error.code === 'ENOENT') {
+    return next(new NotFoundError('Video file is not available'));
+  }
+  logger.error(`Error ${action}:`, error);
+  next(new AppError(`Failed ${action}`, 500, 'PACKAGING_ERROR'));
+};
+
+// List the HLS renditions offered for a movie and their packaging status
+exports.getRenditions = async (req, res, next) => {
+  try {
+    const packager = getPackager(req);
+    const movie = await getStreamableMovie(req.app.locals.db, req.params.movieId, req.profile);
+    const renditions = await packager.getRenditions(movie);
+
+    res.json({
+      success: true,
+      data: {
+        renditions,
+        availableQualities: ['auto', ...renditions.map((rendition) => rendition.quality)]
+      }
+    });
+  } catch (error) {
+    handlePackagingError(error, next, 'listing renditions');
+  }
+};
+
+// Queue renditions for background packaging
+exports.packageRenditions = async (req, res, next) => {
+  try {
+    const packager = getPackager(req);
+    const movie = await getStreamableMovie(req.app.locals.db, req.params.movieId, req.profile);
+    const renditions = await packager.packageMovie(movie, req.body.qualities || null);
+
+    res.status(202).json({
+      success: true,
+      message: 'Packaging queued',
+      data: { renditions }
+    });
+  } catch (error) {
+    handlePackagingError(error, next, 'queueing packaging');
+  }
+};
+
+// Master playlist listing every rendition for the source
+exports.getMasterPlaylist = async (req, res, next) => {
+  try {
+    const packager = getPackager(req);
+    const movie = await getStreamableMovie(req.app.locals.db, req.params.movieId);
+    const source = await packager.loadSource(movie);
+    const renditions = await packager.getRenditions(movie);
+
+    sendPlaylist(res, packager.buildMasterPlaylist(renditions, source, tokenSuffix(req)));
+  } catch (error) {
+    handlePackagingError(error, next, 'building master playlist');
+  }
+};
+
+// Variant playlist, packaging the rendition on demand
+exports.getVariantPlaylist = async (req, res, next) => {
+  try {
+    const packager = getPackager(req);
+    const movie = await getStreamableMovie(req.app.locals.db, req.params.movieId);
+    const playlistPath = await packager.ensurePlaylist(movie, req.params.quality);
+
+    if (!playlistPath) {
+      res.set('Retry-After', '5');
+      return next(new AppError('Rendition is still being prepared', 503, 'PACKAGING_IN_PROGRESS'));
+    }
+
+    const playlist = await fs.promises.readFile(playlistPath, 'utf8');
+    sendPlaylist(res, packager.rewritePlaylist(playlist, tokenSuffix(req)));
+  } catch (error) {
+    handlePackagingError(error, next, 'preparing rendition');
+  }
+};
+
+// A cached segment
+exports.getSegment = (req, res, next) => {
+  let packager;
+  try {
+    packager = getPackager(req);
+  } catch (error) {
+    return next(error);
+  }
+
+  const { movieId, quality, segment } = req.params;
+  trackTransfer(req, res, 'hls');
+  res.sendFile(
+    packager.segmentPath(movieId, quality, segment),
+    {
+      headers: {
+        'Content-Type': 'video/mp2t',
+        // Finished segments never change
+        'Cache-Control': 'private, max-age=86400, immutable',
+        'Cross-Origin-Resource-Policy': 'cross-origin'
+      }
+    },
+    (error) => {
+      if (!error || res.headersSent) {
+        return;
+      }
+      if (error.code === 'ENOENT') {
+        return next(new NotFoundError('Segment not found'));
+      }
+      next(error);
+    }
+  );
+};
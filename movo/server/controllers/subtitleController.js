@@ -0,0 +1,140 @@
+const express = require('express');
+const subtitles = require('../services/subtitles');
+const { ValidationError, DatabaseError, logger } = require('../middleware/errorHandler');
+
+const rawUpload = express.raw({ type: () => true, limit: subtitles.MAX_UPLOAD_BYTES });
+
+// Subtitle files are posted as the request body. JSON and form bodies have
+// already been parsed by the app, so those content types can't be used.
+exports.readSubtitleFile = (req, res, next) => {
+  rawUpload(req, res, (error) => {
+    if (error && error.type === 'entity.too.large') {
+      return next(new ValidationError(`Subtitle files can be at most ${Math.floor(subtitles.MAX_UPLOAD_BYTES / 1024)} KB`));
+    }
+    if (!error && !Buffer.isBuffer(req.body)) {
+      return next(new ValidationError('Send the subtitle file as the request body with Content-Type application/octet-stream'));
+    }
+    next(error);
+  });
+};
+
+// A title's subtitle tracks, with the caller's timing offsets
+exports.listSubtitles = async (req, res, next) => {
+  const db = req.app.locals.db;
+
+  try {
+    const tracks = await subtitles.listSubtitles(db, req.params.movieId, req.user.userId, req.profile, {
+      language: req.query.language
+    });
+
+    res.json({
+      success: true,
+      data: { subtitles: tracks }
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error fetching subtitles:', error);
+    next(new DatabaseError('Failed to retrieve subtitles'));
+  }
+};
+
+// Upload a subtitle file for a title; only the uploader sees it
+exports.uploadSubtitle = async (req, res, next) => {
+  const db = req.app.locals.db;
+  const { fileName, language, label } = req.query;
+
+  try {
+    const track = await subtitles.createUpload(
+      db,
+      req.user.userId,
+      req.params.movieId,
+      { buffer: req.body, fileName, language, label },
+      req.profile
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Subtitles added',
+      data: track
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error adding subtitles:', error);
+    next(new DatabaseError('Failed to add subtitles'));
+  }
+};
+
+// Delete one of the caller's uploads
+exports.deleteSubtitle = async (req, res, next) => {
+  const db = req.app.locals.db;
+
+  try {
+    await subtitles.deleteUpload(db, req.user.userId, req.params.movieId, req.params.subtitleId);
+
+    res.json({
+      success: true,
+      message: 'Subtitles deleted'
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error deleting subtitles:', error);
+    next(new DatabaseError('Failed to delete subtitles'));
+  }
+};
+
+// Save the caller's timing offset for a track
+exports.setSubtitleOffset = async (req, res, next) => {
+  const db = req.app.locals.db;
+
+  try {
+    const track = await subtitles.setOffset(
+      db,
+      req.user.userId,
+      req.params.movieId,
+      req.params.subtitleId,
+      req.body.offsetMs,
+      req.profile
+    );
+
+    res.json({
+      success: true,
+      data: track
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error saving subtitle offset:', error);
+    next(new DatabaseError('Failed to save subtitle offset'));
+  }
+};
+
+// A track as WebVTT, converted from the sidecar file when needed
+exports.getSubtitleFile = async (req, res, next) => {
+  const db = req.app.locals.db;
+
+  try {
+    const { vtt } = await subtitles.getSubtitleVtt(db, req.params.movieId, req.params.subtitleId, req.user.userId);
+
+    res.set({
+      'Content-Type': 'text/vtt; charset=utf-8',
+      // Uploads are per user; keep them out of shared caches
+      'Cache-Control': 'private, max-age=300',
+      // The client app is served from another origin
+      'Cross-Origin-Resource-Policy': 'cross-origin'
+    });
+    res.send(vtt);
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Error converting subtitles:', error);
+    next(new DatabaseError('Failed to load subtitles'));
+  }
+};
@@ -0,0 +1,128 @@
+const { applyWatchlistChanges, getWatchlistEntries } = require('../services/collections');
+const { DatabaseError, logger } = require('../middleware/errorHandler');
+
+/**
+ * Upload progress the client recorded while offline
+ * Each item is applied only if it is newer than what the server has. The
+ * response carries the progress now on record for every accepted title, so
+ * the client can adopt whatever another device saved since.
+ */
+exports.syncWatchProgress = async (req, res, next) => {
+  const tracker = req.app.locals.progressTracker;
+  const profile = req.profile;
+
+  try {
+    const skipped = [];
+    for (const item of req.body.items) {
+      try {
+        await tracker.record(profile, {
+          movieId: item.mediaId,
+          position: item.progress.position,
+          duration: item.progress.duration,
+          completed: item.progress.completed,
+          timestamp: item.progress.updatedAt || item.timestamp
+        });
+      } catch (error) {
+        // A title removed from the library should not block the rest
+        if (error.statusCode !== 404) {
+          throw error;
+        }
+        skipped.push(item.mediaId);
+      }
+    }
+    await tracker.flush();
+
+    const accepted = req.body.items.filter((item) => !skipped.includes(item.mediaId));
+    const items = await Promise.all(
+      accepted.map((item) => tracker.getProgress(profile, item.mediaId))
+    );
+
+    res.json({
+      success: true,
+      data: {
+        items: items.filter(Boolean),
+        skipped
+      }
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error syncing watch progress:', error);
+    next(new DatabaseError('Failed to sync watch progress'));
+  }
+};
+
+// Clear progress for one title, or for every title with mediaId 'all'
+exports.clearProgress = async (req, res, next) => {
+  const tracker = req.app.locals.progressTracker;
+  const { mediaId } = req.body;
+
+  try {
+    const removed = await tracker.remove(req.profile, mediaId === 'all' ? null : mediaId);
+
+    res.json({
+      success: true,
+      message: `Cleared watch progress for ${removed} title${removed === 1 ? '' : 's'}`
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error clearing watch progress:', error);
+    next(new DatabaseError('Failed to clear watch progress'));
+  }
+};
+
+// The watchlist as the server has it
+exports.getWatchlist = async (req, res, next) => {
+  const db = req.app.locals.db;
+
+  try {
+    const items = await getWatchlistEntries(db, req.user.userId);
+
+    res.json({
+      success: true,
+      data: {
+        items,
+        syncedAt: new Date()
+      }
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error fetching watchlist:', error);
+    next(new DatabaseError('Failed to retrieve watchlist'));
+  }
+};
+
+/**
+ * Apply watchlist changes the client queued while offline
+ * Responds with the resulting watchlist, which the client should adopt.
+ */
+exports.syncWatchlist = async (req, res, next) => {
+  const db = req.app.locals.db;
+  const userId = req.user.userId;
+
+  try {
+    const { applied, skipped } = await applyWatchlistChanges(db, userId, req.body.changes);
+    const items = await getWatchlistEntries(db, userId);
+
+    res.json({
+      success: true,
+      data: {
+        items,
+        applied,
+        skipped,
+        syncedAt: new Date()
+      }
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error syncing watchlist:', error);
+    next(new DatabaseError('Failed to sync watchlist'));
+  }
+};
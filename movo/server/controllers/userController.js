@@ -1,58 +1,36 @@
-const mysql = require('mysql');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const crypto = require('crypto');
+const {
+  issueTokens,
+  verifyAccessToken,
+  rotateRefreshToken,
+  revokeRefreshTokenFamily,
+  revokeAllRefreshTokens,
+  assertEmailVerified,
+  REQUIRE_EMAIL_VERIFICATION
+} = require('../services/authTokens');
+const {
+  PURPOSES,
+  TOKEN_TTL,
+  createAccountToken,
+  consumeAccountToken,
+  sendVerificationLink
+} = require('../services/accountTokens');
+const { sendPasswordResetMail } = require('../services/mail');
+const { describeClient } = require('../services/sessions');
+const { roleForEmail, hasRole } = require('../services/adminUsers');
+const { query } = require('../database/query');
 const { 
   ValidationError, 
+  AppError,
   AuthenticationError, 
+  AuthorizationError,
   ConflictError, 
   DatabaseError,
   logger 
 } = require('../middleware/errorHandler');
 
-// Database connection - uses app.locals.db from server.js
-const getDb = () => {
-  if (typeof db !== 'undefined') {
-    return db;
-  }
-  // Fallback for direct imports (not recommended)
-  throw new DatabaseError('Database connection not available');
-};
-
-// JWT configuration
-const JWT_SECRET = process.env.JWT_SECRET;
-const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || JWT_SECRET;
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
-const JWT_REFRESH_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
 const BCRYPT_SALT_ROUNDS = parseInt(process.env.BCRYPT_SALT_ROUNDS) || 12;
 
-// Generate JWT token
-const generateAccessToken = (userId, username) => {
-  return jwt.sign(
-    { userId, username, type: 'access' },
-    JWT_SECRET,
-    { expiresIn: JWT_EXPIRES_IN }
-  );
-};
-
-// Generate refresh token
-const generateRefreshToken = (userId) => {
-  return jwt.sign(
-    { userId, type: 'refresh', jti: crypto.randomUUID() },
-    JWT_REFRESH_SECRET,
-    { expiresIn: JWT_REFRESH_EXPIRES_IN }
-  );
-};
-
-// Verify refresh token
-const verifyRefreshToken = (token) => {
-  try {
-    return jwt.verify(token, JWT_REFRESH_SECRET);
-  } catch (error) {
-    throw new AuthenticationError('Invalid or expired refresh token');
-  }
-};
-
 // Register new user
 exports.registerUser = async (req, res, next) => {
   const db = req.app.locals.db;
@@ -60,81 +38,88 @@ exports.registerUser = async (req, res, next) => {
 
   try {
     // Check if user already exists
-    db.query(
-      'SELECT id FROM users WHERE email = ? OR username = ?',
-      [email, username],
-      async (err, results) => {
-        if (err) {
-          logger.error('Database error during registration:', err);
-          return next(new DatabaseError('Failed to check user existence'));
-        }
+    const existing = await query(db, 'SELECT id FROM users WHERE email = ? OR username = ?', [email, username]);
 
-        if (results.length > 0) {
-          return next(new ConflictError('User with this email or username already exists'));
-        }
+    if (existing.length > 0) {
+      return next(new ConflictError('User with this email or username already exists'));
+    }
+
+    // Hash password
+    const hashedPassword = await bcrypt.hash(password, BCRYPT_SALT_ROUNDS);
+
+    // Create user object
+    const user = {
+      username,
+      email,
+      password: hashedPassword,
+      role: roleForEmail(email),
+      created_at: new Date()
+    };
+
+    // Insert user into database
+    let userId;
+    try {
+      const result = await query(db, 'INSERT INTO users SET ?', user);
+      userId = result.insertId;
+    } catch (error) {
+      logger.error('Database error during user creation:', error);
+      return next(new DatabaseError('Failed to create user'));
+    }
+
+    sendVerificationLink(db, { id: userId, username, email });
 
-        try {
-          // Hash password
-          const hashedPassword = await bcrypt.hash(password, BCRYPT_SALT_ROUNDS);
+    // Accounts must confirm their email before they get tokens
+    if (REQUIRE_EMAIL_VERIFICATION) {
+      logger.info(`User registered, awaiting email verification: ${username} (${email})`);
 
-          // Create user object
-          const user = {
+      return res.status(201).json({
+        success: true,
+        message: 'User registered successfully. Check your email to verify your account',
+        data: {
+          user: {
+            id: userId,
             username,
             email,
-            password: hashedPassword,
-            created_at: new Date()
-          };
-
-          // Insert user into database
-          db.query('INSERT INTO users SET ?', user, (err, result) => {
-            if (err) {
-              logger.error('Database error during user creation:', err);
-              return next(new DatabaseError('Failed to create user'));
-            }
-
-            const userId = result.insertId;
-            
-            // Generate tokens
-            const accessToken = generateAccessToken(userId, username);
-            const refreshToken = generateRefreshToken(userId);
-
-            // Store refresh token hash in database (optional but recommended for revocation)
-            const refreshTokenHash = crypto.createHash('sha256').update(refreshToken).digest('hex');
-            db.query(
-              'INSERT INTO refresh_tokens (user_id, token_hash, expires_at) VALUES (?, ?, DATE_ADD(NOW(), INTERVAL 7 DAY))',
-              [userId, refreshTokenHash],
-              (err) => {
-                if (err) {
-                  logger.error('Failed to store refresh token:', err);
-                  // Non-critical error, user is still created
-                }
-              }
-            );
-
-            logger.info(`User registered successfully: ${username} (${email})`);
-
-            res.status(201).json({
-              success: true,
-              message: 'User registered successfully',
-              data: {
-                user: {
-                  id: userId,
-                  username,
-                  email
-                },
-                accessToken,
-                refreshToken,
-                expiresIn: JWT_EXPIRES_IN
-              }
-            });
-          });
-        } catch (error) {
-          next(error);
+            role: user.role,
+            emailVerified: false
+          }
         }
+      });
+    }
+
+    // Generate tokens for a new session on this device
+    let tokens;
+    try {
+      tokens = await issueTokens(db, { id: userId, username }, null, describeClient(req));
+    } catch (error) {
+      logger.error('Failed to store refresh token:', error);
+      return next(new DatabaseError('User created, but signing in failed'));
+    }
+
+    logger.info(`User registered successfully: ${username} (${email})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'User registered successfully',
+      data: {
+        user: {
+          id: userId,
+          username,
+          email,
+          role: user.role,
+          emailVerified: false
+        },
+        accessToken: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.expiresIn
       }
-    );
+    });
   } catch (error) {
-    next(error);
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error during registration:', error);
+    next(new DatabaseError('Failed to check user existence'));
   }
 };
 
@@ -145,76 +130,68 @@ exports.loginUser = async (req, res, next) => {
 
   try {
     // Find user by username or email
-    db.query(
-      'SELECT id, username, email, password FROM users WHERE username = ? OR email = ?',
-      [username, username],
-      async (err, results) => {
-        if (err) {
-          logger.error('Database error during login:', err);
-          return next(new DatabaseError('Failed to retrieve user'));
-        }
+    const [user] = await query(
+      db,
+      'SELECT id, username, email, password, email_verified, role, is_active FROM users WHERE username = ? OR email = ?',
+      [username, username]
+    );
 
-        if (results.length === 0) {
-          // Generic error message to prevent user enumeration
-          return next(new AuthenticationError('Invalid credentials'));
-        }
+    if (!user) {
+      // Generic error message to prevent user enumeration
+      return next(new AuthenticationError('Invalid credentials'));
+    }
 
-        const user = results[0];
+    // Compare password
+    const isValidPassword = await bcrypt.compare(password, user.password);
 
-        try {
-          // Compare password
-          const isValidPassword = await bcrypt.compare(password, user.password);
+    if (!isValidPassword) {
+      // Log failed attempt (optional: implement rate limiting here)
+      logger.warn(`Failed login attempt for user: ${username}`);
+      return next(new AuthenticationError('Invalid credentials'));
+    }
 
-          if (!isValidPassword) {
-            // Log failed attempt (optional: implement rate limiting here)
-            logger.warn(`Failed login attempt for user: ${username}`);
-            return next(new AuthenticationError('Invalid credentials'));
-          }
+    if (!user.is_active) {
+      return next(new AppError('This account has been disabled', 403, 'ACCOUNT_DISABLED'));
+    }
+    assertEmailVerified(user);
 
-          // Generate tokens
-          const accessToken = generateAccessToken(user.id, user.username);
-          const refreshToken = generateRefreshToken(user.id);
-
-          // Store refresh token
-          const refreshTokenHash = crypto.createHash('sha256').update(refreshToken).digest('hex');
-          db.query(
-            'INSERT INTO refresh_tokens (user_id, token_hash, expires_at) VALUES (?, ?, DATE_ADD(NOW(), INTERVAL 7 DAY))',
-            [user.id, refreshTokenHash]
-          );
-
-          // Update last login
-          db.query(
-            'UPDATE users SET last_login = NOW() WHERE id = ?',
-            [user.id]
-          );
-
-          logger.info(`User logged in successfully: ${user.username}`);
-
-          res.json({
-            success: true,
-            message: 'Login successful',
-            data: {
-              user: {
-                id: user.id,
-                username: user.username,
-                email: user.email
-              },
-              accessToken,
-              refreshToken,
-              expiresIn: JWT_EXPIRES_IN
-            }
-          });
-        } catch (error) {
-          next(error);
-        }
+    // Generate tokens for a new session on this device
+    const tokens = await issueTokens(db, user, null, describeClient(req));
+
+    // Update last login
+    query(db, 'UPDATE users SET last_login = NOW() WHERE id = ?', [user.id]).catch((error) => {
+      logger.error('Failed to record last login:', error);
+    });
+
+    logger.info(`User logged in successfully: ${user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: {
+          id: user.id,
+          username: user.username,
+          email: user.email,
+          role: user.role,
+          emailVerified: Boolean(user.email_verified)
+        },
+        accessToken: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.expiresIn
       }
-    );
+    });
   } catch (error) {
-    next(error);
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error during login:', error);
+    next(new DatabaseError('Failed to retrieve user'));
   }
 };
 
 // Refresh access token
+// The new pair keeps the profile the old one was issued for
 exports.refreshToken = async (req, res, next) => {
   const db = req.app.locals.db;
   const { refreshToken } = req.body;
@@ -224,76 +201,26 @@ exports.refreshToken = async (req, res, next) => {
   }
 
   try {
-    // Verify refresh token
-    const decoded = verifyRefreshToken(refreshToken);
-    
-    // Check if token exists in database (optional: check if revoked)
-    const refreshTokenHash = crypto.createHash('sha256').update(refreshToken).digest('hex');
-    
-    db.query(
-      'SELECT id FROM refresh_tokens WHERE user_id = ? AND token_hash = ? AND revoked = FALSE AND expires_at > NOW()',
-      [decoded.userId, refreshTokenHash],
-      (err, results) => {
-        if (err) {
-          logger.error('Database error during token refresh:', err);
-          return next(new DatabaseError('Failed to validate refresh token'));
-        }
-
-        if (results.length === 0) {
-          return next(new AuthenticationError('Invalid or revoked refresh token'));
-        }
+    const tokens = await rotateRefreshToken(db, refreshToken, describeClient(req));
 
-        // Get user info
-        db.query(
-          'SELECT id, username, email FROM users WHERE id = ?',
-          [decoded.userId],
-          (err, userResults) => {
-            if (err || userResults.length === 0) {
-              return next(new AuthenticationError('User not found'));
-            }
-
-            const user = userResults[0];
-            
-            // Generate new tokens
-            const newAccessToken = generateAccessToken(user.id, user.username);
-            const newRefreshToken = generateRefreshToken(user.id);
-
-            // Revoke old refresh token and store new one
-            const newRefreshTokenHash = crypto.createHash('sha256').update(newRefreshToken).digest('hex');
-            
-            db.query(
-              'UPDATE refresh_tokens SET revoked = TRUE WHERE token_hash = ?',
-              [refreshTokenHash],
-              (err) => {
-                if (err) {
-                  logger.error('Failed to revoke old refresh token:', err);
-                }
-                
-                db.query(
-                  'INSERT INTO refresh_tokens (user_id, token_hash, expires_at) VALUES (?, ?, DATE_ADD(NOW(), INTERVAL 7 DAY))',
-                  [user.id, newRefreshTokenHash]
-                );
-              }
-            );
-
-            res.json({
-              success: true,
-              data: {
-                accessToken: newAccessToken,
-                refreshToken: newRefreshToken,
-                expiresIn: JWT_EXPIRES_IN
-              }
-            });
-          }
-        );
+    res.json({
+      success: true,
+      data: {
+        accessToken: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.expiresIn
       }
-    );
+    });
   } catch (error) {
-    next(error);
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error during token refresh:', error);
+    next(new DatabaseError('Failed to validate refresh token'));
   }
 };
 
-// Logout user (revoke refresh token)
+// Logout user (revoke the session's refresh tokens)
 exports.logoutUser = async (req, res, next) => {
   const db = req.app.locals.db;
   const { refreshToken } = req.body;
@@ -306,25 +233,16 @@ exports.logoutUser = async (req, res, next) => {
   }
 
   try {
-    const refreshTokenHash = crypto.createHash('sha256').update(refreshToken).digest('hex');
-    
-    db.query(
-      'UPDATE refresh_tokens SET revoked = TRUE WHERE token_hash = ?',
-      [refreshTokenHash],
-      (err) => {
-        if (err) {
-          logger.error('Failed to revoke refresh token during logout:', err);
-        }
-        
-        res.json({
-          success: true,
-          message: 'Logged out successfully'
-        });
-      }
-    );
+    // Ends the whole session, including tokens rotated from this one
+    await revokeRefreshTokenFamily(db, refreshToken);
   } catch (error) {
-    next(error);
+    logger.error('Failed to revoke refresh token during logout:', error);
   }
+
+  res.json({
+    success: true,
+    message: 'Logged out successfully'
+  });
 };
 
 // Middleware to authenticate requests
@@ -335,51 +253,76 @@ exports.authenticate = (req, res, next) => {
     return next(new AuthenticationError('Access token is required'));
   }
 
-  const token = authHeader.substring(7);
+  try {
+    req.user = verifyAccessToken(authHeader.substring(7));
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
 
+// Middleware that limits a route to accounts with a role (or a higher one)
+// The role is read from the database, so demoted or disabled accounts lose
+// access straight away rather than when their access token expires.
+exports.authorize = (role) => async (req, res, next) => {
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    
-    if (decoded.type !== 'access') {
-      return next(new AuthenticationError('Invalid token type'));
+    const [user] = await query(req.app.locals.db, 'SELECT role, is_active FROM users WHERE id = ?', [
+      req.user.userId
+    ]);
+
+    if (!user || !user.is_active) {
+      return next(new AuthenticationError('Account is disabled'));
+    }
+    if (!hasRole(user.role, role)) {
+      return next(new AuthorizationError(`This action requires the ${role} role`));
     }
 
-    req.user = decoded;
+    req.user.role = user.role;
     next();
   } catch (error) {
-    if (error.name === 'TokenExpiredError') {
-      return next(new AuthenticationError('Token has expired'));
-    }
-    return next(new AuthenticationError('Invalid token'));
+    logger.error('Database error checking role:', error);
+    next(new DatabaseError('Failed to check permissions'));
   }
 };
 
+// Middleware that attaches the user when a valid access token is sent,
+// but lets anonymous requests through
+exports.optionalAuthenticate = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return next();
+  }
+
+  exports.authenticate(req, res, next);
+};
+
 // Get current user info
-exports.getCurrentUser = (req, res, next) => {
+exports.getCurrentUser = async (req, res, next) => {
   const db = req.app.locals.db;
   const userId = req.user.userId;
 
-  db.query(
-    'SELECT id, username, email, created_at, last_login FROM users WHERE id = ?',
-    [userId],
-    (err, results) => {
-      if (err) {
-        logger.error('Database error fetching user:', err);
-        return next(new DatabaseError('Failed to retrieve user'));
-      }
-
-      if (results.length === 0) {
-        return next(new AuthenticationError('User not found'));
-      }
+  try {
+    const [user] = await query(
+      db,
+      'SELECT id, username, email, email_verified, role, created_at, last_login FROM users WHERE id = ?',
+      [userId]
+    );
 
-      res.json({
-        success: true,
-        data: {
-          user: results[0]
-        }
-      });
+    if (!user) {
+      return next(new AuthenticationError('User not found'));
     }
-  );
+
+    res.json({
+      success: true,
+      data: {
+        user
+      }
+    });
+  } catch (error) {
+    logger.error('Database error fetching user:', error);
+    next(new DatabaseError('Failed to retrieve user'));
+  }
 };
 
 // Change password
@@ -390,50 +333,160 @@ exports.changePassword = async (req, res, next) => {
 
   try {
     // Get current password hash
-    db.query(
-      'SELECT password FROM users WHERE id = ?',
-      [userId],
-      async (err, results) => {
-        if (err || results.length === 0) {
-          return next(new DatabaseError('Failed to retrieve user'));
-        }
+    const [user] = await query(db, 'SELECT password FROM users WHERE id = ?', [userId]);
+    if (!user) {
+      return next(new DatabaseError('Failed to retrieve user'));
+    }
 
-        const isValidPassword = await bcrypt.compare(currentPassword, results[0].password);
+    const isValidPassword = await bcrypt.compare(currentPassword, user.password);
 
-        if (!isValidPassword) {
-          return next(new AuthenticationError('Current password is incorrect'));
-        }
+    if (!isValidPassword) {
+      return next(new AuthenticationError('Current password is incorrect'));
+    }
 
-        // Hash new password
-        const hashedPassword = await bcrypt.hash(newPassword, BCRYPT_SALT_ROUNDS);
-
-        // Update password
-        db.query(
-          'UPDATE users SET password = ? WHERE id = ?',
-          [hashedPassword, userId],
-          (err) => {
-            if (err) {
-              logger.error('Failed to update password:', err);
-              return next(new DatabaseError('Failed to update password'));
-            }
-
-            // Revoke all refresh tokens for security
-            db.query(
-              'UPDATE refresh_tokens SET revoked = TRUE WHERE user_id = ?',
-              [userId]
-            );
-
-            logger.info(`Password changed for user ID: ${userId}`);
-
-            res.json({
-              success: true,
-              message: 'Password updated successfully'
-            });
-          }
-        );
-      }
+    // Hash new password
+    const hashedPassword = await bcrypt.hash(newPassword, BCRYPT_SALT_ROUNDS);
+
+    // Update password
+    await query(db, 'UPDATE users SET password = ? WHERE id = ?', [hashedPassword, userId]);
+
+    // Revoke all refresh tokens for security
+    await revokeAllRefreshTokens(db, userId);
+
+    logger.info(`Password changed for user ID: ${userId}`);
+
+    res.json({
+      success: true,
+      message: 'Password updated successfully'
+    });
+  } catch (error) {
+    logger.error('Failed to update password:', error);
+    next(new DatabaseError('Failed to update password'));
+  }
+};
+
+// Mail a password reset link
+// The response is the same whether or not the address has an account.
+exports.forgotPassword = async (req, res, next) => {
+  const db = req.app.locals.db;
+  const { email } = req.body;
+
+  try {
+    const [user] = await query(
+      db,
+      'SELECT id, username, email FROM users WHERE email = ? AND is_active = TRUE',
+      [email]
     );
+
+    if (user) {
+      const token = await createAccountToken(db, user.id, PURPOSES.passwordReset);
+      logger.info(`Password reset requested for user ID: ${user.id}`);
+
+      // A mail failure must not tell the caller the account exists
+      sendPasswordResetMail(user, token, TOKEN_TTL[PURPOSES.passwordReset]).catch((error) => {
+        logger.error(`Failed to send password reset mail to user ${user.id}:`, error);
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a reset link has been sent'
+    });
   } catch (error) {
-    next(error);
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Error requesting password reset:', error);
+    next(new DatabaseError('Failed to request password reset'));
+  }
+};
+
+// Set a new password with a reset token, signing out every device
+// Following the mailed link also proves the address, so it counts as verified.
+exports.resetPassword = async (req, res, next) => {
+  const db = req.app.locals.db;
+  const { token, password } = req.body;
+
+  try {
+    const userId = await consumeAccountToken(db, token, PURPOSES.passwordReset);
+    const hashedPassword = await bcrypt.hash(password, BCRYPT_SALT_ROUNDS);
+
+    await query(
+      db,
+      'UPDATE users SET password = ?, email_verified = TRUE, email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = ?',
+      [hashedPassword, userId]
+    );
+    await revokeAllRefreshTokens(db, userId);
+
+    logger.info(`Password reset for user ID: ${userId}`);
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please sign in with your new password'
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error resetting password:', error);
+    next(new DatabaseError('Failed to reset password'));
+  }
+};
+
+// Confirm an email address with a verification token
+exports.verifyEmail = async (req, res, next) => {
+  const db = req.app.locals.db;
+
+  try {
+    const userId = await consumeAccountToken(db, req.body.token, PURPOSES.emailVerification);
+
+    await query(
+      db,
+      'UPDATE users SET email_verified = TRUE, email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = ?',
+      [userId]
+    );
+
+    logger.info(`Email verified for user ID: ${userId}`);
+
+    res.json({
+      success: true,
+      message: 'Email address verified'
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error verifying email:', error);
+    next(new DatabaseError('Failed to verify email'));
+  }
+};
+
+// Mail a new verification link
+// Public, since unverified accounts may not be able to sign in; the response
+// doesn't reveal whether the address has an account.
+exports.resendVerification = async (req, res, next) => {
+  const db = req.app.locals.db;
+
+  try {
+    const [user] = await query(
+      db,
+      'SELECT id, username, email FROM users WHERE email = ? AND email_verified = FALSE AND is_active = TRUE',
+      [req.body.email]
+    );
+
+    if (user) {
+      await sendVerificationLink(db, user);
+    }
+
+    res.json({
+      success: true,
+      message: 'If this email needs verifying, a new link has been sent'
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error resending verification:', error);
+    next(new DatabaseError('Failed to resend verification'));
   }
 };
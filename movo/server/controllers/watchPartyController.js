@@ -0,0 +1,149 @@
+const parties = require('../services/watchParties');
+const { DatabaseError, logger } = require('../middleware/errorHandler');
+
+const withPresence = (req, party, members) => {
+  const online = req.app.locals.watchPartyHub.onlineUserIds(party.id);
+  return members.map((member) => ({
+    ...member,
+    isHost: member.userId === party.hostId,
+    isOnline: online.has(member.userId)
+  }));
+};
+
+// Start a party for a title; the caller hosts it
+exports.createParty = async (req, res, next) => {
+  const db = req.app.locals.db;
+
+  try {
+    const party = await parties.createParty(db, req.user.userId, req.body.movieId, req.profile);
+
+    res.status(201).json({
+      success: true,
+      message: 'Watch party created',
+      data: party
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error creating watch party:', error);
+    next(new DatabaseError('Failed to create watch party'));
+  }
+};
+
+// Look up a party by invite code before joining it
+exports.getParty = async (req, res, next) => {
+  const db = req.app.locals.db;
+
+  try {
+    const party = await parties.getActiveParty(db, req.params.code);
+    await parties.assertCanJoin(db, party, req.user.userId, req.profile);
+    const members = await parties.listMembers(db, party.id);
+
+    res.json({
+      success: true,
+      data: {
+        ...party,
+        members: withPresence(req, party, members)
+      }
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error fetching watch party:', error);
+    next(new DatabaseError('Failed to retrieve watch party'));
+  }
+};
+
+// Earlier chat, for scrolling back past what the WebSocket sent on joining
+exports.listMessages = async (req, res, next) => {
+  const db = req.app.locals.db;
+
+  try {
+    const party = await parties.getActiveParty(db, req.params.code);
+    await parties.assertMember(db, party, req.user.userId);
+    const messages = await parties.listMessages(db, party.id, req.query);
+
+    res.json({
+      success: true,
+      data: {
+        messages
+      }
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error fetching watch party messages:', error);
+    next(new DatabaseError('Failed to retrieve messages'));
+  }
+};
+
+// The host ends the party for everyone
+exports.endParty = async (req, res, next) => {
+  const db = req.app.locals.db;
+
+  try {
+    const party = await parties.getActiveParty(db, req.params.code);
+    await parties.endParty(db, party, req.user.userId);
+    req.app.locals.watchPartyHub.end(party.id);
+
+    res.json({
+      success: true,
+      message: 'Watch party ended'
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error ending watch party:', error);
+    next(new DatabaseError('Failed to end watch party'));
+  }
+};
+
+// The host mutes or unmutes a member in chat
+exports.muteMember = async (req, res, next) => {
+  const db = req.app.locals.db;
+  const { muted } = req.body;
+
+  try {
+    const party = await parties.getActiveParty(db, req.params.code);
+    const member = await parties.setMuted(db, party, req.user.userId, req.params.userId, muted);
+    req.app.locals.watchPartyHub.setMuted(party.id, member.userId, muted);
+
+    res.json({
+      success: true,
+      message: muted ? 'Member muted' : 'Member unmuted',
+      data: member
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error muting watch party member:', error);
+    next(new DatabaseError('Failed to update member'));
+  }
+};
+
+// The host removes a member, who can't rejoin with the code
+exports.removeMember = async (req, res, next) => {
+  const db = req.app.locals.db;
+
+  try {
+    const party = await parties.getActiveParty(db, req.params.code);
+    const member = await parties.removeMember(db, party, req.user.userId, req.params.userId);
+    await req.app.locals.watchPartyHub.kick(party.id, member.userId, member.username);
+
+    res.json({
+      success: true,
+      message: 'Member removed'
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Database error removing watch party member:', error);
+    next(new DatabaseError('Failed to remove member'));
+  }
+};
@@ -0,0 +1,62 @@
+/**
+ * MySQL driver
+ * A connection pool; queries go straight to the mysql module.
+ */
+
+const mysql = require('mysql');
+
+const REQUIRED_ENV_VARS = ['DB_HOST', 'DB_USER', 'DB_PASSWORD', 'DB_NAME'];
+
+const configFromEnv = (env) => ({
+  host: env.DB_HOST,
+  port: parseInt(env.DB_PORT || '3306', 10),
+  user: env.DB_USER,
+  password: env.DB_PASSWORD,
+  database: env.DB_NAME,
+  connectionLimit: parseInt(env.DB_CONNECTION_LIMIT || '10', 10)
+});
+
+/**
+ * @param {Object} config - Pool options for the mysql module
+ * @returns {Object} A database handle (see database/index.js)
+ */
+const createDatabase = (config) => {
+  const pool = mysql.createPool({
+    waitForConnections: true,
+    queueLimit: 0,
+    enableKeepAlive: true,
+    keepAliveInitialDelay: 0,
+    ...config
+  });
+
+  return {
+    dialect: 'mysql',
+    pool,
+
+    query(...args) {
+      return pool.query(...args);
+    },
+
+    ping(callback) {
+      pool.getConnection((err, connection) => {
+        if (err) {
+          return callback(err);
+        }
+        connection.ping((pingErr) => {
+          connection.release();
+          callback(pingErr || null);
+        });
+      });
+    },
+
+    end(callback) {
+      pool.end(callback);
+    }
+  };
+};
+
+module.exports = {
+  REQUIRED_ENV_VARS,
+  configFromEnv,
+  createDatabase
+};
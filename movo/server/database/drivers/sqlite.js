@@ -0,0 +1,450 @@
+/**
+ * SQLite driver
+ * A single-file database (or ':memory:') behind the same interface as the
+ * MySQL driver. Queries are written for MySQL, so they are translated on the
+ * way in:
+ * - placeholders are expanded the way the mysql module does it (`SET ?` with
+ *   an object, `IN (?)` with an array, `??` for identifiers), and
+ *   `INSERT INTO t SET ?` becomes a column list and VALUES
+ * - table definitions: ENUMs become CHECK constraints, inline indexes become
+ *   CREATE INDEX statements, and table options are dropped
+ * - INSERT IGNORE, ON DUPLICATE KEY UPDATE (including the LAST_INSERT_ID(id)
+ *   idiom) and INTERVAL arithmetic get their SQLite equivalents
+ * - NOW(), CURDATE(), UUID(), GREATEST(), LEAST(), FIELD(), DATE_ADD(),
+ *   DATE_SUB() and JSON_CONTAINS() are provided as functions
+ * Timestamps are stored in UTC and, like DATE columns, come back as Dates.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const REQUIRED_ENV_VARS = [];
+
+const DEFAULT_FILE = path.join(__dirname, '..', '..', 'data', 'movo.sqlite');
+
+// SQLite's CURRENT_TIMESTAMP format, in UTC
+const toTimestamp = (date) => date.toISOString().slice(0, 19).replace('T', ' ');
+
+const toValue = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+  if (value instanceof Date) {
+    return toTimestamp(value);
+  }
+  if (typeof value === 'object' && !Buffer.isBuffer(value)) {
+    return JSON.stringify(value);
+  }
+  return value;
+};
+
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+
+// Timestamp and date columns come back as Dates; so do expressions such as
+// MIN(created_at), which have no declared type, when they hold a timestamp
+const fromColumn = (type, value) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  if (/^(TIMESTAMP|DATETIME)$/i.test(type) || (!type && TIMESTAMP_PATTERN.test(value))) {
+    return new Date(`${value.replace(' ', 'T')}Z`);
+  }
+  if (type && /^DATE$/i.test(type)) {
+    // The mysql module reads DATE columns as local midnight
+    return new Date(`${value}T00:00:00`);
+  }
+  return value;
+};
+
+const quoteIdentifier = (name) => `\`${String(name).replace(/`/g, '``')}\``;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) && !Buffer.isBuffer(value);
+
+/**
+ * Expand mysql-style placeholders into SQLite ones
+ * @returns {{sql: string, values: Array}}
+ */
+const expandPlaceholders = (sql, params = []) => {
+  // A single value may be passed on its own, as with the mysql module
+  params = Array.isArray(params) ? params : [params];
+  const values = [];
+  let output = '';
+  let quote = null;
+  let index = 0;
+
+  for (let i = 0; i < sql.length; i++) {
+    const char = sql[i];
+
+    if (quote) {
+      output += char;
+      if (char === quote) {
+        quote = null;
+      }
+      continue;
+    }
+    if (char === "'" || char === '"' || char === '`') {
+      quote = char;
+      output += char;
+      continue;
+    }
+    if (char !== '?') {
+      output += char;
+      continue;
+    }
+
+    const param = params[index++];
+
+    if (sql[i + 1] === '?') {
+      i++;
+      output += (Array.isArray(param) ? param : [param]).map(quoteIdentifier).join(', ');
+    } else if (Array.isArray(param)) {
+      if (param.length === 0) {
+        output += 'NULL';
+      } else if (Array.isArray(param[0])) {
+        // Bulk inserts: VALUES ? with an array of rows
+        output += param.map((row) => `(${row.map(() => '?').join(', ')})`).join(', ');
+        param.forEach((row) => values.push(...row.map(toValue)));
+      } else {
+        output += param.map(() => '?').join(', ');
+        values.push(...param.map(toValue));
+      }
+    } else if (isPlainObject(param) && /^\s*INSERT\s+(?:OR\s+IGNORE\s+)?INTO\s+\S+\s+SET\s*$/i.test(output)) {
+      // INSERT INTO t SET ? is MySQL only
+      const keys = Object.keys(param);
+      output = `${output.replace(/\s+SET\s*$/i, '')} (${keys.map(quoteIdentifier).join(', ')}) VALUES (${keys
+        .map(() => '?')
+        .join(', ')})`;
+      values.push(...Object.values(param).map(toValue));
+    } else if (isPlainObject(param)) {
+      output += Object.keys(param).map((key) => `${quoteIdentifier(key)} = ?`).join(', ');
+      values.push(...Object.values(param).map(toValue));
+    } else {
+      output += '?';
+      values.push(toValue(param));
+    }
+  }
+
+  return { sql: output, values };
+};
+
+// Split a table body on the commas between definitions
+const splitDefinitions = (body) => {
+  const definitions = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+
+  for (const char of body) {
+    if (quote) {
+      quote = char === quote ? null : quote;
+    } else if (char === "'" || char === '"') {
+      quote = char;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      definitions.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  if (current.trim()) {
+    definitions.push(current.trim());
+  }
+  return definitions;
+};
+
+// Index names are per table in MySQL but per database in SQLite
+const indexName = (table, name) => `${table}_${name}`;
+
+const translateColumn = (definition) => {
+  return definition
+    .replace(/\bINT AUTO_INCREMENT PRIMARY KEY\b/i, 'INTEGER PRIMARY KEY AUTOINCREMENT')
+    .replace(/^(\w+) ENUM\(([^)]*)\)/i, '$1 TEXT CHECK ($1 IN ($2))')
+    .replace(/\s+ON UPDATE CURRENT_TIMESTAMP/i, '');
+};
+
+const translateCreateTable = (sql) => {
+  const match = sql.match(/^CREATE TABLE (IF NOT EXISTS )?(\w+) \(([\s\S]*)\)[^)]*$/i);
+  if (!match) {
+    return [sql];
+  }
+
+  const [, ifNotExists = '', table, body] = match;
+  const definitions = [];
+  const indexes = [];
+
+  splitDefinitions(body).forEach((definition) => {
+    const index = definition.match(/^(UNIQUE |FULLTEXT )?(?:INDEX|KEY) (\w+) \((.+)\)$/i);
+    if (!index) {
+      definitions.push(translateColumn(definition));
+      return;
+    }
+
+    const kind = (index[1] || '').trim().toUpperCase();
+    if (kind === 'UNIQUE') {
+      definitions.push(`UNIQUE (${index[3]})`);
+    } else if (kind !== 'FULLTEXT') {
+      indexes.push(`CREATE INDEX IF NOT EXISTS ${indexName(table, index[2])} ON ${table} (${index[3]})`);
+    }
+  });
+
+  return [`CREATE TABLE ${ifNotExists}${table} (\n    ${definitions.join(',\n    ')}\n)`, ...indexes];
+};
+
+const translateAlterTable = (sql) => {
+  const addIndex = sql.match(/^ALTER TABLE (\w+) ADD (UNIQUE )?(?:INDEX|KEY) (\w+) \((.+)\)$/i);
+  if (addIndex) {
+    const [, table, unique = '', name, columns] = addIndex;
+    return [`CREATE ${unique.toUpperCase()}INDEX IF NOT EXISTS ${indexName(table, name)} ON ${table} (${columns})`];
+  }
+
+  const dropIndex = sql.match(/^ALTER TABLE (\w+) DROP (?:INDEX|KEY) (\w+)$/i);
+  if (dropIndex) {
+    return [`DROP INDEX IF EXISTS ${indexName(dropIndex[1], dropIndex[2])}`];
+  }
+
+  const addColumn = sql.match(/^ALTER TABLE (\w+) ADD (?:COLUMN )?([\s\S]+)$/i);
+  if (addColumn) {
+    return [`ALTER TABLE ${addColumn[1]} ADD COLUMN ${translateColumn(addColumn[2].trim())}`];
+  }
+
+  return [sql];
+};
+
+const translateUpsert = (sql) => {
+  const [insert, update] = sql.split(/\bON DUPLICATE KEY UPDATE\b/i);
+  const assignments = update
+    // SQLite has no way to point last_insert_rowid() at the existing row; the driver reports it instead
+    .replace(/\bid\s*=\s*LAST_INSERT_ID\(id\)\s*,/i, '')
+    .replace(/\bVALUES\((\w+)\)/gi, 'excluded.$1');
+
+  return `${insert}ON CONFLICT DO UPDATE SET${assignments} RETURNING rowid AS upsert_rowid`;
+};
+
+// INTERVAL n UNIT, as used with DATE_ADD(), DATE_SUB() and date arithmetic
+const translateIntervals = (sql) => {
+  return sql
+    .replace(/\b(DATE_ADD|DATE_SUB)\(([^,]+),\s*INTERVAL\s+(\?|\d+)\s+(\w+)\)/gi, "$1($2, $3, '$4')")
+    .replace(/(\bNOW\(\)|\b[\w.]+)\s*([-+])\s*INTERVAL\s+(\?|\d+)\s+(\w+)/gi, (match, date, sign, amount, unit) => {
+      return `${sign === '-' ? 'DATE_SUB' : 'DATE_ADD'}(${date}, ${amount}, '${unit}')`;
+    });
+};
+
+/**
+ * Statements to run in SQLite for one MySQL statement
+ * @returns {Array<string>}
+ */
+const translate = (sql) => {
+  let statement = sql.trim();
+  if (/^CREATE TABLE/i.test(statement)) {
+    return translateCreateTable(statement);
+  }
+  if (/^ALTER TABLE/i.test(statement)) {
+    return translateAlterTable(statement);
+  }
+
+  statement = translateIntervals(statement.replace(/^INSERT IGNORE\b/i, 'INSERT OR IGNORE'));
+  if (/\bON DUPLICATE KEY UPDATE\b/i.test(statement)) {
+    statement = translateUpsert(statement);
+  }
+  return [statement];
+};
+
+const INTERVAL_UNITS = {
+  SECOND: 1000,
+  MINUTE: 60 * 1000,
+  HOUR: 60 * 60 * 1000,
+  DAY: 24 * 60 * 60 * 1000,
+  WEEK: 7 * 24 * 60 * 60 * 1000
+};
+
+const shiftDate = (value, amount, unit, direction) => {
+  if (value === null || amount === null) {
+    return null;
+  }
+  const date = fromColumn('TIMESTAMP', String(value));
+  const milliseconds = INTERVAL_UNITS[String(unit).toUpperCase()];
+  if (!milliseconds || Number.isNaN(date.getTime())) {
+    return null;
+  }
+  return toTimestamp(new Date(date.getTime() + direction * Number(amount) * milliseconds));
+};
+
+// MySQL's JSON_CONTAINS for the arrays and scalars the schema stores
+const jsonContains = (target, candidate) => {
+  if (Array.isArray(candidate)) {
+    return candidate.every((item) => jsonContains(target, item));
+  }
+  if (Array.isArray(target)) {
+    return target.some((item) => jsonContains(item, candidate));
+  }
+  if (isPlainObject(target) && isPlainObject(candidate)) {
+    return Object.keys(candidate).every((key) => key in target && jsonContains(target[key], candidate[key]));
+  }
+  return target === candidate;
+};
+
+const registerFunctions = (sqlite) => {
+  sqlite.function('NOW', () => toTimestamp(new Date()));
+  sqlite.function('CURDATE', () => toTimestamp(new Date()).slice(0, 10));
+  sqlite.function('UUID', () => crypto.randomUUID());
+  sqlite.function('DATE_ADD', (value, amount, unit) => shiftDate(value, amount, unit, 1));
+  sqlite.function('DATE_SUB', (value, amount, unit) => shiftDate(value, amount, unit, -1));
+  sqlite.function('GREATEST', { varargs: true }, (...args) =>
+    args.some((arg) => arg === null) ? null : args.reduce((a, b) => (b > a ? b : a))
+  );
+  sqlite.function('LEAST', { varargs: true }, (...args) =>
+    args.some((arg) => arg === null) ? null : args.reduce((a, b) => (b < a ? b : a))
+  );
+  sqlite.function('FIELD', { varargs: true }, (value, ...list) =>
+    value === null ? 0 : list.findIndex((item) => item !== null && String(item) === String(value)) + 1
+  );
+  sqlite.function('JSON_CONTAINS', (target, candidate) => {
+    if (target === null || candidate === null) {
+      return null;
+    }
+    try {
+      return jsonContains(JSON.parse(target), JSON.parse(candidate)) ? 1 : 0;
+    } catch (error) {
+      return null;
+    }
+  });
+};
+
+// Code that checks mysql error codes keeps working
+const ERROR_CODES = {
+  SQLITE_CONSTRAINT_UNIQUE: 'ER_DUP_ENTRY',
+  SQLITE_CONSTRAINT_PRIMARYKEY: 'ER_DUP_ENTRY',
+  SQLITE_CONSTRAINT_FOREIGNKEY: 'ER_NO_REFERENCED_ROW_2'
+};
+
+const configFromEnv = (env) => ({
+  filename: env.DB_FILE || DEFAULT_FILE
+});
+
+/**
+ * Open a SQLite database
+ * @param {Object} config - { filename }: a file path, or ':memory:'
+ * @returns {Object} A database handle (see database/index.js)
+ */
+const createDatabase = ({ filename = DEFAULT_FILE } = {}) => {
+  // Only needed by this driver, so MySQL installs can do without it
+  const Database = require('better-sqlite3');
+
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+  }
+
+  const sqlite = new Database(filename);
+  sqlite.pragma('journal_mode = WAL');
+  sqlite.pragma('foreign_keys = ON');
+  registerFunctions(sqlite);
+
+  const runStatement = (sql, values, isUpsert) => {
+    const prepared = sqlite.prepare(sql);
+
+    if (isUpsert) {
+      // Report upserts like MySQL: 1 affected row for an insert, 2 for an
+      // update, and the row's ID either way
+      const before = sqlite.prepare('SELECT last_insert_rowid() AS id').get().id;
+      const rows = prepared.all(values);
+      const after = sqlite.prepare('SELECT last_insert_rowid() AS id').get().id;
+      const inserted = after !== before;
+      const last = rows.length > 0 ? rows[rows.length - 1].upsert_rowid : 0;
+
+      return {
+        insertId: Number(inserted ? after : last),
+        affectedRows: inserted ? rows.length : rows.length * 2,
+        changedRows: inserted ? 0 : rows.length
+      };
+    }
+
+    if (prepared.reader) {
+      const columns = prepared.columns();
+      return prepared.all(values).map((row) => {
+        columns.forEach(({ name, type }) => {
+          row[name] = fromColumn(type, row[name]);
+        });
+        return row;
+      });
+    }
+
+    const info = prepared.run(values);
+    return {
+      insertId: Number(info.lastInsertRowid),
+      affectedRows: info.changes,
+      changedRows: info.changes
+    };
+  };
+
+  const run = (sql, params) => {
+    let result;
+
+    translate(sql).forEach((statement, i) => {
+      const expanded = i === 0 ? expandPlaceholders(statement, params) : { sql: statement, values: [] };
+      result = runStatement(expanded.sql, expanded.values, /RETURNING rowid AS upsert_rowid$/.test(statement));
+    });
+
+    return result;
+  };
+
+  // Callbacks run asynchronously, as with the MySQL pool
+  const respond = (callback, error, result) => {
+    if (callback) {
+      setImmediate(() => callback(error, result));
+    }
+  };
+
+  return {
+    dialect: 'sqlite',
+    sqlite,
+
+    query(sql, params, callback) {
+      if (typeof params === 'function') {
+        callback = params;
+        params = [];
+      }
+
+      try {
+        respond(callback, null, run(sql, params === undefined ? [] : params));
+      } catch (error) {
+        error.code = ERROR_CODES[error.code] || error.code;
+        respond(callback, error);
+      }
+    },
+
+    ping(callback) {
+      try {
+        sqlite.prepare('SELECT 1').get();
+        respond(callback, null);
+      } catch (error) {
+        respond(callback, error);
+      }
+    },
+
+    end(callback) {
+      try {
+        sqlite.close();
+        respond(callback, null);
+      } catch (error) {
+        respond(callback, error);
+      }
+    }
+  };
+};
+
+module.exports = {
+  REQUIRED_ENV_VARS,
+  configFromEnv,
+  createDatabase,
+  expandPlaceholders,
+  translate
+};
@@ -0,0 +1,217 @@
+const { createDatabase, expandPlaceholders, translate } = require('./sqlite');
+
+const run = (db, sql, params = []) =>
+  new Promise((resolve, reject) => {
+    db.query(sql, params, (error, result) => (error ? reject(error) : resolve(result)));
+  });
+
+describe('sqlite driver', () => {
+  describe('expandPlaceholders', () => {
+    test('binds scalars, booleans and dates', () => {
+      const date = new Date(Date.UTC(2024, 0, 2, 3, 4, 5));
+
+      expect(expandPlaceholders('SELECT ?, ?, ?, ?, ?', [1, true, null, undefined, date])).toEqual({
+        sql: 'SELECT ?, ?, ?, ?, ?',
+        values: [1, 1, null, null, '2024-01-02 03:04:05']
+      });
+    });
+
+    test('stores objects in SET ? as JSON', () => {
+      expect(expandPlaceholders('UPDATE t SET ?', [{ tags: ['a', 'b'] }]).values).toEqual(['["a","b"]']);
+    });
+
+    test('accepts a single value without an array', () => {
+      expect(expandPlaceholders('SELECT * FROM movies WHERE id = ?', 7).values).toEqual([7]);
+    });
+
+    test('expands arrays for IN lists and bulk inserts', () => {
+      expect(expandPlaceholders('SELECT * FROM t WHERE id IN (?)', [[1, 2, 3]])).toEqual({
+        sql: 'SELECT * FROM t WHERE id IN (?, ?, ?)',
+        values: [1, 2, 3]
+      });
+      expect(expandPlaceholders('SELECT * FROM t WHERE id IN (?)', [[]]).sql).toBe(
+        'SELECT * FROM t WHERE id IN (NULL)'
+      );
+      expect(
+        expandPlaceholders('INSERT INTO t (a, b) VALUES ?', [
+          [
+            [1, 'x'],
+            [2, 'y']
+          ]
+        ])
+      ).toEqual({ sql: 'INSERT INTO t (a, b) VALUES (?, ?), (?, ?)', values: [1, 'x', 2, 'y'] });
+    });
+
+    test('quotes ?? identifiers', () => {
+      expect(expandPlaceholders('SELECT ?? FROM ??', [['id', 'ti`tle'], 'movies']).sql).toBe(
+        'SELECT `id`, `ti``tle` FROM `movies`'
+      );
+    });
+
+    test('expands SET ? into assignments, or a column list for inserts', () => {
+      expect(expandPlaceholders('UPDATE t SET ? WHERE id = ?', [{ a: 1, b: false }, 9])).toEqual({
+        sql: 'UPDATE t SET `a` = ?, `b` = ? WHERE id = ?',
+        values: [1, 0, 9]
+      });
+      expect(expandPlaceholders('INSERT INTO t SET ?', [{ a: 1, b: 'x' }])).toEqual({
+        sql: 'INSERT INTO t (`a`, `b`) VALUES (?, ?)',
+        values: [1, 'x']
+      });
+    });
+
+    test('leaves question marks inside quotes alone', () => {
+      expect(expandPlaceholders("SELECT 'why?' AS q, ? AS v", [1])).toEqual({
+        sql: "SELECT 'why?' AS q, ? AS v",
+        values: [1]
+      });
+    });
+  });
+
+  describe('translate', () => {
+    test('rewrites table definitions', () => {
+      const statements = translate(`CREATE TABLE IF NOT EXISTS movies (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        status ENUM('pending', 'done') DEFAULT 'pending',
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_path (file_path),
+        INDEX idx_status (status),
+        FULLTEXT INDEX idx_title (title)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`);
+
+      expect(statements).toHaveLength(2);
+      expect(statements[0]).toContain('id INTEGER PRIMARY KEY AUTOINCREMENT');
+      expect(statements[0]).toContain("status TEXT CHECK (status IN ('pending', 'done')) DEFAULT 'pending'");
+      expect(statements[0]).toContain('updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,');
+      expect(statements[0]).toContain('UNIQUE (file_path)');
+      expect(statements[0]).not.toMatch(/FULLTEXT|ENGINE/);
+      expect(statements[1]).toBe('CREATE INDEX IF NOT EXISTS movies_idx_status ON movies (status)');
+    });
+
+    test('rewrites ALTER TABLE index and column changes', () => {
+      expect(translate('ALTER TABLE movies ADD UNIQUE INDEX idx_path (file_path)')).toEqual([
+        'CREATE UNIQUE INDEX IF NOT EXISTS movies_idx_path ON movies (file_path)'
+      ]);
+      expect(translate('ALTER TABLE movies DROP INDEX idx_path')).toEqual(['DROP INDEX IF EXISTS movies_idx_path']);
+      expect(translate("ALTER TABLE movies ADD COLUMN kind ENUM('a', 'b') NOT NULL DEFAULT 'a'")).toEqual([
+        "ALTER TABLE movies ADD COLUMN kind TEXT CHECK (kind IN ('a', 'b')) NOT NULL DEFAULT 'a'"
+      ]);
+    });
+
+    test('rewrites INSERT IGNORE and upserts', () => {
+      expect(translate('INSERT IGNORE INTO t (a) VALUES (?)')).toEqual(['INSERT OR IGNORE INTO t (a) VALUES (?)']);
+
+      const [upsert] = translate(
+        'INSERT INTO t (a, b) VALUES (?, ?) ON DUPLICATE KEY UPDATE id = LAST_INSERT_ID(id), b = VALUES(b)'
+      );
+      expect(upsert.replace(/\s+/g, ' ')).toBe(
+        'INSERT INTO t (a, b) VALUES (?, ?) ON CONFLICT DO UPDATE SET b = excluded.b RETURNING rowid AS upsert_rowid'
+      );
+    });
+
+    test('rewrites INTERVAL arithmetic', () => {
+      expect(translate('SELECT * FROM t WHERE created_at > NOW() - INTERVAL 7 DAY')).toEqual([
+        "SELECT * FROM t WHERE created_at > DATE_SUB(NOW(), 7, 'DAY')"
+      ]);
+      expect(translate('SELECT DATE_ADD(t.expires_at, INTERVAL ? HOUR) FROM t')).toEqual([
+        "SELECT DATE_ADD(t.expires_at, ?, 'HOUR') FROM t"
+      ]);
+    });
+  });
+
+  describe('createDatabase', () => {
+    let db;
+
+    beforeEach(async () => {
+      db = createDatabase({ filename: ':memory:' });
+      await run(
+        db,
+        `CREATE TABLE items (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          name VARCHAR(50) NOT NULL,
+          hits INT DEFAULT 0,
+          kind ENUM('film', 'show') DEFAULT 'film',
+          tags JSON,
+          released DATE,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE KEY unique_name (name)
+        ) ENGINE=InnoDB`
+      );
+    });
+
+    afterEach(() => {
+      db.end();
+    });
+
+    test('reports inserts like the mysql module', async () => {
+      const result = await run(db, 'INSERT INTO items SET ?', [{ name: 'Heat' }]);
+
+      expect(result).toEqual({ insertId: 1, affectedRows: 1, changedRows: 1 });
+    });
+
+    test('reports upserts with the row ID and MySQL affected rows', async () => {
+      const upsert = `INSERT INTO items (name, hits) VALUES (?, 1)
+        ON DUPLICATE KEY UPDATE id = LAST_INSERT_ID(id), hits = hits + 1`;
+      await run(db, 'INSERT INTO items (name) VALUES (?)', ['Other']);
+
+      const inserted = await run(db, upsert, ['Heat']);
+      const updated = await run(db, upsert, ['Heat']);
+
+      expect(inserted).toMatchObject({ insertId: 2, affectedRows: 1 });
+      expect(updated).toMatchObject({ insertId: 2, affectedRows: 2 });
+      expect(await run(db, 'SELECT hits FROM items WHERE id = 2')).toEqual([{ hits: 2 }]);
+    });
+
+    test('maps constraint errors to mysql codes', async () => {
+      await run(db, 'INSERT INTO items (name) VALUES (?)', ['Heat']);
+
+      await expect(run(db, 'INSERT INTO items (name) VALUES (?)', ['Heat'])).rejects.toMatchObject({
+        code: 'ER_DUP_ENTRY'
+      });
+      await expect(run(db, "INSERT INTO items (name, kind) VALUES ('Ronin', 'book')")).rejects.toMatchObject({
+        code: 'SQLITE_CONSTRAINT_CHECK'
+      });
+    });
+
+    test('returns timestamps and dates as Dates', async () => {
+      await run(db, 'INSERT INTO items (name, released) VALUES (?, ?)', ['Heat', '1995-12-15']);
+
+      const [row] = await run(db, 'SELECT created_at, released, MIN(created_at) AS first_seen FROM items');
+
+      expect(row.created_at).toBeInstanceOf(Date);
+      expect(Math.abs(row.created_at.getTime() - Date.now())).toBeLessThan(60 * 1000);
+      expect(row.released).toEqual(new Date('1995-12-15T00:00:00'));
+      expect(row.first_seen).toEqual(row.created_at);
+    });
+
+    test('provides the MySQL functions the queries use', async () => {
+      await run(db, 'INSERT INTO items (name, tags) VALUES (?, ?)', ['Heat', JSON.stringify(['crime', 'drama'])]);
+
+      const [row] = await run(
+        db,
+        `SELECT GREATEST(1, 5, 3) AS greatest, LEAST(4, 2) AS least, FIELD('b', 'a', 'b') AS field,
+           JSON_CONTAINS(tags, '"crime"') AS has_crime, JSON_CONTAINS(tags, '"comedy"') AS has_comedy,
+           DATE_ADD('2024-01-31 00:00:00', INTERVAL 1 DAY) AS next_day,
+           UUID() AS uuid
+         FROM items`
+      );
+
+      expect(row).toMatchObject({ greatest: 5, least: 2, field: 2, has_crime: 1, has_comedy: 0 });
+      expect(row.next_day).toEqual(new Date('2024-02-01T00:00:00Z'));
+      expect(row.uuid).toMatch(/^[0-9a-f-]{36}$/);
+    });
+
+    test('calls back asynchronously', async () => {
+      let called = false;
+      const done = new Promise((resolve) => {
+        db.query('SELECT 1 AS one', () => {
+          called = true;
+          resolve();
+        });
+      });
+
+      expect(called).toBe(false);
+      await done;
+      expect(called).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Data-access layer
+ * The server reaches the database only through the handle created here
+ * (app.locals.db) and the query() helper in database/query.js. DB_DRIVER
+ * picks the driver: "mysql" (the default) or "sqlite", a single file at
+ * DB_FILE for self-hosting without a MySQL server. Every driver's handle has
+ *   dialect                      'mysql' or 'sqlite'
+ *   query(sql, params, callback) mysql-module placeholders and results
+ *   ping(callback)               checks the database answers
+ *   end(callback)                closes its connections
+ * Queries are written for MySQL; the SQLite driver translates them.
+ */
+
+const DRIVERS = {
+  mysql: './drivers/mysql',
+  sqlite: './drivers/sqlite'
+};
+
+const driverName = (env = process.env) => (env.DB_DRIVER || 'mysql').toLowerCase();
+
+const loadDriver = (name) => {
+  if (!DRIVERS[name]) {
+    throw new Error(`Unknown DB_DRIVER "${name}" (expected ${Object.keys(DRIVERS).join(' or ')})`);
+  }
+  return require(DRIVERS[name]);
+};
+
+/**
+ * Environment variables the configured driver needs but are not set
+ * @returns {Array<string>}
+ */
+const missingConfig = (env = process.env) => {
+  return loadDriver(driverName(env)).REQUIRED_ENV_VARS.filter((envVar) => !env[envVar]);
+};
+
+/**
+ * Connect with the driver and settings from the environment
+ * @returns {Object} Database handle
+ */
+const createDatabase = (env = process.env) => {
+  const driver = loadDriver(driverName(env));
+  return driver.createDatabase(driver.configFromEnv(env));
+};
+
+module.exports = {
+  driverName,
+  loadDriver,
+  missingConfig,
+  createDatabase
+};
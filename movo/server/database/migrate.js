@@ -0,0 +1,67 @@
+/**
+ * Migration CLI
+ *   npm run migrate            apply pending migrations
+ *   npm run migrate:rollback   undo the latest batch
+ *   npm run migrate:status     list migrations and whether they are applied
+ */
+
+require('dotenv').config();
+const { missingConfig, createDatabase } = require('./index');
+const { Migrator } = require('./migrator');
+
+const formatDate = (value) => (value ? new Date(value).toISOString() : '');
+
+const commands = {
+  async up(migrator) {
+    const applied = await migrator.up();
+    if (applied.length === 0) {
+      console.log('Database is up to date');
+    }
+    applied.forEach((name) => console.log(`Applied ${name}`));
+  },
+
+  async rollback(migrator) {
+    const rolledBack = await migrator.rollback();
+    if (rolledBack.length === 0) {
+      console.log('Nothing to roll back');
+    }
+    rolledBack.forEach((name) => console.log(`Rolled back ${name}`));
+  },
+
+  async status(migrator) {
+    const migrations = await migrator.status();
+    migrations.forEach(({ name, applied, batch, appliedAt, missing }) => {
+      const state = missing ? 'missing' : applied ? `batch ${batch}` : 'pending';
+      console.log(`${name.padEnd(40)} ${state.padEnd(10)} ${formatDate(appliedAt)}`);
+    });
+  }
+};
+
+const main = async () => {
+  const command = commands[process.argv[2] || 'up'];
+  if (!command) {
+    console.error(`Usage: node database/migrate.js [${Object.keys(commands).join('|')}]`);
+    process.exit(1);
+  }
+
+  const missingEnvVars = missingConfig();
+  if (missingEnvVars.length > 0) {
+    console.error('Missing required environment variables:', missingEnvVars.join(', '));
+    process.exit(1);
+  }
+
+  const db = createDatabase();
+  try {
+    await command(new Migrator(db));
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  } finally {
+    db.end();
+  }
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,355 @@
+-- Initial schema
+-- Tables are created only when missing, so databases set up from the old
+-- schema.sql take this migration as their baseline.
+
+-- migrate:up
+
+-- Users table
+CREATE TABLE IF NOT EXISTS users (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    username VARCHAR(30) NOT NULL UNIQUE,
+    email VARCHAR(255) NOT NULL UNIQUE,
+    password VARCHAR(255) NOT NULL,
+    profile_picture VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    last_login TIMESTAMP NULL,
+    is_active BOOLEAN DEFAULT TRUE,
+    email_verified BOOLEAN DEFAULT FALSE,
+    email_verified_at TIMESTAMP NULL,
+    -- Accounts whose email is listed in ADMIN_EMAILS register as admins; promote others with
+    -- UPDATE users SET role = 'admin' WHERE username = '...';
+    role ENUM('user', 'admin') NOT NULL DEFAULT 'user'
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Refresh tokens table
+-- Every token rotated from the same sign-in shares a family_id; a family is
+-- one session, shown to the user with its device details. rotated_at marks
+-- tokens exchanged for a new one, so replaying them can be detected.
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    token_hash VARCHAR(64) NOT NULL,
+    family_id CHAR(36) NOT NULL,
+    device_name VARCHAR(100),
+    user_agent VARCHAR(255),
+    ip_address VARCHAR(45),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    revoked BOOLEAN DEFAULT FALSE,
+    revoked_at TIMESTAMP NULL,
+    rotated_at TIMESTAMP NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_token_hash (token_hash),
+    INDEX idx_user_id (user_id),
+    INDEX idx_family_id (family_id),
+    INDEX idx_expires_at (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Single-use password reset and email verification tokens, stored hashed like refresh tokens
+CREATE TABLE IF NOT EXISTS account_tokens (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    purpose ENUM('password_reset', 'email_verification') NOT NULL,
+    token_hash VARCHAR(64) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    used BOOLEAN DEFAULT FALSE,
+    used_at TIMESTAMP NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_token_hash (token_hash),
+    INDEX idx_user_purpose (user_id, purpose),
+    INDEX idx_expires_at (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Movies table (for local content metadata)
+CREATE TABLE IF NOT EXISTS movies (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    -- Not unique: several files (editions, episodes of a show) can share one
+    tmdb_id INT,
+    imdb_id VARCHAR(20),
+    title VARCHAR(255) NOT NULL,
+    original_title VARCHAR(255),
+    overview TEXT,
+    poster_path VARCHAR(255),
+    backdrop_path VARCHAR(255),
+    release_date DATE,
+    vote_average DECIMAL(3,1),
+    vote_count INT,
+    popularity DECIMAL(10,3),
+    genre_ids JSON,
+    genres JSON,
+    -- Certification (G, PG-13, TV-MA, ...); NULL when unrated
+    content_rating VARCHAR(16),
+    runtime INT,
+    status VARCHAR(50),
+    metadata_provider VARCHAR(64),
+    metadata_updated_at TIMESTAMP NULL,
+    -- Local library file (filled by the scanner)
+    file_path VARCHAR(700) UNIQUE,
+    file_name VARCHAR(255),
+    file_size BIGINT,
+    release_year SMALLINT,
+    resolution VARCHAR(16),
+    source VARCHAR(32),
+    edition VARCHAR(64),
+    media_type ENUM('movie', 'episode') DEFAULT 'movie',
+    season_number INT,
+    episode_number INT,
+    episode_title VARCHAR(255),
+    is_available BOOLEAN DEFAULT TRUE,
+    scanned_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_tmdb_id (tmdb_id),
+    INDEX idx_imdb_id (imdb_id),
+    INDEX idx_title (title),
+    INDEX idx_series (media_type, title, season_number, episode_number),
+    FULLTEXT INDEX idx_overview (overview)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Library file index (fingerprints used for incremental rescans and move detection)
+CREATE TABLE IF NOT EXISTS library_files (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    movie_id INT NOT NULL,
+    file_path VARCHAR(700) NOT NULL UNIQUE,
+    file_size BIGINT NOT NULL,
+    mtime_ms BIGINT NOT NULL,
+    partial_hash CHAR(64) NOT NULL,
+    is_missing BOOLEAN DEFAULT FALSE,
+    last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (movie_id) REFERENCES movies(id) ON DELETE CASCADE,
+    INDEX idx_fingerprint (file_size, partial_hash)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Library roots watched for new, changed and deleted files
+CREATE TABLE IF NOT EXISTS library_roots (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    path VARCHAR(700) NOT NULL UNIQUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_scan_at TIMESTAMP NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Intro/outro detection results
+CREATE TABLE IF NOT EXISTS video_analysis (
+    movie_id INT PRIMARY KEY,
+    duration DECIMAL(10,1),
+    intro_start DECIMAL(10,1),
+    intro_end DECIMAL(10,1),
+    outro_start DECIMAL(10,1),
+    intro_confidence DECIMAL(3,2),
+    outro_confidence DECIMAL(3,2),
+    intro_method VARCHAR(32),
+    outro_method VARCHAR(32),
+    analyzed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (movie_id) REFERENCES movies(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Per-user intro/recap/credits/post-credit corrections
+CREATE TABLE IF NOT EXISTS media_markers (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    movie_id INT NOT NULL,
+    user_id INT NOT NULL,
+    marker_type ENUM('intro', 'recap', 'credits', 'post_credits') NOT NULL,
+    start_time DECIMAL(10,1) NOT NULL,
+    end_time DECIMAL(10,1),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (movie_id) REFERENCES movies(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_user_marker (movie_id, user_id, marker_type)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Consensus marker per segment, read by auto-skip
+CREATE TABLE IF NOT EXISTS marker_consensus (
+    movie_id INT NOT NULL,
+    marker_type ENUM('intro', 'recap', 'credits', 'post_credits') NOT NULL,
+    start_time DECIMAL(10,1) NOT NULL,
+    end_time DECIMAL(10,1),
+    source ENUM('detected', 'community') NOT NULL,
+    vote_count INT DEFAULT 0,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (movie_id, marker_type),
+    FOREIGN KEY (movie_id) REFERENCES movies(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Viewing profiles; every account has at least one, created on first use
+CREATE TABLE IF NOT EXISTS profiles (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    name VARCHAR(50) NOT NULL,
+    avatar VARCHAR(32),
+    profile_type ENUM('adult', 'child') NOT NULL DEFAULT 'adult',
+    is_default BOOLEAN DEFAULT FALSE,
+    pin_hash VARCHAR(255),
+    -- Parental controls: highest certification allowed (NULL for no limit) and blocked genre names
+    max_rating VARCHAR(16),
+    restricted_genres JSON,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_user_profile (user_id, name)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- User preferences table (one row per profile)
+CREATE TABLE IF NOT EXISTS user_preferences (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    profile_id INT NOT NULL UNIQUE,
+    chimera_mode BOOLEAN DEFAULT FALSE,
+    auto_skip_intro BOOLEAN DEFAULT TRUE,
+    auto_skip_outro BOOLEAN DEFAULT TRUE,
+    default_volume DECIMAL(3,2) DEFAULT 0.80,
+    dark_mode BOOLEAN DEFAULT TRUE,
+    subtitles_enabled BOOLEAN DEFAULT FALSE,
+    download_quality ENUM('SD', 'HD', '4K') DEFAULT 'HD',
+    p2p_enabled BOOLEAN DEFAULT TRUE,
+    max_connections INT DEFAULT 50,
+    upload_limit INT DEFAULT 0,
+    download_limit INT DEFAULT 0,
+    language VARCHAR(10) DEFAULT 'en',
+    subtitles_language VARCHAR(10) DEFAULT 'en',
+    default_audio_language VARCHAR(10) DEFAULT 'en',
+    autoplay_enabled BOOLEAN DEFAULT TRUE,
+    autoplay_next_enabled BOOLEAN DEFAULT TRUE,
+    preferred_genres JSON,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (profile_id) REFERENCES profiles(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Watch history table (per profile)
+CREATE TABLE IF NOT EXISTS watch_history (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    profile_id INT NOT NULL,
+    movie_id INT NOT NULL,
+    progress_seconds INT DEFAULT 0,
+    total_duration INT,
+    completed BOOLEAN DEFAULT FALSE,
+    watched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (profile_id) REFERENCES profiles(id) ON DELETE CASCADE,
+    FOREIGN KEY (movie_id) REFERENCES movies(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_profile_movie (profile_id, movie_id),
+    INDEX idx_user_id (user_id),
+    INDEX idx_watched_at (watched_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- User collections: the built-in favorites and watchlist, plus custom ones
+CREATE TABLE IF NOT EXISTS collections (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    collection_type ENUM('favorites', 'watchlist', 'custom') NOT NULL DEFAULT 'custom',
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    share_token CHAR(32) UNIQUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_user_collection (user_id, collection_type, name)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Collection entries; user_id and collection_type are copied from the collection
+CREATE TABLE IF NOT EXISTS user_collections (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    collection_id INT NOT NULL,
+    user_id INT NOT NULL,
+    movie_id INT NOT NULL,
+    collection_type ENUM('favorites', 'watchlist', 'custom') DEFAULT 'favorites',
+    position INT NOT NULL DEFAULT 0,
+    added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (collection_id) REFERENCES collections(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (movie_id) REFERENCES movies(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_collection_movie (collection_id, movie_id),
+    INDEX idx_user_type (user_id, collection_type)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Downloads requested for offline viewing
+CREATE TABLE IF NOT EXISTS downloads (
+    id CHAR(36) PRIMARY KEY,
+    user_id INT NOT NULL,
+    movie_id INT NOT NULL,
+    quality ENUM('auto', 'low', 'medium', 'high', 'ultra') NOT NULL DEFAULT 'auto',
+    status ENUM('queued', 'downloading', 'paused', 'completed', 'failed', 'canceled') NOT NULL DEFAULT 'queued',
+    progress DECIMAL(5,2) DEFAULT 0,
+    size BIGINT,
+    path VARCHAR(700),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (movie_id) REFERENCES movies(id) ON DELETE CASCADE,
+    INDEX idx_user_status (user_id, status)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Playback sessions reported by players
+CREATE TABLE IF NOT EXISTS streaming_sessions (
+    id CHAR(36) PRIMARY KEY,
+    user_id INT NOT NULL,
+    movie_id INT NOT NULL,
+    quality ENUM('auto', 'low', 'medium', 'high', 'ultra') NOT NULL DEFAULT 'auto',
+    source ENUM('streaming', 'local', 'p2p') NOT NULL DEFAULT 'streaming',
+    start_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    end_time TIMESTAMP NULL,
+    progress DECIMAL(10,1),
+    metrics JSON,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (movie_id) REFERENCES movies(id) ON DELETE CASCADE,
+    INDEX idx_user_start (user_id, start_time)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Library scans started from the admin API
+CREATE TABLE IF NOT EXISTS library_scans (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    started_by INT NULL,
+    mode ENUM('full', 'incremental') NOT NULL,
+    directories JSON NOT NULL,
+    status ENUM('running', 'completed', 'failed') NOT NULL DEFAULT 'running',
+    result JSON,
+    error TEXT,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP NULL,
+    FOREIGN KEY (started_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_started_at (started_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- What admins changed, newest last; kept when the admin account is deleted
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    admin_id INT NULL,
+    action VARCHAR(64) NOT NULL,
+    target_type VARCHAR(32),
+    target_id VARCHAR(64),
+    details JSON,
+    ip_address VARCHAR(45),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (admin_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_admin_id (admin_id),
+    INDEX idx_action (action),
+    INDEX idx_target (target_type, target_id),
+    INDEX idx_created_at (created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- migrate:down
+
+DROP TABLE IF EXISTS admin_audit_log;
+DROP TABLE IF EXISTS library_scans;
+DROP TABLE IF EXISTS streaming_sessions;
+DROP TABLE IF EXISTS downloads;
+DROP TABLE IF EXISTS user_collections;
+DROP TABLE IF EXISTS collections;
+DROP TABLE IF EXISTS watch_history;
+DROP TABLE IF EXISTS user_preferences;
+DROP TABLE IF EXISTS profiles;
+DROP TABLE IF EXISTS marker_consensus;
+DROP TABLE IF EXISTS media_markers;
+DROP TABLE IF EXISTS video_analysis;
+DROP TABLE IF EXISTS library_roots;
+DROP TABLE IF EXISTS library_files;
+DROP TABLE IF EXISTS movies;
+DROP TABLE IF EXISTS account_tokens;
+DROP TABLE IF EXISTS refresh_tokens;
+DROP TABLE IF EXISTS users;
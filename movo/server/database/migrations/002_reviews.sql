@@ -0,0 +1,46 @@
+-- Reviews
+-- One review per account per title, with likes from other accounts. The
+-- provider's rating moves to provider_vote_average / provider_vote_count so
+-- vote_average can blend it with the reviews.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS reviews (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    movie_id INT NOT NULL,
+    user_id INT NOT NULL,
+    -- Stars, 1 to 5
+    rating TINYINT NOT NULL,
+    content TEXT NOT NULL,
+    is_spoiler BOOLEAN DEFAULT FALSE,
+    like_count INT DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (movie_id) REFERENCES movies(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_user_review (movie_id, user_id),
+    INDEX idx_movie_created (movie_id, created_at),
+    INDEX idx_movie_rating (movie_id, rating),
+    INDEX idx_movie_likes (movie_id, like_count)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS review_likes (
+    review_id INT NOT NULL,
+    user_id INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (review_id, user_id),
+    FOREIGN KEY (review_id) REFERENCES reviews(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE movies ADD COLUMN provider_vote_average DECIMAL(3,1) NULL;
+ALTER TABLE movies ADD COLUMN provider_vote_count INT NULL;
+UPDATE movies SET provider_vote_average = vote_average, provider_vote_count = vote_count;
+
+-- migrate:down
+
+UPDATE movies SET vote_average = provider_vote_average, vote_count = provider_vote_count;
+ALTER TABLE movies DROP COLUMN provider_vote_count;
+ALTER TABLE movies DROP COLUMN provider_vote_average;
+DROP TABLE IF EXISTS review_likes;
+DROP TABLE IF EXISTS reviews;
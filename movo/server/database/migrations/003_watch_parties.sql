@@ -0,0 +1,55 @@
+-- Watch parties
+-- A party is a room for one title that others join with its invite code.
+-- The host's last playback state is kept on the party so a room picks up
+-- where it was after a restart; members and chat are kept for the party's
+-- lifetime.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS watch_parties (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    code VARCHAR(16) NOT NULL UNIQUE,
+    host_id INT NOT NULL,
+    movie_id INT NOT NULL,
+    status ENUM('active', 'ended') DEFAULT 'active',
+    position DECIMAL(10,3) DEFAULT 0,
+    is_playing BOOLEAN DEFAULT FALSE,
+    playback_rate DECIMAL(4,2) DEFAULT 1.00,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    ended_at TIMESTAMP NULL,
+    FOREIGN KEY (host_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (movie_id) REFERENCES movies(id) ON DELETE CASCADE,
+    INDEX idx_host_status (host_id, status)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Removed members stay listed with is_banned so they can't rejoin
+CREATE TABLE IF NOT EXISTS watch_party_members (
+    party_id INT NOT NULL,
+    user_id INT NOT NULL,
+    is_muted BOOLEAN DEFAULT FALSE,
+    is_banned BOOLEAN DEFAULT FALSE,
+    joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at TIMESTAMP NULL,
+    PRIMARY KEY (party_id, user_id),
+    FOREIGN KEY (party_id) REFERENCES watch_parties(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS watch_party_messages (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    party_id INT NOT NULL,
+    -- NULL for system messages (joins, leaves, removals)
+    user_id INT NULL,
+    message_type ENUM('chat', 'system') DEFAULT 'chat',
+    content TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (party_id) REFERENCES watch_parties(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_party_message (party_id, id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- migrate:down
+
+DROP TABLE IF EXISTS watch_party_messages;
+DROP TABLE IF EXISTS watch_party_members;
+DROP TABLE IF EXISTS watch_parties;
@@ -0,0 +1,46 @@
+-- Subtitles
+-- Sidecar files found next to library videos are recorded by path and
+-- converted to WebVTT when served. Uploaded files are converted once and
+-- kept here, visible to the account that uploaded them. Each account can
+-- shift a track's timing; the offset applies wherever they watch.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS subtitles (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    movie_id INT NOT NULL,
+    source ENUM('sidecar', 'upload') NOT NULL,
+    -- Uploader; NULL for sidecars
+    user_id INT NULL,
+    file_path VARCHAR(700) NULL UNIQUE,
+    file_name VARCHAR(255) NOT NULL,
+    format ENUM('srt', 'vtt', 'ass', 'ssa') NOT NULL,
+    -- ISO 639-1 where known
+    language VARCHAR(10) NULL,
+    label VARCHAR(100) NOT NULL,
+    is_forced BOOLEAN DEFAULT FALSE,
+    is_sdh BOOLEAN DEFAULT FALSE,
+    -- WebVTT for uploads
+    content MEDIUMTEXT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (movie_id) REFERENCES movies(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_movie_source (movie_id, source)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS subtitle_offsets (
+    user_id INT NOT NULL,
+    subtitle_id INT NOT NULL,
+    -- Positive values show cues later
+    offset_ms INT NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, subtitle_id),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (subtitle_id) REFERENCES subtitles(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- migrate:down
+
+DROP TABLE IF EXISTS subtitle_offsets;
+DROP TABLE IF EXISTS subtitles;
@@ -0,0 +1,35 @@
+-- Offline download bundles
+-- A download is prepared on the server (the video at the chosen quality,
+-- subtitles, poster and metadata), then fetched in chunks by the client,
+-- which reports how many bytes it holds. download_files lists a prepared
+-- bundle's parts; a part is either a file on disk or stored content.
+
+-- migrate:up
+
+ALTER TABLE downloads ADD COLUMN bytes_received BIGINT NOT NULL DEFAULT 0;
+ALTER TABLE downloads ADD COLUMN error VARCHAR(500) NULL;
+ALTER TABLE downloads ADD COLUMN prepared_at TIMESTAMP NULL;
+
+CREATE TABLE IF NOT EXISTS download_files (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    download_id CHAR(36) NOT NULL,
+    kind ENUM('video', 'subtitle', 'poster', 'metadata') NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    content_type VARCHAR(100) NOT NULL,
+    size BIGINT NOT NULL,
+    -- Library file, transcoded copy or poster
+    file_path VARCHAR(700) NULL,
+    -- WebVTT subtitles and JSON metadata
+    content MEDIUMTEXT NULL,
+    language VARCHAR(10) NULL,
+    label VARCHAR(100) NULL,
+    FOREIGN KEY (download_id) REFERENCES downloads(id) ON DELETE CASCADE,
+    INDEX idx_download (download_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- migrate:down
+
+DROP TABLE IF EXISTS download_files;
+ALTER TABLE downloads DROP COLUMN prepared_at;
+ALTER TABLE downloads DROP COLUMN error;
+ALTER TABLE downloads DROP COLUMN bytes_received;
@@ -0,0 +1,178 @@
+/**
+ * Schema migrations
+ * Migrations are NNN_description.sql files in database/migrations with a
+ * `-- migrate:up` section and a `-- migrate:down` section that undoes it.
+ * Applied migrations are recorded in schema_migrations along with the batch
+ * they ran in, and a rollback undoes the latest batch. MySQL commits DDL as
+ * it goes, so a migration that fails half-way is left unrecorded; write its
+ * statements so they can run again (IF NOT EXISTS, IF EXISTS).
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { query } = require('./query');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+const MIGRATIONS_TABLE = `CREATE TABLE IF NOT EXISTS schema_migrations (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL UNIQUE,
+    batch INT NOT NULL,
+    applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`;
+
+/**
+ * Split a SQL script into statements
+ * Comment lines are dropped first, so they may contain semicolons.
+ */
+const splitStatements = (lines) => {
+  return lines
+    .filter((line) => !/^\s*--/.test(line))
+    .join('\n')
+    .split(/;\s*$/m)
+    .map((statement) => statement.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Read the up and down statements of a migration file
+ * @param {string} source - File contents
+ * @returns {{up: Array<string>, down: Array<string>}}
+ */
+const parseMigration = (source) => {
+  const sections = { up: [], down: [] };
+  let current = null;
+
+  source.split(/\r?\n/).forEach((line) => {
+    const marker = line.match(/^--\s*migrate:(up|down)\s*$/);
+    if (marker) {
+      current = marker[1];
+    } else if (current) {
+      sections[current].push(line);
+    }
+  });
+
+  return {
+    up: splitStatements(sections.up),
+    down: splitStatements(sections.down)
+  };
+};
+
+class Migrator {
+  /**
+   * @param {Object} db - Anything with the MySQL pool's query(sql, params, callback)
+   * @param {Object} options - { directory } to read migrations from elsewhere
+   */
+  constructor(db, { directory = MIGRATIONS_DIR } = {}) {
+    this.db = db;
+    this.directory = directory;
+  }
+
+  /**
+   * Migration files in the order they apply
+   * @returns {Promise<Array<{name: string, up: Array<string>, down: Array<string>}>>}
+   */
+  async load() {
+    const files = (await fs.readdir(this.directory)).filter((file) => file.endsWith('.sql')).sort();
+
+    return Promise.all(
+      files.map(async (file) => ({
+        name: path.basename(file, '.sql'),
+        ...parseMigration(await fs.readFile(path.join(this.directory, file), 'utf8'))
+      }))
+    );
+  }
+
+  async applied() {
+    await query(this.db, MIGRATIONS_TABLE);
+    return query(this.db, 'SELECT name, batch, applied_at FROM schema_migrations ORDER BY id');
+  }
+
+  async execute(statements) {
+    for (const statement of statements) {
+      await query(this.db, statement);
+    }
+  }
+
+  /**
+   * Apply every pending migration as one batch
+   * @returns {Promise<Array<string>>} Names of the migrations applied
+   */
+  async up() {
+    const [migrations, applied] = await Promise.all([this.load(), this.applied()]);
+    const done = new Set(applied.map((row) => row.name));
+    const pending = migrations.filter((migration) => !done.has(migration.name));
+    const batch = applied.reduce((latest, row) => Math.max(latest, row.batch), 0) + 1;
+
+    for (const migration of pending) {
+      try {
+        await this.execute(migration.up);
+      } catch (error) {
+        error.message = `Migration ${migration.name} failed: ${error.message}`;
+        throw error;
+      }
+      await query(this.db, 'INSERT INTO schema_migrations (name, batch) VALUES (?, ?)', [migration.name, batch]);
+    }
+
+    return pending.map((migration) => migration.name);
+  }
+
+  /**
+   * Undo the latest batch, newest migration first
+   * @returns {Promise<Array<string>>} Names of the migrations rolled back
+   */
+  async rollback() {
+    const [migrations, applied] = await Promise.all([this.load(), this.applied()]);
+    if (applied.length === 0) {
+      return [];
+    }
+
+    const batch = applied[applied.length - 1].batch;
+    const byName = new Map(migrations.map((migration) => [migration.name, migration]));
+    const latest = applied.filter((row) => row.batch === batch).reverse();
+
+    for (const { name } of latest) {
+      const migration = byName.get(name);
+      if (!migration) {
+        throw new Error(`Migration ${name} was applied but its file is missing`);
+      }
+      try {
+        await this.execute(migration.down);
+      } catch (error) {
+        error.message = `Rolling back ${name} failed: ${error.message}`;
+        throw error;
+      }
+      await query(this.db, 'DELETE FROM schema_migrations WHERE name = ?', [name]);
+    }
+
+    return latest.map((row) => row.name);
+  }
+
+  /**
+   * Every migration with whether (and when) it was applied
+   * Applied migrations whose file has gone are listed with missing: true.
+   */
+  async status() {
+    const [migrations, applied] = await Promise.all([this.load(), this.applied()]);
+    const byName = new Map(applied.map((row) => [row.name, row]));
+    const files = new Set(migrations.map((migration) => migration.name));
+
+    return [
+      ...migrations.map(({ name }) => ({
+        name,
+        applied: byName.has(name),
+        batch: byName.has(name) ? byName.get(name).batch : null,
+        appliedAt: byName.has(name) ? byName.get(name).applied_at : null
+      })),
+      ...applied
+        .filter((row) => !files.has(row.name))
+        .map((row) => ({ name: row.name, applied: true, batch: row.batch, appliedAt: row.applied_at, missing: true }))
+    ];
+  }
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  parseMigration,
+  Migrator
+};
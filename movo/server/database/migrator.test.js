@@ -0,0 +1,184 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite = require('./drivers/sqlite');
+const { query } = require('./query');
+const { MIGRATIONS_DIR, parseMigration, Migrator } = require('./migrator');
+
+// What each migration creates, read from its up statements
+const migrations = fs
+  .readdirSync(MIGRATIONS_DIR)
+  .filter((file) => file.endsWith('.sql'))
+  .sort()
+  .map((file) => {
+    const { up } = parseMigration(fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8'));
+    const tables = [];
+    const columns = [];
+    up.forEach((statement) => {
+      const created = statement.match(/^CREATE TABLE (?:IF NOT EXISTS )?(\w+)/i);
+      const added = statement.match(/^ALTER TABLE (\w+) ADD COLUMN (\w+)/i);
+      if (created) {
+        tables.push(created[1]);
+      } else if (added) {
+        columns.push([added[1], added[2]]);
+      }
+    });
+    return { name: path.basename(file, '.sql'), tables, columns };
+  });
+
+const allTables = migrations.flatMap((migration) => migration.tables);
+
+describe('parseMigration', () => {
+  test('splits the up and down sections into statements', () => {
+    const parsed = parseMigration(
+      [
+        '-- A comment; with a semicolon',
+        '-- migrate:up',
+        'CREATE TABLE a (id INT);',
+        '-- Another; comment',
+        'CREATE TABLE b (',
+        '    id INT',
+        ');',
+        '',
+        '-- migrate:down',
+        'DROP TABLE b;',
+        'DROP TABLE a;'
+      ].join('\n')
+    );
+
+    expect(parsed).toEqual({
+      up: ['CREATE TABLE a (id INT)', 'CREATE TABLE b (\n    id INT\n)'],
+      down: ['DROP TABLE b', 'DROP TABLE a']
+    });
+  });
+});
+
+describe('Migrator', () => {
+  let db;
+
+  const tables = async () => {
+    const rows = await query(
+      db,
+      "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name"
+    );
+    return rows.map((row) => row.name);
+  };
+
+  const columnsOf = async (table) => {
+    const rows = await query(db, `SELECT name FROM pragma_table_info('${table}')`);
+    return rows.map((row) => row.name);
+  };
+
+  beforeEach(() => {
+    db = sqlite.createDatabase({ filename: ':memory:' });
+  });
+
+  afterEach(() => {
+    db.end();
+  });
+
+  test('finds every migration file', () => {
+    expect(migrations.length).toBeGreaterThan(0);
+    migrations.forEach((migration) => {
+      expect(migration.tables.length + migration.columns.length).toBeGreaterThan(0);
+    });
+  });
+
+  test('applies every migration as one batch and rolls the batch back', async () => {
+    const migrator = new Migrator(db);
+
+    expect((await migrator.status()).every((row) => !row.applied)).toBe(true);
+
+    expect(await migrator.up()).toEqual(migrations.map((migration) => migration.name));
+    expect(await tables()).toEqual([...allTables, 'schema_migrations'].sort());
+    for (const migration of migrations) {
+      for (const [table, column] of migration.columns) {
+        expect(await columnsOf(table)).toContain(column);
+      }
+    }
+
+    const status = await migrator.status();
+    expect(status.map(({ name, applied, batch }) => ({ name, applied, batch }))).toEqual(
+      migrations.map(({ name }) => ({ name, applied: true, batch: 1 }))
+    );
+    status.forEach((row) => expect(row.appliedAt).toBeTruthy());
+
+    // Nothing left to apply
+    expect(await migrator.up()).toEqual([]);
+
+    expect(await migrator.rollback()).toEqual(migrations.map((migration) => migration.name).reverse());
+    expect(await tables()).toEqual(['schema_migrations']);
+    expect((await migrator.status()).every((row) => !row.applied)).toBe(true);
+    expect(await migrator.rollback()).toEqual([]);
+
+    // And again from scratch
+    await migrator.up();
+    expect(await tables()).toEqual([...allTables, 'schema_migrations'].sort());
+  });
+
+  describe('one migration per batch', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'movo-migrations-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    const release = (migration) => {
+      const file = `${migration.name}.sql`;
+      fs.copyFileSync(path.join(MIGRATIONS_DIR, file), path.join(directory, file));
+    };
+
+    test('applies and rolls back each migration in turn', async () => {
+      const migrator = new Migrator(db, { directory });
+      const expected = ['schema_migrations'];
+
+      for (const [index, migration] of migrations.entries()) {
+        release(migration);
+        expect(await migrator.up()).toEqual([migration.name]);
+
+        expected.push(...migration.tables);
+        expect(await tables()).toEqual([...expected].sort());
+        for (const [table, column] of migration.columns) {
+          expect(await columnsOf(table)).toContain(column);
+        }
+        expect((await migrator.status()).find((row) => row.name === migration.name)).toMatchObject({
+          applied: true,
+          batch: index + 1
+        });
+      }
+
+      for (const migration of [...migrations].reverse()) {
+        expect(await migrator.rollback()).toEqual([migration.name]);
+
+        migration.tables.forEach((table) => expected.splice(expected.indexOf(table), 1));
+        expect(await tables()).toEqual([...expected].sort());
+        for (const [table, column] of migration.columns) {
+          expect(await columnsOf(table)).not.toContain(column);
+        }
+        expect((await migrator.status()).find((row) => row.name === migration.name)).toMatchObject({
+          applied: false,
+          batch: null
+        });
+      }
+
+      expect(await tables()).toEqual(['schema_migrations']);
+    });
+
+    test('lists applied migrations whose file has gone', async () => {
+      const [first] = migrations;
+      release(first);
+      const migrator = new Migrator(db, { directory });
+      await migrator.up();
+      fs.unlinkSync(path.join(directory, `${first.name}.sql`));
+
+      expect(await migrator.status()).toEqual([
+        expect.objectContaining({ name: first.name, applied: true, batch: 1, missing: true })
+      ]);
+      await expect(migrator.rollback()).rejects.toThrow(`Migration ${first.name} was applied but its file is missing`);
+    });
+  });
+});
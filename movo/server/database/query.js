@@ -0,0 +1,30 @@
+/**
+ * Promise wrapper around the callback-style MySQL pool kept in app.locals.db
+ */
+
+const query = (db, sql, params = []) => {
+  return new Promise((resolve, reject) => {
+    db.query(sql, params, (err, results) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(results);
+    });
+  });
+};
+
+/**
+ * LIKE patterns matching a value literally
+ * Put LIKE_ESCAPE after each pattern escaped this way (`file_path LIKE ? ${LIKE_ESCAPE}`):
+ * SQLite has no default escape character, and '!' is written the same in
+ * MySQL and SQLite string literals, unlike a backslash.
+ */
+const LIKE_ESCAPE = "ESCAPE '!'";
+
+const escapeLike = (value) => value.replace(/[!%_]/g, '!$&');
+
+module.exports = {
+  LIKE_ESCAPE,
+  escapeLike,
+  query
+};
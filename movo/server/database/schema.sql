@@ -1,105 +0,0 @@
--- Database Schema for Movo Server
--- Run this SQL to create necessary tables
-
--- Users table (if not exists)
-CREATE TABLE IF NOT EXISTS users (
-    id INT AUTO_INCREMENT PRIMARY KEY,
-    username VARCHAR(30) NOT NULL UNIQUE,
-    email VARCHAR(255) NOT NULL UNIQUE,
-    password VARCHAR(255) NOT NULL,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-    last_login TIMESTAMP NULL,
-    is_active BOOLEAN DEFAULT TRUE
-) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
-
--- Refresh tokens table
-CREATE TABLE IF NOT EXISTS refresh_tokens (
-    id INT AUTO_INCREMENT PRIMARY KEY,
-    user_id INT NOT NULL,
-    token_hash VARCHAR(64) NOT NULL,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    expires_at TIMESTAMP NOT NULL,
-    revoked BOOLEAN DEFAULT FALSE,
-    revoked_at TIMESTAMP NULL,
-    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-    INDEX idx_token_hash (token_hash),
-    INDEX idx_user_id (user_id),
-    INDEX idx_expires_at (expires_at)
-) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
-
--- Movies table (for local content metadata)
-CREATE TABLE IF NOT EXISTS movies (
-    id INT AUTO_INCREMENT PRIMARY KEY,
-    tmdb_id INT UNIQUE,
-    title VARCHAR(255) NOT NULL,
-    original_title VARCHAR(255),
-    overview TEXT,
-    poster_path VARCHAR(255),
-    backdrop_path VARCHAR(255),
-    release_date DATE,
-    vote_average DECIMAL(3,1),
-    vote_count INT,
-    popularity DECIMAL(10,3),
-    genre_ids JSON,
-    runtime INT,
-    status VARCHAR(50),
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-    INDEX idx_tmdb_id (tmdb_id),
-    INDEX idx_title (title),
-    FULLTEXT INDEX idx_overview (overview)
-) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
-
--- User preferences table
-CREATE TABLE IF NOT EXISTS user_preferences (
-    id INT AUTO_INCREMENT PRIMARY KEY,
-    user_id INT NOT NULL UNIQUE,
-    chimera_mode BOOLEAN DEFAULT FALSE,
-    auto_skip_intro BOOLEAN DEFAULT TRUE,
-    auto_skip_outro BOOLEAN DEFAULT TRUE,
-    default_volume DECIMAL(3,2) DEFAULT 0.80,
-    dark_mode BOOLEAN DEFAULT TRUE,
-    subtitles_enabled BOOLEAN DEFAULT FALSE,
-    download_quality ENUM('SD', 'HD', '4K') DEFAULT 'HD',
-    p2p_enabled BOOLEAN DEFAULT TRUE,
-    max_connections INT DEFAULT 50,
-    upload_limit INT DEFAULT 0,
-    download_limit INT DEFAULT 0,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
-
--- Watch history table
-CREATE TABLE IF NOT EXISTS watch_history (
-    id INT AUTO_INCREMENT PRIMARY KEY,
-    user_id INT NOT NULL,
-    movie_id INT NOT NULL,
-    progress_seconds INT DEFAULT 0,
-    total_duration INT,
-    completed BOOLEAN DEFAULT FALSE,
-    watched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-    FOREIGN KEY (movie_id) REFERENCES movies(id) ON DELETE CASCADE,
-    UNIQUE KEY unique_user_movie (user_id, movie_id),
-    INDEX idx_user_id (user_id),
-    INDEX idx_watched_at (watched_at)
-) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
-
--- User collections/favorites
-CREATE TABLE IF NOT EXISTS user_collections (
-    id INT AUTO_INCREMENT PRIMARY KEY,
-    user_id INT NOT NULL,
-    movie_id INT NOT NULL,
-    collection_type ENUM('favorites', 'watchlist', 'custom') DEFAULT 'favorites',
-    custom_name VARCHAR(100),
-    added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-    FOREIGN KEY (movie_id) REFERENCES movies(id) ON DELETE CASCADE,
-    UNIQUE KEY unique_user_movie_collection (user_id, movie_id, collection_type)
-) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
-
--- Cleanup job for expired refresh tokens
--- Run this periodically (e.g., daily via cron)
--- DELETE FROM refresh_tokens WHERE expires_at < NOW() - INTERVAL 7 DAY;
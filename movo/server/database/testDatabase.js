@@ -0,0 +1,54 @@
+/**
+ * Embedded test database
+ * A migrated SQLite database, in memory unless a file is given (a temp
+ * file suits integration tests), for anything that shouldn't need MySQL.
+ */
+
+const sqlite = require('./drivers/sqlite');
+const { Migrator } = require('./migrator');
+const { query } = require('./query');
+
+// Parental controls of a child profile, as formatted profiles carry them
+const KIDS_PROFILE = { parentalControls: { maxRating: 'G', restrictedGenres: [] } };
+
+/**
+ * @param {Object} options - { filename } to keep the database in a file
+ * @returns {Promise<Object>} A db handle with every migration applied
+ */
+const createTestDatabase = async ({ filename = ':memory:' } = {}) => {
+  const db = sqlite.createDatabase({ filename });
+  await new Migrator(db).up();
+  return db;
+};
+
+/**
+ * Fixtures
+ * Each inserts one row, filling in what the schema requires, and returns its ID.
+ */
+const createUser = async (db, username, fields = {}) => {
+  const result = await query(db, 'INSERT INTO users SET ?', [
+    { username, email: `${username}@example.com`, password: 'hash', ...fields }
+  ]);
+  return result.insertId;
+};
+
+const createProfile = async (db, userId, name, fields = {}) => {
+  const result = await query(db, 'INSERT INTO profiles SET ?', [{ user_id: userId, name, ...fields }]);
+  return result.insertId;
+};
+
+// A library title, with a file path made up from its title
+const createMovie = async (db, title, fields = {}) => {
+  const result = await query(db, 'INSERT INTO movies SET ?', [
+    { title, file_path: `/library/${title}.mkv`, file_name: `${title}.mkv`, ...fields }
+  ]);
+  return result.insertId;
+};
+
+module.exports = {
+  KIDS_PROFILE,
+  createTestDatabase,
+  createUser,
+  createProfile,
+  createMovie
+};
@@ -1,4 +1,5 @@
 const winston = require('winston');
+const { authFailures } = require('../services/metrics');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -90,6 +91,10 @@ const errorHandler = (err, req, res, next) => {
   err.statusCode = err.statusCode || 500;
   err.status = err.status || 'error';
 
+  if (err.statusCode === 401) {
+    authFailures.inc({ code: err.code || 'AUTHENTICATION_ERROR' });
+  }
+
   // Log error
   logger.error({
     message: err.message,
@@ -40,7 +40,8 @@ const schemas = {
       .messages({
         'any.only': 'Passwords do not match',
         'any.required': 'Password confirmation is required'
-      })
+      }),
+    deviceName: Joi.string().trim().max(100)
   }),
 
   // User login
@@ -50,16 +51,33 @@ const schemas = {
     }),
     password: Joi.string().required().messages({
       'any.required': 'Password is required'
-    })
+    }),
+    deviceName: Joi.string().trim().max(100)
   }),
 
-  // Movie search
+  // Library search; without a query the filters alone browse the library.
+  // Several genres are sent as repeated parameters and match any of them.
   search: Joi.object({
-    query: Joi.string().min(1).max(100).required(),
+    query: Joi.string().trim().max(100).allow('').default(''),
+    genres: Joi.array().items(Joi.string().trim().min(1).max(50)).single().max(20),
+    yearFrom: Joi.number().integer().min(1800).max(2100),
+    yearTo: Joi.number().integer().min(1800).max(2100),
+    ratingMin: Joi.number().min(0).max(10),
+    ratingMax: Joi.number().min(0).max(10),
+    runtimeMin: Joi.number().integer().min(0),
+    runtimeMax: Joi.number().integer().min(0),
+    type: Joi.string().valid('movie', 'episode'),
+    sort: Joi.string().valid('relevance', 'title', 'year', 'rating', 'added').default('relevance'),
     page: Joi.number().integer().min(1).default(1),
     limit: Joi.number().integer().min(1).max(50).default(20)
   }),
 
+  // Autocomplete while typing
+  searchSuggest: Joi.object({
+    query: Joi.string().trim().min(1).max(100).required(),
+    limit: Joi.number().integer().min(1).max(20).default(8)
+  }),
+
   // Movie ID parameter
   movieId: Joi.object({
     id: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required().messages({
@@ -75,7 +93,12 @@ const schemas = {
     defaultVolume: Joi.number().min(0).max(1),
     darkMode: Joi.boolean(),
     subtitlesEnabled: Joi.boolean(),
-    downloadQuality: Joi.string().valid('SD', 'HD', '4K')
+    downloadQuality: Joi.string().valid('SD', 'HD', '4K'),
+    language: Joi.string().pattern(/^[a-z]{2,3}(-[A-Z]{2})?$/),
+    subtitlesLanguage: Joi.string().pattern(/^[a-z]{2,3}(-[A-Z]{2})?$/),
+    defaultAudioLanguage: Joi.string().pattern(/^[a-z]{2,3}(-[A-Z]{2})?$/),
+    autoplayEnabled: Joi.boolean(),
+    autoplayNextEnabled: Joi.boolean()
   }),
 
   // P2P settings
@@ -86,6 +109,422 @@ const schemas = {
     maxConnections: Joi.number().integer().min(1).max(100)
   }),
 
+  // Intro/outro marker corrections
+  markers: Joi.object({
+    markers: Joi.array()
+      .items(
+        Joi.object({
+          type: Joi.string().valid('intro', 'recap', 'credits', 'post_credits').required(),
+          start: Joi.number().min(0).required(),
+          end: Joi.number().greater(Joi.ref('start')).allow(null).default(null)
+        })
+      )
+      .min(1)
+      .unique('type')
+      .required()
+      .messages({
+        'array.unique': 'Each marker type can only be sent once'
+      })
+  }),
+
+  // Marker URL parameters
+  markerParams: Joi.object({
+    movieId: Joi.number().integer().min(1).required(),
+    type: Joi.string().valid('intro', 'recap', 'credits', 'post_credits')
+  }),
+
+  // Streaming URL parameters
+  streamParams: Joi.object({
+    movieId: Joi.number().integer().min(1).required()
+  }),
+
+  // Signed URL request
+  streamQuery: Joi.object({
+    quality: Joi.string().valid('auto', 'low', 'medium', 'high', 'ultra').default('auto')
+  }),
+
+  // HLS rendition and segment parameters
+  hlsParams: Joi.object({
+    movieId: Joi.number().integer().min(1).required(),
+    quality: Joi.string().valid('low', 'medium', 'high', 'ultra').required(),
+    segment: Joi.string().pattern(/^seg_\d{5}\.ts$/)
+  }),
+
+  // Background HLS packaging
+  packageRenditions: Joi.object({
+    qualities: Joi.array().items(Joi.string().valid('low', 'medium', 'high', 'ultra')).min(1)
+  }),
+
+  // Watch history URL parameters
+  historyParams: Joi.object({
+    movieId: Joi.number().integer().min(1).required()
+  }),
+
+  // Watch history listing
+  historyQuery: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    status: Joi.string().valid('all', 'in_progress', 'completed').default('all')
+  }),
+
+  // Player heartbeat; timestamp is when the position was reached (defaults to now)
+  watchProgress: Joi.object({
+    position: Joi.number().min(0).required(),
+    duration: Joi.number().min(0).required(),
+    completed: Joi.boolean(),
+    timestamp: Joi.date()
+  }),
+
+  // Mark watched or unwatched
+  watchCompleted: Joi.object({
+    completed: Joi.boolean().default(true)
+  }),
+
+  // Offline progress sent by the client's session service
+  syncWatchProgress: Joi.object({
+    items: Joi.array()
+      .items(
+        Joi.object({
+          mediaId: Joi.number().integer().min(1).required(),
+          progress: Joi.object({
+            position: Joi.number().min(0).required(),
+            duration: Joi.number().min(0).required(),
+            completed: Joi.boolean(),
+            updatedAt: Joi.date()
+          }).required(),
+          timestamp: Joi.date()
+        })
+      )
+      .max(200)
+      .required()
+  }),
+
+  // Collection URL parameters; the built-in collections can be named instead of numbered
+  collectionParams: Joi.object({
+    id: Joi.alternatives()
+      .try(Joi.number().integer().min(1), Joi.string().valid('watchlist', 'favorites'))
+      .required(),
+    movieId: Joi.number().integer().min(1)
+  }),
+
+  // Shared collection link
+  sharedCollectionParams: Joi.object({
+    token: Joi.string().hex().length(32).required()
+  }),
+
+  // New custom collection, optionally with its first titles
+  createCollection: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required().messages({
+      'any.required': 'Collection name is required'
+    }),
+    description: Joi.string().trim().max(1000).allow('', null),
+    movieIds: Joi.array().items(Joi.number().integer().min(1)).max(500).unique()
+  }),
+
+  // Rename or describe a collection
+  updateCollection: Joi.object({
+    name: Joi.string().trim().min(1).max(100),
+    description: Joi.string().trim().max(1000).allow('', null)
+  }).min(1),
+
+  // Add a title to a collection
+  collectionItem: Joi.object({
+    movieId: Joi.number().integer().min(1).required()
+  }),
+
+  // New order for every title in a collection
+  collectionOrder: Joi.object({
+    movieIds: Joi.array().items(Joi.number().integer().min(1)).unique().required()
+  }),
+
+  // Watchlist changes queued while offline
+  syncWatchlist: Joi.object({
+    changes: Joi.array()
+      .items(
+        Joi.object({
+          mediaId: Joi.number().integer().min(1).required(),
+          action: Joi.string().valid('add', 'remove').required(),
+          timestamp: Joi.date().required()
+        })
+      )
+      .max(500)
+      .required()
+  }),
+
+  // Clear synced progress for one title or ('all') every title
+  clearProgress: Joi.object({
+    mediaId: Joi.alternatives()
+      .try(Joi.number().integer().min(1), Joi.string().valid('all'))
+      .required()
+  }),
+
+  // Profile URL parameters
+  profileParams: Joi.object({
+    id: Joi.number().integer().min(1).required()
+  }),
+
+  // New viewing profile; child profiles default to G-rated titles without horror or thrillers
+  createProfile: Joi.object({
+    name: Joi.string().trim().min(1).max(50).required().messages({
+      'any.required': 'Profile name is required'
+    }),
+    avatar: Joi.string().max(32).allow(null),
+    type: Joi.string().valid('adult', 'child').default('adult'),
+    pin: Joi.string().pattern(/^\d{4,8}$/).messages({
+      'string.pattern.base': 'PIN must be 4 to 8 digits'
+    }),
+    parentalControls: Joi.object({
+      maxRating: Joi.string().valid('G', 'PG', 'PG-13', 'R', 'NC-17').allow(null),
+      restrictedGenres: Joi.array().items(Joi.string().trim().min(1).max(50)).max(50).unique()
+    })
+  }),
+
+  // Change a profile; a null PIN removes it
+  updateProfile: Joi.object({
+    name: Joi.string().trim().min(1).max(50),
+    avatar: Joi.string().max(32).allow(null),
+    type: Joi.string().valid('adult', 'child'),
+    pin: Joi.string().pattern(/^\d{4,8}$/).allow(null).messages({
+      'string.pattern.base': 'PIN must be 4 to 8 digits'
+    }),
+    isDefault: Joi.boolean().valid(true),
+    parentalControls: Joi.object({
+      maxRating: Joi.string().valid('G', 'PG', 'PG-13', 'R', 'NC-17').allow(null),
+      restrictedGenres: Joi.array().items(Joi.string().trim().min(1).max(50)).max(50).unique()
+    })
+  }).min(1),
+
+  // Switch profiles
+  selectProfile: Joi.object({
+    pin: Joi.string().max(8),
+    refreshToken: Joi.string()
+  }),
+
+  // Password reset or verification link request
+  accountEmail: Joi.object({
+    email: Joi.string()
+      .email()
+      .required()
+      .messages({
+        'string.email': 'Please provide a valid email address',
+        'any.required': 'Email is required'
+      })
+  }),
+
+  // New password from a reset link
+  resetPassword: Joi.object({
+    token: Joi.string().hex().length(64).required().messages({
+      'string.hex': 'Invalid or expired token',
+      'string.length': 'Invalid or expired token',
+      'any.required': 'Reset token is required'
+    }),
+    password: Joi.string()
+      .min(8)
+      .max(128)
+      .pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
+      .required()
+      .messages({
+        'string.min': 'Password must be at least 8 characters long',
+        'string.max': 'Password cannot exceed 128 characters',
+        'string.pattern.base': 'Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character',
+        'any.required': 'Password is required'
+      }),
+    confirmPassword: Joi.string()
+      .valid(Joi.ref('password'))
+      .required()
+      .messages({
+        'any.only': 'Passwords do not match',
+        'any.required': 'Password confirmation is required'
+      })
+  }),
+
+  // Email verification link
+  verifyEmail: Joi.object({
+    token: Joi.string().hex().length(64).required().messages({
+      'string.hex': 'Invalid or expired token',
+      'string.length': 'Invalid or expired token',
+      'any.required': 'Verification token is required'
+    })
+  }),
+
+  // Session URL parameters
+  sessionParams: Joi.object({
+    id: Joi.string().guid({ version: 'uuidv4' }).required().messages({
+      'string.guid': 'Invalid session ID'
+    })
+  }),
+
+  // Admin URL parameters
+  adminParams: Joi.object({
+    id: Joi.number().integer().min(1).required()
+  }),
+
+  // Account listing for admins
+  adminUsersQuery: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    search: Joi.string().trim().max(255),
+    role: Joi.string().valid('user', 'admin'),
+    status: Joi.string().valid('all', 'active', 'disabled').default('all')
+  }),
+
+  // Disable, enable, promote or demote an account
+  adminUpdateUser: Joi.object({
+    role: Joi.string().valid('user', 'admin'),
+    isActive: Joi.boolean()
+  }).min(1),
+
+  // Start a library scan
+  adminStartScan: Joi.object({
+    directories: Joi.array().items(Joi.string().trim().min(1)).min(1).max(50).required().messages({
+      'array.min': 'Please provide at least one directory to scan',
+      'any.required': 'Please provide at least one directory to scan'
+    }),
+    mode: Joi.string().valid('full', 'incremental').default('incremental')
+  }),
+
+  // Recent scans
+  adminScansQuery: Joi.object({
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  }),
+
+  // Hand-edited metadata; null clears a field
+  adminMovieMetadata: Joi.object({
+    title: Joi.string().trim().min(1).max(255),
+    originalTitle: Joi.string().trim().max(255).allow(null),
+    overview: Joi.string().trim().max(10000).allow(null),
+    releaseDate: Joi.date().iso().allow(null),
+    runtime: Joi.number().integer().min(1).max(10000).allow(null),
+    genres: Joi.array().items(Joi.string().trim().min(1).max(50)).max(20).unique().allow(null),
+    contentRating: Joi.string().trim().max(16).allow(null),
+    tmdbId: Joi.number().integer().min(1).allow(null),
+    imdbId: Joi.string().pattern(/^tt\d{7,10}$/).allow(null).messages({
+      'string.pattern.base': 'IMDb ID must look like tt0123456'
+    }),
+    episodeTitle: Joi.string().trim().max(255).allow(null)
+  }).min(1),
+
+  // Look a movie up again
+  adminRematch: Joi.object({
+    tmdbId: Joi.number().integer().min(1),
+    imdbId: Joi.string().pattern(/^tt\d{7,10}$/).messages({
+      'string.pattern.base': 'IMDb ID must look like tt0123456'
+    })
+  }),
+
+  // Admin audit log
+  auditLogQuery: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(200).default(50),
+    action: Joi.string().max(64),
+    adminId: Joi.number().integer().min(1),
+    targetType: Joi.string().valid('user', 'movie', 'scan', 'review'),
+    targetId: Joi.string().max(64)
+  }),
+
+  // Reviews of a title
+  reviewMovieParams: Joi.object({
+    movieId: Joi.number().integer().min(1).required()
+  }),
+
+  reviewParams: Joi.object({
+    id: Joi.number().integer().min(1).required()
+  }),
+
+  reviewsQuery: Joi.object({
+    sort: Joi.string().valid('recent', 'top', 'helpful').default('recent'),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(50).default(10)
+  }),
+
+  // Rating is in stars
+  createReview: Joi.object({
+    rating: Joi.number().integer().min(1).max(5).required(),
+    content: Joi.string().trim().min(1).max(5000).required(),
+    isSpoiler: Joi.boolean().default(false)
+  }),
+
+  updateReview: Joi.object({
+    rating: Joi.number().integer().min(1).max(5),
+    content: Joi.string().trim().min(1).max(5000),
+    isSpoiler: Joi.boolean()
+  }).min(1),
+
+  createWatchParty: Joi.object({
+    movieId: Joi.number().integer().min(1).required()
+  }),
+
+  // Invite codes are matched case-insensitively
+  watchPartyParams: Joi.object({
+    code: Joi.string().trim().uppercase().alphanum().length(8).required()
+  }),
+
+  watchPartyMemberParams: Joi.object({
+    code: Joi.string().trim().uppercase().alphanum().length(8).required(),
+    userId: Joi.number().integer().min(1).required()
+  }),
+
+  watchPartyMute: Joi.object({
+    muted: Joi.boolean().required()
+  }),
+
+  watchPartyMessagesQuery: Joi.object({
+    before: Joi.number().integer().min(1),
+    limit: Joi.number().integer().min(1).max(100).default(50)
+  }),
+
+  subtitleMovieParams: Joi.object({
+    movieId: Joi.number().integer().min(1).required()
+  }),
+
+  subtitleParams: Joi.object({
+    movieId: Joi.number().integer().min(1).required(),
+    subtitleId: Joi.number().integer().min(1).required()
+  }),
+
+  // ISO 639-1 language codes
+  subtitlesQuery: Joi.object({
+    language: Joi.string().trim().lowercase().pattern(/^[a-z]{2}$/)
+  }),
+
+  // The file itself is the request body
+  subtitleUpload: Joi.object({
+    fileName: Joi.string().trim().max(255).pattern(/\.(srt|vtt|ass|ssa)$/i).required().messages({
+      'string.pattern.base': 'Subtitle files must be .srt, .vtt, .ass or .ssa'
+    }),
+    language: Joi.string().trim().lowercase().pattern(/^[a-z]{2}$/),
+    label: Joi.string().trim().min(1).max(100)
+  }),
+
+  // Positive offsets show cues later
+  subtitleOffset: Joi.object({
+    offsetMs: Joi.number().integer().min(-600000).max(600000).required()
+  }),
+
+  // Quality defaults to the profile's download quality preference
+  createDownload: Joi.object({
+    movieId: Joi.number().integer().min(1).required(),
+    quality: Joi.string().valid('auto', 'low', 'medium', 'high', 'ultra', 'SD', 'HD', '4K')
+  }),
+
+  downloadParams: Joi.object({
+    id: Joi.string().guid().required().messages({
+      'string.guid': 'Invalid download ID'
+    })
+  }),
+
+  downloadFileParams: Joi.object({
+    id: Joi.string().guid().required().messages({
+      'string.guid': 'Invalid download ID'
+    }),
+    fileId: Joi.number().integer().min(1).required()
+  }),
+
+  // Bytes of the bundle the client has stored, across all its files
+  downloadProgress: Joi.object({
+    bytesReceived: Joi.number().integer().min(0).required()
+  }),
+
   // Change password
   changePassword: Joi.object({
     currentPassword: Joi.string().required().messages({
@@ -0,0 +1,58 @@
+const express = require('express');
+const {
+  listUsers,
+  getUser,
+  updateUser,
+  resetUserPassword,
+  startScan,
+  listScans,
+  getScan,
+  updateMovieMetadata,
+  rematchMovie,
+  getAuditLog
+} = require('../controllers/adminController.js');
+const { authenticate, authorize } = require('../controllers/userController.js');
+const { validateRequest, validateParams, validateQuery, schemas } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Users
+router.get('/users', authenticate, authorize('admin'), validateQuery(schemas.adminUsersQuery), listUsers);
+router.get('/users/:id', authenticate, authorize('admin'), validateParams(schemas.adminParams), getUser);
+router.patch(
+  '/users/:id',
+  authenticate,
+  authorize('admin'),
+  validateParams(schemas.adminParams),
+  validateRequest(schemas.adminUpdateUser),
+  updateUser
+);
+router.post('/users/:id/reset-password', authenticate, authorize('admin'), validateParams(schemas.adminParams), resetUserPassword);
+
+// Library scans
+router.get('/scans', authenticate, authorize('admin'), validateQuery(schemas.adminScansQuery), listScans);
+router.post('/scans', authenticate, authorize('admin'), validateRequest(schemas.adminStartScan), startScan);
+router.get('/scans/:id', authenticate, authorize('admin'), validateParams(schemas.adminParams), getScan);
+
+// Movie metadata
+router.patch(
+  '/movies/:id',
+  authenticate,
+  authorize('admin'),
+  validateParams(schemas.adminParams),
+  validateRequest(schemas.adminMovieMetadata),
+  updateMovieMetadata
+);
+router.post(
+  '/movies/:id/match',
+  authenticate,
+  authorize('admin'),
+  validateParams(schemas.adminParams),
+  validateRequest(schemas.adminRematch),
+  rematchMovie
+);
+
+// Audit log
+router.get('/audit-log', authenticate, authorize('admin'), validateQuery(schemas.auditLogQuery), getAuditLog);
+
+module.exports = router;
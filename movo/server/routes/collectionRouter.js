@@ -0,0 +1,67 @@
+const express = require('express');
+const {
+  listCollections,
+  createCollection,
+  getCollection,
+  updateCollection,
+  deleteCollection,
+  addItem,
+  removeItem,
+  reorderItems,
+  shareCollection,
+  unshareCollection,
+  getSharedCollection
+} = require('../controllers/collectionController.js');
+const { authenticate } = require('../controllers/userController.js');
+const { loadProfile } = require('../controllers/profileController.js');
+const { validateRequest, validateParams, schemas } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Read-only share links work without signing in
+router.get('/shared/:token', validateParams(schemas.sharedCollectionParams), getSharedCollection);
+
+router.get('/', authenticate, listCollections);
+router.post('/', authenticate, loadProfile, validateRequest(schemas.createCollection), createCollection);
+
+router.get('/:id', authenticate, loadProfile, validateParams(schemas.collectionParams), getCollection);
+router.patch(
+  '/:id',
+  authenticate,
+  loadProfile,
+  validateParams(schemas.collectionParams),
+  validateRequest(schemas.updateCollection),
+  updateCollection
+);
+router.delete('/:id', authenticate, validateParams(schemas.collectionParams), deleteCollection);
+
+// Entries and their order
+router.post(
+  '/:id/items',
+  authenticate,
+  loadProfile,
+  validateParams(schemas.collectionParams),
+  validateRequest(schemas.collectionItem),
+  addItem
+);
+router.delete(
+  '/:id/items/:movieId',
+  authenticate,
+  loadProfile,
+  validateParams(schemas.collectionParams),
+  removeItem
+);
+router.put(
+  '/:id/order',
+  authenticate,
+  loadProfile,
+  validateParams(schemas.collectionParams),
+  validateRequest(schemas.collectionOrder),
+  reorderItems
+);
+
+// Share links
+router.post('/:id/share', authenticate, loadProfile, validateParams(schemas.collectionParams), shareCollection);
+router.delete('/:id/share', authenticate, validateParams(schemas.collectionParams), unshareCollection);
+
+module.exports = router;
@@ -0,0 +1,47 @@
+const express = require('express');
+const {
+  listDownloads,
+  createDownload,
+  getDownload,
+  reportProgress,
+  pauseDownload,
+  resumeDownload,
+  deleteDownload,
+  downloadFile
+} = require('../controllers/downloadController.js');
+const { authenticate } = require('../controllers/userController.js');
+const { loadProfile } = require('../controllers/profileController.js');
+const { validateRequest, validateParams, schemas } = require('../middleware/validation');
+
+const router = express.Router();
+
+router.get('/', authenticate, loadProfile, listDownloads);
+
+// Queue an offline bundle: the video at the chosen quality, subtitles, poster and metadata
+router.post('/', authenticate, loadProfile, validateRequest(schemas.createDownload), createDownload);
+
+router.get('/:id', authenticate, loadProfile, validateParams(schemas.downloadParams), getDownload);
+router.delete('/:id', authenticate, loadProfile, validateParams(schemas.downloadParams), deleteDownload);
+router.post('/:id/pause', authenticate, loadProfile, validateParams(schemas.downloadParams), pauseDownload);
+router.post('/:id/resume', authenticate, loadProfile, validateParams(schemas.downloadParams), resumeDownload);
+
+// The client reports what it has stored after each chunk
+router.put(
+  '/:id/progress',
+  authenticate,
+  loadProfile,
+  validateParams(schemas.downloadParams),
+  validateRequest(schemas.downloadProgress),
+  reportProgress
+);
+
+// Fetched with Range headers, one chunk at a time
+router.get(
+  '/:id/files/:fileId',
+  authenticate,
+  loadProfile,
+  validateParams(schemas.downloadFileParams),
+  downloadFile
+);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const { getHealth, getLiveness, getReadiness } = require('../controllers/healthController.js');
+
+const router = express.Router();
+
+// No authentication: load balancers and orchestrators call these
+router.get('/', getHealth);
+router.get('/live', getLiveness);
+router.get('/ready', getReadiness);
+
+module.exports = router;
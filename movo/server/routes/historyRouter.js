@@ -0,0 +1,38 @@
+const express = require('express');
+const {
+  getHistory,
+  getProgress,
+  saveProgress,
+  markCompleted,
+  deleteProgress
+} = require('../controllers/historyController.js');
+const { authenticate } = require('../controllers/userController.js');
+const { loadProfile } = require('../controllers/profileController.js');
+const { validateRequest, validateParams, validateQuery, schemas } = require('../middleware/validation');
+
+const router = express.Router();
+
+router.get('/', authenticate, loadProfile, validateQuery(schemas.historyQuery), getHistory);
+
+// Resume point and player heartbeats
+router.get('/:movieId', authenticate, loadProfile, validateParams(schemas.historyParams), getProgress);
+router.put(
+  '/:movieId',
+  authenticate,
+  loadProfile,
+  validateParams(schemas.historyParams),
+  validateRequest(schemas.watchProgress),
+  saveProgress
+);
+
+router.post(
+  '/:movieId/complete',
+  authenticate,
+  loadProfile,
+  validateParams(schemas.historyParams),
+  validateRequest(schemas.watchCompleted),
+  markCompleted
+);
+router.delete('/:movieId', authenticate, loadProfile, validateParams(schemas.historyParams), deleteProgress);
+
+module.exports = router;
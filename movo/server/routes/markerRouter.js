@@ -0,0 +1,29 @@
+const express = require('express');
+const { getMarkers, saveMarkers, deleteMarker } = require('../controllers/markerController.js');
+const { authenticate, optionalAuthenticate } = require('../controllers/userController.js');
+const { loadProfile } = require('../controllers/profileController.js');
+const { validateRequest, validateParams, schemas } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Consensus markers (plus the caller's overrides when signed in)
+router.get(
+  '/:movieId/markers',
+  validateParams(schemas.markerParams),
+  optionalAuthenticate,
+  loadProfile,
+  getMarkers
+);
+
+// Per-user corrections
+router.put(
+  '/:movieId/markers',
+  authenticate,
+  loadProfile,
+  validateParams(schemas.markerParams),
+  validateRequest(schemas.markers),
+  saveMarkers
+);
+router.delete('/:movieId/markers/:type', authenticate, validateParams(schemas.markerParams), deleteMarker);
+
+module.exports = router;
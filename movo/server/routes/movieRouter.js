@@ -1,11 +1,17 @@
 const express = require("express");
 const router = express.Router();
-const { getLocalMovies, downloadMovieInfo } = require("../controllers/movieController.js");
+const { getLocalMovies, getLocalMovie, downloadMovieInfo } = require("../controllers/movieController.js");
+const { authenticate, authorize, optionalAuthenticate } = require("../controllers/userController.js");
+const { loadProfile } = require("../controllers/profileController.js");
 
-// Get all local movies
-router.get("/local-movies", getLocalMovies);
+// Get all local movies (signed-in profiles only see what their parental controls allow)
+router.get("/local-movies", optionalAuthenticate, loadProfile, getLocalMovies);
 
-// Download movie information
-router.post("/download-movie-info", downloadMovieInfo);
+// Get a single local movie
+router.get("/local-movies/:id", optionalAuthenticate, loadProfile, getLocalMovie);
+
+// Match a library title and save its metadata, or look a title up by IMDb ID;
+// matching overwrites the library row, so it is limited to admins
+router.post("/download-movie-info", authenticate, authorize("admin"), loadProfile, downloadMovieInfo);
 
 module.exports = router;
@@ -0,0 +1,72 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'movie-router-test-secret-movie-router-test';
+
+const express = require('express');
+const request = require('supertest');
+const { createTestDatabase, createUser, createProfile, createMovie } = require('../database/testDatabase');
+const { query } = require('../database/query');
+const { generateAccessToken } = require('../services/authTokens');
+const { errorHandler, logger } = require('../middleware/errorHandler');
+const movieRouter = require('./movieRouter');
+
+describe('POST /api/download-movie-info', () => {
+  let db;
+  let app;
+  let heat;
+
+  const tokenFor = async (username, role, profileFields = null) => {
+    const userId = await createUser(db, username, { role });
+    const profileId = profileFields ? await createProfile(db, userId, 'Kids', profileFields) : null;
+    return generateAccessToken(userId, username, profileId);
+  };
+
+  const post = (body, token) => {
+    const req = request(app).post('/api/download-movie-info');
+    if (token) {
+      req.set('Authorization', `Bearer ${token}`);
+    }
+    return req.send(body);
+  };
+
+  beforeAll(() => {
+    logger.silent = true;
+  });
+
+  afterAll(() => {
+    logger.silent = false;
+  });
+
+  beforeEach(async () => {
+    db = await createTestDatabase();
+    app = express();
+    app.locals.db = db;
+    app.use(express.json());
+    app.use('/api', movieRouter);
+    app.use(errorHandler);
+
+    heat = await createMovie(db, 'Heat', { content_rating: 'R', imdb_id: 'tt0113277' });
+  });
+
+  afterEach(() => {
+    db.end();
+  });
+
+  test('is limited to admins, since matching overwrites the library row', async () => {
+    expect((await post({ movieId: heat })).status).toBe(401);
+    expect((await post({ movieId: heat }, await tokenFor('alice', 'user'))).status).toBe(403);
+
+    const [movie] = await query(db, 'SELECT title FROM movies WHERE id = ?', [heat]);
+    expect(movie.title).toBe('Heat');
+  });
+
+  test('applies the profile\'s parental controls', async () => {
+    const token = await tokenFor('admin', 'admin', { profile_type: 'child', max_rating: 'G' });
+
+    const byId = await post({ movieId: heat }, token);
+    expect(byId.status).toBe(404);
+    expect(byId.body.movie).toBeUndefined();
+
+    // Neither the library title nor a provider lookup of it
+    expect((await post({ imdbID: 'tt0113277' }, token)).status).toBe(404);
+    expect((await post({ imdbID: 'tt0000001' }, token)).status).toBe(404);
+  });
+});
@@ -0,0 +1,17 @@
+const express = require('express');
+const {
+  getPreferences,
+  updatePreferences,
+  updateP2PSettings
+} = require('../controllers/preferencesController.js');
+const { authenticate } = require('../controllers/userController.js');
+const { loadProfile } = require('../controllers/profileController.js');
+const { validateRequest, schemas } = require('../middleware/validation');
+
+const router = express.Router();
+
+router.get('/', authenticate, loadProfile, getPreferences);
+router.patch('/', authenticate, loadProfile, validateRequest(schemas.preferences), updatePreferences);
+router.patch('/p2p', authenticate, loadProfile, validateRequest(schemas.p2pSettings), updateP2PSettings);
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const express = require('express');
+const {
+  loadProfile,
+  listProfiles,
+  createProfile,
+  updateProfile,
+  deleteProfile,
+  selectProfile
+} = require('../controllers/profileController.js');
+const { authenticate } = require('../controllers/userController.js');
+const { validateRequest, validateParams, schemas } = require('../middleware/validation');
+
+const router = express.Router();
+
+router.get('/', authenticate, loadProfile, listProfiles);
+router.post('/', authenticate, loadProfile, validateRequest(schemas.createProfile), createProfile);
+router.patch(
+  '/:id',
+  authenticate,
+  loadProfile,
+  validateParams(schemas.profileParams),
+  validateRequest(schemas.updateProfile),
+  updateProfile
+);
+router.delete('/:id', authenticate, loadProfile, validateParams(schemas.profileParams), deleteProfile);
+
+// Switching profiles
+router.post(
+  '/:id/select',
+  authenticate,
+  validateParams(schemas.profileParams),
+  validateRequest(schemas.selectProfile),
+  selectProfile
+);
+
+module.exports = router;
@@ -0,0 +1,47 @@
+const express = require('express');
+const {
+  listReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+  likeReview,
+  unlikeReview
+} = require('../controllers/reviewController.js');
+const { authenticate } = require('../controllers/userController.js');
+const { loadProfile } = require('../controllers/profileController.js');
+const { validateRequest, validateParams, validateQuery, schemas } = require('../middleware/validation');
+
+const router = express.Router();
+
+// A title's reviews; the profile's parental controls apply
+router.get(
+  '/movies/:movieId/reviews',
+  authenticate,
+  loadProfile,
+  validateParams(schemas.reviewMovieParams),
+  validateQuery(schemas.reviewsQuery),
+  listReviews
+);
+router.post(
+  '/movies/:movieId/reviews',
+  authenticate,
+  loadProfile,
+  validateParams(schemas.reviewMovieParams),
+  validateRequest(schemas.createReview),
+  createReview
+);
+
+router.patch(
+  '/reviews/:id',
+  authenticate,
+  validateParams(schemas.reviewParams),
+  validateRequest(schemas.updateReview),
+  updateReview
+);
+router.delete('/reviews/:id', authenticate, validateParams(schemas.reviewParams), deleteReview);
+
+// Likes from other accounts
+router.put('/reviews/:id/like', authenticate, validateParams(schemas.reviewParams), likeReview);
+router.delete('/reviews/:id/like', authenticate, validateParams(schemas.reviewParams), unlikeReview);
+
+module.exports = router;
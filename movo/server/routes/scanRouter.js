@@ -1,14 +1,35 @@
 const express = require("express");
 const router = express.Router();
-const { scanDirectories, analyzeVideo, downloadMovieAssets } = require("../controllers/scanController.js");
+const {
+  scanDirectories,
+  rescanDirectories,
+  listWatchedRoots,
+  addWatchedRoot,
+  removeWatchedRoot,
+  getWatchStatus,
+  analyzeVideo,
+  downloadMovieAssets
+} = require("../controllers/scanController.js");
+const { authenticate, authorize } = require("../controllers/userController.js");
+
+// Scanning touches the server's filesystem, so it is limited to admins
 
 // Scan directories for movie files
-router.post("/scan-directories", scanDirectories);
+router.post("/scan-directories", authenticate, authorize("admin"), scanDirectories);
+
+// Rescan directories, reporting only added, removed, moved and changed files
+router.post("/rescan", authenticate, authorize("admin"), rescanDirectories);
+
+// Watched library roots
+router.get("/roots", authenticate, authorize("admin"), listWatchedRoots);
+router.post("/roots", authenticate, authorize("admin"), addWatchedRoot);
+router.delete("/roots/:id", authenticate, authorize("admin"), removeWatchedRoot);
+router.get("/watch-status", authenticate, authorize("admin"), getWatchStatus);
 
 // Analyze video file for intro/outro detection
-router.post("/analyze-video", analyzeVideo);
+router.post("/analyze-video", authenticate, authorize("admin"), analyzeVideo);
 
-// Download movie poster and metadata
-router.post("/download-assets", downloadMovieAssets);
+// Match a library file and download its poster and metadata
+router.post("/download-assets", authenticate, authorize("admin"), downloadMovieAssets);
 
 module.exports = router;
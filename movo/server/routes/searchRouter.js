@@ -0,0 +1,15 @@
+const express = require('express');
+const { search, suggest } = require('../controllers/searchController.js');
+const { optionalAuthenticate } = require('../controllers/userController.js');
+const { loadProfile } = require('../controllers/profileController.js');
+const { validateQuery, schemas } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Search the library with filters and facets (signed-in profiles only see what their parental controls allow)
+router.get('/', optionalAuthenticate, loadProfile, validateQuery(schemas.search), search);
+
+// Autocomplete titles as the user types
+router.get('/suggest', optionalAuthenticate, loadProfile, validateQuery(schemas.searchSuggest), suggest);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const { listSessions, revokeSession, revokeOtherSessions } = require('../controllers/sessionController.js');
+const { authenticate } = require('../controllers/userController.js');
+const { validateParams, schemas } = require('../middleware/validation');
+
+const router = express.Router();
+
+router.get('/', authenticate, listSessions);
+router.post('/revoke-others', authenticate, revokeOtherSessions);
+router.delete('/:id', authenticate, validateParams(schemas.sessionParams), revokeSession);
+
+module.exports = router;
@@ -0,0 +1,61 @@
+const express = require('express');
+const {
+  getStreamUrl,
+  streamMovie,
+  authenticateStream,
+  getRenditions,
+  packageRenditions,
+  getMasterPlaylist,
+  getVariantPlaylist,
+  getSegment
+} = require('../controllers/streamController.js');
+const { getSubtitleFile } = require('../controllers/subtitleController.js');
+const { authenticate } = require('../controllers/userController.js');
+const { loadProfile } = require('../controllers/profileController.js');
+const { validateRequest, validateParams, validateQuery, schemas } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Short-lived signed URL for playback
+router.get(
+  '/:movieId/url',
+  authenticate,
+  loadProfile,
+  validateParams(schemas.streamParams),
+  validateQuery(schemas.streamQuery),
+  getStreamUrl
+);
+
+// HLS renditions and background packaging
+router.get('/:movieId/renditions', authenticate, loadProfile, validateParams(schemas.streamParams), getRenditions);
+router.post(
+  '/:movieId/package',
+  authenticate,
+  loadProfile,
+  validateParams(schemas.streamParams),
+  validateRequest(schemas.packageRenditions),
+  packageRenditions
+);
+
+// The video itself (signed ?token= or Bearer access token)
+router.get('/:movieId', validateParams(schemas.streamParams), authenticateStream, streamMovie);
+
+// Adaptive streaming
+router.get('/:movieId/hls/master.m3u8', validateParams(schemas.streamParams), authenticateStream, getMasterPlaylist);
+router.get(
+  '/:movieId/hls/:quality/index.m3u8',
+  validateParams(schemas.hlsParams),
+  authenticateStream,
+  getVariantPlaylist
+);
+router.get('/:movieId/hls/:quality/:segment', validateParams(schemas.hlsParams), authenticateStream, getSegment);
+
+// Subtitle tracks as WebVTT
+router.get(
+  '/:movieId/subtitles/:subtitleId.vtt',
+  validateParams(schemas.subtitleParams),
+  authenticateStream,
+  getSubtitleFile
+);
+
+module.exports = router;
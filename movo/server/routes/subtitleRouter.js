@@ -0,0 +1,48 @@
+const express = require('express');
+const {
+  readSubtitleFile,
+  listSubtitles,
+  uploadSubtitle,
+  deleteSubtitle,
+  setSubtitleOffset
+} = require('../controllers/subtitleController.js');
+const { authenticate } = require('../controllers/userController.js');
+const { loadProfile } = require('../controllers/profileController.js');
+const { validateRequest, validateParams, validateQuery, schemas } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Sidecars found next to the video, plus the caller's uploads; the WebVTT
+// itself is served from /api/stream/:movieId/subtitles/:subtitleId.vtt
+router.get(
+  '/:movieId/subtitles',
+  authenticate,
+  loadProfile,
+  validateParams(schemas.subtitleMovieParams),
+  validateQuery(schemas.subtitlesQuery),
+  listSubtitles
+);
+
+// The file is the request body; its name and language go in the query string
+router.post(
+  '/:movieId/subtitles',
+  authenticate,
+  loadProfile,
+  validateParams(schemas.subtitleMovieParams),
+  validateQuery(schemas.subtitleUpload),
+  readSubtitleFile,
+  uploadSubtitle
+);
+router.delete('/:movieId/subtitles/:subtitleId', authenticate, validateParams(schemas.subtitleParams), deleteSubtitle);
+
+// Per-user timing correction
+router.put(
+  '/:movieId/subtitles/:subtitleId/offset',
+  authenticate,
+  loadProfile,
+  validateParams(schemas.subtitleParams),
+  validateRequest(schemas.subtitleOffset),
+  setSubtitleOffset
+);
+
+module.exports = router;
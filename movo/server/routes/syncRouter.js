@@ -0,0 +1,22 @@
+const express = require('express');
+const {
+  syncWatchProgress,
+  clearProgress,
+  getWatchlist,
+  syncWatchlist
+} = require('../controllers/syncController.js');
+const { authenticate } = require('../controllers/userController.js');
+const { loadProfile } = require('../controllers/profileController.js');
+const { validateRequest, schemas } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Progress recorded by the client while offline
+router.post('/watch-progress', authenticate, loadProfile, validateRequest(schemas.syncWatchProgress), syncWatchProgress);
+router.post('/clear-progress', authenticate, loadProfile, validateRequest(schemas.clearProgress), clearProgress);
+
+// Watchlist changes made while offline
+router.get('/watchlist', authenticate, getWatchlist);
+router.post('/watchlist', authenticate, validateRequest(schemas.syncWatchlist), syncWatchlist);
+
+module.exports = router;
@@ -6,7 +6,11 @@ const {
   logoutUser,
   authenticate,
   getCurrentUser,
-  changePassword
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification
 } = require("../controllers/userController.js");
 const { validateRequest, schemas } = require('../middleware/validation');
 
@@ -18,6 +22,12 @@ router.post('/login', validateRequest(schemas.login), loginUser);
 router.post('/refresh-token', refreshToken);
 router.post('/logout', logoutUser);
 
+// Password reset and email verification
+router.post('/forgot-password', validateRequest(schemas.accountEmail), forgotPassword);
+router.post('/reset-password', validateRequest(schemas.resetPassword), resetPassword);
+router.post('/verify-email', validateRequest(schemas.verifyEmail), verifyEmail);
+router.post('/resend-verification', validateRequest(schemas.accountEmail), resendVerification);
+
 // Protected routes
 router.get('/me', authenticate, getCurrentUser);
 router.post('/change-password', authenticate, validateRequest(schemas.changePassword), changePassword);
@@ -0,0 +1,44 @@
+const express = require('express');
+const {
+  createParty,
+  getParty,
+  listMessages,
+  endParty,
+  muteMember,
+  removeMember
+} = require('../controllers/watchPartyController.js');
+const { authenticate } = require('../controllers/userController.js');
+const { loadProfile } = require('../controllers/profileController.js');
+const { validateRequest, validateParams, validateQuery, schemas } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Parties are joined over the WebSocket at /api/watch-party; these routes
+// create them, check invite codes and let the host moderate
+router.post('/', authenticate, loadProfile, validateRequest(schemas.createWatchParty), createParty);
+router.get('/:code', authenticate, loadProfile, validateParams(schemas.watchPartyParams), getParty);
+router.get(
+  '/:code/messages',
+  authenticate,
+  validateParams(schemas.watchPartyParams),
+  validateQuery(schemas.watchPartyMessagesQuery),
+  listMessages
+);
+router.delete('/:code', authenticate, validateParams(schemas.watchPartyParams), endParty);
+
+// Host only
+router.put(
+  '/:code/members/:userId/mute',
+  authenticate,
+  validateParams(schemas.watchPartyMemberParams),
+  validateRequest(schemas.watchPartyMute),
+  muteMember
+);
+router.delete(
+  '/:code/members/:userId',
+  authenticate,
+  validateParams(schemas.watchPartyMemberParams),
+  removeMember
+);
+
+module.exports = router;
@@ -1,6 +1,5 @@
 require('dotenv').config();
 const express = require("express");
-const mysql = require("mysql");
 const rateLimit = require("express-rate-limit");
 const helmet = require("helmet");
 const morgan = require("morgan");
@@ -14,7 +13,35 @@ const { errorHandler } = require('./middleware/errorHandler');
 const usersRouter = require("./routes/userRouter.js");
 const movieRouter = require("./routes/movieRouter.js");
 const scanRouter = require("./routes/scanRouter.js");
+const markerRouter = require("./routes/markerRouter.js");
+const subtitleRouter = require("./routes/subtitleRouter.js");
+const streamRouter = require("./routes/streamRouter.js");
+const historyRouter = require("./routes/historyRouter.js");
+const syncRouter = require("./routes/syncRouter.js");
+const collectionRouter = require("./routes/collectionRouter.js");
+const preferencesRouter = require("./routes/preferencesRouter.js");
+const profileRouter = require("./routes/profileRouter.js");
+const sessionRouter = require("./routes/sessionRouter.js");
+const adminRouter = require("./routes/adminRouter.js");
+const healthRouter = require("./routes/healthRouter.js");
+const reviewRouter = require("./routes/reviewRouter.js");
+const watchPartyRouter = require("./routes/watchPartyRouter.js");
+const searchRouter = require("./routes/searchRouter.js");
+const downloadRouter = require("./routes/downloadRouter.js");
 const { registerUser, loginUser } = require("./controllers/userController.js");
+const { authenticateMetrics, getMetrics } = require("./controllers/healthController.js");
+const LibraryWatcher = require('./services/libraryWatcher');
+const { HlsPackager } = require('./services/hlsPackager');
+const { WatchProgressTracker } = require('./services/watchProgress');
+const { ScanJobs } = require('./services/scanJobs');
+const { TokenCleanup } = require('./services/tokenCleanup');
+const { WatchPartyHub, PATH: WATCH_PARTY_PATH } = require('./services/watchPartyHub');
+const { SearchIndex } = require('./services/search');
+const { DownloadQueue } = require('./services/downloads');
+const { createGraphQLRouter } = require('./src/graphql');
+const { missingConfig, createDatabase } = require('./database');
+const { Migrator } = require('./database/migrator');
+const { requestMetrics, rateLimitRejections } = require('./services/metrics');
 
 // Security middleware
 app.use(helmet({
@@ -41,6 +68,15 @@ const corsOptions = {
 };
 app.use(cors(corsOptions));
 
+// Request latency per route, including requests a limiter turns away
+app.use(requestMetrics);
+
+// Count rejections per limiter, then answer as express-rate-limit would
+const rejectAndCount = (limiter) => (req, res, next, options) => {
+  rateLimitRejections.inc({ limiter });
+  res.status(options.statusCode).send(options.message);
+};
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
@@ -54,8 +90,19 @@ const limiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
+  handler: rejectAndCount('api'),
+  // Probes call the health endpoints every few seconds
+  skip: (req) => req.path.startsWith('/health') ||
+    // Players issue a range request for every seek; signed URLs already limit access
+    /^\/stream\/\d+(\/hls\/.+)?$/.test(req.path) ||
+    // Players report progress every few seconds; those writes are batched
+    (req.method === 'PUT' && /^\/history\/\d+$/.test(req.path)) ||
+    // Offline downloads are fetched a chunk at a time, each followed by a progress report
+    (req.method === 'GET' && /^\/downloads\/[\w-]+\/files\/\d+$/.test(req.path)) ||
+    (req.method === 'PUT' && /^\/downloads\/[\w-]+\/progress$/.test(req.path))
 });
 app.use('/api/', limiter);
+app.use('/graphql', limiter);
 
 // Stricter rate limit for auth endpoints
 const authLimiter = rateLimit({
@@ -67,7 +114,37 @@ const authLimiter = rateLimit({
       code: 'AUTH_RATE_LIMIT_EXCEEDED',
       message: 'Too many authentication attempts, please try again later'
     }
-  }
+  },
+  handler: rejectAndCount('auth')
+});
+
+// Wrong PINs when switching profiles; only failures count
+const pinLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  skipSuccessfulRequests: true,
+  message: {
+    success: false,
+    error: {
+      code: 'PIN_RATE_LIMIT_EXCEEDED',
+      message: 'Too many incorrect PINs, please try again later'
+    }
+  },
+  handler: rejectAndCount('pin')
+});
+
+// Password reset and verification mail; each request can send a message
+const accountMailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5,
+  message: {
+    success: false,
+    error: {
+      code: 'MAIL_RATE_LIMIT_EXCEEDED',
+      message: 'Too many email requests, please try again later'
+    }
+  },
+  handler: rejectAndCount('account_mail')
 });
 
 // Request logging
@@ -79,56 +156,64 @@ if (process.env.NODE_ENV !== 'test') {
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Health check endpoint (must be before authentication)
-app.get('/api/health', (req, res) => {
-  res.json({
-    success: true,
-    data: {
-      status: 'healthy',
-      timestamp: new Date().toISOString(),
-      version: process.env.npm_package_version || '1.0.0',
-      environment: process.env.NODE_ENV
-    }
-  });
-});
+// Health checks (must be before authentication): details, liveness and readiness
+app.use('/api/health', healthRouter);
 
-// Database connection with pooling
-const dbConfig = {
-  host: process.env.DB_HOST,
-  user: process.env.DB_USER,
-  password: process.env.DB_PASSWORD,
-  database: process.env.DB_NAME,
-  connectionLimit: 10,
-  waitForConnections: true,
-  queueLimit: 0,
-  enableKeepAlive: true,
-  keepAliveInitialDelay: 0
-};
+// Prometheus scrape endpoint, behind METRICS_TOKEN when it is set
+app.get('/metrics', authenticateMetrics, getMetrics);
 
-// Validate required environment variables
-const requiredEnvVars = ['DB_HOST', 'DB_USER', 'DB_PASSWORD', 'DB_NAME', 'JWT_SECRET'];
-const missingEnvVars = requiredEnvVars.filter(envVar => !process.env[envVar]);
+// Validate required environment variables (the database driver adds its own)
+const requiredEnvVars = ['JWT_SECRET'];
+const missingEnvVars = [...missingConfig(), ...requiredEnvVars.filter(envVar => !process.env[envVar])];
 
 if (missingEnvVars.length > 0) {
   console.error('Missing required environment variables:', missingEnvVars.join(', '));
   process.exit(1);
 }
 
-const db = mysql.createPool(dbConfig);
+// Database connection (DB_DRIVER picks MySQL or SQLite)
+const db = createDatabase();
 
 // Test database connection
-db.getConnection((err, connection) => {
+db.ping((err) => {
   if (err) {
     console.error('Error connecting to database:', err.message);
     process.exit(1);
   }
-  console.log('Database connected successfully');
-  connection.release();
+  console.log(`Database connected successfully (${db.dialect})`);
 });
 
 // Make db available to other modules
 app.locals.db = db;
 
+// Watch registered library roots for new and deleted files
+if (process.env.LIBRARY_WATCH_ENABLED !== 'false') {
+  app.locals.libraryWatcher = new LibraryWatcher(db);
+}
+
+// Package library files into HLS renditions on demand or in the background
+if (process.env.HLS_ENABLED !== 'false') {
+  app.locals.hlsPackager = new HlsPackager();
+}
+
+// Library scans started from the admin API
+app.locals.scanJobs = new ScanJobs(db);
+
+// Delete expired refresh and account tokens on a schedule
+app.locals.tokenCleanup = new TokenCleanup(db);
+
+// Batch player progress reports into watch_history
+app.locals.progressTracker = new WatchProgressTracker(db);
+
+// Watch party rooms: presence, synced playback and chat over WebSockets
+app.locals.watchPartyHub = new WatchPartyHub(db);
+
+// In-memory search index over the library, rebuilt when the library changes
+app.locals.searchIndex = new SearchIndex(db);
+
+// Prepare offline download bundles in the background
+app.locals.downloadQueue = new DownloadQueue(db);
+
 // Serve static files (for downloaded movie posters)
 app.use('/static', express.static(path.join(__dirname, 'public'), {
   maxAge: '1d',
@@ -140,9 +225,39 @@ app.post("/register", authLimiter, validateRequest(schemas.register), registerUs
 app.post("/login", authLimiter, validateRequest(schemas.login), loginUser);
 
 // Mount the routers
+app.use("/forgot-password", accountMailLimiter);
+app.use("/resend-verification", accountMailLimiter);
 app.use("/", usersRouter);
 app.use("/api", movieRouter);
 app.use("/api/scan", scanRouter);
+app.use("/api/movies", markerRouter);
+app.use("/api/movies", subtitleRouter);
+app.use("/api", reviewRouter);
+app.use("/api/stream", streamRouter);
+app.use("/api/history", historyRouter);
+app.use("/api/sync", syncRouter);
+app.use("/api/collections", collectionRouter);
+app.use("/api/preferences", preferencesRouter);
+app.use("/api/profiles/:id/select", pinLimiter);
+app.use("/api/profiles", profileRouter);
+app.use("/api/sessions", sessionRouter);
+app.use("/api/admin", adminRouter);
+app.use("/api/watch-parties", watchPartyRouter);
+app.use("/api/search", searchRouter);
+app.use("/api/downloads", downloadRouter);
+
+// GraphQL API
+const graphql = createGraphQLRouter({
+  db,
+  packager: app.locals.hlsPackager,
+  progressTracker: app.locals.progressTracker,
+  searchIndex: app.locals.searchIndex,
+  downloadQueue: app.locals.downloadQueue
+});
+graphql.ready.catch((err) => {
+  console.error('Error starting GraphQL server:', err.message);
+});
+app.use(graphql.router);
 
 // 404 handler
 app.use((req, res) => {
@@ -159,8 +274,20 @@ app.use((req, res) => {
 app.use(errorHandler);
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully');
+  if (app.locals.libraryWatcher) {
+    app.locals.libraryWatcher.close();
+  }
+  if (app.locals.hlsPackager) {
+    app.locals.hlsPackager.close();
+  }
+  app.locals.downloadQueue.close();
+  graphql.server.stop();
+  await app.locals.watchPartyHub.close();
+  // Save buffered progress before the pool closes
+  await app.locals.progressTracker.close();
+  await app.locals.tokenCleanup.close();
   db.end((err) => {
     if (err) {
       console.error('Error closing database connections:', err);
@@ -169,11 +296,47 @@ process.on('SIGTERM', () => {
   });
 });
 
-// Start the server
-const port = process.env.PORT || 5000;
-app.listen(port, () => {
-  console.log(`=== Server started on port ${port} ===`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+// Start the server, after applying pending migrations when MIGRATE_ON_START=true
+const startServer = async () => {
+  if (process.env.MIGRATE_ON_START === 'true') {
+    const applied = await new Migrator(db).up();
+    applied.forEach((name) => console.log(`Applied migration ${name}`));
+  }
+
+  if (app.locals.libraryWatcher) {
+    app.locals.libraryWatcher.start().catch((err) => {
+      console.error('Error starting library watcher:', err.message);
+    });
+  }
+  app.locals.scanJobs.recover().catch((err) => {
+    console.error('Error recovering library scans:', err.message);
+  });
+  app.locals.downloadQueue.recover().catch((err) => {
+    console.error('Error recovering offline downloads:', err.message);
+  });
+  app.locals.tokenCleanup.start();
+
+  const port = process.env.PORT || 5000;
+  const httpServer = app.listen(port, () => {
+    console.log(`=== Server started on port ${port} ===`);
+    console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+  });
+
+  // GraphQL subscriptions and watch parties over WebSockets
+  graphql.attachSubscriptions(httpServer);
+  app.locals.watchPartyHub.attach(httpServer);
+  // Nothing else accepts upgrades; don't leave the socket hanging
+  httpServer.on('upgrade', (req, socket) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== '/graphql' && pathname !== WATCH_PARTY_PATH) {
+      socket.destroy();
+    }
+  });
+};
+
+startServer().catch((err) => {
+  console.error('Error starting server:', err.message);
+  process.exit(1);
 });
 
 module.exports = app;
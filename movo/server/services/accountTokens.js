@@ -0,0 +1,97 @@
+/**
+ * Password reset and email verification tokens
+ * Tokens are random strings mailed to the user. Only their SHA-256 hash is
+ * stored (in account_tokens, like refresh tokens), each can be used once,
+ * and issuing a new one voids the user's earlier tokens for the same purpose.
+ */
+
+const crypto = require('crypto');
+const { query } = require('../database/query');
+const { hashToken } = require('./authTokens');
+const { sendVerificationMail } = require('./mail');
+const { ValidationError, logger } = require('../middleware/errorHandler');
+
+const PURPOSES = {
+  passwordReset: 'password_reset',
+  emailVerification: 'email_verification'
+};
+
+// Minutes until a token expires
+const TOKEN_TTL = {
+  [PURPOSES.passwordReset]: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+  [PURPOSES.emailVerification]: parseInt(process.env.EMAIL_VERIFICATION_TTL_MINUTES) || 24 * 60
+};
+
+/**
+ * Issue a token, voiding the user's unused tokens for the same purpose
+ * @param {Object} db - MySQL pool
+ * @param {number} userId - users.id
+ * @param {string} purpose - One of PURPOSES
+ * @returns {Promise<string>} The token to mail; it is not stored in plain text
+ */
+const createAccountToken = async (db, userId, purpose) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await query(
+    db,
+    'UPDATE account_tokens SET used = TRUE, used_at = NOW() WHERE user_id = ? AND purpose = ? AND used = FALSE',
+    [userId, purpose]
+  );
+  await query(
+    db,
+    'INSERT INTO account_tokens (user_id, purpose, token_hash, expires_at) VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))',
+    [userId, purpose, hashToken(token), TOKEN_TTL[purpose]]
+  );
+
+  return token;
+};
+
+/**
+ * Use up a token
+ * @returns {Promise<number>} The user it was issued to
+ * @throws {ValidationError} When the token is unknown, expired or already used
+ */
+const consumeAccountToken = async (db, token, purpose) => {
+  const [stored] = await query(
+    db,
+    'SELECT id, user_id FROM account_tokens WHERE token_hash = ? AND purpose = ? AND used = FALSE AND expires_at > NOW()',
+    [hashToken(token), purpose]
+  );
+  if (!stored) {
+    throw new ValidationError('Invalid or expired token');
+  }
+
+  // The used = FALSE check makes a second request with the same token lose the race
+  const result = await query(
+    db,
+    'UPDATE account_tokens SET used = TRUE, used_at = NOW() WHERE id = ? AND used = FALSE',
+    [stored.id]
+  );
+  if (result.affectedRows !== 1) {
+    throw new ValidationError('Invalid or expired token');
+  }
+
+  return stored.user_id;
+};
+
+/**
+ * Mail a fresh verification link; failures are logged, not thrown, so
+ * registration still succeeds when mail is down
+ * @param {Object} user - { id, username, email }
+ */
+const sendVerificationLink = async (db, user) => {
+  try {
+    const token = await createAccountToken(db, user.id, PURPOSES.emailVerification);
+    await sendVerificationMail(user, token, TOKEN_TTL[PURPOSES.emailVerification]);
+  } catch (error) {
+    logger.error(`Failed to send verification mail to user ${user.id}:`, error);
+  }
+};
+
+module.exports = {
+  PURPOSES,
+  TOKEN_TTL,
+  createAccountToken,
+  consumeAccountToken,
+  sendVerificationLink
+};
@@ -0,0 +1,164 @@
+/**
+ * User management for admins
+ * Disabling an account or changing its role signs it out everywhere, so the
+ * change applies as soon as its current access tokens expire. Admins can't
+ * disable or demote themselves, which also keeps at least one admin around.
+ */
+
+const { LIKE_ESCAPE, escapeLike, query } = require('../database/query');
+const { revokeAllRefreshTokens } = require('./authTokens');
+const { PURPOSES, TOKEN_TTL, createAccountToken } = require('./accountTokens');
+const { sendPasswordResetMail } = require('./mail');
+const { AuthorizationError, NotFoundError } = require('../middleware/errorHandler');
+
+const ROLES = ['user', 'admin'];
+
+// Accounts registered with these addresses start out as admins
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map((email) => email.trim().toLowerCase())
+  .filter(Boolean);
+
+/**
+ * Role a new account gets
+ * @param {string} email - The address it registers with
+ * @returns {string} 'admin' or 'user'
+ */
+const roleForEmail = (email) => (ADMIN_EMAILS.includes(String(email).toLowerCase()) ? 'admin' : 'user');
+
+/**
+ * Whether a role includes another, e.g. admins can do what users can
+ * @param {string} role - The account's role
+ * @param {string} required - The role a route asks for
+ */
+const hasRole = (role, required) => ROLES.indexOf(role) >= ROLES.indexOf(required);
+
+const USER_COLUMNS = `u.id, u.username, u.email, u.role, u.is_active, u.email_verified,
+  u.created_at, u.last_login`;
+
+const formatUser = (row) => ({
+  id: row.id,
+  username: row.username,
+  email: row.email,
+  role: row.role,
+  isActive: Boolean(row.is_active),
+  emailVerified: Boolean(row.email_verified),
+  createdAt: row.created_at,
+  lastLogin: row.last_login,
+  ...(row.active_sessions !== undefined ? { activeSessions: Number(row.active_sessions) } : {})
+});
+
+/**
+ * Accounts, newest first
+ * @param {Object} filters - { page, limit, search (username or email), role, status }
+ * @returns {Promise<{users: Array, pagination: Object}>}
+ */
+const listUsers = async (db, { page = 1, limit = 20, search, role, status = 'all' } = {}) => {
+  const conditions = [];
+  const params = [];
+
+  if (search) {
+    conditions.push(`(u.username LIKE ? ${LIKE_ESCAPE} OR u.email LIKE ? ${LIKE_ESCAPE})`);
+    params.push(`%${escapeLike(search)}%`, `%${escapeLike(search)}%`);
+  }
+  if (role) {
+    conditions.push('u.role = ?');
+    params.push(role);
+  }
+  if (status !== 'all') {
+    conditions.push('u.is_active = ?');
+    params.push(status === 'active');
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const [{ total }] = await query(db, `SELECT COUNT(*) AS total FROM users u ${where}`, params);
+  const rows = await query(
+    db,
+    `SELECT ${USER_COLUMNS} FROM users u ${where} ORDER BY u.created_at DESC, u.id DESC LIMIT ? OFFSET ?`,
+    [...params, limit, (page - 1) * limit]
+  );
+
+  return {
+    users: rows.map(formatUser),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  };
+};
+
+/**
+ * One account with its number of signed-in sessions
+ * @throws {NotFoundError}
+ */
+const getUser = async (db, userId) => {
+  const [row] = await query(
+    db,
+    `SELECT ${USER_COLUMNS},
+            (SELECT COUNT(DISTINCT rt.family_id) FROM refresh_tokens rt
+             WHERE rt.user_id = u.id AND rt.revoked = FALSE AND rt.expires_at > NOW()) AS active_sessions
+     FROM users u WHERE u.id = ?`,
+    [userId]
+  );
+  if (!row) {
+    throw new NotFoundError('User not found');
+  }
+  return formatUser(row);
+};
+
+/**
+ * Enable, disable, promote or demote an account
+ * @param {number} adminId - The admin making the change
+ * @param {Object} changes - { role, isActive }
+ * @returns {Promise<Object>} The updated user
+ * @throws {AuthorizationError} When admins target their own role or status
+ */
+const updateUser = async (db, adminId, userId, { role, isActive }) => {
+  const existing = await getUser(db, userId);
+
+  if (String(adminId) === String(userId)) {
+    throw new AuthorizationError('Admins cannot change their own role or status');
+  }
+
+  const columns = {};
+  if (role !== undefined) {
+    columns.role = role;
+  }
+  if (isActive !== undefined) {
+    columns.is_active = isActive;
+  }
+  await query(db, 'UPDATE users SET ? WHERE id = ?', [columns, userId]);
+
+  // Signed-in devices pick the change up on their next sign-in
+  if ((role !== undefined && role !== existing.role) || isActive === false) {
+    await revokeAllRefreshTokens(db, userId);
+  }
+
+  return getUser(db, userId);
+};
+
+/**
+ * Sign an account out everywhere and mail it a password reset link
+ * @throws {NotFoundError}
+ */
+const resetUserPassword = async (db, userId) => {
+  const user = await getUser(db, userId);
+  const token = await createAccountToken(db, user.id, PURPOSES.passwordReset);
+
+  await revokeAllRefreshTokens(db, user.id);
+  await sendPasswordResetMail(user, token, TOKEN_TTL[PURPOSES.passwordReset]);
+
+  return user;
+};
+
+module.exports = {
+  ROLES,
+  roleForEmail,
+  hasRole,
+  listUsers,
+  getUser,
+  updateUser,
+  resetUserPassword
+};
@@ -0,0 +1,250 @@
+/**
+ * Audio fingerprinting for shared intro/credits detection
+ * Each frame becomes a 32-bit sub-fingerprint from the sign of band energy
+ * differences over frequency and time (Haitsma & Kalker). Two episodes that
+ * share an intro produce a long run of near-identical sub-fingerprints at a
+ * constant frame offset.
+ */
+
+const FRAME_SIZE = 2048;
+const BAND_COUNT = 33;
+const MIN_FREQUENCY = 300;
+const MAX_FREQUENCY = 2000;
+
+// Average bit errors per 32-bit frame below which two frames are "the same"
+const MATCH_THRESHOLD = 10;
+const SMOOTHING_FRAMES = 15;
+const MAX_CANDIDATE_OFFSETS = 8;
+
+// In-place iterative radix-2 FFT
+const fft = (re, im) => {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let length = 2; length <= n; length <<= 1) {
+    const angle = (-2 * Math.PI) / length;
+    const wRe = Math.cos(angle);
+    const wIm = Math.sin(angle);
+    for (let i = 0; i < n; i += length) {
+      let curRe = 1;
+      let curIm = 0;
+      for (let k = 0; k < length / 2; k++) {
+        const aRe = re[i + k];
+        const aIm = im[i + k];
+        const bRe = re[i + k + length / 2] * curRe - im[i + k + length / 2] * curIm;
+        const bIm = re[i + k + length / 2] * curIm + im[i + k + length / 2] * curRe;
+        re[i + k] = aRe + bRe;
+        im[i + k] = aIm + bIm;
+        re[i + k + length / 2] = aRe - bRe;
+        im[i + k + length / 2] = aIm - bIm;
+        const nextRe = curRe * wRe - curIm * wIm;
+        curIm = curRe * wIm + curIm * wRe;
+        curRe = nextRe;
+      }
+    }
+  }
+};
+
+const popcount = (value) => {
+  let v = value - ((value >>> 1) & 0x55555555);
+  v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+  return (((v + (v >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+};
+
+// Logarithmically spaced band edges as FFT bin indices
+const bandEdges = (sampleRate) => {
+  const edges = [];
+  const ratio = Math.pow(MAX_FREQUENCY / MIN_FREQUENCY, 1 / BAND_COUNT);
+  for (let b = 0; b <= BAND_COUNT; b++) {
+    const frequency = MIN_FREQUENCY * Math.pow(ratio, b);
+    edges.push(Math.round((frequency * FRAME_SIZE) / sampleRate));
+  }
+  return edges;
+};
+
+/**
+ * Compute sub-fingerprints for mono samples
+ * @param {Float32Array} samples - Mono samples in [-1, 1]
+ * @param {number} sampleRate - Sample rate of the samples
+ * @param {number} frameStep - Seconds between frames
+ * @returns {{hashes: Uint32Array, frameStep: number}}
+ */
+const computeFingerprint = (samples, sampleRate, frameStep = 0.1) => {
+  const hop = Math.max(1, Math.round(frameStep * sampleRate));
+  const frameCount = samples.length >= FRAME_SIZE ? Math.floor((samples.length - FRAME_SIZE) / hop) + 1 : 0;
+  const hashes = new Uint32Array(Math.max(0, frameCount - 1));
+  const edges = bandEdges(sampleRate);
+
+  const window = new Float32Array(FRAME_SIZE);
+  for (let i = 0; i < FRAME_SIZE; i++) {
+    window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (FRAME_SIZE - 1));
+  }
+
+  const re = new Float64Array(FRAME_SIZE);
+  const im = new Float64Array(FRAME_SIZE);
+  let previous = null;
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    const offset = frame * hop;
+    for (let i = 0; i < FRAME_SIZE; i++) {
+      re[i] = samples[offset + i] * window[i];
+      im[i] = 0;
+    }
+    fft(re, im);
+
+    const energies = new Float64Array(BAND_COUNT);
+    for (let b = 0; b < BAND_COUNT; b++) {
+      let energy = 0;
+      for (let bin = edges[b]; bin < Math.max(edges[b + 1], edges[b] + 1); bin++) {
+        energy += re[bin] * re[bin] + im[bin] * im[bin];
+      }
+      energies[b] = energy;
+    }
+
+    if (previous) {
+      let hash = 0;
+      for (let m = 0; m < BAND_COUNT - 1; m++) {
+        const diff = energies[m] - energies[m + 1] - (previous[m] - previous[m + 1]);
+        if (diff > 0) {
+          hash |= 1 << m;
+        }
+      }
+      hashes[frame - 1] = hash >>> 0;
+    }
+    previous = energies;
+  }
+
+  return { hashes, frameStep: hop / sampleRate };
+};
+
+// Frame offsets (indexA - indexB) that many identical sub-fingerprints agree on
+const candidateOffsets = (a, b) => {
+  const positions = new Map();
+  b.forEach((hash, index) => {
+    if (!positions.has(hash)) {
+      positions.set(hash, []);
+    }
+    positions.get(hash).push(index);
+  });
+
+  const votes = new Map();
+  a.forEach((hash, indexA) => {
+    const matches = positions.get(hash);
+    if (!matches || matches.length > 20) {
+      // Silence and other degenerate frames match everywhere
+      return;
+    }
+    matches.forEach((indexB) => {
+      const offset = indexA - indexB;
+      votes.set(offset, (votes.get(offset) || 0) + 1);
+    });
+  });
+
+  return [...votes.entries()]
+    .filter(([, count]) => count >= 3)
+    .sort((x, y) => y[1] - x[1])
+    .slice(0, MAX_CANDIDATE_OFFSETS)
+    .map(([offset]) => offset);
+};
+
+// Longest run of aligned frames whose smoothed bit error stays under threshold
+const longestMatchingRun = (a, b, offset) => {
+  const startA = Math.max(0, offset);
+  const startB = startA - offset;
+  const length = Math.min(a.length - startA, b.length - startB);
+  if (length <= 0) {
+    return null;
+  }
+
+  const errors = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    errors[i] = popcount((a[startA + i] ^ b[startB + i]) >>> 0);
+  }
+
+  let best = null;
+  let runStart = -1;
+  let runErrors = 0;
+  let windowSum = 0;
+
+  for (let i = 0; i < length; i++) {
+    windowSum += errors[i];
+    if (i >= SMOOTHING_FRAMES) {
+      windowSum -= errors[i - SMOOTHING_FRAMES];
+    }
+    const average = windowSum / Math.min(i + 1, SMOOTHING_FRAMES);
+    const matching = average < MATCH_THRESHOLD;
+
+    if (matching) {
+      if (runStart === -1) {
+        runStart = i;
+        runErrors = 0;
+      }
+      runErrors += errors[i];
+    }
+
+    if ((!matching || i === length - 1) && runStart !== -1) {
+      const runEnd = matching ? i + 1 : i;
+      const runLength = runEnd - runStart;
+      if (!best || runLength > best.length) {
+        best = { start: runStart, length: runLength, bitErrorRate: runErrors / (runLength * 32) };
+      }
+      runStart = -1;
+    }
+  }
+
+  if (!best) {
+    return null;
+  }
+  return {
+    startA: startA + best.start,
+    startB: startB + best.start,
+    length: best.length,
+    bitErrorRate: best.bitErrorRate
+  };
+};
+
+/**
+ * Find the longest audio segment two fingerprints share
+ * @param {Object} a - Fingerprint from computeFingerprint
+ * @param {Object} b - Fingerprint from computeFingerprint
+ * @param {Object} options - { minDuration } in seconds
+ * @returns {Object|null} Segment times in both inputs plus a 0-1 score
+ */
+const findSharedSegment = (a, b, { minDuration = 15 } = {}) => {
+  const frameStep = a.frameStep;
+  let best = null;
+
+  candidateOffsets(a.hashes, b.hashes).forEach((offset) => {
+    const run = longestMatchingRun(a.hashes, b.hashes, offset);
+    if (run && (!best || run.length > best.length)) {
+      best = run;
+    }
+  });
+
+  if (!best || best.length * frameStep < minDuration) {
+    return null;
+  }
+
+  return {
+    startA: best.startA * frameStep,
+    endA: (best.startA + best.length) * frameStep,
+    startB: best.startB * frameStep,
+    endB: (best.startB + best.length) * frameStep,
+    score: Math.max(0, Math.min(1, 1 - best.bitErrorRate / (MATCH_THRESHOLD / 32)))
+  };
+};
+
+module.exports = {
+  computeFingerprint,
+  findSharedSegment
+};
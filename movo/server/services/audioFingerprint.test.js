@@ -0,0 +1,103 @@
+const { computeFingerprint, findSharedSegment } = require('./audioFingerprint');
+
+const SAMPLE_RATE = 8000;
+// Seconds a detected boundary may be off by: the smoothing window and the
+// 2048-sample analysis frame blur each edge by under a second
+const TOLERANCE = 1.5;
+
+// Seeded noise, so a "shared" segment is sample-identical in both clips
+const noise = (seed, seconds) => {
+  let state = seed;
+  const samples = new Float32Array(Math.round(seconds * SAMPLE_RATE));
+  for (let i = 0; i < samples.length; i++) {
+    // mulberry32
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    samples[i] = (((t ^ (t >>> 14)) >>> 0) / 4294967296) * 1.6 - 0.8;
+  }
+  return samples;
+};
+
+const concat = (...parts) => {
+  const samples = new Float32Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  parts.forEach((part) => {
+    samples.set(part, offset);
+    offset += part.length;
+  });
+  return samples;
+};
+
+const fingerprint = (samples) => computeFingerprint(samples, SAMPLE_RATE);
+
+describe('audioFingerprint', () => {
+  describe('computeFingerprint', () => {
+    test('produces one sub-fingerprint per frame step', () => {
+      const result = fingerprint(noise(1, 10));
+
+      expect(result.frameStep).toBeCloseTo(0.1);
+      // Frames need 2048 samples; the first frame only seeds the time difference
+      expect(result.hashes).toHaveLength(Math.floor((10 * SAMPLE_RATE - 2048) / 800));
+    });
+
+    test('is deterministic and tells different audio apart', () => {
+      const a = fingerprint(noise(1, 5)).hashes;
+
+      expect(fingerprint(noise(1, 5)).hashes).toEqual(a);
+      expect(fingerprint(noise(2, 5)).hashes).not.toEqual(a);
+    });
+
+    test('returns no frames for clips shorter than one frame', () => {
+      expect(fingerprint(new Float32Array(1000)).hashes).toHaveLength(0);
+    });
+  });
+
+  describe('findSharedSegment', () => {
+    test('finds an intro at different positions in two episodes', () => {
+      const intro = noise(42, 20);
+      // Episode A opens with the intro; episode B has a 7 second cold open
+      const a = fingerprint(concat(intro, noise(1, 15)));
+      const b = fingerprint(concat(noise(2, 7), intro, noise(3, 10)));
+
+      const segment = findSharedSegment(a, b);
+
+      expect(segment).not.toBeNull();
+      expect(Math.abs(segment.startA - 0)).toBeLessThanOrEqual(TOLERANCE);
+      expect(Math.abs(segment.endA - 20)).toBeLessThanOrEqual(TOLERANCE);
+      expect(Math.abs(segment.startB - 7)).toBeLessThanOrEqual(TOLERANCE);
+      expect(Math.abs(segment.endB - 27)).toBeLessThanOrEqual(TOLERANCE);
+      expect(segment.score).toBeGreaterThan(0.8);
+    });
+
+    test('tolerates a little noise on top of the shared audio', () => {
+      const intro = noise(42, 20);
+      const hiss = noise(9, 20);
+      const noisy = intro.map((sample, i) => sample + hiss[i] * 0.05);
+
+      const segment = findSharedSegment(
+        fingerprint(concat(intro, noise(1, 10))),
+        fingerprint(concat(noisy, noise(2, 10)))
+      );
+
+      expect(segment).not.toBeNull();
+      expect(Math.abs(segment.endA - 20)).toBeLessThanOrEqual(TOLERANCE);
+    });
+
+    test('ignores shared audio shorter than the minimum duration', () => {
+      const sting = noise(42, 8);
+      const a = fingerprint(concat(sting, noise(1, 20)));
+      const b = fingerprint(concat(sting, noise(2, 20)));
+
+      expect(findSharedSegment(a, b, { minDuration: 15 })).toBeNull();
+      expect(findSharedSegment(a, b, { minDuration: 5 })).not.toBeNull();
+    });
+
+    test('finds nothing in unrelated audio or silence', () => {
+      expect(findSharedSegment(fingerprint(noise(1, 30)), fingerprint(noise(2, 30)))).toBeNull();
+
+      const silence = new Float32Array(30 * SAMPLE_RATE);
+      expect(findSharedSegment(fingerprint(silence), fingerprint(silence))).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Admin audit log
+ * Every change made through the admin API is recorded in admin_audit_log
+ * with who made it, what it touched and the values it set.
+ */
+
+const { query } = require('../database/query');
+
+// JSON columns come back as strings
+const parseDetails = (value) => {
+  if (!value) {
+    return null;
+  }
+  try {
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Record an admin action
+ * @param {Object} db - MySQL pool
+ * @param {Object} req - The admin's request (req.user, req.ip)
+ * @param {string} action - e.g. "user.update", "scan.start"
+ * @param {Object} target - { type, id } of what was changed, if anything
+ * @param {Object} details - What was set; never include secrets
+ */
+const recordAdminAction = (db, req, action, target = {}, details = null) => {
+  return query(
+    db,
+    'INSERT INTO admin_audit_log (admin_id, action, target_type, target_id, details, ip_address) VALUES (?, ?, ?, ?, ?, ?)',
+    [
+      req.user.userId,
+      action,
+      target.type || null,
+      target.id !== undefined && target.id !== null ? String(target.id) : null,
+      details ? JSON.stringify(details) : null,
+      req.ip || null
+    ]
+  );
+};
+
+const formatEntry = (row) => ({
+  id: row.id,
+  action: row.action,
+  admin: row.admin_id ? { id: row.admin_id, username: row.admin_username } : null,
+  target: row.target_type ? { type: row.target_type, id: row.target_id } : null,
+  details: parseDetails(row.details),
+  ipAddress: row.ip_address,
+  createdAt: row.created_at
+});
+
+/**
+ * Audit log entries, newest first
+ * @param {Object} filters - { page, limit, action, adminId, targetType, targetId }
+ * @returns {Promise<{entries: Array, pagination: Object}>}
+ */
+const listAuditLog = async (db, { page = 1, limit = 50, action, adminId, targetType, targetId } = {}) => {
+  const conditions = [];
+  const params = [];
+
+  if (action) {
+    conditions.push('a.action = ?');
+    params.push(action);
+  }
+  if (adminId) {
+    conditions.push('a.admin_id = ?');
+    params.push(adminId);
+  }
+  if (targetType) {
+    conditions.push('a.target_type = ?');
+    params.push(targetType);
+  }
+  if (targetId) {
+    conditions.push('a.target_id = ?');
+    params.push(String(targetId));
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const [{ total }] = await query(db, `SELECT COUNT(*) AS total FROM admin_audit_log a ${where}`, params);
+  const rows = await query(
+    db,
+    `SELECT a.*, u.username AS admin_username
+     FROM admin_audit_log a
+     LEFT JOIN users u ON u.id = a.admin_id
+     ${where}
+     ORDER BY a.created_at DESC, a.id DESC
+     LIMIT ? OFFSET ?`,
+    [...params, limit, (page - 1) * limit]
+  );
+
+  return {
+    entries: rows.map(formatEntry),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  };
+};
+
+module.exports = {
+  recordAdminAction,
+  listAuditLog
+};
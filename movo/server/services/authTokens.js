@@ -0,0 +1,267 @@
+/**
+ * Access and refresh tokens
+ * Shared by the REST auth routes and the GraphQL context so both accept the
+ * same tokens. Refresh tokens are stored as SHA-256 hashes in refresh_tokens.
+ * Tokens issued after a profile was selected carry its profileId, and keep
+ * it when they are refreshed. With REQUIRE_EMAIL_VERIFICATION=true, accounts
+ * that haven't confirmed their email address get no tokens at all.
+ *
+ * Each sign-in starts a token family (a session, see services/sessions.js)
+ * that every rotated token inherits; access tokens name it in their sid
+ * claim. Replaying a refresh token that was already rotated revokes the
+ * whole family, since either the client or a thief holds a stolen copy.
+ */
+
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { query } = require('../database/query');
+const { AppError, AuthenticationError, logger } = require('../middleware/errorHandler');
+
+const JWT_SECRET = process.env.JWT_SECRET;
+const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || JWT_SECRET;
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const JWT_REFRESH_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
+const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+// Tabs sharing one refresh token can race to rotate it; a replay this soon after
+// rotation gets a fresh pair in the same family instead of counting as reuse
+const REUSE_GRACE_SECONDS = parseInt(process.env.REFRESH_TOKEN_REUSE_GRACE_SECONDS || '10', 10);
+
+const generateAccessToken = (userId, username, profileId = null, sessionId = null) => {
+  return jwt.sign(
+    {
+      userId,
+      username,
+      type: 'access',
+      ...(profileId ? { profileId } : {}),
+      ...(sessionId ? { sid: sessionId } : {})
+    },
+    JWT_SECRET,
+    { expiresIn: JWT_EXPIRES_IN }
+  );
+};
+
+const generateRefreshToken = (userId, profileId = null) => {
+  return jwt.sign(
+    { userId, type: 'refresh', jti: crypto.randomUUID(), ...(profileId ? { profileId } : {}) },
+    JWT_REFRESH_SECRET,
+    { expiresIn: JWT_REFRESH_EXPIRES_IN }
+  );
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Verify an access token
+ * @returns {Object} Decoded claims ({ userId, username, type, profileId?, sid? })
+ * @throws {AuthenticationError} When the token is invalid, expired or not an access token
+ */
+const verifyAccessToken = (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new AuthenticationError('Token has expired');
+    }
+    throw new AuthenticationError('Invalid token');
+  }
+
+  if (decoded.type !== 'access') {
+    throw new AuthenticationError('Invalid token type');
+  }
+  return decoded;
+};
+
+const verifyRefreshToken = (token) => {
+  try {
+    return jwt.verify(token, JWT_REFRESH_SECRET);
+  } catch (error) {
+    throw new AuthenticationError('Invalid or expired refresh token');
+  }
+};
+
+/**
+ * Refuse unverified accounts when verification is required
+ * @param {Object} user - users row with email_verified
+ * @throws {AppError} 403 EMAIL_NOT_VERIFIED
+ */
+const assertEmailVerified = (user) => {
+  if (REQUIRE_EMAIL_VERIFICATION && !user.email_verified) {
+    throw new AppError('Please verify your email address before signing in', 403, 'EMAIL_NOT_VERIFIED');
+  }
+};
+
+/**
+ * Issue an access/refresh token pair and store the refresh token
+ * @param {Object} db - MySQL pool
+ * @param {Object} user - { id, username }
+ * @param {number|null} profileId - Selected profile, or null to act as the default profile
+ * @param {Object} session - { familyId, deviceName, userAgent, ipAddress }; without a
+ *   familyId a new session is started
+ * @returns {Promise<{accessToken: string, refreshToken: string, expiresIn: string}>}
+ */
+const issueTokens = async (db, user, profileId = null, session = {}) => {
+  const familyId = session.familyId || crypto.randomUUID();
+  const accessToken = generateAccessToken(user.id, user.username, profileId, familyId);
+  const refreshToken = generateRefreshToken(user.id, profileId);
+
+  await query(
+    db,
+    `INSERT INTO refresh_tokens (user_id, token_hash, family_id, device_name, user_agent, ip_address, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL 7 DAY))`,
+    [
+      user.id,
+      hashToken(refreshToken),
+      familyId,
+      session.deviceName || null,
+      session.userAgent || null,
+      session.ipAddress || null
+    ]
+  );
+
+  return { accessToken, refreshToken, expiresIn: JWT_EXPIRES_IN };
+};
+
+const revokeTokenFamily = (db, userId, familyId) => {
+  return query(
+    db,
+    'UPDATE refresh_tokens SET revoked = TRUE, revoked_at = NOW() WHERE user_id = ? AND family_id = ? AND revoked = FALSE',
+    [userId, familyId]
+  );
+};
+
+// A rotated token came back: within the grace period it's a racing tab, after it a stolen copy
+const handleReplayedToken = async (db, stored) => {
+  if (stored.in_grace) {
+    const [live] = await query(
+      db,
+      'SELECT COUNT(*) AS count FROM refresh_tokens WHERE family_id = ? AND revoked = FALSE AND expires_at > NOW()',
+      [stored.family_id]
+    );
+    if (live.count > 0) {
+      return;
+    }
+  }
+
+  const result = await revokeTokenFamily(db, stored.user_id, stored.family_id);
+  if (result.affectedRows > 0) {
+    logger.warn(`Refresh token reuse detected for user ${stored.user_id}; session ${stored.family_id} revoked`);
+  }
+  throw new AuthenticationError('Refresh token has already been used');
+};
+
+/**
+ * Exchange a refresh token for a new pair in the same session, revoking the old one
+ * @param {Object} client - { userAgent, ipAddress } of the request, recorded on the session
+ * @returns {Promise<{userId: number, accessToken, refreshToken, expiresIn}>}
+ * @throws {AuthenticationError} When the token is invalid, expired, revoked or
+ *   replayed, or its profile was deleted
+ * @throws {AppError} EMAIL_NOT_VERIFIED when verification is required and missing
+ */
+const rotateRefreshToken = async (db, refreshToken, client = {}) => {
+  const decoded = verifyRefreshToken(refreshToken);
+  const tokenHash = hashToken(refreshToken);
+
+  const [stored] = await query(
+    db,
+    `SELECT id, user_id, family_id, device_name, user_agent, ip_address, revoked, rotated_at,
+            rotated_at > DATE_SUB(NOW(), INTERVAL ? SECOND) AS in_grace
+     FROM refresh_tokens
+     WHERE user_id = ? AND token_hash = ? AND expires_at > NOW()`,
+    [REUSE_GRACE_SECONDS, decoded.userId, tokenHash]
+  );
+  if (!stored || (stored.revoked && !stored.rotated_at)) {
+    throw new AuthenticationError('Invalid or revoked refresh token');
+  }
+  if (stored.revoked) {
+    await handleReplayedToken(db, stored);
+  }
+
+  const [user] = await query(db, 'SELECT id, username, email_verified, is_active FROM users WHERE id = ?', [
+    decoded.userId
+  ]);
+  if (!user) {
+    throw new AuthenticationError('User not found');
+  }
+  if (!user.is_active) {
+    throw new AuthenticationError('Account is disabled');
+  }
+  assertEmailVerified(user);
+
+  // Falling back to the default profile could lift a deleted child profile's restrictions
+  if (decoded.profileId) {
+    const [profile] = await query(db, 'SELECT id FROM profiles WHERE id = ? AND user_id = ?', [
+      decoded.profileId,
+      user.id
+    ]);
+    if (!profile) {
+      throw new AuthenticationError('Profile no longer exists');
+    }
+  }
+
+  if (!stored.revoked) {
+    // Only one of two concurrent rotations wins; the other is a replay
+    const result = await query(
+      db,
+      'UPDATE refresh_tokens SET revoked = TRUE, revoked_at = NOW(), rotated_at = NOW() WHERE id = ? AND revoked = FALSE',
+      [stored.id]
+    );
+    if (result.affectedRows !== 1) {
+      await handleReplayedToken(db, { ...stored, in_grace: true });
+    }
+  }
+
+  const tokens = await issueTokens(db, user, decoded.profileId || null, {
+    familyId: stored.family_id,
+    deviceName: stored.device_name,
+    userAgent: client.userAgent || stored.user_agent,
+    ipAddress: client.ipAddress || stored.ip_address
+  });
+  return { userId: user.id, ...tokens };
+};
+
+const revokeRefreshToken = (db, refreshToken) => {
+  return query(
+    db,
+    'UPDATE refresh_tokens SET revoked = TRUE, revoked_at = NOW() WHERE token_hash = ?',
+    [hashToken(refreshToken)]
+  );
+};
+
+/**
+ * End the session a refresh token belongs to (signing out)
+ */
+const revokeRefreshTokenFamily = async (db, refreshToken) => {
+  const [stored] = await query(db, 'SELECT user_id, family_id FROM refresh_tokens WHERE token_hash = ?', [
+    hashToken(refreshToken)
+  ]);
+  if (stored) {
+    await revokeTokenFamily(db, stored.user_id, stored.family_id);
+  }
+};
+
+const revokeAllRefreshTokens = (db, userId) => {
+  return query(
+    db,
+    'UPDATE refresh_tokens SET revoked = TRUE, revoked_at = NOW() WHERE user_id = ? AND revoked = FALSE',
+    [userId]
+  );
+};
+
+module.exports = {
+  JWT_EXPIRES_IN,
+  REQUIRE_EMAIL_VERIFICATION,
+  generateAccessToken,
+  generateRefreshToken,
+  hashToken,
+  verifyAccessToken,
+  verifyRefreshToken,
+  assertEmailVerified,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeRefreshTokenFamily,
+  revokeTokenFamily,
+  revokeAllRefreshTokens
+};
@@ -0,0 +1,323 @@
+/**
+ * User collections
+ * Every user has a watchlist and a favorites collection, created on first
+ * use, and any number of custom ones. Entries keep a position so each
+ * collection can be ordered by hand. A collection can be shared through a
+ * random token that gives read-only access without signing in.
+ */
+
+const crypto = require('crypto');
+const { query } = require('../database/query');
+const { NotFoundError, ConflictError, ValidationError } = require('../middleware/errorHandler');
+const { LOCAL_MOVIE_COLUMNS, LOCAL_MOVIE_JOINS } = require('../controllers/movieController');
+const { restrictionCondition } = require('./profiles');
+
+const BUILT_IN_COLLECTIONS = {
+  watchlist: 'Watchlist',
+  favorites: 'Favorites'
+};
+
+const formatCollection = (row) => ({
+  id: row.id,
+  type: row.collection_type,
+  name: row.name,
+  description: row.description,
+  itemCount: Number(row.item_count) || 0,
+  shareToken: row.share_token,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+const ensureBuiltInCollections = (db, userId) => {
+  const types = Object.keys(BUILT_IN_COLLECTIONS);
+  return query(
+    db,
+    `INSERT IGNORE INTO collections (user_id, collection_type, name) VALUES ${types.map(() => '(?, ?, ?)').join(', ')}`,
+    types.flatMap((type) => [userId, type, BUILT_IN_COLLECTIONS[type]])
+  );
+};
+
+/**
+ * Look up one of the user's collections
+ * @param {number|string} idOrType - Collection ID, or 'watchlist' / 'favorites'
+ * @returns {Promise<Object>} collections row
+ */
+const getCollection = async (db, userId, idOrType) => {
+  let rows;
+  if (BUILT_IN_COLLECTIONS[idOrType]) {
+    await ensureBuiltInCollections(db, userId);
+    rows = await query(db, 'SELECT * FROM collections WHERE user_id = ? AND collection_type = ?', [userId, idOrType]);
+  } else {
+    // Someone else's collection is reported as missing, not forbidden
+    rows = await query(db, 'SELECT * FROM collections WHERE id = ? AND user_id = ?', [idOrType, userId]);
+  }
+
+  if (rows.length === 0) {
+    throw new NotFoundError('Collection not found');
+  }
+  return rows[0];
+};
+
+const listCollections = async (db, userId) => {
+  await ensureBuiltInCollections(db, userId);
+  return query(
+    db,
+    `SELECT c.*, COUNT(uc.id) AS item_count
+     FROM collections c
+     LEFT JOIN user_collections uc ON uc.collection_id = c.id
+     WHERE c.user_id = ?
+     GROUP BY c.id
+     ORDER BY FIELD(c.collection_type, 'watchlist', 'favorites', 'custom'), c.created_at, c.id`,
+    [userId]
+  );
+};
+
+// Titles in movieIds are added in that order
+const createCollection = async (db, userId, { name, description = null, movieIds = [] }) => {
+  if (movieIds.length > 0) {
+    const movies = await query(db, 'SELECT id FROM movies WHERE id IN (?)', [movieIds]);
+    if (movies.length !== new Set(movieIds).size) {
+      throw new NotFoundError('Movie not found');
+    }
+  }
+
+  let result;
+  try {
+    result = await query(
+      db,
+      "INSERT INTO collections (user_id, collection_type, name, description) VALUES (?, 'custom', ?, ?)",
+      [userId, name, description]
+    );
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      throw new ConflictError('A collection with this name already exists');
+    }
+    throw error;
+  }
+
+  if (movieIds.length > 0) {
+    await query(
+      db,
+      "INSERT IGNORE INTO user_collections (collection_id, user_id, movie_id, collection_type, position) VALUES ?",
+      [movieIds.map((movieId, position) => [result.insertId, userId, movieId, 'custom', position])]
+    );
+  }
+  return getCollection(db, userId, result.insertId);
+};
+
+// Built-in collections keep their names; only the description can change
+const updateCollection = async (db, collection, { name, description }) => {
+  if (name !== undefined && collection.collection_type !== 'custom' && name !== collection.name) {
+    throw new ValidationError('Built-in collections cannot be renamed');
+  }
+
+  try {
+    await query(db, 'UPDATE collections SET name = ?, description = ? WHERE id = ?', [
+      name === undefined ? collection.name : name,
+      description === undefined ? collection.description : description,
+      collection.id
+    ]);
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      throw new ConflictError('A collection with this name already exists');
+    }
+    throw error;
+  }
+  return getCollection(db, collection.user_id, collection.id);
+};
+
+const deleteCollection = async (db, collection) => {
+  if (collection.collection_type !== 'custom') {
+    throw new ValidationError('Built-in collections cannot be deleted');
+  }
+  await query(db, 'DELETE FROM collections WHERE id = ?', [collection.id]);
+};
+
+const touchCollection = (db, collectionId) => {
+  return query(db, 'UPDATE collections SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [collectionId]);
+};
+
+/**
+ * Append a title to a collection
+ * @returns {Promise<boolean>} false when it was already there
+ */
+const addItem = async (db, collection, movieId) => {
+  const [movie] = await query(db, 'SELECT id FROM movies WHERE id = ?', [movieId]);
+  if (!movie) {
+    throw new NotFoundError('Movie not found');
+  }
+
+  const result = await query(
+    db,
+    `INSERT IGNORE INTO user_collections (collection_id, user_id, movie_id, collection_type, position)
+     SELECT ?, ?, ?, ?, COALESCE(MAX(position), -1) + 1 FROM user_collections WHERE collection_id = ?`,
+    [collection.id, collection.user_id, movieId, collection.collection_type, collection.id]
+  );
+  if (result.affectedRows > 0) {
+    await touchCollection(db, collection.id);
+  }
+  return result.affectedRows > 0;
+};
+
+/**
+ * @returns {Promise<boolean>} false when the title was not in the collection
+ */
+const removeItem = async (db, collection, movieId) => {
+  const result = await query(db, 'DELETE FROM user_collections WHERE collection_id = ? AND movie_id = ?', [
+    collection.id,
+    movieId
+  ]);
+  if (result.affectedRows > 0) {
+    await touchCollection(db, collection.id);
+  }
+  return result.affectedRows > 0;
+};
+
+/**
+ * Put a collection's entries in the given order
+ * @param {number[]} movieIds - Every movie in the collection, each once
+ */
+const reorderItems = async (db, collection, movieIds) => {
+  const rows = await query(db, 'SELECT movie_id FROM user_collections WHERE collection_id = ?', [collection.id]);
+  const current = new Set(rows.map((row) => row.movie_id));
+
+  if (movieIds.length !== current.size || !movieIds.every((movieId) => current.has(movieId))) {
+    throw new ValidationError('movieIds must list every title in the collection exactly once');
+  }
+  if (movieIds.length === 0) {
+    return;
+  }
+
+  await query(db, 'UPDATE user_collections SET position = FIELD(movie_id, ?) - 1 WHERE collection_id = ?', [
+    movieIds,
+    collection.id
+  ]);
+  await touchCollection(db, collection.id);
+};
+
+/**
+ * Entries in order, joined with their movie
+ * Titles no longer in the library, or that the profile may not see, are left out.
+ * @param {Object|null} profile - Profile viewing the collection
+ */
+const getItems = (db, collectionId, profile = null) => {
+  const restriction = restrictionCondition(profile);
+  return query(
+    db,
+    `SELECT ${LOCAL_MOVIE_COLUMNS}, uc.position, uc.added_at
+     FROM user_collections uc
+     JOIN movies m ON m.id = uc.movie_id
+     ${LOCAL_MOVIE_JOINS}
+     WHERE uc.collection_id = ? AND m.file_path IS NOT NULL AND m.is_available = TRUE
+       ${restriction ? `AND ${restriction.sql}` : ''}
+     ORDER BY uc.position, uc.id`,
+    [collectionId, ...(restriction ? restriction.params : [])]
+  );
+};
+
+// The existing token is kept, so links already handed out keep working
+const shareCollection = async (db, collection) => {
+  await query(db, 'UPDATE collections SET share_token = COALESCE(share_token, ?) WHERE id = ?', [
+    crypto.randomBytes(16).toString('hex'),
+    collection.id
+  ]);
+  return getCollection(db, collection.user_id, collection.id);
+};
+
+const unshareCollection = (db, collection) => {
+  return query(db, 'UPDATE collections SET share_token = NULL WHERE id = ?', [collection.id]);
+};
+
+/**
+ * Look up a collection by its share token
+ * @returns {Promise<Object>} collections row with the owner's username
+ */
+const getSharedCollection = async (db, token) => {
+  const [row] = await query(
+    db,
+    `SELECT c.*, u.username AS owner
+     FROM collections c
+     JOIN users u ON u.id = c.user_id
+     WHERE c.share_token = ? AND u.is_active = TRUE`,
+    [token]
+  );
+  if (!row) {
+    throw new NotFoundError('Collection not found');
+  }
+  return row;
+};
+
+/**
+ * Apply watchlist changes made while offline, oldest first
+ * A removal is skipped when the title was (re-)added after it was made, so a
+ * stale offline change cannot undo what another device did since.
+ * @param {Array<{mediaId: number, action: string, timestamp: Date}>} changes
+ * @returns {Promise<{applied: number, skipped: number[]}>} skipped lists titles not in the library
+ */
+const applyWatchlistChanges = async (db, userId, changes) => {
+  const watchlist = await getCollection(db, userId, 'watchlist');
+  const ordered = [...changes].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  const skipped = [];
+  let added = 0;
+  let removed = 0;
+
+  for (const change of ordered) {
+    if (change.action === 'add') {
+      try {
+        added += (await addItem(db, watchlist, change.mediaId)) ? 1 : 0;
+      } catch (error) {
+        if (!(error instanceof NotFoundError)) {
+          throw error;
+        }
+        skipped.push(change.mediaId);
+      }
+      continue;
+    }
+
+    const result = await query(
+      db,
+      'DELETE FROM user_collections WHERE collection_id = ? AND movie_id = ? AND added_at <= ?',
+      [watchlist.id, change.mediaId, new Date(change.timestamp)]
+    );
+    removed += result.affectedRows;
+  }
+
+  if (removed > 0) {
+    await touchCollection(db, watchlist.id);
+  }
+  return { applied: added + removed, skipped };
+};
+
+/**
+ * The watchlist as bare entries, for clients keeping an offline copy
+ * @returns {Promise<Array<{mediaId: number, position: number, addedAt: Date}>>}
+ */
+const getWatchlistEntries = async (db, userId) => {
+  const watchlist = await getCollection(db, userId, 'watchlist');
+  const rows = await query(
+    db,
+    'SELECT movie_id, position, added_at FROM user_collections WHERE collection_id = ? ORDER BY position, id',
+    [watchlist.id]
+  );
+  return rows.map((row) => ({ mediaId: row.movie_id, position: row.position, addedAt: row.added_at }));
+};
+
+module.exports = {
+  BUILT_IN_COLLECTIONS,
+  formatCollection,
+  ensureBuiltInCollections,
+  getCollection,
+  listCollections,
+  createCollection,
+  updateCollection,
+  deleteCollection,
+  addItem,
+  removeItem,
+  reorderItems,
+  getItems,
+  shareCollection,
+  unshareCollection,
+  getSharedCollection,
+  applyWatchlistChanges,
+  getWatchlistEntries
+};
@@ -0,0 +1,181 @@
+const { KIDS_PROFILE, createTestDatabase, createUser, createMovie } = require('../database/testDatabase');
+const { query } = require('../database/query');
+const {
+  formatCollection,
+  getCollection,
+  listCollections,
+  createCollection,
+  updateCollection,
+  deleteCollection,
+  addItem,
+  removeItem,
+  reorderItems,
+  getItems,
+  shareCollection,
+  unshareCollection,
+  getSharedCollection,
+  applyWatchlistChanges,
+  getWatchlistEntries
+} = require('./collections');
+
+describe('collections', () => {
+  let db;
+  let userId;
+  let otherUserId;
+  let heat;
+  let ronin;
+  let totoro;
+
+  const itemIds = async (collection, profile) => {
+    const items = await getItems(db, collection.id, profile);
+    return items.map((item) => item.id);
+  };
+
+  beforeEach(async () => {
+    db = await createTestDatabase();
+    userId = await createUser(db, 'alice');
+    otherUserId = await createUser(db, 'bob');
+    heat = await createMovie(db, 'Heat', { content_rating: 'R' });
+    ronin = await createMovie(db, 'Ronin', { content_rating: 'R' });
+    totoro = await createMovie(db, 'Totoro', { content_rating: 'G' });
+  });
+
+  afterEach(() => {
+    db.end();
+  });
+
+  test('creates the built-in collections on first use', async () => {
+    const collections = (await listCollections(db, userId)).map(formatCollection);
+
+    expect(collections.map(({ type, name, itemCount }) => ({ type, name, itemCount }))).toEqual([
+      { type: 'watchlist', name: 'Watchlist', itemCount: 0 },
+      { type: 'favorites', name: 'Favorites', itemCount: 0 }
+    ]);
+    // Listing again doesn't create duplicates
+    expect(await listCollections(db, userId)).toHaveLength(2);
+  });
+
+  test('reports other users\' collections as missing', async () => {
+    const collection = await createCollection(db, userId, { name: 'Heists' });
+
+    await expect(getCollection(db, otherUserId, collection.id)).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('creates custom collections with titles in the given order', async () => {
+    const collection = await createCollection(db, userId, {
+      name: 'Heists',
+      description: 'Crews and vaults',
+      movieIds: [ronin, heat]
+    });
+
+    expect(formatCollection(collection)).toMatchObject({
+      type: 'custom',
+      name: 'Heists',
+      description: 'Crews and vaults'
+    });
+    expect(await itemIds(collection)).toEqual([ronin, heat]);
+
+    await expect(createCollection(db, userId, { name: 'Heists' })).rejects.toMatchObject({ statusCode: 409 });
+    await expect(createCollection(db, userId, { name: 'Other', movieIds: [heat, 9999] })).rejects.toMatchObject({
+      statusCode: 404
+    });
+  });
+
+  test('renames custom collections but not built-in ones', async () => {
+    const custom = await createCollection(db, userId, { name: 'Heists' });
+    const watchlist = await getCollection(db, userId, 'watchlist');
+
+    expect(await updateCollection(db, custom, { name: 'Capers' })).toMatchObject({ name: 'Capers' });
+    expect(await updateCollection(db, watchlist, { description: 'Next up' })).toMatchObject({
+      name: 'Watchlist',
+      description: 'Next up'
+    });
+    await expect(updateCollection(db, watchlist, { name: 'Later' })).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('deletes custom collections only', async () => {
+    const custom = await createCollection(db, userId, { name: 'Heists' });
+    const favorites = await getCollection(db, userId, 'favorites');
+
+    await deleteCollection(db, custom);
+    await expect(getCollection(db, userId, custom.id)).rejects.toMatchObject({ statusCode: 404 });
+    await expect(deleteCollection(db, favorites)).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('appends, removes and reorders items', async () => {
+    const collection = await createCollection(db, userId, { name: 'Heists' });
+
+    expect(await addItem(db, collection, heat)).toBe(true);
+    expect(await addItem(db, collection, ronin)).toBe(true);
+    expect(await addItem(db, collection, heat)).toBe(false);
+    await expect(addItem(db, collection, 9999)).rejects.toMatchObject({ statusCode: 404 });
+    expect(await itemIds(collection)).toEqual([heat, ronin]);
+
+    await reorderItems(db, collection, [ronin, heat]);
+    expect(await itemIds(collection)).toEqual([ronin, heat]);
+    await expect(reorderItems(db, collection, [ronin])).rejects.toMatchObject({ statusCode: 400 });
+    await expect(reorderItems(db, collection, [ronin, totoro])).rejects.toMatchObject({ statusCode: 400 });
+
+    expect(await removeItem(db, collection, ronin)).toBe(true);
+    expect(await removeItem(db, collection, ronin)).toBe(false);
+    expect(await itemIds(collection)).toEqual([heat]);
+  });
+
+  test('leaves out unavailable titles and titles the profile may not see', async () => {
+    const collection = await createCollection(db, userId, { name: 'Mixed', movieIds: [heat, ronin, totoro] });
+    await query(db, 'UPDATE movies SET is_available = FALSE WHERE id = ?', [ronin]);
+
+    expect(await itemIds(collection)).toEqual([heat, totoro]);
+    expect(await itemIds(collection, KIDS_PROFILE)).toEqual([totoro]);
+  });
+
+  test('shares through a stable token until unshared', async () => {
+    const collection = await createCollection(db, userId, { name: 'Heists' });
+
+    const shared = await shareCollection(db, collection);
+    expect(shared.share_token).toMatch(/^[0-9a-f]{32}$/);
+    expect((await shareCollection(db, shared)).share_token).toBe(shared.share_token);
+    expect(await getSharedCollection(db, shared.share_token)).toMatchObject({ id: collection.id, owner: 'alice' });
+
+    await unshareCollection(db, shared);
+    await expect(getSharedCollection(db, shared.share_token)).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('hides shared collections of deactivated accounts', async () => {
+    const shared = await shareCollection(db, await createCollection(db, userId, { name: 'Heists' }));
+    await query(db, 'UPDATE users SET is_active = FALSE WHERE id = ?', [userId]);
+
+    await expect(getSharedCollection(db, shared.share_token)).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  describe('watchlist sync', () => {
+    const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+    const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60 * 1000);
+
+    test('applies offline changes oldest first and skips unknown titles', async () => {
+      const result = await applyWatchlistChanges(db, userId, [
+        { mediaId: heat, action: 'remove', timestamp: minutesFromNow(2) },
+        { mediaId: heat, action: 'add', timestamp: minutesFromNow(1) },
+        { mediaId: ronin, action: 'add', timestamp: minutesFromNow(3) },
+        { mediaId: 9999, action: 'add', timestamp: minutesFromNow(4) }
+      ]);
+
+      expect(result).toEqual({ applied: 3, skipped: [9999] });
+      expect((await getWatchlistEntries(db, userId)).map((entry) => entry.mediaId)).toEqual([ronin]);
+    });
+
+    test('does not let a stale removal undo a later add', async () => {
+      const watchlist = await getCollection(db, userId, 'watchlist');
+      await addItem(db, watchlist, heat);
+
+      const result = await applyWatchlistChanges(db, userId, [
+        { mediaId: heat, action: 'remove', timestamp: minutesAgo(10) }
+      ]);
+
+      expect(result).toEqual({ applied: 0, skipped: [] });
+      expect(await getWatchlistEntries(db, userId)).toEqual([
+        { mediaId: heat, position: 0, addedAt: expect.any(Date) }
+      ]);
+    });
+  });
+});
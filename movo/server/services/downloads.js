@@ -0,0 +1,639 @@
+/**
+ * Offline downloads
+ * A download is a bundle for watching a title offline: the video at the
+ * chosen quality, the title's subtitles as WebVTT, its poster, and a
+ * metadata.json describing the title and the other parts. Bundles are
+ * prepared in the background, DOWNLOAD_CONCURRENCY at a time. A library file
+ * that already fits the quality and plays in browsers goes into the bundle
+ * as it is; anything else is transcoded to MP4 once and cached under
+ * DOWNLOAD_CACHE_DIR for every account that asks for it.
+ *
+ * Clients fetch each part in ranges of DOWNLOAD_CHUNK_BYTES, so a transfer
+ * can stop at any point and carry on later, and report how many bytes they
+ * hold. Downloads stay `queued` until their bundle is ready, are
+ * `downloading` (or `paused`) while the client fetches it, and `completed`
+ * once it holds every byte. Changes are emitted as `update` events with the
+ * downloads row.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { query } = require('../database/query');
+const ffmpeg = require('./ffmpeg');
+const { RENDITIONS, HEIGHT_TOLERANCE } = require('./hlsPackager');
+const { restrictionCondition } = require('./profiles');
+const { getPreferences } = require('./preferences');
+const { listSubtitles, getSubtitleVtt } = require('./subtitles');
+const {
+  NotFoundError,
+  ConflictError,
+  ValidationError,
+  logger
+} = require('../middleware/errorHandler');
+
+const DOWNLOAD_CACHE_DIR = process.env.DOWNLOAD_CACHE_DIR || path.join(__dirname, '..', 'cache', 'downloads');
+const DOWNLOAD_CONCURRENCY = parseInt(process.env.DOWNLOAD_CONCURRENCY) || 1;
+const CHUNK_SIZE = parseInt(process.env.DOWNLOAD_CHUNK_BYTES) || 4 * 1024 * 1024;
+
+// Where /static/posters/... files live
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+
+// Containers browsers play natively; anything else is transcoded
+const PLAYABLE_TYPES = {
+  '.mp4': 'video/mp4',
+  '.m4v': 'video/mp4',
+  '.webm': 'video/webm'
+};
+
+const IMAGE_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp'
+};
+
+// user_preferences.download_quality tiers, as HLS rendition qualities
+const PREFERENCE_QUALITIES = { SD: 'low', HD: 'high', '4K': 'ultra' };
+
+const ACTIVE_STATUSES = ['queued', 'downloading', 'paused'];
+
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+const formatFile = (downloadId, file) => ({
+  id: file.id,
+  kind: file.kind,
+  name: file.name,
+  contentType: file.content_type,
+  size: toNumber(file.size),
+  language: file.language,
+  label: file.label,
+  url: `/api/downloads/${downloadId}/files/${file.id}`
+});
+
+// Shape a downloads row, joined with its title, for API responses
+const formatDownload = (row, files = []) => ({
+  id: row.id,
+  movieId: row.movie_id,
+  title: row.title,
+  posterUrl: row.poster_path,
+  quality: row.quality,
+  status: row.status,
+  ready: Boolean(row.prepared_at),
+  progress: toNumber(row.progress) || 0,
+  size: toNumber(row.size),
+  bytesReceived: toNumber(row.bytes_received) || 0,
+  error: row.error,
+  chunkSize: CHUNK_SIZE,
+  files: files.map((file) => formatFile(row.id, file)),
+  createdAt: row.created_at,
+  preparedAt: row.prepared_at
+});
+
+/**
+ * The rendition to encode for a quality
+ * `auto` keeps the source's resolution. Nothing is scaled up: a source below
+ * the quality's height keeps its own.
+ * @param {string} quality - downloads.quality
+ * @param {Object|null} source - { height } from ffprobe
+ */
+const targetRendition = (quality, source) => {
+  const fitting = RENDITIONS.filter((rendition) => !source || rendition.height <= source.height * HEIGHT_TOLERANCE);
+  const rendition = quality === 'auto'
+    ? fitting[fitting.length - 1] || RENDITIONS[0]
+    : RENDITIONS.find((candidate) => candidate.quality === quality);
+  return source ? { ...rendition, height: Math.min(rendition.height, source.height) } : rendition;
+};
+
+// What the account is told; paths and encoder output stay in the log
+const failureMessage = (error) => {
+  if (error.code === 'ENOENT') {
+    return 'The video file is not available';
+  }
+  return error.isOperational ? error.message : 'The video could not be prepared for offline viewing';
+};
+
+// A pending wait that gives up when the signal aborts
+const abortable = (promise, signal) => {
+  return new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+    promise.then(resolve, reject);
+  });
+};
+
+const SELECT_DOWNLOAD = `SELECT d.*, m.title, m.poster_path
+  FROM downloads d JOIN movies m ON m.id = d.movie_id`;
+
+class DownloadQueue extends EventEmitter {
+  constructor(db, { cacheDir = DOWNLOAD_CACHE_DIR, concurrency = DOWNLOAD_CONCURRENCY } = {}) {
+    super();
+    this.db = db;
+    this.cacheDir = cacheDir;
+    this.concurrency = concurrency;
+    this.queue = [];
+    // Download ID -> AbortController of the bundle being prepared
+    this.running = new Map();
+    // Transcodes shared by every download waiting for them, by output path
+    this.encodes = new Map();
+    this.closed = false;
+  }
+
+  /**
+   * Queue again the bundles that were waiting or being prepared when the server stopped
+   */
+  async recover() {
+    const rows = await query(
+      this.db,
+      'SELECT id FROM downloads WHERE status IN (?) AND prepared_at IS NULL ORDER BY created_at',
+      [ACTIVE_STATUSES]
+    );
+    rows.forEach((row) => this.enqueue(row.id));
+  }
+
+  // Prepare a download's bundle in the background
+  enqueue(downloadId) {
+    if (this.closed || this.queue.includes(downloadId) || this.running.has(downloadId)) {
+      return;
+    }
+    this.queue.push(downloadId);
+    this.drain();
+  }
+
+  drain() {
+    while (!this.closed && this.running.size < this.concurrency && this.queue.length > 0) {
+      this.prepare(this.queue.shift());
+    }
+  }
+
+  // Stop preparing a download; a transcode other downloads wait for carries on
+  cancel(downloadId) {
+    this.queue = this.queue.filter((id) => id !== downloadId);
+    const controller = this.running.get(downloadId);
+    if (controller) {
+      controller.abort();
+    }
+    this.encodes.forEach((encode) => {
+      encode.waiters.delete(downloadId);
+      if (encode.waiters.size === 0) {
+        encode.controller.abort();
+      }
+    });
+  }
+
+  async emitUpdate(downloadId) {
+    const [row] = await query(this.db, 'SELECT * FROM downloads WHERE id = ?', [downloadId]);
+    if (row) {
+      this.emit('update', row);
+    }
+  }
+
+  async prepare(downloadId) {
+    const controller = new AbortController();
+    this.running.set(downloadId, controller);
+
+    try {
+      const [row] = await query(
+        this.db,
+        `SELECT d.id, d.user_id, d.movie_id, d.quality, d.status, d.prepared_at,
+           m.title, m.original_title, m.overview, m.release_year, m.release_date, m.runtime, m.genres,
+           m.vote_average, m.content_rating, m.media_type, m.season_number, m.episode_number,
+           m.episode_title, m.poster_path, m.file_path
+         FROM downloads d JOIN movies m ON m.id = d.movie_id
+         WHERE d.id = ?`,
+        [downloadId]
+      );
+      if (!row || !ACTIVE_STATUSES.includes(row.status) || row.prepared_at) {
+        return;
+      }
+      if (!row.file_path) {
+        throw new NotFoundError('The title has no video file');
+      }
+
+      const files = await this.buildBundle(row, controller.signal);
+      if (controller.signal.aborted) {
+        return;
+      }
+
+      await query(this.db, 'DELETE FROM download_files WHERE download_id = ?', [downloadId]);
+      for (const file of files) {
+        await query(
+          this.db,
+          `INSERT INTO download_files
+            (download_id, kind, name, content_type, size, file_path, content, language, label)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            downloadId,
+            file.kind,
+            file.name,
+            file.contentType,
+            file.size,
+            file.filePath || null,
+            file.content === undefined ? null : file.content,
+            file.language || null,
+            file.label || null
+          ]
+        );
+      }
+      // A download paused while it was prepared stays paused
+      await query(
+        this.db,
+        `UPDATE downloads
+         SET size = ?, prepared_at = NOW(), error = NULL, progress = 0, bytes_received = 0,
+           status = CASE WHEN status = 'paused' THEN 'paused' ELSE 'downloading' END
+         WHERE id = ? AND status IN (?)`,
+        [files.reduce((total, file) => total + file.size, 0), downloadId, ACTIVE_STATUSES]
+      );
+      logger.info(`Prepared offline bundle ${downloadId} for movie ${row.movie_id} (${row.quality})`);
+      await this.emitUpdate(downloadId);
+    } catch (error) {
+      if (controller.signal.aborted) {
+        return;
+      }
+      logger.error(`Failed to prepare offline bundle ${downloadId}:`, error);
+      await query(
+        this.db,
+        "UPDATE downloads SET status = 'failed', error = ? WHERE id = ? AND status IN (?)",
+        [failureMessage(error).slice(0, 500), downloadId, ACTIVE_STATUSES]
+      )
+        .then(() => this.emitUpdate(downloadId))
+        .catch((err) => logger.error(`Failed to record the outcome of download ${downloadId}:`, err));
+    } finally {
+      this.running.delete(downloadId);
+      this.drain();
+    }
+  }
+
+  /**
+   * The parts of a bundle
+   * @returns {Promise<Array<{kind, name, contentType, size, filePath?, content?, language?, label?}>>}
+   */
+  async buildBundle(row, signal) {
+    const video = await this.prepareVideo(row, signal);
+    const files = [{ kind: 'video', ...video }];
+
+    // The account's own uploads are included with the library's tracks
+    const tracks = await listSubtitles(this.db, row.movie_id, row.user_id);
+    for (const track of tracks) {
+      try {
+        const { vtt } = await getSubtitleVtt(this.db, row.movie_id, track.id, row.user_id);
+        files.push({
+          kind: 'subtitle',
+          name: `subtitles/${track.id}.${track.language || 'und'}.vtt`,
+          contentType: 'text/vtt',
+          size: Buffer.byteLength(vtt),
+          content: vtt,
+          language: track.language,
+          label: track.label,
+          offsetMs: track.offsetMs
+        });
+      } catch (error) {
+        logger.warn(`Leaving subtitle ${track.id} out of download ${row.id}: ${error.message}`);
+      }
+    }
+
+    const poster = await this.findPoster(row.poster_path);
+    if (poster) {
+      files.push({ kind: 'poster', ...poster });
+    }
+
+    const metadata = JSON.stringify({
+      id: row.movie_id,
+      title: row.title,
+      originalTitle: row.original_title,
+      overview: row.overview,
+      year: row.release_year,
+      releaseDate: row.release_date,
+      runtime: row.runtime,
+      genres: typeof row.genres === 'string' ? JSON.parse(row.genres) : row.genres || [],
+      rating: toNumber(row.vote_average),
+      contentRating: row.content_rating,
+      mediaType: row.media_type,
+      season: row.season_number,
+      episode: row.episode_number,
+      episodeTitle: row.episode_title,
+      quality: row.quality,
+      video: { name: video.name, contentType: video.contentType, width: video.width, height: video.height },
+      poster: poster ? poster.name : null,
+      subtitles: files
+        .filter((file) => file.kind === 'subtitle')
+        .map(({ name, language, label, offsetMs }) => ({ name, language, label, offsetMs }))
+    }, null, 2);
+    files.push({
+      kind: 'metadata',
+      name: 'metadata.json',
+      contentType: 'application/json',
+      size: Buffer.byteLength(metadata),
+      content: metadata
+    });
+
+    return files;
+  }
+
+  /**
+   * The library file when it already fits, or a transcoded MP4
+   * @returns {Promise<{name, contentType, size, filePath, width, height}>}
+   */
+  async prepareVideo(row, signal) {
+    const stats = await fs.promises.stat(row.file_path);
+    const extension = path.extname(row.file_path).toLowerCase();
+    const playableType = PLAYABLE_TYPES[extension];
+
+    let source = null;
+    try {
+      source = await ffmpeg.probeVideo(row.file_path);
+    } catch (error) {
+      if (!playableType) {
+        throw error;
+      }
+      logger.warn(`Could not probe movie ${row.movie_id}; sending the library file as it is: ${error.message}`);
+    }
+
+    const target = targetRendition(row.quality, source);
+    if (playableType && (!source || source.height <= target.height * HEIGHT_TOLERANCE)) {
+      return {
+        name: `video${extension}`,
+        contentType: playableType,
+        size: stats.size,
+        filePath: row.file_path,
+        width: source ? source.width : null,
+        height: source ? source.height : null
+      };
+    }
+
+    // Named after the source's size and time, so a replaced file is transcoded again
+    const outputPath = path.join(
+      this.cacheDir,
+      String(row.movie_id),
+      `${target.quality}-${stats.size}-${Math.round(stats.mtimeMs)}.mp4`
+    );
+    await abortable(this.encode(row, target, outputPath), signal);
+    const encoded = await fs.promises.stat(outputPath);
+    return {
+      name: 'video.mp4',
+      contentType: 'video/mp4',
+      size: encoded.size,
+      filePath: outputPath,
+      width: source ? Math.round((target.height * source.width) / source.height / 2) * 2 : null,
+      height: target.height
+    };
+  }
+
+  // One transcode per output file, however many downloads wait for it
+  encode(row, rendition, outputPath) {
+    let encode = this.encodes.get(outputPath);
+    if (!encode) {
+      encode = { controller: new AbortController(), waiters: new Set() };
+      const partialPath = `${outputPath}.partial`;
+      encode.promise = (async () => {
+        try {
+          await fs.promises.access(outputPath);
+          return;
+        } catch (error) {
+          // Not transcoded yet
+        }
+        await fs.promises.mkdir(path.dirname(outputPath), { recursive: true });
+        try {
+          await ffmpeg.encodeMp4(row.file_path, partialPath, rendition, { signal: encode.controller.signal });
+          await fs.promises.rename(partialPath, outputPath);
+          logger.info(`Transcoded movie ${row.movie_id} to ${rendition.height}p for offline viewing`);
+        } catch (error) {
+          await fs.promises.rm(partialPath, { force: true });
+          throw error;
+        }
+      })().finally(() => this.encodes.delete(outputPath));
+      this.encodes.set(outputPath, encode);
+    }
+    encode.waiters.add(row.id);
+    return encode.promise.finally(() => encode.waiters.delete(row.id));
+  }
+
+  // posters/ files behind their /static URL
+  async findPoster(posterPath) {
+    if (!posterPath || !posterPath.startsWith('/static/')) {
+      return null;
+    }
+    const filePath = path.join(PUBLIC_DIR, path.normalize(posterPath.slice('/static/'.length)));
+    const contentType = IMAGE_TYPES[path.extname(filePath).toLowerCase()];
+    if (!filePath.startsWith(PUBLIC_DIR + path.sep) || !contentType) {
+      return null;
+    }
+    try {
+      const stats = await fs.promises.stat(filePath);
+      return { name: `poster${path.extname(filePath).toLowerCase()}`, contentType, size: stats.size, filePath };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Queue a download for a title the profile may see
+   * An unfinished download of the same title and quality is returned instead
+   * of preparing a second one.
+   * @param {Object} options - quality (an HLS quality, or SD/HD/4K; defaults to
+   *   the profile's download quality) and the request's profile
+   * @returns {Promise<Object>} The download
+   */
+  async create(userId, movieId, { quality, profile = null } = {}) {
+    const restriction = restrictionCondition(profile);
+    const [movie] = await query(
+      this.db,
+      `SELECT m.id FROM movies m
+       WHERE m.id = ? AND m.file_path IS NOT NULL AND m.is_available = TRUE
+         ${restriction ? `AND ${restriction.sql}` : ''}`,
+      [movieId, ...(restriction ? restriction.params : [])]
+    );
+    if (!movie) {
+      throw new NotFoundError('Movie not found');
+    }
+
+    let resolvedQuality = PREFERENCE_QUALITIES[quality] || quality;
+    if (!resolvedQuality) {
+      const { preferences } = profile ? await getPreferences(this.db, profile) : { preferences: {} };
+      resolvedQuality = PREFERENCE_QUALITIES[preferences.downloadQuality] || 'high';
+    }
+
+    const [existing] = await query(
+      this.db,
+      'SELECT id FROM downloads WHERE user_id = ? AND movie_id = ? AND quality = ? AND status IN (?) LIMIT 1',
+      [userId, movieId, resolvedQuality, ACTIVE_STATUSES]
+    );
+    if (existing) {
+      return this.get(userId, existing.id);
+    }
+
+    const id = crypto.randomUUID();
+    await query(
+      this.db,
+      "INSERT INTO downloads (id, user_id, movie_id, quality, status, progress) VALUES (?, ?, ?, ?, 'queued', 0)",
+      [id, userId, movieId, resolvedQuality]
+    );
+    this.enqueue(id);
+    await this.emitUpdate(id);
+    return this.get(userId, id);
+  }
+
+  /**
+   * The account's downloads, newest first, with the parts of prepared bundles
+   * Downloads of titles the request's profile may not see are left out.
+   */
+  async list(userId, profile = null) {
+    const restriction = restrictionCondition(profile);
+    const rows = await query(
+      this.db,
+      `${SELECT_DOWNLOAD} WHERE d.user_id = ? ${restriction ? `AND ${restriction.sql}` : ''}
+       ORDER BY d.created_at DESC`,
+      [userId, ...(restriction ? restriction.params : [])]
+    );
+    const prepared = rows.filter((row) => row.prepared_at).map((row) => row.id);
+    const files = prepared.length > 0
+      ? await query(this.db, 'SELECT * FROM download_files WHERE download_id IN (?) ORDER BY id', [prepared])
+      : [];
+
+    return rows.map((row) => formatDownload(row, files.filter((file) => file.download_id === row.id)));
+  }
+
+  /**
+   * @throws {NotFoundError} For other accounts' downloads, and titles the profile may not see
+   */
+  async get(userId, downloadId, profile = null) {
+    const restriction = restrictionCondition(profile);
+    const [row] = await query(
+      this.db,
+      `${SELECT_DOWNLOAD} WHERE d.id = ? AND d.user_id = ? ${restriction ? `AND ${restriction.sql}` : ''}`,
+      [downloadId, userId, ...(restriction ? restriction.params : [])]
+    );
+    if (!row) {
+      throw new NotFoundError('Download not found');
+    }
+    const files = row.prepared_at
+      ? await query(this.db, 'SELECT * FROM download_files WHERE download_id = ? ORDER BY id', [downloadId])
+      : [];
+    return formatDownload(row, files);
+  }
+
+  /**
+   * Record how many bytes of the bundle the client holds
+   * @returns {Promise<Object>} The download; completed once every byte is there
+   */
+  async reportProgress(userId, downloadId, bytesReceived, profile = null) {
+    const download = await this.get(userId, downloadId, profile);
+    if (!download.ready) {
+      throw new ConflictError('The download is still being prepared');
+    }
+    if (!['downloading', 'paused', 'completed'].includes(download.status)) {
+      throw new ConflictError(`The download is ${download.status}`);
+    }
+    if (bytesReceived > download.size) {
+      throw new ValidationError(`The download is only ${download.size} bytes`);
+    }
+
+    let status = download.status === 'paused' ? 'paused' : 'downloading';
+    if (bytesReceived === download.size) {
+      status = 'completed';
+    }
+    await query(
+      this.db,
+      'UPDATE downloads SET bytes_received = ?, progress = ?, status = ? WHERE id = ?',
+      [bytesReceived, download.size > 0 ? Math.floor((bytesReceived / download.size) * 10000) / 100 : 100, status, downloadId]
+    );
+    await this.emitUpdate(downloadId);
+    return this.get(userId, downloadId, profile);
+  }
+
+  async pause(userId, downloadId, profile = null) {
+    const download = await this.get(userId, downloadId, profile);
+    if (!['queued', 'downloading'].includes(download.status)) {
+      throw new ConflictError(`A ${download.status} download can't be paused`);
+    }
+    await query(this.db, "UPDATE downloads SET status = 'paused' WHERE id = ?", [downloadId]);
+    await this.emitUpdate(downloadId);
+    return this.get(userId, downloadId, profile);
+  }
+
+  // Carry on a paused download, or prepare a failed one again
+  async resume(userId, downloadId, profile = null) {
+    const download = await this.get(userId, downloadId, profile);
+    if (!['paused', 'failed'].includes(download.status)) {
+      throw new ConflictError(`A ${download.status} download can't be resumed`);
+    }
+    await query(
+      this.db,
+      'UPDATE downloads SET status = ?, error = NULL WHERE id = ?',
+      [download.ready ? 'downloading' : 'queued', downloadId]
+    );
+    if (!download.ready) {
+      this.enqueue(downloadId);
+    }
+    await this.emitUpdate(downloadId);
+    return this.get(userId, downloadId, profile);
+  }
+
+  /**
+   * Cancel a download and forget it
+   * Transcoded copies no other download uses are deleted too.
+   */
+  async remove(userId, downloadId, profile = null) {
+    await this.get(userId, downloadId, profile);
+    this.cancel(downloadId);
+
+    const files = await query(
+      this.db,
+      "SELECT file_path FROM download_files WHERE download_id = ? AND kind = 'video'",
+      [downloadId]
+    );
+    await query(this.db, 'DELETE FROM download_files WHERE download_id = ?', [downloadId]);
+    await query(this.db, 'DELETE FROM downloads WHERE id = ?', [downloadId]);
+
+    for (const { file_path: filePath } of files) {
+      if (!filePath || !filePath.startsWith(this.cacheDir + path.sep)) {
+        continue;
+      }
+      const [{ users }] = await query(this.db, 'SELECT COUNT(*) AS users FROM download_files WHERE file_path = ?', [filePath]);
+      if (Number(users) === 0) {
+        await fs.promises.rm(filePath, { force: true });
+      }
+    }
+  }
+
+  /**
+   * A part of a prepared bundle
+   * @returns {Promise<{name, contentType, size, filePath: string|null, content: string|null}>}
+   * @throws {ConflictError} When the library file changed since the bundle was prepared
+   */
+  async getFile(userId, downloadId, fileId, profile = null) {
+    const download = await this.get(userId, downloadId, profile);
+    const file = download.files.find((candidate) => candidate.id === fileId);
+    if (!file) {
+      throw new NotFoundError('File not found');
+    }
+
+    const [row] = await query(this.db, 'SELECT file_path, content FROM download_files WHERE id = ?', [fileId]);
+    if (row.file_path) {
+      let stats;
+      try {
+        stats = await fs.promises.stat(row.file_path);
+      } catch (error) {
+        throw new NotFoundError('The file is no longer available');
+      }
+      if (stats.size !== file.size) {
+        throw new ConflictError('The file changed since the download was prepared; download it again');
+      }
+    }
+
+    return { ...file, filePath: row.file_path, content: row.content };
+  }
+
+  close() {
+    this.closed = true;
+    this.queue = [];
+    this.running.forEach((controller) => controller.abort());
+    this.encodes.forEach((encode) => encode.controller.abort());
+  }
+}
+
+module.exports = {
+  CHUNK_SIZE,
+  PREFERENCE_QUALITIES,
+  DownloadQueue
+};
@@ -0,0 +1,79 @@
+const { KIDS_PROFILE, createTestDatabase, createUser, createMovie } = require('../database/testDatabase');
+const { query } = require('../database/query');
+const { DownloadQueue } = require('./downloads');
+
+describe('DownloadQueue', () => {
+  let db;
+  let queue;
+  let userId;
+  let heat;
+  let totoro;
+
+  // A prepared bundle with only its metadata, so nothing has to be transcoded
+  const createDownload = async (id, movieId, createdAt) => {
+    await query(
+      db,
+      `INSERT INTO downloads (id, user_id, movie_id, quality, status, progress, size, prepared_at, created_at)
+       VALUES (?, ?, ?, 'high', 'downloading', 0, 2, NOW(), ?)`,
+      [id, userId, movieId, createdAt]
+    );
+    const file = await query(
+      db,
+      `INSERT INTO download_files (download_id, kind, name, content_type, size, content)
+       VALUES (?, 'metadata', 'metadata.json', 'application/json', 2, '{}')`,
+      [id]
+    );
+    return file.insertId;
+  };
+
+  beforeEach(async () => {
+    db = await createTestDatabase();
+    queue = new DownloadQueue(db);
+    userId = await createUser(db, 'alice');
+    heat = await createMovie(db, 'Heat', { content_rating: 'R' });
+    totoro = await createMovie(db, 'Totoro', { content_rating: 'G' });
+  });
+
+  afterEach(() => {
+    queue.close();
+    db.end();
+  });
+
+  test('lists the account\'s downloads, newest first', async () => {
+    await createDownload('heat-download', heat, new Date('2024-01-01T00:00:00Z'));
+    await createDownload('totoro-download', totoro, new Date('2024-02-01T00:00:00Z'));
+
+    const downloads = await queue.list(userId);
+
+    expect(downloads.map((download) => download.id)).toEqual(['totoro-download', 'heat-download']);
+    expect(downloads[0]).toMatchObject({ title: 'Totoro', ready: true, files: [{ kind: 'metadata' }] });
+  });
+
+  test('reports other accounts\' downloads as missing', async () => {
+    await createDownload('heat-download', heat, new Date());
+
+    await expect(queue.get(userId + 1, 'heat-download')).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('hides downloads of titles the profile may not see', async () => {
+    const heatFile = await createDownload('heat-download', heat, new Date('2024-01-01T00:00:00Z'));
+    const totoroFile = await createDownload('totoro-download', totoro, new Date('2024-02-01T00:00:00Z'));
+
+    expect((await queue.list(userId, KIDS_PROFILE)).map((download) => download.id)).toEqual(['totoro-download']);
+    expect(await queue.get(userId, 'totoro-download', KIDS_PROFILE)).toMatchObject({ movieId: totoro });
+    expect(await queue.getFile(userId, 'totoro-download', totoroFile, KIDS_PROFILE)).toMatchObject({
+      kind: 'metadata',
+      content: '{}'
+    });
+
+    await expect(queue.get(userId, 'heat-download', KIDS_PROFILE)).rejects.toMatchObject({ statusCode: 404 });
+    await expect(queue.getFile(userId, 'heat-download', heatFile, KIDS_PROFILE)).rejects.toMatchObject({
+      statusCode: 404
+    });
+    await expect(queue.pause(userId, 'heat-download', KIDS_PROFILE)).rejects.toMatchObject({ statusCode: 404 });
+    await expect(queue.remove(userId, 'heat-download', KIDS_PROFILE)).rejects.toMatchObject({ statusCode: 404 });
+
+    // The unrestricted profile still sees both
+    expect(await queue.list(userId)).toHaveLength(2);
+  });
+});
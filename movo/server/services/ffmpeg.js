@@ -0,0 +1,233 @@
+/**
+ * Thin wrappers around the ffmpeg and ffprobe binaries
+ * Paths can be overridden with FFMPEG_PATH and FFPROBE_PATH
+ */
+
+const { spawn } = require('child_process');
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+
+/**
+ * Run a binary and collect its output
+ * @param {Object} options - { signal } to kill the process with an AbortController
+ * @returns {Promise<{stdout: Buffer, stderr: string}>}
+ */
+const run = (binary, args, { signal } = {}) => {
+  return new Promise((resolve, reject) => {
+    const child = spawn(binary, args, { stdio: ['ignore', 'pipe', 'pipe'], signal });
+    const stdout = [];
+    let stderr = '';
+
+    child.stdout.on('data', (chunk) => stdout.push(chunk));
+    child.stderr.on('data', (chunk) => {
+      stderr += chunk.toString();
+    });
+    child.on('error', (error) => {
+      if (error.code === 'ENOENT') {
+        return reject(new Error(`${binary} is not installed or not on PATH`));
+      }
+      if (error.name === 'AbortError') {
+        return reject(error);
+      }
+      reject(error);
+    });
+    child.on('close', (code) => {
+      if (code !== 0) {
+        const lastLine = stderr.trim().split('\n').pop();
+        return reject(new Error(`${binary} exited with code ${code}: ${lastLine}`));
+      }
+      resolve({ stdout: Buffer.concat(stdout), stderr });
+    });
+  });
+};
+
+// Input seeking (-ss before -i) is fast; reported timestamps restart at zero
+const windowArgs = (filePath, { start = 0, duration } = {}) => {
+  const args = ['-hide_banner', '-nostats'];
+  if (start > 0) {
+    args.push('-ss', String(start));
+  }
+  args.push('-i', filePath);
+  if (duration) {
+    args.push('-t', String(duration));
+  }
+  return args;
+};
+
+/**
+ * Get the duration of a media file in seconds
+ */
+const probeDuration = async (filePath) => {
+  const { stdout } = await run(FFPROBE_PATH, [
+    '-v', 'error',
+    '-show_entries', 'format=duration',
+    '-of', 'default=noprint_wrappers=1:nokey=1',
+    filePath
+  ]);
+  const duration = parseFloat(stdout.toString().trim());
+  if (!Number.isFinite(duration)) {
+    throw new Error(`Could not read duration of ${filePath}`);
+  }
+  return duration;
+};
+
+/**
+ * Get the duration and first video stream's dimensions
+ * @returns {Promise<{duration: number, width: number, height: number}>}
+ */
+const probeVideo = async (filePath) => {
+  const { stdout } = await run(FFPROBE_PATH, [
+    '-v', 'error',
+    '-select_streams', 'v:0',
+    '-show_entries', 'stream=width,height:format=duration',
+    '-of', 'json',
+    filePath
+  ]);
+  const info = JSON.parse(stdout.toString());
+  const [stream] = info.streams || [];
+  if (!stream) {
+    throw new Error(`No video stream in ${filePath}`);
+  }
+  return {
+    duration: parseFloat(info.format && info.format.duration) || null,
+    width: stream.width,
+    height: stream.height
+  };
+};
+
+/**
+ * Encode one HLS rendition
+ * Writes an EVENT playlist that grows as segments are finished, so playback
+ * can begin before the whole file is packaged.
+ * @param {string} filePath - Source file
+ * @param {string} outputDir - Directory for index.m3u8 and segments
+ * @param {Object} rendition - { height, videoBitrate, audioBitrate }
+ * @param {Object} options - { segmentDuration, signal }
+ */
+const encodeHls = (filePath, outputDir, rendition, { segmentDuration = 6, signal } = {}) => {
+  return run(FFMPEG_PATH, [
+    '-hide_banner', '-nostats', '-loglevel', 'error', '-y',
+    '-i', filePath,
+    '-map', '0:v:0', '-map', '0:a:0?',
+    '-vf', `scale=-2:${rendition.height}`,
+    '-c:v', 'libx264', '-preset', 'veryfast', '-profile:v', 'high',
+    '-b:v', String(rendition.videoBitrate),
+    '-maxrate', String(rendition.videoBitrate),
+    '-bufsize', String(rendition.videoBitrate * 2),
+    // Fixed keyframe interval so every rendition cuts segments at the same times
+    '-force_key_frames', `expr:gte(t,n_forced*${segmentDuration})`, '-sc_threshold', '0',
+    '-c:a', 'aac', '-ac', '2', '-b:a', String(rendition.audioBitrate),
+    '-f', 'hls',
+    '-hls_time', String(segmentDuration),
+    '-hls_playlist_type', 'event',
+    '-hls_segment_filename', `${outputDir}/seg_%05d.ts`,
+    `${outputDir}/index.m3u8`
+  ], { signal });
+};
+
+/**
+ * Encode a single MP4 for offline viewing
+ * The index goes at the front (faststart) so playback can begin from a
+ * partly read file.
+ * @param {string} filePath - Source file
+ * @param {string} outputPath - MP4 to write
+ * @param {Object} rendition - { height, videoBitrate, audioBitrate }
+ * @param {Object} options - { signal }
+ */
+const encodeMp4 = (filePath, outputPath, rendition, { signal } = {}) => {
+  return run(FFMPEG_PATH, [
+    '-hide_banner', '-nostats', '-loglevel', 'error', '-y',
+    '-i', filePath,
+    '-map', '0:v:0', '-map', '0:a:0?',
+    '-vf', `scale=-2:${rendition.height}`,
+    '-c:v', 'libx264', '-preset', 'veryfast', '-profile:v', 'high',
+    '-b:v', String(rendition.videoBitrate),
+    '-maxrate', String(rendition.videoBitrate),
+    '-bufsize', String(rendition.videoBitrate * 2),
+    '-c:a', 'aac', '-ac', '2', '-b:a', String(rendition.audioBitrate),
+    '-movflags', '+faststart',
+    '-f', 'mp4',
+    outputPath
+  ], { signal });
+};
+
+/**
+ * Find black video segments
+ * @returns {Promise<Array<{start: number, end: number}>>} Absolute times in seconds
+ */
+const detectBlackFrames = async (filePath, { start = 0, duration, minDuration = 0.5, threshold = 0.1 } = {}) => {
+  const { stderr } = await run(FFMPEG_PATH, [
+    ...windowArgs(filePath, { start, duration }),
+    '-vf', `blackdetect=d=${minDuration}:pix_th=${threshold}`,
+    '-an', '-f', 'null', '-'
+  ]);
+
+  const segments = [];
+  const pattern = /black_start:\s*([\d.]+)\s+black_end:\s*([\d.]+)/g;
+  let match;
+  while ((match = pattern.exec(stderr)) !== null) {
+    segments.push({ start: start + parseFloat(match[1]), end: start + parseFloat(match[2]) });
+  }
+  return segments;
+};
+
+/**
+ * Find silent audio segments
+ * @returns {Promise<Array<{start: number, end: number}>>} Absolute times in seconds
+ */
+const detectSilence = async (filePath, { start = 0, duration, minDuration = 0.5, noise = '-50dB' } = {}) => {
+  const { stderr } = await run(FFMPEG_PATH, [
+    ...windowArgs(filePath, { start, duration }),
+    '-af', `silencedetect=noise=${noise}:d=${minDuration}`,
+    '-vn', '-f', 'null', '-'
+  ]);
+
+  const segments = [];
+  let openStart = null;
+  stderr.split('\n').forEach((line) => {
+    const startMatch = line.match(/silence_start:\s*(-?[\d.]+)/);
+    const endMatch = line.match(/silence_end:\s*([\d.]+)/);
+    if (startMatch) {
+      openStart = Math.max(0, parseFloat(startMatch[1]));
+    } else if (endMatch && openStart !== null) {
+      segments.push({ start: start + openStart, end: start + parseFloat(endMatch[1]) });
+      openStart = null;
+    }
+  });
+
+  // Silence running to the end of the window
+  if (openStart !== null && duration) {
+    segments.push({ start: start + openStart, end: start + duration });
+  }
+  return segments;
+};
+
+/**
+ * Decode a window of audio to mono float samples
+ * @returns {Promise<Float32Array>}
+ */
+const decodeAudio = async (filePath, { start = 0, duration, sampleRate = 8000 } = {}) => {
+  const { stdout } = await run(FFMPEG_PATH, [
+    ...windowArgs(filePath, { start, duration }),
+    '-vn', '-ac', '1', '-ar', String(sampleRate),
+    '-f', 's16le', '-acodec', 'pcm_s16le', '-'
+  ]);
+
+  const sampleCount = Math.floor(stdout.length / 2);
+  const samples = new Float32Array(sampleCount);
+  for (let i = 0; i < sampleCount; i++) {
+    samples[i] = stdout.readInt16LE(i * 2) / 32768;
+  }
+  return samples;
+};
+
+module.exports = {
+  probeDuration,
+  probeVideo,
+  encodeHls,
+  encodeMp4,
+  detectBlackFrames,
+  detectSilence,
+  decodeAudio
+};
@@ -0,0 +1,67 @@
+/**
+ * File fingerprints for the library index
+ * A fingerprint is the file size plus a hash of its first and last chunk
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { query } = require('../database/query');
+
+// Bytes hashed from the start and the end of each file
+const HASH_CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Hash the size plus the first and last chunk of a file
+ * Cheap enough for multi-GB files while still telling re-encodes apart.
+ */
+const computePartialHash = async (filePath, size) => {
+  const hash = crypto.createHash('sha256');
+  hash.update(String(size));
+
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const headLength = Math.min(HASH_CHUNK_SIZE, size);
+    const head = Buffer.alloc(headLength);
+    await handle.read(head, 0, headLength, 0);
+    hash.update(head);
+
+    if (size > HASH_CHUNK_SIZE) {
+      const tailLength = Math.min(HASH_CHUNK_SIZE, size - HASH_CHUNK_SIZE);
+      const tail = Buffer.alloc(tailLength);
+      await handle.read(tail, 0, tailLength, size - tailLength);
+      hash.update(tail);
+    }
+  } finally {
+    await handle.close();
+  }
+
+  return hash.digest('hex');
+};
+
+/**
+ * Insert or refresh the index entry for a file
+ */
+const indexFile = async (db, movieId, filePath, stats, partialHash) => {
+  const hash = partialHash || (await computePartialHash(filePath, stats.size));
+
+  await query(
+    db,
+    `INSERT INTO library_files (movie_id, file_path, file_size, mtime_ms, partial_hash, last_seen_at)
+     VALUES (?, ?, ?, ?, ?, NOW())
+     ON DUPLICATE KEY UPDATE
+       movie_id = VALUES(movie_id),
+       file_size = VALUES(file_size),
+       mtime_ms = VALUES(mtime_ms),
+       partial_hash = VALUES(partial_hash),
+       is_missing = FALSE,
+       last_seen_at = NOW()`,
+    [movieId, filePath, stats.size, Math.floor(stats.mtimeMs), hash]
+  );
+
+  return hash;
+};
+
+module.exports = {
+  computePartialHash,
+  indexFile
+};
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTestDatabase } = require('../database/testDatabase');
+const { query } = require('../database/query');
+const { computePartialHash, indexFile } = require('./fileFingerprint');
+
+const CHUNK = 64 * 1024;
+
+describe('fileFingerprint', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'movo-fingerprint-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const writeFile = (name, buffer) => {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, buffer);
+    return filePath;
+  };
+
+  const hashOf = (filePath) => computePartialHash(filePath, fs.statSync(filePath).size);
+
+  describe('computePartialHash', () => {
+    test('is the same for identical content at different paths', async () => {
+      const content = Buffer.alloc(3 * CHUNK, 7);
+
+      expect(await hashOf(writeFile('a.mkv', content))).toBe(await hashOf(writeFile('b.mkv', content)));
+    });
+
+    test('changes when the first or last chunk changes', async () => {
+      const original = Buffer.alloc(3 * CHUNK, 7);
+      const head = Buffer.from(original);
+      head[10] = 8;
+      const tail = Buffer.from(original);
+      tail[tail.length - 10] = 8;
+
+      const hash = await hashOf(writeFile('original.mkv', original));
+
+      expect(await hashOf(writeFile('head.mkv', head))).not.toBe(hash);
+      expect(await hashOf(writeFile('tail.mkv', tail))).not.toBe(hash);
+    });
+
+    test('ignores the middle of large files', async () => {
+      const original = Buffer.alloc(3 * CHUNK, 7);
+      const middle = Buffer.from(original);
+      middle[Math.floor(1.5 * CHUNK)] = 8;
+
+      expect(await hashOf(writeFile('middle.mkv', middle))).toBe(await hashOf(writeFile('original.mkv', original)));
+    });
+
+    test('includes the size, so truncated copies differ', async () => {
+      const filePath = writeFile('small.mkv', Buffer.from('tiny'));
+
+      expect(await computePartialHash(filePath, 4)).not.toBe(await computePartialHash(filePath, 3));
+    });
+
+    test('handles files between one and two chunks long', async () => {
+      const filePath = writeFile('short.mkv', Buffer.alloc(CHUNK + 100, 1));
+
+      expect(await hashOf(filePath)).toMatch(/^[0-9a-f]{64}$/);
+    });
+  });
+
+  describe('indexFile', () => {
+    let db;
+
+    beforeEach(async () => {
+      db = await createTestDatabase();
+    });
+
+    afterEach(() => {
+      db.end();
+    });
+
+    const insertMovie = async (filePath) => {
+      const result = await query(db, 'INSERT INTO movies (title, file_path, file_name) VALUES (?, ?, ?)', [
+        'Heat',
+        filePath,
+        path.basename(filePath)
+      ]);
+      return result.insertId;
+    };
+
+    test('inserts an entry and refreshes it on the next call', async () => {
+      const filePath = writeFile('heat.mkv', Buffer.from('first video'));
+      const movieId = await insertMovie(filePath);
+      const stats = fs.statSync(filePath);
+
+      const hash = await indexFile(db, movieId, filePath, stats);
+      await query(db, 'UPDATE library_files SET is_missing = TRUE WHERE file_path = ?', [filePath]);
+
+      fs.appendFileSync(filePath, '!');
+      const newStats = fs.statSync(filePath);
+      const newHash = await indexFile(db, movieId, filePath, newStats);
+
+      const rows = await query(db, 'SELECT * FROM library_files WHERE file_path = ?', [filePath]);
+      expect(rows).toHaveLength(1);
+      expect(newHash).not.toBe(hash);
+      expect(rows[0]).toMatchObject({ movie_id: movieId, partial_hash: newHash });
+      expect(Number(rows[0].file_size)).toBe(newStats.size);
+      expect(Number(rows[0].mtime_ms)).toBe(Math.floor(newStats.mtimeMs));
+      expect(Boolean(rows[0].is_missing)).toBe(false);
+    });
+
+    test('stores a precomputed hash without reading the file', async () => {
+      const filePath = path.join(dir, 'not-on-disk.mkv');
+      const movieId = await insertMovie(filePath);
+
+      await indexFile(db, movieId, filePath, { size: 10, mtimeMs: 1000 }, 'precomputed');
+
+      const [row] = await query(db, 'SELECT partial_hash FROM library_files WHERE movie_id = ?', [movieId]);
+      expect(row.partial_hash).toBe('precomputed');
+    });
+  });
+});
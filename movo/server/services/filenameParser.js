@@ -0,0 +1,210 @@
+/**
+ * Filename parser for local library files
+ * Turns scene-style names such as `The.Dark.Knight.2008.BluRay.mp4` into
+ * structured title/year/quality information
+ */
+
+const path = require('path');
+
+const VIDEO_EXTENSIONS = [
+  '.mp4', '.mkv', '.avi', '.mov', '.wmv', '.flv', '.webm', '.m4v', '.mpg', '.mpeg', '.ts', '.m2ts'
+];
+
+const RESOLUTION_PATTERN = /\b(2160p|1440p|1080p|1080i|720p|576p|480p|4k|uhd)\b/i;
+const SOURCE_PATTERN = /\b(blu-?ray|bdrip|brrip|bdremux|remux|web-?dl|web-?rip|webrip|hdtv|dvdrip|dvdscr|dvd|hdrip|hdcam|cam|telesync)\b/i;
+const EDITION_PATTERN = /\b(extended(?: cut| edition)?|director'?s cut|directors cut|unrated|uncut|theatrical(?: cut)?|remastered|imax|criterion|special edition|ultimate edition|final cut)\b/i;
+const YEAR_PATTERN = /(?:^|[\s([])((?:19|20)\d{2})(?=$|[\s)\]])/g;
+
+// S01E02, S1E2, S01E02E03
+const SEASON_EPISODE_PATTERN = /\bS(\d{1,2})\s?E(\d{1,3})\b/i;
+// 1x02, 10x12
+const CROSS_EPISODE_PATTERN = /\b(\d{1,2})x(\d{2,3})\b/i;
+
+const RESOLUTION_ALIASES = {
+  '4k': '2160p',
+  uhd: '2160p'
+};
+
+const SOURCE_ALIASES = {
+  bluray: 'BluRay',
+  'blu-ray': 'BluRay',
+  bdrip: 'BDRip',
+  brrip: 'BRRip',
+  bdremux: 'Remux',
+  remux: 'Remux',
+  'web-dl': 'WEB-DL',
+  webdl: 'WEB-DL',
+  'web-rip': 'WEBRip',
+  webrip: 'WEBRip',
+  hdtv: 'HDTV',
+  dvdrip: 'DVDRip',
+  dvdscr: 'DVDScr',
+  dvd: 'DVD',
+  hdrip: 'HDRip',
+  hdcam: 'CAM',
+  cam: 'CAM',
+  telesync: 'TS'
+};
+
+const isVideoFile = (fileName) => {
+  return VIDEO_EXTENSIONS.includes(path.extname(fileName).toLowerCase());
+};
+
+// Replace scene separators with spaces, keeping hyphens inside words
+const normalizeSeparators = (name) => {
+  return name
+    .replace(/[._]+/g, ' ')
+    .replace(/\s+-\s+/g, ' - ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+const toTitleCase = (title) => {
+  if (title !== title.toLowerCase() && title !== title.toUpperCase()) {
+    return title;
+  }
+  return title.toLowerCase().replace(/(^|\s)(\S)/g, (match, space, char) => space + char.toUpperCase());
+};
+
+const cleanTitle = (raw) => {
+  const title = raw
+    .replace(/[[(]\s*$/, '')
+    .replace(/\[[^\]]*\]/g, ' ')
+    .replace(/\(\s*\)/g, ' ')
+    .replace(/[\s\-([]+$/, '')
+    .replace(/^[\s\-)\]]+/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return toTitleCase(title);
+};
+
+// The title year is the last year-looking token that is not the whole name,
+// so "2001 A Space Odyssey 1968" and "1917 2019" both resolve correctly
+const findYear = (name) => {
+  const matches = [...name.matchAll(YEAR_PATTERN)];
+  const candidates = matches.filter((match) => match.index > 0);
+  if (candidates.length === 0) {
+    return null;
+  }
+  const match = candidates[candidates.length - 1];
+  return {
+    value: parseInt(match[1], 10),
+    index: match.index + match[0].indexOf(match[1])
+  };
+};
+
+const findPattern = (name, pattern) => {
+  const match = name.match(pattern);
+  if (!match) {
+    return null;
+  }
+  return { value: match[1], index: match.index, match };
+};
+
+const findEpisode = (name) => {
+  const seasonEpisode = name.match(SEASON_EPISODE_PATTERN);
+  if (seasonEpisode) {
+    return {
+      season: parseInt(seasonEpisode[1], 10),
+      episode: parseInt(seasonEpisode[2], 10),
+      index: seasonEpisode.index,
+      length: seasonEpisode[0].length
+    };
+  }
+
+  const cross = name.match(CROSS_EPISODE_PATTERN);
+  if (cross) {
+    return {
+      season: parseInt(cross[1], 10),
+      episode: parseInt(cross[2], 10),
+      index: cross.index,
+      length: cross[0].length
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Parse a library filename
+ * @param {string} fileName - File name with or without directories
+ * @returns {Object} Parsed title, year, resolution, source, edition and episode info
+ */
+const parseFilename = (fileName) => {
+  const baseName = path.basename(fileName, path.extname(fileName));
+  const name = normalizeSeparators(baseName);
+
+  const year = findYear(name);
+  const resolution = findPattern(name, RESOLUTION_PATTERN);
+  const source = findPattern(name, SOURCE_PATTERN);
+  const edition = findPattern(name, EDITION_PATTERN);
+  const episode = findEpisode(name);
+
+  // The title is whatever precedes the first recognised tag; a tag at the very
+  // start is part of the title ("Cam", "Remastered")
+  const markers = [year, resolution, source, edition, episode]
+    .filter((marker) => marker && marker.index > 0)
+    .map((marker) => marker.index);
+  const titleEnd = markers.length > 0 ? Math.min(...markers) : name.length;
+
+  let title = cleanTitle(name.slice(0, titleEnd));
+  if (!title) {
+    title = cleanTitle(name);
+  }
+
+  const result = {
+    title,
+    year: year ? year.value : null,
+    resolution: resolution
+      ? RESOLUTION_ALIASES[resolution.value.toLowerCase()] || resolution.value.toLowerCase()
+      : null,
+    source: source ? SOURCE_ALIASES[source.value.toLowerCase()] || source.value : null,
+    edition: edition ? toTitleCase(edition.value.replace(/directors cut/i, "director's cut")) : null,
+    mediaType: episode ? 'episode' : 'movie',
+    season: null,
+    episode: null,
+    episodeTitle: null
+  };
+
+  if (episode) {
+    result.season = episode.season;
+    result.episode = episode.episode;
+
+    const rest = name.slice(episode.index + episode.length);
+    const restMarkers = [resolution, source, edition]
+      .filter((marker) => marker && marker.index > episode.index)
+      .map((marker) => marker.index - episode.index - episode.length);
+    const episodeTitleEnd = restMarkers.length > 0 ? Math.min(...restMarkers) : rest.length;
+    result.episodeTitle = cleanTitle(rest.slice(0, episodeTitleEnd)) || null;
+  }
+
+  return result;
+};
+
+/**
+ * Build search candidates for metadata matching from a parsed filename
+ * @param {Object} parsed - Result of parseFilename
+ * @returns {Array<{title: string, year: number|null}>}
+ */
+const buildPossibleMatches = (parsed) => {
+  const candidates = [{ title: parsed.title, year: parsed.year }];
+
+  // "Movie - Subtitle" or "Movie aka Other Name" also get searched on their own
+  const parts = parsed.title.split(/\s+-\s+|\s+aka\s+/i).filter(Boolean);
+  if (parts.length > 1) {
+    parts.forEach((part) => candidates.push({ title: part.trim(), year: parsed.year }));
+  }
+
+  if (parsed.year) {
+    candidates.push({ title: parsed.title, year: null });
+  }
+
+  return candidates;
+};
+
+module.exports = {
+  VIDEO_EXTENSIONS,
+  isVideoFile,
+  parseFilename,
+  buildPossibleMatches
+};
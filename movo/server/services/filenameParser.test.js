@@ -0,0 +1,116 @@
+const { isVideoFile, parseFilename, buildPossibleMatches } = require('./filenameParser');
+
+describe('filenameParser', () => {
+  describe('isVideoFile', () => {
+    test('matches video extensions case-insensitively', () => {
+      expect(isVideoFile('/movies/Heat.MKV')).toBe(true);
+      expect(isVideoFile('clip.m2ts')).toBe(true);
+      expect(isVideoFile('Heat.srt')).toBe(false);
+      expect(isVideoFile('README')).toBe(false);
+    });
+  });
+
+  describe('parseFilename', () => {
+    test('parses scene-style movie names', () => {
+      expect(parseFilename('The.Matrix.1999.1080p.BluRay.x264.mkv')).toEqual({
+        title: 'The Matrix',
+        year: 1999,
+        resolution: '1080p',
+        source: 'BluRay',
+        edition: null,
+        mediaType: 'movie',
+        season: null,
+        episode: null,
+        episodeTitle: null
+      });
+    });
+
+    test('ignores directories in the path', () => {
+      expect(parseFilename('/library/1999/Heat.1995.mkv')).toMatchObject({ title: 'Heat', year: 1995 });
+    });
+
+    test('keeps a year at the start of the name as part of the title', () => {
+      expect(parseFilename('2001.A.Space.Odyssey.1968.2160p.mkv')).toMatchObject({
+        title: '2001 A Space Odyssey',
+        year: 1968
+      });
+      expect(parseFilename('1917.2019.mp4')).toMatchObject({ title: '1917', year: 2019 });
+    });
+
+    test('normalises resolution and source aliases', () => {
+      expect(parseFilename('Dune.2021.4K.WEB-DL.mkv')).toMatchObject({ resolution: '2160p', source: 'WEB-DL' });
+      expect(parseFilename('Dune.2021.UHD.webrip.mkv')).toMatchObject({ resolution: '2160p', source: 'WEBRip' });
+    });
+
+    test('reads editions and brackets', () => {
+      expect(parseFilename('Blade Runner (1982) Directors Cut [1080p].mkv')).toMatchObject({
+        title: 'Blade Runner',
+        year: 1982,
+        resolution: '1080p',
+        edition: "Director's Cut"
+      });
+      expect(parseFilename('Aliens.1986.Extended.Edition.mkv')).toMatchObject({
+        title: 'Aliens',
+        edition: 'Extended Edition'
+      });
+    });
+
+    test('keeps a tag at the very start as the title', () => {
+      expect(parseFilename('Remastered.2021.mkv')).toMatchObject({ title: 'Remastered', year: 2021 });
+    });
+
+    test('title-cases names that are all one case', () => {
+      expect(parseFilename('the_big_lebowski_1998.avi').title).toBe('The Big Lebowski');
+      expect(parseFilename('GOODFELLAS.1990.mkv').title).toBe('Goodfellas');
+      expect(parseFilename('McQueen.2018.mkv').title).toBe('McQueen');
+    });
+
+    test('parses SxxEyy episodes with an episode title', () => {
+      expect(parseFilename('Breaking.Bad.S01E02.Cats.in.the.Bag.720p.HDTV.mkv')).toEqual({
+        title: 'Breaking Bad',
+        year: null,
+        resolution: '720p',
+        source: 'HDTV',
+        edition: null,
+        mediaType: 'episode',
+        season: 1,
+        episode: 2,
+        episodeTitle: 'Cats in the Bag'
+      });
+    });
+
+    test('parses 1x02 episodes', () => {
+      expect(parseFilename('the_office_2x05_halloween.avi')).toMatchObject({
+        title: 'The Office',
+        mediaType: 'episode',
+        season: 2,
+        episode: 5,
+        episodeTitle: 'Halloween'
+      });
+    });
+
+    test('leaves the episode title empty when only tags follow', () => {
+      expect(parseFilename('Severance.S02E01.1080p.mkv')).toMatchObject({
+        title: 'Severance',
+        season: 2,
+        episode: 1,
+        episodeTitle: null
+      });
+    });
+  });
+
+  describe('buildPossibleMatches', () => {
+    test('searches alternative titles and the title without its year', () => {
+      expect(buildPossibleMatches(parseFilename('Leon aka The Professional 1994.mkv'))).toEqual([
+        { title: 'Leon aka The Professional', year: 1994 },
+        { title: 'Leon', year: 1994 },
+        { title: 'The Professional', year: 1994 },
+        { title: 'Leon aka The Professional', year: null }
+      ]);
+    });
+
+    test('only searches the title when there is nothing else to try', () => {
+      expect(buildPossibleMatches({ title: 'Heat', year: null })).toEqual([{ title: 'Heat', year: null }]);
+    });
+  });
+});
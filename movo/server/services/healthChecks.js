@@ -0,0 +1,152 @@
+/**
+ * Health checks
+ * Readiness looks at what a request needs: the database, free space on the
+ * library roots and the HLS cache, and the transcoding queue. Each check
+ * reports up, degraded or down (or disabled); only down makes the server
+ * unready. Liveness only says the process is answering.
+ */
+
+const fs = require('fs');
+const { query } = require('../database/query');
+
+const DB_TIMEOUT_MS = parseInt(process.env.HEALTH_DB_TIMEOUT_MS || '2000', 10);
+const MIN_FREE_DISK_MB = parseInt(process.env.HEALTH_MIN_FREE_DISK_MB || '1024', 10);
+const MAX_HLS_QUEUE = parseInt(process.env.HEALTH_MAX_HLS_QUEUE || '50', 10);
+
+const STATUS = {
+  UP: 'up',
+  DEGRADED: 'degraded',
+  DOWN: 'down',
+  DISABLED: 'disabled'
+};
+
+const withTimeout = (promise, ms, message) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Check out a connection and ping it
+ */
+const checkDatabase = async (db, timeout = DB_TIMEOUT_MS) => {
+  const started = Date.now();
+  try {
+    await withTimeout(
+      new Promise((resolve, reject) => db.ping((err) => (err ? reject(err) : resolve()))),
+      timeout,
+      `No response within ${timeout}ms`
+    );
+    return { status: STATUS.UP, dialect: db.dialect, latencyMs: Date.now() - started };
+  } catch (error) {
+    return { status: STATUS.DOWN, dialect: db.dialect, error: error.message };
+  }
+};
+
+// The watcher already holds the roots; without it they come from the database
+const listLibraryRoots = async (db, watcher) => {
+  if (watcher) {
+    return watcher.listRoots().map((root) => root.path);
+  }
+  const rows = await query(db, 'SELECT path FROM library_roots');
+  return rows.map((row) => row.path);
+};
+
+const describeDisk = async (name, directory, minFreeBytes) => {
+  try {
+    const stats = await fs.promises.statfs(directory);
+    const freeBytes = stats.bavail * stats.bsize;
+    return {
+      name,
+      path: directory,
+      status: freeBytes < minFreeBytes ? STATUS.DOWN : STATUS.UP,
+      freeBytes,
+      totalBytes: stats.blocks * stats.bsize
+    };
+  } catch (error) {
+    // An unmounted share is as bad as a full disk
+    return { name, path: directory, status: STATUS.DOWN, error: error.message };
+  }
+};
+
+/**
+ * Free space on every library root and the HLS cache
+ * A volume under HEALTH_MIN_FREE_DISK_MB, or one that can't be read, is down.
+ */
+const checkDiskSpace = async (db, { watcher = null, packager = null, minFreeMb = MIN_FREE_DISK_MB } = {}) => {
+  const minFreeBytes = minFreeMb * 1024 * 1024;
+  let roots;
+  try {
+    roots = await listLibraryRoots(db, watcher);
+  } catch (error) {
+    return { status: STATUS.DOWN, error: `Could not list library roots: ${error.message}`, volumes: [] };
+  }
+
+  const targets = roots.map((root) => ['library', root]);
+  if (packager) {
+    // The cache is created on first use
+    await fs.promises.mkdir(packager.cacheDir, { recursive: true }).catch(() => {});
+    targets.push(['hls-cache', packager.cacheDir]);
+  }
+
+  const volumes = await Promise.all(targets.map(([name, directory]) => describeDisk(name, directory, minFreeBytes)));
+  return {
+    status: volumes.some((volume) => volume.status === STATUS.DOWN) ? STATUS.DOWN : STATUS.UP,
+    minFreeBytes,
+    volumes
+  };
+};
+
+/**
+ * The packager must be accepting work; a long queue only degrades
+ */
+const checkTranscoding = (packager, { maxQueue = MAX_HLS_QUEUE } = {}) => {
+  if (!packager) {
+    return { status: STATUS.DISABLED };
+  }
+
+  const queue = packager.getStatus();
+  let status = STATUS.UP;
+  if (queue.closed) {
+    status = STATUS.DOWN;
+  } else if (queue.queued > maxQueue) {
+    status = STATUS.DEGRADED;
+  }
+  return { status, ...queue };
+};
+
+/**
+ * Run every readiness check
+ * @param {Object} locals - app.locals (db, libraryWatcher, hlsPackager)
+ * @returns {Promise<{status: string, checks: Object}>} status is healthy, degraded or unhealthy
+ */
+const runHealthChecks = async ({ db, libraryWatcher, hlsPackager }) => {
+  const [database, disk] = await Promise.all([
+    checkDatabase(db),
+    checkDiskSpace(db, { watcher: libraryWatcher, packager: hlsPackager })
+  ]);
+  const checks = {
+    database,
+    disk,
+    transcoding: checkTranscoding(hlsPackager)
+  };
+
+  const statuses = Object.values(checks).map((check) => check.status);
+  let status = 'healthy';
+  if (statuses.includes(STATUS.DOWN)) {
+    status = 'unhealthy';
+  } else if (statuses.includes(STATUS.DEGRADED)) {
+    status = 'degraded';
+  }
+  return { status, checks };
+};
+
+module.exports = {
+  STATUS,
+  checkDatabase,
+  checkDiskSpace,
+  checkTranscoding,
+  runHealthChecks
+};
@@ -0,0 +1,370 @@
+/**
+ * HLS packaging
+ * Segments library files into per-quality renditions on the client's
+ * low/medium/high/ultra ladder, cached on disk under HLS_CACHE_DIR. Renditions
+ * above the source resolution are never offered. Packaging runs in the
+ * background through a queue (HLS_CONCURRENCY jobs at a time), or on demand
+ * when a player asks for a rendition that is not ready yet; on-demand jobs
+ * start straight away.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ffmpeg = require('./ffmpeg');
+const { logger } = require('../middleware/errorHandler');
+
+const HLS_CACHE_DIR = process.env.HLS_CACHE_DIR || path.join(__dirname, '..', 'cache', 'hls');
+const HLS_CONCURRENCY = parseInt(process.env.HLS_CONCURRENCY) || 1;
+const SEGMENT_DURATION = 6;
+const AUDIO_BITRATE = 128000;
+
+// Total bandwidths match QUALITY_BITRATES in the client's streamingService
+const RENDITIONS = [
+  { quality: 'low', height: 480, bandwidth: 1500000 },
+  { quality: 'medium', height: 720, bandwidth: 4000000 },
+  { quality: 'high', height: 1080, bandwidth: 8000000 },
+  { quality: 'ultra', height: 2160, bandwidth: 16000000 }
+].map((rendition) => ({
+  ...rendition,
+  videoBitrate: rendition.bandwidth - AUDIO_BITRATE,
+  audioBitrate: AUDIO_BITRATE
+}));
+
+const QUALITIES = RENDITIONS.map((rendition) => rendition.quality);
+
+// Sources a little under a rung (e.g. 1916x1036) still get that rung
+const HEIGHT_TOLERANCE = 1.1;
+
+const STATUS = {
+  READY: 'ready',
+  PACKAGING: 'packaging',
+  QUEUED: 'queued',
+  FAILED: 'failed',
+  NOT_PACKAGED: 'not_packaged'
+};
+
+const readJson = async (filePath) => {
+  try {
+    return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+class HlsPackager {
+  constructor({ cacheDir = HLS_CACHE_DIR, concurrency = HLS_CONCURRENCY } = {}) {
+    this.cacheDir = cacheDir;
+    this.concurrency = concurrency;
+    this.jobs = new Map();
+    this.queue = [];
+    this.running = 0;
+    this.closed = false;
+    this.loading = new Map();
+  }
+
+  movieDir(movieId) {
+    return path.join(this.cacheDir, String(movieId));
+  }
+
+  renditionDir(movieId, quality) {
+    return path.join(this.movieDir(movieId), quality);
+  }
+
+  /**
+   * Probe the source and make sure the cache belongs to the current file
+   * A replaced or modified file discards every cached rendition.
+   * @param {Object} movie - movies row (id, file_path)
+   * @returns {Promise<Object>} { width, height, duration, size, mtimeMs }
+   */
+  loadSource(movie) {
+    // Concurrent playlist requests share one probe
+    if (!this.loading.has(movie.id)) {
+      const pending = this.readSource(movie).finally(() => this.loading.delete(movie.id));
+      this.loading.set(movie.id, pending);
+    }
+    return this.loading.get(movie.id);
+  }
+
+  async readSource(movie) {
+    const stats = await fs.promises.stat(movie.file_path);
+    const metaPath = path.join(this.movieDir(movie.id), 'source.json');
+    const meta = await readJson(metaPath);
+
+    if (meta && meta.filePath === movie.file_path && meta.size === stats.size && meta.mtimeMs === stats.mtimeMs) {
+      return meta;
+    }
+
+    if (meta) {
+      logger.info(`Source for movie ${movie.id} changed; discarding cached HLS renditions`);
+      this.cancelMovie(movie.id);
+    }
+    await fs.promises.rm(this.movieDir(movie.id), { recursive: true, force: true });
+
+    const video = await ffmpeg.probeVideo(movie.file_path);
+    const fresh = {
+      filePath: movie.file_path,
+      size: stats.size,
+      mtimeMs: stats.mtimeMs,
+      ...video
+    };
+    await fs.promises.mkdir(this.movieDir(movie.id), { recursive: true });
+    await fs.promises.writeFile(metaPath, JSON.stringify(fresh));
+    return fresh;
+  }
+
+  // A marker file written after ffmpeg exits cleanly; removed with the rendition
+  async isCompleted(movieId, quality) {
+    try {
+      await fs.promises.access(path.join(this.renditionDir(movieId, quality), 'complete'));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Renditions that make sense for a source
+   */
+  applicableRenditions(source) {
+    const fitting = RENDITIONS.filter((rendition) => rendition.height <= source.height * HEIGHT_TOLERANCE);
+    return fitting.length > 0 ? fitting : [RENDITIONS[0]];
+  }
+
+  /**
+   * Status of every rendition offered for a movie
+   * @returns {Promise<Array<{quality, height, bandwidth, status, error?}>>}
+   */
+  async getRenditions(movie) {
+    const source = await this.loadSource(movie);
+
+    return Promise.all(this.applicableRenditions(source).map(async (rendition) => {
+      const job = this.jobs.get(`${movie.id}:${rendition.quality}`);
+      let status = STATUS.NOT_PACKAGED;
+      if (await this.isCompleted(movie.id, rendition.quality)) {
+        status = STATUS.READY;
+      } else if (job) {
+        status = job.status;
+      }
+
+      return {
+        quality: rendition.quality,
+        height: rendition.height,
+        bandwidth: rendition.bandwidth,
+        status,
+        ...(job && job.error ? { error: job.error } : {})
+      };
+    }));
+  }
+
+  /**
+   * Queue renditions for background packaging
+   * @param {Object} movie - movies row (id, file_path)
+   * @param {string[]} qualities - Defaults to every applicable rendition
+   * @returns {Promise<Array>} Rendition statuses after queueing
+   */
+  async packageMovie(movie, qualities = null) {
+    const source = await this.loadSource(movie);
+    for (const rendition of this.applicableRenditions(source)) {
+      const wanted = !qualities || qualities.includes(rendition.quality);
+      if (wanted && !(await this.isCompleted(movie.id, rendition.quality))) {
+        this.enqueue(movie, rendition, { immediate: false });
+      }
+    }
+
+    return this.getRenditions(movie);
+  }
+
+  enqueue(movie, rendition, { immediate }) {
+    const key = `${movie.id}:${rendition.quality}`;
+    const existing = this.jobs.get(key);
+    if (existing && existing.status !== STATUS.FAILED) {
+      if (immediate && existing.status === STATUS.QUEUED) {
+        this.queue = this.queue.filter((job) => job !== existing);
+        this.start(existing);
+      }
+      return existing;
+    }
+
+    const job = { key, movie, rendition, status: STATUS.QUEUED, error: null, controller: new AbortController() };
+    job.done = new Promise((resolve) => {
+      job.resolve = resolve;
+    });
+    this.jobs.set(key, job);
+
+    if (immediate) {
+      this.start(job);
+    } else {
+      this.queue.push(job);
+      this.drain();
+    }
+    return job;
+  }
+
+  drain() {
+    while (!this.closed && this.running < this.concurrency && this.queue.length > 0) {
+      this.start(this.queue.shift());
+    }
+  }
+
+  async start(job) {
+    job.status = STATUS.PACKAGING;
+    this.running++;
+    const outputDir = this.renditionDir(job.movie.id, job.rendition.quality);
+
+    try {
+      // A half-written rendition from an interrupted run cannot be resumed
+      await fs.promises.rm(outputDir, { recursive: true, force: true });
+      await fs.promises.mkdir(outputDir, { recursive: true });
+      await ffmpeg.encodeHls(job.movie.file_path, outputDir, job.rendition, {
+        segmentDuration: SEGMENT_DURATION,
+        signal: job.controller.signal
+      });
+      await fs.promises.writeFile(path.join(outputDir, 'complete'), new Date().toISOString());
+      job.status = STATUS.READY;
+      logger.info(`Packaged ${job.rendition.quality} HLS rendition of movie ${job.movie.id}`);
+    } catch (error) {
+      job.status = STATUS.FAILED;
+      job.error = error.message;
+      if (error.name !== 'AbortError') {
+        logger.error(`HLS packaging failed for movie ${job.movie.id} (${job.rendition.quality}):`, error);
+      }
+    } finally {
+      this.running--;
+      if (job.status === STATUS.READY) {
+        this.jobs.delete(job.key);
+      }
+      job.resolve(job.status);
+      this.drain();
+    }
+  }
+
+  /**
+   * Make sure a rendition's playlist can be served, packaging it on demand
+   * Resolves as soon as the first segment exists.
+   * @param {Object} movie - movies row (id, file_path)
+   * @param {string} quality - Rendition quality
+   * @param {number} timeout - Milliseconds to wait for the first segment
+   * @returns {Promise<string|null>} Playlist path, or null if it is not ready in time
+   * @throws {Error} If the quality is not offered or packaging failed
+   */
+  async ensurePlaylist(movie, quality, timeout = 30000) {
+    const source = await this.loadSource(movie);
+    const rendition = this.applicableRenditions(source).find((candidate) => candidate.quality === quality);
+    if (!rendition) {
+      const error = new Error(`Quality ${quality} is not available for this movie`);
+      error.code = 'RENDITION_UNAVAILABLE';
+      throw error;
+    }
+
+    const playlistPath = path.join(this.renditionDir(movie.id, quality), 'index.m3u8');
+    if (await this.isCompleted(movie.id, quality)) {
+      return playlistPath;
+    }
+
+    const job = this.enqueue(movie, rendition, { immediate: true });
+    const deadline = Date.now() + timeout;
+
+    while (Date.now() < deadline) {
+      if (job.status === STATUS.FAILED) {
+        throw new Error(job.error || 'Packaging failed');
+      }
+      try {
+        const playlist = await fs.promises.readFile(playlistPath, 'utf8');
+        if (playlist.includes('#EXTINF')) {
+          return playlistPath;
+        }
+      } catch (error) {
+        // Not written yet
+      }
+      await Promise.race([job.done, wait(500)]);
+    }
+    return null;
+  }
+
+  /**
+   * Build the master playlist for the renditions offered
+   * @param {Array} renditions - From getRenditions
+   * @param {Object} source - From loadSource
+   * @param {string} querySuffix - Appended to every URI (e.g. "?token=...")
+   */
+  buildMasterPlaylist(renditions, source, querySuffix = '') {
+    const lines = ['#EXTM3U', '#EXT-X-VERSION:3', '#EXT-X-INDEPENDENT-SEGMENTS'];
+    const aspect = source.width && source.height ? source.width / source.height : 16 / 9;
+
+    renditions.forEach((rendition) => {
+      const height = Math.min(rendition.height, source.height || rendition.height);
+      const width = Math.round((height * aspect) / 2) * 2;
+      lines.push(
+        `#EXT-X-STREAM-INF:BANDWIDTH=${rendition.bandwidth},RESOLUTION=${width}x${height},` +
+          'CODECS="avc1.640028,mp4a.40.2"',
+        `${rendition.quality}/index.m3u8${querySuffix}`
+      );
+    });
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Append a query string to every segment URI of a variant playlist
+   * Relative URIs do not inherit the playlist's query string, so a signed
+   * token has to be carried over explicitly.
+   */
+  rewritePlaylist(playlist, querySuffix = '') {
+    if (!querySuffix) {
+      return playlist;
+    }
+    return playlist
+      .split('\n')
+      .map((line) => (line && !line.startsWith('#') ? `${line}${querySuffix}` : line))
+      .join('\n');
+  }
+
+  segmentPath(movieId, quality, segment) {
+    return path.join(this.renditionDir(movieId, quality), segment);
+  }
+
+  cancelMovie(movieId) {
+    this.queue = this.queue.filter((job) => job.movie.id !== movieId);
+    this.jobs.forEach((job) => {
+      if (job.movie.id === movieId) {
+        job.controller.abort();
+        this.jobs.delete(job.key);
+      }
+    });
+  }
+
+  /**
+   * Queue state for health checks
+   * @returns {{queued: number, running: number, concurrency: number, failed: number, closed: boolean}}
+   */
+  getStatus() {
+    let failed = 0;
+    this.jobs.forEach((job) => {
+      if (job.status === STATUS.FAILED) {
+        failed++;
+      }
+    });
+    return {
+      queued: this.queue.length,
+      running: this.running,
+      concurrency: this.concurrency,
+      failed,
+      closed: this.closed
+    };
+  }
+
+  close() {
+    this.closed = true;
+    this.queue = [];
+    this.jobs.forEach((job) => job.controller.abort());
+  }
+}
+
+module.exports = {
+  QUALITIES,
+  RENDITIONS,
+  HEIGHT_TOLERANCE,
+  HlsPackager
+};
@@ -0,0 +1,295 @@
+/**
+ * Intro/outro detection for library files
+ * Episodes: the intro and end credits are found by matching audio
+ * fingerprints against other episodes of the same series.
+ * Movies (and episodes without a match): black-frame and silence detection,
+ * with end credits recognised as a long, mostly black stretch near the end.
+ */
+
+const { query } = require('../database/query');
+const ffmpeg = require('./ffmpeg');
+const { computeFingerprint, findSharedSegment } = require('./audioFingerprint');
+const { logger } = require('../middleware/errorHandler');
+
+const SAMPLE_RATE = 8000;
+// Seconds from the start searched for a shared intro
+const EPISODE_INTRO_WINDOW = 600;
+// Seconds before the end searched for shared credits
+const EPISODE_OUTRO_WINDOW = 420;
+const MIN_SHARED_DURATION = 15;
+// Intros from different episodes agreeing within this many seconds
+const AGREEMENT_TOLERANCE = 3;
+const MAX_REFERENCE_EPISODES = 2;
+
+const MOVIE_INTRO_WINDOW = 300;
+const MIN_CREDITS_WINDOW = 600;
+const CREDITS_WINDOW_FRACTION = 0.15;
+// Credits are white text on black: gaps between black segments stay short
+const CREDITS_MAX_GAP = 2;
+const MIN_CREDITS_DURATION = 30;
+
+const fingerprintCache = new Map();
+const FINGERPRINT_CACHE_SIZE = 32;
+
+const round = (value) => Math.round(value * 10) / 10;
+const roundConfidence = (value) => Math.round(value * 100) / 100;
+
+const getFingerprint = async (filePath, start, duration) => {
+  const key = `${filePath}:${Math.round(start)}:${Math.round(duration)}`;
+  if (fingerprintCache.has(key)) {
+    return fingerprintCache.get(key);
+  }
+
+  const samples = await ffmpeg.decodeAudio(filePath, { start, duration, sampleRate: SAMPLE_RATE });
+  const fingerprint = computeFingerprint(samples, SAMPLE_RATE);
+
+  if (fingerprintCache.size >= FINGERPRINT_CACHE_SIZE) {
+    fingerprintCache.delete(fingerprintCache.keys().next().value);
+  }
+  fingerprintCache.set(key, fingerprint);
+  return fingerprint;
+};
+
+// Combine matches against several reference episodes into one segment
+const combineMatches = (matches) => {
+  if (matches.length === 0) {
+    return null;
+  }
+
+  const [first, second] = [...matches].sort((a, b) => b.score - a.score);
+  if (
+    second &&
+    Math.abs(first.start - second.start) <= AGREEMENT_TOLERANCE &&
+    Math.abs(first.end - second.end) <= AGREEMENT_TOLERANCE
+  ) {
+    return {
+      start: (first.start + second.start) / 2,
+      end: (first.end + second.end) / 2,
+      confidence: Math.min(1, (first.score + second.score) / 2 + 0.15)
+    };
+  }
+
+  // A single reference, or references that disagree
+  return { ...first, confidence: first.score * (second ? 0.6 : 0.8) };
+};
+
+/**
+ * Find the intro and end credits an episode shares with its siblings
+ */
+const detectSharedSegments = async (filePath, duration, references) => {
+  const introWindow = Math.min(EPISODE_INTRO_WINDOW, duration * 0.4);
+  const outroWindow = Math.min(EPISODE_OUTRO_WINDOW, duration * 0.3);
+  const outroStart = duration - outroWindow;
+
+  const ownHead = await getFingerprint(filePath, 0, introWindow);
+  const ownTail = await getFingerprint(filePath, outroStart, outroWindow);
+
+  const introMatches = [];
+  const outroMatches = [];
+
+  for (const reference of references) {
+    try {
+      const referenceDuration = await ffmpeg.probeDuration(reference.file_path);
+      const referenceHead = await getFingerprint(
+        reference.file_path,
+        0,
+        Math.min(EPISODE_INTRO_WINDOW, referenceDuration * 0.4)
+      );
+      const intro = findSharedSegment(ownHead, referenceHead, { minDuration: MIN_SHARED_DURATION });
+      if (intro) {
+        introMatches.push({ start: intro.startA, end: intro.endA, score: intro.score });
+      }
+
+      const referenceOutroWindow = Math.min(EPISODE_OUTRO_WINDOW, referenceDuration * 0.3);
+      const referenceTail = await getFingerprint(
+        reference.file_path,
+        referenceDuration - referenceOutroWindow,
+        referenceOutroWindow
+      );
+      const outro = findSharedSegment(ownTail, referenceTail, { minDuration: MIN_SHARED_DURATION });
+      if (outro) {
+        outroMatches.push({
+          start: outroStart + outro.startA,
+          end: outroStart + outro.endA,
+          score: outro.score
+        });
+      }
+    } catch (error) {
+      logger.warn(`Skipping reference episode ${reference.file_path}: ${error.message}`);
+    }
+  }
+
+  return { intro: combineMatches(introMatches), outro: combineMatches(outroMatches) };
+};
+
+const overlaps = (a, b, tolerance = 0.5) => a.start <= b.end + tolerance && b.start <= a.end + tolerance;
+
+/**
+ * Opening titles usually end on a cut to black with silence; take the last
+ * such boundary in the opening window
+ */
+const detectMovieIntro = async (filePath, duration) => {
+  const window = Math.min(MOVIE_INTRO_WINDOW, duration * 0.2);
+  const [black, silence] = await Promise.all([
+    ffmpeg.detectBlackFrames(filePath, { duration: window }),
+    ffmpeg.detectSilence(filePath, { duration: window })
+  ]);
+
+  const boundaries = black.filter(
+    (segment) => segment.end >= 10 && silence.some((quiet) => overlaps(segment, quiet))
+  );
+  if (boundaries.length === 0) {
+    return null;
+  }
+
+  const last = boundaries[boundaries.length - 1];
+  return {
+    start: 0,
+    end: last.end,
+    confidence: Math.min(0.6, 0.35 + 0.1 * boundaries.length)
+  };
+};
+
+/**
+ * End credits: the first long, mostly black stretch in the closing window;
+ * otherwise the first cut to black with silence
+ */
+const detectMovieCredits = async (filePath, duration) => {
+  const window = Math.min(duration * 0.5, Math.max(MIN_CREDITS_WINDOW, duration * CREDITS_WINDOW_FRACTION));
+  const start = duration - window;
+  const [black, silence] = await Promise.all([
+    ffmpeg.detectBlackFrames(filePath, { start, duration: window, minDuration: 0.2 }),
+    ffmpeg.detectSilence(filePath, { start, duration: window })
+  ]);
+
+  const runs = [];
+  black.forEach((segment) => {
+    const current = runs[runs.length - 1];
+    if (current && segment.start - current.end <= CREDITS_MAX_GAP) {
+      current.end = segment.end;
+      current.blackTime += segment.end - segment.start;
+    } else {
+      runs.push({ start: segment.start, end: segment.end, blackTime: segment.end - segment.start });
+    }
+  });
+
+  const credits = runs.find(
+    (run) => run.end - run.start >= MIN_CREDITS_DURATION && run.blackTime / (run.end - run.start) >= 0.5
+  );
+  if (credits) {
+    const coverage = (credits.end - credits.start) / (duration - credits.start);
+    return {
+      start: credits.start,
+      end: duration,
+      confidence: Math.min(0.9, 0.5 + 0.4 * coverage)
+    };
+  }
+
+  const cut = black.find(
+    (segment) => duration - segment.start >= MIN_CREDITS_DURATION &&
+      silence.some((quiet) => overlaps(segment, quiet))
+  );
+  if (cut) {
+    return { start: cut.end, end: duration, confidence: 0.4 };
+  }
+
+  return null;
+};
+
+/**
+ * Analyze a library file
+ * @param {Object} db - Database pool
+ * @param {Object} movie - movies row (id, title, file_path, media_type, season/episode)
+ * @returns {Promise<Object>} Timestamps in seconds with per-segment confidence
+ */
+const analyzeMovie = async (db, movie) => {
+  const filePath = movie.file_path;
+  const duration = await ffmpeg.probeDuration(filePath);
+
+  let intro = null;
+  let outro = null;
+  let introMethod = null;
+  let outroMethod = null;
+
+  if (movie.media_type === 'episode') {
+    const references = await query(
+      db,
+      `SELECT id, file_path FROM movies
+       WHERE media_type = 'episode' AND title = ? AND id != ?
+         AND file_path IS NOT NULL AND is_available = TRUE
+       ORDER BY (season_number = ?) DESC, ABS(COALESCE(episode_number, 0) - ?)
+       LIMIT ?`,
+      [movie.title, movie.id, movie.season_number, movie.episode_number || 0, MAX_REFERENCE_EPISODES]
+    );
+
+    if (references.length > 0) {
+      const shared = await detectSharedSegments(filePath, duration, references);
+      intro = shared.intro;
+      outro = shared.outro;
+      introMethod = intro ? 'audio-fingerprint' : null;
+      outroMethod = outro ? 'audio-fingerprint' : null;
+    }
+  }
+
+  if (!intro) {
+    intro = await detectMovieIntro(filePath, duration);
+    introMethod = intro ? 'black-silence' : null;
+  }
+  if (!outro) {
+    outro = await detectMovieCredits(filePath, duration);
+    outroMethod = outro ? 'end-credits' : null;
+  }
+
+  const confidences = [intro, outro].filter(Boolean).map((segment) => segment.confidence);
+
+  return {
+    introStart: intro ? round(intro.start) : null,
+    introEnd: intro ? round(intro.end) : null,
+    outroStart: outro ? round(outro.start) : null,
+    duration: round(duration),
+    introConfidence: intro ? roundConfidence(intro.confidence) : null,
+    outroConfidence: outro ? roundConfidence(outro.confidence) : null,
+    confidence: confidences.length > 0 ? roundConfidence(Math.min(...confidences)) : 0,
+    introMethod,
+    outroMethod
+  };
+};
+
+/**
+ * Store analysis results for a movie
+ */
+const saveAnalysis = (db, movieId, results) => {
+  return query(
+    db,
+    `INSERT INTO video_analysis
+      (movie_id, duration, intro_start, intro_end, outro_start,
+       intro_confidence, outro_confidence, intro_method, outro_method, analyzed_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
+     ON DUPLICATE KEY UPDATE
+       duration = VALUES(duration),
+       intro_start = VALUES(intro_start),
+       intro_end = VALUES(intro_end),
+       outro_start = VALUES(outro_start),
+       intro_confidence = VALUES(intro_confidence),
+       outro_confidence = VALUES(outro_confidence),
+       intro_method = VALUES(intro_method),
+       outro_method = VALUES(outro_method),
+       analyzed_at = NOW()`,
+    [
+      movieId,
+      results.duration,
+      results.introStart,
+      results.introEnd,
+      results.outroStart,
+      results.introConfidence,
+      results.outroConfidence,
+      results.introMethod,
+      results.outroMethod
+    ]
+  );
+};
+
+module.exports = {
+  analyzeMovie,
+  saveAnalysis
+};
@@ -0,0 +1,143 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { createTestDatabase } = require('../database/testDatabase');
+const { query } = require('../database/query');
+const { analyzeMovie } = require('./introDetector');
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+
+// Seconds a detected boundary may be off by
+const TOLERANCE = 1.5;
+
+const isInstalled = (binary) => !spawnSync(binary, ['-version'], { stdio: 'ignore' }).error;
+const describeWithFfmpeg = isInstalled(FFMPEG_PATH) && isInstalled(FFPROBE_PATH) ? describe : describe.skip;
+
+// Render a small test clip from lavfi sources
+const render = (outputPath, filterGraph) => {
+  const result = spawnSync(
+    FFMPEG_PATH,
+    [
+      '-hide_banner', '-loglevel', 'error', '-y',
+      '-filter_complex', filterGraph,
+      '-map', '[v]', '-map', '[a]',
+      '-c:v', 'mpeg4', '-q:v', '5', '-c:a', 'pcm_s16le',
+      outputPath
+    ],
+    { encoding: 'utf8' }
+  );
+  if (result.status !== 0) {
+    throw new Error(`Could not render ${outputPath}: ${result.stderr}`);
+  }
+  return outputPath;
+};
+
+// Seeded noise is sample-identical wherever it is rendered
+const noise = (seed, duration) => `anoisesrc=seed=${seed}:d=${duration}:a=0.5:r=48000`;
+
+/**
+ * An episode whose audio is a sequence of noise segments
+ * @param {Array<[number, number]>} segments - [seed, seconds] pairs
+ */
+const renderEpisode = (outputPath, segments) => {
+  const duration = segments.reduce((total, [, seconds]) => total + seconds, 0);
+  const inputs = segments.map(([seed, seconds], i) => `${noise(seed, seconds)}[a${i}]`);
+  const labels = segments.map((segment, i) => `[a${i}]`).join('');
+
+  return render(
+    outputPath,
+    [
+      `testsrc=s=160x90:r=10:d=${duration}[v]`,
+      ...inputs,
+      `${labels}concat=n=${segments.length}:v=0:a=1[a]`
+    ].join(';')
+  );
+};
+
+describeWithFfmpeg('introDetector (ffmpeg)', () => {
+  let db;
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'movo-intro-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    db = await createTestDatabase();
+  });
+
+  afterEach(() => {
+    db.end();
+  });
+
+  const insertMovie = async (fields) => {
+    const result = await query(db, 'INSERT INTO movies SET ?', [
+      { file_name: path.basename(fields.file_path), ...fields }
+    ]);
+    return { id: result.insertId, media_type: 'movie', ...fields };
+  };
+
+  test('finds a movie intro at a cut to black with silence and the end credits', async () => {
+    // Picture and tone, a 2 second black silent cut at 20s, black credits
+    // from 80s to 117s and a short post-credits scene
+    const filePath = render(
+      path.join(dir, 'movie.mkv'),
+      [
+        'testsrc=s=160x90:r=10:d=120[picture]',
+        'color=c=black:s=160x90:r=10:d=120[black]',
+        "[black][picture]overlay=enable='between(t,0,20)+between(t,22,80)+gte(t,117)'[v]",
+        "sine=f=440:d=120,volume=0:enable='between(t,20,22)'[a]"
+      ].join(';')
+    );
+    const movie = await insertMovie({ title: 'Heat', file_path: filePath });
+
+    const result = await analyzeMovie(db, movie);
+
+    expect(result.introMethod).toBe('black-silence');
+    expect(result.introStart).toBe(0);
+    expect(Math.abs(result.introEnd - 22)).toBeLessThanOrEqual(TOLERANCE);
+    expect(result.outroMethod).toBe('end-credits');
+    expect(Math.abs(result.outroStart - 80)).toBeLessThanOrEqual(TOLERANCE);
+    expect(Math.abs(result.duration - 120)).toBeLessThanOrEqual(TOLERANCE);
+    expect(result.confidence).toBeGreaterThan(0);
+  });
+
+  test('finds an episode intro and credits shared with another episode', async () => {
+    // Seed 42 is the theme and seed 99 the credits music; episode 2 has a cold open
+    const first = renderEpisode(path.join(dir, 'show-s01e01.mkv'), [
+      [42, 20],
+      [1, 50],
+      [99, 20]
+    ]);
+    const second = renderEpisode(path.join(dir, 'show-s01e02.mkv'), [
+      [7, 10],
+      [42, 20],
+      [2, 40],
+      [99, 20]
+    ]);
+
+    await insertMovie({ title: 'Show', file_path: first, media_type: 'episode', season_number: 1, episode_number: 1 });
+    const episode = await insertMovie({
+      title: 'Show',
+      file_path: second,
+      media_type: 'episode',
+      season_number: 1,
+      episode_number: 2
+    });
+
+    const result = await analyzeMovie(db, episode);
+
+    expect(result.introMethod).toBe('audio-fingerprint');
+    expect(Math.abs(result.introStart - 10)).toBeLessThanOrEqual(TOLERANCE);
+    expect(Math.abs(result.introEnd - 30)).toBeLessThanOrEqual(TOLERANCE);
+    expect(result.outroMethod).toBe('audio-fingerprint');
+    expect(Math.abs(result.outroStart - 70)).toBeLessThanOrEqual(TOLERANCE);
+    expect(result.introConfidence).toBeGreaterThan(0.5);
+  });
+});
@@ -0,0 +1,333 @@
+/**
+ * Library file index
+ * Keeps a fingerprint (path, size, mtime and partial content hash) of every
+ * scanned file so rescans only touch what changed, and renamed or moved files
+ * keep their movie row (metadata, watch history, intro/outro timestamps)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { LIKE_ESCAPE, escapeLike, query } = require('../database/query');
+const { walkDirectory, describeFile, saveScannedFile } = require('./libraryScanner');
+const { computePartialHash, indexFile } = require('./fileFingerprint');
+const { syncSidecars } = require('./subtitles');
+const { logger } = require('../middleware/errorHandler');
+
+const fingerprintOf = (entry) => `${entry.fileSize}:${entry.partialHash}`;
+
+const toIndexEntry = (row) => ({
+  id: row.id,
+  movieId: row.movie_id,
+  filePath: row.file_path,
+  fileSize: Number(row.file_size),
+  mtimeMs: Number(row.mtime_ms),
+  partialHash: row.partial_hash,
+  isMissing: Boolean(row.is_missing)
+});
+
+/**
+ * Load index entries that live below the given roots
+ */
+const loadIndexEntries = async (db, roots) => {
+  const entries = new Map();
+
+  for (const root of roots) {
+    const prefix = path.resolve(root) + path.sep;
+    const rows = await query(
+      db,
+      `SELECT id, movie_id, file_path, file_size, mtime_ms, partial_hash, is_missing
+       FROM library_files
+       WHERE file_path LIKE ? ${LIKE_ESCAPE}`,
+      [`${escapeLike(prefix)}%`]
+    );
+
+    rows.forEach((row) => entries.set(row.file_path, toIndexEntry(row)));
+  }
+
+  return entries;
+};
+
+/**
+ * Compare the files on disk with the index
+ * Pure bookkeeping: nothing is written to the database here.
+ */
+const diffAgainstIndex = async (found, indexed) => {
+  const unchanged = [];
+  const changed = [];
+  const restored = [];
+  const candidatesAdded = [];
+  const errors = [];
+
+  for (const { filePath, stats } of found) {
+    const entry = indexed.get(filePath);
+
+    if (entry && entry.isMissing) {
+      restored.push({ ...entry, stats });
+      continue;
+    }
+
+    if (entry && entry.fileSize === stats.size && entry.mtimeMs === Math.floor(stats.mtimeMs)) {
+      unchanged.push(entry);
+      continue;
+    }
+
+    let partialHash;
+    try {
+      partialHash = await computePartialHash(filePath, stats.size);
+    } catch (error) {
+      errors.push({ path: filePath, message: error.message });
+      continue;
+    }
+
+    if (!entry) {
+      candidatesAdded.push({ filePath, stats, fileSize: stats.size, partialHash });
+    } else if (entry.fileSize === stats.size && entry.partialHash === partialHash) {
+      // Touched but identical content: refresh the mtime silently
+      unchanged.push({ ...entry, stats, touched: true });
+    } else {
+      changed.push({ ...entry, stats, partialHash });
+    }
+  }
+
+  const foundPaths = new Set(found.map((file) => file.filePath));
+  const candidatesRemoved = [...indexed.values()].filter((entry) => !foundPaths.has(entry.filePath));
+
+  // A removed (or previously missing) entry whose fingerprint reappears under
+  // a new path is a move
+  const removedByFingerprint = new Map();
+  candidatesRemoved.forEach((entry) => {
+    const key = fingerprintOf(entry);
+    if (!removedByFingerprint.has(key)) {
+      removedByFingerprint.set(key, []);
+    }
+    removedByFingerprint.get(key).push(entry);
+  });
+
+  const moved = [];
+  const added = [];
+  candidatesAdded.forEach((file) => {
+    const matches = removedByFingerprint.get(fingerprintOf(file));
+    if (matches && matches.length > 0) {
+      moved.push({ from: matches.shift(), to: file });
+    } else {
+      added.push(file);
+    }
+  });
+
+  const movedFrom = new Set(moved.map((move) => move.from.filePath));
+  const removed = candidatesRemoved.filter(
+    (entry) => !movedFrom.has(entry.filePath) && !entry.isMissing
+  );
+
+  return { added, removed, moved, changed, restored, unchanged, errors };
+};
+
+const addFile = async (db, file) => {
+  const described = describeFile(file.filePath, file.stats);
+  const movieId = await saveScannedFile(db, described);
+  await indexFile(db, movieId, file.filePath, file.stats, file.partialHash);
+  return { ...described, movieId };
+};
+
+const moveFile = async (db, from, to) => {
+  await query(db, 'UPDATE movies SET file_path = ?, file_name = ?, is_available = TRUE WHERE id = ?', [
+    to.filePath,
+    path.basename(to.filePath),
+    from.movieId
+  ]);
+  await query(
+    db,
+    `UPDATE library_files
+     SET file_path = ?, mtime_ms = ?, is_missing = FALSE, last_seen_at = NOW()
+     WHERE id = ?`,
+    [to.filePath, Math.floor(to.stats.mtimeMs), from.id]
+  );
+  return { movieId: from.movieId, from: from.filePath, to: to.filePath };
+};
+
+const updateChangedFile = async (db, entry) => {
+  await query(db, 'UPDATE movies SET file_size = ?, scanned_at = NOW() WHERE id = ?', [
+    entry.stats.size,
+    entry.movieId
+  ]);
+  await indexFile(db, entry.movieId, entry.filePath, entry.stats, entry.partialHash);
+  return {
+    movieId: entry.movieId,
+    filePath: entry.filePath,
+    previousSize: entry.fileSize,
+    fileSize: entry.stats.size
+  };
+};
+
+// Missing files keep their movie row and index entry so they can come back
+// (or be matched as a move) without losing metadata or watch history
+const markMissing = async (db, entry) => {
+  await query(db, 'UPDATE movies SET is_available = FALSE WHERE id = ?', [entry.movieId]);
+  await query(db, 'UPDATE library_files SET is_missing = TRUE WHERE id = ?', [entry.id]);
+  return { movieId: entry.movieId, filePath: entry.filePath };
+};
+
+const restoreFile = async (db, entry) => {
+  await query(db, 'UPDATE movies SET is_available = TRUE, file_size = ? WHERE id = ?', [
+    entry.stats.size,
+    entry.movieId
+  ]);
+  await indexFile(db, entry.movieId, entry.filePath, entry.stats);
+  await query(db, 'UPDATE library_files SET is_missing = FALSE WHERE id = ?', [entry.id]);
+  return { movieId: entry.movieId, filePath: entry.filePath };
+};
+
+/**
+ * Apply a diff to the database and build the change report
+ */
+const applyDiff = async (db, diff) => {
+  const report = {
+    added: [],
+    removed: [],
+    moved: [],
+    changed: [],
+    restored: [],
+    unchanged: diff.unchanged.length
+  };
+  const errors = [];
+
+  const apply = async (items, list, action, pathOf) => {
+    for (const item of items) {
+      try {
+        list.push(await action(item));
+      } catch (error) {
+        logger.error(`Failed to update library index for ${pathOf(item)}:`, error);
+        errors.push({ path: pathOf(item), message: error.message });
+      }
+    }
+  };
+
+  await apply(diff.added, report.added, (file) => addFile(db, file), (file) => file.filePath);
+  await apply(diff.moved, report.moved, ({ from, to }) => moveFile(db, from, to), ({ to }) => to.filePath);
+  await apply(diff.changed, report.changed, (entry) => updateChangedFile(db, entry), (entry) => entry.filePath);
+  await apply(diff.restored, report.restored, (entry) => restoreFile(db, entry), (entry) => entry.filePath);
+  await apply(diff.removed, report.removed, (entry) => markMissing(db, entry), (entry) => entry.filePath);
+
+  for (const entry of diff.unchanged.filter((item) => item.touched)) {
+    await query(db, 'UPDATE library_files SET mtime_ms = ?, last_seen_at = NOW() WHERE id = ?', [
+      Math.floor(entry.stats.mtimeMs),
+      entry.id
+    ]).catch((error) => logger.error(`Failed to refresh ${entry.filePath}:`, error));
+  }
+
+  return { report, errors };
+};
+
+/**
+ * Incrementally rescan library directories
+ * @param {Object} db - Database pool
+ * @param {string[]} directories - Library roots to rescan
+ * @returns {Promise<Object>} Added, removed, moved, changed and restored files
+ */
+const rescanLibrary = async (db, directories) => {
+  const roots = directories.map((directory) => path.resolve(directory));
+  const found = [];
+  const errors = [];
+
+  for (const root of roots) {
+    const result = await walkDirectory(root);
+    found.push(...result.files);
+    errors.push(...result.errors);
+  }
+
+  // Roots that could not be read must not be treated as emptied
+  const unreadableRoots = new Set(errors.map((error) => error.path).filter((p) => roots.includes(p)));
+  const indexed = await loadIndexEntries(
+    db,
+    roots.filter((root) => !unreadableRoots.has(root))
+  );
+
+  const diff = await diffAgainstIndex(found, indexed);
+  const applied = await applyDiff(db, diff);
+  // Subtitles can change while their video doesn't, so every directory is checked
+  const sidecarErrors = await syncSidecars(db, [
+    ...found.map((file) => file.filePath),
+    ...diff.moved.map(({ from }) => from.filePath)
+  ]);
+
+  return { ...applied.report, errors: [...errors, ...diff.errors, ...applied.errors, ...sidecarErrors] };
+};
+
+/**
+ * Ingest a single file reported by the library watcher
+ * Moves are matched against missing entries anywhere in the index.
+ * @returns {Promise<Object>} Change report for the file
+ */
+const ingestFile = async (db, filePath) => {
+  const stats = await fs.promises.stat(filePath);
+  const [entry] = await query(
+    db,
+    `SELECT id, movie_id, file_path, file_size, mtime_ms, partial_hash, is_missing
+     FROM library_files WHERE file_path = ?`,
+    [filePath]
+  );
+
+  const indexed = new Map();
+  if (entry) {
+    indexed.set(entry.file_path, toIndexEntry(entry));
+  } else {
+    const partialHash = await computePartialHash(filePath, stats.size);
+    const candidates = await query(
+      db,
+      `SELECT id, movie_id, file_path, file_size, mtime_ms, partial_hash, is_missing
+       FROM library_files
+       WHERE file_size = ? AND partial_hash = ? AND is_missing = TRUE`,
+      [stats.size, partialHash]
+    );
+    candidates.forEach((row) => indexed.set(row.file_path, toIndexEntry(row)));
+  }
+
+  const diff = await diffAgainstIndex([{ filePath, stats }], indexed);
+  // Only the ingested file is in scope; unmatched candidates stay missing
+  diff.removed = [];
+  const applied = await applyDiff(db, diff);
+
+  if (applied.errors.length > 0 || diff.errors.length > 0) {
+    const [error] = [...diff.errors, ...applied.errors];
+    throw new Error(error.message);
+  }
+
+  const [sidecarError] = await syncSidecars(db, [filePath, ...diff.moved.map(({ from }) => from.filePath)]);
+  if (sidecarError) {
+    logger.error(`Failed to record subtitles in ${sidecarError.path}: ${sidecarError.message}`);
+  }
+
+  return applied.report;
+};
+
+/**
+ * Mark a file, or every file below a directory, as missing
+ * @returns {Promise<Object[]>} Removed files
+ */
+const removePath = async (db, targetPath, { isDirectory = false } = {}) => {
+  const rows = isDirectory
+    ? await query(
+        db,
+        `SELECT id, movie_id, file_path FROM library_files
+         WHERE file_path LIKE ? ${LIKE_ESCAPE} AND is_missing = FALSE`,
+        [`${escapeLike(path.resolve(targetPath) + path.sep)}%`]
+      )
+    : await query(
+        db,
+        'SELECT id, movie_id, file_path FROM library_files WHERE file_path = ? AND is_missing = FALSE',
+        [targetPath]
+      );
+
+  const removed = [];
+  for (const row of rows) {
+    removed.push(await markMissing(db, toIndexEntry(row)));
+  }
+  return removed;
+};
+
+module.exports = {
+  diffAgainstIndex,
+  rescanLibrary,
+  ingestFile,
+  removePath
+};
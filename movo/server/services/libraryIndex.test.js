@@ -0,0 +1,272 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTestDatabase } = require('../database/testDatabase');
+const { query } = require('../database/query');
+const { diffAgainstIndex, rescanLibrary, ingestFile, removePath } = require('./libraryIndex');
+
+const writeVideo = (filePath, content) => {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+};
+
+const getMovie = async (db, movieId) => {
+  const [movie] = await query(db, 'SELECT * FROM movies WHERE id = ?', [movieId]);
+  return movie;
+};
+
+const getIndexEntry = async (db, movieId) => {
+  const [entry] = await query(db, 'SELECT * FROM library_files WHERE movie_id = ?', [movieId]);
+  return entry;
+};
+
+describe('libraryIndex', () => {
+  let db;
+  let root;
+
+  beforeEach(async () => {
+    db = await createTestDatabase();
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'movo-library-'));
+  });
+
+  afterEach(() => {
+    db.end();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  const scanOnce = async (name, content = 'first video') => {
+    const filePath = path.join(root, name);
+    writeVideo(filePath, content);
+    const report = await rescanLibrary(db, [root]);
+    return { filePath, movieId: report.added[0].movieId, report };
+  };
+
+  test('indexes new files and leaves them alone on the next scan', async () => {
+    const { filePath, movieId, report } = await scanOnce('Heat.1995.1080p.BluRay.mkv');
+
+    expect(report.added).toHaveLength(1);
+    expect(report.added[0]).toMatchObject({ title: 'Heat', year: 1995, filePath });
+
+    const entry = await getIndexEntry(db, movieId);
+    expect(entry.file_path).toBe(filePath);
+    expect(Boolean(entry.is_missing)).toBe(false);
+
+    const rescan = await rescanLibrary(db, [root]);
+    expect(rescan).toMatchObject({ added: [], removed: [], moved: [], changed: [], restored: [], unchanged: 1 });
+  });
+
+  test('keeps the movie row when a file is renamed', async () => {
+    const { filePath, movieId } = await scanOnce('heat.mkv');
+    const renamed = path.join(root, 'Heat (1995).mkv');
+    fs.renameSync(filePath, renamed);
+
+    const report = await rescanLibrary(db, [root]);
+
+    expect(report.added).toEqual([]);
+    expect(report.removed).toEqual([]);
+    expect(report.moved).toEqual([{ movieId, from: filePath, to: renamed }]);
+
+    const movie = await getMovie(db, movieId);
+    expect(movie.file_path).toBe(renamed);
+    expect(movie.file_name).toBe('Heat (1995).mkv');
+    expect((await getIndexEntry(db, movieId)).file_path).toBe(renamed);
+  });
+
+  test('keeps the movie row when a file moves to another directory', async () => {
+    const { filePath, movieId } = await scanOnce('heat.mkv');
+    const moved = path.join(root, 'Crime', 'heat.mkv');
+    fs.mkdirSync(path.dirname(moved));
+    fs.renameSync(filePath, moved);
+
+    const report = await rescanLibrary(db, [root]);
+
+    expect(report.moved).toEqual([{ movieId, from: filePath, to: moved }]);
+    expect((await getMovie(db, movieId)).file_path).toBe(moved);
+  });
+
+  test('matches a file that reappears elsewhere after being marked missing', async () => {
+    const { filePath, movieId } = await scanOnce('heat.mkv');
+    const content = fs.readFileSync(filePath);
+    fs.unlinkSync(filePath);
+
+    const removal = await rescanLibrary(db, [root]);
+    expect(removal.removed).toEqual([{ movieId, filePath }]);
+
+    const moved = path.join(root, 'Archive', 'heat.mkv');
+    writeVideo(moved, content);
+    const report = await rescanLibrary(db, [root]);
+
+    expect(report.added).toEqual([]);
+    expect(report.moved).toEqual([{ movieId, from: filePath, to: moved }]);
+    expect(Boolean((await getMovie(db, movieId)).is_available)).toBe(true);
+  });
+
+  test('reports changed content and refreshes the fingerprint', async () => {
+    const { filePath, movieId } = await scanOnce('heat.mkv');
+    const before = await getIndexEntry(db, movieId);
+    fs.appendFileSync(filePath, ' re-encoded');
+
+    const report = await rescanLibrary(db, [root]);
+
+    expect(report.changed).toEqual([
+      { movieId, filePath, previousSize: 'first video'.length, fileSize: 'first video re-encoded'.length }
+    ]);
+    const after = await getIndexEntry(db, movieId);
+    expect(after.partial_hash).not.toBe(before.partial_hash);
+    expect(Number((await getMovie(db, movieId)).file_size)).toBe('first video re-encoded'.length);
+  });
+
+  test('treats a touched file with the same content as unchanged', async () => {
+    const { filePath, movieId } = await scanOnce('heat.mkv');
+    const touchedAt = new Date(Date.now() + 60 * 1000);
+    fs.utimesSync(filePath, touchedAt, touchedAt);
+
+    const report = await rescanLibrary(db, [root]);
+
+    expect(report).toMatchObject({ changed: [], moved: [], unchanged: 1 });
+    expect(Number((await getIndexEntry(db, movieId)).mtime_ms)).toBe(Math.floor(fs.statSync(filePath).mtimeMs));
+  });
+
+  test('marks deleted files missing and restores them when they come back', async () => {
+    const { filePath, movieId } = await scanOnce('heat.mkv');
+    fs.unlinkSync(filePath);
+
+    const removal = await rescanLibrary(db, [root]);
+    expect(removal.removed).toEqual([{ movieId, filePath }]);
+    expect(Boolean((await getMovie(db, movieId)).is_available)).toBe(false);
+    expect(Boolean((await getIndexEntry(db, movieId)).is_missing)).toBe(true);
+
+    writeVideo(filePath, 'first video');
+    const report = await rescanLibrary(db, [root]);
+
+    expect(report.restored).toEqual([{ movieId, filePath }]);
+    expect(report.added).toEqual([]);
+    expect(Boolean((await getMovie(db, movieId)).is_available)).toBe(true);
+    expect(Boolean((await getIndexEntry(db, movieId)).is_missing)).toBe(false);
+  });
+
+  test('does not treat an unreadable root as emptied', async () => {
+    const { movieId } = await scanOnce('heat.mkv');
+
+    const report = await rescanLibrary(db, [path.join(root, 'gone')]);
+
+    expect(report.removed).toEqual([]);
+    expect(report.errors).toHaveLength(1);
+    expect(Boolean((await getMovie(db, movieId)).is_available)).toBe(true);
+  });
+
+  describe('a root with LIKE wildcards in its path', () => {
+    let libraryRoot;
+
+    beforeEach(() => {
+      libraryRoot = path.join(root, 'my_lib 100%');
+      fs.mkdirSync(libraryRoot);
+    });
+
+    test('finds its index entries on the next scan', async () => {
+      const filePath = path.join(libraryRoot, 'heat.mkv');
+      writeVideo(filePath, 'first video');
+      const { added: [{ movieId }] } = await rescanLibrary(db, [libraryRoot]);
+
+      expect(await rescanLibrary(db, [libraryRoot])).toMatchObject({ added: [], moved: [], unchanged: 1 });
+
+      const renamed = path.join(libraryRoot, 'Heat (1995).mkv');
+      fs.renameSync(filePath, renamed);
+      const report = await rescanLibrary(db, [libraryRoot]);
+
+      expect(report).toMatchObject({ added: [], removed: [], moved: [{ movieId, from: filePath, to: renamed }] });
+      const [{ count }] = await query(db, 'SELECT COUNT(*) AS count FROM movies WHERE is_available = TRUE');
+      expect(Number(count)).toBe(1);
+    });
+
+    test('removePath finds the files below a directory', async () => {
+      writeVideo(path.join(libraryRoot, 'heat.mkv'), 'first video');
+      await rescanLibrary(db, [libraryRoot]);
+
+      const removed = await removePath(db, libraryRoot, { isDirectory: true });
+
+      expect(removed.map((file) => path.basename(file.filePath))).toEqual(['heat.mkv']);
+    });
+  });
+
+  describe('watcher events', () => {
+    test('ingestFile matches a missing entry as a move', async () => {
+      const { filePath, movieId } = await scanOnce('heat.mkv');
+      const removed = await removePath(db, filePath);
+      expect(removed).toEqual([{ movieId, filePath }]);
+
+      const moved = path.join(root, 'Crime', 'heat.mkv');
+      fs.mkdirSync(path.dirname(moved));
+      fs.renameSync(filePath, moved);
+
+      const report = await ingestFile(db, moved);
+      expect(report.moved).toEqual([{ movieId, from: filePath, to: moved }]);
+      expect(report.added).toEqual([]);
+    });
+
+    test('ingestFile adds a file with no matching fingerprint', async () => {
+      const filePath = path.join(root, 'Ronin.1998.mp4');
+      writeVideo(filePath, 'another video');
+
+      const report = await ingestFile(db, filePath);
+      expect(report.added).toHaveLength(1);
+      expect(report.added[0]).toMatchObject({ title: 'Ronin', year: 1998 });
+    });
+
+    test('removePath marks every file below a directory missing', async () => {
+      writeVideo(path.join(root, 'Crime', 'heat.mkv'), 'first video');
+      writeVideo(path.join(root, 'Crime', 'ronin.mkv'), 'second video');
+      writeVideo(path.join(root, 'Crime_Extras', 'trailer.mkv'), 'third video');
+      await rescanLibrary(db, [root]);
+
+      const removed = await removePath(db, path.join(root, 'Crime'), { isDirectory: true });
+
+      // The underscore in the sibling directory must not act as a LIKE wildcard
+      expect(removed.map((file) => path.basename(file.filePath)).sort()).toEqual(['heat.mkv', 'ronin.mkv']);
+    });
+  });
+
+  describe('diffAgainstIndex', () => {
+    const entry = (filePath, overrides = {}) => ({
+      id: 1,
+      movieId: 1,
+      filePath,
+      fileSize: 11,
+      mtimeMs: 1000,
+      partialHash: 'hash',
+      isMissing: false,
+      ...overrides
+    });
+
+    test('uses size and mtime to skip hashing unchanged files', async () => {
+      const indexed = new Map([['/library/missing.mkv', entry('/library/missing.mkv')]]);
+
+      // The file doesn't exist, so hashing it would report an error
+      const diff = await diffAgainstIndex(
+        [{ filePath: '/library/missing.mkv', stats: { size: 11, mtimeMs: 1000.4 } }],
+        indexed
+      );
+
+      expect(diff.unchanged).toHaveLength(1);
+      expect(diff.errors).toEqual([]);
+    });
+
+    test('does not report entries that were already missing as removed', async () => {
+      const indexed = new Map([['/library/old.mkv', entry('/library/old.mkv', { isMissing: true })]]);
+
+      const diff = await diffAgainstIndex([], indexed);
+
+      expect(diff.removed).toEqual([]);
+    });
+
+    test('reports files it cannot hash as errors', async () => {
+      const diff = await diffAgainstIndex(
+        [{ filePath: path.join(root, 'vanished.mkv'), stats: { size: 11, mtimeMs: 1000 } }],
+        new Map()
+      );
+
+      expect(diff.added).toEqual([]);
+      expect(diff.errors).toEqual([{ path: path.join(root, 'vanished.mkv'), message: expect.any(String) }]);
+    });
+  });
+});
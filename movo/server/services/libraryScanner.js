@@ -0,0 +1,190 @@
+/**
+ * Library scanner
+ * Walks local library directories, parses video filenames and persists the
+ * results into the movies table
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { query } = require('../database/query');
+const { isVideoFile, parseFilename, buildPossibleMatches } = require('./filenameParser');
+const { indexFile } = require('./fileFingerprint');
+const { publishNewMedia } = require('./pubsub');
+const { syncSidecars } = require('./subtitles');
+const { logger } = require('../middleware/errorHandler');
+
+const DEFAULT_MAX_DEPTH = parseInt(process.env.LIBRARY_SCAN_MAX_DEPTH) || 20;
+
+/**
+ * Recursively collect video files below a directory
+ * Hidden entries are skipped and symlinked directories are not followed to
+ * avoid loops. Unreadable directories are reported instead of aborting the scan.
+ */
+const walkDirectory = async (root, { maxDepth = DEFAULT_MAX_DEPTH } = {}) => {
+  const files = [];
+  const errors = [];
+
+  const walk = async (directory, depth) => {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(directory, { withFileTypes: true });
+    } catch (error) {
+      errors.push({ path: directory, message: error.message });
+      return;
+    }
+
+    for (const entry of entries) {
+      if (entry.name.startsWith('.')) {
+        continue;
+      }
+
+      const entryPath = path.join(directory, entry.name);
+
+      if (entry.isDirectory()) {
+        if (depth < maxDepth) {
+          await walk(entryPath, depth + 1);
+        }
+        continue;
+      }
+
+      if (!(entry.isFile() || entry.isSymbolicLink()) || !isVideoFile(entry.name)) {
+        continue;
+      }
+
+      try {
+        const stats = await fs.promises.stat(entryPath);
+        if (stats.isFile()) {
+          files.push({ filePath: entryPath, stats });
+        }
+      } catch (error) {
+        errors.push({ path: entryPath, message: error.message });
+      }
+    }
+  };
+
+  await walk(path.resolve(root), 0);
+  return { files, errors };
+};
+
+/**
+ * Describe a single library file
+ * @param {string} filePath - Absolute path to the video file
+ * @param {fs.Stats} stats - File stats
+ */
+const describeFile = (filePath, stats) => {
+  const fileName = path.basename(filePath);
+  const parsed = parseFilename(fileName);
+
+  return {
+    fileName,
+    filePath,
+    fileSize: stats.size,
+    modifiedAt: stats.mtime,
+    ...parsed,
+    possibleMatches: buildPossibleMatches(parsed)
+  };
+};
+
+/**
+ * Scan a list of library directories
+ * @param {string[]} directories - Directories to scan
+ * @param {Object} options - Scan options ({ maxDepth })
+ * @returns {Promise<{files: Object[], errors: Object[]}>}
+ */
+const scanLibrary = async (directories, options = {}) => {
+  const files = [];
+  const errors = [];
+  const seen = new Set();
+
+  for (const directory of directories) {
+    const result = await walkDirectory(directory, options);
+    errors.push(...result.errors);
+
+    result.files.forEach(({ filePath, stats }) => {
+      if (!seen.has(filePath)) {
+        seen.add(filePath);
+        files.push(describeFile(filePath, stats));
+      }
+    });
+  }
+
+  files.sort((a, b) => a.filePath.localeCompare(b.filePath));
+  return { files, errors };
+};
+
+/**
+ * Insert or refresh a scanned file in the movies table
+ * Only file-derived columns are refreshed so matched metadata is preserved.
+ * Newly inserted files are announced to newMediaAdded subscribers.
+ * @returns {Promise<number>} Movie ID
+ */
+const saveScannedFile = async (db, file) => {
+  const result = await query(
+    db,
+    `INSERT INTO movies
+      (title, file_path, file_name, file_size, release_year, resolution, source, edition,
+       media_type, season_number, episode_number, episode_title, scanned_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
+     ON DUPLICATE KEY UPDATE
+       id = LAST_INSERT_ID(id),
+       file_name = VALUES(file_name),
+       file_size = VALUES(file_size),
+       resolution = VALUES(resolution),
+       source = VALUES(source),
+       edition = VALUES(edition),
+       is_available = TRUE,
+       scanned_at = NOW()`,
+    [
+      file.title,
+      file.filePath,
+      file.fileName,
+      file.fileSize,
+      file.year,
+      file.resolution,
+      file.source,
+      file.edition,
+      file.mediaType,
+      file.season,
+      file.episode,
+      file.episodeTitle
+    ]
+  );
+
+  // ON DUPLICATE KEY UPDATE reports 1 affected row for an insert, 2 for an update
+  if (result.affectedRows === 1) {
+    publishNewMedia(result.insertId);
+  }
+  return result.insertId;
+};
+
+/**
+ * Persist scan results, annotating each file with its movie ID
+ * Every file is also fingerprinted so later rescans can be incremental, and
+ * the subtitle files next to it are recorded.
+ */
+const saveScanResults = async (db, files) => {
+  for (const file of files) {
+    try {
+      file.movieId = await saveScannedFile(db, file);
+      await indexFile(db, file.movieId, file.filePath, {
+        size: file.fileSize,
+        mtimeMs: file.modifiedAt.getTime()
+      });
+    } catch (error) {
+      logger.error(`Failed to save scanned file ${file.filePath}:`, error);
+      file.movieId = null;
+    }
+  }
+
+  const sidecarErrors = await syncSidecars(db, files.filter((file) => file.movieId).map((file) => file.filePath));
+  sidecarErrors.forEach((error) => logger.error(`Failed to record subtitles in ${error.path}: ${error.message}`));
+  return files;
+};
+
+module.exports = {
+  walkDirectory,
+  describeFile,
+  scanLibrary,
+  saveScannedFile,
+  saveScanResults
+};
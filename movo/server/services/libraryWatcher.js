@@ -0,0 +1,282 @@
+/**
+ * Library watcher
+ * Watches registered library roots and keeps the movies table in sync:
+ * new files are ingested once they stop growing, deleted files are marked
+ * unavailable. Added, edited or deleted subtitle files update the sidecars
+ * recorded for their directory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const chokidar = require('chokidar');
+const { query } = require('../database/query');
+const { isVideoFile } = require('./filenameParser');
+const { rescanLibrary, ingestFile, removePath } = require('./libraryIndex');
+const { isSubtitleFile, videoDirectoryOf, syncDirectory } = require('./subtitles');
+const { logger } = require('../middleware/errorHandler');
+
+// A file must keep the same size for this long before it is ingested
+const STABILITY_MS = parseInt(process.env.LIBRARY_WATCH_STABILITY_MS) || 10000;
+const USE_POLLING = process.env.LIBRARY_WATCH_POLLING === 'true';
+
+class LibraryWatcher {
+  constructor(db) {
+    this.db = db;
+    this.roots = new Map();
+    this.pending = new Map();
+    this.lastEvent = null;
+    this.lastError = null;
+    this.ingesting = null;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Start watching every root stored in library_roots
+   */
+  async start() {
+    const rows = await query(this.db, 'SELECT id, path, created_at, last_scan_at FROM library_roots');
+    rows.forEach((row) => this._watch(row));
+    logger.info(`Library watcher started for ${rows.length} root(s)`);
+  }
+
+  /**
+   * Register a new library root, ingest what it already holds and watch it
+   * @param {string} rootPath - Directory to watch
+   */
+  async addRoot(rootPath) {
+    const resolved = path.resolve(rootPath);
+    const stats = await fs.promises.stat(resolved);
+    if (!stats.isDirectory()) {
+      throw new Error(`${resolved} is not a directory`);
+    }
+
+    const result = await query(this.db, 'INSERT INTO library_roots (path) VALUES (?)', [resolved]);
+    const root = { id: result.insertId, path: resolved, created_at: new Date(), last_scan_at: null };
+    this._watch(root);
+    this._enqueue(() => this._scanRoot(root));
+
+    return this._describeRoot(this.roots.get(root.id));
+  }
+
+  /**
+   * Stop watching a root; already ingested movies are kept
+   * @returns {Promise<boolean>} Whether the root existed
+   */
+  async removeRoot(rootId) {
+    const result = await query(this.db, 'DELETE FROM library_roots WHERE id = ?', [rootId]);
+    const root = this.roots.get(rootId);
+
+    if (root) {
+      await root.watcher.close();
+      this.roots.delete(rootId);
+      for (const [filePath, item] of this.pending) {
+        if (filePath.startsWith(root.path + path.sep)) {
+          clearTimeout(item.timer);
+          this.pending.delete(filePath);
+        }
+      }
+    }
+
+    return result.affectedRows > 0;
+  }
+
+  listRoots() {
+    return [...this.roots.values()].map((root) => this._describeRoot(root));
+  }
+
+  getStatus() {
+    return {
+      roots: this.listRoots(),
+      lastEvent: this.lastEvent,
+      lastError: this.lastError,
+      ingesting: this.ingesting,
+      pending: [...this.pending.entries()].map(([filePath, item]) => ({
+        filePath,
+        size: item.size,
+        firstSeenAt: item.firstSeenAt,
+        lastChangeAt: item.lastChangeAt
+      }))
+    };
+  }
+
+  async close() {
+    this.pending.forEach((item) => clearTimeout(item.timer));
+    this.pending.clear();
+    await Promise.all([...this.roots.values()].map((root) => root.watcher.close()));
+    this.roots.clear();
+  }
+
+  _describeRoot(root) {
+    return {
+      id: root.id,
+      path: root.path,
+      createdAt: root.createdAt,
+      lastScanAt: root.lastScanAt,
+      watching: root.ready,
+      lastEvent: root.lastEvent
+    };
+  }
+
+  _watch(row) {
+    const watcher = chokidar.watch(row.path, {
+      ignored: /(^|[/\\])\../,
+      ignoreInitial: true,
+      persistent: true,
+      usePolling: USE_POLLING
+    });
+
+    const root = {
+      id: row.id,
+      path: row.path,
+      createdAt: row.created_at,
+      lastScanAt: row.last_scan_at,
+      ready: false,
+      lastEvent: null,
+      watcher
+    };
+    this.roots.set(row.id, root);
+
+    watcher
+      .on('ready', () => {
+        root.ready = true;
+      })
+      .on('add', (filePath, stats) => this._onFileEvent(root, 'add', filePath, stats))
+      .on('change', (filePath, stats) => this._onFileEvent(root, 'change', filePath, stats))
+      .on('unlink', (filePath) => this._onRemoveEvent(root, 'unlink', filePath, false))
+      .on('unlinkDir', (dirPath) => this._onRemoveEvent(root, 'unlinkDir', dirPath, true))
+      .on('error', (error) => {
+        logger.error(`Library watcher error for ${root.path}:`, error);
+        this.lastError = { message: error.message, at: new Date() };
+      });
+  }
+
+  _recordEvent(root, type, targetPath) {
+    const event = { type, path: targetPath, rootId: root.id, at: new Date() };
+    root.lastEvent = event;
+    this.lastEvent = event;
+  }
+
+  _onFileEvent(root, type, filePath, stats) {
+    if (isSubtitleFile(filePath)) {
+      this._recordEvent(root, type, filePath);
+      this._syncSubtitles(videoDirectoryOf(filePath));
+      return;
+    }
+    if (!isVideoFile(filePath)) {
+      return;
+    }
+    this._recordEvent(root, type, filePath);
+
+    const now = new Date();
+    const item = this.pending.get(filePath) || { firstSeenAt: now, size: null, timer: null };
+    clearTimeout(item.timer);
+    item.lastChangeAt = now;
+    item.size = stats ? stats.size : item.size;
+    item.timer = setTimeout(() => this._checkStable(filePath), STABILITY_MS);
+    this.pending.set(filePath, item);
+  }
+
+  _onRemoveEvent(root, type, targetPath, isDirectory) {
+    if (!isDirectory && isSubtitleFile(targetPath)) {
+      this._recordEvent(root, type, targetPath);
+      this._syncSubtitles(videoDirectoryOf(targetPath));
+      return;
+    }
+    if (!isDirectory && !isVideoFile(targetPath)) {
+      return;
+    }
+    this._recordEvent(root, type, targetPath);
+
+    const item = this.pending.get(targetPath);
+    if (item) {
+      clearTimeout(item.timer);
+      this.pending.delete(targetPath);
+    }
+
+    this._enqueue(async () => {
+      const removed = await removePath(this.db, targetPath, { isDirectory });
+      if (removed.length > 0) {
+        logger.info(`Marked ${removed.length} file(s) unavailable under ${targetPath}`);
+      }
+    });
+    if (isDirectory) {
+      // The directory may have been a video's folder or its Subs folder
+      this._syncSubtitles(targetPath);
+      this._syncSubtitles(path.dirname(targetPath));
+    }
+  }
+
+  // Subtitle files are small and written in one go, so there is no need to
+  // wait for them to settle
+  _syncSubtitles(directory) {
+    this._enqueue(async () => {
+      const { saved, removed } = await syncDirectory(this.db, directory);
+      logger.info(`Subtitles in ${directory}: ${saved} recorded, ${removed} removed`);
+    });
+  }
+
+  // Half-copied files keep growing; only ingest once the size settles
+  async _checkStable(filePath) {
+    const item = this.pending.get(filePath);
+    if (!item) {
+      return;
+    }
+
+    let stats;
+    try {
+      stats = await fs.promises.stat(filePath);
+    } catch (error) {
+      this.pending.delete(filePath);
+      return;
+    }
+
+    if (stats.size !== item.size) {
+      item.size = stats.size;
+      item.lastChangeAt = new Date();
+      item.timer = setTimeout(() => this._checkStable(filePath), STABILITY_MS);
+      return;
+    }
+
+    this.pending.delete(filePath);
+    this._enqueue(async () => {
+      this.ingesting = filePath;
+      try {
+        const report = await ingestFile(this.db, filePath);
+        logger.info(`Ingested ${filePath}`, {
+          added: report.added.length,
+          moved: report.moved.length,
+          changed: report.changed.length,
+          restored: report.restored.length
+        });
+      } finally {
+        this.ingesting = null;
+      }
+    });
+  }
+
+  async _scanRoot(root) {
+    this.ingesting = root.path;
+    try {
+      const report = await rescanLibrary(this.db, [root.path]);
+      await query(this.db, 'UPDATE library_roots SET last_scan_at = NOW() WHERE id = ?', [root.id]);
+      const tracked = this.roots.get(root.id);
+      if (tracked) {
+        tracked.lastScanAt = new Date();
+      }
+      logger.info(`Initial scan of ${root.path} added ${report.added.length} file(s)`);
+    } finally {
+      this.ingesting = null;
+    }
+  }
+
+  // Ingests run one at a time so the database sees a single writer
+  _enqueue(task) {
+    this.queue = this.queue.then(task).catch((error) => {
+      logger.error('Library watcher task failed:', error);
+      this.lastError = { message: error.message, at: new Date() };
+    });
+    return this.queue;
+  }
+}
+
+module.exports = LibraryWatcher;
@@ -0,0 +1,115 @@
+/**
+ * Mail layer
+ * Messages go through the transport named by MAIL_TRANSPORT (default
+ * "outbox", which writes them to disk). Other transports, SMTP or a mail
+ * API say, are added with registerTransport() or swapped in directly with
+ * setMailTransport() before the server starts.
+ */
+
+const { createOutboxTransport } = require('./outboxTransport');
+const { logger } = require('../../middleware/errorHandler');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Movo <no-reply@movo.local>';
+
+// Where links in account mail point; the client serves these pages
+const APP_URL = (process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:3000').replace(/\/+$/, '');
+
+const transportFactories = new Map([
+  ['outbox', createOutboxTransport]
+]);
+
+let transport = null;
+
+const describeTtl = (minutes) => (minutes < 120 ? `${minutes} minutes` : `${Math.round(minutes / 60)} hours`);
+
+/**
+ * Register an additional transport
+ * @param {string} name - Name used in MAIL_TRANSPORT
+ * @param {Function} factory - Returns { name, send(message) }
+ */
+const registerTransport = (name, factory) => {
+  transportFactories.set(name, factory);
+};
+
+const getMailTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || 'outbox';
+    const factory = transportFactories.get(name);
+    if (!factory) {
+      throw new Error(`Unknown mail transport "${name}"`);
+    }
+    transport = factory();
+  }
+  return transport;
+};
+
+const setMailTransport = (implementation) => {
+  transport = implementation;
+};
+
+/**
+ * Send a message
+ * @param {Object} message - { to, subject, text, html? }; from defaults to MAIL_FROM
+ * @returns {Promise<Object>} Whatever the transport reports
+ */
+const sendMail = async (message) => {
+  const current = getMailTransport();
+  const result = await current.send({ from: MAIL_FROM, ...message });
+  logger.info(`Mail "${message.subject}" sent to ${message.to} via ${current.name}`);
+  return result;
+};
+
+/**
+ * Mail a password reset link
+ * @param {Object} user - { username, email }
+ * @param {string} token - Reset token
+ * @param {number} ttlMinutes - How long the link works
+ */
+const sendPasswordResetMail = (user, token, ttlMinutes) => {
+  const link = `${APP_URL}/reset-password?token=${token}`;
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your Movo password',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Someone asked to reset the password for your Movo account. To choose a new one, open:',
+      '',
+      link,
+      '',
+      `The link works once and expires in ${describeTtl(ttlMinutes)}. If you didn't ask for this, you can ignore this mail.`
+    ].join('\n')
+  });
+};
+
+/**
+ * Mail an email verification link
+ * @param {Object} user - { username, email }
+ * @param {string} token - Verification token
+ * @param {number} ttlMinutes - How long the link works
+ */
+const sendVerificationMail = (user, token, ttlMinutes) => {
+  const link = `${APP_URL}/verify-email?token=${token}`;
+  return sendMail({
+    to: user.email,
+    subject: 'Confirm your Movo email address',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Please confirm this is your email address by opening:',
+      '',
+      link,
+      '',
+      `The link expires in ${describeTtl(ttlMinutes)}.`
+    ].join('\n')
+  });
+};
+
+module.exports = {
+  registerTransport,
+  getMailTransport,
+  setMailTransport,
+  sendMail,
+  sendPasswordResetMail,
+  sendVerificationMail
+};
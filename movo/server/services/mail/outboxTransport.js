@@ -0,0 +1,71 @@
+/**
+ * Outbox mail transport
+ * Writes each message as an .eml file to MAIL_OUTBOX_DIR instead of sending
+ * it, so account mail can be read (and its links followed) without an SMTP
+ * server. Any mail client opens the files.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', '..', 'outbox');
+
+// Header values must stay on one line
+const headerValue = (value) => String(value).replace(/[\r\n]+/g, ' ');
+
+const formatMessage = ({ from, to, subject, text, html }, messageId) => {
+  const headers = [
+    `Message-ID: <${messageId}>`,
+    `Date: ${new Date().toUTCString()}`,
+    `From: ${headerValue(from)}`,
+    `To: ${headerValue(to)}`,
+    `Subject: ${headerValue(subject)}`,
+    'MIME-Version: 1.0'
+  ];
+
+  if (!html) {
+    return [...headers, 'Content-Type: text/plain; charset=utf-8', '', text].join('\r\n');
+  }
+
+  const boundary = `movo-${crypto.randomBytes(8).toString('hex')}`;
+  return [
+    ...headers,
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    text,
+    `--${boundary}`,
+    'Content-Type: text/html; charset=utf-8',
+    '',
+    html,
+    `--${boundary}--`
+  ].join('\r\n');
+};
+
+const createOutboxTransport = () => ({
+  name: 'outbox',
+
+  /**
+   * Write a message to the outbox
+   * @param {Object} message - { from, to, subject, text, html? }
+   * @returns {Promise<{messageId: string, file: string}>}
+   */
+  async send(message) {
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const messageId = `${id}@movo.local`;
+    const file = path.join(OUTBOX_DIR, `${id}.eml`);
+
+    await fs.promises.mkdir(OUTBOX_DIR, { recursive: true });
+    await fs.promises.writeFile(file, formatMessage(message, messageId), 'utf8');
+
+    return { messageId, file };
+  }
+});
+
+module.exports = {
+  OUTBOX_DIR,
+  createOutboxTransport
+};
@@ -0,0 +1,142 @@
+/**
+ * Marker consensus
+ * Combines the detected intro/credits timestamps with corrections submitted
+ * by users into one value per segment. Each user correction weighs 1, the
+ * detection weighs its confidence, and the weighted median wins, so a single
+ * correction overrides a detection and outliers cannot drag the result.
+ */
+
+const { query } = require('../database/query');
+
+const MARKER_TYPES = ['intro', 'recap', 'credits', 'post_credits'];
+
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+// When the weight splits exactly in half the median lies between two votes;
+// a user's correction wins that tie over the detection
+const weightedMedian = (votes) => {
+  const sorted = [...votes].sort((a, b) => a.value - b.value);
+  const total = sorted.reduce((sum, vote) => sum + vote.weight, 0);
+  let accumulated = 0;
+  for (const [index, vote] of sorted.entries()) {
+    accumulated += vote.weight;
+    if (accumulated === total / 2 && vote.detected && index + 1 < sorted.length) {
+      return sorted[index + 1].value;
+    }
+    if (accumulated >= total / 2) {
+      return vote.value;
+    }
+  }
+  return null;
+};
+
+/**
+ * Compute the consensus for one segment
+ * @param {Array<{start: number, end: number|null, weight: number, detected?: boolean}>} votes
+ * @returns {{start: number, end: number|null}|null}
+ */
+const computeConsensus = (votes) => {
+  if (votes.length === 0) {
+    return null;
+  }
+
+  const start = weightedMedian(
+    votes.map((vote) => ({ value: vote.start, weight: vote.weight, detected: vote.detected }))
+  );
+
+  // An open end ("until the end of the file") is only kept if most weight agrees
+  const openWeight = votes.filter((vote) => vote.end === null).reduce((sum, vote) => sum + vote.weight, 0);
+  const totalWeight = votes.reduce((sum, vote) => sum + vote.weight, 0);
+  const end = openWeight > totalWeight / 2
+    ? null
+    : weightedMedian(
+      votes
+        .filter((vote) => vote.end !== null)
+        .map((vote) => ({ value: vote.end, weight: vote.weight, detected: vote.detected }))
+    );
+
+  return { start, end: end !== null && end <= start ? null : end };
+};
+
+// Detected segments from video_analysis, keyed by marker type
+const loadDetectedVotes = async (db, movieId) => {
+  const [analysis] = await query(
+    db,
+    `SELECT intro_start, intro_end, outro_start, intro_confidence, outro_confidence
+     FROM video_analysis WHERE movie_id = ?`,
+    [movieId]
+  );
+
+  const detected = {};
+  if (analysis && analysis.intro_end !== null) {
+    detected.intro = {
+      start: toNumber(analysis.intro_start) || 0,
+      end: toNumber(analysis.intro_end),
+      weight: toNumber(analysis.intro_confidence) || 0.5,
+      detected: true
+    };
+  }
+  if (analysis && analysis.outro_start !== null) {
+    detected.credits = {
+      start: toNumber(analysis.outro_start),
+      end: null,
+      weight: toNumber(analysis.outro_confidence) || 0.5,
+      detected: true
+    };
+  }
+  return detected;
+};
+
+/**
+ * Recompute and store the consensus for a movie's segments
+ * @param {Object} db - Database pool
+ * @param {number} movieId - Movie ID
+ * @param {string[]} types - Marker types to recompute
+ */
+const recomputeConsensus = async (db, movieId, types = MARKER_TYPES) => {
+  const detected = await loadDetectedVotes(db, movieId);
+  const corrections = await query(
+    db,
+    `SELECT marker_type, start_time, end_time FROM media_markers
+     WHERE movie_id = ? AND marker_type IN (?)`,
+    [movieId, types]
+  );
+
+  for (const type of types) {
+    const userVotes = corrections
+      .filter((row) => row.marker_type === type)
+      .map((row) => ({ start: toNumber(row.start_time), end: toNumber(row.end_time), weight: 1 }));
+    const votes = detected[type] ? [...userVotes, detected[type]] : userVotes;
+    const consensus = computeConsensus(votes);
+
+    if (!consensus) {
+      await query(db, 'DELETE FROM marker_consensus WHERE movie_id = ? AND marker_type = ?', [movieId, type]);
+      continue;
+    }
+
+    await query(
+      db,
+      `INSERT INTO marker_consensus (movie_id, marker_type, start_time, end_time, source, vote_count)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE
+         start_time = VALUES(start_time),
+         end_time = VALUES(end_time),
+         source = VALUES(source),
+         vote_count = VALUES(vote_count)`,
+      [
+        movieId,
+        type,
+        consensus.start,
+        consensus.end,
+        userVotes.length > 0 ? 'community' : 'detected',
+        userVotes.length
+      ]
+    );
+  }
+};
+
+module.exports = {
+  MARKER_TYPES,
+  computeConsensus,
+  recomputeConsensus
+};
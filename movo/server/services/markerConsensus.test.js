@@ -0,0 +1,79 @@
+const { createTestDatabase, createUser, createMovie } = require('../database/testDatabase');
+const { query } = require('../database/query');
+const { computeConsensus, recomputeConsensus } = require('./markerConsensus');
+
+const detection = (start, end, weight = 1) => ({ start, end, weight, detected: true });
+const correction = (start, end) => ({ start, end, weight: 1 });
+
+describe('markerConsensus', () => {
+  describe('computeConsensus', () => {
+    test('uses the detection on its own', () => {
+      expect(computeConsensus([detection(0, 92, 0.8)])).toEqual({ start: 0, end: 92 });
+      expect(computeConsensus([])).toBeNull();
+    });
+
+    test('lets a single correction override a fully confident detection', () => {
+      // Whether the correction is earlier or later than the detection
+      expect(computeConsensus([detection(0, 92), correction(5, 88)])).toEqual({ start: 5, end: 88 });
+      expect(computeConsensus([detection(5, 88), correction(0, 92)])).toEqual({ start: 0, end: 92 });
+    });
+
+    test('does not let an outlier drag the result', () => {
+      const votes = [detection(0, 90, 0.6), correction(0, 91), correction(1, 90), correction(300, 400)];
+
+      expect(computeConsensus(votes)).toEqual({ start: 1, end: 91 });
+    });
+
+    test('keeps an open end only when most weight agrees', () => {
+      expect(computeConsensus([detection(3000, null), correction(3010, 3100)])).toEqual({ start: 3010, end: 3100 });
+      expect(computeConsensus([detection(3000, null), correction(3010, null), correction(2990, 3100)])).toEqual({
+        start: 3000,
+        end: null
+      });
+    });
+  });
+
+  describe('recomputeConsensus', () => {
+    let db;
+    let movieId;
+
+    beforeEach(async () => {
+      db = await createTestDatabase();
+      movieId = await createMovie(db, 'Heat');
+      await query(
+        db,
+        `INSERT INTO video_analysis (movie_id, intro_start, intro_end, outro_start, intro_confidence, outro_confidence)
+         VALUES (?, 0, 92, 3000, 1.0, 1.0)`,
+        [movieId]
+      );
+    });
+
+    afterEach(() => {
+      db.end();
+    });
+
+    const consensusOf = async (type) => {
+      const [row] = await query(db, 'SELECT * FROM marker_consensus WHERE movie_id = ? AND marker_type = ?', [
+        movieId,
+        type
+      ]);
+      return row && { start: Number(row.start_time), source: row.source, votes: row.vote_count };
+    };
+
+    test('stores the detection, then one user\'s correction in its place', async () => {
+      await recomputeConsensus(db, movieId, ['intro', 'credits']);
+      expect(await consensusOf('intro')).toEqual({ start: 0, source: 'detected', votes: 0 });
+
+      const userId = await createUser(db, 'alice');
+      await query(
+        db,
+        `INSERT INTO media_markers (movie_id, user_id, marker_type, start_time, end_time)
+         VALUES (?, ?, 'intro', 12, 95)`,
+        [movieId, userId]
+      );
+      await recomputeConsensus(db, movieId, ['intro']);
+
+      expect(await consensusOf('intro')).toEqual({ start: 12, source: 'community', votes: 1 });
+    });
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Minimal HTTP helpers for metadata providers
+ * Uses the core http/https modules so no client library is needed.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+
+const REQUEST_TIMEOUT = 15000;
+const MAX_REDIRECTS = 3;
+
+const request = (url, { headers = {}, redirects = MAX_REDIRECTS } = {}) => {
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('https:') ? https : http;
+    const req = client.get(url, { headers, timeout: REQUEST_TIMEOUT }, (res) => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+        res.resume();
+        if (redirects <= 0) {
+          return reject(new Error(`Too many redirects fetching ${url}`));
+        }
+        const next = new URL(res.headers.location, url).toString();
+        return resolve(request(next, { headers, redirects: redirects - 1 }));
+      }
+      resolve(res);
+    });
+
+    req.on('timeout', () => req.destroy(new Error(`Request to ${url} timed out`)));
+    req.on('error', reject);
+  });
+};
+
+const httpError = (url, res) => {
+  const error = new Error(`Request to ${url} failed with status ${res.statusCode}`);
+  error.statusCode = res.statusCode;
+  return error;
+};
+
+/**
+ * GET a URL and parse the JSON body
+ * @returns {Promise<Object|null>} Null for 404 responses
+ */
+const getJson = async (url, headers = {}) => {
+  const res = await request(url, { headers: { Accept: 'application/json', ...headers } });
+
+  const chunks = [];
+  for await (const chunk of res) {
+    chunks.push(chunk);
+  }
+
+  if (res.statusCode === 404) {
+    return null;
+  }
+  if (res.statusCode !== 200) {
+    throw httpError(url, res);
+  }
+  return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+};
+
+/**
+ * Download a URL to a file
+ * The body is written to a temporary file first so a failed download never
+ * replaces an existing image.
+ */
+const downloadFile = async (url, destination, headers = {}) => {
+  const res = await request(url, { headers });
+  if (res.statusCode !== 200) {
+    res.resume();
+    throw httpError(url, res);
+  }
+
+  const tempPath = `${destination}.part`;
+  try {
+    await new Promise((resolve, reject) => {
+      const out = fs.createWriteStream(tempPath);
+      res.pipe(out);
+      res.on('error', reject);
+      out.on('error', reject);
+      out.on('finish', resolve);
+    });
+    await fs.promises.rename(tempPath, destination);
+  } catch (error) {
+    await fs.promises.rm(tempPath, { force: true });
+    throw error;
+  }
+};
+
+module.exports = {
+  getJson,
+  downloadFile
+};
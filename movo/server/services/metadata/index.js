@@ -0,0 +1,276 @@
+/**
+ * Metadata provider layer
+ * Providers are asked in order (METADATA_PROVIDERS, default "nfo,tmdb").
+ * Each fills in fields the earlier ones left empty, and IDs found by one
+ * provider (an NFO's TMDB link, say) are passed on to the next. Posters and
+ * backdrops are stored under /static/posters and the result is saved to
+ * the movies row.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { query } = require('../../database/query');
+const { parseFilename, buildPossibleMatches } = require('../filenameParser');
+const { downloadFile } = require('./http');
+const { createNfoProvider } = require('./nfoProvider');
+const { createTmdbProvider } = require('./tmdbProvider');
+const { publishNewMedia } = require('../pubsub');
+const { recalculateRating } = require('../reviews');
+const { logger } = require('../../middleware/errorHandler');
+
+const POSTER_DIR = path.join(__dirname, '..', '..', 'public', 'posters');
+const POSTER_URL_PREFIX = '/static/posters';
+// Images are served statically, so anything else is stored as .jpg rather
+// than under whatever extension a provider URL or sidecar happens to have
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+
+const providerFactories = new Map([
+  ['nfo', createNfoProvider],
+  ['tmdb', createTmdbProvider]
+]);
+
+/**
+ * Register an additional provider
+ * @param {string} name - Name used in METADATA_PROVIDERS
+ * @param {Function} factory - Returns { name, lookup(context) }, or null when unconfigured
+ */
+const registerProvider = (name, factory) => {
+  providerFactories.set(name, factory);
+};
+
+const getProviders = () => {
+  return (process.env.METADATA_PROVIDERS || 'nfo,tmdb')
+    .split(',')
+    .map((name) => name.trim())
+    .filter(Boolean)
+    .map((name) => {
+      const factory = providerFactories.get(name);
+      if (!factory) {
+        logger.warn(`Unknown metadata provider "${name}"`);
+        return null;
+      }
+      return factory();
+    })
+    .filter(Boolean);
+};
+
+// What the scanner would search for; the row's title may already be a matched one
+const possibleMatchesFor = (movie) => {
+  if (movie.file_name) {
+    return buildPossibleMatches(parseFilename(movie.file_name));
+  }
+  return buildPossibleMatches({ title: movie.title, year: movie.release_year || null });
+};
+
+const isComplete = (metadata) => {
+  return ['title', 'overview', 'poster', 'backdrop'].every((field) => metadata[field]);
+};
+
+/**
+ * Ask the providers about a movie
+ * @param {Object} movie - movies row (id, title, file_path, file_name, media_type, ...)
+ * @param {Object} ids - Known { tmdbId, imdbId }
+ * @returns {Promise<Object|null>} Merged metadata, or null when nothing matched
+ */
+const fetchMetadata = async (movie, ids = {}) => {
+  const possibleMatches = possibleMatchesFor(movie);
+  const knownIds = { tmdbId: ids.tmdbId || null, imdbId: ids.imdbId || null };
+  let metadata = null;
+  const providers = [];
+
+  for (const provider of getProviders()) {
+    let result;
+    try {
+      result = await provider.lookup({ movie, possibleMatches, ids: { ...knownIds } });
+    } catch (error) {
+      logger.warn(`Metadata provider ${provider.name} failed for "${movie.title}": ${error.message}`);
+      continue;
+    }
+    if (!result) {
+      continue;
+    }
+
+    providers.push(provider.name);
+    const { score, ...fields } = result;
+    const filled = Object.fromEntries(
+      Object.entries(fields).filter(([, value]) => value !== null && value !== undefined)
+    );
+    const hadTitle = Boolean(metadata && metadata.title);
+    metadata = { ...filled, ...(metadata || {}) };
+    // The match score belongs to whichever provider identified the title
+    if (!hadTitle && result.title) {
+      metadata.score = score;
+    }
+    knownIds.tmdbId = knownIds.tmdbId || result.tmdbId || null;
+    knownIds.imdbId = knownIds.imdbId || result.imdbId || null;
+
+    if (isComplete(metadata)) {
+      break;
+    }
+  }
+
+  if (!metadata || (!metadata.title && !metadata.overview && !metadata.poster)) {
+    return null;
+  }
+  return { ...metadata, providers, possibleMatches };
+};
+
+/**
+ * Copy or download an image into the poster directory
+ * @returns {Promise<string|null>} Public path, or null if it could not be stored
+ */
+const storeImage = async (source, name) => {
+  if (!source) {
+    return null;
+  }
+
+  const origin = source.file || new URL(source.url).pathname;
+  const originExtension = path.extname(origin).toLowerCase();
+  const extension = IMAGE_EXTENSIONS.includes(originExtension) ? originExtension : '.jpg';
+  const fileName = `${name}${extension}`;
+  const destination = path.join(POSTER_DIR, fileName);
+
+  try {
+    await fs.promises.mkdir(POSTER_DIR, { recursive: true });
+    if (source.file) {
+      await fs.promises.copyFile(source.file, destination);
+    } else {
+      await downloadFile(source.url, destination);
+    }
+    return `${POSTER_URL_PREFIX}/${fileName}`;
+  } catch (error) {
+    logger.warn(`Could not store image ${source.file || source.url}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Store images and save metadata to the movies row
+ * Values the providers did not supply are left as they are. The provider's
+ * rating is kept apart and blended with the title's reviews.
+ * @returns {Promise<{posterPath: string|null, backdropPath: string|null}>}
+ */
+const saveMetadata = async (db, movie, metadata) => {
+  const posterPath = await storeImage(metadata.poster, `${movie.id}-poster`);
+  const backdropPath = await storeImage(metadata.backdrop, `${movie.id}-backdrop`);
+  const valueOrNull = (value) => (value === undefined ? null : value);
+
+  await query(
+    db,
+    `UPDATE movies SET
+       tmdb_id = COALESCE(?, tmdb_id),
+       imdb_id = COALESCE(?, imdb_id),
+       title = IF(media_type = 'episode', title, COALESCE(?, title)),
+       original_title = COALESCE(?, original_title),
+       overview = COALESCE(?, overview),
+       poster_path = COALESCE(?, poster_path),
+       backdrop_path = COALESCE(?, backdrop_path),
+       release_date = COALESCE(?, release_date),
+       release_year = COALESCE(?, release_year),
+       provider_vote_average = COALESCE(?, provider_vote_average),
+       provider_vote_count = COALESCE(?, provider_vote_count),
+       popularity = COALESCE(?, popularity),
+       genre_ids = COALESCE(?, genre_ids),
+       genres = COALESCE(?, genres),
+       content_rating = COALESCE(?, content_rating),
+       runtime = COALESCE(?, runtime),
+       status = COALESCE(?, status),
+       episode_title = COALESCE(?, episode_title),
+       metadata_provider = ?,
+       metadata_updated_at = NOW()
+     WHERE id = ?`,
+    [
+      valueOrNull(metadata.tmdbId),
+      valueOrNull(metadata.imdbId),
+      valueOrNull(metadata.title),
+      valueOrNull(metadata.originalTitle),
+      valueOrNull(metadata.overview),
+      posterPath,
+      backdropPath,
+      valueOrNull(metadata.releaseDate),
+      valueOrNull(metadata.year),
+      valueOrNull(metadata.voteAverage),
+      valueOrNull(metadata.voteCount),
+      valueOrNull(metadata.popularity),
+      metadata.genreIds && metadata.genreIds.length > 0 ? JSON.stringify(metadata.genreIds) : null,
+      metadata.genres && metadata.genres.length > 0 ? JSON.stringify(metadata.genres) : null,
+      valueOrNull(metadata.contentRating),
+      valueOrNull(metadata.runtime),
+      valueOrNull(metadata.status),
+      valueOrNull(metadata.episodeTitle),
+      metadata.providers.join(','),
+      movie.id
+    ]
+  );
+  await recalculateRating(db, movie.id);
+
+  return { posterPath, backdropPath };
+};
+
+// Fields admins can correct by hand, with their movies columns
+const EDITABLE_COLUMNS = {
+  title: 'title',
+  originalTitle: 'original_title',
+  overview: 'overview',
+  releaseDate: 'release_date',
+  runtime: 'runtime',
+  genres: 'genres',
+  contentRating: 'content_rating',
+  tmdbId: 'tmdb_id',
+  imdbId: 'imdb_id',
+  episodeTitle: 'episode_title'
+};
+
+/**
+ * Save hand-edited metadata; null clears a field
+ * The row is marked as edited manually ("manual" provider).
+ * @param {Object} changes - Any of the EDITABLE_COLUMNS fields
+ * @returns {Promise<boolean>} Whether the movie exists
+ */
+const updateMetadata = async (db, movieId, changes) => {
+  const columns = {};
+  Object.entries(EDITABLE_COLUMNS).forEach(([field, column]) => {
+    if (changes[field] !== undefined) {
+      columns[column] = field === 'genres' && changes.genres !== null ? JSON.stringify(changes.genres) : changes[field];
+    }
+  });
+  if (changes.releaseDate) {
+    columns.release_year = new Date(changes.releaseDate).getUTCFullYear();
+  }
+
+  const result = await query(
+    db,
+    "UPDATE movies SET ?, metadata_provider = 'manual', metadata_updated_at = NOW() WHERE id = ?",
+    [columns, movieId]
+  );
+  return result.affectedRows > 0;
+};
+
+/**
+ * Fetch and save metadata for a library movie
+ * The first match is announced to newMediaAdded subscribers filtering by
+ * genre, since a freshly scanned file has no genres yet.
+ * @returns {Promise<Object|null>} { metadata, posterPath, backdropPath }, or null when nothing matched
+ */
+const matchMovie = async (db, movie, ids = {}) => {
+  const metadata = await fetchMetadata(movie, ids);
+  if (!metadata) {
+    return null;
+  }
+
+  const [previous] = await query(db, 'SELECT metadata_updated_at FROM movies WHERE id = ?', [movie.id]);
+  const stored = await saveMetadata(db, movie, metadata);
+  if (previous && !previous.metadata_updated_at) {
+    publishNewMedia(movie.id, { matched: true });
+  }
+  logger.info(`Metadata for movie ${movie.id} matched via ${metadata.providers.join(', ')}`);
+  return { metadata, ...stored };
+};
+
+module.exports = {
+  registerProvider,
+  fetchMetadata,
+  saveMetadata,
+  updateMetadata,
+  matchMovie
+};
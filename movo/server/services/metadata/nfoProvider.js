@@ -0,0 +1,264 @@
+/**
+ * Sidecar metadata provider
+ * Reads Kodi-style NFO files and JSON sidecars next to a library file, plus
+ * local poster/fanart images. A sidecar belongs to its file, so no fuzzy
+ * matching is needed. NFOs that only contain a TMDB or IMDb link still
+ * contribute the IDs for the next provider.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const decodeXml = (value) => {
+  return value
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&(amp|lt|gt|quot|apos);/g, (_, name) => ENTITIES[name])
+    .trim();
+};
+
+// All values of a tag, with attributes
+const readTags = (xml, tag) => {
+  const pattern = new RegExp(`<${tag}(\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'gi');
+  const values = [];
+  let match;
+  while ((match = pattern.exec(xml)) !== null) {
+    values.push({ attributes: match[1] || '', value: decodeXml(match[2]) });
+  }
+  return values;
+};
+
+const readTag = (xml, tag) => {
+  const [first] = readTags(xml, tag);
+  return first && first.value ? first.value : null;
+};
+
+const attribute = (attributes, name) => {
+  const match = attributes.match(new RegExp(`${name}\\s*=\\s*"([^"]*)"`, 'i'));
+  return match ? match[1] : null;
+};
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * A certification as the profiles' parental controls compare it
+ * "Rated PG-13", "US:PG-13" and "US:PG-13 / GB:12A" all become "PG-13".
+ */
+const normalizeCertification = (value) => {
+  if (!value) {
+    return null;
+  }
+  const parts = String(value).split('/').map((part) => part.trim()).filter(Boolean);
+  const preferred = parts.find((part) => /^US\s*:/i.test(part)) || parts[0];
+  if (!preferred) {
+    return null;
+  }
+  const rating = preferred
+    .replace(/^[A-Z]{2}\s*:\s*/i, '')
+    .replace(/^Rated\s+/i, '')
+    .trim()
+    .toUpperCase();
+  return rating && rating.length <= 16 ? rating : null;
+};
+
+// IDs from URLs, as found in "link only" NFO files
+const readLinkedIds = (text) => {
+  const tmdb = text.match(/themoviedb\.org\/(?:movie|tv)\/(\d+)/i);
+  const imdb = text.match(/\b(tt\d{7,})\b/);
+  return {
+    tmdbId: tmdb ? Number(tmdb[1]) : null,
+    imdbId: imdb ? imdb[1] : null
+  };
+};
+
+/**
+ * Parse a Kodi NFO (movie, tvshow or episodedetails)
+ */
+const parseNfo = (text) => {
+  const ids = readLinkedIds(text);
+
+  if (!/<(movie|tvshow|episodedetails)[\s>]/i.test(text)) {
+    return ids.tmdbId || ids.imdbId ? ids : null;
+  }
+
+  readTags(text, 'uniqueid').forEach(({ attributes, value }) => {
+    const type = (attribute(attributes, 'type') || '').toLowerCase();
+    if (type === 'tmdb' && toNumber(value)) {
+      ids.tmdbId = Number(value);
+    } else if (type === 'imdb') {
+      ids.imdbId = value;
+    }
+  });
+  ids.tmdbId = ids.tmdbId || toNumber(readTag(text, 'tmdbid'));
+  ids.imdbId = ids.imdbId || readTag(text, 'imdbid') || readLinkedIds(readTag(text, 'id') || '').imdbId;
+
+  const premiered = readTag(text, 'premiered') || readTag(text, 'releasedate') || readTag(text, 'aired');
+  const ratingValue = readTags(text, 'value')[0];
+  const thumbs = readTags(text, 'thumb');
+  const poster = thumbs.find(({ attributes }) => /aspect\s*=\s*"poster"/i.test(attributes)) || thumbs[0];
+  const fanart = readTags(text, 'fanart').map(({ value }) => readTag(value, 'thumb'));
+
+  return {
+    ...ids,
+    title: readTag(text, 'title'),
+    originalTitle: readTag(text, 'originaltitle'),
+    overview: readTag(text, 'plot') || readTag(text, 'outline'),
+    releaseDate: /^\d{4}-\d{2}-\d{2}$/.test(premiered || '') ? premiered : null,
+    year: toNumber(readTag(text, 'year')) || (premiered ? toNumber(premiered.slice(0, 4)) : null),
+    runtime: toNumber(readTag(text, 'runtime')),
+    voteAverage: toNumber(readTag(text, 'rating')) || (ratingValue ? toNumber(ratingValue.value) : null),
+    voteCount: toNumber(readTag(text, 'votes')),
+    genres: readTags(text, 'genre').map(({ value }) => value).filter(Boolean),
+    contentRating: normalizeCertification(readTag(text, 'mpaa') || readTag(text, 'certification')),
+    status: readTag(text, 'status'),
+    poster: poster && /^https?:\/\//.test(poster.value) ? { url: poster.value } : null,
+    backdrop: fanart[0] && /^https?:\/\//.test(fanart[0]) ? { url: fanart[0] } : null
+  };
+};
+
+/**
+ * Parse a JSON sidecar (TMDB-shaped or camelCase)
+ */
+const parseJson = (text) => {
+  const data = JSON.parse(text);
+  const releaseDate = data.release_date || data.releaseDate || data.first_air_date || null;
+  const genres = (data.genres || []).map((genre) => (typeof genre === 'string' ? genre : genre.name));
+  const poster = data.poster || data.poster_url || data.posterUrl;
+  const backdrop = data.backdrop || data.backdrop_url || data.backdropUrl;
+
+  return {
+    tmdbId: toNumber(data.tmdb_id || data.tmdbId),
+    imdbId: data.imdb_id || data.imdbId || null,
+    title: data.title || data.name || null,
+    originalTitle: data.original_title || data.originalTitle || null,
+    overview: data.overview || data.plot || null,
+    releaseDate,
+    year: toNumber(data.year) || (releaseDate ? toNumber(releaseDate.slice(0, 4)) : null),
+    runtime: toNumber(data.runtime),
+    voteAverage: toNumber(data.vote_average || data.rating),
+    voteCount: toNumber(data.vote_count || data.votes),
+    genres: genres.filter(Boolean),
+    contentRating: normalizeCertification(data.certification || data.content_rating || data.contentRating || data.mpaa),
+    status: data.status || null,
+    poster: poster && /^https?:\/\//.test(poster) ? { url: poster } : null,
+    backdrop: backdrop && /^https?:\/\//.test(backdrop) ? { url: backdrop } : null
+  };
+};
+
+const fileExists = async (filePath) => {
+  try {
+    const stats = await fs.promises.stat(filePath);
+    return stats.isFile();
+  } catch (error) {
+    return false;
+  }
+};
+
+const firstExisting = async (candidates) => {
+  for (const candidate of candidates) {
+    if (await fileExists(candidate)) {
+      return candidate;
+    }
+  }
+  return null;
+};
+
+const withImageExtensions = (stems) => stems.flatMap((stem) => IMAGE_EXTENSIONS.map((ext) => stem + ext));
+
+/**
+ * Sidecar locations for a library file, most specific first
+ */
+const sidecarPaths = (movie) => {
+  const directory = path.dirname(movie.file_path);
+  const base = path.join(directory, path.parse(movie.file_path).name);
+
+  if (movie.media_type === 'episode') {
+    // Episodes usually sit in a season folder below the show folder
+    const showDirectories = [directory, path.dirname(directory)];
+    return {
+      metadata: [`${base}.nfo`, `${base}.json`],
+      show: showDirectories.map((dir) => path.join(dir, 'tvshow.nfo')),
+      poster: withImageExtensions([`${base}-poster`, ...showDirectories.map((dir) => path.join(dir, 'poster'))]),
+      backdrop: withImageExtensions([
+        `${base}-thumb`,
+        `${base}-fanart`,
+        ...showDirectories.map((dir) => path.join(dir, 'fanart'))
+      ])
+    };
+  }
+
+  return {
+    metadata: [`${base}.nfo`, `${base}.json`, path.join(directory, 'movie.nfo'), path.join(directory, 'movie.json')],
+    show: [],
+    poster: withImageExtensions([`${base}-poster`, path.join(directory, 'poster'), path.join(directory, 'folder')]),
+    backdrop: withImageExtensions([`${base}-fanart`, `${base}-backdrop`, path.join(directory, 'fanart'), path.join(directory, 'backdrop')])
+  };
+};
+
+const readSidecar = async (filePath) => {
+  const text = await fs.promises.readFile(filePath, 'utf8');
+  return filePath.endsWith('.json') ? parseJson(text) : parseNfo(text);
+};
+
+const createNfoProvider = () => ({
+  name: 'nfo',
+
+  /**
+   * Look up sidecar metadata for a library file
+   * @returns {Promise<Object|null>}
+   */
+  async lookup({ movie }) {
+    if (!movie.file_path) {
+      return null;
+    }
+
+    const paths = sidecarPaths(movie);
+    const metadataPath = await firstExisting(paths.metadata);
+    const showPath = await firstExisting(paths.show);
+
+    let metadata = metadataPath ? await readSidecar(metadataPath) : null;
+    if (movie.media_type === 'episode' && (metadata || showPath)) {
+      // An episode NFO carries the episode's title; the show's comes from tvshow.nfo
+      const show = showPath ? parseNfo(await fs.promises.readFile(showPath, 'utf8')) || {} : {};
+      const episode = Object.fromEntries(Object.entries(metadata || {}).filter(([, value]) => value !== null));
+      metadata = {
+        ...show,
+        ...episode,
+        episodeTitle: episode.title || null,
+        title: show.title || null,
+        // IDs identify the show; the provider looks the episode up from there
+        tmdbId: show.tmdbId || null,
+        imdbId: show.imdbId || null
+      };
+    }
+
+    const posterPath = await firstExisting(paths.poster);
+    const backdropPath = await firstExisting(paths.backdrop);
+
+    if (!metadata && !posterPath && !backdropPath) {
+      return null;
+    }
+
+    return {
+      ...(metadata || {}),
+      poster: posterPath ? { file: posterPath } : (metadata && metadata.poster) || null,
+      backdrop: backdropPath ? { file: backdropPath } : (metadata && metadata.backdrop) || null,
+      score: 1
+    };
+  }
+});
+
+module.exports = {
+  normalizeCertification,
+  parseNfo,
+  parseJson,
+  createNfoProvider
+};
@@ -0,0 +1,134 @@
+/**
+ * Fuzzy title/year scoring
+ * Scores provider candidates against the scanner's possibleMatches. Titles
+ * are normalised and compared by edit distance and shared words; the year
+ * nudges the score up when it agrees and down when it clearly does not.
+ */
+
+const DEFAULT_MIN_SCORE = 0.75;
+
+const LEADING_ARTICLE = /^(the|a|an)\s+/;
+
+/**
+ * Normalise a title for comparison
+ * "The Lord of the Rings: The Two Towers" -> "lord of the rings the two towers"
+ */
+const normalizeTitle = (title) => {
+  return String(title || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .replace(LEADING_ARTICLE, '');
+};
+
+const levenshtein = (a, b) => {
+  if (a === b) {
+    return 0;
+  }
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Similarity of two titles between 0 and 1
+ */
+const titleSimilarity = (a, b) => {
+  const left = normalizeTitle(a);
+  const right = normalizeTitle(b);
+  if (!left || !right) {
+    return 0;
+  }
+  if (left === right) {
+    return 1;
+  }
+
+  const editScore = 1 - levenshtein(left, right) / Math.max(left.length, right.length);
+
+  // Word overlap copes with reordered or extra words better than edit distance
+  const leftWords = new Set(left.split(' '));
+  const rightWords = new Set(right.split(' '));
+  const shared = [...leftWords].filter((word) => rightWords.has(word)).length;
+  const wordScore = (2 * shared) / (leftWords.size + rightWords.size);
+
+  return Math.max(editScore, wordScore * 0.95);
+};
+
+const yearAdjustment = (wanted, actual) => {
+  if (!wanted || !actual) {
+    return 0;
+  }
+  const difference = Math.abs(Number(wanted) - Number(actual));
+  if (difference === 0) {
+    return 0.1;
+  }
+  // Festival vs. theatrical release dates often straddle a new year
+  if (difference === 1) {
+    return 0.03;
+  }
+  return -0.3;
+};
+
+/**
+ * Score a candidate against every possible match and keep the best
+ * @param {Array<{title: string, year: number|null}>} possibleMatches
+ * @param {{title: string, originalTitle?: string, year?: number}} candidate
+ * @returns {number} Score between 0 and 1
+ */
+const scoreCandidate = (possibleMatches, candidate) => {
+  const titles = [candidate.title, candidate.originalTitle].filter(Boolean);
+  let best = 0;
+
+  possibleMatches.forEach((match) => {
+    titles.forEach((title) => {
+      const score = titleSimilarity(match.title, title) + yearAdjustment(match.year, candidate.year);
+      best = Math.max(best, Math.min(1, Math.max(0, score)));
+    });
+  });
+
+  return Math.round(best * 1000) / 1000;
+};
+
+/**
+ * Pick the best scoring candidate
+ * Ties go to the more popular candidate.
+ * @returns {{candidate: Object, score: number}|null} Null when nothing clears minScore
+ */
+const findBestMatch = (possibleMatches, candidates, { minScore = DEFAULT_MIN_SCORE } = {}) => {
+  let best = null;
+
+  candidates.forEach((candidate) => {
+    const score = scoreCandidate(possibleMatches, candidate);
+    if (
+      !best ||
+      score > best.score ||
+      (score === best.score && (candidate.popularity || 0) > (best.candidate.popularity || 0))
+    ) {
+      best = { candidate, score };
+    }
+  });
+
+  return best && best.score >= minScore ? best : null;
+};
+
+module.exports = {
+  DEFAULT_MIN_SCORE,
+  normalizeTitle,
+  titleSimilarity,
+  scoreCandidate,
+  findBestMatch
+};
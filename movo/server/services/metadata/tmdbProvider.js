@@ -0,0 +1,180 @@
+/**
+ * TMDB-compatible HTTP provider
+ * Talks to the TMDB v3 API, or anything that answers the same routes: the
+ * base URL comes from TMDB_API_URL so a local stub can stand in for it.
+ * Without a known ID, search results are fuzzy-matched against the
+ * scanner's possibleMatches. Content ratings are the certification for
+ * TMDB_CERTIFICATION_COUNTRY (default US).
+ */
+
+const { getJson } = require('./http');
+const { findBestMatch, DEFAULT_MIN_SCORE } = require('./titleMatcher');
+
+const DEFAULT_API_URL = 'https://api.themoviedb.org/3';
+const DEFAULT_IMAGE_URL = 'https://image.tmdb.org/t/p/original';
+
+// Stop searching further title variants once a candidate scores this high
+const CONFIDENT_SCORE = 0.95;
+
+const yearOf = (date) => (date ? Number(String(date).slice(0, 4)) || null : null);
+
+// Movies list certifications per release, shows one rating per country
+const certificationOf = (details, country) => {
+  if (details.release_dates) {
+    const release = (details.release_dates.results || []).find((result) => result.iso_3166_1 === country);
+    const rated = release && (release.release_dates || []).find((date) => date.certification);
+    return rated ? rated.certification : null;
+  }
+  if (details.content_ratings) {
+    const rating = (details.content_ratings.results || []).find((result) => result.iso_3166_1 === country);
+    return rating && rating.rating ? rating.rating : null;
+  }
+  return null;
+};
+
+/**
+ * Create the provider, or null when it is not configured
+ * @param {Object} options - Defaults to the TMDB_* environment variables
+ */
+const createTmdbProvider = ({
+  baseUrl = process.env.TMDB_API_URL,
+  imageBaseUrl = process.env.TMDB_IMAGE_URL || DEFAULT_IMAGE_URL,
+  apiKey = process.env.TMDB_API_KEY,
+  accessToken = process.env.TMDB_ACCESS_TOKEN,
+  language = process.env.TMDB_LANGUAGE,
+  certificationCountry = process.env.TMDB_CERTIFICATION_COUNTRY || 'US',
+  minScore = Number(process.env.METADATA_MIN_SCORE) || DEFAULT_MIN_SCORE
+} = {}) => {
+  // The real API needs credentials; a custom base URL (a local stub) may not
+  if (!baseUrl && !apiKey && !accessToken) {
+    return null;
+  }
+  const apiUrl = (baseUrl || DEFAULT_API_URL).replace(/\/+$/, '');
+
+  const get = (pathname, params = {}) => {
+    const url = new URL(apiUrl + pathname);
+    Object.entries({ ...params, api_key: apiKey, language }).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        url.searchParams.set(key, value);
+      }
+    });
+    return getJson(url.toString(), accessToken ? { Authorization: `Bearer ${accessToken}` } : {});
+  };
+
+  const image = (imagePath) => (imagePath ? { url: `${imageBaseUrl.replace(/\/+$/, '')}${imagePath}` } : null);
+
+  const toMetadata = (details) => {
+    const releaseDate = details.release_date || details.first_air_date || null;
+    const externalIds = details.external_ids || {};
+    return {
+      tmdbId: details.id,
+      imdbId: details.imdb_id || externalIds.imdb_id || null,
+      title: details.title || details.name || null,
+      originalTitle: details.original_title || details.original_name || null,
+      overview: details.overview || null,
+      releaseDate,
+      year: yearOf(releaseDate),
+      runtime: details.runtime || (details.episode_run_time && details.episode_run_time[0]) || null,
+      voteAverage: details.vote_average !== undefined ? details.vote_average : null,
+      voteCount: details.vote_count !== undefined ? details.vote_count : null,
+      popularity: details.popularity !== undefined ? details.popularity : null,
+      genres: (details.genres || []).map((genre) => genre.name),
+      genreIds: (details.genres || []).map((genre) => genre.id),
+      contentRating: certificationOf(details, certificationCountry),
+      status: details.status || null,
+      poster: image(details.poster_path),
+      backdrop: image(details.backdrop_path)
+    };
+  };
+
+  const findByImdbId = async (imdbId, kind) => {
+    const found = await get(`/find/${encodeURIComponent(imdbId)}`, { external_source: 'imdb_id' });
+    const [result] = (found && found[`${kind}_results`]) || [];
+    return result ? result.id : null;
+  };
+
+  const search = async (possibleMatches, kind) => {
+    const candidates = new Map();
+    const searched = new Set();
+
+    for (const match of possibleMatches) {
+      const key = `${match.title}:${match.year || ''}`;
+      if (searched.has(key)) {
+        continue;
+      }
+      searched.add(key);
+
+      const yearParam = kind === 'tv' ? 'first_air_date_year' : 'year';
+      const response = await get(`/search/${kind}`, { query: match.title, [yearParam]: match.year });
+      ((response && response.results) || []).forEach((result) => {
+        candidates.set(result.id, {
+          id: result.id,
+          title: result.title || result.name,
+          originalTitle: result.original_title || result.original_name,
+          year: yearOf(result.release_date || result.first_air_date),
+          popularity: result.popularity
+        });
+      });
+
+      const best = findBestMatch(possibleMatches, [...candidates.values()], { minScore: CONFIDENT_SCORE });
+      if (best) {
+        return best;
+      }
+    }
+
+    return findBestMatch(possibleMatches, [...candidates.values()], { minScore });
+  };
+
+  return {
+    name: 'tmdb',
+
+    /**
+     * Look up a movie, or an episode's show and the episode itself
+     * @returns {Promise<Object|null>}
+     */
+    async lookup({ movie, possibleMatches, ids = {} }) {
+      const kind = movie.media_type === 'episode' ? 'tv' : 'movie';
+
+      let tmdbId = ids.tmdbId || null;
+      let score = 1;
+      if (!tmdbId && ids.imdbId) {
+        tmdbId = await findByImdbId(ids.imdbId, kind);
+      }
+      if (!tmdbId) {
+        const best = await search(possibleMatches, kind);
+        if (!best) {
+          return null;
+        }
+        tmdbId = best.candidate.id;
+        score = best.score;
+      }
+
+      const details = await get(`/${kind}/${tmdbId}`, {
+        append_to_response: `external_ids,${kind === 'tv' ? 'content_ratings' : 'release_dates'}`
+      });
+      if (!details) {
+        return null;
+      }
+      const metadata = { ...toMetadata(details), score };
+
+      if (kind === 'tv' && movie.season_number !== null && movie.episode_number) {
+        const episode = await get(`/tv/${tmdbId}/season/${movie.season_number}/episode/${movie.episode_number}`);
+        if (episode) {
+          metadata.episodeTitle = episode.name || null;
+          metadata.overview = episode.overview || metadata.overview;
+          metadata.releaseDate = episode.air_date || metadata.releaseDate;
+          metadata.voteAverage = episode.vote_average !== undefined ? episode.vote_average : metadata.voteAverage;
+          metadata.voteCount = episode.vote_count !== undefined ? episode.vote_count : metadata.voteCount;
+          // The episode still makes a better backdrop than the show's artwork
+          metadata.backdrop = image(episode.still_path) || metadata.backdrop;
+        }
+      }
+
+      return metadata;
+    }
+  };
+};
+
+module.exports = {
+  createTmdbProvider
+};
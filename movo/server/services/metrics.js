@@ -0,0 +1,141 @@
+/**
+ * Prometheus metrics
+ * One registry for the process, served in the text exposition format at
+ * /metrics. Besides the default Node.js metrics it records request latency
+ * per route, auth failures, rate-limit rejections, streams in flight, bytes
+ * sent to players and how long library scans take.
+ */
+
+const client = require('prom-client');
+
+const register = new client.Registry();
+register.setDefaultLabels({ service: 'movo-server' });
+client.collectDefaultMetrics({ register });
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by route',
+  labelNames: ['method', 'route', 'status_code'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+});
+
+const authFailures = new client.Counter({
+  name: 'auth_failures_total',
+  help: 'Requests rejected for missing, invalid or expired credentials',
+  labelNames: ['code'],
+  registers: [register]
+});
+
+const rateLimitRejections = new client.Counter({
+  name: 'rate_limit_rejections_total',
+  help: 'Requests rejected by a rate limiter',
+  labelNames: ['limiter'],
+  registers: [register]
+});
+
+const activeStreams = new client.Gauge({
+  name: 'active_streams',
+  help: 'Video transfers in progress (file ranges and HLS segments)',
+  labelNames: ['type'],
+  registers: [register]
+});
+
+const bytesServed = new client.Counter({
+  name: 'stream_bytes_served_total',
+  help: 'Bytes written to players',
+  labelNames: ['type'],
+  registers: [register]
+});
+
+const scanDuration = new client.Histogram({
+  name: 'library_scan_duration_seconds',
+  help: 'Library scan duration by mode and outcome',
+  labelNames: ['mode', 'status'],
+  // Incremental scans take seconds, full scans of a large library can take an hour
+  buckets: [1, 5, 15, 30, 60, 120, 300, 600, 1800, 3600],
+  registers: [register]
+});
+
+// Route patterns rather than URLs keep the label set small
+const segmentsOf = (urlPath) => urlPath.split('/').filter(Boolean);
+
+/**
+ * The matched route's full pattern
+ * req.baseUrl can't be trusted once the response finishes: after a handler
+ * passes an error on, Express has restored the parent router's. The mount
+ * path is instead what precedes the route's own segments in the URL; mount
+ * paths and routes here are plain segments and :params.
+ */
+const routeLabel = (req) => {
+  if (!req.route || typeof req.route.path !== 'string') {
+    return req.route ? `${req.baseUrl}${req.route.path}` : req.baseUrl || 'unmatched';
+  }
+
+  const urlSegments = segmentsOf(req.originalUrl.split('?')[0]);
+  const mount = urlSegments.slice(0, urlSegments.length - segmentsOf(req.route.path).length);
+  const baseUrl = mount.length > 0 ? `/${mount.join('/')}` : '';
+  // A router's root route is its mount path, without the trailing slash
+  return baseUrl && req.route.path === '/' ? baseUrl : `${baseUrl}${req.route.path}`;
+};
+
+/**
+ * Time every request once the response has been sent
+ */
+const requestMetrics = (req, res, next) => {
+  const end = httpRequestDuration.startTimer();
+  res.on('finish', () => {
+    end({ method: req.method, route: routeLabel(req), status_code: res.statusCode });
+  });
+  next();
+};
+
+/**
+ * Count a video transfer as active until the response ends or the player
+ * goes away, then add the body bytes written to the response (headers are
+ * not counted)
+ * @param {string} type - 'file' or 'hls'
+ */
+const trackTransfer = (req, res, type) => {
+  let bodyBytes = 0;
+  let done = false;
+
+  const count = (chunk, encoding) => {
+    if (chunk && typeof chunk !== 'function') {
+      bodyBytes += Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+    }
+  };
+  const { write, end } = res;
+  res.write = function countedWrite(chunk, encoding, ...rest) {
+    count(chunk, encoding);
+    return write.call(this, chunk, encoding, ...rest);
+  };
+  res.end = function countedEnd(chunk, encoding, ...rest) {
+    count(chunk, encoding);
+    return end.call(this, chunk, encoding, ...rest);
+  };
+
+  activeStreams.inc({ type });
+  const finish = () => {
+    if (done) {
+      return;
+    }
+    done = true;
+    activeStreams.dec({ type });
+    bytesServed.inc({ type }, bodyBytes);
+  };
+  res.on('finish', finish);
+  res.on('close', finish);
+};
+
+module.exports = {
+  register,
+  httpRequestDuration,
+  authFailures,
+  rateLimitRejections,
+  activeStreams,
+  bytesServed,
+  scanDuration,
+  requestMetrics,
+  trackTransfer
+};
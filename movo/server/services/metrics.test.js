@@ -0,0 +1,134 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { AuthorizationError, ValidationError, errorHandler, logger } = require('../middleware/errorHandler');
+const { httpRequestDuration, bytesServed, activeStreams, requestMetrics, trackTransfer } = require('./metrics');
+
+// Routes recorded by the latency histogram, as "METHOD route status"
+const recordedRoutes = async () => {
+  const { values } = await httpRequestDuration.get();
+  return values
+    .filter((value) => value.metricName === 'http_request_duration_seconds_count')
+    .map(({ labels }) => `${labels.method} ${labels.route} ${labels.status_code}`)
+    .sort();
+};
+
+describe('requestMetrics', () => {
+  let app;
+
+  beforeAll(() => {
+    logger.silent = true;
+  });
+
+  afterAll(() => {
+    logger.silent = false;
+  });
+
+  beforeEach(() => {
+    httpRequestDuration.reset();
+
+    const users = express.Router();
+    users.get('/', (req, res) => res.json([]));
+    users.get('/:id', (req, res, next) => {
+      if (req.params.id === 'forbidden') {
+        return next(new AuthorizationError('Admin access required'));
+      }
+      res.json({ id: req.params.id });
+    });
+    users.put('/:id', (req, res, next) => next(new ValidationError('Invalid user')));
+
+    const admin = express.Router();
+    admin.use('/users', users);
+
+    app = express();
+    app.use(requestMetrics);
+    app.use('/api/admin', admin);
+    app.get('/health', (req, res) => res.send('ok'));
+    app.use(errorHandler);
+  });
+
+  test('labels requests with the full route pattern', async () => {
+    await request(app).get('/api/admin/users/7').expect(200);
+    await request(app).get('/api/admin/users/8?fields=all').expect(200);
+    await request(app).get('/api/admin/users').expect(200);
+    await request(app).get('/api/admin/users/').expect(200);
+    await request(app).get('/health').expect(200);
+
+    expect(await recordedRoutes()).toEqual([
+      'GET /api/admin/users 200',
+      'GET /api/admin/users/:id 200',
+      'GET /health 200'
+    ]);
+  });
+
+  test('keeps the full route when a nested handler passes an error on', async () => {
+    await request(app).get('/api/admin/users/forbidden').expect(403);
+    await request(app).put('/api/admin/users/7').expect(400);
+
+    expect(await recordedRoutes()).toEqual([
+      'GET /api/admin/users/:id 403',
+      'PUT /api/admin/users/:id 400'
+    ]);
+  });
+
+  test('groups requests that match no route', async () => {
+    await request(app).get('/nowhere').expect(404);
+    await request(app).get('/api/admin/elsewhere').expect(404);
+
+    expect(await recordedRoutes()).toEqual(['GET unmatched 404']);
+  });
+});
+
+describe('trackTransfer', () => {
+  let dir;
+  let filePath;
+  let app;
+
+  const countOf = async (metric, type) => {
+    const { values } = await metric.get();
+    const value = values.find((candidate) => candidate.labels.type === type);
+    return value ? value.value : 0;
+  };
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'movo-metrics-'));
+    filePath = path.join(dir, 'movie.mp4');
+    fs.writeFileSync(filePath, Buffer.alloc(500000, 1));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    bytesServed.reset();
+    activeStreams.reset();
+
+    app = express();
+    app.get('/file', (req, res) => {
+      trackTransfer(req, res, 'file');
+      res.sendFile(filePath);
+    });
+    app.get('/text', (req, res) => {
+      trackTransfer(req, res, 'hls');
+      res.write('héllo ');
+      res.end(Buffer.from('world'));
+    });
+  });
+
+  test('counts the body bytes of a range response, not its headers', async () => {
+    const res = await request(app).get('/file').set('Range', 'bytes=0-300999').expect(206);
+
+    expect(res.body.length).toBe(301000);
+    expect(await countOf(bytesServed, 'file')).toBe(301000);
+    expect(await countOf(activeStreams, 'file')).toBe(0);
+  });
+
+  test('counts strings in bytes', async () => {
+    await request(app).get('/text').expect(200);
+
+    expect(await countOf(bytesServed, 'hls')).toBe(Buffer.byteLength('héllo world'));
+  });
+});
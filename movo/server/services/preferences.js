@@ -0,0 +1,152 @@
+/**
+ * User preferences
+ * One user_preferences row per profile, created on the first change. Until
+ * then, and for columns never set, the schema's column defaults apply.
+ */
+
+const { query } = require('../database/query');
+
+// Column defaults from the user_preferences table definition
+const DEFAULT_PREFERENCES = {
+  chimera_mode: false,
+  auto_skip_intro: true,
+  auto_skip_outro: true,
+  default_volume: 0.8,
+  dark_mode: true,
+  subtitles_enabled: false,
+  download_quality: 'HD',
+  p2p_enabled: true,
+  max_connections: 50,
+  upload_limit: 0,
+  download_limit: 0,
+  language: 'en',
+  subtitles_language: 'en',
+  default_audio_language: 'en',
+  autoplay_enabled: true,
+  autoplay_next_enabled: true,
+  preferred_genres: null
+};
+
+// schemas.preferences fields and their columns
+const PREFERENCE_COLUMNS = {
+  chimeraMode: 'chimera_mode',
+  autoSkipIntro: 'auto_skip_intro',
+  autoSkipOutro: 'auto_skip_outro',
+  defaultVolume: 'default_volume',
+  darkMode: 'dark_mode',
+  subtitlesEnabled: 'subtitles_enabled',
+  downloadQuality: 'download_quality',
+  language: 'language',
+  subtitlesLanguage: 'subtitles_language',
+  defaultAudioLanguage: 'default_audio_language',
+  autoplayEnabled: 'autoplay_enabled',
+  autoplayNextEnabled: 'autoplay_next_enabled'
+};
+
+// schemas.p2pSettings fields and their columns
+const P2P_COLUMNS = {
+  enabled: 'p2p_enabled',
+  uploadLimit: 'upload_limit',
+  downloadLimit: 'download_limit',
+  maxConnections: 'max_connections'
+};
+
+const BOOLEAN_COLUMNS = new Set([
+  'chimera_mode',
+  'auto_skip_intro',
+  'auto_skip_outro',
+  'dark_mode',
+  'subtitles_enabled',
+  'p2p_enabled',
+  'autoplay_enabled',
+  'autoplay_next_enabled'
+]);
+
+// TINYINT and DECIMAL columns come back as numbers and strings
+const readColumn = (row, column) => {
+  const value = row[column];
+  if (BOOLEAN_COLUMNS.has(column)) {
+    return Boolean(value);
+  }
+  return column === 'default_volume' ? Number(value) : value;
+};
+
+const pickFields = (row, columns) => {
+  return Object.fromEntries(Object.entries(columns).map(([field, column]) => [field, readColumn(row, column)]));
+};
+
+/**
+ * The profile's preferences row, with defaults filled in
+ * @param {Object} profile - { id, userId }
+ * @returns {Promise<Object>} user_preferences columns
+ */
+const getPreferenceRow = async (db, profile) => {
+  const [row] = await query(db, 'SELECT * FROM user_preferences WHERE profile_id = ?', [profile.id]);
+  const stored = Object.fromEntries(Object.entries(row || {}).filter(([, value]) => value !== null));
+  return { ...DEFAULT_PREFERENCES, ...stored };
+};
+
+/**
+ * Write some columns, creating the row on the first change
+ * @param {Object} profile - { id, userId }
+ * @param {Object} columns - { column: value }
+ */
+const savePreferenceColumns = async (db, profile, columns) => {
+  const names = Object.keys(columns);
+  if (names.length === 0) {
+    return;
+  }
+
+  await query(
+    db,
+    `INSERT INTO user_preferences (user_id, profile_id, ${names.join(', ')})
+     VALUES (?, ?, ${names.map(() => '?').join(', ')})
+     ON DUPLICATE KEY UPDATE ${names.map((name) => `${name} = VALUES(${name})`).join(', ')}`,
+    [profile.userId, profile.id, ...names.map((name) => columns[name])]
+  );
+};
+
+const toColumns = (values, columns) => {
+  return Object.fromEntries(
+    Object.entries(values)
+      .filter(([field, value]) => columns[field] && value !== undefined)
+      .map(([field, value]) => [columns[field], value])
+  );
+};
+
+/**
+ * Preferences in the shape of schemas.preferences and schemas.p2pSettings
+ * @returns {Promise<{preferences: Object, p2pSettings: Object}>}
+ */
+const getPreferences = async (db, profile) => {
+  const row = await getPreferenceRow(db, profile);
+  return {
+    preferences: pickFields(row, PREFERENCE_COLUMNS),
+    p2pSettings: pickFields(row, P2P_COLUMNS)
+  };
+};
+
+/**
+ * Apply a validated schemas.preferences body
+ */
+const updatePreferences = async (db, profile, values) => {
+  await savePreferenceColumns(db, profile, toColumns(values, PREFERENCE_COLUMNS));
+  return getPreferences(db, profile);
+};
+
+/**
+ * Apply a validated schemas.p2pSettings body
+ */
+const updateP2PSettings = async (db, profile, values) => {
+  await savePreferenceColumns(db, profile, toColumns(values, P2P_COLUMNS));
+  return getPreferences(db, profile);
+};
+
+module.exports = {
+  DEFAULT_PREFERENCES,
+  getPreferenceRow,
+  savePreferenceColumns,
+  getPreferences,
+  updatePreferences,
+  updateP2PSettings
+};
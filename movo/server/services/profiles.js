@@ -0,0 +1,299 @@
+/**
+ * Viewing profiles
+ * Every account has up to MAX_PROFILES profiles; the first is created on
+ * first use and named after the account. Requests act as the profile named
+ * in the access token, or as the account's default profile. A profile's
+ * parental controls (highest certification and blocked genres) are turned
+ * into SQL conditions so every media query made for it leaves out what it
+ * may not see. Titles without a certification count as unsuitable for a
+ * profile with a rating limit.
+ */
+
+const bcrypt = require('bcryptjs');
+const { query } = require('../database/query');
+const {
+  ValidationError,
+  AuthenticationError,
+  AuthorizationError,
+  ConflictError,
+  NotFoundError
+} = require('../middleware/errorHandler');
+
+const MAX_PROFILES = 5;
+const PIN_SALT_ROUNDS = 10;
+
+// Rating limits a profile can have, from youngest audience up
+const MAX_RATINGS = ['G', 'PG', 'PG-13', 'R', 'NC-17'];
+
+// Certifications each limit allows; US TV ratings sit next to their film equivalent
+const RATING_LEVELS = [
+  ['G', 'TV-Y', 'TV-G'],
+  ['PG', 'TV-Y7', 'TV-Y7-FV', 'TV-PG'],
+  ['PG-13', 'TV-14'],
+  ['R', 'TV-MA'],
+  ['NC-17']
+];
+
+// What the profile picker has always given new child profiles
+const CHILD_CONTROLS = { maxRating: 'G', restrictedGenres: ['Horror', 'Thriller'] };
+
+const parseGenres = (value) => {
+  if (!value) {
+    return [];
+  }
+  try {
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  } catch (error) {
+    return [];
+  }
+};
+
+const formatProfile = (row) => ({
+  id: row.id,
+  userId: row.user_id,
+  name: row.name,
+  avatar: row.avatar,
+  type: row.profile_type,
+  isDefault: Boolean(row.is_default),
+  hasPin: Boolean(row.pin_hash),
+  parentalControls: {
+    maxRating: row.max_rating || null,
+    restrictedGenres: parseGenres(row.restricted_genres)
+  },
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+const allowedRatings = (maxRating) => {
+  return RATING_LEVELS.slice(0, MAX_RATINGS.indexOf(maxRating) + 1).flat();
+};
+
+const isRestricted = (profile) => {
+  const { maxRating, restrictedGenres } = profile.parentalControls;
+  return Boolean(maxRating) || restrictedGenres.length > 0;
+};
+
+/**
+ * SQL condition leaving out media the profile may not see
+ * @param {Object|null} profile - Formatted profile; null for anonymous requests
+ * @param {string} alias - Alias of the movies table in the query
+ * @returns {{sql: string, params: Array}|null} null when nothing is restricted
+ */
+const restrictionCondition = (profile, alias = 'm') => {
+  if (!profile || !isRestricted(profile)) {
+    return null;
+  }
+
+  const { maxRating, restrictedGenres } = profile.parentalControls;
+  const conditions = [];
+  const params = [];
+
+  if (maxRating) {
+    conditions.push(`${alias}.content_rating IN (?)`);
+    params.push(allowedRatings(maxRating));
+  }
+  restrictedGenres.forEach((genre) => {
+    conditions.push(`NOT JSON_CONTAINS(COALESCE(${alias}.genres, JSON_ARRAY()), JSON_QUOTE(?))`);
+    params.push(genre);
+  });
+
+  return { sql: `(${conditions.join(' AND ')})`, params };
+};
+
+// Create the account's first profile, named after the account
+const ensureDefaultProfile = async (db, userId) => {
+  try {
+    await query(
+      db,
+      `INSERT INTO profiles (user_id, name, is_default)
+       SELECT u.id, u.username, TRUE
+       FROM users u
+       WHERE u.id = ? AND NOT EXISTS (SELECT 1 FROM profiles p WHERE p.user_id = u.id)`,
+      [userId]
+    );
+  } catch (error) {
+    // Another request created it first
+    if (error.code !== 'ER_DUP_ENTRY') {
+      throw error;
+    }
+  }
+};
+
+/**
+ * The account's profiles, default first
+ * @returns {Promise<Array>}
+ */
+const listProfiles = async (db, userId) => {
+  await ensureDefaultProfile(db, userId);
+  const rows = await query(db, 'SELECT * FROM profiles WHERE user_id = ? ORDER BY is_default DESC, id', [userId]);
+  return rows.map(formatProfile);
+};
+
+const getProfileRow = async (db, userId, profileId) => {
+  const [row] = await query(db, 'SELECT * FROM profiles WHERE id = ? AND user_id = ?', [profileId, userId]);
+  if (!row) {
+    throw new NotFoundError('Profile not found');
+  }
+  return row;
+};
+
+const getProfile = async (db, userId, profileId) => {
+  return formatProfile(await getProfileRow(db, userId, profileId));
+};
+
+/**
+ * The profile a request acts as
+ * @param {number} userId - Account from the access token
+ * @param {number|undefined} profileId - Profile from the access token, if one was selected
+ * @throws {AuthenticationError} When the selected profile has since been deleted
+ */
+const resolveProfile = async (db, userId, profileId) => {
+  if (profileId) {
+    const [row] = await query(db, 'SELECT * FROM profiles WHERE id = ? AND user_id = ?', [profileId, userId]);
+    if (!row) {
+      throw new AuthenticationError('Profile no longer exists');
+    }
+    return formatProfile(row);
+  }
+
+  const [profile] = await listProfiles(db, userId);
+  if (!profile) {
+    throw new AuthenticationError('User not found');
+  }
+  return profile;
+};
+
+/**
+ * Restricted profiles cannot change profiles, their own controls included
+ * @throws {AuthorizationError}
+ */
+const assertCanManageProfiles = (profile) => {
+  if (profile.type === 'child' || isRestricted(profile)) {
+    throw new AuthorizationError('This profile cannot manage profiles');
+  }
+};
+
+const hashPin = (pin) => bcrypt.hash(pin, PIN_SALT_ROUNDS);
+
+/**
+ * Check a profile's PIN before switching to it
+ * @returns {Promise<Object>} The profile
+ * @throws {AuthorizationError} When the profile has a PIN and it does not match
+ */
+const verifyProfilePin = async (db, userId, profileId, pin) => {
+  const row = await getProfileRow(db, userId, profileId);
+  if (row.pin_hash && !(pin && (await bcrypt.compare(pin, row.pin_hash)))) {
+    throw new AuthorizationError('Incorrect PIN');
+  }
+  return formatProfile(row);
+};
+
+const controlColumns = (controls) => {
+  const columns = {};
+  if (controls.maxRating !== undefined) {
+    columns.max_rating = controls.maxRating;
+  }
+  if (controls.restrictedGenres !== undefined) {
+    columns.restricted_genres = JSON.stringify(controls.restrictedGenres);
+  }
+  return columns;
+};
+
+/**
+ * Add a profile to the account
+ * Child profiles get CHILD_CONTROLS unless other controls are given.
+ * @param {Object} values - Validated schemas.createProfile body
+ */
+const createProfile = async (db, userId, { name, avatar = null, type = 'adult', pin, parentalControls }) => {
+  const profiles = await listProfiles(db, userId);
+  if (profiles.length >= MAX_PROFILES) {
+    throw new ValidationError(`An account can have at most ${MAX_PROFILES} profiles`);
+  }
+
+  const controls = parentalControls || (type === 'child' ? CHILD_CONTROLS : {});
+  const columns = {
+    user_id: userId,
+    name,
+    avatar,
+    profile_type: type,
+    pin_hash: pin ? await hashPin(pin) : null,
+    ...controlColumns(controls)
+  };
+
+  try {
+    const result = await query(db, 'INSERT INTO profiles SET ?', [columns]);
+    return getProfile(db, userId, result.insertId);
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      throw new ConflictError('A profile with this name already exists');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Change a profile; a null PIN removes it
+ * @param {Object} changes - Validated schemas.updateProfile body
+ */
+const updateProfile = async (db, userId, profileId, changes) => {
+  await getProfileRow(db, userId, profileId);
+
+  const columns = controlColumns(changes.parentalControls || {});
+  if (changes.name !== undefined) {
+    columns.name = changes.name;
+  }
+  if (changes.avatar !== undefined) {
+    columns.avatar = changes.avatar;
+  }
+  if (changes.type !== undefined) {
+    columns.profile_type = changes.type;
+  }
+  if (changes.pin !== undefined) {
+    columns.pin_hash = changes.pin ? await hashPin(changes.pin) : null;
+  }
+
+  try {
+    if (Object.keys(columns).length > 0) {
+      await query(db, 'UPDATE profiles SET ? WHERE id = ? AND user_id = ?', [columns, profileId, userId]);
+    }
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      throw new ConflictError('A profile with this name already exists');
+    }
+    throw error;
+  }
+
+  if (changes.isDefault) {
+    await query(db, 'UPDATE profiles SET is_default = (id = ?) WHERE user_id = ?', [profileId, userId]);
+  }
+
+  return getProfile(db, userId, profileId);
+};
+
+/**
+ * Delete a profile with its history and preferences
+ * @throws {ValidationError} For the default profile
+ */
+const deleteProfile = async (db, userId, profileId) => {
+  const row = await getProfileRow(db, userId, profileId);
+  if (row.is_default) {
+    throw new ValidationError('The default profile cannot be deleted');
+  }
+  await query(db, 'DELETE FROM profiles WHERE id = ? AND user_id = ?', [profileId, userId]);
+};
+
+module.exports = {
+  MAX_PROFILES,
+  MAX_RATINGS,
+  formatProfile,
+  isRestricted,
+  restrictionCondition,
+  listProfiles,
+  getProfile,
+  resolveProfile,
+  assertCanManageProfiles,
+  verifyProfilePin,
+  createProfile,
+  updateProfile,
+  deleteProfile
+};
@@ -0,0 +1,78 @@
+/**
+ * Event bus for GraphQL subscriptions
+ * Defaults to graphql-subscriptions' in-process PubSub, which only reaches
+ * clients connected to this process. Anything with the same publish() and
+ * asyncIterator() methods (a Redis-backed PubSub, say) can replace it with
+ * setPubSub() before the server starts.
+ */
+
+const { PubSub } = require('graphql-subscriptions');
+const { logger } = require('../middleware/errorHandler');
+
+let pubsub = new PubSub();
+
+const TOPICS = {
+  downloadProgress: (downloadId) => `DOWNLOAD_PROGRESS_${downloadId}`,
+  streamingSession: (sessionId) => `STREAMING_SESSION_${sessionId}`,
+  watchProgress: (profileId) => `WATCH_PROGRESS_${profileId}`,
+  newMedia: () => 'NEW_MEDIA'
+};
+
+const getPubSub = () => pubsub;
+
+const setPubSub = (implementation) => {
+  pubsub = implementation;
+};
+
+// Publishing never fails the operation that triggered it
+const publish = async (topic, payload) => {
+  try {
+    await pubsub.publish(topic, payload);
+  } catch (error) {
+    logger.warn(`Failed to publish ${topic}: ${error.message}`);
+  }
+};
+
+/**
+ * Announce a download's new state
+ * @param {Object} download - GraphQL Download
+ */
+const publishDownload = (download) => {
+  return publish(TOPICS.downloadProgress(download.id), { downloadProgressUpdated: download });
+};
+
+/**
+ * Announce a streaming session's new state
+ * @param {Object} session - GraphQL StreamingSession
+ */
+const publishStreamingSession = (session) => {
+  return publish(TOPICS.streamingSession(session.id), { streamingSessionUpdated: session });
+};
+
+/**
+ * Announce a profile's watch progress to its other devices
+ * @param {Object} progress - GraphQL WatchProgress, with the profileId it belongs to
+ */
+const publishWatchProgress = (progress) => {
+  return publish(TOPICS.watchProgress(progress.profileId), { watchProgressUpdated: progress });
+};
+
+/**
+ * Announce a library item
+ * @param {number} mediaId - movies.id
+ * @param {Object} options - matched: true once metadata (and so genres) has been found
+ */
+const publishNewMedia = (mediaId, { matched = false } = {}) => {
+  return publish(TOPICS.newMedia(), { mediaId, matched });
+};
+
+module.exports = {
+  TOPICS,
+  getPubSub,
+  setPubSub,
+  publish,
+  publishDownload,
+  publishStreamingSession,
+  publishWatchProgress,
+  publishNewMedia
+};
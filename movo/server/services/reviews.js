@@ -0,0 +1,280 @@
+/**
+ * Reviews
+ * Each account can review a title once (and edit or delete that review),
+ * rate it from 1 to 5 stars and flag it as containing spoilers. Other
+ * accounts can like a review, which "helpful" sorting uses. Every change
+ * recalculates movies.vote_average: the provider's rating weighted by its
+ * vote count, blended with the review ratings on the same 0-10 scale.
+ */
+
+const { query } = require('../database/query');
+const { restrictionCondition } = require('./profiles');
+const { hasRole } = require('./adminUsers');
+const {
+  NotFoundError,
+  ConflictError,
+  AuthorizationError,
+  ValidationError
+} = require('../middleware/errorHandler');
+
+const SORTS = {
+  recent: 'r.created_at DESC, r.id DESC',
+  top: 'r.rating DESC, r.like_count DESC, r.created_at DESC, r.id DESC',
+  helpful: 'r.like_count DESC, r.created_at DESC, r.id DESC'
+};
+
+// Stars to the 0-10 scale of vote_average
+const STAR_SCALE = 2;
+
+const REVIEW_COLUMNS = `r.id, r.movie_id, r.user_id, r.rating, r.content, r.is_spoiler, r.like_count,
+  r.created_at, r.updated_at, u.username`;
+
+const formatReview = (row) => ({
+  id: row.id,
+  movieId: row.movie_id,
+  userId: row.user_id,
+  username: row.username,
+  rating: row.rating,
+  content: row.content,
+  isSpoiler: Boolean(row.is_spoiler),
+  likeCount: Number(row.like_count) || 0,
+  likedByMe: Boolean(row.liked_by_me),
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+// A title the profile may not see is reported as missing
+const ensureReviewableMovie = async (db, movieId, profile = null) => {
+  const restriction = restrictionCondition(profile);
+  const [movie] = await query(
+    db,
+    `SELECT m.id FROM movies m WHERE m.id = ? ${restriction ? `AND ${restriction.sql}` : ''}`,
+    [movieId, ...(restriction ? restriction.params : [])]
+  );
+  if (!movie) {
+    throw new NotFoundError('Movie not found');
+  }
+};
+
+const getReviewRow = async (db, reviewId, viewerId = null) => {
+  const [row] = await query(
+    db,
+    `SELECT ${REVIEW_COLUMNS},
+       EXISTS (SELECT 1 FROM review_likes rl WHERE rl.review_id = r.id AND rl.user_id = ?) AS liked_by_me
+     FROM reviews r JOIN users u ON u.id = r.user_id
+     WHERE r.id = ?`,
+    [viewerId, reviewId]
+  );
+  if (!row) {
+    throw new NotFoundError('Review not found');
+  }
+  return row;
+};
+
+/**
+ * Blend the provider's rating with review ratings
+ * Without reviews the provider's values stand as they are.
+ * @param {Object} provider - { average, count } from the metadata provider
+ * @param {Object} reviews - { count, ratingSum } in stars
+ * @returns {{voteAverage: number|null, voteCount: number|null}}
+ */
+const blendRating = (provider, reviews) => {
+  if (reviews.count === 0) {
+    return { voteAverage: provider.average, voteCount: provider.count };
+  }
+
+  // A provider rating without a vote count carries no weight
+  const providerCount = provider.average !== null && provider.count ? provider.count : 0;
+  const total = providerCount * provider.average + reviews.ratingSum * STAR_SCALE;
+  const count = providerCount + reviews.count;
+
+  return {
+    voteAverage: Math.round((total / count) * 10) / 10,
+    voteCount: count
+  };
+};
+
+/**
+ * Recalculate movies.vote_average and vote_count from the provider's
+ * rating and the title's reviews
+ */
+const recalculateRating = async (db, movieId) => {
+  const [movie] = await query(
+    db,
+    'SELECT provider_vote_average, provider_vote_count FROM movies WHERE id = ?',
+    [movieId]
+  );
+  if (!movie) {
+    return null;
+  }
+
+  const [stats] = await query(
+    db,
+    'SELECT COUNT(*) AS review_count, COALESCE(SUM(rating), 0) AS rating_sum FROM reviews WHERE movie_id = ?',
+    [movieId]
+  );
+  const rating = blendRating(
+    {
+      average: movie.provider_vote_average === null ? null : Number(movie.provider_vote_average),
+      count: movie.provider_vote_count
+    },
+    { count: Number(stats.review_count), ratingSum: Number(stats.rating_sum) }
+  );
+
+  await query(db, 'UPDATE movies SET vote_average = ?, vote_count = ? WHERE id = ?', [
+    rating.voteAverage,
+    rating.voteCount,
+    movieId
+  ]);
+  return rating;
+};
+
+/**
+ * A page of a title's reviews
+ * @param {Object} options - { sort, page, limit, viewerId, profile }
+ * @returns {Promise<{reviews: Array, summary: Object, total: number}>}
+ */
+const listReviews = async (db, movieId, { sort = 'recent', page = 1, limit = 10, viewerId = null, profile = null }) => {
+  await ensureReviewableMovie(db, movieId, profile);
+
+  const rows = await query(
+    db,
+    `SELECT ${REVIEW_COLUMNS},
+       EXISTS (SELECT 1 FROM review_likes rl WHERE rl.review_id = r.id AND rl.user_id = ?) AS liked_by_me
+     FROM reviews r JOIN users u ON u.id = r.user_id
+     WHERE r.movie_id = ?
+     ORDER BY ${SORTS[sort] || SORTS.recent}
+     LIMIT ? OFFSET ?`,
+    [viewerId, movieId, limit, (page - 1) * limit]
+  );
+  const [stats] = await query(
+    db,
+    'SELECT COUNT(*) AS total, AVG(rating) AS average_rating FROM reviews WHERE movie_id = ?',
+    [movieId]
+  );
+  const [own] = viewerId
+    ? await query(db, 'SELECT id FROM reviews WHERE movie_id = ? AND user_id = ?', [movieId, viewerId])
+    : [];
+
+  const total = Number(stats.total);
+  return {
+    reviews: rows.map(formatReview),
+    summary: {
+      reviewCount: total,
+      averageRating: total > 0 ? Math.round(Number(stats.average_rating) * 10) / 10 : null,
+      myReviewId: own ? own.id : null
+    },
+    total
+  };
+};
+
+/**
+ * @throws {ConflictError} If the user has already reviewed the title
+ */
+const createReview = async (db, userId, movieId, { rating, content, isSpoiler = false }, profile = null) => {
+  await ensureReviewableMovie(db, movieId, profile);
+
+  let result;
+  try {
+    result = await query(
+      db,
+      'INSERT INTO reviews (movie_id, user_id, rating, content, is_spoiler) VALUES (?, ?, ?, ?, ?)',
+      [movieId, userId, rating, content, isSpoiler]
+    );
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      throw new ConflictError('You have already reviewed this title');
+    }
+    throw error;
+  }
+
+  await recalculateRating(db, movieId);
+  return formatReview(await getReviewRow(db, result.insertId, userId));
+};
+
+/**
+ * Edit the user's own review
+ * @param {Object} changes - Any of rating, content, isSpoiler
+ */
+const updateReview = async (db, userId, reviewId, changes) => {
+  const row = await getReviewRow(db, reviewId, userId);
+  if (row.user_id !== userId) {
+    throw new AuthorizationError('You can only edit your own reviews');
+  }
+
+  const columns = { rating: 'rating', content: 'content', isSpoiler: 'is_spoiler' };
+  const updates = Object.keys(columns).filter((key) => changes[key] !== undefined);
+  if (updates.length > 0) {
+    await query(
+      db,
+      `UPDATE reviews SET ${updates.map((key) => `${columns[key]} = ?`).join(', ')} WHERE id = ?`,
+      [...updates.map((key) => changes[key]), reviewId]
+    );
+  }
+  if (changes.rating !== undefined) {
+    await recalculateRating(db, row.movie_id);
+  }
+
+  return formatReview(await getReviewRow(db, reviewId, userId));
+};
+
+/**
+ * Delete a review; admins may delete anyone's
+ * @returns {Promise<{review: Object, moderated: boolean}>} The deleted review and whether an admin removed another user's
+ */
+const deleteReview = async (db, userId, reviewId) => {
+  const row = await getReviewRow(db, reviewId, userId);
+  let moderated = false;
+
+  if (row.user_id !== userId) {
+    const [user] = await query(db, 'SELECT role FROM users WHERE id = ?', [userId]);
+    if (!user || !hasRole(user.role, 'admin')) {
+      throw new AuthorizationError('You can only delete your own reviews');
+    }
+    moderated = true;
+  }
+
+  await query(db, 'DELETE FROM reviews WHERE id = ?', [reviewId]);
+  await recalculateRating(db, row.movie_id);
+  return { review: formatReview(row), moderated };
+};
+
+const refreshLikeCount = (db, reviewId) => {
+  return query(
+    db,
+    'UPDATE reviews SET like_count = (SELECT COUNT(*) FROM review_likes WHERE review_id = ?) WHERE id = ?',
+    [reviewId, reviewId]
+  );
+};
+
+/**
+ * Like or unlike a review
+ * @param {boolean} liked - true to like, false to take the like back
+ * @throws {ValidationError} For the user's own review
+ */
+const setReviewLike = async (db, userId, reviewId, liked) => {
+  const row = await getReviewRow(db, reviewId, userId);
+  if (row.user_id === userId) {
+    throw new ValidationError('You cannot like your own review');
+  }
+
+  if (liked) {
+    await query(db, 'INSERT IGNORE INTO review_likes (review_id, user_id) VALUES (?, ?)', [reviewId, userId]);
+  } else {
+    await query(db, 'DELETE FROM review_likes WHERE review_id = ? AND user_id = ?', [reviewId, userId]);
+  }
+  await refreshLikeCount(db, reviewId);
+
+  return formatReview(await getReviewRow(db, reviewId, userId));
+};
+
+module.exports = {
+  SORTS,
+  blendRating,
+  recalculateRating,
+  listReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+  setReviewLike
+};
@@ -0,0 +1,162 @@
+const { KIDS_PROFILE, createTestDatabase, createUser, createMovie } = require('../database/testDatabase');
+const { query } = require('../database/query');
+const {
+  blendRating,
+  listReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+  setReviewLike
+} = require('./reviews');
+
+describe('reviews', () => {
+  describe('blendRating', () => {
+    test('keeps the provider rating when there are no reviews', () => {
+      expect(blendRating({ average: 7.4, count: 120 }, { count: 0, ratingSum: 0 })).toEqual({
+        voteAverage: 7.4,
+        voteCount: 120
+      });
+    });
+
+    test('weights the provider rating by its vote count', () => {
+      // (8 * 3 + 5 stars * 2) / 4
+      expect(blendRating({ average: 8, count: 3 }, { count: 1, ratingSum: 5 })).toEqual({
+        voteAverage: 8.5,
+        voteCount: 4
+      });
+    });
+
+    test('ignores a provider rating without votes', () => {
+      expect(blendRating({ average: 9, count: null }, { count: 2, ratingSum: 5 })).toEqual({
+        voteAverage: 5,
+        voteCount: 2
+      });
+      expect(blendRating({ average: null, count: null }, { count: 1, ratingSum: 4 })).toEqual({
+        voteAverage: 8,
+        voteCount: 1
+      });
+    });
+  });
+
+  describe('with a database', () => {
+    let db;
+    let alice;
+    let bob;
+    let admin;
+    let movieId;
+
+    const getRating = async (id) => {
+      const [movie] = await query(db, 'SELECT vote_average, vote_count FROM movies WHERE id = ?', [id]);
+      return {
+        voteAverage: movie.vote_average === null ? null : Number(movie.vote_average),
+        voteCount: movie.vote_count
+      };
+    };
+
+    beforeEach(async () => {
+      db = await createTestDatabase();
+      alice = await createUser(db, 'alice');
+      bob = await createUser(db, 'bob');
+      admin = await createUser(db, 'admin', { role: 'admin' });
+      movieId = await createMovie(db, 'Heat', {
+        content_rating: 'R',
+        provider_vote_average: 8,
+        provider_vote_count: 3,
+        vote_average: 8,
+        vote_count: 3
+      });
+    });
+
+    afterEach(() => {
+      db.end();
+    });
+
+    test('creates a review and blends it into the rating', async () => {
+      const review = await createReview(db, alice, movieId, { rating: 5, content: 'Great heist' });
+
+      expect(review).toMatchObject({
+        movieId,
+        userId: alice,
+        username: 'alice',
+        rating: 5,
+        content: 'Great heist',
+        isSpoiler: false,
+        likeCount: 0,
+        likedByMe: false
+      });
+      expect(await getRating(movieId)).toEqual({ voteAverage: 8.5, voteCount: 4 });
+    });
+
+    test('allows one review per account', async () => {
+      await createReview(db, alice, movieId, { rating: 5, content: 'Great heist' });
+
+      await expect(createReview(db, alice, movieId, { rating: 1, content: 'Changed my mind' })).rejects.toMatchObject({
+        statusCode: 409
+      });
+    });
+
+    test('hides titles the profile may not see', async () => {
+      await expect(
+        createReview(db, alice, movieId, { rating: 5, content: 'Great heist' }, KIDS_PROFILE)
+      ).rejects.toMatchObject({ statusCode: 404 });
+      await expect(listReviews(db, movieId, { profile: KIDS_PROFILE })).rejects.toMatchObject({ statusCode: 404 });
+      await expect(listReviews(db, 9999, {})).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    test('lets only the author edit a review, recalculating on rating changes', async () => {
+      const review = await createReview(db, alice, movieId, { rating: 5, content: 'Great heist' });
+
+      await expect(updateReview(db, bob, review.id, { rating: 1 })).rejects.toMatchObject({ statusCode: 403 });
+
+      const updated = await updateReview(db, alice, review.id, { rating: 2, isSpoiler: true });
+      expect(updated).toMatchObject({ rating: 2, content: 'Great heist', isSpoiler: true });
+      // (8 * 3 + 2 stars * 2) / 4
+      expect(await getRating(movieId)).toEqual({ voteAverage: 7, voteCount: 4 });
+    });
+
+    test('lets the author or an admin delete a review', async () => {
+      const review = await createReview(db, alice, movieId, { rating: 5, content: 'Great heist' });
+
+      await expect(deleteReview(db, bob, review.id)).rejects.toMatchObject({ statusCode: 403 });
+
+      const deleted = await deleteReview(db, admin, review.id);
+      expect(deleted).toMatchObject({ moderated: true, review: { id: review.id } });
+      expect(await getRating(movieId)).toEqual({ voteAverage: 8, voteCount: 3 });
+
+      const own = await createReview(db, alice, movieId, { rating: 4, content: 'Second look' });
+      expect(await deleteReview(db, alice, own.id)).toMatchObject({ moderated: false });
+      await expect(deleteReview(db, alice, own.id)).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    test('counts likes from other accounts only', async () => {
+      const review = await createReview(db, alice, movieId, { rating: 5, content: 'Great heist' });
+
+      await expect(setReviewLike(db, alice, review.id, true)).rejects.toMatchObject({ statusCode: 400 });
+
+      expect(await setReviewLike(db, bob, review.id, true)).toMatchObject({ likeCount: 1, likedByMe: true });
+      // Liking twice is idempotent
+      expect(await setReviewLike(db, bob, review.id, true)).toMatchObject({ likeCount: 1 });
+      expect(await setReviewLike(db, admin, review.id, true)).toMatchObject({ likeCount: 2 });
+      expect(await setReviewLike(db, bob, review.id, false)).toMatchObject({ likeCount: 1, likedByMe: false });
+    });
+
+    test('lists reviews with sorting, paging and a summary', async () => {
+      const first = await createReview(db, alice, movieId, { rating: 3, content: 'Fine' });
+      const second = await createReview(db, bob, movieId, { rating: 5, content: 'Great' });
+      const third = await createReview(db, admin, movieId, { rating: 4, content: 'Good' });
+      await setReviewLike(db, alice, third.id, true);
+
+      const top = await listReviews(db, movieId, { sort: 'top', viewerId: alice });
+      expect(top.reviews.map((review) => review.id)).toEqual([second.id, third.id, first.id]);
+      expect(top.summary).toEqual({ reviewCount: 3, averageRating: 4, myReviewId: first.id });
+      expect(top.total).toBe(3);
+
+      const helpful = await listReviews(db, movieId, { sort: 'helpful', viewerId: alice });
+      expect(helpful.reviews[0]).toMatchObject({ id: third.id, likedByMe: true });
+
+      const page = await listReviews(db, movieId, { sort: 'top', page: 2, limit: 2 });
+      expect(page.reviews.map((review) => review.id)).toEqual([first.id]);
+      expect(page.summary.myReviewId).toBeNull();
+    });
+  });
+});
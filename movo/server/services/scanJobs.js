@@ -0,0 +1,169 @@
+/**
+ * Library scans started by admins
+ * Scans run in the background, one at a time, and are recorded in
+ * library_scans so their progress and results can be followed (and looked
+ * back on) from the admin API. A full scan ingests everything it finds; an
+ * incremental one diffs the directories against the file index.
+ */
+
+const path = require('path');
+const { query } = require('../database/query');
+const { scanLibrary, saveScanResults } = require('./libraryScanner');
+const { rescanLibrary } = require('./libraryIndex');
+const { scanDuration } = require('./metrics');
+const { ConflictError, NotFoundError, logger } = require('../middleware/errorHandler');
+
+const MODES = ['full', 'incremental'];
+
+const parseJson = (value, fallback) => {
+  if (!value) {
+    return fallback;
+  }
+  try {
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  } catch (error) {
+    return fallback;
+  }
+};
+
+const formatScan = (row) => ({
+  id: row.id,
+  mode: row.mode,
+  directories: parseJson(row.directories, []),
+  status: row.status,
+  startedBy: row.started_by ? { id: row.started_by, username: row.started_by_username } : null,
+  result: parseJson(row.result, null),
+  error: row.error,
+  startedAt: row.started_at,
+  finishedAt: row.finished_at
+});
+
+// Scan reports list every file; the stored result keeps the counts and errors
+const summarize = (mode, outcome) => {
+  if (mode === 'full') {
+    return { foundMovies: outcome.foundMovies.length, errors: outcome.errors };
+  }
+  const { errors, ...changes } = outcome;
+  const counts = {};
+  Object.entries(changes).forEach(([key, value]) => {
+    counts[key] = Array.isArray(value) ? value.length : value;
+  });
+  return { ...counts, errors };
+};
+
+class ScanJobs {
+  constructor(db) {
+    this.db = db;
+    this.running = null;
+  }
+
+  /**
+   * Mark scans that were running when the server stopped as failed
+   */
+  async recover() {
+    await query(
+      this.db,
+      "UPDATE library_scans SET status = 'failed', error = 'Server stopped during the scan', finished_at = NOW() WHERE status = 'running'"
+    );
+  }
+
+  /**
+   * Start a scan in the background
+   * @param {Object} options - { directories, mode ('full' or 'incremental'), userId }
+   * @returns {Promise<Object>} The running scan
+   * @throws {ConflictError} While another scan is running
+   */
+  async start({ directories, mode = 'incremental', userId = null }) {
+    if (this.running) {
+      throw new ConflictError(`Scan ${this.running.id} is still running`);
+    }
+
+    const resolved = directories.map((directory) => path.resolve(directory));
+    // Claimed before the insert so two requests can't both start
+    this.running = { id: null };
+
+    let scanId;
+    try {
+      const result = await query(
+        this.db,
+        'INSERT INTO library_scans (started_by, mode, directories) VALUES (?, ?, ?)',
+        [userId, mode, JSON.stringify(resolved)]
+      );
+      scanId = result.insertId;
+    } catch (error) {
+      this.running = null;
+      throw error;
+    }
+
+    this.running = { id: scanId };
+    this._run(scanId, mode, resolved);
+    return this.get(scanId);
+  }
+
+  async _run(scanId, mode, directories) {
+    const end = scanDuration.startTimer({ mode });
+    try {
+      const outcome = mode === 'full'
+        ? await scanLibrary(directories).then(async ({ files, errors }) => ({
+          foundMovies: await saveScanResults(this.db, files),
+          errors
+        }))
+        : await rescanLibrary(this.db, directories);
+
+      await query(
+        this.db,
+        "UPDATE library_scans SET status = 'completed', result = ?, finished_at = NOW() WHERE id = ?",
+        [JSON.stringify(summarize(mode, outcome)), scanId]
+      );
+      end({ status: 'completed' });
+      logger.info(`Library scan ${scanId} (${mode}) completed`);
+    } catch (error) {
+      end({ status: 'failed' });
+      logger.error(`Library scan ${scanId} failed:`, error);
+      await query(
+        this.db,
+        "UPDATE library_scans SET status = 'failed', error = ?, finished_at = NOW() WHERE id = ?",
+        [error.message, scanId]
+      ).catch((err) => logger.error(`Failed to record the outcome of scan ${scanId}:`, err));
+    } finally {
+      this.running = null;
+    }
+  }
+
+  /**
+   * @throws {NotFoundError}
+   */
+  async get(scanId) {
+    const [row] = await query(
+      this.db,
+      `SELECT s.*, u.username AS started_by_username
+       FROM library_scans s LEFT JOIN users u ON u.id = s.started_by
+       WHERE s.id = ?`,
+      [scanId]
+    );
+    if (!row) {
+      throw new NotFoundError('Scan not found');
+    }
+    return formatScan(row);
+  }
+
+  /**
+   * Recent scans, newest first
+   */
+  async list(limit = 20) {
+    const rows = await query(
+      this.db,
+      `SELECT s.*, u.username AS started_by_username
+       FROM library_scans s LEFT JOIN users u ON u.id = s.started_by
+       ORDER BY s.started_at DESC, s.id DESC
+       LIMIT ?`,
+      [limit]
+    );
+    return rows.map(formatScan);
+  }
+}
+
+module.exports = {
+  MODES,
+  ScanJobs
+};
@@ -0,0 +1,501 @@
+/**
+ * Library search
+ * Searches the library's titles, original and episode titles, genres and
+ * overviews. Misspelled words still match (one typo in words of 4 to 7
+ * letters, two in longer ones), the last word of a query also matches as
+ * a prefix so results follow the user's typing, and accents and case are
+ * ignored. MySQL's FULLTEXT index on movies.overview can do none of that, and
+ * the SQLite driver has no full-text search at all, so the library is indexed
+ * in memory. The index is rebuilt when a cheap aggregate query over movies
+ * shows the library changed, checked at most every SEARCH_INDEX_CHECK_MS.
+ *
+ * Results can be filtered by genre, year, rating, running time and type, and
+ * carry facet counts for those filters. Each facet is counted with every
+ * other filter applied but not its own, so a client can show how many
+ * results picking another genre (or year, ...) would add.
+ */
+
+const { query } = require('../../database/query');
+const { restrictionCondition } = require('../profiles');
+const { logger } = require('../../middleware/errorHandler');
+const { normalizeWord, tokenize, allowedEdits, editDistance, highlight, snippet } = require('./text');
+
+const CHECK_INTERVAL_MS = parseInt(process.env.SEARCH_INDEX_CHECK_MS) || 10000;
+
+// How much a match in each field counts
+const FIELDS = {
+  title: { weight: 3, mask: 1 },
+  originalTitle: { weight: 2, mask: 2 },
+  episodeTitle: { weight: 2, mask: 4 },
+  genres: { weight: 1.5, mask: 8 },
+  overview: { weight: 1, mask: 16 }
+};
+const TITLE_MASK = FIELDS.title.mask | FIELDS.originalTitle.mask | FIELDS.episodeTitle.mask;
+
+// How much each kind of match counts, relative to the exact word
+const PREFIX_WEIGHT = 0.8;
+const TYPO_WEIGHTS = [1, 0.6, 0.4];
+// A one-letter prefix would otherwise match most of the vocabulary
+const MAX_PREFIX_EXPANSIONS = 100;
+
+const byPopularity = (a, b) => {
+  return (b.doc.popularity || 0) - (a.doc.popularity || 0) || a.doc.title.localeCompare(b.doc.title);
+};
+
+const SORTS = {
+  relevance: (a, b) => b.score - a.score || byPopularity(a, b),
+  title: (a, b) => a.doc.title.localeCompare(b.doc.title) || a.doc.id - b.doc.id,
+  year: (a, b) => (b.doc.year || 0) - (a.doc.year || 0) || byPopularity(a, b),
+  rating: (a, b) => (b.doc.rating || 0) - (a.doc.rating || 0) || byPopularity(a, b),
+  added: (a, b) => b.doc.createdAt - a.doc.createdAt || b.doc.id - a.doc.id
+};
+
+/**
+ * Range facets; `from` is inclusive, `to` exclusive and null means unbounded.
+ * Years are grouped by decade.
+ */
+const RANGE_FACETS = {
+  years: { field: 'year', minFilter: 'yearFrom', maxFilter: 'yearTo' },
+  rating: {
+    field: 'rating',
+    minFilter: 'ratingMin',
+    maxFilter: 'ratingMax',
+    buckets: [[null, 4], [4, 6], [6, 8], [8, null]]
+  },
+  runtime: {
+    field: 'runtime',
+    minFilter: 'runtimeMin',
+    maxFilter: 'runtimeMax',
+    buckets: [[null, 90], [90, 120], [120, 150], [150, null]]
+  }
+};
+
+const LIBRARY_CONDITION = 'm.file_path IS NOT NULL AND m.is_available = TRUE';
+
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+const parseGenres = (value) => {
+  try {
+    const genres = typeof value === 'string' ? JSON.parse(value) : value;
+    return Array.isArray(genres) ? genres.filter((genre) => typeof genre === 'string') : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+// A movies row as an index document; running time is in minutes
+const toDocument = (row) => {
+  const duration = toNumber(row.duration);
+  return {
+    id: row.id,
+    title: row.title,
+    originalTitle: row.original_title && row.original_title !== row.title ? row.original_title : null,
+    episodeTitle: row.episode_title,
+    overview: row.overview,
+    genres: parseGenres(row.genres),
+    year: row.release_year || null,
+    rating: toNumber(row.vote_average),
+    runtime: row.runtime || (duration ? Math.round(duration / 60) : null),
+    type: row.media_type === 'episode' ? 'episode' : 'movie',
+    popularity: toNumber(row.popularity),
+    createdAt: new Date(row.created_at).getTime() || 0
+  };
+};
+
+// Index of the first term not sorted before `prefix`
+const lowerBound = (terms, prefix) => {
+  let low = 0;
+  let high = terms.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (terms[middle] < prefix) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+};
+
+const inRange = (value, min, max) => {
+  if (min === undefined && max === undefined) {
+    return true;
+  }
+  return value !== null && (min === undefined || value >= min) && (max === undefined || value <= max);
+};
+
+class SearchIndex {
+  /**
+   * @param {Object} db - Database pool (app.locals.db)
+   * @param {Object} options - checkInterval: how often to look for library changes
+   */
+  constructor(db, { checkInterval = CHECK_INTERVAL_MS } = {}) {
+    this.db = db;
+    this.checkInterval = checkInterval;
+    this.documents = [];
+    // term -> Map(document index -> field mask)
+    this.postings = new Map();
+    this.sortedTerms = [];
+    this.termsByLength = new Map();
+    this.signature = null;
+    this.checkedAt = 0;
+    this.refreshing = null;
+  }
+
+  // Make the next search check the library for changes
+  invalidate() {
+    this.checkedAt = 0;
+  }
+
+  // Rebuild the index if the library changed since it was built
+  refresh() {
+    if (this.refreshing) {
+      return this.refreshing;
+    }
+    if (this.signature !== null && Date.now() - this.checkedAt < this.checkInterval) {
+      return Promise.resolve();
+    }
+
+    this.refreshing = (async () => {
+      const [row] = await query(
+        this.db,
+        `SELECT COUNT(*) AS total, MAX(id) AS last_id, MAX(updated_at) AS updated,
+           MAX(metadata_updated_at) AS metadata_updated, MAX(scanned_at) AS scanned,
+           SUM(vote_average) AS ratings, SUM(is_available) AS available
+         FROM movies
+         WHERE file_path IS NOT NULL`
+      );
+      const signature = JSON.stringify(row);
+      if (signature !== this.signature) {
+        await this.build();
+        this.signature = signature;
+      }
+      this.checkedAt = Date.now();
+    })().finally(() => {
+      this.refreshing = null;
+    });
+
+    return this.refreshing;
+  }
+
+  async build() {
+    const started = Date.now();
+    const rows = await query(
+      this.db,
+      `SELECT m.id, m.title, m.original_title, m.episode_title, m.overview, m.genres, m.release_year,
+         m.vote_average, m.runtime, m.media_type, m.popularity, m.created_at, va.duration
+       FROM movies m
+       LEFT JOIN video_analysis va ON va.movie_id = m.id
+       WHERE ${LIBRARY_CONDITION}`
+    );
+
+    const documents = rows.map(toDocument);
+    const postings = new Map();
+    documents.forEach((doc, index) => {
+      Object.entries(FIELDS).forEach(([field, { mask }]) => {
+        const text = field === 'genres' ? doc.genres.join(' ') : doc[field];
+        tokenize(text).forEach((term) => {
+          if (!postings.has(term)) {
+            postings.set(term, new Map());
+          }
+          const docs = postings.get(term);
+          docs.set(index, (docs.get(index) || 0) | mask);
+        });
+      });
+    });
+
+    const termsByLength = new Map();
+    postings.forEach((docs, term) => {
+      if (!termsByLength.has(term.length)) {
+        termsByLength.set(term.length, []);
+      }
+      termsByLength.get(term.length).push(term);
+    });
+
+    this.documents = documents;
+    this.postings = postings;
+    this.sortedTerms = [...postings.keys()].sort();
+    this.termsByLength = termsByLength;
+    logger.info(`Search index built: ${documents.length} titles, ${postings.size} terms in ${Date.now() - started}ms`);
+  }
+
+  /**
+   * Indexed terms a query word matches, with how much each match counts
+   * @param {string} word - Normalized query word
+   * @param {boolean} prefix - Whether longer words starting with it match too
+   * @returns {Map<string, number>}
+   */
+  expand(word, prefix) {
+    const matches = new Map();
+    const add = (term, weight) => {
+      if (weight > (matches.get(term) || 0)) {
+        matches.set(term, weight);
+      }
+    };
+
+    if (this.postings.has(word)) {
+      add(word, 1);
+    }
+
+    if (prefix) {
+      const start = lowerBound(this.sortedTerms, word);
+      for (let i = start; i < this.sortedTerms.length && i - start < MAX_PREFIX_EXPANSIONS; i++) {
+        if (!this.sortedTerms[i].startsWith(word)) {
+          break;
+        }
+        add(this.sortedTerms[i], PREFIX_WEIGHT);
+      }
+    }
+
+    const edits = allowedEdits(word.length);
+    for (let length = word.length - edits; length <= word.length + edits; length++) {
+      (this.termsByLength.get(length) || []).forEach((term) => {
+        const distance = editDistance(word, term, edits);
+        if (distance > 0 && distance <= edits) {
+          add(term, TYPO_WEIGHTS[distance]);
+        }
+      });
+    }
+
+    return matches;
+  }
+
+  /**
+   * Score the documents matching every word of a query
+   * @param {string[]} words - Normalized query words
+   * @param {number} fieldMask - Only count matches in these fields
+   * @returns {{scores: Map<number, number>, terms: Set<string>}} Scores by
+   *   document index, and every indexed term the query matched
+   */
+  match(words, fieldMask) {
+    const terms = new Set();
+    let scores = null;
+
+    words.forEach((word, position) => {
+      const wordScores = new Map();
+      this.expand(word, position === words.length - 1).forEach((matchWeight, term) => {
+        const docs = this.postings.get(term);
+        // Rare words say more about a title than common ones
+        const idf = Math.log(1 + this.documents.length / docs.size);
+        let matched = false;
+
+        docs.forEach((mask, index) => {
+          if (!(mask & fieldMask) || (scores && !scores.has(index))) {
+            return;
+          }
+          const fieldWeight = Math.max(
+            ...Object.values(FIELDS).filter((field) => mask & fieldMask & field.mask).map((field) => field.weight)
+          );
+          const score = fieldWeight * matchWeight * idf;
+          if (score > (wordScores.get(index) || 0)) {
+            wordScores.set(index, score);
+          }
+          matched = true;
+        });
+        if (matched) {
+          terms.add(term);
+        }
+      });
+
+      scores = new Map([...wordScores].map(([index, score]) => [index, (scores ? scores.get(index) : 0) + score]));
+    });
+
+    return { scores: scores || new Map(), terms };
+  }
+
+  // IDs of library titles the profile's parental controls allow, or null for all
+  async allowedIds(profile) {
+    const restriction = restrictionCondition(profile);
+    if (!restriction) {
+      return null;
+    }
+    const rows = await query(
+      this.db,
+      `SELECT m.id FROM movies m WHERE ${LIBRARY_CONDITION} AND ${restriction.sql}`,
+      restriction.params
+    );
+    return new Set(rows.map((row) => row.id));
+  }
+
+  /**
+   * Search the library
+   * @param {string} text - Query; empty to browse with filters alone
+   * @param {Object} options - filters ({ genres, yearFrom, yearTo, ratingMin,
+   *   ratingMax, runtimeMin, runtimeMax, type }), sort (relevance, title,
+   *   year, rating or added), offset, limit, and the request's profile
+   * @returns {Promise<{hits: Array, total: number, facets: Object}>} One page of
+   *   hits ({ id, score, highlights }), the number of results across pages,
+   *   and facet counts
+   */
+  async search(text, { filters = {}, sort = 'relevance', offset = 0, limit = 20, profile = null } = {}) {
+    await this.refresh();
+    const allowed = await this.allowedIds(profile);
+
+    const words = tokenize(text);
+    let results;
+    let terms = new Set();
+    if (words.length > 0) {
+      const matched = this.match(words, ~0);
+      terms = matched.terms;
+      const phrase = words.join(' ');
+      results = [...matched.scores].map(([index, score]) => {
+        const doc = this.documents[index];
+        const title = tokenize(doc.title).join(' ');
+        // Whole and leading title matches first
+        const bonus = title === phrase ? 10 : title.startsWith(phrase) ? 3 : 0;
+        return { doc, score: score + bonus };
+      });
+    } else {
+      results = this.documents.map((doc) => ({ doc, score: 0 }));
+    }
+    if (allowed) {
+      results = results.filter((result) => allowed.has(result.doc.id));
+    }
+
+    const facets = this.facets(results, filters);
+    const filtered = results.filter((result) => this.passes(result.doc, filters));
+    filtered.sort(SORTS[words.length === 0 && sort === 'relevance' ? 'title' : sort] || SORTS.relevance);
+
+    return {
+      hits: filtered.slice(offset, offset + limit).map(({ doc, score }) => ({
+        id: doc.id,
+        score: Math.round(score * 1000) / 1000,
+        highlights: words.length > 0 ? this.highlights(doc, terms) : {}
+      })),
+      total: filtered.length,
+      facets
+    };
+  }
+
+  /**
+   * Titles starting with what the user typed so far, for autocomplete
+   * Episodes of a show share its title, so each title is suggested once.
+   * @param {string} text - What the user typed
+   * @param {Object} options - limit, and the request's profile
+   * @returns {Promise<Array<{id: number, title: string, year: number|null, type: string, highlight: string}>>}
+   */
+  async suggest(text, { limit = 8, profile = null } = {}) {
+    const words = tokenize(text);
+    if (words.length === 0) {
+      return [];
+    }
+    await this.refresh();
+    const allowed = await this.allowedIds(profile);
+
+    const { scores, terms } = this.match(words, TITLE_MASK);
+    const results = [...scores]
+      .map(([index, score]) => ({ doc: this.documents[index], score }))
+      .filter((result) => !allowed || allowed.has(result.doc.id))
+      .sort(SORTS.relevance);
+
+    const seen = new Set();
+    const suggestions = [];
+    for (const { doc } of results) {
+      const key = `${normalizeWord(doc.title)}:${doc.type === 'episode' ? '' : doc.year}`;
+      if (seen.has(key)) {
+        continue;
+      }
+      seen.add(key);
+      suggestions.push({
+        id: doc.id,
+        title: doc.title,
+        year: doc.year,
+        type: doc.type,
+        highlight: highlight(doc.title, terms).html
+      });
+      if (suggestions.length === limit) {
+        break;
+      }
+    }
+    return suggestions;
+  }
+
+  passes(doc, filters, except = null) {
+    if (except !== 'genres' && filters.genres && filters.genres.length > 0) {
+      const wanted = filters.genres.map(normalizeWord);
+      if (!doc.genres.some((genre) => wanted.includes(normalizeWord(genre)))) {
+        return false;
+      }
+    }
+    if (filters.type && doc.type !== filters.type) {
+      return false;
+    }
+    return Object.entries(RANGE_FACETS).every(([name, facet]) => {
+      return name === except || inRange(doc[facet.field], filters[facet.minFilter], filters[facet.maxFilter]);
+    });
+  }
+
+  facets(results, filters) {
+    const genres = new Map();
+    results
+      .filter((result) => this.passes(result.doc, filters, 'genres'))
+      .forEach(({ doc }) => {
+        doc.genres.forEach((genre) => genres.set(genre, (genres.get(genre) || 0) + 1));
+      });
+
+    const facets = {
+      genres: [...genres]
+        .map(([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+    };
+
+    Object.entries(RANGE_FACETS).forEach(([name, facet]) => {
+      const values = results
+        .filter((result) => this.passes(result.doc, filters, name))
+        .map(({ doc }) => doc[facet.field])
+        .filter((value) => value !== null);
+      if (values.length === 0) {
+        facets[name] = { min: null, max: null, buckets: [] };
+        return;
+      }
+
+      const min = values.reduce((lowest, value) => Math.min(lowest, value));
+      const max = values.reduce((highest, value) => Math.max(highest, value));
+      let buckets = facet.buckets;
+      if (!buckets) {
+        buckets = [];
+        for (let decade = Math.floor(min / 10) * 10; decade <= max; decade += 10) {
+          buckets.push([decade, decade + 10]);
+        }
+      }
+
+      facets[name] = {
+        min,
+        max,
+        buckets: buckets
+          .map(([from, to]) => ({
+            from,
+            to,
+            count: values.filter((value) => (from === null || value >= from) && (to === null || value < to)).length
+          }))
+          .filter((bucket) => bucket.count > 0)
+      };
+    });
+
+    return facets;
+  }
+
+  // Matched words wrapped in <mark>, HTML-escaped, for the fields that matched
+  highlights(doc, terms) {
+    const highlights = { title: highlight(doc.title, terms).html };
+    ['originalTitle', 'episodeTitle'].forEach((field) => {
+      const result = doc[field] ? highlight(doc[field], terms) : null;
+      if (result && result.matched) {
+        highlights[field] = result.html;
+      }
+    });
+    const genres = doc.genres.filter((genre) => tokenize(genre).some((word) => terms.has(word)));
+    if (genres.length > 0) {
+      highlights.genres = genres.map((genre) => highlight(genre, terms).html);
+    }
+    const overview = doc.overview ? snippet(doc.overview, terms) : null;
+    if (overview) {
+      highlights.overview = overview;
+    }
+    return highlights;
+  }
+}
+
+module.exports = {
+  SearchIndex
+};
@@ -0,0 +1,141 @@
+/**
+ * Search text handling
+ * Tokenizing (case- and accent-insensitive), edit distances for typo
+ * tolerance, and highlighting matched words in the original text.
+ */
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Lower-case a word and strip its accents ("Amélie" to "amelie")
+ * @param {string} word
+ * @returns {string}
+ */
+const normalizeWord = (word) => word.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+
+/**
+ * Normalized words of a text
+ * @param {string|null} text
+ * @returns {string[]}
+ */
+const tokenize = (text) => (text ? String(text).match(WORD_PATTERN) || [] : []).map(normalizeWord);
+
+/**
+ * Edits a word of this length may be off by and still match
+ * Short words must match exactly, or every query would match everything.
+ * @param {number} length - Query word length
+ * @returns {number}
+ */
+const allowedEdits = (length) => {
+  if (length < 4) {
+    return 0;
+  }
+  return length < 8 ? 1 : 2;
+};
+
+/**
+ * Edit distance with adjacent transpositions counted as one edit
+ * ("matirx" is one edit from "matrix"), giving up past maxDistance
+ * @returns {number} The distance, or maxDistance + 1 when it is larger
+ */
+const editDistance = (a, b, maxDistance) => {
+  if (Math.abs(a.length - b.length) > maxDistance) {
+    return maxDistance + 1;
+  }
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMinimum = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (beforePrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, beforePrevious[j - 2] + 1);
+      }
+      current.push(distance);
+      rowMinimum = Math.min(rowMinimum, distance);
+    }
+    if (rowMinimum > maxDistance) {
+      return maxDistance + 1;
+    }
+    beforePrevious = previous;
+    previous = current;
+  }
+
+  return Math.min(previous[b.length], maxDistance + 1);
+};
+
+const escapeHtml = (text) => {
+  return text.replace(/[&<>"']/g, (character) => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+  })[character]);
+};
+
+/**
+ * Wrap the words that matched the query in <mark>, escaping the rest as HTML
+ * @param {string} text - Original text
+ * @param {Set<string>} terms - Normalized words that matched
+ * @returns {{html: string, matched: boolean}}
+ */
+const highlight = (text, terms) => {
+  let html = '';
+  let last = 0;
+  let matched = false;
+
+  for (const match of text.matchAll(WORD_PATTERN)) {
+    if (!terms.has(normalizeWord(match[0]))) {
+      continue;
+    }
+    html += `${escapeHtml(text.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+    matched = true;
+  }
+
+  return { html: html + escapeHtml(text.slice(last)), matched };
+};
+
+/**
+ * A highlighted excerpt around the first matching word of a long text
+ * @param {string} text - Original text
+ * @param {Set<string>} terms - Normalized words that matched
+ * @param {number} length - Rough excerpt length in characters
+ * @returns {string|null} null when nothing in the text matched
+ */
+const snippet = (text, terms, length = 160) => {
+  const first = [...text.matchAll(WORD_PATTERN)].find((match) => terms.has(normalizeWord(match[0])));
+  if (!first) {
+    return null;
+  }
+
+  let start = Math.max(0, first.index - Math.floor(length / 3));
+  let end = Math.min(text.length, start + length);
+  // Don't cut words in half
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    start = space === -1 || space > first.index ? start : space + 1;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    end = space > first.index ? space : end;
+  }
+
+  const { html } = highlight(text.slice(start, end), terms);
+  return `${start > 0 ? '…' : ''}${html}${end < text.length ? '…' : ''}`;
+};
+
+module.exports = {
+  normalizeWord,
+  tokenize,
+  allowedEdits,
+  editDistance,
+  escapeHtml,
+  highlight,
+  snippet
+};
@@ -0,0 +1,163 @@
+/**
+ * Signed-in sessions
+ * A session is a refresh token family: it starts at sign-in and lives on
+ * through every rotation until it is revoked or its last token expires.
+ * Sessions are named after the device (sent by the client, or guessed from
+ * the user agent) so users can tell them apart and sign out the ones they
+ * don't recognise. Revoking a session stops its refresh token; access tokens
+ * already handed out run until they expire.
+ */
+
+const { query } = require('../database/query');
+const { revokeTokenFamily } = require('./authTokens');
+const { NotFoundError } = require('../middleware/errorHandler');
+
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Safari', /Safari\//]
+];
+
+const SYSTEMS = [
+  ['Android', /Android/],
+  ['iPhone', /iPhone/],
+  ['iPad', /iPad/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['ChromeOS', /CrOS/],
+  ['Linux', /Linux/]
+];
+
+const matchName = (patterns, userAgent) => {
+  const found = patterns.find(([, pattern]) => pattern.test(userAgent));
+  return found ? found[0] : null;
+};
+
+/**
+ * A readable device name, e.g. "Firefox on Windows"
+ * @param {string} userAgent - User-Agent header
+ * @returns {string|null}
+ */
+const describeDevice = (userAgent) => {
+  if (!userAgent) {
+    return null;
+  }
+
+  const browser = matchName(BROWSERS, userAgent);
+  const system = matchName(SYSTEMS, userAgent);
+  if (browser && system) {
+    return `${browser} on ${system}`;
+  }
+  return browser || system || userAgent.slice(0, 100);
+};
+
+/**
+ * Device details of a request, recorded on the session it signs in to
+ * @param {Object} req - Express request; body.deviceName overrides the guessed name
+ * @returns {{deviceName: string|null, userAgent: string|null, ipAddress: string|null}}
+ */
+const describeClient = (req) => {
+  const userAgent = req.get('user-agent') || null;
+  const deviceName = req.body && typeof req.body.deviceName === 'string' ? req.body.deviceName.trim() : '';
+
+  return {
+    deviceName: (deviceName || describeDevice(userAgent) || '').slice(0, 100) || null,
+    userAgent: userAgent ? userAgent.slice(0, 255) : null,
+    ipAddress: req.ip || null
+  };
+};
+
+const formatSession = (row, currentSessionId) => ({
+  id: row.family_id,
+  deviceName: row.device_name,
+  userAgent: row.user_agent,
+  ipAddress: row.ip_address,
+  signedInAt: row.signed_in_at,
+  lastUsedAt: row.last_used_at,
+  expiresAt: row.expires_at,
+  current: row.family_id === currentSessionId
+});
+
+/**
+ * The user's active sessions, most recently used first
+ * @param {string|null} currentSessionId - The requesting session (the access token's sid)
+ */
+const listSessions = async (db, userId, currentSessionId = null) => {
+  const rows = await query(
+    db,
+    `SELECT rt.family_id, rt.device_name, rt.user_agent, rt.ip_address, rt.last_used_at, rt.expires_at,
+            (SELECT MIN(f.created_at) FROM refresh_tokens f WHERE f.family_id = rt.family_id) AS signed_in_at
+     FROM refresh_tokens rt
+     WHERE rt.user_id = ? AND rt.revoked = FALSE AND rt.expires_at > NOW()
+     ORDER BY rt.last_used_at DESC`,
+    [userId]
+  );
+
+  // A tab that lost a rotation race can briefly leave two live tokens in one family
+  const seen = new Set();
+  return rows
+    .filter((row) => !seen.has(row.family_id) && seen.add(row.family_id))
+    .map((row) => formatSession(row, currentSessionId));
+};
+
+/**
+ * Sign out one session
+ * @throws {NotFoundError} When the user has no such active session
+ */
+const revokeSession = async (db, userId, sessionId) => {
+  const result = await revokeTokenFamily(db, userId, sessionId);
+  if (result.affectedRows === 0) {
+    throw new NotFoundError('Session not found');
+  }
+};
+
+/**
+ * Sign out every session but the current one
+ * @returns {Promise<number>} How many sessions were signed out
+ */
+const revokeOtherSessions = async (db, userId, currentSessionId) => {
+  const [{ count }] = await query(
+    db,
+    `SELECT COUNT(DISTINCT family_id) AS count FROM refresh_tokens
+     WHERE user_id = ? AND family_id <> ? AND revoked = FALSE AND expires_at > NOW()`,
+    [userId, currentSessionId]
+  );
+  await query(
+    db,
+    'UPDATE refresh_tokens SET revoked = TRUE, revoked_at = NOW() WHERE user_id = ? AND family_id <> ? AND revoked = FALSE',
+    [userId, currentSessionId]
+  );
+  return count;
+};
+
+/**
+ * Session details for tokens issued to an already signed-in request (switching
+ * profiles, say): it stays in its session when the access token names a live one
+ */
+const continueSession = async (db, req) => {
+  const client = describeClient(req);
+  if (!req.user || !req.user.sid) {
+    return client;
+  }
+
+  const [current] = await query(
+    db,
+    'SELECT device_name FROM refresh_tokens WHERE user_id = ? AND family_id = ? AND revoked = FALSE AND expires_at > NOW() LIMIT 1',
+    [req.user.userId, req.user.sid]
+  );
+  if (!current) {
+    return client;
+  }
+  return { ...client, familyId: req.user.sid, deviceName: current.device_name };
+};
+
+module.exports = {
+  describeDevice,
+  describeClient,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
+  continueSession
+};
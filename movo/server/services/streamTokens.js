@@ -0,0 +1,52 @@
+/**
+ * Signed streaming URLs
+ * A <video> element cannot send an Authorization header, so playback URLs
+ * carry a short-lived token bound to one user and one movie instead. The
+ * lifetime is a few minutes plus the movie's running time, so a signed URL
+ * keeps working for range requests until the film has been watched through.
+ */
+
+const jwt = require('jsonwebtoken');
+
+const STREAM_TOKEN_SECRET = process.env.STREAM_TOKEN_SECRET || process.env.JWT_SECRET;
+// Seconds a signed URL stays valid on top of the movie's duration
+const STREAM_URL_TTL = parseInt(process.env.STREAM_URL_TTL) || 15 * 60;
+
+const STREAM_QUALITIES = ['auto', 'low', 'medium', 'high', 'ultra'];
+
+/**
+ * Create a signed stream token
+ * @param {Object} claims - { userId, movieId, quality }
+ * @param {number} duration - Movie duration in seconds, when known
+ * @returns {{token: string, expiresAt: Date}}
+ */
+const createStreamToken = ({ userId, movieId, quality = 'auto' }, duration = 0) => {
+  const expiresIn = STREAM_URL_TTL + Math.ceil(duration || 0);
+  const token = jwt.sign(
+    { userId, movieId: Number(movieId), quality, type: 'stream' },
+    STREAM_TOKEN_SECRET,
+    { expiresIn }
+  );
+
+  return { token, expiresAt: new Date(Date.now() + expiresIn * 1000) };
+};
+
+/**
+ * Verify a stream token for a movie
+ * @returns {Object} Decoded claims
+ * @throws {Error} When the token is invalid, expired or for another movie
+ */
+const verifyStreamToken = (token, movieId) => {
+  const decoded = jwt.verify(token, STREAM_TOKEN_SECRET);
+
+  if (decoded.type !== 'stream' || decoded.movieId !== Number(movieId)) {
+    throw new Error('Stream token does not match this movie');
+  }
+  return decoded;
+};
+
+module.exports = {
+  STREAM_QUALITIES,
+  createStreamToken,
+  verifyStreamToken
+};
@@ -0,0 +1,262 @@
+/**
+ * Subtitle conversion
+ * Reads SubRip (.srt), Advanced SubStation Alpha (.ass/.ssa) and WebVTT
+ * files into cues and writes them back out as WebVTT, the one format
+ * browsers (and the player's cue renderer) understand. Files are decoded as
+ * UTF-8 or UTF-16 when they say so, and as Windows-1252 when they are not
+ * valid UTF-8, which is what most older subtitle files are.
+ */
+
+const { ValidationError } = require('../../middleware/errorHandler');
+
+const FORMATS = ['srt', 'vtt', 'ass', 'ssa'];
+
+/**
+ * Decode a subtitle file to text
+ * @param {Buffer} buffer - File contents
+ * @returns {string}
+ */
+const decodeSubtitle = (buffer) => {
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return new TextDecoder('utf-16le').decode(buffer.subarray(2));
+  }
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    return new TextDecoder('utf-16be').decode(buffer.subarray(2));
+  }
+  try {
+    // TextDecoder drops a UTF-8 byte order mark itself
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch (error) {
+    return new TextDecoder('windows-1252').decode(buffer);
+  }
+};
+
+// "01:02:03,456", "01:02:03.456" or "02:03.456" to seconds
+const parseTimestamp = (value) => {
+  const match = value.trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2})[,.](\d{1,3})$/);
+  if (!match) {
+    return null;
+  }
+  const [, hours = '0', minutes, seconds, fraction] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(fraction.padEnd(3, '0')) / 1000;
+};
+
+// ASS uses "H:MM:SS.cc" (centiseconds)
+const parseAssTimestamp = (value) => {
+  const match = value.trim().match(/^(\d+):(\d{2}):(\d{2})\.(\d{2})$/);
+  if (!match) {
+    return null;
+  }
+  const [, hours, minutes, seconds, centiseconds] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(centiseconds) / 100;
+};
+
+const formatTimestamp = (seconds) => {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}.${pad(ms, 3)}`;
+};
+
+// Keep <i>, <b> and <u>; escape everything else so it shows as text
+const sanitizeCueText = (text) => {
+  return text
+    .replace(/<(?!\/?[ibu]>)[^>]*>/gi, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/&lt;(\/?)([ibu])&gt;/gi, (match, slash, tag) => `<${slash}${tag.toLowerCase()}>`)
+    // A blank line would end the cue early
+    .replace(/\n\s*\n/g, '\n')
+    .trim();
+};
+
+const normalizeNewlines = (text) => text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+
+/**
+ * Cues from a SubRip file
+ * Numbering is optional and broken blocks are skipped rather than failing
+ * the whole file.
+ * @returns {Array<{start: number, end: number, text: string}>}
+ */
+const parseSrt = (text) => {
+  const cues = [];
+  normalizeNewlines(text)
+    .split(/\n\s*\n/)
+    .forEach((block) => {
+      const lines = block.split('\n').filter((line, index) => index > 0 || line.trim());
+      const timingIndex = lines.findIndex((line) => line.includes('-->'));
+      if (timingIndex === -1 || timingIndex > 1) {
+        return;
+      }
+      const [startText, endText] = lines[timingIndex].split('-->');
+      const start = parseTimestamp(startText);
+      // Anything after the end time is SRT positioning, which WebVTT can't use
+      const end = parseTimestamp((endText || '').trim().split(/\s+/)[0] || '');
+      const body = lines
+        .slice(timingIndex + 1)
+        .join('\n')
+        // Some SRT files carry ASS override tags like {\an8}
+        .replace(/\{\\[^}]*\}/g, '');
+      if (start !== null && end !== null && end > start && body.trim()) {
+        cues.push({ start, end, text: sanitizeCueText(body) });
+      }
+    });
+  return cues;
+};
+
+/**
+ * Cues from a WebVTT file; cue settings and styling blocks are dropped
+ */
+const parseVtt = (text) => {
+  const normalized = normalizeNewlines(text);
+  if (!/^WEBVTT(?:[ \t].*)?(?:\n|$)/.test(normalized)) {
+    throw new ValidationError('Not a WebVTT file');
+  }
+  const cues = [];
+  normalized
+    .split(/\n\s*\n/)
+    .slice(1)
+    .forEach((block) => {
+      const lines = block.split('\n');
+      const timingIndex = lines.findIndex((line) => line.includes('-->'));
+      if (timingIndex === -1 || /^(NOTE|STYLE|REGION)\b/.test(lines[0])) {
+        return;
+      }
+      const [startText, rest = ''] = lines[timingIndex].split('-->');
+      const start = parseTimestamp(startText);
+      const end = parseTimestamp(rest.trim().split(/\s+/)[0] || '');
+      const body = lines.slice(timingIndex + 1).join('\n');
+      if (start !== null && end !== null && end > start && body.trim()) {
+        cues.push({ start, end, text: sanitizeCueText(body) });
+      }
+    });
+  return cues;
+};
+
+// ASS override tags: italics, bold and underline become cue tags, the rest go
+const convertAssText = (text) => {
+  return text
+    .replace(/\{([^}]*)\}/g, (match, overrides) => {
+      const tags = [];
+      overrides.replace(/\\([ibu])([01])/g, (tag, name, on) => {
+        tags.push(on === '1' ? `<${name}>` : `</${name}>`);
+        return tag;
+      });
+      return tags.join('');
+    })
+    .replace(/\\N/gi, '\n')
+    .replace(/\\h/g, ' ');
+};
+
+/**
+ * Cues from an ASS/SSA file's [Events] section
+ * Lines in drawing mode ({\p1}) are vector shapes, not text, and are skipped.
+ */
+const parseAss = (text) => {
+  const cues = [];
+  let inEvents = false;
+  let fields = null;
+
+  normalizeNewlines(text).split('\n').forEach((rawLine) => {
+    const line = rawLine.trim();
+    if (line.startsWith('[')) {
+      inEvents = line.toLowerCase() === '[events]';
+      return;
+    }
+    if (!inEvents) {
+      return;
+    }
+    if (line.startsWith('Format:')) {
+      fields = line.slice('Format:'.length).split(',').map((field) => field.trim().toLowerCase());
+      return;
+    }
+    if (!line.startsWith('Dialogue:') || !fields) {
+      return;
+    }
+
+    // Text is the last field and may itself contain commas
+    const parts = line.slice('Dialogue:'.length).split(',');
+    const values = [...parts.slice(0, fields.length - 1), parts.slice(fields.length - 1).join(',')];
+    const event = Object.fromEntries(fields.map((field, index) => [field, (values[index] || '').trim()]));
+    if (/\{[^}]*\\p[1-9]/.test(event.text || '')) {
+      return;
+    }
+
+    const start = parseAssTimestamp(event.start || '');
+    const end = parseAssTimestamp(event.end || '');
+    const body = sanitizeCueText(convertAssText(event.text || ''));
+    if (start !== null && end !== null && end > start && body) {
+      cues.push({ start, end, text: body });
+    }
+  });
+
+  return cues.sort((a, b) => a.start - b.start || a.end - b.end);
+};
+
+/**
+ * Write cues as a WebVTT file
+ */
+const toWebVtt = (cues) => {
+  const blocks = cues.map((cue, index) => `${index + 1}\n${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}\n${cue.text}`);
+  return `WEBVTT\n\n${blocks.join('\n\n')}\n`;
+};
+
+/**
+ * The format of a subtitle file from its extension
+ * @returns {string|null} 'srt', 'vtt', 'ass' or 'ssa'
+ */
+const formatOf = (fileName) => {
+  const match = String(fileName).toLowerCase().match(/\.([a-z]+)$/);
+  return match && FORMATS.includes(match[1]) ? match[1] : null;
+};
+
+/**
+ * Parse a subtitle file into cues
+ * @param {Buffer|string} contents - File contents
+ * @param {string} format - 'srt', 'vtt', 'ass' or 'ssa'
+ * @returns {Array<{start: number, end: number, text: string}>}
+ */
+const parseSubtitle = (contents, format) => {
+  const text = Buffer.isBuffer(contents) ? decodeSubtitle(contents) : contents;
+  switch (format) {
+    case 'srt':
+      return parseSrt(text);
+    case 'vtt':
+      return parseVtt(text);
+    case 'ass':
+    case 'ssa':
+      return parseAss(text);
+    default:
+      throw new ValidationError(`Unsupported subtitle format: ${format}`);
+  }
+};
+
+/**
+ * Convert a subtitle file to WebVTT
+ * @throws {ValidationError} When no cues could be read from it
+ */
+const convertToWebVtt = (contents, format) => {
+  const cues = parseSubtitle(contents, format);
+  if (cues.length === 0) {
+    throw new ValidationError('No subtitles could be read from the file');
+  }
+  return toWebVtt(cues);
+};
+
+module.exports = {
+  FORMATS,
+  decodeSubtitle,
+  parseTimestamp,
+  formatTimestamp,
+  parseSrt,
+  parseVtt,
+  parseAss,
+  parseSubtitle,
+  toWebVtt,
+  formatOf,
+  convertToWebVtt
+};
@@ -0,0 +1,328 @@
+/**
+ * Subtitles
+ * Sidecar files are recorded when their directory is scanned and converted
+ * to WebVTT whenever they are served, so edits on disk show up without a
+ * rescan. Uploaded files are converted once and stored; only the account
+ * that uploaded one sees it. Each account can shift a track's timing, in
+ * milliseconds, and the player applies the offset to the cues.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { LIKE_ESCAPE, escapeLike, query } = require('../../database/query');
+const { restrictionCondition } = require('../profiles');
+const { formatOf, convertToWebVtt } = require('./convert');
+const { SUBTITLE_EXTENSIONS, isSubtitleFile, describeSubtitleName, findSidecars, videoDirectoryOf } = require('./sidecars');
+const {
+  NotFoundError,
+  AuthorizationError,
+  ValidationError
+} = require('../../middleware/errorHandler');
+
+const MAX_UPLOAD_BYTES = parseInt(process.env.SUBTITLE_MAX_UPLOAD_BYTES) || 2 * 1024 * 1024;
+const MAX_OFFSET_MS = 10 * 60 * 1000;
+// Converted sidecars kept in memory, keyed by path and invalidated by mtime and size
+const CACHE_SIZE = parseInt(process.env.SUBTITLE_CACHE_SIZE) || 50;
+
+const vttCache = new Map();
+
+const SUBTITLE_COLUMNS = `s.id, s.movie_id, s.source, s.user_id, s.file_name, s.format, s.language,
+  s.label, s.is_forced, s.is_sdh, s.created_at`;
+
+const formatSubtitle = (row, userId) => ({
+  id: row.id,
+  movieId: row.movie_id,
+  source: row.source,
+  fileName: row.file_name,
+  format: row.format,
+  language: row.language,
+  label: row.label,
+  isForced: Boolean(row.is_forced),
+  isSdh: Boolean(row.is_sdh),
+  isOwn: row.source === 'upload' && row.user_id === userId,
+  offsetMs: Number(row.offset_ms) || 0,
+  url: `/api/stream/${row.movie_id}/subtitles/${row.id}.vtt`,
+  createdAt: row.created_at
+});
+
+// A title the profile may not see is reported as missing
+const ensureVisibleMovie = async (db, movieId, profile = null) => {
+  const restriction = restrictionCondition(profile);
+  const [movie] = await query(
+    db,
+    `SELECT m.id FROM movies m WHERE m.id = ? ${restriction ? `AND ${restriction.sql}` : ''}`,
+    [movieId, ...(restriction ? restriction.params : [])]
+  );
+  if (!movie) {
+    throw new NotFoundError('Movie not found');
+  }
+};
+
+// Sidecars, and uploads by the user; anything else is reported as missing
+const getSubtitleRow = async (db, movieId, subtitleId, userId) => {
+  const [row] = await query(
+    db,
+    `SELECT ${SUBTITLE_COLUMNS}, s.file_path, s.content, o.offset_ms
+     FROM subtitles s
+     LEFT JOIN subtitle_offsets o ON o.subtitle_id = s.id AND o.user_id = ?
+     WHERE s.id = ? AND s.movie_id = ? AND (s.source = 'sidecar' OR s.user_id = ?)`,
+    [userId, subtitleId, movieId, userId]
+  );
+  if (!row) {
+    throw new NotFoundError('Subtitle not found');
+  }
+  return row;
+};
+
+// Whether a recorded sidecar was found by scanning this directory: it sits
+// next to the videos or in their Subs folder
+const isInDirectory = (directory, filePath) => videoDirectoryOf(filePath) === directory;
+
+/**
+ * Record the sidecar subtitles of the videos in a directory
+ * Subtitles whose file has gone, or whose video is no longer in the library,
+ * are removed along with everyone's offsets for them.
+ * @param {Object} db - Database pool
+ * @param {string} directory - Directory holding library videos
+ * @returns {Promise<{saved: number, removed: number}>}
+ */
+const syncDirectory = async (db, directory) => {
+  const resolved = path.resolve(directory);
+  const { videos, subtitles } = await findSidecars(resolved);
+
+  const movieIds = new Map();
+  if (videos.length > 0) {
+    const rows = await query(
+      db,
+      `SELECT id, file_path FROM movies WHERE file_path IN (${videos.map(() => '?').join(', ')})`,
+      videos
+    );
+    rows.forEach((row) => movieIds.set(row.file_path, row.id));
+  }
+
+  const saved = new Set();
+  for (const subtitle of subtitles) {
+    const movieId = movieIds.get(subtitle.videoPath);
+    if (!movieId) {
+      continue;
+    }
+    await query(
+      db,
+      `INSERT INTO subtitles
+        (movie_id, source, file_path, file_name, format, language, label, is_forced, is_sdh)
+       VALUES (?, 'sidecar', ?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE
+         movie_id = VALUES(movie_id),
+         file_name = VALUES(file_name),
+         format = VALUES(format),
+         language = VALUES(language),
+         label = VALUES(label),
+         is_forced = VALUES(is_forced),
+         is_sdh = VALUES(is_sdh)`,
+      [
+        movieId,
+        subtitle.filePath,
+        subtitle.fileName,
+        subtitle.format,
+        subtitle.language,
+        subtitle.label,
+        subtitle.isForced,
+        subtitle.isSdh
+      ]
+    );
+    saved.add(subtitle.filePath);
+  }
+
+  const recorded = await query(
+    db,
+    `SELECT id, file_path FROM subtitles WHERE source = 'sidecar' AND file_path LIKE ? ${LIKE_ESCAPE}`,
+    [`${escapeLike(resolved + path.sep)}%`]
+  );
+  const stale = recorded.filter((row) => !saved.has(row.file_path) && isInDirectory(resolved, row.file_path));
+  if (stale.length > 0) {
+    await query(db, `DELETE FROM subtitles WHERE id IN (${stale.map(() => '?').join(', ')})`, stale.map((row) => row.id));
+    stale.forEach((row) => vttCache.delete(row.file_path));
+  }
+
+  return { saved: saved.size, removed: stale.length };
+};
+
+/**
+ * Record the sidecars of every directory the given video files are in
+ * @param {Object} db - Database pool
+ * @param {string[]} videoPaths - Library video files
+ * @returns {Promise<Object[]>} Directories that could not be synced, as { path, message }
+ */
+const syncSidecars = async (db, videoPaths) => {
+  const errors = [];
+  const directories = new Set(videoPaths.map((videoPath) => path.dirname(videoPath)));
+  for (const directory of directories) {
+    try {
+      await syncDirectory(db, directory);
+    } catch (error) {
+      errors.push({ path: directory, message: error.message });
+    }
+  }
+  return errors;
+};
+
+/**
+ * Subtitle tracks for a title: its sidecars and the user's uploads
+ * @param {Object} db - Database pool
+ * @param {number} movieId - Movie ID
+ * @param {number} userId - User ID
+ * @param {Object} profile - Active profile, for parental controls
+ * @param {Object} options - { language } to keep one ISO 639-1 language
+ * @returns {Promise<Object[]>} Tracks, each with the user's offsetMs
+ */
+const listSubtitles = async (db, movieId, userId, profile = null, { language } = {}) => {
+  await ensureVisibleMovie(db, movieId, profile);
+  const rows = await query(
+    db,
+    `SELECT ${SUBTITLE_COLUMNS}, o.offset_ms
+     FROM subtitles s
+     LEFT JOIN subtitle_offsets o ON o.subtitle_id = s.id AND o.user_id = ?
+     WHERE s.movie_id = ? AND (s.source = 'sidecar' OR s.user_id = ?)
+       ${language ? 'AND s.language = ?' : ''}
+     ORDER BY s.source, s.language, s.is_forced, s.label, s.id`,
+    [userId, movieId, userId, ...(language ? [language] : [])]
+  );
+  return rows.map((row) => formatSubtitle(row, userId));
+};
+
+const readSidecarVtt = async (row) => {
+  let stats;
+  try {
+    stats = await fs.promises.stat(row.file_path);
+  } catch (error) {
+    throw new NotFoundError('Subtitle file is no longer available');
+  }
+
+  const cached = vttCache.get(row.file_path);
+  if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+    // Most recently used goes last
+    vttCache.delete(row.file_path);
+    vttCache.set(row.file_path, cached);
+    return cached.vtt;
+  }
+
+  const vtt = convertToWebVtt(await fs.promises.readFile(row.file_path), row.format);
+  vttCache.delete(row.file_path);
+  vttCache.set(row.file_path, { mtimeMs: stats.mtimeMs, size: stats.size, vtt });
+  if (vttCache.size > CACHE_SIZE) {
+    vttCache.delete(vttCache.keys().next().value);
+  }
+  return vtt;
+};
+
+/**
+ * A subtitle track as WebVTT
+ * @returns {Promise<{vtt: string, updatedAt: Date}>}
+ */
+const getSubtitleVtt = async (db, movieId, subtitleId, userId) => {
+  const row = await getSubtitleRow(db, movieId, subtitleId, userId);
+  if (row.source === 'upload') {
+    return { vtt: row.content, updatedAt: row.created_at };
+  }
+  return { vtt: await readSidecarVtt(row), updatedAt: null };
+};
+
+/**
+ * Store a subtitle file uploaded for a title
+ * The file is converted to WebVTT now, so a file that can't be read is
+ * rejected rather than failing at playback.
+ * @param {Object} upload - { buffer, fileName, language, label }
+ * @returns {Promise<Object>} The new track
+ */
+const createUpload = async (db, userId, movieId, { buffer, fileName, language, label }, profile = null) => {
+  await ensureVisibleMovie(db, movieId, profile);
+
+  const format = formatOf(fileName);
+  if (!format) {
+    throw new ValidationError(`Subtitle files must be one of ${SUBTITLE_EXTENSIONS.join(', ')}`);
+  }
+  if (!buffer || buffer.length === 0) {
+    throw new ValidationError('The subtitle file is empty');
+  }
+  if (buffer.length > MAX_UPLOAD_BYTES) {
+    throw new ValidationError(`Subtitle files can be at most ${Math.floor(MAX_UPLOAD_BYTES / 1024)} KB`);
+  }
+
+  const content = convertToWebVtt(buffer, format);
+  const baseName = path.basename(fileName);
+  // Name the track from its language, or its file name, when the uploader didn't;
+  // a language given with the upload wins over one in the file name
+  const described = describeSubtitleName([path.basename(baseName, path.extname(baseName)), language].filter(Boolean).join('.'));
+
+  const result = await query(
+    db,
+    `INSERT INTO subtitles
+      (movie_id, source, user_id, file_name, format, language, label, is_forced, is_sdh, content)
+     VALUES (?, 'upload', ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      movieId,
+      userId,
+      baseName.slice(0, 255),
+      format,
+      language || described.language,
+      label || (described.language ? described.label : baseName.slice(0, 100)),
+      described.isForced,
+      described.isSdh,
+      content
+    ]
+  );
+
+  return formatSubtitle(await getSubtitleRow(db, movieId, result.insertId, userId), userId);
+};
+
+/**
+ * Delete one of the user's uploads
+ * @throws {AuthorizationError} For sidecars, which belong to the library
+ */
+const deleteUpload = async (db, userId, movieId, subtitleId) => {
+  const row = await getSubtitleRow(db, movieId, subtitleId, userId);
+  if (row.source !== 'upload') {
+    throw new AuthorizationError('Subtitles from the library can only be removed from disk');
+  }
+  await query(db, 'DELETE FROM subtitles WHERE id = ?', [row.id]);
+};
+
+/**
+ * Save the user's timing offset for a track
+ * @param {number} offsetMs - Positive values show cues later
+ * @returns {Promise<Object>} The track with its new offset
+ */
+const setOffset = async (db, userId, movieId, subtitleId, offsetMs, profile = null) => {
+  await ensureVisibleMovie(db, movieId, profile);
+  if (!Number.isInteger(offsetMs) || Math.abs(offsetMs) > MAX_OFFSET_MS) {
+    throw new ValidationError(`Offsets must be whole milliseconds within ±${MAX_OFFSET_MS}`);
+  }
+
+  const row = await getSubtitleRow(db, movieId, subtitleId, userId);
+  if (offsetMs === 0) {
+    await query(db, 'DELETE FROM subtitle_offsets WHERE user_id = ? AND subtitle_id = ?', [userId, row.id]);
+  } else {
+    await query(
+      db,
+      `INSERT INTO subtitle_offsets (user_id, subtitle_id, offset_ms) VALUES (?, ?, ?)
+       ON DUPLICATE KEY UPDATE offset_ms = VALUES(offset_ms)`,
+      [userId, row.id, offsetMs]
+    );
+  }
+
+  return formatSubtitle({ ...row, offset_ms: offsetMs }, userId);
+};
+
+module.exports = {
+  MAX_UPLOAD_BYTES,
+  MAX_OFFSET_MS,
+  isSubtitleFile,
+  videoDirectoryOf,
+  syncDirectory,
+  syncSidecars,
+  listSubtitles,
+  getSubtitleVtt,
+  createUpload,
+  deleteUpload,
+  setOffset
+};
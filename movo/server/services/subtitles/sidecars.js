@@ -0,0 +1,211 @@
+/**
+ * Sidecar subtitle discovery
+ * Finds subtitle files stored next to library videos and works out which
+ * video each belongs to and what language it is, from names like
+ * "Movie.2019.1080p.en.forced.srt" or "Subs/2_English.srt". Nothing here
+ * touches the database.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isVideoFile } = require('../filenameParser');
+const { formatOf } = require('./convert');
+
+const SUBTITLE_EXTENSIONS = ['.srt', '.vtt', '.ass', '.ssa'];
+
+// Folders release groups put subtitles in, next to the video
+const SUBTITLE_FOLDERS = ['subs', 'subtitles'];
+
+// ISO 639-1 code, ISO 639-2 codes, then names as they show up in filenames
+const LANGUAGES = [
+  ['en', ['eng'], ['english']],
+  ['es', ['spa'], ['spanish', 'espanol', 'español', 'castellano']],
+  ['fr', ['fre', 'fra'], ['french', 'francais', 'français']],
+  ['de', ['ger', 'deu'], ['german', 'deutsch']],
+  ['it', ['ita'], ['italian', 'italiano']],
+  ['pt', ['por'], ['portuguese', 'portugues', 'português', 'brazilian']],
+  ['nl', ['dut', 'nld'], ['dutch', 'nederlands']],
+  ['sv', ['swe'], ['swedish', 'svenska']],
+  ['no', ['nor', 'nob'], ['norwegian', 'norsk']],
+  ['da', ['dan'], ['danish', 'dansk']],
+  ['fi', ['fin'], ['finnish', 'suomi']],
+  ['pl', ['pol'], ['polish', 'polski']],
+  ['cs', ['cze', 'ces'], ['czech']],
+  ['hu', ['hun'], ['hungarian', 'magyar']],
+  ['ro', ['rum', 'ron'], ['romanian']],
+  ['el', ['gre', 'ell'], ['greek']],
+  ['tr', ['tur'], ['turkish']],
+  ['ru', ['rus'], ['russian']],
+  ['uk', ['ukr'], ['ukrainian']],
+  ['ar', ['ara'], ['arabic']],
+  ['he', ['heb'], ['hebrew']],
+  ['ja', ['jpn'], ['japanese']],
+  ['ko', ['kor'], ['korean']],
+  ['zh', ['chi', 'zho'], ['chinese', 'mandarin', 'cantonese']],
+  ['th', ['tha'], ['thai']],
+  ['vi', ['vie'], ['vietnamese']],
+  ['id', ['ind'], ['indonesian']]
+];
+
+const LANGUAGE_BY_TOKEN = new Map();
+LANGUAGES.forEach(([code, codes, names]) => {
+  [code, ...codes, ...names].forEach((token) => LANGUAGE_BY_TOKEN.set(token, code));
+});
+
+const FORCED_TOKENS = new Set(['forced', 'foreign']);
+// "hi" is hearing impaired in release names, not Hindi
+const SDH_TOKENS = new Set(['sdh', 'cc', 'hi']);
+
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+const isSubtitleFile = (filePath) => SUBTITLE_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+
+const stripExtension = (fileName) => fileName.slice(0, fileName.length - path.extname(fileName).length);
+
+/**
+ * Language and flags from the part of a subtitle's name that is not the
+ * video's ("en.forced", "English.SDH", "2_eng")
+ * @returns {{language: string|null, isForced: boolean, isSdh: boolean, label: string}}
+ */
+const describeSubtitleName = (suffix) => {
+  const tokens = suffix.toLowerCase().split(/[\s._\-[\]()]+/).filter(Boolean);
+  const isForced = tokens.some((token) => FORCED_TOKENS.has(token));
+  const isSdh = tokens.some((token) => SDH_TOKENS.has(token));
+  // The last language token wins: "Movie.English.Subs.fr.srt" is French
+  const language = tokens.reduce((found, token) => LANGUAGE_BY_TOKEN.get(token) || found, null);
+
+  const name = language ? languageNames.of(language) : suffix.replace(/[._]+/g, ' ').trim() || 'Unknown';
+  const flags = [isForced && 'Forced', isSdh && 'SDH'].filter(Boolean);
+
+  return {
+    language,
+    isForced,
+    isSdh,
+    label: (flags.length > 0 ? `${name} (${flags.join(', ')})` : name).slice(0, 100)
+  };
+};
+
+const readEntries = async (directory) => {
+  try {
+    return await fs.promises.readdir(directory, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+      return [];
+    }
+    throw error;
+  }
+};
+
+/**
+ * Subtitle files in and below a subtitle folder
+ * Files directly inside may belong to any video; files in a folder named
+ * after a video ("Subs/Show.S01E02/2_English.srt") belong to that video.
+ */
+const listSubtitleFolder = async (folder) => {
+  const found = [];
+  for (const entry of await readEntries(folder)) {
+    const entryPath = path.join(folder, entry.name);
+    if (entry.name.startsWith('.')) {
+      continue;
+    }
+    if (entry.isDirectory()) {
+      (await readEntries(entryPath))
+        .filter((child) => child.isFile() && isSubtitleFile(child.name))
+        .forEach((child) => found.push({ filePath: path.join(entryPath, child.name), folderName: entry.name }));
+    } else if (entry.isFile() && isSubtitleFile(entry.name)) {
+      found.push({ filePath: entryPath, folderName: null });
+    }
+  }
+  return found;
+};
+
+// The longest video name the subtitle's name starts with, so "Movie.Extended.en"
+// goes to "Movie.Extended.mkv" rather than "Movie.mkv"
+const matchVideo = (name, videos) => {
+  const lowerName = name.toLowerCase();
+  return videos
+    .filter((video) => {
+      const base = video.base.toLowerCase();
+      return lowerName === base || (lowerName.startsWith(base) && /[\s._\-[(]/.test(lowerName[base.length]));
+    })
+    .sort((a, b) => b.base.length - a.base.length)[0] || null;
+};
+
+/**
+ * Find the subtitle files that belong to the videos in a directory
+ * A subtitle belongs to the video whose name it starts with. When the
+ * directory holds a single video, every subtitle next to it (or in a Subs
+ * folder) is that video's.
+ * @param {string} directory - Directory holding the videos
+ * @returns {Promise<{videos: string[], subtitles: Object[]}>} Video paths and
+ *   { filePath, fileName, videoPath, format, language, label, isForced, isSdh }
+ */
+const findSidecars = async (directory) => {
+  const entries = await readEntries(directory);
+  const videos = entries
+    .filter((entry) => (entry.isFile() || entry.isSymbolicLink()) && !entry.name.startsWith('.') && isVideoFile(entry.name))
+    .map((entry) => ({ filePath: path.join(directory, entry.name), base: stripExtension(entry.name) }));
+
+  if (videos.length === 0) {
+    return { videos: [], subtitles: [] };
+  }
+
+  const candidates = entries
+    .filter((entry) => entry.isFile() && !entry.name.startsWith('.') && isSubtitleFile(entry.name))
+    .map((entry) => ({ filePath: path.join(directory, entry.name), folderName: null }));
+
+  for (const entry of entries) {
+    if (entry.isDirectory() && SUBTITLE_FOLDERS.includes(entry.name.toLowerCase())) {
+      candidates.push(...await listSubtitleFolder(path.join(directory, entry.name)));
+    }
+  }
+
+  const onlyVideo = videos.length === 1 ? videos[0] : null;
+  const subtitles = [];
+
+  candidates.forEach(({ filePath, folderName }) => {
+    const fileName = path.basename(filePath);
+    const name = stripExtension(fileName);
+
+    const matched = matchVideo(folderName || name, videos);
+    const video = matched || onlyVideo;
+    if (!video) {
+      return;
+    }
+    const suffix = matched && !folderName ? name.slice(matched.base.length) : name;
+
+    subtitles.push({
+      filePath,
+      fileName,
+      videoPath: video.filePath,
+      format: formatOf(fileName),
+      ...describeSubtitleName(suffix)
+    });
+  });
+
+  return { videos: videos.map((video) => video.filePath), subtitles };
+};
+
+/**
+ * The directory whose videos a subtitle file would belong to
+ * "Movie/Subs/en.srt" and "Show/Subs/S01E01/en.srt" both belong to "Movie"
+ * or "Show".
+ */
+const videoDirectoryOf = (subtitlePath) => {
+  let directory = path.dirname(subtitlePath);
+  for (let depth = 0; depth < 2; depth++) {
+    if (SUBTITLE_FOLDERS.includes(path.basename(directory).toLowerCase())) {
+      return path.dirname(directory);
+    }
+    directory = path.dirname(directory);
+  }
+  return path.dirname(subtitlePath);
+};
+
+module.exports = {
+  SUBTITLE_EXTENSIONS,
+  isSubtitleFile,
+  describeSubtitleName,
+  findSidecars,
+  videoDirectoryOf
+};
@@ -0,0 +1,81 @@
+/**
+ * Expired token cleanup
+ * Refresh tokens and password reset / verification tokens are kept for
+ * TOKEN_RETENTION_DAYS after they expire and then deleted. The job runs when
+ * the server starts and every TOKEN_CLEANUP_INTERVAL_HOURS after that.
+ */
+
+const { query } = require('../database/query');
+const { logger } = require('../middleware/errorHandler');
+
+const CLEANUP_INTERVAL_MS = (Number(process.env.TOKEN_CLEANUP_INTERVAL_HOURS) || 24) * 60 * 60 * 1000;
+const RETENTION_DAYS = parseInt(process.env.TOKEN_RETENTION_DAYS || '7', 10);
+
+class TokenCleanup {
+  constructor(db, { interval = CLEANUP_INTERVAL_MS, retentionDays = RETENTION_DAYS } = {}) {
+    this.db = db;
+    this.interval = interval;
+    this.retentionDays = retentionDays;
+    this.timer = null;
+    this.running = null;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => this.run(), this.interval);
+    this.timer.unref();
+    this.run();
+  }
+
+  /**
+   * Delete tokens that expired before the retention period
+   * @returns {Promise<{refreshTokens: number, accountTokens: number}>} Rows deleted
+   */
+  run() {
+    if (!this.running) {
+      this.running = this._run().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async _run() {
+    // A bound date rather than NOW() - INTERVAL, which only MySQL understands
+    const cutoff = new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000);
+
+    try {
+      const refreshTokens = await query(this.db, 'DELETE FROM refresh_tokens WHERE expires_at < ?', [cutoff]);
+      const accountTokens = await query(this.db, 'DELETE FROM account_tokens WHERE expires_at < ?', [cutoff]);
+      const deleted = {
+        refreshTokens: refreshTokens.affectedRows,
+        accountTokens: accountTokens.affectedRows
+      };
+
+      if (deleted.refreshTokens > 0 || deleted.accountTokens > 0) {
+        logger.info(
+          `Deleted ${deleted.refreshTokens} expired refresh tokens and ${deleted.accountTokens} account tokens`
+        );
+      }
+      return deleted;
+    } catch (error) {
+      logger.error('Error deleting expired tokens:', error);
+      return { refreshTokens: 0, accountTokens: 0 };
+    }
+  }
+
+  // Waits for a cleanup that is already running so the pool can close after it
+  async close() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    await this.running;
+  }
+}
+
+module.exports = {
+  TokenCleanup
+};
@@ -0,0 +1,326 @@
+/**
+ * Watch parties
+ * A party is created by its host for one title and joined with an 8
+ * character invite code. Parties end when the host ends them or
+ * WATCH_PARTY_TTL_HOURS after they were created. The host can mute members
+ * in chat or remove them, which also keeps them from rejoining. Everyone who
+ * joins must be allowed the title by their profile's parental controls.
+ * The realtime side (presence, playback, chat delivery) is in watchPartyHub.
+ */
+
+const crypto = require('crypto');
+const { query } = require('../database/query');
+const { restrictionCondition } = require('./profiles');
+const {
+  NotFoundError,
+  AuthorizationError,
+  ValidationError
+} = require('../middleware/errorHandler');
+
+const TTL_HOURS = parseInt(process.env.WATCH_PARTY_TTL_HOURS || '24', 10);
+
+// No 0/O or 1/I, which are easy to mix up when reading a code out
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+const generateCode = () => {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return code;
+};
+
+const formatParty = (row) => ({
+  id: row.id,
+  code: row.code,
+  hostId: row.host_id,
+  hostName: row.host_name,
+  movie: { id: row.movie_id, title: row.movie_title, posterUrl: row.poster_path },
+  status: row.status,
+  playback: {
+    position: Number(row.position) || 0,
+    isPlaying: Boolean(row.is_playing),
+    playbackRate: Number(row.playback_rate) || 1
+  },
+  createdAt: row.created_at
+});
+
+const formatMember = (row) => ({
+  userId: row.user_id,
+  username: row.username,
+  isMuted: Boolean(row.is_muted),
+  joinedAt: row.joined_at,
+  lastSeenAt: row.last_seen_at
+});
+
+const formatMessage = (row) => ({
+  id: row.id,
+  type: row.message_type,
+  userId: row.user_id,
+  username: row.username || null,
+  content: row.content,
+  createdAt: row.created_at
+});
+
+const PARTY_SELECT = `SELECT p.*, u.username AS host_name, m.title AS movie_title, m.poster_path
+  FROM watch_parties p
+  JOIN users u ON u.id = p.host_id
+  JOIN movies m ON m.id = p.movie_id`;
+
+// The profile must be allowed the title; a restricted one is told it doesn't exist
+const ensureWatchableMovie = async (db, movieId, profile) => {
+  const restriction = restrictionCondition(profile);
+  const [movie] = await query(
+    db,
+    `SELECT m.id FROM movies m
+     WHERE m.id = ? AND m.file_path IS NOT NULL AND m.is_available = TRUE
+       ${restriction ? `AND ${restriction.sql}` : ''}`,
+    [movieId, ...(restriction ? restriction.params : [])]
+  );
+  if (!movie) {
+    throw new NotFoundError('Movie not found');
+  }
+};
+
+/**
+ * An active party by invite code
+ * @throws {NotFoundError} For unknown, ended and expired parties
+ */
+const getActiveParty = async (db, code) => {
+  const [row] = await query(
+    db,
+    `${PARTY_SELECT}
+     WHERE p.code = ? AND p.status = 'active' AND p.created_at > NOW() - INTERVAL ? HOUR`,
+    [String(code).toUpperCase(), TTL_HOURS]
+  );
+  if (!row) {
+    throw new NotFoundError('Watch party not found or has ended');
+  }
+  return formatParty(row);
+};
+
+/**
+ * Start a party for a title; the host becomes its first member
+ */
+const createParty = async (db, hostId, movieId, profile = null) => {
+  await ensureWatchableMovie(db, movieId, profile);
+
+  // Codes are random; retry the rare collision
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const code = generateCode();
+    try {
+      const result = await query(
+        db,
+        'INSERT INTO watch_parties (code, host_id, movie_id) VALUES (?, ?, ?)',
+        [code, hostId, movieId]
+      );
+      await query(db, 'INSERT INTO watch_party_members (party_id, user_id, last_seen_at) VALUES (?, ?, NOW())', [
+        result.insertId,
+        hostId
+      ]);
+      return getActiveParty(db, code);
+    } catch (error) {
+      if (error.code !== 'ER_DUP_ENTRY') {
+        throw error;
+      }
+    }
+  }
+  throw new Error('Could not generate a unique watch party code');
+};
+
+const getMembership = async (db, partyId, userId) => {
+  const [row] = await query(
+    db,
+    `SELECT pm.user_id, pm.is_muted, pm.is_banned, pm.joined_at, pm.last_seen_at, u.username
+     FROM watch_party_members pm JOIN users u ON u.id = pm.user_id
+     WHERE pm.party_id = ? AND pm.user_id = ?`,
+    [partyId, userId]
+  );
+  return row || null;
+};
+
+/**
+ * Check that a user may join, without joining
+ * @throws {AuthorizationError} If the host removed them
+ * @throws {NotFoundError} If their profile may not watch the title
+ */
+const assertCanJoin = async (db, party, userId, profile = null) => {
+  const membership = await getMembership(db, party.id, userId);
+  if (membership && membership.is_banned) {
+    throw new AuthorizationError('You were removed from this watch party');
+  }
+  await ensureWatchableMovie(db, party.movie.id, profile);
+};
+
+/**
+ * Join (or rejoin) a party
+ * @returns {Promise<{isMuted: boolean}>} The member's chat state
+ */
+const joinParty = async (db, party, userId, profile = null) => {
+  await assertCanJoin(db, party, userId, profile);
+  await query(
+    db,
+    `INSERT INTO watch_party_members (party_id, user_id, last_seen_at) VALUES (?, ?, NOW())
+     ON DUPLICATE KEY UPDATE last_seen_at = NOW()`,
+    [party.id, userId]
+  );
+  const membership = await getMembership(db, party.id, userId);
+  return { isMuted: Boolean(membership.is_muted) };
+};
+
+const touchMember = (db, partyId, userId) => {
+  return query(db, 'UPDATE watch_party_members SET last_seen_at = NOW() WHERE party_id = ? AND user_id = ?', [
+    partyId,
+    userId
+  ]);
+};
+
+/**
+ * Members who have joined and not been removed
+ */
+const listMembers = async (db, partyId) => {
+  const rows = await query(
+    db,
+    `SELECT pm.user_id, pm.is_muted, pm.joined_at, pm.last_seen_at, u.username
+     FROM watch_party_members pm JOIN users u ON u.id = pm.user_id
+     WHERE pm.party_id = ? AND pm.is_banned = FALSE
+     ORDER BY pm.joined_at, pm.user_id`,
+    [partyId]
+  );
+  return rows.map(formatMember);
+};
+
+/**
+ * Store a chat or system message
+ * @param {number|null} userId - Sender; null for system messages
+ */
+const addMessage = async (db, partyId, userId, content, type = 'chat') => {
+  const result = await query(
+    db,
+    'INSERT INTO watch_party_messages (party_id, user_id, message_type, content) VALUES (?, ?, ?, ?)',
+    [partyId, userId, type, content]
+  );
+  const [row] = await query(
+    db,
+    `SELECT msg.*, u.username FROM watch_party_messages msg LEFT JOIN users u ON u.id = msg.user_id
+     WHERE msg.id = ?`,
+    [result.insertId]
+  );
+  return formatMessage(row);
+};
+
+/**
+ * Chat history, oldest first
+ * @param {Object} options - { before: message ID to page back from, limit }
+ */
+const listMessages = async (db, partyId, { before = null, limit = 50 } = {}) => {
+  const rows = await query(
+    db,
+    `SELECT msg.*, u.username FROM watch_party_messages msg LEFT JOIN users u ON u.id = msg.user_id
+     WHERE msg.party_id = ? ${before ? 'AND msg.id < ?' : ''}
+     ORDER BY msg.id DESC
+     LIMIT ?`,
+    before ? [partyId, before, limit] : [partyId, limit]
+  );
+  return rows.reverse().map(formatMessage);
+};
+
+/**
+ * Members only; the host always counts as one
+ * @throws {AuthorizationError}
+ */
+const assertMember = async (db, party, userId) => {
+  if (party.hostId === userId) {
+    return;
+  }
+  const membership = await getMembership(db, party.id, userId);
+  if (!membership || membership.is_banned) {
+    throw new AuthorizationError('You are not in this watch party');
+  }
+};
+
+/**
+ * @throws {AuthorizationError} Unless the user is the party's host
+ */
+const assertHost = (party, userId) => {
+  if (party.hostId !== userId) {
+    throw new AuthorizationError('Only the host can do that');
+  }
+};
+
+const assertModeratable = async (db, party, hostId, userId) => {
+  assertHost(party, hostId);
+  if (userId === hostId) {
+    throw new ValidationError('The host cannot moderate themselves');
+  }
+  const membership = await getMembership(db, party.id, userId);
+  if (!membership || membership.is_banned) {
+    throw new NotFoundError('Member not found');
+  }
+  return membership;
+};
+
+/**
+ * Mute or unmute a member in chat
+ * @returns {Promise<Object>} The member
+ */
+const setMuted = async (db, party, hostId, userId, muted) => {
+  const membership = await assertModeratable(db, party, hostId, userId);
+  await query(db, 'UPDATE watch_party_members SET is_muted = ? WHERE party_id = ? AND user_id = ?', [
+    muted,
+    party.id,
+    userId
+  ]);
+  return formatMember({ ...membership, is_muted: muted });
+};
+
+/**
+ * Remove a member; they can't rejoin with the code
+ * @returns {Promise<Object>} The removed member
+ */
+const removeMember = async (db, party, hostId, userId) => {
+  const membership = await assertModeratable(db, party, hostId, userId);
+  await query(db, 'UPDATE watch_party_members SET is_banned = TRUE WHERE party_id = ? AND user_id = ?', [
+    party.id,
+    userId
+  ]);
+  return formatMember(membership);
+};
+
+/**
+ * Keep the host's latest playback state with the party
+ */
+const savePlayback = (db, partyId, { position, isPlaying, playbackRate }) => {
+  return query(db, 'UPDATE watch_parties SET position = ?, is_playing = ?, playback_rate = ? WHERE id = ?', [
+    position,
+    isPlaying,
+    playbackRate,
+    partyId
+  ]);
+};
+
+const endParty = async (db, party, hostId) => {
+  assertHost(party, hostId);
+  await query(db, "UPDATE watch_parties SET status = 'ended', ended_at = NOW(), is_playing = FALSE WHERE id = ?", [
+    party.id
+  ]);
+};
+
+module.exports = {
+  CODE_LENGTH,
+  CODE_ALPHABET,
+  getActiveParty,
+  createParty,
+  assertCanJoin,
+  joinParty,
+  touchMember,
+  listMembers,
+  addMessage,
+  listMessages,
+  assertMember,
+  setMuted,
+  removeMember,
+  savePlayback,
+  endParty
+};
@@ -0,0 +1,443 @@
+/**
+ * Watch party hub
+ * WebSocket rooms for watch parties at /api/watch-party?code=<invite code>.
+ * A client's first message authenticates it ({ type: 'auth', token }) with
+ * the same access token the REST API takes; the server answers with a
+ * `welcome` carrying the party, members, recent chat and playback state.
+ *
+ * Playback is host-authoritative: only the host's `sync` messages change
+ * it. The server stamps each state with the server time it applies to, so
+ * members can work out where the host is now from their clock offset (see
+ * `ping`/`pong`) and correct their drift. Chat is stored with the party.
+ *
+ * Close codes: 4401 not authenticated, 4403 removed from the party,
+ * 4404 no such party, 4000 the host ended the party.
+ */
+
+const { WebSocketServer } = require('ws');
+const { verifyAccessToken } = require('./authTokens');
+const { resolveProfile } = require('./profiles');
+const parties = require('./watchParties');
+const { logger } = require('../middleware/errorHandler');
+
+const PATH = '/api/watch-party';
+const AUTH_TIMEOUT_MS = 10000;
+const HEARTBEAT_INTERVAL_MS = 30000;
+const HISTORY_LIMIT = 50;
+const MAX_CHAT_LENGTH = 500;
+// At most CHAT_BURST messages per CHAT_WINDOW_MS from one connection
+const CHAT_BURST = 5;
+const CHAT_WINDOW_MS = 5000;
+const SYNC_ACTIONS = ['play', 'pause', 'seek', 'heartbeat'];
+// A host timestamp further than this from the server's clock is ignored
+const MAX_CLOCK_SKEW_MS = 5000;
+
+const CLOSE = {
+  ENDED: 4000,
+  UNAUTHENTICATED: 4401,
+  REMOVED: 4403,
+  NOT_FOUND: 4404
+};
+
+const send = (ws, message) => {
+  if (ws.readyState === ws.OPEN) {
+    ws.send(JSON.stringify(message));
+  }
+};
+
+// Where playback is at `now`, extrapolated from the last state the host sent
+const positionAt = (state, now) => {
+  if (!state.isPlaying) {
+    return state.position;
+  }
+  return state.position + ((now - state.updatedAt) / 1000) * state.playbackRate;
+};
+
+// A playback state from a client, or null when it doesn't make sense
+const parsePlayback = (message) => {
+  const position = Number(message.position);
+  const playbackRate = message.playbackRate === undefined ? 1 : Number(message.playbackRate);
+  if (!Number.isFinite(position) || position < 0 || !(playbackRate >= 0.25 && playbackRate <= 4)) {
+    return null;
+  }
+  return { position, isPlaying: Boolean(message.isPlaying), playbackRate };
+};
+
+class WatchPartyHub {
+  constructor(db) {
+    this.db = db;
+    // party ID -> { party, clients: Set<WebSocket>, state }
+    this.rooms = new Map();
+    this.wss = null;
+    this.heartbeat = null;
+  }
+
+  /**
+   * Accept watch party connections on the HTTP server
+   * @param {http.Server} httpServer - Returned by app.listen
+   */
+  attach(httpServer) {
+    this.wss = new WebSocketServer({ noServer: true, maxPayload: 16 * 1024 });
+    httpServer.on('upgrade', (req, socket, head) => {
+      const url = new URL(req.url, 'http://localhost');
+      if (url.pathname !== PATH) {
+        return;
+      }
+      this.wss.handleUpgrade(req, socket, head, (ws) => this._connect(ws, url.searchParams.get('code')));
+    });
+
+    // Drop connections that stopped answering pings
+    this.heartbeat = setInterval(() => {
+      this.wss.clients.forEach((ws) => {
+        if (!ws.isAlive) {
+          ws.terminate();
+          return;
+        }
+        ws.isAlive = false;
+        ws.ping();
+      });
+    }, HEARTBEAT_INTERVAL_MS);
+    this.heartbeat.unref();
+    return this.wss;
+  }
+
+  _connect(ws, code) {
+    ws.isAlive = true;
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+
+    const authTimer = setTimeout(() => ws.close(CLOSE.UNAUTHENTICATED, 'Authentication timed out'), AUTH_TIMEOUT_MS);
+    ws.once('close', () => clearTimeout(authTimer));
+
+    ws.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch (error) {
+        send(ws, { type: 'error', code: 'BAD_MESSAGE', message: 'Messages must be JSON' });
+        return;
+      }
+
+      if (!ws.member) {
+        if (message.type !== 'auth' || ws.authenticating) {
+          ws.close(CLOSE.UNAUTHENTICATED, 'Authenticate first');
+          return;
+        }
+        ws.authenticating = true;
+        this._authenticate(ws, code, message.token)
+          .then(() => clearTimeout(authTimer))
+          .catch((error) => this._reject(ws, error));
+        return;
+      }
+
+      this._handle(ws, message).catch((error) => {
+        logger.error('Watch party message error:', error);
+        send(ws, { type: 'error', code: 'SERVER_ERROR', message: 'Something went wrong' });
+      });
+    });
+  }
+
+  _reject(ws, error) {
+    if (!error.isOperational) {
+      logger.error('Watch party connection error:', error);
+      ws.close(1011, 'Server error');
+    } else if (error.statusCode === 404) {
+      ws.close(CLOSE.NOT_FOUND, error.message);
+    } else if (error.statusCode === 403) {
+      ws.close(CLOSE.REMOVED, error.message);
+    } else {
+      ws.close(CLOSE.UNAUTHENTICATED, error.message);
+    }
+  }
+
+  async _authenticate(ws, code, token) {
+    const user = verifyAccessToken(String(token || ''));
+    const profile = await resolveProfile(this.db, user.userId, user.profileId);
+    const party = await parties.getActiveParty(this.db, code || '');
+    const { isMuted } = await parties.joinParty(this.db, party, user.userId, profile);
+    if (ws.readyState !== ws.OPEN) {
+      return;
+    }
+
+    const room = this._room(party);
+    const firstConnection = !this._isOnline(room, user.userId);
+    ws.member = {
+      userId: user.userId,
+      username: user.username,
+      isHost: party.hostId === user.userId,
+      isMuted
+    };
+    ws.partyId = party.id;
+    ws.chatTimes = [];
+    room.clients.add(ws);
+    ws.on('close', () => this._leave(ws));
+
+    const now = Date.now();
+    send(ws, {
+      type: 'welcome',
+      party: { id: party.id, code: party.code, hostId: party.hostId, hostName: party.hostName, movie: party.movie },
+      members: await this._members(room),
+      messages: await parties.listMessages(this.db, party.id, { limit: HISTORY_LIMIT }),
+      playback: this._playback(room, now),
+      serverTime: now,
+      you: ws.member
+    });
+
+    if (firstConnection) {
+      await this._system(room, `${user.username} joined`);
+      await this._broadcastPresence(room);
+    }
+  }
+
+  _room(party) {
+    let room = this.rooms.get(party.id);
+    if (!room) {
+      room = {
+        party,
+        clients: new Set(),
+        // Picks up from the saved state, paused, when the room was empty
+        state: { ...party.playback, isPlaying: false, updatedAt: Date.now() }
+      };
+      this.rooms.set(party.id, room);
+    }
+    return room;
+  }
+
+  _isOnline(room, userId) {
+    for (const client of room.clients) {
+      if (client.member.userId === userId) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  async _members(room) {
+    const members = await parties.listMembers(this.db, room.party.id);
+    return members.map((member) => ({
+      ...member,
+      isHost: member.userId === room.party.hostId,
+      isOnline: this._isOnline(room, member.userId)
+    }));
+  }
+
+  _playback(room, now) {
+    return {
+      position: positionAt(room.state, now),
+      isPlaying: room.state.isPlaying,
+      playbackRate: room.state.playbackRate,
+      updatedAt: now
+    };
+  }
+
+  _broadcast(room, message) {
+    room.clients.forEach((client) => send(client, message));
+  }
+
+  async _broadcastPresence(room) {
+    this._broadcast(room, { type: 'presence', members: await this._members(room) });
+  }
+
+  async _system(room, content) {
+    const message = await parties.addMessage(this.db, room.party.id, null, content, 'system');
+    this._broadcast(room, { type: 'chat', message });
+  }
+
+  async _handle(ws, message) {
+    const room = this.rooms.get(ws.partyId);
+    if (!room) {
+      return;
+    }
+
+    switch (message.type) {
+      case 'ping':
+        // Clients estimate their clock offset from the round trip
+        send(ws, { type: 'pong', clientTime: message.clientTime, serverTime: Date.now() });
+        return;
+      case 'chat':
+        return this._chat(ws, room, message);
+      case 'sync':
+        return this._sync(ws, room, message);
+      default:
+        send(ws, { type: 'error', code: 'BAD_MESSAGE', message: `Unknown message type: ${message.type}` });
+    }
+  }
+
+  async _chat(ws, room, message) {
+    if (ws.member.isMuted) {
+      send(ws, { type: 'error', code: 'MUTED', message: 'The host has muted you' });
+      return;
+    }
+    const content = String(message.content || '').trim();
+    if (!content || content.length > MAX_CHAT_LENGTH) {
+      send(ws, {
+        type: 'error',
+        code: 'VALIDATION_ERROR',
+        message: `Messages must be 1 to ${MAX_CHAT_LENGTH} characters`
+      });
+      return;
+    }
+
+    const now = Date.now();
+    ws.chatTimes = ws.chatTimes.filter((time) => now - time < CHAT_WINDOW_MS);
+    if (ws.chatTimes.length >= CHAT_BURST) {
+      send(ws, { type: 'error', code: 'RATE_LIMITED', message: 'You are sending messages too quickly' });
+      return;
+    }
+    ws.chatTimes.push(now);
+
+    const saved = await parties.addMessage(this.db, room.party.id, ws.member.userId, content);
+    this._broadcast(room, { type: 'chat', message: saved });
+    parties.touchMember(this.db, room.party.id, ws.member.userId).catch(() => {});
+  }
+
+  async _sync(ws, room, message) {
+    if (!ws.member.isHost) {
+      send(ws, { type: 'error', code: 'FORBIDDEN', message: 'Only the host controls playback' });
+      return;
+    }
+    const state = parsePlayback(message);
+    if (!SYNC_ACTIONS.includes(message.action) || !state) {
+      send(ws, { type: 'error', code: 'VALIDATION_ERROR', message: 'Invalid playback state' });
+      return;
+    }
+
+    // The host says when (in server time) the position was read; otherwise it's now
+    const now = Date.now();
+    const at = Number(message.at);
+    room.state = {
+      ...state,
+      updatedAt: Number.isFinite(at) && Math.abs(now - at) <= MAX_CLOCK_SKEW_MS ? at : now
+    };
+
+    this._broadcast(room, {
+      type: 'playback',
+      action: message.action,
+      playback: { ...state, updatedAt: room.state.updatedAt },
+      serverTime: now
+    });
+
+    if (message.action !== 'heartbeat') {
+      await this._save(room);
+    }
+  }
+
+  _save(room) {
+    const state = { ...room.state, position: positionAt(room.state, Date.now()) };
+    return parties.savePlayback(this.db, room.party.id, state).catch((error) => {
+      logger.error('Error saving watch party playback:', error);
+    });
+  }
+
+  async _leave(ws) {
+    const room = this.rooms.get(ws.partyId);
+    if (!room || !room.clients.delete(ws) || ws.silentLeave) {
+      return;
+    }
+    const { userId, username, isHost } = ws.member;
+    if (this._isOnline(room, userId)) {
+      return;
+    }
+
+    try {
+      if (isHost && room.state.isPlaying) {
+        // Nobody is in control; hold everyone where the host left off
+        const now = Date.now();
+        room.state = { ...room.state, position: positionAt(room.state, now), isPlaying: false, updatedAt: now };
+        this._broadcast(room, { type: 'playback', action: 'pause', playback: room.state, serverTime: now });
+      }
+      if (room.clients.size === 0) {
+        this.rooms.delete(room.party.id);
+        await this._save(room);
+        return;
+      }
+      await this._system(room, `${username} left`);
+      await this._broadcastPresence(room);
+    } catch (error) {
+      logger.error('Watch party leave error:', error);
+    }
+  }
+
+  /**
+   * IDs of the members connected to a party
+   * @returns {Set<number>}
+   */
+  onlineUserIds(partyId) {
+    const room = this.rooms.get(partyId);
+    return new Set(room ? [...room.clients].map((client) => client.member.userId) : []);
+  }
+
+  /**
+   * Tell connected members about a mute change; chat checks it from now on
+   */
+  setMuted(partyId, userId, muted) {
+    const room = this.rooms.get(partyId);
+    if (!room) {
+      return;
+    }
+    room.clients.forEach((client) => {
+      if (client.member.userId === userId) {
+        client.member.isMuted = muted;
+      }
+    });
+    this._broadcast(room, { type: 'member', userId, isMuted: muted });
+  }
+
+  /**
+   * Disconnect a member the host removed
+   */
+  async kick(partyId, userId, username) {
+    const room = this.rooms.get(partyId);
+    if (!room) {
+      return;
+    }
+    room.clients.forEach((client) => {
+      if (client.member.userId === userId) {
+        send(client, { type: 'kicked' });
+        client.silentLeave = true;
+        room.clients.delete(client);
+        client.close(CLOSE.REMOVED, 'Removed by the host');
+      }
+    });
+    await this._system(room, `${username} was removed by the host`);
+    await this._broadcastPresence(room);
+  }
+
+  /**
+   * Disconnect everyone from a party the host ended
+   */
+  end(partyId) {
+    const room = this.rooms.get(partyId);
+    if (!room) {
+      return;
+    }
+    this.rooms.delete(partyId);
+    room.clients.forEach((client) => {
+      send(client, { type: 'ended' });
+      client.silentLeave = true;
+      client.close(CLOSE.ENDED, 'The host ended the party');
+    });
+  }
+
+  // Saves every room's playback so parties resume where they were after a restart
+  async close() {
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+    const rooms = [...this.rooms.values()];
+    this.rooms.clear();
+    await Promise.all(rooms.map((room) => this._save(room)));
+    if (this.wss) {
+      this.wss.clients.forEach((ws) => ws.close(1001, 'Server shutting down'));
+      this.wss.close();
+    }
+  }
+}
+
+module.exports = {
+  PATH,
+  CLOSE,
+  WatchPartyHub
+};
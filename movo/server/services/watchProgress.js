@@ -0,0 +1,328 @@
+/**
+ * Watch progress
+ * Players report their position every few seconds. Heartbeats are buffered
+ * in memory (newest per profile and title) and written to watch_history in one
+ * statement every WATCH_PROGRESS_FLUSH_MS. Reports carry the time they were
+ * made, and the latest one wins, so a device syncing old offline progress
+ * cannot rewind what another device recorded since. Progress belongs to a
+ * viewing profile; methods take the request's profile ({ id, userId }).
+ */
+
+const { query } = require('../database/query');
+const { publishWatchProgress } = require('./pubsub');
+const { restrictionCondition } = require('./profiles');
+const { NotFoundError, logger } = require('../middleware/errorHandler');
+
+const FLUSH_INTERVAL_MS = parseInt(process.env.WATCH_PROGRESS_FLUSH_MS) || 10000;
+// Flush early once this many titles are waiting
+const MAX_PENDING = 500;
+// Share of the running time after which a title counts as watched
+const COMPLETED_THRESHOLD = Number(process.env.WATCH_COMPLETED_THRESHOLD) || 0.9;
+
+const HISTORY_FILTERS = {
+  all: '',
+  in_progress: 'AND wh.completed = FALSE',
+  completed: 'AND wh.completed = TRUE'
+};
+
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+/**
+ * Shape progress for API responses
+ * `resumeFrom` is where a player should start: the saved position, or the
+ * beginning once the title was watched through.
+ */
+const formatProgress = ({ userId, profileId, movieId, position, duration, completed, timestamp }) => ({
+  movieId: Number(movieId),
+  userId,
+  profileId,
+  position,
+  duration,
+  percentage: duration > 0 ? Math.min(100, Math.round((position / duration) * 1000) / 10) : 0,
+  completed,
+  timestamp: new Date(timestamp),
+  resumeFrom: completed ? 0 : position
+});
+
+const fromRow = (row) => ({
+  userId: row.user_id,
+  profileId: row.profile_id,
+  movieId: row.movie_id,
+  position: toNumber(row.progress_seconds) || 0,
+  duration: toNumber(row.total_duration) || 0,
+  completed: Boolean(row.completed),
+  timestamp: new Date(row.watched_at)
+});
+
+const isNewer = (entry, than) => !than || entry.timestamp.getTime() >= than.timestamp.getTime();
+
+class WatchProgressTracker {
+  constructor(db, { flushInterval = FLUSH_INTERVAL_MS } = {}) {
+    this.db = db;
+    this.flushInterval = flushInterval;
+    this.pending = new Map();
+    this.knownMovies = new Set();
+    this.timer = null;
+    this.flushing = null;
+  }
+
+  key(profileId, movieId) {
+    return `${profileId}:${movieId}`;
+  }
+
+  // Heartbeats are not written straight away, so check the title exists up front.
+  // A title the profile may not see is reported as missing; only unrestricted
+  // lookups are cached, since the answer depends on the profile's controls.
+  async ensureMovie(movieId, profile = null) {
+    const id = Number(movieId);
+    const restriction = restrictionCondition(profile);
+    if (!restriction && this.knownMovies.has(id)) {
+      return;
+    }
+    const [movie] = await query(
+      this.db,
+      `SELECT m.id FROM movies m WHERE m.id = ? ${restriction ? `AND ${restriction.sql}` : ''}`,
+      [id, ...(restriction ? restriction.params : [])]
+    );
+    if (!movie) {
+      throw new NotFoundError('Movie not found');
+    }
+    if (!restriction) {
+      this.knownMovies.add(id);
+    }
+  }
+
+  /**
+   * Record a progress report
+   * @param {Object} profile - { id, userId, parentalControls? }
+   * @param {Object} report - { movieId, position, duration, completed?, timestamp? }
+   * @returns {Promise<Object>} The progress now on record for the title
+   */
+  async record(profile, { movieId, position, duration, completed, timestamp }) {
+    await this.ensureMovie(movieId, profile);
+
+    // A device with a fast clock must not win every future conflict
+    const now = Date.now();
+    const reportedAt = timestamp ? Math.min(new Date(timestamp).getTime(), now) : now;
+    const safeDuration = duration ? Math.round(duration) : 0;
+    const safePosition = Math.max(0, Math.round(position));
+
+    const entry = {
+      userId: profile.userId,
+      profileId: profile.id,
+      movieId: Number(movieId),
+      position: safeDuration ? Math.min(safePosition, safeDuration) : safePosition,
+      duration: safeDuration,
+      completed: completed !== undefined && completed !== null
+        ? Boolean(completed)
+        : safeDuration > 0 && safePosition >= safeDuration * COMPLETED_THRESHOLD,
+      timestamp: new Date(reportedAt)
+    };
+
+    const key = this.key(profile.id, entry.movieId);
+    const queued = this.pending.get(key);
+    if (!isNewer(entry, queued)) {
+      return formatProgress(queued);
+    }
+
+    this.pending.set(key, entry);
+    this.scheduleFlush();
+    publishWatchProgress({ ...formatProgress(entry), mediaId: String(entry.movieId) });
+    return formatProgress(entry);
+  }
+
+  scheduleFlush() {
+    if (this.pending.size >= MAX_PENDING) {
+      this.flush();
+      return;
+    }
+    if (!this.timer) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.flush();
+      }, this.flushInterval);
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Write every buffered report
+   * Failed writes are kept for the next flush unless a newer report replaced them.
+   */
+  async flush() {
+    if (this.flushing) {
+      await this.flushing;
+    }
+    if (this.pending.size === 0) {
+      return;
+    }
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    const entries = [...this.pending.values()];
+    this.pending.clear();
+    this.flushing = this.write(entries)
+      .catch((error) => {
+        logger.error(`Failed to save watch progress for ${entries.length} titles:`, error);
+        entries.forEach((entry) => {
+          const key = this.key(entry.profileId, entry.movieId);
+          if (!this.pending.has(key)) {
+            this.pending.set(key, entry);
+          }
+        });
+        this.scheduleFlush();
+      })
+      .finally(() => {
+        this.flushing = null;
+      });
+    await this.flushing;
+  }
+
+  async write(entries) {
+    const rows = entries.map((entry) => [
+      entry.userId,
+      entry.profileId,
+      entry.movieId,
+      entry.position,
+      entry.duration,
+      entry.completed,
+      entry.timestamp
+    ]);
+
+    try {
+      await this.upsert(rows);
+    } catch (error) {
+      // A title deleted since it was checked fails the whole batch; save the rest one by one
+      if (error.code !== 'ER_NO_REFERENCED_ROW_2') {
+        throw error;
+      }
+      for (const row of rows) {
+        await this.upsert([row]).catch((rowError) => {
+          this.knownMovies.delete(row[2]);
+          logger.warn(`Dropped watch progress for missing movie ${row[2]}: ${rowError.message}`);
+        });
+      }
+    }
+  }
+
+  // watched_at is assigned last: the IF()s compare against the stored value
+  upsert(rows) {
+    return query(
+      this.db,
+      `INSERT INTO watch_history (user_id, profile_id, movie_id, progress_seconds, total_duration, completed, watched_at)
+       VALUES ?
+       ON DUPLICATE KEY UPDATE
+         progress_seconds = IF(VALUES(watched_at) >= watched_at, VALUES(progress_seconds), progress_seconds),
+         total_duration = IF(VALUES(watched_at) >= watched_at AND VALUES(total_duration) > 0,
+           VALUES(total_duration), total_duration),
+         completed = IF(VALUES(watched_at) >= watched_at, VALUES(completed), completed),
+         watched_at = GREATEST(watched_at, VALUES(watched_at))`,
+      [rows]
+    );
+  }
+
+  /**
+   * Progress for one title, including reports not written yet
+   * @returns {Promise<Object|null>}
+   */
+  async getProgress(profile, movieId) {
+    const queued = this.pending.get(this.key(profile.id, Number(movieId)));
+    const [row] = await query(this.db, 'SELECT * FROM watch_history WHERE profile_id = ? AND movie_id = ?', [
+      profile.id,
+      movieId
+    ]);
+    const stored = row ? fromRow(row) : null;
+
+    if (queued && isNewer(queued, stored)) {
+      return formatProgress(queued);
+    }
+    return stored ? formatProgress(stored) : null;
+  }
+
+  /**
+   * Mark a title watched or unwatched
+   * Written straight away rather than with the next batch.
+   */
+  async setCompleted(profile, movieId, completed = true) {
+    const current = await this.getProgress(profile, movieId);
+    await this.record(profile, {
+      movieId,
+      position: current ? current.position : 0,
+      duration: current ? current.duration : 0,
+      completed
+    });
+    await this.flush();
+    return this.getProgress(profile, movieId);
+  }
+
+  /**
+   * Forget progress for one title, or every title when movieId is null
+   */
+  async remove(profile, movieId = null) {
+    [...this.pending.values()].forEach((entry) => {
+      if (entry.profileId === profile.id && (movieId === null || entry.movieId === Number(movieId))) {
+        this.pending.delete(this.key(entry.profileId, entry.movieId));
+      }
+    });
+
+    const result = movieId === null
+      ? await query(this.db, 'DELETE FROM watch_history WHERE profile_id = ?', [profile.id])
+      : await query(this.db, 'DELETE FROM watch_history WHERE profile_id = ? AND movie_id = ?', [profile.id, movieId]);
+    return result.affectedRows;
+  }
+
+  /**
+   * A page of watch history, most recent first
+   * @param {Object} options - { page, limit, status: all|in_progress|completed }
+   * @returns {Promise<{rows: Array, total: number}>} watch_history rows joined with their movie
+   */
+  async listHistory(profile, { page = 1, limit = 20, status = 'all' } = {}) {
+    await this.flush();
+    const filter = HISTORY_FILTERS[status] || '';
+    const restriction = restrictionCondition(profile);
+    const restrictionSql = restriction ? `AND ${restriction.sql}` : '';
+    const restrictionParams = restriction ? restriction.params : [];
+
+    const [rows, [{ total }]] = await Promise.all([
+      query(
+        this.db,
+        `SELECT wh.*, m.title, m.poster_path, m.backdrop_path, m.media_type, m.season_number,
+           m.episode_number, m.episode_title, m.release_year, m.runtime
+         FROM watch_history wh
+         JOIN movies m ON m.id = wh.movie_id
+         WHERE wh.profile_id = ? AND m.is_available = TRUE ${filter} ${restrictionSql}
+         ORDER BY wh.watched_at DESC, wh.id DESC
+         LIMIT ? OFFSET ?`,
+        [profile.id, ...restrictionParams, limit, (page - 1) * limit]
+      ),
+      query(
+        this.db,
+        `SELECT COUNT(*) AS total
+         FROM watch_history wh
+         JOIN movies m ON m.id = wh.movie_id
+         WHERE wh.profile_id = ? AND m.is_available = TRUE ${filter} ${restrictionSql}`,
+        [profile.id, ...restrictionParams]
+      )
+    ]);
+
+    return {
+      rows: rows.map((row) => ({ row, progress: formatProgress(fromRow(row)) })),
+      total
+    };
+  }
+
+  async close() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    await this.flush();
+  }
+}
+
+module.exports = {
+  COMPLETED_THRESHOLD,
+  WatchProgressTracker
+};
@@ -0,0 +1,75 @@
+const { createTestDatabase, createUser, createProfile, createMovie } = require('../database/testDatabase');
+const { query } = require('../database/query');
+const { resolveProfile } = require('./profiles');
+const { WatchProgressTracker } = require('./watchProgress');
+
+describe('WatchProgressTracker', () => {
+  let db;
+  let tracker;
+  let adult;
+  let kids;
+  let heat;
+  let totoro;
+
+  beforeEach(async () => {
+    db = await createTestDatabase();
+    tracker = new WatchProgressTracker(db);
+    const userId = await createUser(db, 'alice');
+    adult = await resolveProfile(db, userId, await createProfile(db, userId, 'Alice'));
+    kids = await resolveProfile(
+      db,
+      userId,
+      await createProfile(db, userId, 'Kids', { profile_type: 'child', max_rating: 'G' })
+    );
+
+    heat = await createMovie(db, 'Heat', { content_rating: 'R' });
+    totoro = await createMovie(db, 'Totoro', { content_rating: 'G' });
+  });
+
+  afterEach(async () => {
+    await tracker.close();
+    db.end();
+  });
+
+  test('records progress and lists it as history', async () => {
+    const progress = await tracker.record(adult, { movieId: heat, position: 600, duration: 6000 });
+    expect(progress).toMatchObject({ movieId: heat, position: 600, percentage: 10, completed: false });
+
+    const { rows, total } = await tracker.listHistory(adult);
+    expect(total).toBe(1);
+    expect(rows[0].progress).toMatchObject({ movieId: heat, position: 600 });
+  });
+
+  test('keeps the newest report when an older one arrives later', async () => {
+    await tracker.record(adult, { movieId: heat, position: 900, duration: 6000 });
+    await tracker.flush();
+
+    await tracker.record(adult, {
+      movieId: heat,
+      position: 100,
+      duration: 6000,
+      timestamp: new Date(Date.now() - 60 * 1000)
+    });
+    await tracker.flush();
+
+    expect((await tracker.getProgress(adult, heat)).position).toBe(900);
+  });
+
+  test('reports unknown titles as missing', async () => {
+    await expect(tracker.record(adult, { movieId: 9999, position: 1 })).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('applies the profile\'s parental controls', async () => {
+    // The unrestricted lookup is cached; it must not let the restricted profile through
+    await tracker.record(adult, { movieId: heat, position: 600, duration: 6000 });
+    await expect(tracker.record(kids, { movieId: heat, position: 60 })).rejects.toMatchObject({ statusCode: 404 });
+    await tracker.record(kids, { movieId: totoro, position: 60, duration: 5000 });
+
+    // Controls tightened after a title was watched hide it from history too
+    await query(db, "UPDATE movies SET content_rating = 'PG' WHERE id = ?", [totoro]);
+    const { rows, total } = await tracker.listHistory(kids);
+    expect(total).toBe(0);
+    expect(rows).toEqual([]);
+    expect((await tracker.listHistory(adult)).total).toBe(1);
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Download data source
+ * Tracks offline download requests in the downloads table. Qualities and
+ * statuses are stored in lower case and returned as GraphQL enum values.
+ * When a DownloadQueue is given, new downloads are queued for it to prepare
+ * and status changes go through it; it publishes its own updates. Downloads
+ * of titles the request's profile may not see are reported as missing.
+ */
+
+const { query } = require('../../../database/query');
+const { NotFoundError } = require('../../../middleware/errorHandler');
+const { publishDownload } = require('../../../services/pubsub');
+const { restrictionCondition } = require('../../../services/profiles');
+const { toNumber, toEnum, fromEnum } = require('./helpers');
+
+const ACTIVE_STATUSES = ['queued', 'downloading', 'paused'];
+
+const formatDownload = (row) => ({
+  id: row.id,
+  mediaId: String(row.movie_id),
+  userId: row.user_id,
+  quality: toEnum(row.quality),
+  progress: toNumber(row.progress) || 0,
+  status: toEnum(row.status),
+  size: toNumber(row.size),
+  path: row.path,
+  createdAt: new Date(row.created_at),
+  updatedAt: new Date(row.updated_at)
+});
+
+class DownloadAPI {
+  constructor(db, { mediaAPI, downloadQueue = null, profile = null }) {
+    this.db = db;
+    this.mediaAPI = mediaAPI;
+    this.downloadQueue = downloadQueue;
+    this.profile = profile;
+  }
+
+  async getDownloadsByUser(userId) {
+    const restriction = restrictionCondition(this.profile);
+    const rows = await query(
+      this.db,
+      `SELECT d.* FROM downloads d JOIN movies m ON m.id = d.movie_id
+       WHERE d.user_id = ? ${restriction ? `AND ${restriction.sql}` : ''}
+       ORDER BY d.created_at DESC`,
+      [userId, ...(restriction ? restriction.params : [])]
+    );
+    return rows.map(formatDownload);
+  }
+
+  async getDownloadById(id) {
+    const restriction = restrictionCondition(this.profile);
+    const [row] = await query(
+      this.db,
+      `SELECT d.* FROM downloads d JOIN movies m ON m.id = d.movie_id
+       WHERE d.id = ? ${restriction ? `AND ${restriction.sql}` : ''}`,
+      [id, ...(restriction ? restriction.params : [])]
+    );
+    if (!row) {
+      throw new NotFoundError('Download not found');
+    }
+    return formatDownload(row);
+  }
+
+  async isDownloaded(userId, mediaId) {
+    const [row] = await query(
+      this.db,
+      "SELECT id FROM downloads WHERE user_id = ? AND movie_id = ? AND status = 'completed' LIMIT 1",
+      [userId, mediaId]
+    );
+    return Boolean(row);
+  }
+
+  /**
+   * Queue a download
+   * An unfinished download of the same media and quality is returned instead
+   * of starting a second one.
+   */
+  async startDownload({ id, mediaId, userId, quality }) {
+    await this.mediaAPI.getMediaById(mediaId);
+
+    const [existing] = await query(
+      this.db,
+      `SELECT * FROM downloads
+       WHERE user_id = ? AND movie_id = ? AND quality = ? AND status IN (?)
+       LIMIT 1`,
+      [userId, mediaId, fromEnum(quality), ACTIVE_STATUSES]
+    );
+    if (existing) {
+      return formatDownload(existing);
+    }
+
+    await query(
+      this.db,
+      `INSERT INTO downloads (id, user_id, movie_id, quality, status, progress, size)
+       SELECT ?, ?, id, ?, 'queued', 0, file_size FROM movies WHERE id = ?`,
+      [id, userId, fromEnum(quality), mediaId]
+    );
+    if (this.downloadQueue) {
+      this.downloadQueue.enqueue(id);
+    }
+    const download = await this.getDownloadById(id);
+    publishDownload(download);
+    return download;
+  }
+
+  async updateDownloadStatus(id, status) {
+    if (this.downloadQueue && (status === 'PAUSED' || status === 'DOWNLOADING')) {
+      const { userId } = await this.getDownloadById(id);
+      await (status === 'PAUSED'
+        ? this.downloadQueue.pause(userId, id, this.profile)
+        : this.downloadQueue.resume(userId, id, this.profile));
+      return this.getDownloadById(id);
+    }
+    if (this.downloadQueue) {
+      this.downloadQueue.cancel(id);
+    }
+
+    await query(this.db, 'UPDATE downloads SET status = ? WHERE id = ?', [fromEnum(status), id]);
+    const download = await this.getDownloadById(id);
+    publishDownload(download);
+    return download;
+  }
+
+  async deleteDownload(id) {
+    if (this.downloadQueue) {
+      const { userId } = await this.getDownloadById(id);
+      await this.downloadQueue.remove(userId, id, this.profile);
+      return true;
+    }
+    const result = await query(this.db, 'DELETE FROM downloads WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  }
+}
+
+module.exports = {
+  formatDownload,
+  DownloadAPI
+};
@@ -0,0 +1,438 @@
+/**
+ * Media data source
+ * Serves the library (movies rows with an available file) in the GraphQL
+ * Media shape. Genres come from the metadata providers' genre_ids/genres
+ * columns; a genre's ID is its TMDB ID, or its name when no ID is known.
+ * Media the request's profile may not see is left out of every query.
+ */
+
+const { LIKE_ESCAPE, escapeLike, query } = require('../../../database/query');
+const { NotFoundError } = require('../../../middleware/errorHandler');
+const { restrictionCondition } = require('../../../services/profiles');
+const {
+  toNumber,
+  parseJsonColumn,
+  fromEnum,
+  normalizePagination,
+  buildConnection
+} = require('./helpers');
+
+const MEDIA_COLUMNS = `m.id, m.title, m.overview, m.media_type, m.status, m.release_date, m.runtime,
+  m.poster_path, m.backdrop_path, m.vote_average, m.popularity, m.genre_ids, m.genres,
+  m.created_at, m.updated_at, va.duration`;
+
+const MEDIA_JOINS = 'LEFT JOIN video_analysis va ON va.movie_id = m.id';
+
+const LIBRARY_CONDITION = 'm.file_path IS NOT NULL AND m.is_available = TRUE';
+
+const SORT_COLUMNS = {
+  TITLE: 'm.title',
+  RELEASE_DATE: 'm.release_date',
+  RATING: 'm.vote_average',
+  POPULARITY: 'm.popularity',
+  ADDED_DATE: 'm.created_at'
+};
+
+const TRENDING_WINDOWS = { day: 1, week: 7, month: 30 };
+
+// Media added within this many days is flagged as new
+const NEW_MEDIA_DAYS = parseInt(process.env.NEW_MEDIA_DAYS) || 14;
+
+// TMDB statuses for movies and shows
+const STATUS_MAP = {
+  released: 'RELEASED',
+  'returning series': 'RELEASED',
+  ended: 'RELEASED',
+  canceled: 'RELEASED',
+  'in production': 'IN_PRODUCTION',
+  'post production': 'IN_PRODUCTION',
+  planned: 'UPCOMING',
+  rumored: 'UPCOMING'
+};
+
+const toMediaStatus = (row) => {
+  const status = row.status && STATUS_MAP[row.status.toLowerCase()];
+  if (status) {
+    return status;
+  }
+  return row.release_date && new Date(row.release_date) > new Date() ? 'UPCOMING' : 'RELEASED';
+};
+
+/**
+ * Pair a row's genre IDs with its genre names
+ * Both lists come from the same provider when their lengths match.
+ */
+const parseGenres = (row) => {
+  const names = parseJsonColumn(row.genres, []);
+  const ids = parseJsonColumn(row.genre_ids, []);
+  const paired = ids.length === names.length;
+
+  return names.map((name, index) => ({
+    id: String(paired ? ids[index] : name),
+    name
+  }));
+};
+
+// Genre IDs are TMDB IDs, or names for genres without one
+const genreCondition = (genreId) => {
+  if (/^\d+$/.test(String(genreId))) {
+    return { sql: 'JSON_CONTAINS(m.genre_ids, ?)', params: [String(genreId)] };
+  }
+  return { sql: 'JSON_CONTAINS(m.genres, JSON_QUOTE(?))', params: [String(genreId)] };
+};
+
+const anyGenreCondition = (genreIds) => {
+  const conditions = genreIds.map(genreCondition);
+  return {
+    sql: `(${conditions.map((condition) => condition.sql).join(' OR ')})`,
+    params: conditions.flatMap((condition) => condition.params)
+  };
+};
+
+const formatMedia = (row) => {
+  const duration = toNumber(row.duration);
+  const createdAt = new Date(row.created_at);
+
+  return {
+    id: String(row.id),
+    title: row.title,
+    description: row.overview,
+    type: row.media_type === 'episode' ? 'EPISODE' : 'MOVIE',
+    status: toMediaStatus(row),
+    releaseDate: row.release_date,
+    duration: duration ? Math.round(duration) : row.runtime ? row.runtime * 60 : null,
+    posterUrl: row.poster_path,
+    backdropUrl: row.backdrop_path,
+    trailerUrl: null,
+    rating: toNumber(row.vote_average),
+    popularity: toNumber(row.popularity),
+    isNew: Date.now() - createdAt.getTime() < NEW_MEDIA_DAYS * 24 * 60 * 60 * 1000,
+    createdAt,
+    updatedAt: new Date(row.updated_at)
+  };
+};
+
+class MediaAPI {
+  /**
+   * @param {Object} db - MySQL pool
+   * @param {Object} options - profile: the request's profile, null for anonymous
+   *   requests; searchIndex: the library search index, without which search
+   *   falls back to LIKE matching
+   */
+  constructor(db, { profile = null, searchIndex = null } = {}) {
+    this.db = db;
+    this.profile = profile;
+    this.searchIndex = searchIndex;
+  }
+
+  // What every query starts from: the library, less what the profile may not see
+  libraryConditions() {
+    const restriction = restrictionCondition(this.profile);
+    return [{ sql: LIBRARY_CONDITION, params: [] }, ...(restriction ? [restriction] : [])];
+  }
+
+  /**
+   * Run a paginated media query
+   * @param {Object} options - { where: [{sql, params}], joins, joinParams, orderBy, orderParams }
+   * @returns {Promise<Object>} MediaConnection
+   */
+  async listMedia({ where = [], joins = '', joinParams = [], orderBy = 'm.title ASC', orderParams = [] }, page, limit) {
+    const pagination = normalizePagination(page, limit);
+    const conditions = [...this.libraryConditions(), ...where];
+    const whereSql = conditions.map((condition) => condition.sql).join(' AND ');
+    const whereParams = conditions.flatMap((condition) => condition.params);
+
+    const [rows, [{ total }]] = await Promise.all([
+      query(
+        this.db,
+        `SELECT ${MEDIA_COLUMNS}
+         FROM movies m
+         ${MEDIA_JOINS}
+         ${joins}
+         WHERE ${whereSql}
+         ORDER BY ${orderBy}, m.id
+         LIMIT ? OFFSET ?`,
+        [...joinParams, ...whereParams, ...orderParams, pagination.limit, pagination.offset]
+      ),
+      query(this.db, `SELECT COUNT(*) AS total FROM movies m WHERE ${whereSql}`, whereParams)
+    ]);
+
+    return buildConnection(rows.map(formatMedia), total, pagination);
+  }
+
+  filterConditions(filter = {}) {
+    const where = [];
+    if (filter.type) {
+      // The library stores episodes, not shows, so TV_SHOW matches episodes
+      where.push({ sql: 'm.media_type = ?', params: [filter.type === 'MOVIE' ? 'movie' : 'episode'] });
+    }
+    if (filter.genres && filter.genres.length > 0) {
+      where.push(anyGenreCondition(filter.genres));
+    }
+    if (filter.releaseYear) {
+      where.push({ sql: 'm.release_year = ?', params: [filter.releaseYear] });
+    }
+    if (filter.minRating !== undefined && filter.minRating !== null) {
+      where.push({ sql: 'm.vote_average >= ?', params: [filter.minRating] });
+    }
+    if (filter.maxRating !== undefined && filter.maxRating !== null) {
+      where.push({ sql: 'm.vote_average <= ?', params: [filter.maxRating] });
+    }
+    if (filter.search) {
+      where.push({ sql: `m.title LIKE ? ${LIKE_ESCAPE}`, params: [`%${escapeLike(filter.search)}%`] });
+    }
+    return where;
+  }
+
+  sortClause(sort, fallback = 'm.title ASC') {
+    if (!sort || !SORT_COLUMNS[sort.field]) {
+      return fallback;
+    }
+    return `${SORT_COLUMNS[sort.field]} ${sort.direction === 'DESC' ? 'DESC' : 'ASC'}`;
+  }
+
+  async getMediaById(id) {
+    const conditions = this.libraryConditions();
+    const [row] = await query(
+      this.db,
+      `SELECT ${MEDIA_COLUMNS}
+       FROM movies m
+       ${MEDIA_JOINS}
+       WHERE m.id = ? AND ${conditions.map((condition) => condition.sql).join(' AND ')}`,
+      [id, ...conditions.flatMap((condition) => condition.params)]
+    );
+    if (!row) {
+      throw new NotFoundError('Media not found');
+    }
+    return formatMedia(row);
+  }
+
+  // Whether the title is in the library and the profile may see it
+  async isVisible(id) {
+    try {
+      await this.getMediaById(id);
+      return true;
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  getAllMedia(page, limit, filter, sort) {
+    return this.listMedia({ where: this.filterConditions(filter || {}), orderBy: this.sortClause(sort) }, page, limit);
+  }
+
+  async searchMedia(text, page, limit) {
+    if (this.searchIndex) {
+      return this.searchIndexed(text, page, limit);
+    }
+
+    const pattern = `%${escapeLike(text.trim())}%`;
+    return this.listMedia(
+      {
+        where: [{
+          sql: `(m.title LIKE ? ${LIKE_ESCAPE} OR m.original_title LIKE ? ${LIKE_ESCAPE}
+            OR m.episode_title LIKE ? ${LIKE_ESCAPE} OR m.overview LIKE ? ${LIKE_ESCAPE})`,
+          params: [pattern, pattern, pattern, pattern]
+        }],
+        // Title matches first
+        orderBy: `(m.title LIKE ? ${LIKE_ESCAPE}) DESC, m.popularity DESC`,
+        orderParams: [pattern]
+      },
+      page,
+      limit
+    );
+  }
+
+  // Ranked, typo-tolerant search; edges carry the matched words highlighted
+  async searchIndexed(text, page, limit) {
+    const pagination = normalizePagination(page, limit);
+    const { hits, total } = await this.searchIndex.search(text, {
+      offset: pagination.offset,
+      limit: pagination.limit,
+      profile: this.profile
+    });
+    if (hits.length === 0) {
+      return buildConnection([], total, pagination);
+    }
+
+    const rows = await query(
+      this.db,
+      `SELECT ${MEDIA_COLUMNS} FROM movies m ${MEDIA_JOINS} WHERE m.id IN (?)`,
+      [hits.map((hit) => hit.id)]
+    );
+    const rowsById = new Map(rows.map((row) => [row.id, row]));
+    const found = hits.filter((hit) => rowsById.has(hit.id));
+
+    const connection = buildConnection(found.map((hit) => formatMedia(rowsById.get(hit.id))), total, pagination);
+    connection.edges.forEach((edge, index) => {
+      edge.highlights = found[index].highlights;
+    });
+    return connection;
+  }
+
+  getTrendingMedia(page, limit, timeWindow = 'week') {
+    const days = TRENDING_WINDOWS[fromEnum(timeWindow)] || TRENDING_WINDOWS.week;
+    return this.listMedia(
+      {
+        joins: `LEFT JOIN (
+           SELECT movie_id, COUNT(*) AS views
+           FROM watch_history
+           WHERE watched_at > NOW() - INTERVAL ? DAY
+           GROUP BY movie_id
+         ) recent ON recent.movie_id = m.id`,
+        joinParams: [days],
+        orderBy: 'COALESCE(recent.views, 0) DESC, m.popularity DESC'
+      },
+      page,
+      limit
+    );
+  }
+
+  getPopularMedia(page, limit) {
+    return this.listMedia({ orderBy: 'm.popularity IS NULL, m.popularity DESC' }, page, limit);
+  }
+
+  getNewReleases(page, limit) {
+    return this.listMedia(
+      {
+        where: [{ sql: 'm.release_date IS NOT NULL AND m.release_date <= CURDATE()', params: [] }],
+        orderBy: 'm.release_date DESC'
+      },
+      page,
+      limit
+    );
+  }
+
+  /**
+   * Unwatched media sharing genres with what the profile watched or the user saved
+   * Falls back to popular media until there is some history.
+   * @param {Object} profile - { id, userId }
+   */
+  async getRecommendedMedia(profile, page, limit) {
+    const rows = await query(
+      this.db,
+      `SELECT m.genre_ids, m.genres
+       FROM movies m
+       WHERE m.id IN (
+         SELECT movie_id FROM watch_history WHERE profile_id = ?
+         UNION
+         SELECT movie_id FROM user_collections WHERE user_id = ? AND collection_type = 'watchlist'
+       )`,
+      [profile.id, profile.userId]
+    );
+    const genreIds = [...new Set(rows.flatMap(parseGenres).map((genre) => genre.id))];
+    if (genreIds.length === 0) {
+      return this.getPopularMedia(page, limit);
+    }
+
+    return this.listMedia(
+      {
+        where: [
+          anyGenreCondition(genreIds),
+          {
+            sql: 'm.id NOT IN (SELECT movie_id FROM watch_history WHERE profile_id = ? AND completed = TRUE)',
+            params: [profile.id]
+          }
+        ],
+        orderBy: 'm.popularity IS NULL, m.popularity DESC'
+      },
+      page,
+      limit
+    );
+  }
+
+  async getSimilarMedia(mediaId, limit = 10) {
+    const genres = await this.getGenresByMediaId(mediaId);
+    if (genres.length === 0) {
+      return [];
+    }
+
+    const connection = await this.listMedia(
+      {
+        where: [
+          anyGenreCondition(genres.map((genre) => genre.id)),
+          { sql: 'm.id <> ?', params: [mediaId] }
+        ],
+        orderBy: 'm.popularity IS NULL, m.popularity DESC'
+      },
+      1,
+      limit
+    );
+    return connection.edges.map((edge) => edge.node);
+  }
+
+  async getGenresByMediaId(mediaId) {
+    const [row] = await query(this.db, 'SELECT genre_ids, genres FROM movies WHERE id = ?', [mediaId]);
+    return row ? parseGenres(row) : [];
+  }
+
+  // Every genre in the library, sorted by name
+  async getLibraryGenres() {
+    const rows = await query(
+      this.db,
+      `SELECT m.genre_ids, m.genres FROM movies m WHERE ${LIBRARY_CONDITION} AND m.genres IS NOT NULL`
+    );
+    const genres = new Map();
+    rows.flatMap(parseGenres).forEach((genre) => genres.set(genre.id, genre));
+    return [...genres.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async getGenreById(id) {
+    const genre = (await this.getLibraryGenres()).find((candidate) => candidate.id === String(id));
+    if (!genre) {
+      throw new NotFoundError('Genre not found');
+    }
+    return genre;
+  }
+
+  async getGenresByIds(ids = []) {
+    const wanted = ids.map(String);
+    const genres = await this.getLibraryGenres();
+    return genres.filter((genre) => wanted.includes(genre.id));
+  }
+
+  async getAllGenres(page, limit) {
+    const pagination = normalizePagination(page, limit);
+    const genres = await this.getLibraryGenres();
+    return buildConnection(
+      genres.slice(pagination.offset, pagination.offset + pagination.limit),
+      genres.length,
+      pagination
+    );
+  }
+
+  getMediaByGenre(genreId, page, limit, filter, sort) {
+    return this.listMedia(
+      {
+        where: [genreCondition(genreId), ...this.filterConditions(filter || {})],
+        orderBy: this.sortClause(sort)
+      },
+      page,
+      limit
+    );
+  }
+
+  // Cast and crew are not stored by any metadata provider yet
+  async getCastByMediaId() {
+    return [];
+  }
+
+  async getDirectorByMediaId() {
+    return null;
+  }
+
+  async getMediaByPerson() {
+    return [];
+  }
+}
+
+module.exports = {
+  MediaAPI,
+  formatMedia,
+  MEDIA_COLUMNS,
+  MEDIA_JOINS,
+  LIBRARY_CONDITION
+};
@@ -0,0 +1,60 @@
+/**
+ * Storage data source
+ * Keeps uploaded files under public/uploads, served from /static/uploads.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const stream = require('stream');
+const { ValidationError } = require('../../../middleware/errorHandler');
+
+const pipeline = promisify(stream.pipeline);
+
+const UPLOAD_DIR = path.join(__dirname, '..', '..', '..', 'public', 'uploads');
+const UPLOAD_URL_PREFIX = '/static/uploads';
+
+const IMAGE_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'image/gif': '.gif'
+};
+
+class StorageAPI {
+  constructor({ uploadDir = UPLOAD_DIR } = {}) {
+    this.uploadDir = uploadDir;
+  }
+
+  /**
+   * Store an uploaded image
+   * @param {ReadableStream} upload - Upload contents
+   * @param {string} filename - Client file name, for error messages
+   * @param {string} mimetype - Client-declared type
+   * @param {string} folder - Folder under the upload directory, e.g. "users/1/profile"
+   * @returns {Promise<string>} Public path
+   */
+  async uploadFile(upload, filename, mimetype, folder) {
+    const extension = IMAGE_EXTENSIONS[mimetype];
+    if (!extension) {
+      upload.resume();
+      throw new ValidationError(`Unsupported file type for ${filename}`);
+    }
+
+    const safeFolder = folder
+      .split('/')
+      .filter((part) => part && part !== '.' && part !== '..')
+      .join('/');
+    const directory = path.join(this.uploadDir, safeFolder);
+    const fileName = `${crypto.randomUUID()}${extension}`;
+
+    await fs.promises.mkdir(directory, { recursive: true });
+    await pipeline(upload, fs.createWriteStream(path.join(directory, fileName)));
+    return `${UPLOAD_URL_PREFIX}/${safeFolder}/${fileName}`;
+  }
+}
+
+module.exports = {
+  StorageAPI
+};
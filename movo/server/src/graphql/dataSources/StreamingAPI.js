@@ -0,0 +1,159 @@
+/**
+ * Streaming data source
+ * Signed playback URLs (shared with GET /api/stream/:movieId/url), the
+ * library stream as a streaming source, and player-reported sessions.
+ */
+
+const crypto = require('crypto');
+const { query } = require('../../../database/query');
+const { createStreamingUrl } = require('../../../controllers/streamController');
+const { NotFoundError } = require('../../../middleware/errorHandler');
+const { publishStreamingSession } = require('../../../services/pubsub');
+const { createStreamToken } = require('../../../services/streamTokens');
+const { listSubtitles } = require('../../../services/subtitles');
+const { LIBRARY_CONDITION } = require('./MediaAPI');
+const { toNumber, parseJsonColumn, toEnum, fromEnum } = require('./helpers');
+
+const formatSession = (row) => {
+  const startTime = new Date(row.start_time);
+  const endTime = row.end_time ? new Date(row.end_time) : null;
+
+  return {
+    id: row.id,
+    mediaId: String(row.movie_id),
+    userId: row.user_id,
+    quality: toEnum(row.quality),
+    startTime,
+    endTime,
+    progress: toNumber(row.progress),
+    source: toEnum(row.source),
+    duration: Math.round(((endTime || new Date()) - startTime) / 1000),
+    isActive: !endTime,
+    metrics: parseJsonColumn(row.metrics, null)
+  };
+};
+
+class StreamingAPI {
+  constructor(db, { baseUrl, packager, profile = null }) {
+    this.db = db;
+    this.baseUrl = baseUrl;
+    this.packager = packager;
+    this.profile = profile;
+  }
+
+  async getStreamingUrl(mediaId, quality, userId) {
+    const streamingUrl = await createStreamingUrl(this.db, {
+      movieId: mediaId,
+      userId,
+      profile: this.profile,
+      quality: fromEnum(quality) || 'auto',
+      baseUrl: this.baseUrl,
+      packager: this.packager
+    });
+
+    return {
+      ...streamingUrl,
+      quality: toEnum(streamingUrl.quality),
+      availableQualities: streamingUrl.availableQualities.map(toEnum)
+    };
+  }
+
+  // The library file is the only source; its URL hands out a signed stream URL
+  async getSourcesByMediaId(mediaId) {
+    const [movie] = await query(this.db, `SELECT m.id FROM movies m WHERE m.id = ? AND ${LIBRARY_CONDITION}`, [
+      mediaId
+    ]);
+    if (!movie) {
+      return [];
+    }
+
+    return [{
+      id: `library-${movie.id}`,
+      name: 'Library',
+      url: `${this.baseUrl}/api/stream/${movie.id}/url`,
+      quality: 'AUTO',
+      price: null,
+      isFree: true
+    }];
+  }
+
+  // Sidecar tracks and the user's uploads; the URLs are signed like stream
+  // URLs so a <track> element can load them
+  async getSubtitles(mediaId, language, userId) {
+    const tracks = await listSubtitles(this.db, mediaId, userId, this.profile, {
+      language: language ? language.toLowerCase() : undefined
+    });
+    const { token } = createStreamToken({ userId, movieId: mediaId });
+
+    return tracks.map((track) => ({
+      ...track,
+      id: String(track.id),
+      // ISO 639-2 for "undetermined"
+      language: track.language || 'und',
+      url: `${this.baseUrl}${track.url}?token=${encodeURIComponent(token)}`
+    }));
+  }
+
+  async getSessionById(id) {
+    const [row] = await query(this.db, 'SELECT * FROM streaming_sessions WHERE id = ?', [id]);
+    if (!row) {
+      throw new NotFoundError('Streaming session not found');
+    }
+    return formatSession(row);
+  }
+
+  async getSessionsByUser(userId) {
+    const rows = await query(
+      this.db,
+      'SELECT * FROM streaming_sessions WHERE user_id = ? ORDER BY start_time DESC LIMIT 100',
+      [userId]
+    );
+    return rows.map(formatSession);
+  }
+
+  async startStreamingSession({ mediaId, userId, quality, source, startTime }) {
+    const [movie] = await query(this.db, `SELECT m.id FROM movies m WHERE m.id = ? AND ${LIBRARY_CONDITION}`, [
+      mediaId
+    ]);
+    if (!movie) {
+      throw new NotFoundError('Media not found');
+    }
+
+    const id = crypto.randomUUID();
+    await query(
+      this.db,
+      'INSERT INTO streaming_sessions (id, user_id, movie_id, quality, source, start_time) VALUES (?, ?, ?, ?, ?, ?)',
+      [id, userId, movie.id, fromEnum(quality), fromEnum(source), startTime]
+    );
+    return this.publishSession(id);
+  }
+
+  async endStreamingSession(id, { endTime, progress }) {
+    await query(
+      this.db,
+      'UPDATE streaming_sessions SET end_time = COALESCE(end_time, ?), progress = ? WHERE id = ?',
+      [endTime, progress, id]
+    );
+    return this.publishSession(id);
+  }
+
+  // Metrics are merged into what the player reported before
+  async updateSessionMetrics(id, metrics) {
+    const session = await this.getSessionById(id);
+    await query(this.db, 'UPDATE streaming_sessions SET metrics = ? WHERE id = ?', [
+      JSON.stringify({ ...(session.metrics || {}), ...metrics }),
+      id
+    ]);
+    return this.publishSession(id);
+  }
+
+  async publishSession(id) {
+    const session = await this.getSessionById(id);
+    publishStreamingSession(session);
+    return session;
+  }
+}
+
+module.exports = {
+  StreamingAPI
+};
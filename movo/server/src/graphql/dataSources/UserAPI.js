@@ -0,0 +1,277 @@
+/**
+ * User data source
+ * Accounts, tokens, preferences, the watchlist (the user's built-in
+ * "watchlist" collection) and watch progress (watch_history). Preferences
+ * and progress belong to the request's profile, or to the user's default
+ * profile when the user asked about is not the one signed in.
+ */
+
+const { query } = require('../../../database/query');
+const authTokens = require('../../../services/authTokens');
+const { sendVerificationLink } = require('../../../services/accountTokens');
+const { roleForEmail } = require('../../../services/adminUsers');
+const collections = require('../../../services/collections');
+const { getPreferenceRow, savePreferenceColumns } = require('../../../services/preferences');
+const { resolveProfile } = require('../../../services/profiles');
+const {
+  ValidationError,
+  ConflictError,
+  NotFoundError
+} = require('../../../middleware/errorHandler');
+const { toNumber, parseJsonColumn } = require('./helpers');
+
+// user_preferences.download_quality only knows three tiers
+const QUALITY_TO_DOWNLOAD = { AUTO: 'HD', LOW: 'SD', MEDIUM: 'HD', HIGH: 'HD', ULTRA: '4K' };
+const DOWNLOAD_TO_QUALITY = { SD: 'LOW', HD: 'HIGH', '4K': 'ULTRA' };
+
+// Input fields stored as they are
+const PREFERENCE_COLUMNS = {
+  language: 'language',
+  subtitlesEnabled: 'subtitles_enabled',
+  subtitlesLanguage: 'subtitles_language',
+  autoplayEnabled: 'autoplay_enabled',
+  autoplayNextEnabled: 'autoplay_next_enabled',
+  defaultAudioLanguage: 'default_audio_language'
+};
+
+const formatUser = (row) => ({
+  id: row.id,
+  username: row.username,
+  email: row.email,
+  profilePicture: row.profile_picture,
+  emailVerified: Boolean(row.email_verified),
+  role: (row.role || 'user').toUpperCase(),
+  createdAt: new Date(row.created_at),
+  updatedAt: new Date(row.updated_at)
+});
+
+const formatPreferences = (row) => ({
+  theme: row.dark_mode ? 'dark' : 'light',
+  language: row.language,
+  subtitlesEnabled: Boolean(row.subtitles_enabled),
+  subtitlesLanguage: row.subtitles_language,
+  autoplayEnabled: Boolean(row.autoplay_enabled),
+  autoplayNextEnabled: Boolean(row.autoplay_next_enabled),
+  defaultQuality: DOWNLOAD_TO_QUALITY[row.download_quality] || 'HIGH',
+  defaultAudioLanguage: row.default_audio_language,
+  preferredGenres: parseJsonColumn(row.preferred_genres, []).map(String)
+});
+
+const formatWatchProgress = (row) => {
+  const position = toNumber(row.progress_seconds) || 0;
+  const duration = toNumber(row.total_duration) || 0;
+
+  return {
+    mediaId: String(row.movie_id),
+    userId: row.user_id,
+    profileId: row.profile_id,
+    position,
+    duration,
+    percentage: duration > 0 ? Math.min(100, (position / duration) * 100) : 0,
+    timestamp: new Date(row.watched_at),
+    completed: Boolean(row.completed)
+  };
+};
+
+// The tracker's progress keyed by GraphQL's mediaId
+const toWatchProgress = (progress) => ({ ...progress, mediaId: String(progress.movieId) });
+
+const USER_COLUMNS = 'id, username, email, profile_picture, email_verified, role, created_at, updated_at';
+
+class UserAPI {
+  constructor(db, { mediaAPI, progressTracker, profile = null, client = {} }) {
+    this.db = db;
+    this.mediaAPI = mediaAPI;
+    this.progressTracker = progressTracker;
+    this.profile = profile;
+    this.client = client;
+  }
+
+  // The profile whose preferences and progress to use for a user
+  profileFor(userId) {
+    if (this.profile && String(this.profile.userId) === String(userId)) {
+      return Promise.resolve(this.profile);
+    }
+    return resolveProfile(this.db, userId);
+  }
+
+  async getUserById(id) {
+    const [row] = await query(this.db, `SELECT ${USER_COLUMNS} FROM users WHERE id = ? AND is_active = TRUE`, [id]);
+    if (!row) {
+      throw new NotFoundError('User not found');
+    }
+    return formatUser(row);
+  }
+
+  // Includes the password hash, for login only
+  async getUserByEmail(email) {
+    const [row] = await query(
+      this.db,
+      `SELECT ${USER_COLUMNS}, password FROM users WHERE email = ? AND is_active = TRUE`,
+      [email]
+    );
+    return row ? { ...formatUser(row), password: row.password } : null;
+  }
+
+  async createUser({ username, email, password }) {
+    try {
+      const result = await query(this.db, 'INSERT INTO users (username, email, password, role) VALUES (?, ?, ?, ?)', [
+        username,
+        email,
+        password,
+        roleForEmail(email)
+      ]);
+      return this.getUserById(result.insertId);
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw new ConflictError('User with this email or username already exists');
+      }
+      throw error;
+    }
+  }
+
+  async updateUser(id, { username, profilePicture }) {
+    try {
+      await query(
+        this.db,
+        'UPDATE users SET username = COALESCE(?, username), profile_picture = COALESCE(?, profile_picture) WHERE id = ?',
+        [username || null, profilePicture || null, id]
+      );
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw new ConflictError('Username is already taken');
+      }
+      throw error;
+    }
+    return this.getUserById(id);
+  }
+
+  recordLogin(id) {
+    return query(this.db, 'UPDATE users SET last_login = NOW() WHERE id = ?', [id]);
+  }
+
+  sendVerificationLink(user) {
+    return sendVerificationLink(this.db, user);
+  }
+
+  // Starts a session named after the requesting device
+  issueTokens(user) {
+    return authTokens.issueTokens(this.db, user, null, this.client);
+  }
+
+  rotateRefreshToken(refreshToken) {
+    return authTokens.rotateRefreshToken(this.db, refreshToken, this.client);
+  }
+
+  revokeRefreshTokens(userId) {
+    return authTokens.revokeAllRefreshTokens(this.db, userId);
+  }
+
+  async getUserPreferences(userId) {
+    return formatPreferences(await getPreferenceRow(this.db, await this.profileFor(userId)));
+  }
+
+  async updateUserPreferences(userId, preferences) {
+    const columns = {};
+    if (preferences.theme !== undefined) {
+      if (!['dark', 'light'].includes(preferences.theme)) {
+        throw new ValidationError('Theme must be "dark" or "light"');
+      }
+      columns.dark_mode = preferences.theme === 'dark';
+    }
+    if (preferences.defaultQuality !== undefined) {
+      columns.download_quality = QUALITY_TO_DOWNLOAD[preferences.defaultQuality];
+    }
+    if (preferences.preferredGenres !== undefined) {
+      columns.preferred_genres = JSON.stringify(preferences.preferredGenres || []);
+    }
+    Object.entries(PREFERENCE_COLUMNS).forEach(([field, column]) => {
+      if (preferences[field] !== undefined) {
+        columns[column] = preferences[field];
+      }
+    });
+
+    await savePreferenceColumns(this.db, await this.profileFor(userId), columns);
+    return this.getUserById(userId);
+  }
+
+  getWatchlist(userId, page, limit) {
+    return this.mediaAPI.listMedia(
+      {
+        where: [{
+          sql: "m.id IN (SELECT movie_id FROM user_collections WHERE user_id = ? AND collection_type = 'watchlist')",
+          params: [userId]
+        }],
+        joins: "JOIN user_collections uc ON uc.movie_id = m.id AND uc.user_id = ? AND uc.collection_type = 'watchlist'",
+        joinParams: [userId],
+        orderBy: 'uc.position, uc.id'
+      },
+      page,
+      limit
+    );
+  }
+
+  async isInWatchlist(userId, mediaId) {
+    const [row] = await query(
+      this.db,
+      "SELECT id FROM user_collections WHERE user_id = ? AND movie_id = ? AND collection_type = 'watchlist'",
+      [userId, mediaId]
+    );
+    return Boolean(row);
+  }
+
+  async addToWatchlist(userId, mediaId) {
+    await this.mediaAPI.getMediaById(mediaId);
+    const watchlist = await collections.getCollection(this.db, userId, 'watchlist');
+    await collections.addItem(this.db, watchlist, mediaId);
+    return true;
+  }
+
+  async removeFromWatchlist(userId, mediaId) {
+    const watchlist = await collections.getCollection(this.db, userId, 'watchlist');
+    await collections.removeItem(this.db, watchlist, mediaId);
+    return true;
+  }
+
+  // Includes heartbeats the tracker has not written yet
+  async getWatchProgress(userId, mediaId) {
+    const progress = await this.progressTracker.getProgress(await this.profileFor(userId), mediaId);
+    return progress ? toWatchProgress(progress) : null;
+  }
+
+  async getWatchHistory(userId, page = 1, limit = 20) {
+    const profile = await this.profileFor(userId);
+    const conditions = this.mediaAPI.libraryConditions();
+    await this.progressTracker.flush();
+    const safeLimit = Math.min(100, Math.max(1, parseInt(limit) || 20));
+    const offset = (Math.max(1, parseInt(page) || 1) - 1) * safeLimit;
+    const rows = await query(
+      this.db,
+      `SELECT wh.*
+       FROM watch_history wh
+       JOIN movies m ON m.id = wh.movie_id
+       WHERE wh.profile_id = ? AND ${conditions.map((condition) => condition.sql).join(' AND ')}
+       ORDER BY wh.watched_at DESC
+       LIMIT ? OFFSET ?`,
+      [profile.id, ...conditions.flatMap((condition) => condition.params), safeLimit, offset]
+    );
+    return rows.map((row) => ({ mediaId: String(row.movie_id), progress: formatWatchProgress(row) }));
+  }
+
+  // Same rules as PUT /api/history/:movieId: batched writes, latest report wins
+  async updateWatchProgress(userId, { mediaId, position, duration, completed, timestamp }) {
+    await this.mediaAPI.getMediaById(mediaId);
+    const progress = await this.progressTracker.record(await this.profileFor(userId), {
+      movieId: mediaId,
+      position,
+      duration,
+      completed,
+      timestamp
+    });
+    return toWatchProgress(progress);
+  }
+}
+
+module.exports = {
+  UserAPI
+};
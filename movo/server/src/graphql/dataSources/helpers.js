@@ -0,0 +1,63 @@
+/**
+ * Shared helpers for the GraphQL data sources
+ * GraphQL enums are upper case (HIGH, PAUSED) while the REST API and the
+ * database use lower case values, so everything is converted at this layer.
+ */
+
+const MAX_PAGE_SIZE = 100;
+
+// DECIMAL columns come back as strings
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+// JSON columns come back as strings too
+const parseJsonColumn = (value, fallback) => {
+  if (value === null || value === undefined) {
+    return fallback;
+  }
+  try {
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  } catch (error) {
+    return fallback;
+  }
+};
+
+const toEnum = (value) => (value ? String(value).toUpperCase() : null);
+
+const fromEnum = (value) => (value ? String(value).toLowerCase() : null);
+
+const normalizePagination = (page = 1, limit = 20) => {
+  const safePage = Math.max(1, parseInt(page) || 1);
+  const safeLimit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit) || 20));
+  return { page: safePage, limit: safeLimit, offset: (safePage - 1) * safeLimit };
+};
+
+const encodeCursor = (offset) => Buffer.from(`offset:${offset}`).toString('base64');
+
+/**
+ * Build a Relay-style connection for one page of results
+ * @param {Array} nodes - Items on the page
+ * @param {number} totalItems - Items across every page
+ * @param {{page: number, limit: number, offset: number}} pagination
+ */
+const buildConnection = (nodes, totalItems, { page, limit, offset }) => {
+  const totalPages = Math.ceil(totalItems / limit);
+  return {
+    edges: nodes.map((node, index) => ({ node, cursor: encodeCursor(offset + index) })),
+    pageInfo: {
+      hasNextPage: page < totalPages,
+      hasPreviousPage: page > 1,
+      totalPages,
+      totalItems,
+      currentPage: page
+    }
+  };
+};
+
+module.exports = {
+  toNumber,
+  parseJsonColumn,
+  toEnum,
+  fromEnum,
+  normalizePagination,
+  buildConnection
+};
@@ -0,0 +1,38 @@
+/**
+ * GraphQL data sources
+ * Created per request; every source reads and writes the MySQL pool.
+ */
+
+const { MediaAPI } = require('./MediaAPI');
+const { UserAPI } = require('./UserAPI');
+const { DownloadAPI } = require('./DownloadAPI');
+const { StreamingAPI } = require('./StreamingAPI');
+const { StorageAPI } = require('./StorageAPI');
+
+/**
+ * @param {Object} db - MySQL pool (app.locals.db)
+ * @param {Object} options - { baseUrl, packager } for signed stream URLs,
+ *   progressTracker (app.locals.progressTracker) for watch progress,
+ *   searchIndex (app.locals.searchIndex) for typo-tolerant search,
+ *   downloadQueue (app.locals.downloadQueue) to prepare offline bundles, the
+ *   request's profile (null when anonymous) whose parental controls apply, and
+ *   the client's device details for sessions it signs in
+ */
+const createDataSources = (
+  db,
+  { baseUrl, packager, progressTracker, searchIndex = null, downloadQueue = null, profile = null, client = {} } = {}
+) => {
+  const mediaAPI = new MediaAPI(db, { profile, searchIndex });
+
+  return {
+    mediaAPI,
+    userAPI: new UserAPI(db, { mediaAPI, progressTracker, profile, client }),
+    downloadAPI: new DownloadAPI(db, { mediaAPI, downloadQueue, profile }),
+    streamingAPI: new StreamingAPI(db, { baseUrl, packager, profile }),
+    storageAPI: new StorageAPI()
+  };
+};
+
+module.exports = {
+  createDataSources
+};
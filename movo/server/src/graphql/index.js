@@ -0,0 +1,225 @@
+/**
+ * GraphQL endpoint
+ * Serves schema.graphql at /graphql from the Express app, with subscriptions
+ * over WebSockets (graphql-ws protocol) on the same path. The context user
+ * comes from the same access tokens the REST routes accept, along with the
+ * profile they act as, and errors raised with the app's error classes keep
+ * their codes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { WebSocketServer } = require('ws');
+const { useServer } = require('graphql-ws/lib/use/ws');
+const { makeExecutableSchema } = require('@graphql-tools/schema');
+const { ApolloServer, ApolloError, AuthenticationError } = require('apollo-server-express');
+const { ApolloServerPluginLandingPageDisabled } = require('apollo-server-core');
+const { graphqlUploadExpress } = require('graphql-upload');
+const resolvers = require('./resolvers');
+const { createDataSources } = require('./dataSources');
+const { formatDownload } = require('./dataSources/DownloadAPI');
+const { verifyAccessToken } = require('../../services/authTokens');
+const { resolveProfile } = require('../../services/profiles');
+const { describeClient } = require('../../services/sessions');
+const { publicBaseUrl } = require('../../controllers/streamController');
+const { getPubSub, publishDownload } = require('../../services/pubsub');
+const { authFailures } = require('../../services/metrics');
+const { logger } = require('../../middleware/errorHandler');
+
+const typeDefs = fs.readFileSync(path.join(__dirname, 'schema.graphql'), 'utf8');
+const schema = makeExecutableSchema({ typeDefs, resolvers });
+
+const MAX_UPLOAD_SIZE = parseInt(process.env.GRAPHQL_MAX_UPLOAD_SIZE) || 5 * 1024 * 1024;
+
+// Anonymous requests get no user; a bad or expired token is an error so clients refresh
+const getUser = (authHeader) => {
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return null;
+  }
+
+  try {
+    const decoded = verifyAccessToken(authHeader.substring(7));
+    return { id: decoded.userId, username: decoded.username, profileId: decoded.profileId };
+  } catch (error) {
+    throw new AuthenticationError(error.message);
+  }
+};
+
+// The profile a signed-in user acts as; its parental controls apply to every media query
+const getProfile = async (db, user) => {
+  if (!user) {
+    return null;
+  }
+
+  try {
+    return await resolveProfile(db, user.id, user.profileId);
+  } catch (error) {
+    if (error.isOperational) {
+      throw new AuthenticationError(error.message);
+    }
+    throw error;
+  }
+};
+
+const formatError = (error) => {
+  const original = error.originalError;
+  // Counted alongside the REST 401s
+  if (original instanceof AuthenticationError || (original && original.statusCode === 401)) {
+    authFailures.inc({ code: original.code || 'UNAUTHENTICATED' });
+  }
+  // Apollo reports syntax, validation and variable errors with its own error
+  // classes; they describe the request, not the server
+  if (!original || original instanceof ApolloError || error instanceof ApolloError) {
+    return error;
+  }
+
+  const { message, locations, path: errorPath } = error;
+  if (original.isOperational) {
+    return {
+      message,
+      locations,
+      path: errorPath,
+      extensions: { code: original.code, ...(original.details ? { details: original.details } : {}) }
+    };
+  }
+
+  logger.error('GraphQL resolver error:', original);
+  return {
+    message: 'Internal server error',
+    locations,
+    path: errorPath,
+    extensions: { code: 'INTERNAL_SERVER_ERROR' }
+  };
+};
+
+// graphql-ws clients send the token as connectionParams.authorization ("Bearer ...")
+const connectionAuthHeader = (connectionParams = {}) => {
+  const value = connectionParams.authorization || connectionParams.Authorization;
+  return typeof value === 'string' ? value : null;
+};
+
+/**
+ * Create the /graphql router
+ * The router can be mounted straight away; requests wait until Apollo has started.
+ * Subscriptions need the HTTP server, so they are attached separately.
+ * @param {Object} options - { db, packager, progressTracker, searchIndex, downloadQueue }
+ * @returns {{router: express.Router, server: ApolloServer, ready: Promise<void>, attachSubscriptions: Function}}
+ */
+const createGraphQLRouter = ({ db, packager, progressTracker, searchIndex, downloadQueue }) => {
+  let subscriptionServer = null;
+
+  // Downloads also change through the REST API and as their bundles are prepared
+  if (downloadQueue) {
+    downloadQueue.on('update', (row) => publishDownload(formatDownload(row)));
+  }
+
+  const server = new ApolloServer({
+    schema,
+    context: async ({ req }) => {
+      const user = getUser(req.headers.authorization);
+      const profile = await getProfile(db, user);
+
+      return {
+        user,
+        profile,
+        pubsub: getPubSub(),
+        dataSources: createDataSources(db, {
+          baseUrl: publicBaseUrl(req),
+          packager,
+          progressTracker,
+          searchIndex,
+          downloadQueue,
+          profile,
+          client: describeClient(req)
+        })
+      };
+    },
+    formatError,
+    // Multipart uploads need an Apollo-Require-Preflight header
+    csrfPrevention: true,
+    cache: 'bounded',
+    introspection: process.env.NODE_ENV !== 'production',
+    plugins: [
+      // The embedded Sandbox is blocked by the app's Content-Security-Policy
+      ApolloServerPluginLandingPageDisabled(),
+      // Close WebSocket subscriptions when the server stops
+      {
+        async serverWillStart() {
+          return {
+            async drainServer() {
+              if (subscriptionServer) {
+                await subscriptionServer.dispose();
+              }
+            }
+          };
+        }
+      }
+    ]
+  });
+
+  const router = express.Router();
+  const ready = server.start().then(() => {
+    router.use('/graphql', graphqlUploadExpress({ maxFileSize: MAX_UPLOAD_SIZE, maxFiles: 1 }));
+    // CORS is configured for the whole app
+    server.applyMiddleware({ app: router, path: '/graphql', cors: false });
+  });
+
+  router.use('/graphql', (req, res, next) => {
+    ready.then(() => next(), next);
+  });
+
+  /**
+   * Serve subscriptions on the HTTP server's /graphql path
+   * Upgrades on other paths are left to their own WebSocket servers.
+   * @param {http.Server} httpServer - Returned by app.listen
+   */
+  const attachSubscriptions = (httpServer) => {
+    const wsServer = new WebSocketServer({ noServer: true });
+    httpServer.on('upgrade', (req, socket, head) => {
+      if (new URL(req.url, 'http://localhost').pathname !== '/graphql') {
+        return;
+      }
+      wsServer.handleUpgrade(req, socket, head, (ws) => wsServer.emit('connection', ws, req));
+    });
+
+    subscriptionServer = useServer(
+      {
+        schema,
+        // Refuse the connection outright when a token is sent but is not valid
+        onConnect: ({ connectionParams }) => {
+          try {
+            getUser(connectionAuthHeader(connectionParams));
+            return true;
+          } catch (error) {
+            return false;
+          }
+        },
+        context: async ({ connectionParams, extra }) => {
+          const host = extra.request.headers.host;
+          const baseUrl = (process.env.PUBLIC_URL || `http://${host}`).replace(/\/+$/, '');
+          const user = getUser(connectionAuthHeader(connectionParams));
+          const profile = await getProfile(db, user);
+
+          return {
+            user,
+            profile,
+            pubsub: getPubSub(),
+            dataSources: createDataSources(db, { baseUrl, packager, progressTracker, searchIndex, downloadQueue, profile })
+          };
+        },
+        onError: (ctx, message, errors) => {
+          logger.warn('GraphQL subscription error:', errors);
+        }
+      },
+      wsServer
+    );
+    return wsServer;
+  };
+
+  return { router, server, ready, attachSubscriptions };
+};
+
+module.exports = {
+  createGraphQLRouter
+};
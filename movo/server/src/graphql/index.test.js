@@ -0,0 +1,185 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'graphql-test-secret-graphql-test-secret';
+process.env.BCRYPT_SALT_ROUNDS = '4';
+
+const express = require('express');
+const request = require('supertest');
+const { createTestDatabase, createProfile, createMovie } = require('../../database/testDatabase');
+const { query } = require('../../database/query');
+const { generateAccessToken } = require('../../services/authTokens');
+const { errorHandler, logger } = require('../../middleware/errorHandler');
+const { setMailTransport } = require('../../services/mail');
+const { createGraphQLRouter } = require('./index');
+
+const PASSWORD = 'Sup3r$ecretPass';
+
+describe('/graphql', () => {
+  let db;
+  let graphql;
+  let app;
+  let sentMail;
+
+  const send = (body, token) => {
+    const req = request(app).post('/graphql').set('Content-Type', 'application/json');
+    if (token) {
+      req.set('Authorization', `Bearer ${token}`);
+    }
+    return req.send(body);
+  };
+
+  const signup = async (username) => {
+    const res = await send({
+      query: `mutation ($input: UserInput!) {
+        signup(input: $input) { token user { id username } }
+      }`,
+      variables: { input: { username, email: `${username}@example.com`, password: PASSWORD } }
+    });
+    return res.body.data.signup;
+  };
+
+  beforeAll(() => {
+    logger.silent = true;
+  });
+
+  afterAll(() => {
+    logger.silent = false;
+  });
+
+  beforeEach(async () => {
+    // Keep signup confirmation mail in memory rather than in the outbox directory
+    sentMail = [];
+    setMailTransport({
+      name: 'memory',
+      send: async (message) => {
+        sentMail.push(message);
+        return {};
+      }
+    });
+    db = await createTestDatabase();
+    graphql = createGraphQLRouter({ db });
+    app = express();
+    app.use(express.json());
+    app.use(graphql.router);
+    app.use(errorHandler);
+    await graphql.ready;
+  });
+
+  afterEach(async () => {
+    await graphql.server.stop();
+    db.end();
+  });
+
+  test('signs up and answers queries as the new user', async () => {
+    const { token, user } = await signup('alice');
+
+    const res = await send({ query: '{ me { id username email } }' }, token);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.me).toEqual({ id: user.id, username: 'alice', email: 'alice@example.com' });
+    expect(sentMail).toEqual([expect.objectContaining({ to: 'alice@example.com' })]);
+  });
+
+  test('signs in with the password chosen at signup', async () => {
+    await signup('alice');
+    const login = (password) =>
+      send({
+        query: 'mutation ($input: LoginInput!) { login(input: $input) { user { username } } }',
+        variables: { input: { email: 'alice@example.com', password } }
+      });
+
+    expect((await login(PASSWORD)).body.data.login.user.username).toBe('alice');
+
+    const wrong = await login('not-the-password');
+    expect(wrong.body.errors[0]).toMatchObject({
+      message: 'Invalid email or password',
+      extensions: { code: 'BAD_USER_INPUT' }
+    });
+  });
+
+  test('rejects anonymous and invalid tokens', async () => {
+    const anonymous = await send({ query: '{ me { id } }' });
+    expect(anonymous.body.errors[0].extensions.code).toBe('UNAUTHENTICATED');
+
+    const invalid = await send({ query: '{ me { id } }' }, 'not-a-token');
+    expect(invalid.body.errors[0].extensions.code).toBe('UNAUTHENTICATED');
+  });
+
+  test('reports unknown fields as validation errors', async () => {
+    const res = await send({ query: '{ nope }' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatchObject({
+      message: 'Cannot query field "nope" on type "Query".',
+      extensions: { code: 'GRAPHQL_VALIDATION_FAILED' }
+    });
+  });
+
+  test('reports syntax errors', async () => {
+    const res = await send({ query: '{ me { id ' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].extensions.code).toBe('GRAPHQL_PARSE_FAILED');
+  });
+
+  test('reports missing input fields, inline or in variables', async () => {
+    const inline = await send({
+      query: 'mutation { startStreamingSession(input: { mediaId: "1", quality: AUTO }) { id } }'
+    });
+    expect(inline.status).toBe(400);
+    expect(inline.body.errors[0]).toMatchObject({
+      message: expect.stringContaining('StreamingSessionInput.source'),
+      extensions: { code: 'GRAPHQL_VALIDATION_FAILED' }
+    });
+
+    const variables = await send({
+      query: 'mutation ($input: StreamingSessionInput!) { startStreamingSession(input: $input) { id } }',
+      variables: { input: { mediaId: '1', quality: 'AUTO' } }
+    });
+    expect(variables.status).toBe(400);
+    expect(variables.body.errors[0]).toMatchObject({
+      message: expect.stringContaining('"source"'),
+      extensions: { code: 'BAD_USER_INPUT' }
+    });
+  });
+
+  test('keeps the code of operational errors', async () => {
+    const res = await send({ query: '{ media(id: "9999") { id } }' });
+
+    expect(res.body.errors[0]).toMatchObject({
+      message: 'Media not found',
+      path: ['media'],
+      extensions: { code: 'NOT_FOUND' }
+    });
+  });
+
+  test('hides unexpected errors', async () => {
+    const logged = jest.spyOn(logger, 'error').mockImplementation(() => {});
+    const { token } = await signup('alice');
+    await query(db, 'DROP TABLE watch_history');
+
+    const res = await send({ query: '{ watchHistory { media { id } } }' }, token);
+
+    expect(res.body.errors[0]).toMatchObject({
+      message: 'Internal server error',
+      extensions: { code: 'INTERNAL_SERVER_ERROR' }
+    });
+    expect(JSON.stringify(res.body)).not.toMatch(/watch_history/);
+    expect(logged).toHaveBeenCalledWith('GraphQL resolver error:', expect.any(Error));
+    logged.mockRestore();
+  });
+
+  test('applies the profile\'s parental controls', async () => {
+    const { user } = await signup('alice');
+    const heat = await createMovie(db, 'Heat', { content_rating: 'R' });
+    const totoro = await createMovie(db, 'Totoro', { content_rating: 'G' });
+    const profileId = await createProfile(db, Number(user.id), 'Kids', { profile_type: 'child', max_rating: 'G' });
+    const token = generateAccessToken(Number(user.id), 'alice', profileId);
+
+    const list = await send({ query: '{ allMedia { edges { node { id title } } } }' }, token);
+    expect(list.body.data.allMedia.edges.map((edge) => edge.node)).toEqual([
+      { id: String(totoro), title: 'Totoro' }
+    ]);
+
+    const hidden = await send({ query: `{ media(id: "${heat}") { id } }` }, token);
+    expect(hidden.body.errors[0].extensions.code).toBe('NOT_FOUND');
+  });
+});
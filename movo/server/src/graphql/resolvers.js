@@ -8,16 +8,23 @@
 const { GraphQLScalarType } = require('graphql');
 const { Kind } = require('graphql/language');
 const { AuthenticationError, UserInputError, ForbiddenError } = require('apollo-server-express');
-const jwt = require('jsonwebtoken');
+const { GraphQLUpload } = require('graphql-upload');
+const { withFilter } = require('graphql-subscriptions');
 const bcrypt = require('bcryptjs');
-const { v4: uuidv4 } = require('uuid');
+const crypto = require('crypto');
+const { schemas } = require('../../middleware/validation');
+const { TOPICS } = require('../../services/pubsub');
+const { REQUIRE_EMAIL_VERIFICATION } = require('../../services/authTokens');
+const { isRestricted } = require('../../services/profiles');
+
+const BCRYPT_SALT_ROUNDS = parseInt(process.env.BCRYPT_SALT_ROUNDS) || 12;
 
 // Custom scalar resolvers
 const dateTimeScalar = new GraphQLScalarType({
   name: 'DateTime',
   description: 'DateTime custom scalar type',
   serialize(value) {
-    return value.toISOString();
+    return (value instanceof Date ? value : new Date(value)).toISOString();
   },
   parseValue(value) {
     return new Date(value);
@@ -30,6 +37,26 @@ const dateTimeScalar = new GraphQLScalarType({
   }
 });
 
+const parseJsonLiteral = (ast) => {
+  switch (ast.kind) {
+    case Kind.STRING:
+    case Kind.BOOLEAN:
+      return ast.value;
+    case Kind.INT:
+    case Kind.FLOAT:
+      return Number(ast.value);
+    case Kind.OBJECT:
+      return ast.fields.reduce((obj, field) => {
+        obj[field.name.value] = parseJsonLiteral(field.value);
+        return obj;
+      }, {});
+    case Kind.LIST:
+      return ast.values.map(parseJsonLiteral);
+    default:
+      return null;
+  }
+};
+
 const jsonScalar = new GraphQLScalarType({
   name: 'JSON',
   description: 'JSON custom scalar type',
@@ -40,37 +67,27 @@ const jsonScalar = new GraphQLScalarType({
     return value;
   },
   parseLiteral(ast) {
-    switch (ast.kind) {
-      case Kind.STRING:
-        return JSON.parse(ast.value);
-      case Kind.OBJECT:
-        return ast.fields.reduce((obj, field) => {
-          obj[field.name.value] = parseLiteral(field.value);
-          return obj;
-        }, {});
-      default:
-        return null;
-    }
+    return parseJsonLiteral(ast);
   }
 });
 
 // Helper functions
-const generateToken = (user) => {
-  return jwt.sign(
-    { id: user.id, email: user.email, role: user.role },
-    process.env.JWT_SECRET,
-    { expiresIn: '1h' }
-  );
-};
 
-const generateRefreshToken = (user) => {
-  return jwt.sign(
-    { id: user.id },
-    process.env.JWT_REFRESH_SECRET,
-    { expiresIn: '7d' }
-  );
+// What a User may show; the login lookup also carries the password hash
+const PUBLIC_USER_FIELDS = ['id', 'username', 'email', 'profilePicture', 'emailVerified', 'role', 'createdAt', 'updatedAt'];
+
+const authPayload = async (dataSources, user) => {
+  const { accessToken, refreshToken } = await dataSources.userAPI.issueTokens(user);
+
+  return {
+    token: accessToken,
+    refreshToken,
+    user: Object.fromEntries(PUBLIC_USER_FIELDS.map((field) => [field, user[field]]))
+  };
 };
 
+const isSameUser = (authUser, userId) => String(authUser.id) === String(userId);
+
 const checkAuth = (context) => {
   const { user } = context;
   
@@ -86,6 +103,7 @@ const resolvers = {
   // Scalar resolvers
   DateTime: dateTimeScalar,
   JSON: jsonScalar,
+  Upload: GraphQLUpload,
   
   // Type resolvers
   Media: {
@@ -104,6 +122,10 @@ const resolvers = {
     similarMedia: async (parent, { limit }, { dataSources }) => {
       return dataSources.mediaAPI.getSimilarMedia(parent.id, limit);
     },
+    isDownloaded: async (parent, args, { dataSources, user }) => {
+      if (!user) return false;
+      return dataSources.downloadAPI.isDownloaded(user.id, parent.id);
+    },
     watchProgress: async (parent, args, { dataSources, user }) => {
       if (!user) return null;
       return dataSources.userAPI.getWatchProgress(user.id, parent.id);
@@ -128,8 +150,12 @@ const resolvers = {
   },
   
   User: {
+    preferences: async (parent, args, { dataSources }) => {
+      return dataSources.userAPI.getUserPreferences(parent.id);
+    },
     watchlist: async (parent, args, { dataSources }) => {
-      return dataSources.userAPI.getWatchlist(parent.id);
+      const watchlist = await dataSources.userAPI.getWatchlist(parent.id, 1, 100);
+      return watchlist.edges.map((edge) => edge.node);
     },
     watchHistory: async (parent, args, { dataSources }) => {
       return dataSources.userAPI.getWatchHistory(parent.id);
@@ -142,6 +168,12 @@ const resolvers = {
     }
   },
   
+  UserPreferences: {
+    preferredGenres: async (parent, args, { dataSources }) => {
+      return dataSources.mediaAPI.getGenresByIds(parent.preferredGenres);
+    }
+  },
+  
   WatchHistoryItem: {
     media: async (parent, args, { dataSources }) => {
       return dataSources.mediaAPI.getMediaById(parent.mediaId);
@@ -185,15 +217,15 @@ const resolvers = {
       return dataSources.mediaAPI.getTrendingMedia(page, limit, timeWindow);
     },
     
-    recommendedMedia: async (_, { pagination }, { dataSources, user }) => {
+    recommendedMedia: async (_, { pagination }, { dataSources, profile }) => {
       const { page = 1, limit = 20 } = pagination || {};
       
-      if (!user) {
+      if (!profile) {
         // Return popular media for non-authenticated users
         return dataSources.mediaAPI.getPopularMedia(page, limit);
       }
       
-      return dataSources.mediaAPI.getRecommendedMedia(user.id, page, limit);
+      return dataSources.mediaAPI.getRecommendedMedia(profile, page, limit);
     },
     
     newReleases: async (_, { pagination }, { dataSources }) => {
@@ -226,7 +258,7 @@ const resolvers = {
       const authUser = checkAuth({ user });
       
       // Only admins can view other users
-      if (authUser.role !== 'ADMIN' && authUser.id !== id) {
+      if (authUser.role !== 'ADMIN' && !isSameUser(authUser, id)) {
         throw new ForbiddenError('Not authorized to view this user');
       }
       
@@ -239,8 +271,9 @@ const resolvers = {
       return dataSources.streamingAPI.getStreamingUrl(mediaId, quality, authUser.id);
     },
     
-    subtitles: async (_, { mediaId, language }, { dataSources }) => {
-      return dataSources.streamingAPI.getSubtitles(mediaId, language);
+    subtitles: async (_, { mediaId, language }, { dataSources, user }) => {
+      const authUser = checkAuth({ user });
+      return dataSources.streamingAPI.getSubtitles(mediaId, language, authUser.id);
     },
     
     // Download queries
@@ -253,7 +286,7 @@ const resolvers = {
       const authUser = checkAuth({ user });
       const download = await dataSources.downloadAPI.getDownloadById(id);
       
-      if (download.userId !== authUser.id) {
+      if (!isSameUser(authUser, download.userId)) {
         throw new ForbiddenError('Not authorized to view this download');
       }
       
@@ -283,6 +316,7 @@ const resolvers = {
   // Mutation resolvers
   Mutation: {
     // Auth mutations
+    // Same tokens as POST /login and /register, so REST and GraphQL share sessions
     login: async (_, { input }, { dataSources }) => {
       const { email, password } = input;
       
@@ -300,84 +334,69 @@ const resolvers = {
         throw new UserInputError('Invalid email or password');
       }
       
-      // Generate tokens
-      const token = generateToken(user);
-      const refreshToken = generateRefreshToken(user);
-      
-      // Update refresh token in database
-      await dataSources.userAPI.updateRefreshToken(user.id, refreshToken);
+      if (REQUIRE_EMAIL_VERIFICATION && !user.emailVerified) {
+        throw new ForbiddenError('Please verify your email address before signing in', {
+          code: 'EMAIL_NOT_VERIFIED'
+        });
+      }
       
-      return {
-        token,
-        refreshToken,
-        user
-      };
+      await dataSources.userAPI.recordLogin(user.id);
+      return authPayload(dataSources, user);
     },
     
     signup: async (_, { input }, { dataSources }) => {
-      const { username, email, password } = input;
+      const { error, value } = schemas.register.validate(
+        { ...input, confirmPassword: input.password },
+        { abortEarly: false }
+      );
+      
+      if (error) {
+        throw new UserInputError('Invalid input data', {
+          details: error.details.map((detail) => ({
+            field: detail.path.join('.'),
+            message: detail.message
+          }))
+        });
+      }
       
       // Check if user already exists
-      const existingUser = await dataSources.userAPI.getUserByEmail(email);
+      const existingUser = await dataSources.userAPI.getUserByEmail(value.email);
       
       if (existingUser) {
         throw new UserInputError('User with this email already exists');
       }
       
       // Hash password
-      const hashedPassword = await bcrypt.hash(password, 12);
+      const hashedPassword = await bcrypt.hash(value.password, BCRYPT_SALT_ROUNDS);
       
       // Create user
       const user = await dataSources.userAPI.createUser({
-        username,
-        email,
-        password: hashedPassword,
-        role: 'USER'
+        username: value.username,
+        email: value.email,
+        password: hashedPassword
       });
       
-      // Generate tokens
-      const token = generateToken(user);
-      const refreshToken = generateRefreshToken(user);
+      await dataSources.userAPI.sendVerificationLink(user);
       
-      // Update refresh token in database
-      await dataSources.userAPI.updateRefreshToken(user.id, refreshToken);
+      // The account exists, but it gets no tokens until the address is confirmed
+      if (REQUIRE_EMAIL_VERIFICATION) {
+        throw new ForbiddenError('Account created. Please verify your email address before signing in', {
+          code: 'EMAIL_NOT_VERIFIED'
+        });
+      }
       
-      return {
-        token,
-        refreshToken,
-        user
-      };
+      return authPayload(dataSources, user);
     },
     
     refreshToken: async (_, { refreshToken }, { dataSources }) => {
       try {
-        // Verify refresh token
-        const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-        
-        // Get user
-        const user = await dataSources.userAPI.getUserById(decoded.id);
-        
-        if (!user) {
-          throw new AuthenticationError('Invalid refresh token');
-        }
-        
-        // Check if refresh token matches
-        const storedRefreshToken = await dataSources.userAPI.getRefreshToken(user.id);
-        
-        if (storedRefreshToken !== refreshToken) {
-          throw new AuthenticationError('Invalid refresh token');
-        }
-        
-        // Generate new tokens
-        const token = generateToken(user);
-        const newRefreshToken = generateRefreshToken(user);
-        
-        // Update refresh token in database
-        await dataSources.userAPI.updateRefreshToken(user.id, newRefreshToken);
+        // Verifies, revokes the old token and issues a new pair
+        const tokens = await dataSources.userAPI.rotateRefreshToken(refreshToken);
+        const user = await dataSources.userAPI.getUserById(tokens.userId);
         
         return {
-          token,
-          refreshToken: newRefreshToken,
+          token: tokens.accessToken,
+          refreshToken: tokens.refreshToken,
           user
         };
       } catch (error) {
@@ -388,8 +407,8 @@ const resolvers = {
     logout: async (_, __, { dataSources, user }) => {
       const authUser = checkAuth({ user });
       
-      // Clear refresh token
-      await dataSources.userAPI.updateRefreshToken(authUser.id, null);
+      // No refresh token is passed, so every session of the user is signed out
+      await dataSources.userAPI.revokeRefreshTokens(authUser.id);
       
       return true;
     },
@@ -469,7 +488,7 @@ const resolvers = {
       const session = await dataSources.streamingAPI.getSessionById(sessionId);
       
       // Check if user owns the session
-      if (session.userId !== authUser.id) {
+      if (!isSameUser(authUser, session.userId)) {
         throw new ForbiddenError('Not authorized to end this session');
       }
       
@@ -486,7 +505,7 @@ const resolvers = {
       const session = await dataSources.streamingAPI.getSessionById(sessionId);
       
       // Check if user owns the session
-      if (session.userId !== authUser.id) {
+      if (!isSameUser(authUser, session.userId)) {
         throw new ForbiddenError('Not authorized to update this session');
       }
       
@@ -499,14 +518,10 @@ const resolvers = {
       const { mediaId, quality } = input;
       
       return dataSources.downloadAPI.startDownload({
-        id: uuidv4(),
+        id: crypto.randomUUID(),
         mediaId,
         userId: authUser.id,
-        quality,
-        progress: 0,
-        status: 'QUEUED',
-        createdAt: new Date(),
-        updatedAt: new Date()
+        quality
       });
     },
     
@@ -517,7 +532,7 @@ const resolvers = {
       const download = await dataSources.downloadAPI.getDownloadById(downloadId);
       
       // Check if user owns the download
-      if (download.userId !== authUser.id) {
+      if (!isSameUser(authUser, download.userId)) {
         throw new ForbiddenError('Not authorized to pause this download');
       }
       
@@ -531,7 +546,7 @@ const resolvers = {
       const download = await dataSources.downloadAPI.getDownloadById(downloadId);
       
       // Check if user owns the download
-      if (download.userId !== authUser.id) {
+      if (!isSameUser(authUser, download.userId)) {
         throw new ForbiddenError('Not authorized to resume this download');
       }
       
@@ -545,7 +560,7 @@ const resolvers = {
       const download = await dataSources.downloadAPI.getDownloadById(downloadId);
       
       // Check if user owns the download
-      if (download.userId !== authUser.id) {
+      if (!isSameUser(authUser, download.userId)) {
         throw new ForbiddenError('Not authorized to cancel this download');
       }
       
@@ -560,7 +575,7 @@ const resolvers = {
       const download = await dataSources.downloadAPI.getDownloadById(downloadId);
       
       // Check if user owns the download
-      if (download.userId !== authUser.id) {
+      if (!isSameUser(authUser, download.userId)) {
         throw new ForbiddenError('Not authorized to delete this download');
       }
       
@@ -569,32 +584,60 @@ const resolvers = {
   },
   
   // Subscription resolvers
+  // Topics come from services/pubsub; ownership is checked on every event
   Subscription: {
     downloadProgressUpdated: {
-      subscribe: (_, { downloadId }, { pubsub }) => {
-        return pubsub.asyncIterator(`DOWNLOAD_PROGRESS_${downloadId}`);
+      subscribe: (_, args, context) => {
+        checkAuth(context);
+        return withFilter(
+          () => context.pubsub.asyncIterator(TOPICS.downloadProgress(args.downloadId)),
+          (payload, variables, { user }) => isSameUser(user, payload.downloadProgressUpdated.userId)
+        )(_, args, context);
       }
     },
     
     streamingSessionUpdated: {
-      subscribe: (_, { sessionId }, { pubsub }) => {
-        return pubsub.asyncIterator(`STREAMING_SESSION_${sessionId}`);
+      subscribe: (_, args, context) => {
+        checkAuth(context);
+        return withFilter(
+          () => context.pubsub.asyncIterator(TOPICS.streamingSession(args.sessionId)),
+          (payload, variables, { user }) => isSameUser(user, payload.streamingSessionUpdated.userId)
+        )(_, args, context);
       }
     },
     
     watchProgressUpdated: {
-      subscribe: (_, __, { pubsub, user }) => {
-        if (!user) {
-          throw new AuthenticationError('Not authenticated');
-        }
-        
-        return pubsub.asyncIterator(`WATCH_PROGRESS_${user.id}`);
+      subscribe: (_, __, { pubsub, user, profile }) => {
+        checkAuth({ user });
+        return pubsub.asyncIterator(TOPICS.watchProgress(profile.id));
       }
     },
     
+    // Files are announced when scanned; genres are only known once metadata is matched
+    // Restricted profiles hear about a title once its rating is known and allowed
     newMediaAdded: {
-      subscribe: (_, { genreId }, { pubsub }) => {
-        return pubsub.asyncIterator(genreId ? `NEW_MEDIA_GENRE_${genreId}` : 'NEW_MEDIA');
+      subscribe: withFilter(
+        (_, __, { pubsub }) => pubsub.asyncIterator(TOPICS.newMedia()),
+        async (payload, { genreId }, { dataSources, profile }) => {
+          const restricted = Boolean(profile) && isRestricted(profile);
+          if (!genreId && !restricted) {
+            return !payload.matched;
+          }
+          if (!payload.matched) {
+            return false;
+          }
+          if (restricted && !(await dataSources.mediaAPI.isVisible(payload.mediaId))) {
+            return false;
+          }
+          if (!genreId) {
+            return true;
+          }
+          const genres = await dataSources.mediaAPI.getGenresByMediaId(payload.mediaId);
+          return genres.some((genre) => genre.id === String(genreId));
+        }
+      ),
+      resolve: (payload, args, { dataSources }) => {
+        return dataSources.mediaAPI.getMediaById(payload.mediaId);
       }
     }
   }